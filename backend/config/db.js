@@ -7,6 +7,10 @@ const mongoose = require('mongoose');
 const { config } = require('./environment');
 const { logger } = require('../utils/logger');
 
+// Operations inside connection.transaction() callbacks use the transaction's
+// session without it being passed to every query and save
+mongoose.set('transactionAsyncLocalStorage', true);
+
 /**
  * MongoDB Connection Options
  * Optimized for production with proper pooling and timeout settings
@@ -9,8 +9,71 @@ const {
 } = require("../repositories");
 const { AppError } = require("../utils/customErrors");
 const { logger } = require("../utils/logger");
+const clientVerificationService = require("../services/clientVerificationService");
+const paymentVerificationService = require("../services/paymentVerificationService");
 const mongoose = require("mongoose");
 
+/**
+ * Load the agent of the route; agents may only act as themselves
+ * @param {Object} req - Express request
+ * @param {string} agentId - Agent from the route
+ * @returns {Promise<Object>} Agent staff document
+ */
+const findAgent = async (req, agentId) => {
+  const agent = await Staff.findById(agentId);
+  if (!agent || agent.role !== "agent") {
+    throw new AppError("Agent not found", 404, "AGENT_NOT_FOUND");
+  }
+
+  if (req.user.role === "agent" && req.user.userId !== agentId) {
+    throw new AppError("Access denied", 403, "ACCESS_DENIED");
+  }
+  return agent;
+};
+
+/**
+ * Load a client for an agent's verification work, checking the agent exists,
+ * agents only act for themselves and the client is assigned to the agent
+ * @param {Object} req - Express request object
+ * @param {string} agentId - Agent ID from the URL
+ * @param {string} clientId - Client ID from the URL
+ * @returns {Promise<Object>} Client document
+ */
+const findAgentClient = async (req, agentId, clientId) => {
+  await findAgent(req, agentId);
+
+  const client = await clientVerificationService.findClient(clientId);
+  if (req.user.role === "agent" && client.assignedAgent?.toString() !== agentId) {
+    throw new AppError("Client not assigned to this agent", 403, "CLIENT_NOT_ASSIGNED");
+  }
+  return client;
+};
+
+/**
+ * Send an error response in the API error format
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the handler
+ * @param {string} message - Message for unexpected errors
+ */
+const sendError = (res, error, message) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: {
+        code: error.errorCode,
+        message: error.message,
+      },
+    });
+  }
+  res.status(500).json({
+    success: false,
+    error: {
+      code: "INTERNAL_ERROR",
+      message,
+    },
+  });
+};
+
 // Get agent dashboard data
 exports.getAgentDashboard = async (req, res) => {
   try {
@@ -704,12 +767,7 @@ exports.getAgentLoans = async (req, res) => {
       purpose: loan.purpose,
 
       // Payment information
-      totalPaid:
-        loan.paymentHistory?.reduce(
-          (sum, payment) =>
-            payment.status === "approved" ? sum + payment.amount : sum,
-          0
-        ) || 0,
+      totalPaid: loan.calculatedFields?.totalPaid || 0,
       remainingBalance:
         loan.calculatedFields?.remainingBalance || loan.loanAmount,
       nextPaymentDate: loan.calculatedFields?.nextPaymentDate,
@@ -1164,35 +1222,15 @@ exports.updateClientVerification = async (req, res) => {
       clientId,
       category,
       verified,
-      verifiedBy: req.user.id,
+      verifiedBy: req.user.userId,
     });
 
-    // Verify agent exists and user has permission
-    const agent = await Staff.findById(agentId);
-    if (!agent || agent.role !== "agent") {
-      throw new AppError("Agent not found", 404, "AGENT_NOT_FOUND");
-    }
-
-    // Check if user can update this client
-    if (req.user.role === "agent" && req.user.userId !== agentId) {
-      throw new AppError("Access denied", 403, "ACCESS_DENIED");
-    }
-    // Validate category
-    const validCategories = ["identity", "employment", "income", "documents"];
-    if (!validCategories.includes(category)) {
-      throw new AppError(
-        "Invalid verification category",
-        400,
-        "INVALID_CATEGORY"
-      );
-    }
-
-    const clientRepository = new ClientRepository();
-    const updatedClient = await clientRepository.updateVerificationStatus(
-      clientId,
+    const client = await findAgentClient(req, agentId, clientId);
+    const checklist = await clientVerificationService.updateVerification(
+      client,
       category,
       verified,
-      req.user.id,
+      req.user.userId,
       reason || ""
     );
 
@@ -1200,13 +1238,14 @@ exports.updateClientVerification = async (req, res) => {
       success: true,
       message: "Client verification status updated successfully",
       data: {
-        client: updatedClient,
+        client,
         verification: {
           category,
           verified,
-          verifiedBy: req.user.id,
+          verifiedBy: req.user.userId,
           verifiedAt: new Date(),
         },
+        checklist,
       },
     });
   } catch (error) {
@@ -1215,22 +1254,106 @@ exports.updateClientVerification = async (req, res) => {
       clientId: req.params.clientId,
       category: req.body.category,
     });
-    if (error instanceof AppError) {
-      return res.status(error.statusCode).json({
-        success: false,
-        error: {
-          code: error.errorCode,
-          message: error.message,
-        },
-      });
-    }
-    res.status(500).json({
-      success: false,
-      error: {
-        code: "INTERNAL_ERROR",
-        message: "Error updating client verification status",
+    sendError(res, error, "Error updating client verification status");
+  }
+};
+
+// Get a client's document checklist with its completion percentage
+exports.getClientDocuments = async (req, res) => {
+  const { agentId, clientId } = req.params;
+
+  try {
+    const client = await findAgentClient(req, agentId, clientId);
+    const checklist = await clientVerificationService.refreshChecklist(client);
+
+    res.json({
+      success: true,
+      data: {
+        clientId: client._id,
+        verificationStatus: client.verificationStatus,
+        checklist,
       },
     });
+  } catch (error) {
+    logger.error("Error fetching client documents", error, { agentId, clientId });
+    sendError(res, error, "Error fetching client documents");
+  }
+};
+
+// Approve or reject one client document, optionally asking for a new upload
+exports.reviewClientDocument = async (req, res) => {
+  const { agentId, clientId, documentId } = req.params;
+
+  try {
+    const client = await findAgentClient(req, agentId, clientId);
+    const { document, checklist } = await clientVerificationService.reviewDocument(
+      client,
+      documentId,
+      req.body,
+      req.user.userId
+    );
+
+    res.json({
+      success: true,
+      message: `Document ${document.status}`,
+      data: { document, checklist },
+    });
+  } catch (error) {
+    logger.error("Error reviewing client document", error, { agentId, clientId, documentId });
+    sendError(res, error, "Error reviewing client document");
+  }
+};
+
+/**
+ * Payments on the agent's loans waiting for their proof to be checked
+ * @route GET /api/agents/:agentId/payments/pending
+ */
+exports.getPendingPayments = async (req, res) => {
+  const { agentId } = req.params;
+
+  try {
+    await findAgent(req, agentId);
+    const queue = await paymentVerificationService.getQueue(
+      { userId: agentId, role: "agent" },
+      req.query
+    );
+
+    res.json({
+      success: true,
+      data: queue,
+    });
+  } catch (error) {
+    logger.error("Error fetching pending payments", error, { agentId });
+    sendError(res, error, "Error fetching pending payments");
+  }
+};
+
+/**
+ * Verify or reject the proof of a payment. Payments above the region's
+ * approval threshold then wait for the regional manager.
+ * @route PUT /api/agents/:agentId/payments/:paymentId
+ */
+exports.reviewPayment = async (req, res) => {
+  const { agentId, paymentId } = req.params;
+
+  try {
+    await findAgent(req, agentId);
+    const { stage, payment, balances } = await paymentVerificationService.reviewPayment(
+      paymentId,
+      req.body,
+      req.user
+    );
+
+    res.json({
+      success: true,
+      message: stage === "pending_approval"
+        ? "Payment verified and sent to the regional manager for approval"
+        : `Payment ${stage}`,
+      data: { stage, payment, balances: balances || null },
+    });
+  } catch (error) {
+    logger.error("Error reviewing payment", error, { agentId, paymentId });
+    sendError(res, error, "Error reviewing payment");
   }
 };
 
@@ -1,4 +1,5 @@
 const agreementService = require('../services/agreementService');
+const scheduleService = require('../services/scheduleService');
 const fileService = require('../services/fileService');
 const emailService = require('../services/emailService');
 const Loan = require('../models/Loan');
@@ -20,7 +21,7 @@ exports.generateAgreement = async (req, res) => {
     const { loanId } = req.params;
     const {
       template = 'standard',
-      language = 'en',
+      language,
       includeTerms = true,
       watermark = null
     } = req.body;
@@ -50,11 +51,14 @@ exports.generateAgreement = async (req, res) => {
       });
     }
 
+    // Use the persisted schedule when the loan already has one
+    const schedule = await scheduleService.getCurrentSchedule(loan._id);
+
     // Generate agreement
     const agreementResult = await agreementService.generateLoanAgreement(
       loan,
       loan.clientUserId,
-      { template, language, includeTerms, watermark }
+      { template, language, includeTerms, watermark, schedule }
     );
 
     // Update loan with agreement information
@@ -73,7 +77,7 @@ exports.generateAgreement = async (req, res) => {
       changes: {
         agreementId: agreementResult.agreementId,
         template,
-        language
+        language: agreementResult.language
       },
       ipAddress: req.ip
     });
@@ -87,7 +91,7 @@ exports.generateAgreement = async (req, res) => {
       agreementId: agreementResult.agreementId,
       userId: req.user.userId,
       template,
-      language
+      language: agreementResult.language
     });
 
     // Send email notification for agreement ready
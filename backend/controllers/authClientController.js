@@ -12,6 +12,9 @@ const {
   revokeAllUserTokens,
 } = require("../utils/jwtUtils");
 const { validateRoleCreation } = require("../utils/permissions");
+const sessionService = require("../services/sessionService");
+const clientAuthService = require("../services/clientAuthService");
+const { AppError } = require("../utils/customErrors");
 
 /**
  * Staff login with enhanced security and JWT token generation
@@ -64,7 +67,7 @@ exports.login = async (req, res) => {
       return;
     }
 
-    const tokens = generateTokenPair(user);
+    const tokens = await generateTokenPair(user, sessionService.getRequestContext(req));
 
     console.log(
       `Successful login: ${user.email} (${
@@ -125,7 +128,7 @@ exports.refreshToken = async (req, res) => {
     const getUserById = async (userId) =>
       await Staff.findById(userId).populate("region");
 
-    const tokens = await refreshAccessToken(refreshToken, getUserById);
+    const tokens = await refreshAccessToken(refreshToken, getUserById, sessionService.getRequestContext(req));
 
     if (!res.headersSent)
       return res.status(200).json({
@@ -155,7 +158,7 @@ exports.logout = async (req, res) => {
   try {
     const { refreshToken } = req.body;
     if (refreshToken) {
-      const revoked = revokeRefreshToken(refreshToken);
+      const revoked = await revokeRefreshToken(refreshToken);
       if (revoked)
         console.log(
           `Refresh token revoked for user logout at ${new Date().toISOString()}`
@@ -188,7 +191,7 @@ exports.logout = async (req, res) => {
 exports.logoutAll = async (req, res) => {
   try {
     const userId = req.user.userId;
-    const revokedCount = revokeAllUserTokens(userId);
+    const revokedCount = await revokeAllUserTokens(userId);
 
     console.log(
       `All tokens revoked for user ${userId}: ${revokedCount} tokens at ${new Date().toISOString()}`
@@ -337,7 +340,7 @@ exports.changePassword = async (req, res) => {
 
     const newPasswordHash = await bcrypt.hash(newPassword, 12);
     await Staff.findByIdAndUpdate(userId, { passwordHash: newPasswordHash });
-    revokeAllUserTokens(userId);
+    await revokeAllUserTokens(userId, "password_change");
 
     console.log(
       `Password changed for user ${user.email} at ${new Date().toISOString()}`
@@ -413,7 +416,7 @@ exports.validateRoleCreation = async (req, res) => {
 };
 
 /**
- * Client login
+ * Client login. Same accounts and lockout as the mobile app login.
  */
 exports.clientLogin = async (req, res) => {
   try {
@@ -430,44 +433,11 @@ exports.clientLogin = async (req, res) => {
       });
     }
 
-    const ClientUsers = require("../models/clientUsers");
-    const user = await ClientUsers.findOne({ email }).select("+password");
-
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: "AUTH_ERROR",
-          message: "Invalid email or password",
-          timestamp: new Date().toISOString(),
-        },
-      });
-    }
-
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: "AUTH_ERROR",
-          message: "Invalid email or password",
-          timestamp: new Date().toISOString(),
-        },
-      });
-    }
-    
-    if (!user.status) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: "AUTH_ERROR",
-          message: "Account is not active",
-          timestamp: new Date().toISOString(),
-        },
-      });
-    }
-
-    const tokens = generateTokenPair(user);
+    const { user, tokens } = await clientAuthService.login(
+      email,
+      password,
+      sessionService.getRequestContext(req)
+    );
 
     console.log(
       `Successful client login: ${user.email} at ${new Date().toISOString()}`
@@ -489,6 +459,16 @@ exports.clientLogin = async (req, res) => {
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.errorCode,
+          message: error.message,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
     console.error("Client login error:", error);
     return res.status(500).json({
       success: false,
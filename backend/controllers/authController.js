@@ -7,6 +7,71 @@ const bcrypt = require('bcryptjs');
 const Staff = require('../models/Staff');
 const { generateTokenPair, refreshAccessToken, revokeRefreshToken, revokeAllUserTokens } = require('../utils/jwtUtils');
 const { validateRoleCreation } = require('../utils/permissions');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const { AppError } = require('../utils/customErrors');
+
+/**
+ * Issue tokens and send the login response
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - Authenticated staff document (region populated)
+ * @param {Object} [extra={}] - Additional data fields
+ * @returns {Promise<void>}
+ */
+const sendLoginSuccess = async (req, res, user, extra = {}) => {
+  const tokens = await generateTokenPair(user, sessionService.getRequestContext(req));
+
+  // Log successful login
+  console.log(`Successful login: ${user.email} (${user.role}) at ${new Date().toISOString()}`);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        region: user.region,
+        permissions: user.permissions
+      },
+      tokens,
+      ...extra
+    },
+    timestamp: new Date().toISOString()
+  });
+};
+
+/**
+ * Send an AppError as JSON, anything else as a 500
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by a service
+ * @param {string} message - Message for unexpected errors
+ * @returns {void}
+ */
+const sendError = (res, error, message) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: {
+        code: error.errorCode,
+        message: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: {
+      code: 'SERVER_ERROR',
+      message,
+      timestamp: new Date().toISOString()
+    }
+  });
+};
 
 /**
  * Staff login with enhanced security and JWT token generation
@@ -99,29 +164,27 @@ exports.login = async (req, res) => {
       });
     }
 
-    // Generate token pair
-    const tokens = generateTokenPair(user);
-
-    // Log successful login
-    console.log(`Successful login: ${user.email} (${user.role}) at ${new Date().toISOString()}`);
-
-    // Return success response
-    return res.status(200).json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          region: user.region,
-          permissions: user.permissions
+    // Staff with 2FA (or in a role that requires it) continue with a challenge
+    const twoFactorStep = await twoFactorService.getLoginStep(user);
+    if (twoFactorStep) {
+      console.log(`Password verified, two-factor ${twoFactorStep} pending: ${user.email} at ${new Date().toISOString()}`);
+
+      return res.status(200).json({
+        success: true,
+        message: twoFactorStep === 'verify'
+          ? 'Two-factor verification required'
+          : 'Two-factor setup required for your role',
+        data: {
+          twoFactorRequired: twoFactorStep === 'verify',
+          twoFactorSetupRequired: twoFactorStep === 'enrol',
+          challengeToken: twoFactorService.createChallenge(user, twoFactorStep),
+          challengeExpiresIn: twoFactorService.challengeExpiresIn
         },
-        tokens
-      },
-      timestamp: new Date().toISOString()
-    });
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    return sendLoginSuccess(req, res, user);
 
   } catch (error) {
     console.error('Login error:', error);
@@ -166,7 +229,7 @@ exports.refreshToken = async (req, res) => {
     };
 
     // Refresh the access token
-    const tokens = await refreshAccessToken(refreshToken, getUserById);
+    const tokens = await refreshAccessToken(refreshToken, getUserById, sessionService.getRequestContext(req));
 
     res.status(200).json({
       success: true,
@@ -196,7 +259,7 @@ exports.logout = async (req, res) => {
     const { refreshToken } = req.body;
 
     if (refreshToken) {
-      const revoked = revokeRefreshToken(refreshToken);
+      const revoked = await revokeRefreshToken(refreshToken);
       if (revoked) {
         console.log(`Refresh token revoked for user logout at ${new Date().toISOString()}`);
       }
@@ -228,7 +291,7 @@ exports.logoutAll = async (req, res) => {
   try {
     const userId = req.user.userId;
 
-    const revokedCount = revokeAllUserTokens(userId);
+    const revokedCount = await revokeAllUserTokens(userId);
 
     console.log(`All tokens revoked for user ${userId}: ${revokedCount} tokens at ${new Date().toISOString()}`);
 
@@ -252,6 +315,215 @@ exports.logoutAll = async (req, res) => {
   }
 };
 
+/**
+ * List active sessions (signed-in devices) of the current user
+ */
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.userId, req.user.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Sessions retrieved successfully',
+      data: { sessions },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Internal server error while fetching sessions',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+/**
+ * Revoke one session of the current user
+ */
+exports.revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    await sessionService.revokeSession(req.user.userId, sessionId);
+
+    console.log(`Session ${sessionId} revoked by user ${req.user.userId} at ${new Date().toISOString()}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully',
+      data: {
+        sessionId,
+        current: sessionId === req.user.sessionId
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (!(error instanceof AppError)) {
+      console.error('Revoke session error:', error);
+    }
+    return sendError(res, error, 'Internal server error while revoking session');
+  }
+};
+
+/**
+ * Second login step: exchange a challenge token and a TOTP or recovery code for tokens
+ */
+exports.verifyTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const challenge = twoFactorService.verifyChallenge(challengeToken, 'verify');
+    const context = sessionService.getRequestContext(req);
+
+    const result = await twoFactorService.verifyLogin(challenge.userId, { code, recoveryCode }, context);
+    const user = await Staff.findById(challenge.userId).populate('region');
+
+    return sendLoginSuccess(req, res, user, {
+      twoFactor: {
+        method: result.method,
+        recoveryCodesRemaining: result.recoveryCodesRemaining
+      }
+    });
+
+  } catch (error) {
+    if (!(error instanceof AppError)) {
+      console.error('Two-factor verification error:', error);
+    }
+    return sendError(res, error, 'Internal server error during two-factor verification');
+  }
+};
+
+/**
+ * Start 2FA enrolment; returns the secret and otpauth URI for the QR code.
+ * Works with an access token or an enrolment challenge token.
+ */
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const setup = await twoFactorService.beginEnrolment(req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app and confirm with a code',
+      data: setup,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (!(error instanceof AppError)) {
+      console.error('Two-factor setup error:', error);
+    }
+    return sendError(res, error, 'Internal server error during two-factor setup');
+  }
+};
+
+/**
+ * Confirm 2FA enrolment with a code. Returns the recovery codes, and tokens
+ * when enrolment was completed during login.
+ */
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const { recoveryCodes } = await twoFactorService.confirmEnrolment(
+      req.user.userId,
+      req.body.code,
+      sessionService.getRequestContext(req)
+    );
+
+    console.log(`Two-factor authentication enabled for user ${req.user.userId} at ${new Date().toISOString()}`);
+
+    if (req.user.twoFactorEnrolment) {
+      const user = await Staff.findById(req.user.userId).populate('region');
+      return sendLoginSuccess(req, res, user, { recoveryCodes });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe',
+      data: { recoveryCodes },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (!(error instanceof AppError)) {
+      console.error('Enable two-factor error:', error);
+    }
+    return sendError(res, error, 'Internal server error while enabling two-factor authentication');
+  }
+};
+
+/**
+ * Get the 2FA status of the current user
+ */
+exports.getTwoFactorStatus = async (req, res) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor status retrieved successfully',
+      data: status,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (!(error instanceof AppError)) {
+      console.error('Two-factor status error:', error);
+    }
+    return sendError(res, error, 'Internal server error while fetching two-factor status');
+  }
+};
+
+/**
+ * Turn off 2FA for the current user (not allowed for roles that require it)
+ */
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+
+    await twoFactorService.disable(req.user.userId, { code, recoveryCode });
+
+    console.log(`Two-factor authentication disabled for user ${req.user.userId} at ${new Date().toISOString()}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (!(error instanceof AppError)) {
+      console.error('Disable two-factor error:', error);
+    }
+    return sendError(res, error, 'Internal server error while disabling two-factor authentication');
+  }
+};
+
+/**
+ * Replace the recovery codes of the current user
+ */
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.userId, { code: req.body.code });
+
+    res.status(200).json({
+      success: true,
+      message: 'Recovery codes regenerated. Previous codes no longer work',
+      data: { recoveryCodes },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (!(error instanceof AppError)) {
+      console.error('Regenerate recovery codes error:', error);
+    }
+    return sendError(res, error, 'Internal server error while regenerating recovery codes');
+  }
+};
+
 /**
  * Get current user profile
  */
@@ -371,7 +643,7 @@ exports.changePassword = async (req, res) => {
     await Staff.findByIdAndUpdate(userId, { passwordHash: newPasswordHash });
 
     // Revoke all existing refresh tokens to force re-login
-    revokeAllUserTokens(userId);
+    await revokeAllUserTokens(userId, 'password_change');
 
     console.log(`Password changed for user ${user.email} at ${new Date().toISOString()}`);
 
@@ -8,17 +8,11 @@ const Region = require("../models/Region");
 const Staff = require("../models/Staff");
 const ClientUsers = require("../models/clientUsers");
 const sendEmail = require("../utils/sendEmail");
-const bcrypt = require("bcryptjs");
-
-// Utility: Generate sequential registration IDs (e.g., L00001)
-async function generateRegistrationId() {
-  const lastClient = await Client.findOne().sort({ createdAt: -1 });
-  if (!lastClient || !lastClient.registrationId) return "L00001";
-
-  const numberPart = parseInt(lastClient.registrationId.slice(1));
-  const nextNumber = numberPart + 1;
-  return `L${nextNumber.toString().padStart(5, "0")}`;
-}
+const notificationService = require("../services/notificationService");
+const creditScoringService = require("../services/creditScoringService");
+const clientVerificationService = require("../services/clientVerificationService");
+const clientAuthService = require("../services/clientAuthService");
+const { AppError } = require("../utils/customErrors");
 
 // Register new client
 
@@ -40,7 +34,7 @@ exports.registerClient = async (req, res) => {
     }
 
     // 1. Generate registration ID
-    const registrationId = await generateRegistrationId();
+    const registrationId = await Client.generateRegistrationId();
 
     // 2. Find region
     const region = await Region.findOne({ districts: district });
@@ -118,6 +112,19 @@ exports.registerClient = async (req, res) => {
         verified: false
       },
 
+      verificationStatus: {
+        identity: {
+          documents: idCardUrl
+            ? [{ type: "nic", name: "idCard", url: idCardUrl, source: "client" }]
+            : []
+        },
+        employment: {
+          documents: employmentLetterUrl
+            ? [{ type: "employment_letter", name: "employmentLetter", url: employmentLetterUrl, source: "client" }]
+            : []
+        }
+      },
+
       statusHistory: [
         {
           status: "Pending",
@@ -146,6 +153,7 @@ exports.registerClient = async (req, res) => {
     });
 
     // 6. Save client
+    await clientVerificationService.refreshChecklist(newClient);
     await newClient.save();
 
     return res.status(201).json({
@@ -218,7 +226,7 @@ exports.getPendingClient = async (req, res) => {
 exports.getClientById = async (req, res) => {
   try {
     const { id } = req.params;
-    const clientUser = await ClientUser.findById(id).select("clientId");
+    const clientUser = await ClientUsers.findById(id).select("clientId");
     if (!clientUser)
       return res.status(404).json({ message: "ClientUser not found" });
 
@@ -254,47 +262,16 @@ exports.clientApprovedMessage = async (req, res) => {
     if (!clientEmail)
       return res.status(400).json({ message: "Client email not found" });
 
-    const password = generateTemporaryPassword();
-    const hashedPassword = await bcrypt.hash(password, 10);
-    await sendEmail(
-      clientEmail,
-      "Client approved",
-      `Welcome to Loan Management System.\nYour account has been created.\nUsername: ${clientEmail}\nPassword: ${password}`
-    );
+    // Every document the client's region requires must be approved first
+    await clientVerificationService.assertReadyForApproval(client);
+
+    const clientUser = await sendApprovalLogin(client, req.user?.userId);
 
     client.status = "Approved";
     client.approvedAt = new Date();
     client.agentNotes = notes;
     await client.save();
-
-    // let clientUser = await ClientUsers.findOne({ email: clientEmail });
-    // if (!clientUser) {
-    //   clientUser = new ClientUser({
-    //     clientId: client._id,
-    //     username: clientEmail,
-    //     email: clientEmail,
-    //     password,
-    //     role: "client",
-    //     isActive: true,
-    //   });
-    //   await clientUser.save();
-    // } else {
-    //   clientUser.isActive = true;
-    //   await clientUser.save();
-    // }
-
-    const clientUser = await ClientUsers.findOneAndUpdate(
-      { email: clientEmail },
-      {
-        clientId: client._id,
-        username: clientEmail,
-        email: clientEmail,
-        password: hashedPassword,
-        role: "client",
-        isActive: true,
-      },
-      { upsert: true, new: true }
-    );
+    await notificationService.notifyKycDecision(client._id, true, notes, req.user?.userId);
 
     res.json({
       message: "Client approved and email sent successfully",
@@ -302,6 +279,9 @@ exports.clientApprovedMessage = async (req, res) => {
       clientUser,
     });
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.errorCode, details: error.details });
+    }
     console.error("Error approving client:", error);
     res.status(500).json({ message: error.message });
   }
@@ -336,6 +316,7 @@ exports.clientRejectedMessage = async (req, res) => {
     client.rejectedAt = new Date();
     client.agentNotes = notes;
     await client.save();
+    await notificationService.notifyKycDecision(client._id, false, notes, req.user?.userId);
 
     res.json({
       message: "Client rejected and email sent successfully",
@@ -347,15 +328,91 @@ exports.clientRejectedMessage = async (req, res) => {
   }
 };
 
-// Utility: Generate temp password
-function generateTemporaryPassword(length = 8) {
-  const chars =
-    "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789@#$%";
-  return Array.from(
-    { length },
-    () => chars[Math.floor(Math.random() * chars.length)]
-  ).join("");
+/**
+ * Check that agents only reach their assigned clients and regional managers
+ * the clients of their region
+ * @param {Object} user - Authenticated staff member
+ * @param {Object} client - Client document
+ */
+function assertCanAccessClient(user, client) {
+  const assignedTo = [client.assignedAgent, client.assignedReviewer]
+    .filter(Boolean)
+    .map((id) => id.toString());
+
+  const outOfScope =
+    (user.role === "agent" && !assignedTo.includes(user.userId)) ||
+    (user.role === "regional_manager" && user.region && client.region?.toString() !== user.region.toString());
+
+  if (outOfScope) {
+    throw new AppError("Not authorized to assess this client", 403, "ACCESS_DENIED");
+  }
 }
+
+// Get the client's stored risk profile
+exports.getRiskAssessment = async (req, res) => {
+  try {
+    const client = await Client.findById(req.params.id).select(
+      "riskProfile assignedAgent assignedReviewer region personalInfo.fullName"
+    );
+    if (!client) return res.status(404).json({ message: "Client not found" });
+
+    assertCanAccessClient(req.user, client);
+
+    res.json({
+      message: "Risk assessment fetched successfully",
+      data: {
+        clientId: client._id,
+        clientName: client.personalInfo?.fullName,
+        riskProfile: client.riskProfile,
+      },
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.errorCode });
+    }
+    console.error("Error fetching risk assessment:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Score the client with the active scorecard and store the result
+exports.assessRisk = async (req, res) => {
+  try {
+    const client = await Client.findById(req.params.id).select("assignedAgent assignedReviewer region");
+    if (!client) return res.status(404).json({ message: "Client not found" });
+
+    assertCanAccessClient(req.user, client);
+
+    const assessment = await creditScoringService.assessClient(client._id, {
+      loanId: req.body?.loanId,
+      assessedBy: req.user.userId,
+    });
+
+    res.json({ message: "Risk assessment completed successfully", data: assessment });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.errorCode });
+    }
+    console.error("Error assessing client risk:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Make sure an approved client can sign in and email them how
+async function sendApprovalLogin(client, approvedBy) {
+  const { user, temporaryPassword } = await clientAuthService.ensureAccount(client, approvedBy);
+
+  await sendEmail(
+    user.email,
+    "Client approved",
+    temporaryPassword
+      ? `Welcome to Loan Management System.\nYour account has been created.\nUsername: ${user.email}\nPassword: ${temporaryPassword}`
+      : `Welcome to Loan Management System.\nYour account has been approved. Sign in to the PaySync app with your existing password.`
+  );
+
+  return user;
+}
+
 // Get clients assigned to a specific agent
 exports.getAssignedClients = async (req, res) => {
   try {
@@ -451,39 +508,26 @@ exports.approveClientByQuery = async (req, res) => {
     if (!clientEmail)
       return res.status(400).json({ message: "Client email not found" });
 
-    const password = generateTemporaryPassword();
-    await sendEmail(
-      clientEmail,
-      "Client approved",
-      `Welcome to Loan Management System.\nYour account has been created.\nUsername: ${clientEmail}\nPassword: ${password}`
-    );
+    // Every document the client's region requires must be approved first
+    await clientVerificationService.assertReadyForApproval(client);
+
+    const clientUser = await sendApprovalLogin(client, req.user?.userId);
 
     client.status = "Approved";
     client.approvedAt = new Date();
     client.agentNotes = notes;
     await client.save();
-
-    let clientUser = await ClientUser.findOne({ email: clientEmail });
-    if (!clientUser) {
-      clientUser = new ClientUser({
-        clientId: client._id,
-        username: clientEmail,
-        email: clientEmail,
-        password,
-        role: "client",
-        isActive: true,
-      });
-      await clientUser.save();
-    } else {
-      clientUser.isActive = true;
-      await clientUser.save();
-    }
+    await notificationService.notifyKycDecision(client._id, true, notes, req.user?.userId);
 
     res.json({
       message: "Client approved and email sent successfully",
       client,
+      clientUser,
     });
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.errorCode, details: error.details });
+    }
     console.error("Error approving client:", error);
     res.status(500).json({ message: error.message });
   }
@@ -503,6 +547,7 @@ exports.rejectClientByQuery = async (req, res) => {
     client.status = "Rejected";
     client.rejectedAt = new Date();
     await client.save();
+    await notificationService.notifyKycDecision(client._id, false, req.body?.reason, req.user?.userId);
 
     res.json({ message: "Client rejected successfully", client });
   } catch (error) {
@@ -517,11 +562,18 @@ exports.updateClientStatusByQuery = async (req, res) => {
     const client = await Client.findOne({ registrationId: id });
     if (!client) return res.status(404).json({ message: "Client not found" });
 
+    if (status === "Approved") {
+      await clientVerificationService.assertReadyForApproval(client);
+    }
+
     client.status = status;
     await client.save();
 
     res.json({ message: "Client status updated successfully", client });
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.errorCode, details: error.details });
+    }
     res.status(500).json({ message: error.message });
   }
 };
@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Collection Sheet Controller - Field cash collection and end-of-day hand-over
+ * @module controllers/collectionSheetController
+ */
+
+const collectionSheetService = require("../services/collectionSheetService");
+const { AppError } = require("../utils/customErrors");
+const { logger } = require("../utils/logger");
+
+/**
+ * Send an error response in the API error format
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the handler
+ * @param {string} message - Message for unexpected errors
+ */
+const sendError = (res, error, message) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: {
+        code: error.errorCode,
+        message: error.message,
+        details: error.details,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: {
+      code: "INTERNAL_SERVER_ERROR",
+      message,
+      timestamp: new Date().toISOString(),
+    },
+  });
+};
+
+/**
+ * Generate an agent's collection sheet for a day, or return the existing one
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.generateSheet = async (req, res) => {
+  try {
+    const { sheet, created } = await collectionSheetService.generateSheet(req.body, req.user);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created
+        ? `Collection sheet generated with ${sheet.totals.lines} clients`
+        : "Collection sheet already generated for this day",
+      data: { sheet },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error generating collection sheet", error, {
+      userId: req.user.userId,
+      agentId: req.body.agentId,
+    });
+    sendError(res, error, "Error generating collection sheet");
+  }
+};
+
+/**
+ * List collection sheets
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.listSheets = async (req, res) => {
+  try {
+    const { sheets, pagination } = await collectionSheetService.listSheets(req.user, req.query);
+
+    res.json({
+      success: true,
+      data: { sheets, pagination },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error fetching collection sheets", error, { userId: req.user.userId });
+    sendError(res, error, "Error fetching collection sheets");
+  }
+};
+
+/**
+ * Get a collection sheet with its clients and collections
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getSheet = async (req, res) => {
+  try {
+    const sheet = await collectionSheetService.getSheet(req.params.sheetId, req.user);
+
+    res.json({
+      success: true,
+      data: { sheet },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error fetching collection sheet", error, { sheetId: req.params.sheetId });
+    sendError(res, error, "Error fetching collection sheet");
+  }
+};
+
+/**
+ * Record cash collected from a client and issue a receipt
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.recordCollection = async (req, res) => {
+  const { sheetId, lineId } = req.params;
+
+  try {
+    const { sheet, receipt } = await collectionSheetService.recordCollection(sheetId, lineId, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: `Collection recorded, receipt ${receipt.receiptNumber}`,
+      data: {
+        receipt,
+        line: sheet.lines.id(lineId),
+        totals: sheet.totals,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error recording collection", error, { sheetId, lineId });
+    sendError(res, error, "Error recording collection");
+  }
+};
+
+/**
+ * Submit the day's cash hand-over
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.submitHandover = async (req, res) => {
+  try {
+    const sheet = await collectionSheetService.submitHandover(req.params.sheetId, req.body, req.user);
+
+    res.json({
+      success: true,
+      message: "Cash hand-over submitted for reconciliation",
+      data: { sheet },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error submitting cash hand-over", error, { sheetId: req.params.sheetId });
+    sendError(res, error, "Error submitting cash hand-over");
+  }
+};
+
+/**
+ * Reconcile a submitted cash hand-over against the recorded collections
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.reconcileHandover = async (req, res) => {
+  try {
+    const { sheet, verified } = await collectionSheetService.reconcileHandover(
+      req.params.sheetId,
+      req.body,
+      req.user
+    );
+    const { outcome, variance } = sheet.reconciliation;
+
+    res.json({
+      success: true,
+      message: outcome === "shortage"
+        ? `Hand-over reconciled with a shortage of ${Math.abs(variance)}`
+        : `Hand-over reconciled: ${outcome}`,
+      data: { sheet, verified },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error reconciling cash hand-over", error, { sheetId: req.params.sheetId });
+    sendError(res, error, "Error reconciling cash hand-over");
+  }
+};
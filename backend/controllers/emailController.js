@@ -157,7 +157,7 @@ class EmailController {
   // Send custom email
   async sendCustomEmail(req, res, next) {
     try {
-      const { to, subject, content, template, templateData, priority } = req.body;
+      const { to, subject, content, template, templateData, priority, language } = req.body;
 
       // Validate required fields
       if (!to || !subject) {
@@ -172,7 +172,8 @@ class EmailController {
       const emailId = await emailService.sendCustomEmail(to, subject, content, {
         template,
         templateData,
-        priority
+        priority,
+        language
       });
 
       logger.info(`Custom email queued: ${emailId} to ${to}`);
@@ -195,7 +196,7 @@ class EmailController {
   // Get email queue status
   async getQueueStatus(req, res, next) {
     try {
-      const status = emailService.getQueueStatus();
+      const status = await emailService.getQueueStatus();
 
       res.status(200).json({
         success: true,
@@ -215,7 +216,7 @@ class EmailController {
         throw new AppError('Insufficient permissions to clear email queue', 403, 'AUTHORIZATION_ERROR');
       }
 
-      const clearedCount = emailService.clearQueue();
+      const clearedCount = await emailService.clearQueue(req.user.userId);
 
       logger.info(`Email queue cleared by ${req.user.email}. Cleared ${clearedCount} emails`);
 
@@ -231,6 +232,77 @@ class EmailController {
     }
   }
 
+  // List email outbox jobs
+  async listJobs(req, res, next) {
+    try {
+      const { status, to, page = 1, limit = 20 } = req.query;
+
+      const result = await emailService.listJobs({
+        status,
+        to,
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10)
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Email jobs retrieved successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get a single email outbox job
+  async getJob(req, res, next) {
+    try {
+      const emailJob = await emailService.findJob(req.params.jobId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Email job retrieved successfully',
+        data: emailJob
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Requeue a failed or cancelled email job
+  async retryJob(req, res, next) {
+    try {
+      const emailJob = await emailService.retryJob(req.params.jobId);
+
+      logger.info(`Email job ${emailJob.jobId} requeued by ${req.user.email}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Email job requeued successfully',
+        data: emailJob
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Cancel an email job that has not been sent
+  async cancelJob(req, res, next) {
+    try {
+      const emailJob = await emailService.cancelJob(req.params.jobId, req.user.userId);
+
+      logger.info(`Email job ${emailJob.jobId} cancelled by ${req.user.email}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Email job cancelled successfully',
+        data: emailJob
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // Bulk send loan status notifications
   async bulkSendLoanNotifications(req, res, next) {
     try {
@@ -311,7 +383,7 @@ class EmailController {
   // Test email functionality
   async testEmail(req, res, next) {
     try {
-      const { to, template } = req.body;
+      const { to, template, language } = req.body;
 
       if (!to) {
         throw new AppError('Recipient email is required for testing', 400, 'VALIDATION_ERROR');
@@ -335,7 +407,8 @@ class EmailController {
       const emailId = await emailService.sendCustomEmail(to, 'Test Email - PaySync', null, {
         template: testTemplate,
         templateData: testData,
-        priority: 'normal'
+        priority: 'normal',
+        language
       });
 
       logger.info(`Test email queued: ${emailId} to ${to}`);
@@ -347,6 +420,7 @@ class EmailController {
           emailId,
           to,
           template: testTemplate,
+          language: language || 'en',
           testData
         }
       });
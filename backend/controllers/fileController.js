@@ -1,4 +1,5 @@
 const fileService = require('../services/fileService');
+const clientVerificationService = require('../services/clientVerificationService');
 const { AppError } = require('../utils/customErrors');
 const logger = require('../utils/logger');
 const { PERMISSIONS } = require('../utils/permissions');
@@ -352,6 +353,7 @@ exports.uploadClientDocuments = async (req, res) => {
       throw new AppError('No documents provided', 400, 'NO_DOCUMENTS_PROVIDED');
     }
 
+    const client = await clientVerificationService.findClient(clientId);
     const uploadResults = {};
     const allowedDocuments = ['idCard', 'employmentLetter', 'incomeProof', 'addressProof'];
 
@@ -371,6 +373,12 @@ exports.uploadClientDocuments = async (req, res) => {
       });
 
       uploadResults[docType] = result;
+
+      // Add the document to the client's verification checklist for review
+      await clientVerificationService.addDocument(client, {
+        type: docType,
+        url: result.url
+      }, req.user.userId);
     }
 
     // Log successful upload
@@ -387,6 +395,7 @@ exports.uploadClientDocuments = async (req, res) => {
       data: {
         clientId,
         documents: uploadResults,
+        completionPercentage: client.verificationStatus.documents.completionPercentage,
         uploadedAt: new Date(),
         uploadedBy: req.user.userId
       }
@@ -0,0 +1,291 @@
+/**
+ * @fileoverview Guarantor Controller - Guarantor records, consent and document verification
+ * @module controllers/guarantorController
+ */
+
+const mongoose = require("mongoose");
+const Loan = require("../models/Loan");
+const guarantorService = require("../services/guarantorService");
+const { AppError, NotFoundError } = require("../utils/customErrors");
+const { logger } = require("../utils/logger");
+
+/**
+ * Send an error response in the API error format
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the handler
+ * @param {string} message - Message for unexpected errors
+ */
+const sendError = (res, error, message) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: {
+        code: error.errorCode,
+        message: error.message,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: {
+      code: "INTERNAL_SERVER_ERROR",
+      message,
+      timestamp: new Date().toISOString(),
+    },
+  });
+};
+
+/**
+ * Find a loan by MongoDB ID or loan application ID
+ * @param {string} loanId - Loan ID
+ * @returns {Promise<Object>} Loan document
+ */
+const findLoan = async (loanId) => {
+  const loan = await Loan.findOne(
+    mongoose.Types.ObjectId.isValid(loanId) ? { _id: loanId } : { loanApplicationId: loanId }
+  );
+  if (!loan) {
+    throw new NotFoundError("Loan", loanId);
+  }
+  return loan;
+};
+
+/**
+ * List guarantors, optionally searching by name, NIC or phone number
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.listGuarantors = async (req, res) => {
+  try {
+    const { grantors, pagination } = await guarantorService.listGrantors({
+      search: req.query.search,
+      page: parseInt(req.query.page, 10) || 1,
+      limit: parseInt(req.query.limit, 10) || 10,
+    });
+
+    res.json({
+      success: true,
+      data: { guarantors: grantors, pagination },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error fetching guarantors", error, { userId: req.user.userId });
+    sendError(res, error, "Error fetching guarantors");
+  }
+};
+
+/**
+ * Look up a guarantor on file by NIC number, with their current exposure,
+ * so an application can reuse the record
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.lookupByNic = async (req, res) => {
+  try {
+    const grantor = await guarantorService.findByNic(req.query.nic);
+    if (!grantor) {
+      throw new NotFoundError("Guarantor", req.query.nic);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        guarantor: grantor,
+        exposure: await guarantorService.getExposure(grantor),
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error looking up guarantor", error, { userId: req.user.userId });
+    sendError(res, error, "Error looking up guarantor");
+  }
+};
+
+/**
+ * Get a guarantor with the loans they guarantee
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getGuarantor = async (req, res) => {
+  try {
+    const grantor = await guarantorService.findGrantor(req.params.id);
+
+    res.json({
+      success: true,
+      data: {
+        guarantor: grantor,
+        exposure: await guarantorService.getExposure(grantor),
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error fetching guarantor", error, { id: req.params.id });
+    sendError(res, error, "Error fetching guarantor");
+  }
+};
+
+/**
+ * Register a guarantor
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createGuarantor = async (req, res) => {
+  try {
+    const grantor = await guarantorService.createGrantor(req.body, req.user.userId);
+
+    res.status(201).json({
+      success: true,
+      message: "Guarantor registered successfully",
+      data: { guarantor: grantor },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error registering guarantor", error, { userId: req.user.userId });
+    sendError(res, error, "Error registering guarantor");
+  }
+};
+
+/**
+ * Update a guarantor's details
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateGuarantor = async (req, res) => {
+  try {
+    const grantor = await guarantorService.updateGrantor(req.params.id, req.body, req.user.userId);
+
+    res.json({
+      success: true,
+      message: "Guarantor updated successfully",
+      data: { guarantor: grantor },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error updating guarantor", error, { id: req.params.id });
+    sendError(res, error, "Error updating guarantor");
+  }
+};
+
+/**
+ * Delete a guarantor who is not named on any loan
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deleteGuarantor = async (req, res) => {
+  try {
+    await guarantorService.deleteGrantor(req.params.id, req.user.userId);
+
+    res.json({
+      success: true,
+      message: "Guarantor deleted successfully",
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error deleting guarantor", error, { id: req.params.id });
+    sendError(res, error, "Error deleting guarantor");
+  }
+};
+
+/**
+ * Attach an uploaded identity or employment document to a guarantor
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.addDocument = async (req, res) => {
+  try {
+    const grantor = await guarantorService.addDocument(req.params.id, req.body, req.user.userId);
+
+    res.status(201).json({
+      success: true,
+      message: "Guarantor document added successfully",
+      data: { verificationStatus: grantor.verificationStatus },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error adding guarantor document", error, { id: req.params.id });
+    sendError(res, error, "Error adding guarantor document");
+  }
+};
+
+/**
+ * Verify or reject a guarantor's identity or employment documents
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateVerification = async (req, res) => {
+  try {
+    const { category, verified, reason } = req.body;
+    const grantor = await guarantorService.updateVerification(
+      req.params.id,
+      category,
+      verified,
+      req.user.userId,
+      reason || ""
+    );
+
+    res.json({
+      success: true,
+      message: "Guarantor verification status updated successfully",
+      data: { verificationStatus: grantor.verificationStatus },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error updating guarantor verification", error, {
+      id: req.params.id,
+      category: req.body.category,
+    });
+    sendError(res, error, "Error updating guarantor verification");
+  }
+};
+
+/**
+ * Send the guarantor a one-time code to confirm their consent to a loan
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.requestConsentOtp = async (req, res) => {
+  try {
+    const loan = await findLoan(req.params.loanId);
+    const result = await guarantorService.requestConsentOtp(req.params.id, loan, req.user.userId);
+
+    res.json({
+      success: true,
+      message: `Consent code sent by ${result.channel}`,
+      data: result,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error sending guarantor consent code", error, {
+      id: req.params.id,
+      loanId: req.params.loanId,
+    });
+    sendError(res, error, "Error sending guarantor consent code");
+  }
+};
+
+/**
+ * Record a guarantor's consent to a loan by code or signed form
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.confirmConsent = async (req, res) => {
+  try {
+    const loan = await findLoan(req.params.loanId);
+    const consent = await guarantorService.confirmConsent(req.params.id, loan, req.body, req.user.userId);
+
+    res.json({
+      success: true,
+      message: "Guarantor consent recorded successfully",
+      data: { consent },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error recording guarantor consent", error, {
+      id: req.params.id,
+      loanId: req.params.loanId,
+    });
+    sendError(res, error, "Error recording guarantor consent");
+  }
+};
@@ -7,19 +7,55 @@ const mongoose = require("mongoose");
 const Loan = require("../models/Loan");
 const Client = require("../models/Client");
 const Staff = require("../models/Staff");
-const Grantor = require('../models/Grantor'); // Your Grantor model (not directly used here, but available)
 const Payment = require('../models/Payment');
 const sendEmail = require("../utils/sendEmail");
 const emailService = require("../services/emailService");
 const {
   validateLoanApplication,
   validateLoanStatusUpdate,
-  calculateMonthlyPayment,
 } = require("../validation/businessRules");
 const LoanRepository = require("../repositories/LoanRepository");
+const { calculateLoanSummary } = require("../utils/interestCalculator");
+const scheduleService = require("../services/scheduleService");
+const paymentVerificationService = require("../services/paymentVerificationService");
+const settlementService = require("../services/settlementService");
+const paymentDocumentService = require("../services/paymentDocumentService");
+const restructureService = require("../services/restructureService");
+const disbursementService = require("../services/disbursementService");
+const guarantorService = require("../services/guarantorService");
+const approvalWorkflowService = require("../services/approvalWorkflowService");
+const creditScoringService = require("../services/creditScoringService");
+const RepaymentSchedule = require("../models/RepaymentSchedule");
 const { AppError } = require("../utils/customErrors");
 const { logger } = require("../utils/logger");
 
+// Map API status values onto the Loan schema enum
+const LOAN_STATUS_VALUES = {
+  pending: "Pending",
+  under_review: "Under Review",
+  approved: "Approved",
+  rejected: "Rejected",
+  active: "Active",
+  completed: "Completed",
+  defaulted: "Defaulted",
+};
+// Map review status values onto approval chain decisions
+const REVIEW_DECISIONS = {
+  approved: "approve",
+  rejected: "reject",
+};
+
+// Find a loan by ObjectId or loan application ID among the loans the staff
+// member works on, as for the payment verification queue
+const findScopedLoan = (loanId, user) => {
+  const byId = mongoose.Types.ObjectId.isValid(loanId)
+    ? { _id: loanId }
+    : { loanApplicationId: loanId };
+  const scope = paymentVerificationService.getLoanScope(user);
+
+  return Loan.findOne(scope ? { $and: [byId, scope] } : byId);
+};
+
 /**
  * Create a new loan application with enhanced validation and workflow
  * @async
@@ -31,7 +67,8 @@ const { logger } = require("../utils/logger");
  * @param {number} req.body.loanTerm - Loan term in months
  * @param {number} req.body.interestRate - Annual interest rate percentage
  * @param {string} req.body.purpose - Purpose of the loan
- * @param {Object} req.body.guarantorInfo - Guarantor information
+ * @param {Object} req.body.guarantorInfo - Guarantor details, or { grantorId, relationship } for one on file
+ * @param {Object} [req.body.secondaryGuarantorInfo] - Second guarantor, same shape
  * @param {Object} req.user - Authenticated user from middleware
  * @param {Object} res - Express response object
  * @returns {Promise<void>} JSON response with loan creation result
@@ -297,6 +334,7 @@ exports.createLoanApplication = async (req, res) => {
           code: "BUSINESS_RULE_VIOLATION",
           message: "Loan application violates business rules",
           details: validation.errors,
+          affordability: validation.affordability,
           timestamp: new Date().toISOString(),
         },
       });
@@ -310,80 +348,41 @@ exports.createLoanApplication = async (req, res) => {
       throw new AppError("Client not found", 404, "CLIENT_NOT_FOUND");
     }
 
+    // Price the loan from its product unless staff entered a rate
+    const { pricing } = validation;
+    if (pricing) {
+      loanData.interestRate = pricing.interestRate;
+      loanData.interestMethod = pricing.interestMethod;
+      loanData.repaymentFrequency = pricing.repaymentFrequency;
+      loanData.loanProduct = pricing.productTerms.productId;
+      loanData.fees = pricing.fees;
+    }
+
     // Calculate monthly payment and total payable amount
-    const monthlyPayment = calculateMonthlyPayment(
-      loanData.loanAmount,
-      loanData.interestRate || 12, // Default 12% if not provided
-      loanData.loanTerm
-    );
-    const totalPayableAmount = monthlyPayment * loanData.loanTerm;
+    const interestSummary = calculateLoanSummary({
+      principal: loanData.loanAmount,
+      annualRate: loanData.interestRate || 12, // Default 12% if not provided
+      termMonths: loanData.loanTerm,
+      method: loanData.interestMethod,
+      frequency: loanData.repaymentFrequency,
+    });
+    const monthlyPayment = interestSummary.installmentAmount;
+    const totalPayableAmount = interestSummary.totalPayable;
+    loanData.interestMethod = interestSummary.method;
 
     // Generate unique loan application ID
     const loanApplicationId = await generateLoanApplicationId();
 
-    // Handle guarantor creation (integrating Grantor model)
-    let primaryGuarantorId = null;
-    let secondaryGuarantorId = null;
-
-    // Create primary guarantor if provided
-    if (loanData.primaryGuarantor) {
-      const { name, id, phoneNumber } = loanData.primaryGuarantor;
-      if (!name || !id || !phoneNumber) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "INVALID_INPUT",
-            message: "Primary guarantor must include name, id, and phoneNumber",
-            timestamp: new Date().toISOString(),
-          },
-        });
-      }
-      const primaryGuarantor = new Grantor({
-        grantorId: `GR${Date.now()}${Math.random().toString(36).substr(2, 5).toUpperCase()}`, // Generate unique ID
-        personalInfo: {
-          fullName: name,
-          contactNumber: phoneNumber,
-        },
-        identityVerification: {
-          idType: "NIC", // Default; adjust if needed
-          idNumber: id,
-        },
-        // Other fields (e.g., employmentDetails) left empty
-      });
-      await primaryGuarantor.save();
-      primaryGuarantorId = primaryGuarantor._id;
-      logger.info("Primary guarantor created", { grantorId: primaryGuarantor.grantorId });
-    }
-
-    // Create secondary guarantor if provided
-    if (loanData.secondaryGuarantor) {
-      const { name, id, phoneNumber } = loanData.secondaryGuarantor;
-      if (!name || !id || !phoneNumber) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "INVALID_INPUT",
-            message: "Secondary guarantor must include name, id, and phoneNumber",
-            timestamp: new Date().toISOString(),
-          },
-        });
+    // Reuse guarantors already on file (matched by NIC number) or register new ones
+    const guarantors = [];
+    for (const [role, info] of [["primary", loanData.guarantorInfo], ["secondary", loanData.secondaryGuarantorInfo]]) {
+      if (info) {
+        const grantor = await guarantorService.resolveForLoan(info, user.userId);
+        guarantors.push({ role, relationship: info.relationship, grantor });
       }
-      const secondaryGuarantor = new Grantor({
-        grantorId: `GR${Date.now()}${Math.random().toString(36).substr(2, 5).toUpperCase()}`, // Generate unique ID
-        personalInfo: {
-          fullName: name,
-          contactNumber: phoneNumber,
-        },
-        identityVerification: {
-          idType: "NIC", // Default; adjust if needed
-          idNumber: id,
-        },
-        // Other fields (e.g., employmentDetails) left empty
-      });
-      await secondaryGuarantor.save();
-      secondaryGuarantorId = secondaryGuarantor._id;
-      logger.info("Secondary guarantor created", { grantorId: secondaryGuarantor.grantorId });
     }
+    const primaryGuarantorId = guarantors.find((item) => item.role === "primary")?.grantor._id || null;
+    const secondaryGuarantorId = guarantors.find((item) => item.role === "secondary")?.grantor._id || null;
 
     // Create loan with enhanced workflow tracking (integrating Loan model)
     const newLoan = new Loan({
@@ -392,8 +391,8 @@ exports.createLoanApplication = async (req, res) => {
       monthlyInstallment: monthlyPayment,
       totalPayableAmount,
       loanStatus: "pending",
-      primaryGuarantor: primaryGuarantorId, // Link to created Grantor
-      secondaryGuarantor: secondaryGuarantorId, // Link to created Grantor
+      primaryGuarantor: primaryGuarantorId,
+      secondaryGuarantor: secondaryGuarantorId,
       payments: [], // Initialize empty array for future Payment refs
 
       // Assign to agent and regional manager from client
@@ -456,8 +455,30 @@ exports.createLoanApplication = async (req, res) => {
       createdBy: user.userId,
     });
 
+    // Resolve the region's approval chain and enter its first tier
+    await approvalWorkflowService.startApproval(newLoan, user.userId);
+
     await newLoan.save();
 
+    // Each guarantor has to confirm their consent before final approval
+    for (const { grantor, relationship } of guarantors) {
+      await guarantorService.attachToLoan(grantor, newLoan, relationship, user.userId);
+    }
+
+    // Score the application; approvers see the score, but a failed assessment
+    // does not block the application
+    try {
+      await creditScoringService.assessClient(client._id, {
+        loanId: newLoan._id,
+        assessedBy: user.userId,
+      });
+    } catch (scoringError) {
+      logger.error("Failed to assess client risk", scoringError, {
+        loanId: newLoan._id,
+        clientId: client._id,
+      });
+    }
+
     // Send notification to assigned agent
     if (client.assignedAgent?.personalInfo?.email) {
       try {
@@ -491,6 +512,8 @@ exports.createLoanApplication = async (req, res) => {
         loanId: newLoan._id,
         loanApplicationId,
         monthlyPayment,
+        repaymentFrequency: interestSummary.frequency,
+        installmentCount: interestSummary.installmentCount,
         totalPayableAmount,
         primaryGuarantorId,
         secondaryGuarantorId,
@@ -693,18 +716,14 @@ exports.getAgentLoans = async (req, res) => {
       updatedAt: loan.updatedAt,
       interestRate: loan.interestRate,
       termMonths: loan.loanTerm,
+      repaymentFrequency: loan.repaymentFrequency,
       monthlyPayment: loan.monthlyInstallment,
       totalPayableAmount: loan.totalPayableAmount,
       product: loan.product,
       purpose: loan.purpose,
 
       // Payment information
-      totalPaid:
-        loan.paymentHistory?.reduce(
-          (sum, payment) =>
-            payment.status === "approved" ? sum + payment.amount : sum,
-          0
-        ) || 0,
+      totalPaid: loan.calculatedFields?.totalPaid || 0,
       remainingBalance:
         loan.calculatedFields?.remainingBalance || loan.loanAmount,
       nextPaymentDate: loan.calculatedFields?.nextPaymentDate,
@@ -789,8 +808,7 @@ exports.getLoanById = async (req, res) => {
     const loan = await Loan.findOne({ loanApplicationId: id })
       .populate("clientUserId")
       .populate("agentReview.reviewedBy", "name email")
-      .populate("regionalAdminApproval.approvedBy", "name email")
-      .populate("paymentHistory.approvedBy", "name email");
+      .populate("regionalAdminApproval.approvedBy", "name email");
 
     if (!loan) {
       return res.status(404).json({ message: "Loan not found" });
@@ -832,71 +850,23 @@ exports.agentReviewLoan = async (req, res) => {
       throw new AppError("Loan not found", 404, "LOAN_NOT_FOUND");
     }
 
-    // Verify agent has permission to review this loan
-    if (loan.assignedAgent?._id.toString() !== user.userId) {
-      throw new AppError(
-        "Not authorized to review this loan",
-        403,
-        "UNAUTHORIZED_REVIEW"
-      );
+    const decision = REVIEW_DECISIONS[status?.toLowerCase()];
+    if (!decision) {
+      throw new AppError("Invalid review status", 400, "INVALID_STATUS");
     }
 
-    // Validate current workflow stage
-    if (
-      loan.workflowState.currentStage !== "application_submitted" &&
-      loan.agentReview.status !== "pending"
-    ) {
-      throw new AppError(
-        "Loan is not in a reviewable state",
-        400,
-        "INVALID_WORKFLOW_STATE"
-      );
+    if (rating) {
+      loan.agentReview.rating = rating;
     }
 
-    // Update agent review
-    loan.agentReview = {
-      reviewedBy: user.userId,
-      reviewDate: new Date(),
-      status: status.toLowerCase(),
+    // Role, assignment and stage checks are enforced by the approval chain
+    const result = await approvalWorkflowService.decide(loan, user.userId, {
+      decision,
       comments,
-      rating: rating || null,
-      assignedTo: user.userId,
-    };
-
-    // Update workflow state and loan status
-    let newWorkflowStage;
-    let newLoanStatus;
-
-    if (status.toLowerCase() === "approved") {
-      newWorkflowStage = "agent_approved";
-      newLoanStatus = "under_review"; // Ready for regional manager approval
-    } else if (status.toLowerCase() === "rejected") {
-      newWorkflowStage = "agent_rejected";
-      newLoanStatus = "rejected";
-    } else {
-      throw new AppError("Invalid review status", 400, "INVALID_STATUS");
-    }
-
-    // Advance workflow stage
-    loan.advanceWorkflowStage(newWorkflowStage, user.userId, comments);
-    loan.loanStatus = newLoanStatus;
-
-    // Add audit trail entry
-    loan.auditTrail.push({
-      action: `agent_review_${status.toLowerCase()}`,
-      performedBy: user.userId,
-      timestamp: new Date(),
-      changes: {
-        agentReviewStatus: status.toLowerCase(),
-        workflowStage: newWorkflowStage,
-        loanStatus: newLoanStatus,
-      },
       ipAddress: req.ip,
       userAgent: req.get("User-Agent"),
-      comments,
     });
-
-    await loan.save();
+    const newWorkflowStage = result.nextStage;
 
     // Send notifications
     const client = loan.clientUserId;
@@ -920,7 +890,9 @@ exports.agentReviewLoan = async (req, res) => {
           
           ${
             status.toLowerCase() === "approved"
-              ? "Your application will now be reviewed by the regional manager for final approval."
+              ? result.isFinal
+                ? "Your application has been approved."
+                : "Your application will now be reviewed by the next approver."
               : "Please contact your agent for more information about reapplying."
           }
           
@@ -937,8 +909,8 @@ exports.agentReviewLoan = async (req, res) => {
       }
     }
 
-    // Notify regional manager if approved
-    if (status.toLowerCase() === "approved" && loan.assignedRegionalManager) {
+    // Notify regional manager if the application moved to their tier
+    if (newWorkflowStage === "regional_approval" && loan.assignedRegionalManager) {
       try {
         const regionalManager = await Staff.findById(
           loan.assignedRegionalManager
@@ -981,9 +953,10 @@ exports.agentReviewLoan = async (req, res) => {
       data: {
         loan,
         workflowStage: newWorkflowStage,
+        approvalChain: approvalWorkflowService.getApprovalChain(loan),
         nextStep:
           status.toLowerCase() === "approved"
-            ? "regional_manager_approval"
+            ? newWorkflowStage
             : "application_closed",
       },
       timestamp: new Date().toISOString(),
@@ -1285,100 +1258,20 @@ exports.regionalManagerApproval = async (req, res) => {
       throw new AppError("Loan not found", 404, "LOAN_NOT_FOUND");
     }
 
-    // Verify regional manager has permission
-    if (loan.assignedRegionalManager?._id.toString() !== user.userId) {
-      throw new AppError(
-        "Not authorized to approve this loan",
-        403,
-        "UNAUTHORIZED_APPROVAL"
-      );
-    }
-
-    // Validate current workflow state
-    if (
-      loan.workflowState.currentStage !== "agent_approved" ||
-      loan.agentReview.status !== "approved"
-    ) {
-      throw new AppError(
-        "Loan must be approved by agent first",
-        400,
-        "INVALID_WORKFLOW_STATE"
-      );
-    }
-
-    // Perform business rule validation for status update
-    const validation = await validateLoanStatusUpdate(
-      loan._id,
-      status.toLowerCase(),
-      user
-    );
-    if (!validation.isValid) {
-      logger.warn("Loan status update validation failed", {
-        loanId: loan._id,
-        errors: validation.errors,
-      });
-
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: "BUSINESS_RULE_VIOLATION",
-          message: "Loan status update violates business rules",
-          details: validation.errors,
-          timestamp: new Date().toISOString(),
-        },
-      });
+    const decision = REVIEW_DECISIONS[status?.toLowerCase()];
+    if (!decision) {
+      throw new AppError("Invalid approval status", 400, "INVALID_STATUS");
     }
 
-    // Update regional admin approval
-    loan.regionalAdminApproval = {
-      approvedBy: user.userId,
-      approvalDate: new Date(),
-      status: status.toLowerCase(),
+    // Role, region, stage and approval limit checks are enforced by the approval chain
+    const result = await approvalWorkflowService.decide(loan, user.userId, {
+      decision,
       comments,
       conditions: conditions || [],
-      assignedTo: user.userId,
-    };
-
-    // Update workflow state and loan status
-    let newWorkflowStage;
-    let newLoanStatus;
-
-    if (status.toLowerCase() === "approved") {
-      newWorkflowStage = "regional_approved";
-      newLoanStatus = "approved";
-
-      // Set next payment date (first payment due in 30 days)
-      loan.calculatedFields.nextPaymentDate = new Date(
-        Date.now() + 30 * 24 * 60 * 60 * 1000
-      );
-    } else if (status.toLowerCase() === "rejected") {
-      newWorkflowStage = "regional_rejected";
-      newLoanStatus = "rejected";
-    } else {
-      throw new AppError("Invalid approval status", 400, "INVALID_STATUS");
-    }
-
-    // Advance workflow stage
-    loan.advanceWorkflowStage(newWorkflowStage, user.userId, comments);
-    loan.loanStatus = newLoanStatus;
-
-    // Add audit trail entry
-    loan.auditTrail.push({
-      action: `regional_approval_${status.toLowerCase()}`,
-      performedBy: user.userId,
-      timestamp: new Date(),
-      changes: {
-        regionalApprovalStatus: status.toLowerCase(),
-        workflowStage: newWorkflowStage,
-        loanStatus: newLoanStatus,
-        conditions: conditions || [],
-      },
       ipAddress: req.ip,
       userAgent: req.get("User-Agent"),
-      comments,
     });
-
-    await loan.save();
+    const newWorkflowStage = result.nextStage;
 
     // Send notifications
     const client = loan.clientUserId;
@@ -1392,7 +1285,9 @@ exports.regionalManagerApproval = async (req, res) => {
           
           Your loan application ${
             loan.loanApplicationId
-          } has been ${status.toLowerCase()} by the regional manager.
+          } has been ${
+            result.isFinal ? status.toLowerCase() : "recommended for approval"
+          } by the regional manager.
           
           Application Details:
           - Loan Amount: Rs. ${loan.loanAmount.toLocaleString()}
@@ -1401,7 +1296,12 @@ exports.regionalManagerApproval = async (req, res) => {
           ${comments ? `- Manager Comments: ${comments}` : ""}
         `;
 
-        if (status.toLowerCase() === "approved") {
+        if (status.toLowerCase() === "approved" && !result.isFinal) {
+          emailMessage += `
+          
+          Your application has been forwarded for final approval.
+          `;
+        } else if (status.toLowerCase() === "approved") {
           emailMessage += `
           
           Congratulations! Your loan has been approved. 
@@ -1452,7 +1352,7 @@ exports.regionalManagerApproval = async (req, res) => {
           } has been ${status.toLowerCase()} by the regional manager.
            ${comments ? `Comments: ${comments}` : ""}
            ${
-             status.toLowerCase() === "approved"
+             newWorkflowStage === "agreement_generation"
                ? "You can now proceed with agreement generation."
                : ""
            }`
@@ -1476,9 +1376,10 @@ exports.regionalManagerApproval = async (req, res) => {
       data: {
         loan,
         workflowStage: newWorkflowStage,
+        approvalChain: approvalWorkflowService.getApprovalChain(loan),
         nextStep:
           status.toLowerCase() === "approved"
-            ? "agreement_generation"
+            ? newWorkflowStage
             : "application_closed",
       },
       timestamp: new Date().toISOString(),
@@ -1527,8 +1428,8 @@ exports.regionalManagerApproval = async (req, res) => {
  * @example
  * // PUT /api/loans/:loanId/status
  * {
- *   "status": "approved",
- *   "comments": "Loan approved after thorough review"
+ *   "status": "defaulted",
+ *   "reason": "No payments received for six months"
  * }
  *
  * @example
@@ -1539,7 +1440,7 @@ exports.regionalManagerApproval = async (req, res) => {
  *   "data": {
  *     "loan": {
  *       "_id": "507f1f77bcf86cd799439012",
- *       "loanStatus": "approved",
+ *       "loanStatus": "Defaulted",
  *       "auditTrail": [...]
  *     }
  *   }
@@ -1584,15 +1485,11 @@ exports.updateLoanStatus = async (req, res) => {
     }
 
     const oldStatus = loan.loanStatus;
-    loan.loanStatus = status.toLowerCase();
+    loan.loanStatus = LOAN_STATUS_VALUES[status.toLowerCase()] || status;
 
-    // Update calculated fields based on new status
-    if (status.toLowerCase() === "active") {
-      loan.calculatedFields.nextPaymentDate = new Date(
-        Date.now() + 30 * 24 * 60 * 60 * 1000
-      );
-      loan.disbursementDate = new Date();
-    } else if (status.toLowerCase() === "completed") {
+    // Update calculated fields based on new status. Approved loans become
+    // active through disbursement, which also creates the schedule.
+    if (status.toLowerCase() === "completed") {
       loan.calculatedFields.remainingBalance = 0;
       loan.completionDate = new Date();
     }
@@ -1694,30 +1591,41 @@ exports.updateLoanStatus = async (req, res) => {
   }
 };
 
-// Add payment to loan
+// Payment methods of the staff payment form, as stored on Payment
+const PAYMENT_METHODS = {
+  cash: "cash_deposit",
+  bank_transfer: "bank_transfer",
+  mobile_money: "mobile_payment",
+  check: "cheque",
+};
+
+// Record a payment collected by staff; it joins the verification queue
 exports.addPayment = async (req, res) => {
   try {
     const { loanId } = req.params;
-    const paymentData = req.body;
+    const { amount, paymentDate, paymentMethod, reference, notes } = req.body;
 
-    const loan = await Loan.findOne({ loanApplicationId: loanId });
+    const loan = await Loan.findOne(
+      mongoose.Types.ObjectId.isValid(loanId)
+        ? { _id: loanId }
+        : { loanApplicationId: loanId }
+    );
     if (!loan) {
       return res.status(404).json({ message: "Loan not found" });
     }
 
-    // Generate payment ID
-    const paymentId = `P${loanId}${String(
-      loan.paymentHistory.length + 1
-    ).padStart(3, "0")}`;
-
-    const payment = {
-      paymentId,
-      ...paymentData,
-      status: "Pending",
-    };
-
-    loan.paymentHistory.push(payment);
-    await loan.save();
+    const payment = new Payment({
+      loanId: loan._id,
+      clientId: loan.clientUserId,
+      paymentAmount: amount,
+      paymentDate,
+      paymentMethod: PAYMENT_METHODS[paymentMethod],
+      referenceNumber: reference,
+      notes,
+      status: "pending_verification",
+    });
+    payment.addAuditEntry("recorded", req.user.userId, { amount, paymentMethod });
+    await payment.save();
 
     res.json({
       message: "Payment added successfully",
@@ -1736,22 +1644,30 @@ exports.getPaymentHistory = async (req, res) => {
   try {
     const { loanId } = req.params;
 
-    const loan = await Loan.findOne({ loanApplicationId: loanId }).populate(
-      "paymentHistory.approvedBy",
-      "name email"
+    const loan = await Loan.findOne(
+      mongoose.Types.ObjectId.isValid(loanId)
+        ? { _id: loanId }
+        : { loanApplicationId: loanId }
     );
 
     if (!loan) {
       return res.status(404).json({ message: "Loan not found" });
     }
 
+    const payments = await Payment.find({ loanId: loan._id })
+      .populate("verifiedBy", "name email")
+      .populate("agentVerification.verifiedBy", "name email")
+      .sort({ paymentDate: -1 });
+
     res.json({
       message: "Payment history fetched successfully",
-      payments: loan.paymentHistory,
+      payments,
       loanInfo: {
         loanApplicationId: loan.loanApplicationId,
         monthlyInstallment: loan.monthlyInstallment,
         totalPayableAmount: loan.totalPayableAmount,
+        totalPaid: loan.calculatedFields?.totalPaid || 0,
+        remainingBalance: loan.calculatedFields?.remainingBalance,
       },
     });
   } catch (error) {
@@ -1762,82 +1678,1147 @@ exports.getPaymentHistory = async (req, res) => {
   }
 };
 
-// Search loans
-exports.searchLoans = async (req, res) => {
+/**
+ * Get the persisted repayment schedule of a loan
+ * @async
+ * @function getLoanSchedule
+ * @param {Object} req - Express request object
+ * @param {string} req.params.loanId - Loan ObjectId or loan application ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the installment schedule
+ *
+ * @example
+ * // GET /api/loans/:loanId/schedule
+ *
+ * @example
+ * // Success Response (200)
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "loanId": "507f1f77bcf86cd799439012",
+ *     "schedule": {
+ *       "version": 1,
+ *       "nextDue": { "installmentNumber": 3, "dueDate": "...", "amount": 8884.88 },
+ *       "installments": [...]
+ *     }
+ *   }
+ * }
+ */
+exports.getLoanSchedule = async (req, res) => {
   try {
-    const { query, agentId } = req.query;
+    const { loanId } = req.params;
 
-    // Find clients assigned to this agent
-    const agentClients = await Client.find({ assignedReviewer: agentId });
-    const clientIds = agentClients.map((client) => client._id);
+    const loan = await findScopedLoan(loanId, req.user);
 
-    const searchQuery = {
-      clientUserId: { $in: clientIds },
-      $or: [
-        { loanApplicationId: { $regex: query, $options: "i" } },
-        { product: { $regex: query, $options: "i" } },
-        { purpose: { $regex: query, $options: "i" } },
-      ],
-    };
+    if (!loan) {
+      throw new AppError("Loan not found", 404, "LOAN_NOT_FOUND");
+    }
 
-    const loans = await Loan.find(searchQuery)
-      .populate("clientUserId", "personalInfo registrationId")
-      .sort({ createdAt: -1 })
-      .limit(20);
+    const schedule = await scheduleService.getCurrentSchedule(loan._id);
+    if (!schedule) {
+      throw new AppError(
+        "Repayment schedule is created when the loan becomes active",
+        404,
+        "SCHEDULE_NOT_FOUND"
+      );
+    }
 
     res.json({
-      message: "Search results fetched successfully",
-      loans,
+      success: true,
+      message: "Repayment schedule fetched successfully",
+      data: {
+        loanId: loan._id,
+        loanApplicationId: loan.loanApplicationId,
+        loanStatus: loan.loanStatus,
+        schedule: scheduleService.formatSchedule(schedule),
+      },
+      timestamp: new Date().toISOString(),
     });
   } catch (error) {
+    logger.error("Error fetching repayment schedule", error, {
+      loanId: req.params.loanId,
+      userId: req.user?.userId,
+    });
+
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.errorCode,
+          message: error.message,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+
     res.status(500).json({
-      message: "Error searching loans",
-      error: error.message,
+      success: false,
+      error: {
+        code: "INTERNAL_SERVER_ERROR",
+        message: "Error fetching repayment schedule",
+        timestamp: new Date().toISOString(),
+      },
     });
   }
 };
 
-// Get all loans (for useLoanData hook)
-exports.getAllLoans = async (req, res) => {
+/**
+ * Verify a submitted payment. Payments above the region's approval threshold
+ * first wait for the regional manager; others are allocated to the loan's
+ * installments straight away.
+ * @async
+ * @function verifyPayment
+ * @param {Object} req - Express request object
+ * @param {string} req.params.loanId - Loan ObjectId or loan application ID
+ * @param {string} req.params.paymentId - Payment ObjectId or payment ID
+ * @param {Object} req.body - Verification data (notes, allocationOrder)
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the allocation and updated balances
+ *
+ * @example
+ * // PUT /api/loans/:loanId/payments/:paymentId/verify
+ * {
+ *   "notes": "Matched against bank statement",
+ *   "allocationOrder": ["penalty", "fees", "interest", "principal"]
+ * }
+ */
+exports.verifyPayment = async (req, res) => {
   try {
-    const { status, page = 1, limit = 50 } = req.query;
+    const { loanId, paymentId } = req.params;
+    const { notes, allocationOrder } = req.body;
 
-    let query = {};
-    if (status) {
-      query.loanStatus = status;
+    const loan = await Loan.findOne(
+      mongoose.Types.ObjectId.isValid(loanId)
+        ? { _id: loanId }
+        : { loanApplicationId: loanId }
+    ).select("_id");
+
+    if (!loan) {
+      throw new AppError("Loan not found", 404, "LOAN_NOT_FOUND");
     }
 
-    const loans = await Loan.find(query)
-      .populate("clientUserId", "personalInfo registrationId")
-      .populate("agentReview.reviewedBy", "name email")
-      .populate("regionalAdminApproval.approvedBy", "name email")
-      .sort({ createdAt: -1 })
-      .skip((page - 1) * limit)
-      .limit(parseInt(limit));
+    const result = await paymentVerificationService.reviewPayment(
+      paymentId,
+      { status: "Approved", notes, waterfall: allocationOrder, loanId: loan._id },
+      req.user
+    );
 
-    // Transform to match frontend interface
-    const transformedLoans = loans.map((loan) => ({
-      id: loan._id.toString(),
-      borrowerName: loan.clientUserId?.personalInfo?.fullName || "Unknown",
-      amount: loan.loanAmount,
-      status: loan.loanStatus.toLowerCase().replace(" ", "_"),
-      assignedAgentId: loan.agentReview?.reviewedBy?.toString() || "",
-      createdAt: loan.createdAt,
-      updatedAt: loan.updatedAt,
-      interestRate: loan.interestRate,
-      totalPaid:
-        loan.paymentHistory?.reduce(
-          (sum, payment) =>
-            payment.status === "Approved" ? sum + payment.amount : sum,
-          0
-        ) || 0,
-      termMonths: loan.loanTerm,
-      monthlyPayment: loan.monthlyInstallment,
-      disbursedDate: loan.loanStatus === "Active" ? loan.updatedAt : null,
-      completedDate: loan.loanStatus === "Completed" ? loan.updatedAt : null,
-    }));
+    if (result.stage === "pending_approval") {
+      return res.json({
+        success: true,
+        message: "Payment verified and sent to the regional manager for approval",
+        data: {
+          stage: result.stage,
+          payment: result.payment,
+          approvalThreshold: result.approvalThreshold,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
 
-    res.json(transformedLoans);
+    res.json({
+      success: true,
+      message: "Payment verified successfully",
+      data: {
+        stage: result.stage,
+        payment: result.payment,
+        allocation: result.allocation,
+        balances: result.balances,
+        schedule: result.schedule
+          ? scheduleService.formatSchedule(result.schedule)
+          : null,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error verifying payment", error, {
+      loanId: req.params.loanId,
+      paymentId: req.params.paymentId,
+      userId: req.user?.userId,
+    });
+
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.errorCode,
+          message: error.message,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "INTERNAL_SERVER_ERROR",
+        message: "Error verifying payment",
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+};
+
+/**
+ * Download a loan's statement of account as a PDF
+ * @async
+ * @function getLoanStatement
+ * @param {Object} req - Express request object
+ * @param {string} req.params.loanId - Loan ObjectId or loan application ID
+ * @param {string} [req.query.from] - First day covered, defaults to the disbursement date
+ * @param {string} [req.query.to] - Last day covered, defaults to today
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} PDF with opening balance, payments, penalties and closing balance
+ *
+ * @example
+ * // GET /api/loans/:loanId/statement?from=2026-01-01&to=2026-06-30
+ */
+exports.getLoanStatement = async (req, res) => {
+  try {
+    const { loanId } = req.params;
+
+    const loan = await findScopedLoan(loanId, req.user);
+
+    if (!loan) {
+      throw new AppError("Loan not found", 404, "LOAN_NOT_FOUND");
+    }
+
+    const { buffer, filename } = await paymentDocumentService.getStatement(loan, {
+      from: req.query.from,
+      to: req.query.to,
+    });
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${filename}"`,
+    });
+    res.send(buffer);
+  } catch (error) {
+    logger.error("Error generating loan statement", error, {
+      loanId: req.params.loanId,
+      userId: req.user?.userId,
+    });
+
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.errorCode,
+          message: error.message,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "INTERNAL_SERVER_ERROR",
+        message: "Error generating loan statement",
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+};
+
+/**
+ * Download the receipt of a verified loan payment as a PDF
+ * @async
+ * @function getPaymentReceipt
+ * @param {Object} req - Express request object
+ * @param {string} req.params.loanId - Loan ObjectId or loan application ID
+ * @param {string} req.params.paymentId - Payment ObjectId or payment ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} PDF receipt
+ *
+ * @example
+ * // GET /api/loans/:loanId/payments/:paymentId/receipt
+ */
+exports.getPaymentReceipt = async (req, res) => {
+  try {
+    const { loanId, paymentId } = req.params;
+
+    const loan = await findScopedLoan(loanId, req.user).select("_id");
+
+    if (!loan) {
+      throw new AppError("Loan not found", 404, "LOAN_NOT_FOUND");
+    }
+
+    const { buffer, filename } = await paymentDocumentService.getReceipt(paymentId, {
+      loanId: loan._id,
+    });
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${filename}"`,
+    });
+    res.send(buffer);
+  } catch (error) {
+    logger.error("Error generating payment receipt", error, {
+      loanId: req.params.loanId,
+      paymentId: req.params.paymentId,
+      userId: req.user?.userId,
+    });
+
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.errorCode,
+          message: error.message,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "INTERNAL_SERVER_ERROR",
+        message: "Error generating payment receipt",
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+};
+
+/**
+ * Get a quote for settling a loan in full
+ * @async
+ * @function getPayoffQuote
+ * @param {Object} req - Express request object
+ * @param {string} req.params.loanId - Loan ObjectId or loan application ID
+ * @param {string} [req.query.asOf] - Settlement date, defaults to today
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the payoff breakdown
+ *
+ * @example
+ * // GET /api/loans/:loanId/payoff-quote?asOf=2025-06-15
+ *
+ * @example
+ * // Success Response (200)
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "outstandingPrincipal": 60000,
+ *     "accruedInterest": 300,
+ *     "unpaidFees": 0,
+ *     "unpaidPenalties": 0,
+ *     "prepaymentPenalty": 1200,
+ *     "interestRebate": 2100,
+ *     "totalPayoff": 61500
+ *   }
+ * }
+ */
+exports.getPayoffQuote = async (req, res) => {
+  try {
+    const { loanId } = req.params;
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+
+    const loan = await findScopedLoan(loanId, req.user)
+      .populate("region", "name configuration.earlySettlement");
+
+    if (!loan) {
+      throw new AppError("Loan not found", 404, "LOAN_NOT_FOUND");
+    }
+
+    const quote = await settlementService.getPayoffQuote(loan, asOf);
+
+    res.json({
+      success: true,
+      message: "Payoff quote calculated successfully",
+      data: quote,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error calculating payoff quote", error, {
+      loanId: req.params.loanId,
+      userId: req.user?.userId,
+    });
+
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.errorCode,
+          message: error.message,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "INTERNAL_SERVER_ERROR",
+        message: "Error calculating payoff quote",
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+};
+
+/**
+ * Settle a loan early with a final payment and close it
+ * @async
+ * @function settleLoan
+ * @param {Object} req - Express request object
+ * @param {string} req.params.loanId - Loan ObjectId or loan application ID
+ * @param {Object} req.body - Final payment details
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the closed loan and settlement letter
+ *
+ * @example
+ * // POST /api/loans/:loanId/settle
+ * {
+ *   "paymentAmount": 61500,
+ *   "paymentDate": "2025-06-15",
+ *   "paymentMethod": "bank_transfer",
+ *   "referenceNumber": "TRX123456"
+ * }
+ */
+exports.settleLoan = async (req, res) => {
+  try {
+    const { loanId } = req.params;
+
+    const loan = await Loan.findOne(
+      mongoose.Types.ObjectId.isValid(loanId)
+        ? { _id: loanId }
+        : { loanApplicationId: loanId }
+    ).select("_id");
+
+    if (!loan) {
+      throw new AppError("Loan not found", 404, "LOAN_NOT_FOUND");
+    }
+
+    const result = await settlementService.settleLoan(
+      loan._id,
+      req.body,
+      req.user.userId
+    );
+
+    res.json({
+      success: true,
+      message: "Loan settled successfully",
+      data: {
+        loanId: result.loan._id,
+        loanApplicationId: result.loan.loanApplicationId,
+        loanStatus: result.loan.loanStatus,
+        loanClosure: result.loan.loanClosure,
+        payment: result.payment,
+        quote: result.quote,
+        settlementLetter: result.settlementLetter,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error settling loan", error, {
+      loanId: req.params.loanId,
+      userId: req.user?.userId,
+    });
+
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.errorCode,
+          message: error.message,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "INTERNAL_SERVER_ERROR",
+        message: "Error settling loan",
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+};
+
+/**
+ * Request a restructure of a loan in repayment
+ * @async
+ * @function requestRestructure
+ * @param {Object} req - Express request object
+ * @param {string} req.params.loanId - Loan ObjectId or loan application ID
+ * @param {Object} req.body - Restructure request (reason, changes, effectiveDate)
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the pending request and its preview
+ *
+ * @example
+ * // POST /api/loans/:loanId/restructure
+ * {
+ *   "reason": "Client lost seasonal income",
+ *   "changes": {
+ *     "termExtensionMonths": 6,
+ *     "paymentHolidayMonths": 2,
+ *     "newInterestRate": 10,
+ *     "capitaliseArrears": true
+ *   }
+ * }
+ */
+exports.requestRestructure = async (req, res) => {
+  try {
+    const { loanId } = req.params;
+
+    const loan = await Loan.findOne(
+      mongoose.Types.ObjectId.isValid(loanId)
+        ? { _id: loanId }
+        : { loanApplicationId: loanId }
+    );
+
+    if (!loan) {
+      throw new AppError("Loan not found", 404, "LOAN_NOT_FOUND");
+    }
+
+    const request = await restructureService.requestRestructure(
+      loan,
+      req.body,
+      req.user
+    );
+    await loan.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Restructure request submitted for regional manager approval",
+      data: {
+        loanId: loan._id,
+        loanApplicationId: loan.loanApplicationId,
+        request,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error requesting loan restructure", error, {
+      loanId: req.params.loanId,
+      userId: req.user?.userId,
+    });
+
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.errorCode,
+          message: error.message,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "INTERNAL_SERVER_ERROR",
+        message: "Error requesting loan restructure",
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+};
+
+/**
+ * Get the restructure requests and schedule versions of a loan
+ * @async
+ * @function getRestructureRequests
+ * @param {Object} req - Express request object
+ * @param {string} req.params.loanId - Loan ObjectId or loan application ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with requests and schedule history
+ */
+exports.getRestructureRequests = async (req, res) => {
+  try {
+    const { loanId } = req.params;
+
+    const loan = await Loan.findOne(
+      mongoose.Types.ObjectId.isValid(loanId)
+        ? { _id: loanId }
+        : { loanApplicationId: loanId }
+    );
+
+    if (!loan) {
+      throw new AppError("Loan not found", 404, "LOAN_NOT_FOUND");
+    }
+
+    const history = await RepaymentSchedule.getHistory(loan._id).select(
+      "version isCurrent reason principal annualRate termMonths totals generatedAt supersededAt"
+    );
+
+    res.json({
+      success: true,
+      message: "Restructure requests fetched successfully",
+      data: {
+        loanId: loan._id,
+        loanApplicationId: loan.loanApplicationId,
+        restructuredTerms: loan.restructuredTerms,
+        requests: loan.restructureRequests,
+        scheduleVersions: history,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error fetching restructure requests", error, {
+      loanId: req.params.loanId,
+      userId: req.user?.userId,
+    });
+
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.errorCode,
+          message: error.message,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "INTERNAL_SERVER_ERROR",
+        message: "Error fetching restructure requests",
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+};
+
+/**
+ * Approve or reject a restructure request. Approval revises the schedule;
+ * the previous schedule version is kept for history.
+ * @async
+ * @function decideRestructure
+ * @param {Object} req - Express request object
+ * @param {string} req.params.loanId - Loan ObjectId or loan application ID
+ * @param {string} req.params.requestId - Restructure request ID
+ * @param {Object} req.body - Decision (status: Approved | Rejected, comments)
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the decided request and new schedule
+ *
+ * @example
+ * // PUT /api/loans/:loanId/restructure/:requestId/approval
+ * {
+ *   "status": "Approved",
+ *   "comments": "Hardship verified with the branch"
+ * }
+ */
+exports.decideRestructure = async (req, res) => {
+  try {
+    const { loanId, requestId } = req.params;
+
+    const loan = await Loan.findOne(
+      mongoose.Types.ObjectId.isValid(loanId)
+        ? { _id: loanId }
+        : { loanApplicationId: loanId }
+    );
+
+    if (!loan) {
+      throw new AppError("Loan not found", 404, "LOAN_NOT_FOUND");
+    }
+
+    const { request, schedule } = await restructureService.decideRestructure(
+      loan,
+      requestId,
+      req.body,
+      req.user
+    );
+    await loan.save();
+
+    res.json({
+      success: true,
+      message: `Restructure request ${request.status.toLowerCase()} successfully`,
+      data: {
+        loanId: loan._id,
+        loanApplicationId: loan.loanApplicationId,
+        loanStatus: loan.loanStatus,
+        request,
+        restructuredTerms: loan.restructuredTerms,
+        schedule: schedule ? scheduleService.formatSchedule(schedule) : null,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error deciding restructure request", error, {
+      loanId: req.params.loanId,
+      userId: req.user?.userId,
+    });
+
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.errorCode,
+          message: error.message,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "INTERNAL_SERVER_ERROR",
+        message: "Error deciding restructure request",
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+};
+
+/**
+ * Get the disbursement tranches of a loan with the amounts still to pay out
+ * @async
+ * @function getDisbursements
+ * @param {Object} req - Express request object
+ * @param {string} req.params.loanId - Loan ObjectId or loan application ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the disbursement plan and tranches
+ */
+exports.getDisbursements = async (req, res) => {
+  try {
+    const { loanId } = req.params;
+
+    const loan = await Loan.findOne(
+      mongoose.Types.ObjectId.isValid(loanId)
+        ? { _id: loanId }
+        : { loanApplicationId: loanId }
+    );
+
+    if (!loan) {
+      throw new AppError("Loan not found", 404, "LOAN_NOT_FOUND");
+    }
+
+    const { plan, disbursements } = await disbursementService.getDisbursements(loan);
+
+    res.json({
+      success: true,
+      message: "Disbursements fetched successfully",
+      data: {
+        loanId: loan._id,
+        loanApplicationId: loan.loanApplicationId,
+        loanStatus: loan.loanStatus,
+        plan,
+        disbursements,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error fetching disbursements", error, {
+      loanId: req.params.loanId,
+      userId: req.user?.userId,
+    });
+
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.errorCode,
+          message: error.message,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "INTERNAL_SERVER_ERROR",
+        message: "Error fetching disbursements",
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+};
+
+/**
+ * Record a disbursement tranche of an approved loan for confirmation by a
+ * second staff member
+ * @async
+ * @function recordDisbursement
+ * @param {Object} req - Express request object
+ * @param {string} req.params.loanId - Loan ObjectId or loan application ID
+ * @param {Object} req.body - Tranche (amount, method, reference, recipient, notes)
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the pending disbursement
+ *
+ * @example
+ * // POST /api/loans/:loanId/disbursements
+ * {
+ *   "amount": 500000,
+ *   "method": "bank_transfer",
+ *   "reference": "TRF-2025-0042",
+ *   "recipient": { "bankName": "BOC", "accountNumber": "0012345678" }
+ * }
+ */
+exports.recordDisbursement = async (req, res) => {
+  try {
+    const { loanId } = req.params;
+
+    const loan = await Loan.findOne(
+      mongoose.Types.ObjectId.isValid(loanId)
+        ? { _id: loanId }
+        : { loanApplicationId: loanId }
+    );
+
+    if (!loan) {
+      throw new AppError("Loan not found", 404, "LOAN_NOT_FOUND");
+    }
+
+    // The tranche and the loan's workflow stage are written together
+    const disbursement = await mongoose.connection.transaction(async () => {
+      const recorded = await disbursementService.requestDisbursement(
+        loan,
+        req.body,
+        req.user
+      );
+      await loan.save();
+      return recorded;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Disbursement recorded and awaiting confirmation",
+      data: {
+        loanId: loan._id,
+        loanApplicationId: loan.loanApplicationId,
+        disbursement,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error recording disbursement", error, {
+      loanId: req.params.loanId,
+      userId: req.user?.userId,
+    });
+
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.errorCode,
+          message: error.message,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "INTERNAL_SERVER_ERROR",
+        message: "Error recording disbursement",
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+};
+
+/**
+ * Confirm or reject a disbursement tranche. Confirming the tranche that
+ * completes the loan amount activates the loan and creates its schedule.
+ * @async
+ * @function decideDisbursement
+ * @param {Object} req - Express request object
+ * @param {string} req.params.loanId - Loan ObjectId or loan application ID
+ * @param {string} req.params.disbursementId - Disbursement ObjectId or disbursementId
+ * @param {Object} req.body - Decision (status: Approved | Rejected, comments)
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the disbursement and, once active, the schedule
+ *
+ * @example
+ * // PUT /api/loans/:loanId/disbursements/:disbursementId/approval
+ * {
+ *   "status": "Approved",
+ *   "comments": "Transfer confirmed on the bank statement"
+ * }
+ */
+exports.decideDisbursement = async (req, res) => {
+  try {
+    const { loanId, disbursementId } = req.params;
+
+    const loan = await Loan.findOne(
+      mongoose.Types.ObjectId.isValid(loanId)
+        ? { _id: loanId }
+        : { loanApplicationId: loanId }
+    );
+
+    if (!loan) {
+      throw new AppError("Loan not found", 404, "LOAN_NOT_FOUND");
+    }
+
+    // The decided tranche, the loan totals and any new schedule are written together
+    const { disbursement, schedule } = await mongoose.connection.transaction(async () => {
+      const decided = await disbursementService.decideDisbursement(
+        loan,
+        disbursementId,
+        req.body,
+        req.user
+      );
+      await loan.save();
+      return decided;
+    });
+
+    res.json({
+      success: true,
+      message: schedule
+        ? "Loan fully disbursed and activated"
+        : `Disbursement ${disbursement.status === "disbursed" ? "confirmed" : "rejected"} successfully`,
+      data: {
+        loanId: loan._id,
+        loanApplicationId: loan.loanApplicationId,
+        loanStatus: loan.loanStatus,
+        disbursement,
+        disbursementTotals: loan.disbursement,
+        schedule: schedule ? scheduleService.formatSchedule(schedule) : null,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error deciding disbursement", error, {
+      loanId: req.params.loanId,
+      userId: req.user?.userId,
+    });
+
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.errorCode,
+          message: error.message,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "INTERNAL_SERVER_ERROR",
+        message: "Error deciding disbursement",
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+};
+
+/**
+ * Approve or reject the current tier of a loan's approval chain. The tier's
+ * required role, the approver's scope and their approval limit are enforced.
+ * @async
+ * @function decideApproval
+ * @param {Object} req - Express request object
+ * @param {string} req.params.loanId - Loan ObjectId or loan application ID
+ * @param {Object} req.body - Decision (decision: approve | reject, comments, conditions)
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the decided tier and the updated chain
+ *
+ * @example
+ * // POST /api/loans/:loanId/approval-decision
+ * {
+ *   "decision": "approve",
+ *   "comments": "Income verified"
+ * }
+ */
+exports.decideApproval = async (req, res) => {
+  try {
+    const { loanId } = req.params;
+    const { decision, comments, conditions } = req.body;
+
+    const loan = await Loan.findOne(
+      mongoose.Types.ObjectId.isValid(loanId)
+        ? { _id: loanId }
+        : { loanApplicationId: loanId }
+    );
+
+    if (!loan) {
+      throw new AppError("Loan not found", 404, "LOAN_NOT_FOUND");
+    }
+
+    // The approval chain notifies the client once it is complete
+    const result = await approvalWorkflowService.decide(loan, req.user.userId, {
+      decision,
+      comments,
+      conditions,
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    res.json({
+      success: true,
+      message: `Loan ${result.tier.stage} ${decision === "approve" ? "approved" : "rejected"}`,
+      data: {
+        loanId: loan._id,
+        loanApplicationId: loan.loanApplicationId,
+        loanStatus: loan.loanStatus,
+        decidedStage: result.tier.stage,
+        nextStage: result.nextStage,
+        isFinal: result.isFinal,
+        approvalChain: approvalWorkflowService.getApprovalChain(loan),
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error deciding loan approval", error, {
+      loanId: req.params.loanId,
+      userId: req.user?.userId,
+    });
+
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.errorCode,
+          message: error.message,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "INTERNAL_SERVER_ERROR",
+        message: "Error deciding loan approval",
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+};
+
+/**
+ * Get the approval chain of a loan: its tiers, their status and the decision history
+ * @async
+ * @function getApprovalChain
+ * @param {Object} req - Express request object
+ * @param {string} req.params.loanId - Loan ObjectId or loan application ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the approval chain
+ */
+exports.getApprovalChain = async (req, res) => {
+  try {
+    const { loanId } = req.params;
+
+    const loan = await Loan.findOne(
+      mongoose.Types.ObjectId.isValid(loanId)
+        ? { _id: loanId }
+        : { loanApplicationId: loanId }
+    ).populate("workflowState.stageHistory.performedBy", "personalInfo.firstName personalInfo.lastName role");
+
+    if (!loan) {
+      throw new AppError("Loan not found", 404, "LOAN_NOT_FOUND");
+    }
+
+    res.json({
+      success: true,
+      data: {
+        loanId: loan._id,
+        loanApplicationId: loan.loanApplicationId,
+        ...approvalWorkflowService.getApprovalChain(loan),
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error fetching approval chain", error, {
+      loanId: req.params.loanId,
+    });
+
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.errorCode,
+          message: error.message,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "INTERNAL_SERVER_ERROR",
+        message: "Error fetching approval chain",
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+};
+
+// Search loans
+exports.searchLoans = async (req, res) => {
+  try {
+    const { query, agentId } = req.query;
+
+    // Find clients assigned to this agent
+    const agentClients = await Client.find({ assignedReviewer: agentId });
+    const clientIds = agentClients.map((client) => client._id);
+
+    const searchQuery = {
+      clientUserId: { $in: clientIds },
+      $or: [
+        { loanApplicationId: { $regex: query, $options: "i" } },
+        { product: { $regex: query, $options: "i" } },
+        { purpose: { $regex: query, $options: "i" } },
+      ],
+    };
+
+    const loans = await Loan.find(searchQuery)
+      .populate("clientUserId", "personalInfo registrationId")
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.json({
+      message: "Search results fetched successfully",
+      loans,
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error searching loans",
+      error: error.message,
+    });
+  }
+};
+
+// Get all loans (for useLoanData hook)
+exports.getAllLoans = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 50 } = req.query;
+
+    let query = {};
+    if (status) {
+      query.loanStatus = status;
+    }
+
+    const loans = await Loan.find(query)
+      .populate("clientUserId", "personalInfo registrationId")
+      .populate("agentReview.reviewedBy", "name email")
+      .populate("regionalAdminApproval.approvedBy", "name email")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    // Transform to match frontend interface
+    const transformedLoans = loans.map((loan) => ({
+      id: loan._id.toString(),
+      borrowerName: loan.clientUserId?.personalInfo?.fullName || "Unknown",
+      amount: loan.loanAmount,
+      status: loan.loanStatus.toLowerCase().replace(" ", "_"),
+      assignedAgentId: loan.agentReview?.reviewedBy?.toString() || "",
+      createdAt: loan.createdAt,
+      updatedAt: loan.updatedAt,
+      interestRate: loan.interestRate,
+      totalPaid: loan.calculatedFields?.totalPaid || 0,
+      termMonths: loan.loanTerm,
+      monthlyPayment: loan.monthlyInstallment,
+      disbursedDate: loan.loanStatus === "Active" ? loan.updatedAt : null,
+      completedDate: loan.loanStatus === "Completed" ? loan.updatedAt : null,
+    }));
+
+    res.json(transformedLoans);
   } catch (error) {
     res.status(500).json({
       message: "Error fetching all loans",
@@ -2192,21 +3173,10 @@ exports.getLoanStats = async (req, res) => {
 
           // Payment statistics
           paymentStats: [
-            {
-              $unwind: {
-                path: "$paymentHistory",
-                preserveNullAndEmptyArrays: true,
-              },
-            },
-            {
-              $match: {
-                "paymentHistory.status": "approved",
-              },
-            },
             {
               $group: {
                 _id: null,
-                totalCollected: { $sum: "$paymentHistory.amount" },
+                totalCollected: { $sum: "$calculatedFields.totalPaid" },
               },
             },
           ],
@@ -2583,42 +3553,20 @@ exports.approveLoan = async (req, res) => {
       throw new AppError("Loan not found", 404, "LOAN_NOT_FOUND");
     }
 
-    // Permission check: Only assigned agent or regional manager can approve
-    const isAgent = loan.assignedAgent?.toString() === user.userId;
-    const isRegionalManager = loan.assignedRegionalManager?.toString() === user.userId;
-    if (!isAgent && !isRegionalManager) {
-      throw new AppError("Unauthorized to approve this loan", 403, "UNAUTHORIZED");
-    }
-
-    // Determine approval stage and update accordingly
-    let newStage = loan.workflowState.currentStage;
-    if (loan.workflowState.currentStage === 'agent_review' && isAgent) {
-      loan.agentReview.status = 'Approved';
-      loan.agentReview.reviewDate = new Date();
-      loan.agentReview.reviewedBy = user.userId;
-      loan.agentReview.comments = comments;
-      if (rating) loan.agentReview.rating = rating;
-      newStage = 'regional_approval';
-    } else if (loan.workflowState.currentStage === 'regional_approval' && isRegionalManager) {
-      loan.regionalAdminApproval.status = 'Approved';
-      loan.regionalAdminApproval.approvalDate = new Date();
-      loan.regionalAdminApproval.approvedBy = user.userId;
-      loan.regionalAdminApproval.comments = comments;
-      newStage = 'approved';
-      loan.loanStatus = 'Approved'; // Final approval
-    } else {
-      throw new AppError("Loan is not in a stage that can be approved by you", 400, "INVALID_STAGE");
-    }
-
-    // Advance workflow and add audit entry
-    loan.advanceWorkflowStage(newStage, user.userId, comments);
-    loan.addAuditEntry('approved', user.userId, { stage: newStage, comments }, comments, req.ip, req.get("User-Agent"));
+    if (rating) loan.agentReview.rating = rating;
 
-    await loan.save();
+    // The approval chain decides which tier this approval completes
+    const result = await approvalWorkflowService.decide(loan, user.userId, {
+      decision: "approve",
+      comments,
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+    const newStage = result.nextStage;
 
     // Send notifications
     const clientEmail = loan.clientUserId?.personalInfo?.email;
-    if (clientEmail) {
+    if (clientEmail && result.isFinal) {
       try {
         await sendEmail(
           clientEmail,
@@ -2696,32 +3644,12 @@ exports.rejectLoan = async (req, res) => {
       throw new AppError("Loan not found", 404, "LOAN_NOT_FOUND");
     }
 
-    // Permission check: Only assigned agent or regional manager can reject
-    const isAgent = loan.assignedAgent?.toString() === user.userId;
-    const isRegionalManager = loan.assignedRegionalManager?.toString() === user.userId;
-    if (!isAgent && !isRegionalManager) {
-      throw new AppError("Unauthorized to reject this loan", 403, "UNAUTHORIZED");
-    }
-
-    // Update review status based on user role
-    if (isAgent) {
-      loan.agentReview.status = 'Rejected';
-      loan.agentReview.reviewDate = new Date();
-      loan.agentReview.reviewedBy = user.userId;
-      loan.agentReview.comments = comments;
-    } else if (isRegionalManager) {
-      loan.regionalAdminApproval.status = 'Rejected';
-      loan.regionalAdminApproval.approvalDate = new Date();
-      loan.regionalAdminApproval.approvedBy = user.userId;
-      loan.regionalAdminApproval.comments = comments;
-    }
-
-    // Block workflow, set status to Rejected, and add audit entry
-    loan.blockWorkflow(`Rejected by ${isAgent ? 'agent' : 'regional manager'}: ${comments}`, user.userId);
-    loan.loanStatus = 'Rejected';
-    loan.addAuditEntry('rejected', user.userId, { status: 'Rejected', comments }, comments, req.ip, req.get("User-Agent"));
-
-    await loan.save();
+    await approvalWorkflowService.decide(loan, user.userId, {
+      decision: "reject",
+      comments,
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
 
     // Send notifications
     const clientEmail = loan.clientUserId?.personalInfo?.email;
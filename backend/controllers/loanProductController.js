@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Loan Product Controller - Loan product catalogue management
+ * @module controllers/loanProductController
+ */
+
+const loanProductService = require("../services/loanProductService");
+const { AppError } = require("../utils/customErrors");
+const { logger } = require("../utils/logger");
+
+// Roles that also see withdrawn products
+const CATALOGUE_ADMIN_ROLES = ["moderate_admin", "super_admin"];
+
+/**
+ * Send an error response in the API error format
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the handler
+ * @param {string} message - Message for unexpected errors
+ */
+const sendError = (res, error, message) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: {
+        code: error.errorCode,
+        message: error.message,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: {
+      code: "INTERNAL_SERVER_ERROR",
+      message,
+      timestamp: new Date().toISOString(),
+    },
+  });
+};
+
+/**
+ * List loan products. Staff outside the catalogue admins get the active
+ * products with the terms of their region.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.listProducts = async (req, res) => {
+  try {
+    const isAdmin = CATALOGUE_ADMIN_ROLES.includes(req.user.role);
+    const includeInactive = isAdmin && String(req.query.includeInactive) === "true";
+    const products = await loanProductService.listProducts({ includeInactive });
+
+    res.json({
+      success: true,
+      data: {
+        products: isAdmin
+          ? products
+          : products
+            .map((product) => loanProductService.resolveTerms(product, req.user.region))
+            .filter((terms) => terms.isAvailable),
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error fetching loan products", error, { userId: req.user.userId });
+    sendError(res, error, "Error fetching loan products");
+  }
+};
+
+/**
+ * Get a loan product by code
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getProduct = async (req, res) => {
+  try {
+    const product = await loanProductService.getProduct(req.params.code);
+
+    res.json({
+      success: true,
+      data: { product },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error fetching loan product", error, { code: req.params.code });
+    sendError(res, error, "Error fetching loan product");
+  }
+};
+
+/**
+ * Create a loan product
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createProduct = async (req, res) => {
+  try {
+    const product = await loanProductService.createProduct(req.body, req.user.userId);
+
+    res.status(201).json({
+      success: true,
+      message: "Loan product created successfully",
+      data: { product },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error creating loan product", error, { userId: req.user.userId });
+    sendError(res, error, "Error creating loan product");
+  }
+};
+
+/**
+ * Update a loan product, including its region overrides
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateProduct = async (req, res) => {
+  try {
+    const product = await loanProductService.updateProduct(req.params.code, req.body, req.user.userId);
+
+    res.json({
+      success: true,
+      message: "Loan product updated successfully",
+      data: { product },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error updating loan product", error, { code: req.params.code });
+    sendError(res, error, "Error updating loan product");
+  }
+};
+
+/**
+ * Withdraw a loan product from new applications
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deactivateProduct = async (req, res) => {
+  try {
+    const product = await loanProductService.deactivateProduct(req.params.code, req.user.userId);
+
+    res.json({
+      success: true,
+      message: "Loan product withdrawn successfully",
+      data: { product },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error withdrawing loan product", error, { code: req.params.code });
+    sendError(res, error, "Error withdrawing loan product");
+  }
+};
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Payment Gateway Controller - Online payment intents and provider webhooks
+ * @module controllers/paymentGatewayController
+ */
+
+const paymentGatewayService = require("../services/paymentGatewayService");
+const { AppError } = require("../utils/customErrors");
+const { logger } = require("../utils/logger");
+
+/**
+ * Send an error response in the API error format
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the handler
+ * @param {string} message - Message for unexpected errors
+ */
+const sendError = (res, error, message) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: {
+        code: error.errorCode,
+        message: error.message,
+        details: error.details,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: {
+      code: "INTERNAL_SERVER_ERROR",
+      message,
+      timestamp: new Date().toISOString(),
+    },
+  });
+};
+
+/**
+ * Start an online or mobile payment for an installment of the client's loan
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createIntent = async (req, res) => {
+  try {
+    const intent = await paymentGatewayService.createIntent(req.client.clientId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: "Payment started. Complete it at the checkout URL.",
+      data: { intent },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error creating payment intent", error, {
+      clientId: req.client.clientId,
+      loanId: req.body.loanId,
+    });
+    sendError(res, error, "Error creating payment intent");
+  }
+};
+
+/**
+ * Get the status of one of the client's payment intents
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getIntent = async (req, res) => {
+  try {
+    const intent = await paymentGatewayService.getIntent(req.params.intentId, req.client.clientId);
+
+    res.json({
+      success: true,
+      data: { intent },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error fetching payment intent", error, { intentId: req.params.intentId });
+    sendError(res, error, "Error fetching payment intent");
+  }
+};
+
+/**
+ * Receive a signed provider webhook
+ * @param {Object} req - Express request object
+ * @param {Buffer} req.rawBody - Exact request body, kept for signature checks
+ * @param {Object} res - Express response object
+ */
+exports.handleWebhook = async (req, res) => {
+  const { provider } = req.params;
+
+  try {
+    const { duplicate, event } = await paymentGatewayService.handleWebhook(provider, req.rawBody, req.headers);
+
+    res.json({
+      success: true,
+      data: {
+        received: true,
+        duplicate,
+        eventId: event.eventId,
+        status: event.status,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error processing payment webhook", error, { provider });
+    sendError(res, error, "Error processing payment webhook");
+  }
+};
+
+/**
+ * Complete a simulator checkout as paid or declined
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.completeSimulatorIntent = async (req, res) => {
+  const { intentId } = req.params;
+
+  try {
+    const { outcome, amount, failureReason } = req.body;
+    const result = await paymentGatewayService.simulateOutcome(intentId, req.client.clientId, outcome, {
+      amount,
+      failureReason,
+    });
+
+    res.json({
+      success: true,
+      message: outcome === "succeeded" ? "Simulated payment received and verified" : "Simulated payment declined",
+      data: {
+        intent: result.intent,
+        payment: result.payment || null,
+        balances: result.balances || null,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error completing simulated payment", error, { intentId });
+    sendError(res, error, "Error completing simulated payment");
+  }
+};
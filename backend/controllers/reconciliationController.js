@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Reconciliation Controller - Bank statement import and payment matching
+ * @module controllers/reconciliationController
+ */
+
+const reconciliationService = require("../services/reconciliationService");
+const { AppError } = require("../utils/customErrors");
+const { logger } = require("../utils/logger");
+
+/**
+ * Send an error response in the API error format
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the handler
+ * @param {string} message - Message for unexpected errors
+ */
+const sendError = (res, error, message) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: {
+        code: error.errorCode,
+        message: error.message,
+        details: error.details,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: {
+      code: "INTERNAL_SERVER_ERROR",
+      message,
+      timestamp: new Date().toISOString(),
+    },
+  });
+};
+
+/**
+ * Import a CSV or MT940 bank statement and reconcile its credits
+ * @param {Object} req - Express request object
+ * @param {Object} req.file - Uploaded statement (field "statement")
+ * @param {Object} res - Express response object
+ */
+exports.importStatement = async (req, res) => {
+  try {
+    const statement = await reconciliationService.importStatement(req.file, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: `Statement imported: ${statement.totals.matched} matched, ${statement.totals.proposed} to review, ${statement.totals.unmatched} in suspense`,
+      data: { statement },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error importing bank statement", error, {
+      userId: req.user.userId,
+      fileName: req.file?.originalname,
+    });
+    sendError(res, error, "Error importing bank statement");
+  }
+};
+
+/**
+ * List imported statements
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.listStatements = async (req, res) => {
+  try {
+    const { statements, pagination } = await reconciliationService.listStatements(req.user, req.query);
+
+    res.json({
+      success: true,
+      data: { statements, pagination },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error fetching bank statements", error, { userId: req.user.userId });
+    sendError(res, error, "Error fetching bank statements");
+  }
+};
+
+/**
+ * Get a statement with its lines, matches and proposals
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getStatement = async (req, res) => {
+  try {
+    const statement = await reconciliationService.getStatement(req.params.statementId, req.user);
+
+    res.json({
+      success: true,
+      data: { statement },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error fetching bank statement", error, { statementId: req.params.statementId });
+    sendError(res, error, "Error fetching bank statement");
+  }
+};
+
+/**
+ * Get statement credits in suspense, or those with proposed matches
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getSuspense = async (req, res) => {
+  try {
+    const lines = await reconciliationService.getSuspense(req.user, req.query);
+
+    res.json({
+      success: true,
+      data: {
+        lines,
+        total: lines.length,
+        totalAmount: lines.reduce((sum, line) => sum + line.amount, 0),
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error fetching suspense lines", error, { userId: req.user.userId });
+    sendError(res, error, "Error fetching suspense lines");
+  }
+};
+
+/**
+ * Match a statement line to a payment, or set it aside
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.resolveLine = async (req, res) => {
+  const { statementId, lineId } = req.params;
+
+  try {
+    const { line, verification } = await reconciliationService.resolveLine(
+      statementId,
+      lineId,
+      req.body,
+      req.user
+    );
+
+    res.json({
+      success: true,
+      message: line.status === "matched" ? "Payment matched and verified" : "Statement line set aside",
+      data: {
+        line,
+        payment: verification?.payment || null,
+        balances: verification?.balances || null,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error resolving statement line", error, { statementId, lineId });
+    sendError(res, error, "Error resolving statement line");
+  }
+};
@@ -2,7 +2,12 @@ const Staff = require("../models/Staff");
 const Client = require("../models/Client");
 const Loan = require("../models/Loan");
 const Region = require("../models/Region");
+const Payment = require("../models/Payment");
 const sendEmail = require("../utils/sendEmail");
+const approvalWorkflowService = require("../services/approvalWorkflowService");
+const paymentVerificationService = require("../services/paymentVerificationService");
+const clientVerificationService = require("../services/clientVerificationService");
+const { AppError } = require("../utils/customErrors");
 
 // Get regional admin dashboard data
 exports.getRegionalDashboard = async (req, res) => {
@@ -67,9 +72,12 @@ exports.getRegionalDashboard = async (req, res) => {
     });
 
     // Payment statistics
-    const pendingPayments = await Loan.countDocuments({
+    const regionLoanIds = await Loan.distinct("_id", {
       clientUserId: { $in: clientIds },
-      "paymentHistory.status": "Pending",
+    });
+    const pendingPayments = await Payment.countDocuments({
+      loanId: { $in: regionLoanIds },
+      status: { $in: ["pending_verification", "pending_approval"] },
     });
 
     // Financial statistics
@@ -513,36 +521,18 @@ exports.approveRejectLoan = async (req, res) => {
       return res.status(404).json({ message: "Loan not found" });
     }
 
-    // Verify loan is in the regional admin's jurisdiction
-    const client = await Client.findById(loan.clientUserId);
-    const agent = await Staff.findById(client.assignedReviewer);
-
-    if (agent.region.toString() !== regionalAdmin.region?.toString()) {
-      return res
-        .status(403)
-        .json({ message: "Not authorized to approve this loan" });
-    }
-
-    // Update loan status
-    loan.regionalAdminApproval = {
-      approvedBy: regionalAdminId,
-      approvalDate: new Date(),
-      status,
+    // Jurisdiction, stage and approval limit are enforced by the approval chain
+    await approvalWorkflowService.decide(loan, regionalAdminId, {
+      decision: status === "Approved" ? "approve" : "reject",
       comments,
-    };
-
-    if (status === "Approved") {
-      loan.loanStatus = "Approved";
-    } else {
-      loan.loanStatus = "Rejected";
-    }
-
-    await loan.save();
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
 
     // Send notification email to client
     const clientEmail = loan.clientUserId.personalInfo?.email;
     if (clientEmail) {
-      const message = `Your loan application ${loanId} has been ${status.toLowerCase()} by the regional admin. ${comments ? "Comments: " + comments : ""
+      const message = `Your loan application ${loanId} has been ${loan.loanStatus === "Approved" || status === "Rejected" ? status.toLowerCase() : "forwarded for final approval"} by the regional admin. ${comments ? "Comments: " + comments : ""
         }`;
       await sendEmail(clientEmail, `Loan Application ${status}`, message);
     }
@@ -552,6 +542,10 @@ exports.approveRejectLoan = async (req, res) => {
       loan,
     });
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
     res.status(500).json({
       message: "Error processing loan approval",
       error: error.message,
@@ -748,6 +742,11 @@ exports.approveRejectRegistration = async (req, res) => {
         .json({ message: "Not authorized to approve this registration" });
     }
 
+    // Every document the client's region requires must be approved first
+    if (status === "Approved") {
+      await clientVerificationService.assertReadyForApproval(registration);
+    }
+
     // Update registration status
     registration.status = status;
     if (status === "Approved") {
@@ -763,6 +762,13 @@ exports.approveRejectRegistration = async (req, res) => {
       registration,
     });
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode,
+        details: error.details,
+      });
+    }
     res.status(500).json({
       message: "Error processing registration approval",
       error: error.message,
@@ -770,80 +776,39 @@ exports.approveRejectRegistration = async (req, res) => {
   }
 };
 
-// Get pending payments in the region
+// Get the payment verification queue of the region
 exports.getPendingPayments = async (req, res) => {
   try {
     const { regionalAdminId } = req.params;
-    const { page = 1, limit = 10 } = req.query;
+    const { status, page = 1, limit = 10 } = req.query;
 
     // Verify regional admin and get their region
-    const regionalAdmin = await Staff.findById(regionalAdminId).populate(
-      "region"
-    );
+    const regionalAdmin = await Staff.findById(regionalAdminId);
     if (!regionalAdmin || regionalAdmin.role !== "regional_manager") {
       return res.status(404).json({ message: "Regional admin not found" });
     }
 
-    const regionId = regionalAdmin.region?._id;
-    if (!regionId) {
+    if (!regionalAdmin.region) {
       return res
         .status(400)
         .json({ message: "Regional admin is not assigned to any region" });
     }
 
-    // Get agents in this region
-    const agentsInRegion = await Staff.find({
-      role: "agent",
-      region: regionId,
-    });
-    const agentIds = agentsInRegion.map((agent) => agent._id);
-
-    // Get clients assigned to these agents
-    const regionClients = await Client.find({
-      assignedReviewer: { $in: agentIds },
-    });
-    const clientIds = regionClients.map((client) => client._id);
-
-    // Find loans with pending payments
-    const loansWithPendingPayments = await Loan.find({
-      clientUserId: { $in: clientIds },
-      "paymentHistory.status": "Pending",
-    })
-      .populate("clientUserId", "personalInfo registrationId")
-      .populate("paymentHistory.approvedBy", "name email");
-
-    // Extract pending payments
-    const pendingPayments = [];
-    loansWithPendingPayments.forEach((loan) => {
-      loan.paymentHistory.forEach((payment) => {
-        if (payment.status === "Pending") {
-          pendingPayments.push({
-            paymentId: payment.paymentId,
-            loanId: loan.loanApplicationId,
-            clientId: loan.clientUserId._id,
-            clientName: loan.clientUserId.personalInfo?.fullName,
-            amount: payment.amount,
-            paymentDate: payment.paymentDate,
-            paymentMethod: payment.paymentMethod,
-            paymentSlipUrl: payment.paymentSlipUrl,
-            loanAmount: loan.loanAmount,
-            createdAt: payment.createdAt,
-          });
-        }
-      });
-    });
-
-    // Apply pagination
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + parseInt(limit);
-    const paginatedPayments = pendingPayments.slice(startIndex, endIndex);
+    const queue = await paymentVerificationService.getQueue(
+      {
+        userId: regionalAdmin._id.toString(),
+        role: regionalAdmin.role,
+        region: regionalAdmin.region,
+      },
+      { status, page: parseInt(page), limit: parseInt(limit) }
+    );
 
     res.json({
       message: "Pending payments fetched successfully",
-      payments: paginatedPayments,
-      total: pendingPayments.length,
-      page: parseInt(page),
-      pages: Math.ceil(pendingPayments.length / limit),
+      payments: queue.payments,
+      total: queue.total,
+      page: queue.page,
+      pages: queue.pages,
     });
   } catch (error) {
     res.status(500).json({
@@ -853,11 +818,11 @@ exports.getPendingPayments = async (req, res) => {
   }
 };
 
-// Approve or reject payment
+// Verify, confirm or reject a payment in the region (maker-checker)
 exports.approveRejectPayment = async (req, res) => {
   try {
     const { regionalAdminId } = req.params;
-    const { paymentId, status, rejectedReason } = req.body;
+    const { paymentId, status, rejectedReason, notes } = req.body;
 
     if (!["Approved", "Rejected"].includes(status)) {
       return res
@@ -871,46 +836,32 @@ exports.approveRejectPayment = async (req, res) => {
       return res.status(404).json({ message: "Regional admin not found" });
     }
 
-    // Find the loan with this payment
-    const loan = await Loan.findOne({
-      "paymentHistory.paymentId": paymentId,
-    }).populate("clientUserId");
-
-    if (!loan) {
-      return res.status(404).json({ message: "Payment not found" });
-    }
-
-    // Verify payment is in the regional admin's jurisdiction
-    const client = await Client.findById(loan.clientUserId);
-    const agent = await Staff.findById(client.assignedReviewer);
-
-    if (agent.region.toString() !== regionalAdmin.region?.toString()) {
-      return res
-        .status(403)
-        .json({ message: "Not authorized to approve this payment" });
-    }
-
-    // Update payment status
-    const payment = loan.paymentHistory.id(paymentId);
-    if (!payment) {
-      return res.status(404).json({ message: "Payment not found" });
-    }
-
-    payment.status = status;
-    if (status === "Approved") {
-      payment.approvedBy = regionalAdminId;
-      payment.approvedAt = new Date();
-    } else {
-      payment.rejectedReason = rejectedReason;
-    }
+    const result = await paymentVerificationService.reviewPayment(
+      paymentId,
+      { status, notes, reason: rejectedReason },
+      req.user
+    );
 
-    await loan.save();
+    const messages = {
+      verified: "Payment approved successfully",
+      pending_approval: "Payment proof verified and sent for regional approval",
+      rejected: "Payment rejected successfully",
+    };
 
     res.json({
-      message: `Payment ${status.toLowerCase()} successfully`,
-      payment,
+      message: messages[result.stage],
+      stage: result.stage,
+      payment: result.payment,
+      balances: result.balances || null,
     });
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode,
+      });
+    }
+
     res.status(500).json({
       message: "Error processing payment approval",
       error: error.message,
@@ -992,12 +943,12 @@ exports.generateRegionalReport = async (req, res) => {
     }, 0);
 
     // Get payment data
-    const allPayments = loans.flatMap((loan) => loan.paymentHistory);
-    const approvedPayments = allPayments.filter(
-      (payment) => payment.status === "Approved"
-    );
+    const approvedPayments = await Payment.find({
+      loanId: { $in: loans.map((loan) => loan._id) },
+      status: "verified",
+    }).select("paymentAmount");
     const totalPaymentsAmount = approvedPayments.reduce(
-      (sum, payment) => sum + payment.amount,
+      (sum, payment) => sum + payment.paymentAmount,
       0
     );
 
@@ -15,6 +15,12 @@ const { connectDB } = require("./config/db");
 const cacheService = require('./services/cacheService');
 const cacheWarmupService = require('./services/cacheWarmupService');
 
+// Scheduled jobs
+const penaltyAccrualService = require('./services/penaltyAccrualService');
+const emailService = require('./services/emailService');
+const approvalWorkflowService = require('./services/approvalWorkflowService');
+const notificationService = require('./services/notificationService');
+
 // Models
 const Client = require("./models/Client");
 const Loan = require("./models/Loan");
@@ -22,6 +28,7 @@ const Loan = require("./models/Loan");
 // Routes
 const authRoutes = require("./routes/authRoutes");
 const clientRoutes = require("./routes/clientRoutes");
+const guarantorRoutes = require("./routes/guarantorRoutes");
 const loanRoutes = require("./routes/loanRoutes");
 const agentRoutes = require("./routes/agentRoutes");
 const staffRoutes = require("./routes/staffRoutes");
@@ -91,6 +98,10 @@ process.on('unhandledRejection', (err) => {
 // Graceful shutdown handling
 process.on('SIGTERM', () => {
   logInfo('SIGTERM received. Shutting down gracefully...');
+  penaltyAccrualService.stop();
+  emailService.stop();
+  approvalWorkflowService.stop();
+  notificationService.stop();
   if (server) {
     server.close(() => {
       logInfo('Process terminated');
@@ -101,6 +112,10 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logInfo('SIGINT received. Shutting down gracefully...');
+  penaltyAccrualService.stop();
+  emailService.stop();
+  approvalWorkflowService.stop();
+  notificationService.stop();
   if (server) {
     server.close(() => {
       logInfo('Process terminated');
@@ -126,6 +141,11 @@ const initializeServices = async () => {
       }
     }, 5000); // 5 second delay to allow database to fully initialize
 
+    penaltyAccrualService.start();
+    emailService.start();
+    approvalWorkflowService.start();
+    notificationService.start();
+
     logInfo('✅ All services initialized successfully');
   } catch (error) {
     logError('❌ Failed to initialize services', error);
@@ -169,7 +189,13 @@ app.use(generalRateLimit);
 app.use(express.json({
   limit: config.security.maxFileSize,
   strict: true, // Only parse arrays and objects
-  type: 'application/json'
+  type: 'application/json',
+  // Payment webhooks are signed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
 }));
 app.use(express.urlencoded({
   extended: true,
@@ -197,6 +223,11 @@ app.use("/health", healthRoutes);
 // API routes with specific security middleware
 app.use("/api/auth", strictInputSanitizer, authRoutes);
 app.use("/clientsAPI", clientRoutes);
+app.use("/api/clients", require('./routes/clientRiskRoutes'));
+app.use("/api/guarantors", guarantorRoutes);
+app.use("/api/reconciliation", require('./routes/reconciliationRoutes'));
+app.use("/api/payments", require('./routes/paymentRoutes'));
+app.use("/api/collections", require('./routes/collectionRoutes'));
 app.use("/api/staff", strictInputSanitizer, staffRoutes);
 app.use("/api/loans", loanRoutes);
 app.use("/api/loans", require('./routes/optimizedLoanRoutes'));
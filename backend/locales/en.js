@@ -0,0 +1,217 @@
+/**
+ * English catalogue
+ * Reference catalogue; every key used by the application must exist here.
+ */
+
+module.exports = {
+  statuses: {
+    approved: 'Approved',
+    rejected: 'Rejected',
+    pending: 'Pending',
+    under_review: 'Under Review',
+    disbursed: 'Disbursed',
+    completed: 'Completed'
+  },
+
+  email: {
+    common: {
+      greeting: 'Dear {{clientName}},',
+      loanIdLabel: 'Loan ID',
+      amountLabel: 'Amount',
+      closing: 'Best regards,',
+      team: 'PaySync Team',
+      footer: 'This is an automated message from PaySync. Please do not reply to this email.'
+    },
+    'loan-status-change': {
+      subject: 'Loan Status Update - {{status}}',
+      title: 'Loan Status Update - PaySync',
+      heading: 'PaySync - Loan Status Update',
+      intro: 'We wanted to update you on the status of your loan application.',
+      statusLabel: 'New Status',
+      approvalHeading: 'Approval Details',
+      rejectionHeading: 'Rejection Reason',
+      contact: 'If you have any questions, please contact your assigned agent or visit our office.'
+    },
+    'agreement-ready': {
+      subject: 'Your Loan Agreement is Ready for Download',
+      title: 'Agreement Ready - PaySync',
+      heading: '🎉 Your Loan Agreement is Ready!',
+      intro: 'Great news! Your loan agreement has been prepared and is ready for download.',
+      detailsHeading: 'Loan Details:',
+      termLabel: 'Term',
+      termValue: '{{loanTerm}} months',
+      interestRateLabel: 'Interest Rate',
+      downloadPrompt: 'Please download your agreement using the link below:',
+      downloadButton: 'Download Agreement',
+      important: 'Important:',
+      reviewNote: 'Please review the agreement carefully and contact us if you have any questions before signing.',
+      nextSteps: 'Next steps:',
+      step1: 'Download and review the agreement',
+      step2: 'Sign the agreement',
+      step3: 'Submit the signed agreement to your agent',
+      step4: 'Await final processing',
+      thanks: 'Thank you for choosing PaySync!',
+      footerHelp: 'If you have trouble downloading, contact your agent or visit our office.'
+    },
+    'loan-reminder': {
+      subject: 'Payment Reminder - PaySync',
+      title: 'Payment Reminder - PaySync',
+      heading: 'Payment Reminder',
+      intro: 'This is a friendly reminder about your upcoming loan payment.',
+      detailsHeading: 'Payment Details:',
+      dueDateLabel: 'Due Date',
+      amountDueLabel: 'Amount Due',
+      daysUntilDueLabel: 'Days Until Due',
+      onTime: 'Please ensure your payment is made on time to avoid any late fees.'
+    }
+  },
+
+  notifications: {
+    loan_approved: {
+      title: 'Loan Approved! 🎉',
+      message: 'Congratulations! Your loan application has been approved. You can now proceed with the agreement signing.'
+    },
+    loan_rejected: {
+      title: 'Loan Application Update',
+      message: 'We regret to inform you that your loan application was not approved at this time. Please contact your agent for more details.'
+    },
+    loan_disbursed: {
+      title: 'Loan Disbursed 💸',
+      message: 'Your loan has been paid out in full. Your repayment schedule is now available in the app.'
+    },
+    payment_due: {
+      title: 'Payment Reminder 💰',
+      message: 'Your loan payment is due soon. Please make your payment to avoid late fees.'
+    },
+    payment_overdue: {
+      title: 'Payment Overdue ⚠️',
+      message: 'Your loan payment is overdue. Please make your payment immediately to avoid additional charges.'
+    },
+    payment_received: {
+      title: 'Payment Received ✅',
+      message: 'Thank you! Your payment has been received and is being processed.'
+    },
+    payment_rejected: {
+      title: 'Payment Not Accepted',
+      message: 'We could not accept your payment of LKR {{amount}} (ref {{paymentId}}): {{reason}}. Please contact your agent.'
+    },
+    kyc_approved: {
+      title: 'KYC Approved ✅',
+      message: 'Your identity verification has been completed successfully. You can now apply for loans.'
+    },
+    kyc_rejected: {
+      title: 'KYC Verification Required',
+      message: 'Additional documentation is required for identity verification. Please resubmit your documents.'
+    },
+    document_reupload: {
+      title: 'Please Upload Your {{document}} Again',
+      message: 'We could not accept your {{document}}: {{reason}}. Please upload a new copy in the app.'
+    }
+  },
+
+  guarantors: {
+    consentOtp: {
+      title: 'Guarantor Consent',
+      message: '{{clientName}} has named you as guarantor for a loan of LKR {{amount}}. Give code {{code}} to the PaySync officer to confirm your consent. It expires in {{minutes}} minutes.'
+    }
+  },
+
+  clientAuth: {
+    passwordReset: {
+      title: 'Reset your PaySync password',
+      message: 'Use this code in the PaySync app to reset your password: {{token}}\n\nIt expires in {{minutes}} minutes. If you did not ask to reset your password, you can ignore this email.'
+    }
+  },
+
+  agreement: {
+    title: 'LOAN AGREEMENT',
+    agreementNo: 'Agreement No: {{number}}',
+    date: 'Date: {{date}}',
+    company: {
+      name: 'PaySync Microfinance Ltd.',
+      tagline: 'Registered Microfinance Institution',
+      license: 'License No: MF/2024/001',
+      contact: 'Email: info@paysync.lk | Phone: +94 11 234 5678',
+      address: 'No. 123, Main Street, Colombo 01, Sri Lanka',
+      registration: 'Registration No: PV 12345'
+    },
+    parties: {
+      heading: 'PARTIES TO THE AGREEMENT',
+      lender: 'LENDER:',
+      borrower: 'BORROWER:',
+      name: 'Name: {{value}}',
+      nic: 'NIC: {{value}}',
+      address: 'Address: {{value}}',
+      phone: 'Phone: {{value}}',
+      email: 'Email: {{value}}',
+      notAvailable: 'N/A'
+    },
+    loanDetails: {
+      heading: 'LOAN DETAILS',
+      loanAmount: 'Loan Amount: LKR {{amount}}',
+      interestRate: 'Interest Rate: {{rate}}% per annum ({{method}})',
+      loanTerm: 'Loan Term: {{term}} months',
+      installment: 'Installment: LKR {{amount}} ({{frequency}}, {{count}} installments)',
+      totalRepayment: 'Total Repayment: LKR {{amount}}',
+      purpose: 'Purpose: {{purpose}}',
+      defaultPurpose: 'General Business'
+    },
+    interestMethods: {
+      flat: 'flat rate',
+      reducing_balance: 'reducing balance',
+      declining_principal: 'declining principal'
+    },
+    repaymentFrequencies: {
+      'Weekly': 'weekly',
+      'Bi-weekly': 'every two weeks',
+      'Monthly': 'monthly',
+      'Quarterly': 'quarterly',
+      'Semi-annually': 'every six months',
+      'Annually': 'annually'
+    },
+    schedule: {
+      heading: 'REPAYMENT SCHEDULE',
+      columns: {
+        number: '#',
+        dueDate: 'Due Date',
+        principal: 'Principal',
+        interest: 'Interest',
+        fee: 'Fee',
+        payment: 'Payment',
+        balance: 'Balance'
+      }
+    },
+    guarantors: {
+      heading: 'GUARANTOR INFORMATION',
+      guarantor: 'Guarantor {{number}}:',
+      name: 'Name: {{value}}',
+      nic: 'NIC: {{value}}',
+      phone: 'Phone: {{value}}',
+      relationship: 'Relationship: {{value}}'
+    },
+    terms: {
+      heading: 'TERMS AND CONDITIONS',
+      items: [
+        'The borrower agrees to repay the loan amount along with interest as per the repayment schedule.',
+        'Monthly payments are due on the same date each month as specified in the repayment schedule.',
+        'Late payment charges of 2% per month will be applied to overdue amounts.',
+        'The borrower must maintain adequate insurance coverage for the duration of the loan.',
+        'The lender reserves the right to demand immediate repayment if the borrower defaults.',
+        'Any changes to this agreement must be made in writing and signed by both parties.',
+        'This agreement is governed by the laws of Sri Lanka.',
+        'The borrower has the right to prepay the loan without penalty after 6 months.',
+        'All disputes shall be resolved through arbitration in Colombo, Sri Lanka.',
+        'The borrower must notify the lender of any change in contact information within 30 days.'
+      ]
+    },
+    signatures: {
+      heading: 'SIGNATURES',
+      borrower: 'BORROWER:',
+      lender: 'LENDER:',
+      witness: 'WITNESS:',
+      authorizedRepresentative: 'Authorized Representative',
+      date: 'Date: _______________',
+      name: 'Name: ___________________'
+    }
+  }
+};
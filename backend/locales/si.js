@@ -0,0 +1,215 @@
+/**
+ * Sinhala catalogue
+ * Missing keys fall back to the English catalogue.
+ */
+
+module.exports = {
+  statuses: {
+    approved: 'අනුමතයි',
+    rejected: 'ප්‍රතික්ෂේපිතයි',
+    pending: 'පොරොත්තුවෙන්',
+    under_review: 'සමාලෝචනය වෙමින්',
+    disbursed: 'මුදා හරින ලදී',
+    completed: 'සම්පූර්ණයි'
+  },
+
+  email: {
+    common: {
+      greeting: 'හිතවත් {{clientName}},',
+      loanIdLabel: 'ණය අංකය',
+      amountLabel: 'මුදල',
+      closing: 'ස්තූතියි,',
+      team: 'PaySync කණ්ඩායම',
+      footer: 'මෙය PaySync වෙතින් ස්වයංක්‍රීයව එවන ලද පණිවිඩයකි. කරුණාකර මෙම ඊමේල් පණිවිඩයට පිළිතුරු නොදෙන්න.'
+    },
+    'loan-status-change': {
+      subject: 'ණය තත්ත්වය යාවත්කාලීන කිරීම - {{status}}',
+      title: 'ණය තත්ත්වය යාවත්කාලීන කිරීම - PaySync',
+      heading: 'PaySync - ණය තත්ත්වය යාවත්කාලීන කිරීම',
+      intro: 'ඔබගේ ණය අයදුම්පතේ තත්ත්වය පිළිබඳව ඔබව දැනුවත් කිරීමට අපි කැමැත්තෙමු.',
+      statusLabel: 'නව තත්ත්වය',
+      approvalHeading: 'අනුමැතියේ විස්තර',
+      rejectionHeading: 'ප්‍රතික්ෂේප කිරීමට හේතුව',
+      contact: 'ඔබට කිසියම් ප්‍රශ්නයක් ඇත්නම්, කරුණාකර ඔබට පවරා ඇති නියෝජිතයා අමතන්න හෝ අපගේ කාර්යාලයට පැමිණෙන්න.'
+    },
+    'agreement-ready': {
+      subject: 'ඔබගේ ණය ගිවිසුම බාගත කිරීමට සූදානම්',
+      title: 'ගිවිසුම සූදානම් - PaySync',
+      heading: '🎉 ඔබගේ ණය ගිවිසුම සූදානම්!',
+      intro: 'සුබ පුවතක්! ඔබගේ ණය ගිවිසුම සකස් කර ඇති අතර එය බාගත කිරීමට සූදානම්.',
+      detailsHeading: 'ණය විස්තර:',
+      termLabel: 'කාලය',
+      termValue: 'මාස {{loanTerm}}',
+      interestRateLabel: 'පොලී අනුපාතය',
+      downloadPrompt: 'කරුණාකර පහත සබැඳිය භාවිතයෙන් ඔබගේ ගිවිසුම බාගත කරන්න:',
+      downloadButton: 'ගිවිසුම බාගත කරන්න',
+      important: 'වැදගත්:',
+      reviewNote: 'අත්සන් කිරීමට පෙර කරුණාකර ගිවිසුම හොඳින් කියවා, කිසියම් ප්‍රශ්නයක් ඇත්නම් අප අමතන්න.',
+      nextSteps: 'ඊළඟ පියවර:',
+      step1: 'ගිවිසුම බාගත කර කියවන්න',
+      step2: 'ගිවිසුමට අත්සන් කරන්න',
+      step3: 'අත්සන් කළ ගිවිසුම ඔබගේ නියෝජිතයාට භාර දෙන්න',
+      step4: 'අවසන් සැකසීම සඳහා රැඳී සිටින්න',
+      thanks: 'PaySync තෝරා ගැනීම ගැන ස්තූතියි!',
+      footerHelp: 'බාගත කිරීමේ ගැටලුවක් ඇත්නම්, ඔබගේ නියෝජිතයා අමතන්න හෝ අපගේ කාර්යාලයට පැමිණෙන්න.'
+    },
+    'loan-reminder': {
+      subject: 'ගෙවීම් සිහිකැඳවීම - PaySync',
+      title: 'ගෙවීම් සිහිකැඳවීම - PaySync',
+      heading: 'ගෙවීම් සිහිකැඳවීම',
+      intro: 'ඔබගේ ඉදිරි ණය වාරිකය පිළිබඳ මෙය මිත්‍රශීලී සිහිකැඳවීමකි.',
+      detailsHeading: 'ගෙවීම් විස්තර:',
+      dueDateLabel: 'ගෙවිය යුතු දිනය',
+      amountDueLabel: 'ගෙවිය යුතු මුදල',
+      daysUntilDueLabel: 'ගෙවීමට ඇති දින ගණන',
+      onTime: 'ප්‍රමාද ගාස්තු වළක්වා ගැනීමට කරුණාකර නියමිත වේලාවට ගෙවීම කරන්න.'
+    }
+  },
+
+  notifications: {
+    loan_approved: {
+      title: 'ණය අනුමතයි! 🎉',
+      message: 'සුබ පැතුම්! ඔබගේ ණය අයදුම්පත අනුමත කර ඇත. දැන් ඔබට ගිවිසුම අත්සන් කිරීමට ඉදිරියට යා හැක.'
+    },
+    loan_rejected: {
+      title: 'ණය අයදුම්පත පිළිබඳ යාවත්කාලීන කිරීම',
+      message: 'කණගාටුයි, මෙවර ඔබගේ ණය අයදුම්පත අනුමත නොවීය. වැඩි විස්තර සඳහා කරුණාකර ඔබගේ නියෝජිතයා අමතන්න.'
+    },
+    loan_disbursed: {
+      title: 'ණය මුදල් නිකුත් කරන ලදී 💸',
+      message: 'ඔබගේ ණය මුදල සම්පූර්ණයෙන් ගෙවා ඇත. ඔබගේ ආපසු ගෙවීමේ කාලසටහන දැන් යෙදුමේ ඇත.'
+    },
+    payment_due: {
+      title: 'ගෙවීම් සිහිකැඳවීම 💰',
+      message: 'ඔබගේ ණය වාරිකය ඉක්මනින් ගෙවිය යුතුය. ප්‍රමාද ගාස්තු වළක්වා ගැනීමට කරුණාකර ගෙවීම කරන්න.'
+    },
+    payment_overdue: {
+      title: 'ගෙවීම ප්‍රමාදයි ⚠️',
+      message: 'ඔබගේ ණය වාරිකය ගෙවීමේ කාලය ඉක්මවා ඇත. අමතර ගාස්තු වළක්වා ගැනීමට කරුණාකර වහාම ගෙවීම කරන්න.'
+    },
+    payment_received: {
+      title: 'ගෙවීම ලැබුණි ✅',
+      message: 'ස්තූතියි! ඔබගේ ගෙවීම ලැබී ඇති අතර එය සකසමින් පවතී.'
+    },
+    payment_rejected: {
+      title: 'ගෙවීම පිළිගත නොහැක',
+      message: 'ඔබගේ රු. {{amount}} ගෙවීම (යොමු {{paymentId}}) පිළිගත නොහැක: {{reason}}. කරුණාකර ඔබගේ නියෝජිතයා අමතන්න.'
+    },
+    kyc_approved: {
+      title: 'KYC අනුමතයි ✅',
+      message: 'ඔබගේ අනන්‍යතා තහවුරු කිරීම සාර්ථකව අවසන් විය. දැන් ඔබට ණය සඳහා අයදුම් කළ හැක.'
+    },
+    kyc_rejected: {
+      title: 'KYC තහවුරු කිරීම අවශ්‍යයි',
+      message: 'අනන්‍යතා තහවුරු කිරීම සඳහා අමතර ලේඛන අවශ්‍ය වේ. කරුණාකර ඔබගේ ලේඛන නැවත ඉදිරිපත් කරන්න.'
+    },
+    document_reupload: {
+      title: 'කරුණාකර ඔබගේ {{document}} නැවත උඩුගත කරන්න',
+      message: 'ඔබගේ {{document}} පිළිගත නොහැකි විය: {{reason}}. කරුණාකර යෙදුම හරහා නව පිටපතක් උඩුගත කරන්න.'
+    }
+  },
+
+  guarantors: {
+    consentOtp: {
+      title: 'ඇපකරු කැමැත්ත',
+      message: '{{clientName}} රු. {{amount}} ණයක් සඳහා ඔබව ඇපකරු ලෙස නම් කර ඇත. ඔබේ කැමැත්ත තහවුරු කිරීමට {{code}} කේතය PaySync නිලධාරියාට ලබා දෙන්න. එය මිනිත්තු {{minutes}} කින් කල් ඉකුත් වේ.'
+    }
+  },
+
+  clientAuth: {
+    passwordReset: {
+      title: 'ඔබගේ PaySync මුරපදය යළි සකසන්න',
+      message: 'ඔබගේ මුරපදය යළි සැකසීමට PaySync යෙදුමේ මෙම කේතය භාවිතා කරන්න: {{token}}\n\nඑය මිනිත්තු {{minutes}} කින් කල් ඉකුත් වේ. ඔබ මුරපදය යළි සැකසීමට ඉල්ලා නොසිටියේ නම්, මෙම ඊමේල් පණිවිඩය නොසලකා හරින්න.'
+    }
+  },
+
+  agreement: {
+    title: 'ණය ගිවිසුම',
+    agreementNo: 'ගිවිසුම් අංකය: {{number}}',
+    date: 'දිනය: {{date}}',
+    company: {
+      tagline: 'ලියාපදිංචි ක්ෂුද්‍ර මූල්‍ය ආයතනය',
+      license: 'බලපත්‍ර අංකය: MF/2024/001',
+      contact: 'ඊමේල්: info@paysync.lk | දුරකථන: +94 11 234 5678',
+      address: 'අංක 123, ප්‍රධාන වීදිය, කොළඹ 01, ශ්‍රී ලංකාව',
+      registration: 'ලියාපදිංචි අංකය: PV 12345'
+    },
+    parties: {
+      heading: 'ගිවිසුමේ පාර්ශ්වකරුවන්',
+      lender: 'ණය දෙන්නා:',
+      borrower: 'ණය ගැනුම්කරු:',
+      name: 'නම: {{value}}',
+      nic: 'ජා.හැ.අ.: {{value}}',
+      address: 'ලිපිනය: {{value}}',
+      phone: 'දුරකථන: {{value}}',
+      email: 'ඊමේල්: {{value}}',
+      notAvailable: 'නැත'
+    },
+    loanDetails: {
+      heading: 'ණය විස්තර',
+      loanAmount: 'ණය මුදල: LKR {{amount}}',
+      interestRate: 'පොලී අනුපාතය: වාර්ෂිකව {{rate}}% ({{method}})',
+      loanTerm: 'ණය කාලය: මාස {{term}}',
+      installment: 'වාරිකය: LKR {{amount}} ({{frequency}}, වාරික {{count}})',
+      totalRepayment: 'මුළු ආපසු ගෙවීම: LKR {{amount}}',
+      purpose: 'අරමුණ: {{purpose}}',
+      defaultPurpose: 'සාමාන්‍ය ව්‍යාපාර'
+    },
+    interestMethods: {
+      flat: 'ස්ථාවර අනුපාතය',
+      reducing_balance: 'අඩුවන ශේෂය',
+      declining_principal: 'අඩුවන මූලික මුදල'
+    },
+    repaymentFrequencies: {
+      'Weekly': 'සතිපතා',
+      'Bi-weekly': 'සති දෙකකට වරක්',
+      'Monthly': 'මාසිකව',
+      'Quarterly': 'කාර්තුවකට වරක්',
+      'Semi-annually': 'මාස හයකට වරක්',
+      'Annually': 'වාර්ෂිකව'
+    },
+    schedule: {
+      heading: 'ආපසු ගෙවීමේ කාලසටහන',
+      columns: {
+        dueDate: 'දිනය',
+        principal: 'මූලික',
+        interest: 'පොලිය',
+        fee: 'ගාස්තුව',
+        payment: 'වාරිකය',
+        balance: 'ශේෂය'
+      }
+    },
+    guarantors: {
+      heading: 'ඇපකරුවන්ගේ තොරතුරු',
+      guarantor: 'ඇපකරු {{number}}:',
+      name: 'නම: {{value}}',
+      nic: 'ජා.හැ.අ.: {{value}}',
+      phone: 'දුරකථන: {{value}}',
+      relationship: 'සම්බන්ධතාවය: {{value}}'
+    },
+    terms: {
+      heading: 'නියම සහ කොන්දේසි',
+      items: [
+        'ණය ගැනුම්කරු ආපසු ගෙවීමේ කාලසටහනට අනුව ණය මුදල පොලිය සමඟ ආපසු ගෙවීමට එකඟ වේ.',
+        'මාසික වාරික ආපසු ගෙවීමේ කාලසටහනේ සඳහන් පරිදි සෑම මසකම එකම දිනයේ ගෙවිය යුතුය.',
+        'කල් ඉකුත් වූ මුදල් සඳහා මසකට 2% ක ප්‍රමාද ගාස්තුවක් අය කෙරේ.',
+        'ණය කාලය පුරා ණය ගැනුම්කරු ප්‍රමාණවත් රක්ෂණ ආවරණයක් පවත්වා ගත යුතුය.',
+        'ණය ගැනුම්කරු පැහැර හරින්නේ නම්, වහාම ආපසු ගෙවීම ඉල්ලා සිටීමේ අයිතිය ණය දෙන්නා සතුය.',
+        'මෙම ගිවිසුමේ ඕනෑම වෙනසක් ලිඛිතව කර පාර්ශ්ව දෙකම විසින් අත්සන් කළ යුතුය.',
+        'මෙම ගිවිසුම ශ්‍රී ලංකාවේ නීතිවලට යටත් වේ.',
+        'මාස 6 කට පසු දඩයකින් තොරව ණය කලින් ගෙවා නිම කිරීමේ අයිතිය ණය ගැනුම්කරුට ඇත.',
+        'සියලු ආරවුල් ශ්‍රී ලංකාවේ කොළඹ දී බේරුම්කරණය මගින් විසඳනු ලැබේ.',
+        'සම්බන්ධතා තොරතුරුවල කිසියම් වෙනසක් දින 30 ක් ඇතුළත ණය ගැනුම්කරු විසින් ණය දෙන්නාට දැනුම් දිය යුතුය.'
+      ]
+    },
+    signatures: {
+      heading: 'අත්සන්',
+      borrower: 'ණය ගැනුම්කරු:',
+      lender: 'ණය දෙන්නා:',
+      witness: 'සාක්ෂිකරු:',
+      authorizedRepresentative: 'බලයලත් නියෝජිත',
+      date: 'දිනය: _______________',
+      name: 'නම: ___________________'
+    }
+  }
+};
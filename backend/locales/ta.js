@@ -0,0 +1,215 @@
+/**
+ * Tamil catalogue
+ * Missing keys fall back to the English catalogue.
+ */
+
+module.exports = {
+  statuses: {
+    approved: 'அங்கீகரிக்கப்பட்டது',
+    rejected: 'நிராகரிக்கப்பட்டது',
+    pending: 'நிலுவையில்',
+    under_review: 'பரிசீலனையில்',
+    disbursed: 'வழங்கப்பட்டது',
+    completed: 'நிறைவடைந்தது'
+  },
+
+  email: {
+    common: {
+      greeting: 'அன்புள்ள {{clientName}},',
+      loanIdLabel: 'கடன் எண்',
+      amountLabel: 'தொகை',
+      closing: 'அன்புடன்,',
+      team: 'PaySync குழு',
+      footer: 'இது PaySync இலிருந்து அனுப்பப்பட்ட தானியங்கி செய்தி. தயவுசெய்து இந்த மின்னஞ்சலுக்கு பதிலளிக்க வேண்டாம்.'
+    },
+    'loan-status-change': {
+      subject: 'கடன் நிலை புதுப்பிப்பு - {{status}}',
+      title: 'கடன் நிலை புதுப்பிப்பு - PaySync',
+      heading: 'PaySync - கடன் நிலை புதுப்பிப்பு',
+      intro: 'உங்கள் கடன் விண்ணப்பத்தின் நிலை குறித்து உங்களுக்குத் தெரிவிக்க விரும்புகிறோம்.',
+      statusLabel: 'புதிய நிலை',
+      approvalHeading: 'அங்கீகார விவரங்கள்',
+      rejectionHeading: 'நிராகரிப்புக்கான காரணம்',
+      contact: 'ஏதேனும் கேள்விகள் இருந்தால், உங்களுக்கு ஒதுக்கப்பட்ட முகவரைத் தொடர்பு கொள்ளவும் அல்லது எங்கள் அலுவலகத்திற்கு வருகை தரவும்.'
+    },
+    'agreement-ready': {
+      subject: 'உங்கள் கடன் ஒப்பந்தம் பதிவிறக்கத்திற்கு தயாராக உள்ளது',
+      title: 'ஒப்பந்தம் தயார் - PaySync',
+      heading: '🎉 உங்கள் கடன் ஒப்பந்தம் தயார்!',
+      intro: 'நல்ல செய்தி! உங்கள் கடன் ஒப்பந்தம் தயாரிக்கப்பட்டு பதிவிறக்கத்திற்கு தயாராக உள்ளது.',
+      detailsHeading: 'கடன் விவரங்கள்:',
+      termLabel: 'காலம்',
+      termValue: '{{loanTerm}} மாதங்கள்',
+      interestRateLabel: 'வட்டி விகிதம்',
+      downloadPrompt: 'கீழே உள்ள இணைப்பைப் பயன்படுத்தி உங்கள் ஒப்பந்தத்தைப் பதிவிறக்கவும்:',
+      downloadButton: 'ஒப்பந்தத்தைப் பதிவிறக்கவும்',
+      important: 'முக்கியம்:',
+      reviewNote: 'கையொப்பமிடுவதற்கு முன் ஒப்பந்தத்தை கவனமாகப் படித்து, ஏதேனும் கேள்விகள் இருந்தால் எங்களைத் தொடர்பு கொள்ளவும்.',
+      nextSteps: 'அடுத்த படிகள்:',
+      step1: 'ஒப்பந்தத்தைப் பதிவிறக்கி படிக்கவும்',
+      step2: 'ஒப்பந்தத்தில் கையொப்பமிடவும்',
+      step3: 'கையொப்பமிட்ட ஒப்பந்தத்தை உங்கள் முகவரிடம் சமர்ப்பிக்கவும்',
+      step4: 'இறுதி செயலாக்கத்திற்காகக் காத்திருக்கவும்',
+      thanks: 'PaySync ஐத் தேர்ந்தெடுத்ததற்கு நன்றி!',
+      footerHelp: 'பதிவிறக்குவதில் சிக்கல் இருந்தால், உங்கள் முகவரைத் தொடர்பு கொள்ளவும் அல்லது எங்கள் அலுவலகத்திற்கு வருகை தரவும்.'
+    },
+    'loan-reminder': {
+      subject: 'கட்டண நினைவூட்டல் - PaySync',
+      title: 'கட்டண நினைவூட்டல் - PaySync',
+      heading: 'கட்டண நினைவூட்டல்',
+      intro: 'உங்கள் வரவிருக்கும் கடன் கட்டணம் பற்றிய ஒரு நட்பு நினைவூட்டல் இது.',
+      detailsHeading: 'கட்டண விவரங்கள்:',
+      dueDateLabel: 'செலுத்த வேண்டிய தேதி',
+      amountDueLabel: 'செலுத்த வேண்டிய தொகை',
+      daysUntilDueLabel: 'மீதமுள்ள நாட்கள்',
+      onTime: 'தாமதக் கட்டணங்களைத் தவிர்க்க உங்கள் கட்டணத்தை உரிய நேரத்தில் செலுத்தவும்.'
+    }
+  },
+
+  notifications: {
+    loan_approved: {
+      title: 'கடன் அங்கீகரிக்கப்பட்டது! 🎉',
+      message: 'வாழ்த்துக்கள்! உங்கள் கடன் விண்ணப்பம் அங்கீகரிக்கப்பட்டுள்ளது. இப்போது நீங்கள் ஒப்பந்தத்தில் கையொப்பமிடலாம்.'
+    },
+    loan_rejected: {
+      title: 'கடன் விண்ணப்பப் புதுப்பிப்பு',
+      message: 'வருந்துகிறோம், இம்முறை உங்கள் கடன் விண்ணப்பம் அங்கீகரிக்கப்படவில்லை. மேலும் விவரங்களுக்கு உங்கள் முகவரைத் தொடர்பு கொள்ளவும்.'
+    },
+    loan_disbursed: {
+      title: 'கடன் வழங்கப்பட்டது 💸',
+      message: 'உங்கள் கடன் முழுமையாக வழங்கப்பட்டது. உங்கள் திருப்பிச் செலுத்தும் அட்டவணை இப்போது செயலியில் உள்ளது.'
+    },
+    payment_due: {
+      title: 'கட்டண நினைவூட்டல் 💰',
+      message: 'உங்கள் கடன் கட்டணம் விரைவில் செலுத்தப்பட வேண்டும். தாமதக் கட்டணங்களைத் தவிர்க்க உங்கள் கட்டணத்தைச் செலுத்தவும்.'
+    },
+    payment_overdue: {
+      title: 'கட்டணம் தாமதமானது ⚠️',
+      message: 'உங்கள் கடன் கட்டணம் தாமதமாகியுள்ளது. கூடுதல் கட்டணங்களைத் தவிர்க்க உடனடியாகச் செலுத்தவும்.'
+    },
+    payment_received: {
+      title: 'கட்டணம் பெறப்பட்டது ✅',
+      message: 'நன்றி! உங்கள் கட்டணம் பெறப்பட்டு செயலாக்கப்படுகிறது.'
+    },
+    payment_rejected: {
+      title: 'கட்டணம் ஏற்கப்படவில்லை',
+      message: 'உங்கள் ரூ. {{amount}} கட்டணத்தை (குறிப்பு {{paymentId}}) ஏற்க முடியவில்லை: {{reason}}. தயவுசெய்து உங்கள் முகவரைத் தொடர்பு கொள்ளவும்.'
+    },
+    kyc_approved: {
+      title: 'KYC அங்கீகரிக்கப்பட்டது ✅',
+      message: 'உங்கள் அடையாள சரிபார்ப்பு வெற்றிகரமாக முடிந்தது. இப்போது நீங்கள் கடனுக்கு விண்ணப்பிக்கலாம்.'
+    },
+    kyc_rejected: {
+      title: 'KYC சரிபார்ப்பு தேவை',
+      message: 'அடையாள சரிபார்ப்புக்கு கூடுதல் ஆவணங்கள் தேவை. தயவுசெய்து உங்கள் ஆவணங்களை மீண்டும் சமர்ப்பிக்கவும்.'
+    },
+    document_reupload: {
+      title: 'உங்கள் {{document}} ஐ மீண்டும் பதிவேற்றவும்',
+      message: 'உங்கள் {{document}} ஏற்றுக்கொள்ளப்படவில்லை: {{reason}}. தயவுசெய்து செயலியில் புதிய நகலைப் பதிவேற்றவும்.'
+    }
+  },
+
+  guarantors: {
+    consentOtp: {
+      title: 'பிணையாளர் ஒப்புதல்',
+      message: '{{clientName}} ரூ. {{amount}} கடனுக்கு உங்களை பிணையாளராக பெயரிட்டுள்ளார். உங்கள் ஒப்புதலை உறுதிப்படுத்த {{code}} குறியீட்டை PaySync அதிகாரியிடம் வழங்கவும். இது {{minutes}} நிமிடங்களில் காலாவதியாகும்.'
+    }
+  },
+
+  clientAuth: {
+    passwordReset: {
+      title: 'உங்கள் PaySync கடவுச்சொல்லை மீட்டமைக்கவும்',
+      message: 'உங்கள் கடவுச்சொல்லை மீட்டமைக்க PaySync செயலியில் இந்தக் குறியீட்டைப் பயன்படுத்தவும்: {{token}}\n\nஇது {{minutes}} நிமிடங்களில் காலாவதியாகும். நீங்கள் கடவுச்சொல் மீட்டமைப்பைக் கோரவில்லை என்றால், இந்த மின்னஞ்சலைப் புறக்கணிக்கலாம்.'
+    }
+  },
+
+  agreement: {
+    title: 'கடன் ஒப்பந்தம்',
+    agreementNo: 'ஒப்பந்த எண்: {{number}}',
+    date: 'தேதி: {{date}}',
+    company: {
+      tagline: 'பதிவுசெய்யப்பட்ட நுண்நிதி நிறுவனம்',
+      license: 'உரிம எண்: MF/2024/001',
+      contact: 'மின்னஞ்சல்: info@paysync.lk | தொலைபேசி: +94 11 234 5678',
+      address: 'இல. 123, பிரதான வீதி, கொழும்பு 01, இலங்கை',
+      registration: 'பதிவு எண்: PV 12345'
+    },
+    parties: {
+      heading: 'ஒப்பந்தத் தரப்பினர்',
+      lender: 'கடன் வழங்குநர்:',
+      borrower: 'கடன் பெறுநர்:',
+      name: 'பெயர்: {{value}}',
+      nic: 'தே.அ.அ: {{value}}',
+      address: 'முகவரி: {{value}}',
+      phone: 'தொலைபேசி: {{value}}',
+      email: 'மின்னஞ்சல்: {{value}}',
+      notAvailable: 'இல்லை'
+    },
+    loanDetails: {
+      heading: 'கடன் விவரங்கள்',
+      loanAmount: 'கடன் தொகை: LKR {{amount}}',
+      interestRate: 'வட்டி விகிதம்: ஆண்டுக்கு {{rate}}% ({{method}})',
+      loanTerm: 'கடன் காலம்: {{term}} மாதங்கள்',
+      installment: 'தவணை: LKR {{amount}} ({{frequency}}, {{count}} தவணைகள்)',
+      totalRepayment: 'மொத்த திருப்பிச் செலுத்துதல்: LKR {{amount}}',
+      purpose: 'நோக்கம்: {{purpose}}',
+      defaultPurpose: 'பொது வணிகம்'
+    },
+    interestMethods: {
+      flat: 'நிலையான விகிதம்',
+      reducing_balance: 'குறையும் நிலுவை',
+      declining_principal: 'குறையும் முதல்'
+    },
+    repaymentFrequencies: {
+      'Weekly': 'வாராந்தம்',
+      'Bi-weekly': 'இரு வாரங்களுக்கு ஒருமுறை',
+      'Monthly': 'மாதாந்தம்',
+      'Quarterly': 'காலாண்டுக்கு ஒருமுறை',
+      'Semi-annually': 'ஆறு மாதங்களுக்கு ஒருமுறை',
+      'Annually': 'வருடாந்தம்'
+    },
+    schedule: {
+      heading: 'திருப்பிச் செலுத்தும் அட்டவணை',
+      columns: {
+        dueDate: 'தேதி',
+        principal: 'முதல்',
+        interest: 'வட்டி',
+        fee: 'கட்டணம்',
+        payment: 'தவணை',
+        balance: 'நிலுவை'
+      }
+    },
+    guarantors: {
+      heading: 'பிணையாளர் விவரங்கள்',
+      guarantor: 'பிணையாளர் {{number}}:',
+      name: 'பெயர்: {{value}}',
+      nic: 'தே.அ.அ: {{value}}',
+      phone: 'தொலைபேசி: {{value}}',
+      relationship: 'உறவுமுறை: {{value}}'
+    },
+    terms: {
+      heading: 'விதிமுறைகள் மற்றும் நிபந்தனைகள்',
+      items: [
+        'திருப்பிச் செலுத்தும் அட்டவணையின்படி கடன் தொகையை வட்டியுடன் திருப்பிச் செலுத்த கடன் பெறுநர் ஒப்புக்கொள்கிறார்.',
+        'மாதாந்த தவணைகள் திருப்பிச் செலுத்தும் அட்டவணையில் குறிப்பிட்டபடி ஒவ்வொரு மாதமும் அதே தேதியில் செலுத்தப்பட வேண்டும்.',
+        'தாமதமான தொகைகளுக்கு மாதத்திற்கு 2% தாமதக் கட்டணம் விதிக்கப்படும்.',
+        'கடன் காலம் முழுவதும் கடன் பெறுநர் போதுமான காப்புறுதியைப் பேண வேண்டும்.',
+        'கடன் பெறுநர் தவறினால் உடனடியாகத் திருப்பிச் செலுத்துமாறு கோரும் உரிமை கடன் வழங்குநருக்கு உண்டு.',
+        'இந்த ஒப்பந்தத்தில் ஏதேனும் மாற்றம் எழுத்துமூலம் செய்யப்பட்டு இரு தரப்பினராலும் கையொப்பமிடப்பட வேண்டும்.',
+        'இந்த ஒப்பந்தம் இலங்கைச் சட்டங்களுக்கு உட்பட்டது.',
+        '6 மாதங்களுக்குப் பிறகு அபராதமின்றி கடனை முன்கூட்டியே செலுத்தும் உரிமை கடன் பெறுநருக்கு உண்டு.',
+        'அனைத்து பிணக்குகளும் இலங்கை, கொழும்பில் நடுவர் மன்றம் மூலம் தீர்க்கப்படும்.',
+        'தொடர்பு விவரங்களில் ஏற்படும் எந்த மாற்றத்தையும் 30 நாட்களுக்குள் கடன் பெறுநர் கடன் வழங்குநருக்குத் தெரிவிக்க வேண்டும்.'
+      ]
+    },
+    signatures: {
+      heading: 'கையொப்பங்கள்',
+      borrower: 'கடன் பெறுநர்:',
+      lender: 'கடன் வழங்குநர்:',
+      witness: 'சாட்சி:',
+      authorizedRepresentative: 'அங்கீகரிக்கப்பட்ட பிரதிநிதி',
+      date: 'தேதி: _______________',
+      name: 'பெயர்: ___________________'
+    }
+  }
+};
@@ -1,11 +1,12 @@
 const jwt = require("jsonwebtoken");
 const rateLimit = require("express-rate-limit");
+const sessionService = require("../services/sessionService");
 
 // Token blacklist (in production, use Redis)
 const tokenBlacklist = new Set();
 
 // Enhanced JWT middleware with refresh token support
-exports.authenticate = (req, res, next) => {
+exports.authenticate = async (req, res, next) => {
   const authHeader = req.headers.authorization;
 
   if (!authHeader?.startsWith("Bearer ")) {
@@ -34,7 +35,27 @@ exports.authenticate = (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Only access tokens: challenge and other typed tokens share the secret
+    // but carry their own audience and a type claim
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+      issuer: "paysync-backend",
+      audience: "paysync-client",
+    });
+    if (decoded.type) {
+      throw new jwt.JsonWebTokenError("Not an access token");
+    }
+
+    // Access tokens end with their session (logout, revoked device)
+    if (decoded.sid && !(await sessionService.isSessionActiveCached(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: "SESSION_REVOKED",
+          message: "Session has been revoked",
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
 
     // Enhanced user object with permissions and region
     req.user = {
@@ -42,7 +63,9 @@ exports.authenticate = (req, res, next) => {
       email: decoded.email,
       role: decoded.role,
       region: decoded.region,
+      clientId: decoded.clientId,
       permissions: decoded.permissions || [],
+      sessionId: decoded.sid,
       iat: decoded.iat,
       exp: decoded.exp,
     };
@@ -71,6 +94,31 @@ exports.authenticate = (req, res, next) => {
   }
 };
 
+// Mobile app authentication: only access tokens issued to client logins
+exports.authenticateClient = (req, res, next) => {
+  exports.authenticate(req, res, () => {
+    if (req.user.role !== "client" || !req.user.clientId) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: "INVALID_TOKEN_TYPE",
+          message: "Invalid token type for mobile app",
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+
+    req.client = {
+      clientId: req.user.clientId,
+      clientUserId: req.user.userId,
+      email: req.user.email,
+      sessionId: req.user.sessionId,
+    };
+
+    next();
+  });
+};
+
 // Enhanced role authorization with hierarchical permissions
 exports.authorizeRoles = (...roles) => {
   return (req, res, next) => {
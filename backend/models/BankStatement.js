@@ -0,0 +1,160 @@
+/**
+ * Bank Statement Model
+ * An imported bank statement with its credit lines and how each line was
+ * reconciled against client payments
+ */
+
+const mongoose = require('mongoose');
+
+// matched: settled against a payment; proposed: possible payments found, needs
+// a person to pick; unmatched: suspense, nothing found; ignored: not a client payment
+const LINE_STATUSES = ['matched', 'proposed', 'unmatched', 'ignored'];
+
+const statementLineSchema = new mongoose.Schema({
+  lineNumber: {
+    type: Number,
+    required: true
+  },
+  valueDate: {
+    type: Date,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reference: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: LINE_STATUSES,
+    default: 'unmatched'
+  },
+  // Candidate payments for a proposed line, best first
+  proposals: [{
+    _id: false,
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    matchedOn: [String]
+  }],
+  matchedPayment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  // 'auto' when matched on import, 'manual' when picked by staff
+  matchType: {
+    type: String,
+    enum: ['auto', 'manual']
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  },
+  resolvedAt: Date,
+  notes: {
+    type: String,
+    maxlength: 500
+  }
+});
+
+const bankStatementSchema = new mongoose.Schema({
+  statementId: {
+    type: String,
+    unique: true,
+    default: function () {
+      return `BST${Date.now()}${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
+    }
+  },
+  fileName: String,
+  // SHA-256 of the file, so the same statement is not imported twice
+  fileHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'mt940'],
+    required: true
+  },
+  accountNumber: String,
+  periodStart: Date,
+  periodEnd: Date,
+  // Region of the importing regional manager; empty for head office imports
+  region: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Region',
+    index: true
+  },
+  dateToleranceDays: Number,
+
+  lines: [statementLineSchema],
+  // Debit lines in the file, which are not reconciled
+  skippedDebits: {
+    type: Number,
+    default: 0
+  },
+
+  totals: {
+    lines: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+    proposed: { type: Number, default: 0 },
+    unmatched: { type: Number, default: 0 },
+    ignored: { type: Number, default: 0 },
+    creditAmount: { type: Number, default: 0 },
+    matchedAmount: { type: Number, default: 0 }
+  },
+  status: {
+    type: String,
+    enum: ['open', 'reconciled'],
+    default: 'open',
+    index: true
+  },
+
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    required: true
+  },
+  importedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+bankStatementSchema.index({ 'lines.status': 1 });
+
+// Methods
+bankStatementSchema.methods.refreshTotals = function () {
+  const totals = { lines: this.lines.length, matched: 0, proposed: 0, unmatched: 0, ignored: 0, creditAmount: 0, matchedAmount: 0 };
+
+  this.lines.forEach(line => {
+    totals[line.status] += 1;
+    totals.creditAmount += line.amount;
+    if (line.status === 'matched') {
+      totals.matchedAmount += line.amount;
+    }
+  });
+
+  totals.creditAmount = Math.round(totals.creditAmount * 100) / 100;
+  totals.matchedAmount = Math.round(totals.matchedAmount * 100) / 100;
+  this.totals = totals;
+  this.status = totals.proposed + totals.unmatched === 0 ? 'reconciled' : 'open';
+
+  return this.totals;
+};
+
+bankStatementSchema.statics.LINE_STATUSES = LINE_STATUSES;
+
+module.exports = mongoose.model('BankStatement', bankStatementSchema);
@@ -2,6 +2,34 @@
 
 const mongoose = require("mongoose");
 
+// A document on the client's verification checklist
+const verificationDocumentSchema = new mongoose.Schema({
+  type: { type: String, required: true }, // checklist type, e.g. 'nic'
+  name: String, // form field or label it was uploaded under
+  url: { type: String, required: true },
+  uploadedAt: { type: Date, default: Date.now },
+  uploadedBy: mongoose.Schema.Types.ObjectId,
+  source: {
+    type: String,
+    enum: ['client', 'staff'],
+    default: 'staff'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  },
+  reviewedAt: Date,
+  rejectionReason: String,
+  reuploadRequestedAt: Date,
+  // Set when a new upload of the same type replaces a rejected document
+  supersededAt: Date
+});
+
 const clientSchema = new mongoose.Schema({
   // Registration Overview
   registrationId: {
@@ -82,16 +110,7 @@ const clientSchema = new mongoose.Schema({
       },
       verifiedAt: Date,
       rejectionReason: String,
-      documents: [{
-        type: String,
-        url: String,
-        uploadedAt: Date,
-        status: {
-          type: String,
-          enum: ['pending', 'approved', 'rejected'],
-          default: 'pending'
-        }
-      }]
+      documents: [verificationDocumentSchema]
     },
     employment: {
       verified: { type: Boolean, default: false },
@@ -101,16 +120,7 @@ const clientSchema = new mongoose.Schema({
       },
       verifiedAt: Date,
       rejectionReason: String,
-      documents: [{
-        type: String,
-        url: String,
-        uploadedAt: Date,
-        status: {
-          type: String,
-          enum: ['pending', 'approved', 'rejected'],
-          default: 'pending'
-        }
-      }]
+      documents: [verificationDocumentSchema]
     },
     income: {
       verified: { type: Boolean, default: false },
@@ -121,16 +131,7 @@ const clientSchema = new mongoose.Schema({
       verifiedAt: Date,
       rejectionReason: String,
       monthlyIncomeVerified: Number,
-      documents: [{
-        type: String,
-        url: String,
-        uploadedAt: Date,
-        status: {
-          type: String,
-          enum: ['pending', 'approved', 'rejected'],
-          default: 'pending'
-        }
-      }]
+      documents: [verificationDocumentSchema]
     },
     documents: {
       verified: { type: Boolean, default: false },
@@ -215,6 +216,8 @@ const clientSchema = new mongoose.Schema({
       enum: ['low', 'medium', 'high', 'very_high'],
       default: 'medium'
     },
+    // Scorecard version that produced the score
+    scorecardVersion: Number,
     notes: String
   },
 
@@ -307,7 +310,8 @@ const clientSchema = new mongoose.Schema({
       required: true,
       enum: [
         'created', 'updated', 'assigned', 'verified', 'approved', 'rejected',
-        'document_uploaded', 'risk_assessed', 'status_changed', 'notes_added'
+        'document_uploaded', 'document_reviewed', 'reupload_requested',
+        'risk_assessed', 'status_changed', 'notes_added'
       ]
     },
     performedBy: {
@@ -481,6 +485,15 @@ clientSchema.methods.updateSearchableText = function () {
   return this;
 };
 
+// Next sequential registration ID (e.g., L00001)
+clientSchema.statics.generateRegistrationId = async function () {
+  const lastClient = await this.findOne().sort({ createdAt: -1 });
+  if (!lastClient || !lastClient.registrationId) return 'L00001';
+
+  const nextNumber = parseInt(lastClient.registrationId.slice(1)) + 1;
+  return `L${nextNumber.toString().padStart(5, '0')}`;
+};
+
 // Pre-save middleware
 clientSchema.pre('save', function (next) {
   this.updateSearchableText();
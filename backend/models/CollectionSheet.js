@@ -0,0 +1,210 @@
+/**
+ * Collection Sheet Model
+ * A field agent's route for one day: the installments due from each client,
+ * the cash collected against them with its receipts, and the end-of-day cash
+ * hand-over reconciled by the regional manager
+ */
+
+const mongoose = require('mongoose');
+
+// pending: nothing collected yet; partial: less than the amount due; collected: paid in full
+const LINE_STATUSES = ['pending', 'partial', 'collected'];
+
+const sheetLineSchema = new mongoose.Schema({
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    required: true
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true
+  },
+  // Earliest installment still open on the day
+  installmentNumber: {
+    type: Number,
+    required: true
+  },
+  dueDate: Date,
+  // Open installments due on or before the day, penalties included
+  amountDue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  collectedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: LINE_STATUSES,
+    default: 'pending'
+  }
+});
+
+const collectionSchema = new mongoose.Schema({
+  receiptNumber: {
+    type: String,
+    required: true
+  },
+  lineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    required: true
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  collectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  }
+});
+
+const collectionSheetSchema = new mongoose.Schema({
+  sheetId: {
+    type: String,
+    unique: true,
+    default: function () {
+      return `CSH${Date.now()}${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
+    }
+  },
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    required: true
+  },
+  region: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Region',
+    index: true
+  },
+  // Start of the collection day
+  collectionDate: {
+    type: Date,
+    required: true
+  },
+
+  lines: [sheetLineSchema],
+  collections: [collectionSchema],
+  // Last receipt number issued on the sheet
+  receiptSequence: {
+    type: Number,
+    default: 0
+  },
+
+  totals: {
+    lines: { type: Number, default: 0 },
+    due: { type: Number, default: 0 },
+    collected: { type: Number, default: 0 },
+    receipts: { type: Number, default: 0 }
+  },
+
+  // open: collecting; submitted: cash handed over; reconciled: counted by the manager
+  status: {
+    type: String,
+    enum: ['open', 'submitted', 'reconciled'],
+    default: 'open',
+    index: true
+  },
+
+  handover: {
+    declaredAmount: Number,
+    submittedAt: Date,
+    notes: {
+      type: String,
+      maxlength: 500
+    }
+  },
+
+  reconciliation: {
+    // Cash recorded as collected on the sheet
+    expectedAmount: Number,
+    // Cash counted by the manager
+    receivedAmount: Number,
+    // receivedAmount - expectedAmount; negative for a shortage
+    variance: Number,
+    outcome: {
+      type: String,
+      enum: ['balanced', 'shortage', 'excess']
+    },
+    reconciledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Staff'
+    },
+    reconciledAt: Date,
+    notes: {
+      type: String,
+      maxlength: 500
+    }
+  },
+  shortageFlagged: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  }
+}, {
+  timestamps: true
+});
+
+// One sheet per agent per day
+collectionSheetSchema.index({ agent: 1, collectionDate: 1 }, { unique: true });
+collectionSheetSchema.index({ 'collections.receiptNumber': 1 });
+
+// Methods
+collectionSheetSchema.methods.refreshTotals = function () {
+  const round = value => Math.round(value * 100) / 100;
+
+  this.lines.forEach(line => {
+    line.collectedAmount = round(this.collections
+      .filter(collection => String(collection.lineId) === String(line._id))
+      .reduce((sum, collection) => sum + collection.amount, 0));
+
+    if (line.collectedAmount <= 0) {
+      line.status = 'pending';
+    } else {
+      line.status = line.collectedAmount >= line.amountDue ? 'collected' : 'partial';
+    }
+  });
+
+  this.totals = {
+    lines: this.lines.length,
+    due: round(this.lines.reduce((sum, line) => sum + line.amountDue, 0)),
+    collected: round(this.collections.reduce((sum, collection) => sum + collection.amount, 0)),
+    receipts: this.collections.length
+  };
+
+  return this.totals;
+};
+
+collectionSheetSchema.statics.LINE_STATUSES = LINE_STATUSES;
+
+module.exports = mongoose.model('CollectionSheet', collectionSheetSchema);
@@ -0,0 +1,32 @@
+/**
+ * Counter Model
+ * Named sequences for document numbers, such as payment receipts
+ */
+
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+  // Sequence name, e.g. 'receipt-2026'
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+// Static methods
+counterSchema.statics.next = async function (name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
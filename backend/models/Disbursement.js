@@ -0,0 +1,181 @@
+/**
+ * Disbursement Model
+ * Records each tranche of loan funds paid out to a client, with the
+ * deductions withheld from it and its maker-checker approval
+ */
+
+const mongoose = require('mongoose');
+
+const DISBURSEMENT_METHODS = ['bank_transfer', 'cash', 'mobile_wallet'];
+
+const disbursementSchema = new mongoose.Schema({
+  disbursementId: {
+    type: String,
+    unique: true,
+    default: function () {
+      return `DSB${Date.now()}${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
+    }
+  },
+
+  // Related entities
+  // Indexed by { loanId, trancheNumber } and the pending tranche index below
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    required: true
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true
+  },
+  trancheNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // Tranche amount counted against the loan amount
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Withheld from the first tranche
+  deductions: {
+    downPayment: { type: Number, default: 0 },
+    fees: [{
+      _id: false,
+      name: String,
+      amount: Number
+    }],
+    total: { type: Number, default: 0 }
+  },
+  // Amount actually paid to the client
+  netAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  method: {
+    type: String,
+    enum: DISBURSEMENT_METHODS,
+    required: true
+  },
+  // Bank transfer, cash voucher or wallet transaction reference
+  reference: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  recipient: {
+    accountName: String,
+    bankName: String,
+    accountNumber: String,
+    walletNumber: String
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  },
+
+  status: {
+    type: String,
+    enum: ['pending_approval', 'disbursed', 'rejected'],
+    default: 'pending_approval',
+    index: true
+  },
+
+  // Maker
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    required: true
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Checker
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  },
+  approvedAt: Date,
+  disbursedAt: Date,
+  rejectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  },
+  rejectedAt: Date,
+  rejectionReason: {
+    type: String,
+    maxlength: 500
+  },
+
+  auditLog: [{
+    action: String,
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Staff'
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    details: mongoose.Schema.Types.Mixed
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+disbursementSchema.index({ loanId: 1, trancheNumber: 1 });
+disbursementSchema.index({ status: 1, requestedAt: 1 });
+// At most one tranche of a loan awaits approval at a time
+disbursementSchema.index(
+  { loanId: 1 },
+  { name: 'loanId_pending_unique', unique: true, partialFilterExpression: { status: 'pending_approval' } }
+);
+
+// Decision updates. They are applied on the condition that the tranche is
+// still pending_approval, so a tranche is decided only once.
+disbursementSchema.statics.approvalUpdate = function (staffId, notes = '') {
+  const now = new Date();
+
+  return {
+    $set: {
+      status: 'disbursed',
+      approvedBy: staffId,
+      approvedAt: now,
+      disbursedAt: now
+    },
+    $push: {
+      auditLog: { action: 'approved', performedBy: staffId, details: { notes } }
+    }
+  };
+};
+
+disbursementSchema.statics.rejectionUpdate = function (staffId, reason) {
+  return {
+    $set: {
+      status: 'rejected',
+      rejectedBy: staffId,
+      rejectedAt: new Date(),
+      rejectionReason: reason
+    },
+    $push: {
+      auditLog: { action: 'rejected', performedBy: staffId, details: { reason } }
+    }
+  };
+};
+
+// Static methods
+disbursementSchema.statics.findForLoan = function (loanId) {
+  return this.find({ loanId }).sort({ trancheNumber: 1, requestedAt: 1 });
+};
+
+disbursementSchema.statics.DISBURSEMENT_METHODS = DISBURSEMENT_METHODS;
+
+module.exports = mongoose.model('Disbursement', disbursementSchema);
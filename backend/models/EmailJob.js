@@ -0,0 +1,142 @@
+/**
+ * Email Job Model
+ * Persistent outbox for outgoing emails. Jobs are claimed by one worker at a
+ * time and retried with exponential backoff until sent or failed permanently.
+ */
+
+const mongoose = require('mongoose');
+
+const PRIORITY_RANKS = {
+  high: 1,
+  normal: 2,
+  low: 3
+};
+
+const emailJobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    unique: true,
+    default: function () {
+      return `email_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+  },
+
+  // Message
+  to: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    index: true
+  },
+  subject: {
+    type: String,
+    required: true,
+    maxlength: 300
+  },
+  html: String,
+  text: String,
+  template: String,
+  templateData: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  // Language the template is rendered in
+  language: {
+    type: String,
+    enum: ['en', 'si', 'ta'],
+    default: 'en'
+  },
+
+  priority: {
+    type: String,
+    enum: Object.keys(PRIORITY_RANKS),
+    default: 'normal'
+  },
+  // Numeric priority so workers can sort high before normal before low
+  priorityRank: {
+    type: Number,
+    default: PRIORITY_RANKS.normal
+  },
+
+  // Delivery state
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'retry', 'permanently_failed', 'cancelled'],
+    default: 'queued',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3,
+    min: 1
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Worker lock
+  lockedBy: String,
+  lockedAt: Date,
+
+  // Results
+  messageId: String,
+  sentAt: Date,
+  lastError: String,
+  lastAttemptAt: Date,
+  attemptLog: [{
+    attempt: Number,
+    attemptedAt: Date,
+    error: String,
+    workerId: String
+  }],
+
+  // Cancellation
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+emailJobSchema.index({ status: 1, nextAttemptAt: 1, priorityRank: 1 });
+emailJobSchema.index({ status: 1, lockedAt: 1 });
+emailJobSchema.index({ createdAt: -1 });
+
+// Pre-validate middleware
+emailJobSchema.pre('validate', function (next) {
+  if (this.isModified('priority')) {
+    this.priorityRank = PRIORITY_RANKS[this.priority] || PRIORITY_RANKS.normal;
+  }
+  next();
+});
+
+// Methods
+emailJobSchema.methods.isPending = function () {
+  return ['queued', 'retry'].includes(this.status);
+};
+
+// Static methods
+emailJobSchema.statics.getStatusCounts = async function () {
+  const counts = await this.aggregate([
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  return counts.reduce((result, { _id, count }) => {
+    result[_id] = count;
+    return result;
+  }, {});
+};
+
+emailJobSchema.statics.PRIORITY_RANKS = PRIORITY_RANKS;
+
+module.exports = mongoose.model('EmailJob', emailJobSchema);
@@ -1,11 +1,39 @@
 // models/Grantor.js
 const mongoose = require('mongoose');
 
+// Identity and employment documents, verified the same way as a client's
+const verificationCategory = () => ({
+  verified: { type: Boolean, default: false },
+  verifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  },
+  verifiedAt: Date,
+  rejectionReason: String,
+  documents: [{
+    type: { type: String },
+    url: String,
+    uploadedAt: Date,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Staff'
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending'
+    }
+  }]
+});
+
 const grantorSchema = new mongoose.Schema({
   grantorId: {
     type: String,
     required: true,
     unique: true, // e.g., GR0001
+    default: function () {
+      return `GR${Date.now()}${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
+    }
   },
 
   personalInfo: {
@@ -13,7 +41,7 @@ const grantorSchema = new mongoose.Schema({
     contactNumber: String,
     email: String,
     dateOfBirth: Date,
-    address: String, 
+    address: String,
   },
 
   identityVerification: {
@@ -29,6 +57,66 @@ const grantorSchema = new mongoose.Schema({
     employmentLetterUrl: String
   },
 
+  verificationStatus: {
+    identity: verificationCategory(),
+    employment: verificationCategory()
+  },
+
+  // One entry per loan the guarantor is named on
+  consents: [{
+    loanId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Loan',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['primary', 'secondary'],
+      default: 'primary'
+    },
+    relationship: String,
+    status: {
+      type: String,
+      enum: ['pending', 'confirmed'],
+      default: 'pending'
+    },
+    method: {
+      type: String,
+      enum: ['otp', 'signed_form']
+    },
+    otpHash: {
+      type: String,
+      select: false
+    },
+    otpExpiresAt: Date,
+    otpAttempts: { type: Number, default: 0 },
+    otpSentAt: Date,
+    signedFormUrl: String,
+    confirmedAt: Date,
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Staff'
+    }
+  }],
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  },
+
+  auditLog: [{
+    action: String,
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Staff'
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    details: mongoose.Schema.Types.Mixed
+  }],
+
   createdAt: {
     type: Date,
     default: Date.now,
@@ -39,7 +127,37 @@ const grantorSchema = new mongoose.Schema({
     default: Date.now,
   },
 },
-{ timestamps: true 
+{ timestamps: true
 });
 
+// Guarantors are reused across loans by NIC number
+grantorSchema.index({ 'identityVerification.idNumber': 1 });
+grantorSchema.index({ 'consents.loanId': 1 });
+
+// Methods
+grantorSchema.methods.addAuditEntry = function (action, performedBy, details = {}) {
+  this.auditLog.push({ action, performedBy, details });
+  return this;
+};
+
+grantorSchema.methods.getConsent = function (loanId) {
+  return this.consents.find(consent => consent.loanId.toString() === loanId.toString()) || null;
+};
+
+grantorSchema.methods.updateVerificationStatus = function (category, verified, verifiedBy, reason = '') {
+  const status = this.verificationStatus[category];
+  status.verified = verified;
+  status.verifiedBy = verifiedBy;
+  status.verifiedAt = new Date();
+  status.rejectionReason = verified ? undefined : reason;
+  status.documents.forEach((document) => {
+    if (document.status === 'pending') {
+      document.status = verified ? 'approved' : 'rejected';
+    }
+  });
+
+  this.addAuditEntry('verified', verifiedBy, { category, verified, reason });
+  return this;
+};
+
 module.exports = mongoose.model('Grantor', grantorSchema);
@@ -1,6 +1,74 @@
 
 const mongoose = require('mongoose');
-
+const {
+  INTEREST_METHODS,
+  DEFAULT_INTEREST_METHOD,
+  REPAYMENT_FREQUENCIES,
+  DEFAULT_REPAYMENT_FREQUENCY,
+  calculateLoanSummary,
+  roundCurrency
+} = require('../utils/interestCalculator');
+
+// Restructure request, applied to the schedule once the regional manager approves it
+const restructureRequestSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['Pending', 'Approved', 'Rejected', 'Cancelled'],
+    default: 'Pending'
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  changes: {
+    termExtensionMonths: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    paymentHolidayMonths: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    newInterestRate: {
+      type: Number,
+      min: 0
+    },
+    capitaliseArrears: {
+      type: Boolean,
+      default: false
+    }
+  },
+  effectiveDate: Date,
+  // Terms before and after the restructure, recalculated on approval
+  preview: mongoose.Schema.Types.Mixed,
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    required: true
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  regionalAdminApproval: {
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Staff'
+    },
+    approvalDate: Date,
+    status: {
+      type: String,
+      enum: ['Pending', 'Approved', 'Rejected'],
+      default: 'Pending'
+    },
+    comments: String
+  },
+  previousScheduleVersion: Number,
+  newScheduleVersion: Number,
+  appliedAt: Date
+});
 
 const loanSchema = new mongoose.Schema({
   loanApplicationId: {
@@ -13,10 +81,14 @@ const loanSchema = new mongoose.Schema({
     ref: 'Client',
     required: true
   },
+  // Name of the LoanProduct the loan was created from
   product: {
     type: String,
-    required: true,
-    enum: ['Personal Loan', 'Business Loan', 'Vehicle Loan', 'Home Loan', 'Education Loan']
+    required: true
+  },
+  loanProduct: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LoanProduct'
   },
   loanAmount: {
     type: Number,
@@ -35,11 +107,24 @@ const loanSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  interestMethod: {
+    type: String,
+    enum: Object.values(INTEREST_METHODS),
+    // Loans stored before interest methods existed were priced with flat interest
+    default: function () {
+      return this.isNew ? DEFAULT_INTEREST_METHOD : INTEREST_METHODS.FLAT;
+    }
+  },
   repaymentFrequency: {
     type: String,
-    enum: ['Monthly', 'Quarterly', 'Semi-annually', 'Annually'],
-    default: 'Monthly'
+    enum: REPAYMENT_FREQUENCIES,
+    default: DEFAULT_REPAYMENT_FREQUENCY
   },
+  // Fees of the product, charged at disbursement
+  fees: [{
+    name: String,
+    amount: Number
+  }],
   primaryGuarantor: { type: mongoose.Schema.Types.ObjectId, ref: 'Grantor' },
   secondaryGuarantor: { type: mongoose.Schema.Types.ObjectId, ref: 'Grantor' },
   payments: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Payment' }],
@@ -62,8 +147,19 @@ const loanSchema = new mongoose.Schema({
     }
   },
   totalPayableAmount: Number,
+  // Date the loan was fully disbursed; the repayment schedule starts from it
+  disbursementDate: Date,
+  // Totals of the confirmed disbursement tranches
+  disbursement: {
+    disbursedAmount: { type: Number, default: 0 },
+    deductedAmount: { type: Number, default: 0 },
+    netAmount: { type: Number, default: 0 },
+    trancheCount: { type: Number, default: 0 },
+    completedAt: Date
+  },
+  // Installment per repayment period (weekly, monthly, ...), despite the name
   monthlyInstallment: Number,
-  monthlyInstallmentDueDate: Number, // day of month (1-31)
+  monthlyInstallmentDueDate: Number, // day of month (1-31), month-based frequencies only
   loanStatus: {
     type: String,
     enum: ['Pending', 'Under Review', 'Approved', 'Rejected', 'Active', 'Completed', 'Defaulted'],
@@ -113,11 +209,44 @@ const loanSchema = new mongoose.Schema({
   loanClosure: {
     closureDate: Date,
     closureReason: String,
-    finalAmount: Number
+    finalAmount: Number,
+    closureType: {
+      type: String,
+      enum: ['early_settlement', 'regular_completion', 'write_off']
+    },
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Staff'
+    },
+    settlementPayment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    // Payoff figures the loan was settled against
+    settlementBreakdown: mongoose.Schema.Types.Mixed,
+    settlementLetterId: String,
+    settlementLetterUrl: String
   },
 
   agentRating: Number,
 
+  // Loan restructuring
+  restructureRequests: [restructureRequestSchema],
+  restructuredTerms: {
+    principal: Number,
+    interestRate: Number,
+    termMonths: Number,
+    installmentAmount: Number,
+    // Principal and interest repaid before the restructure plus what the new schedule asks for
+    totalPayableAmount: Number,
+    effectiveDate: Date,
+    scheduleVersion: Number,
+    restructureCount: {
+      type: Number,
+      default: 0
+    }
+  },
+
   // Enhanced audit trail
   auditTrail: [{
     action: {
@@ -127,13 +256,18 @@ const loanSchema = new mongoose.Schema({
         'created', 'updated', 'status_changed', 'approved', 'rejected',
         'payment_added', 'agreement_generated', 'workflow_advanced',
         'assigned', 'reviewed', 'documents_uploaded', 'calculation_updated',
-        'workflow_blocked'
+        'workflow_blocked', 'penalty_applied', 'restructure_requested',
+        'restructured', 'approval_escalated', 'approval_overdue',
+        'disbursement_requested', 'disbursed', 'disbursement_rejected'
       ]
     },
     performedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Staff',
-      required: true
+      // Entries written by scheduled jobs have no staff member behind them
+      required: function () {
+        return !['penalty_applied', 'approval_escalated', 'approval_overdue', 'workflow_advanced'].includes(this.action);
+      }
     },
     performedAt: {
       type: Date,
@@ -157,7 +291,7 @@ const loanSchema = new mongoose.Schema({
       type: String,
       enum: [
         'application_submitted', 'documents_pending', 'agent_review',
-        'regional_approval', 'agreement_generation', 'agreement_signed',
+        'regional_approval', 'ceo_approval', 'agreement_generation', 'agreement_signed',
         'disbursement', 'active', 'completed', 'defaulted', 'closed'
       ],
       default: 'application_submitted',
@@ -178,8 +312,35 @@ const loanSchema = new mongoose.Schema({
         ref: 'Staff'
       },
       duration: Number, // in milliseconds
-      notes: String
+      notes: String,
+      // Approval tiers only
+      requiredRole: String,
+      dueAt: Date,
+      decision: {
+        type: String,
+        enum: ['approved', 'rejected', 'escalated']
+      }
     }],
+    // Approval chain resolved from the region's approvalWorkflow when review starts
+    approval: {
+      tiers: [{
+        _id: false,
+        stage: String,
+        requiredRole: String,
+        maxAmount: Number,
+        timeoutDays: Number
+      }],
+      currentTier: Number,
+      // Index of the tier whose approval is final for this loan amount
+      finalTier: Number,
+      dueAt: Date,
+      startedAt: Date,
+      completedAt: Date,
+      overdue: {
+        type: Boolean,
+        default: false
+      }
+    },
     nextStage: String,
     blockedReason: String,
     isBlocked: {
@@ -218,6 +379,11 @@ const loanSchema = new mongoose.Schema({
   },
   calculatedFields: {
     totalInterest: Number,
+    // Principal and interest repaid through verified payments
+    totalPaid: {
+      type: Number,
+      default: 0
+    },
     remainingBalance: Number,
     nextPaymentDate: Date,
     daysOverdue: {
@@ -238,6 +404,14 @@ const loanSchema = new mongoose.Schema({
     }
   },
 
+  // Day of the last penalty accrual run that claimed the loan, so runs on
+  // several instances charge each loan once a day
+  penaltyAccrualDay: Date,
+
+  // Set while an early settlement is in progress, so only one settlement of
+  // the loan runs at a time
+  settlementClaimedAt: Date,
+
   // Enhanced metadata
   metadata: {
     source: {
@@ -271,17 +445,21 @@ const loanSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Inputs the installment and total payable are calculated from
+const PRICING_FIELDS = ['loanAmount', 'interestRate', 'loanTerm', 'interestMethod', 'repaymentFrequency'];
+
 // Calculate total payable amount and monthly installment before saving
 loanSchema.pre('save', function (next) {
-  if (this.loanAmount && this.interestRate && this.loanTerm) {
-    // Simple interest calculation for now
-    const principal = this.loanAmount;
-    const rate = this.interestRate / 100;
-    const time = this.loanTerm / 12; // convert months to years
-
-    const interest = principal * rate * time;
-    this.totalPayableAmount = principal + interest;
-    this.monthlyInstallment = this.totalPayableAmount / this.loanTerm;
+  if (this.restructuredTerms?.totalPayableAmount) {
+    // Restructured loans follow the terms of their revised schedule
+    this.totalPayableAmount = this.restructuredTerms.totalPayableAmount;
+    this.monthlyInstallment = this.restructuredTerms.installmentAmount;
+  } else if (this.loanAmount && this.interestRate && this.loanTerm
+    && (this.isNew || this.isModified(PRICING_FIELDS))) {
+    // Stored figures stand until the pricing inputs change
+    const summary = this.getInterestSummary();
+    this.totalPayableAmount = summary.totalPayable;
+    this.monthlyInstallment = summary.installmentAmount;
   }
 
   this.updatedAt = Date.now();
@@ -307,6 +485,7 @@ loanSchema.index({ 'agentReview.reviewedBy': 1, createdAt: -1 });
 loanSchema.index({ 'regionalAdminApproval.approvedBy': 1, createdAt: -1 });
 loanSchema.index({ region: 1, district: 1, loanStatus: 1 });
 loanSchema.index({ 'workflowState.currentStage': 1, createdAt: -1 });
+loanSchema.index({ 'workflowState.approval.dueAt': 1, loanStatus: 1 });
 loanSchema.index({ assignedAgent: 1, loanStatus: 1 });
 loanSchema.index({ assignedRegionalManager: 1, loanStatus: 1 });
 loanSchema.index({ loanAmount: 1, interestRate: 1 });
@@ -391,41 +570,41 @@ loanSchema.methods.blockWorkflow = function (reason, performedBy) {
   return this;
 };
 
+// Method to get interest figures using the loan's interest method
+loanSchema.methods.getInterestSummary = function () {
+  return calculateLoanSummary({
+    principal: this.loanAmount,
+    annualRate: this.interestRate,
+    termMonths: this.loanTerm,
+    method: this.interestMethod,
+    frequency: this.repaymentFrequency
+  });
+};
+
 // Method to update calculated fields
 loanSchema.methods.updateCalculatedFields = function () {
   if (this.loanAmount && this.interestRate && this.loanTerm) {
-    const principal = this.loanAmount;
-    const rate = this.interestRate / 100;
-    const time = this.loanTerm / 12;
+    this.calculatedFields.totalInterest = this.getInterestSummary().totalInterest;
 
-    this.calculatedFields.totalInterest = principal * rate * time;
+    // totalPaid is kept in sync with verified Payment records by the
+    // payment allocation service
+    const totalPaid = this.calculatedFields.totalPaid || 0;
 
-    // Calculate remaining balance based on payments
-    const totalPaid = this.paymentHistory
-      .filter(payment => payment.status === 'Approved')
-      .reduce((sum, payment) => sum + payment.amount, 0);
-
-    this.calculatedFields.remainingBalance = this.totalPayableAmount - totalPaid;
+    this.calculatedFields.remainingBalance = Math.max(0, roundCurrency(this.totalPayableAmount - totalPaid));
 
     // Calculate completion percentage
     this.calculatedFields.completionPercentage = this.totalPayableAmount > 0
-      ? Math.round((totalPaid / this.totalPayableAmount) * 100)
+      ? Math.min(100, Math.round((totalPaid / this.totalPayableAmount) * 100))
       : 0;
 
-    // Calculate next payment date (simplified)
-    if (this.monthlyInstallmentDueDate && this.loanStatus === 'Active') {
-      const now = new Date();
-      const nextPayment = new Date(now.getFullYear(), now.getMonth(), this.monthlyInstallmentDueDate);
-      if (nextPayment <= now) {
-        nextPayment.setMonth(nextPayment.getMonth() + 1);
-      }
-      this.calculatedFields.nextPaymentDate = nextPayment;
-
-      // Calculate days overdue
-      if (nextPayment < now) {
-        this.calculatedFields.daysOverdue = Math.floor((now - nextPayment) / (1000 * 60 * 60 * 24));
-      }
+    // Completed loans owe nothing, even when settled early below the scheduled total
+    if (this.loanStatus === 'Completed') {
+      this.calculatedFields.remainingBalance = 0;
+      this.calculatedFields.completionPercentage = 100;
     }
+
+    // nextPaymentDate and daysOverdue follow the repayment schedule and are
+    // kept in sync by the schedule service
   }
   return this;
 };
@@ -0,0 +1,197 @@
+/**
+ * LoanProduct Model
+ * Catalogue of loan products with their pricing, limits and application
+ * requirements. Regions can override the rate bands, limits and fees of a
+ * product or withdraw it.
+ */
+
+const mongoose = require('mongoose');
+const {
+  INTEREST_METHODS,
+  DEFAULT_INTEREST_METHOD,
+  REPAYMENT_FREQUENCIES
+} = require('../utils/interestCalculator');
+
+// The band with the lowest maxAmount covering the loan amount applies; a band
+// without maxAmount covers every amount
+const rateBandSchema = new mongoose.Schema({
+  maxAmount: Number,
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const feeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['fixed', 'percentage'], // percentage of the loan amount
+    default: 'fixed'
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  minAmount: Number,
+  maxAmount: Number
+}, { _id: false });
+
+const limitsSchema = new mongoose.Schema({
+  minAmount: Number,
+  maxAmount: Number,
+  minTerm: Number, // months
+  maxTerm: Number
+}, { _id: false });
+
+const loanProductSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  // Stored on loans as Loan.product and matched by the region product rules
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: String,
+  status: {
+    type: String,
+    enum: ['active', 'inactive'],
+    default: 'active',
+    index: true
+  },
+
+  interest: {
+    method: {
+      type: String,
+      enum: Object.values(INTEREST_METHODS),
+      default: DEFAULT_INTEREST_METHOD
+    },
+    rateBands: [rateBandSchema],
+    // Rate reduction for clients earning more than aboveMonthlyIncome; the largest applies
+    incomeDiscounts: [{
+      _id: false,
+      aboveMonthlyIncome: { type: Number, required: true },
+      discount: { type: Number, required: true, min: 0 }
+    }],
+    // Bounds for a rate entered by staff instead of the quoted one
+    minRate: Number,
+    maxRate: Number
+  },
+
+  limits: {
+    type: limitsSchema,
+    default: () => ({ minAmount: 1000, maxAmount: 10000000, minTerm: 1, maxTerm: 60 })
+  },
+  repaymentFrequencies: {
+    type: [{ type: String, enum: REPAYMENT_FREQUENCIES }],
+    default: ['Monthly']
+  },
+  requiredDocuments: [String],
+  fees: [feeSchema],
+  guarantors: {
+    minCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 2
+    },
+    // Loans above this amount need at least one guarantor
+    requiredAboveAmount: Number
+  },
+  // Number of tranches the loan amount can be paid out in
+  disbursement: {
+    maxTranches: {
+      type: Number,
+      default: 1,
+      min: 1,
+      max: 12
+    }
+  },
+  // Debt-to-income limit for the product, unless the region sets one for it
+  maxDebtToIncome: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+
+  // Fields left empty fall back to the product definition
+  regionOverrides: [{
+    _id: false,
+    region: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Region',
+      required: true
+    },
+    isAvailable: {
+      type: Boolean,
+      default: true
+    },
+    rateBands: [rateBandSchema],
+    limits: limitsSchema,
+    fees: [feeSchema]
+  }],
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  }
+}, {
+  timestamps: true
+});
+
+loanProductSchema.index({ 'regionOverrides.region': 1 });
+
+// Pricing used before the catalogue existed: 12.5%, 14% over Rs. 5,000,000
+// and 1% off for clients earning over Rs. 100,000 a month
+const STANDARD_INTEREST = {
+  rateBands: [
+    { maxAmount: 5000000, rate: 12.5 },
+    { rate: 14 }
+  ],
+  incomeDiscounts: [{ aboveMonthlyIncome: 100000, discount: 1 }]
+};
+
+/**
+ * Products created when the catalogue is empty
+ */
+const DEFAULT_PRODUCTS = [
+  { code: 'PERSONAL', name: 'Personal Loan' },
+  { code: 'BUSINESS', name: 'Business Loan', disbursement: { maxTranches: 3 } },
+  { code: 'VEHICLE', name: 'Vehicle Loan' },
+  { code: 'HOME', name: 'Home Loan', limits: { minAmount: 1000, maxAmount: 10000000, minTerm: 1, maxTerm: 360 } },
+  { code: 'EDUCATION', name: 'Education Loan' }
+].map(product => ({ interest: STANDARD_INTEREST, ...product }));
+
+// Static methods
+
+/**
+ * Create the default products that do not exist yet
+ * @returns {Promise<void>}
+ */
+loanProductSchema.statics.ensureDefaults = async function () {
+  await Promise.all(DEFAULT_PRODUCTS.map(product => this.updateOne(
+    { code: product.code },
+    { $setOnInsert: product },
+    { upsert: true, setDefaultsOnInsert: true }
+  )));
+};
+
+loanProductSchema.statics.DEFAULT_PRODUCTS = DEFAULT_PRODUCTS;
+
+module.exports = mongoose.model('LoanProduct', loanProductSchema);
@@ -4,6 +4,7 @@
  */
 
 const mongoose = require('mongoose');
+const { getClientLanguage, translate, hasTranslation } = require('../utils/localization');
 
 const notificationSchema = new mongoose.Schema({
   // Notification identification
@@ -51,11 +52,14 @@ const notificationSchema = new mongoose.Schema({
     enum: [
       'loan_approved',
       'loan_rejected',
+      'loan_disbursed',
       'payment_due',
       'payment_overdue',
       'payment_received',
+      'payment_rejected',
       'kyc_approved',
       'kyc_rejected',
+      'document_reupload',
       'system_announcement',
       'reminder',
       'alert',
@@ -205,6 +209,8 @@ notificationSchema.index({ recipientType: 1, staffId: 1, isRead: 1 });
 notificationSchema.index({ type: 1, priority: 1, createdAt: -1 });
 notificationSchema.index({ isScheduled: 1, scheduledFor: 1 });
 notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+// One payment reminder per loan, schedule version and installment
+notificationSchema.index({ 'metadata.reminderKey': 1 }, { unique: true, sparse: true });
 
 // Virtual for notification age
 notificationSchema.virtual('age').get(function () {
@@ -265,94 +271,84 @@ notificationSchema.methods.markAsFailed = function (channel, reason) {
 };
 
 // Static methods
-notificationSchema.statics.createLoanNotification = function (type, clientId, loanId, customMessage = null) {
-  const messages = {
-    loan_approved: {
-      title: 'Loan Approved! 🎉',
-      message: customMessage || 'Congratulations! Your loan application has been approved. You can now proceed with the agreement signing.'
-    },
-    loan_rejected: {
-      title: 'Loan Application Update',
-      message: customMessage || 'We regret to inform you that your loan application was not approved at this time. Please contact your agent for more details.'
-    },
-    payment_due: {
-      title: 'Payment Reminder 💰',
-      message: customMessage || 'Your loan payment is due soon. Please make your payment to avoid late fees.'
-    },
-    payment_overdue: {
-      title: 'Payment Overdue ⚠️',
-      message: customMessage || 'Your loan payment is overdue. Please make your payment immediately to avoid additional charges.'
-    }
-  };
 
-  const notificationData = messages[type];
-  if (!notificationData) {
+/**
+ * Get the title and message of a notification type in the client's
+ * preferred language
+ * @param {string} type - Notification type
+ * @param {Array<string>} allowedTypes - Types the caller may create
+ * @param {string} clientId - Recipient client ID
+ * @param {string} [customMessage] - Message overriding the catalogue message
+ * @returns {Promise<Object>} title, message and language
+ */
+const getLocalizedContent = async (type, allowedTypes, clientId, customMessage) => {
+  if (!allowedTypes.includes(type) || !hasTranslation(`notifications.${type}`)) {
     throw new Error(`Invalid notification type: ${type}`);
   }
 
+  const client = await mongoose.model('Client')
+    .findById(clientId)
+    .select('preferences.preferredLanguage')
+    .lean();
+  const language = getClientLanguage(client);
+
+  return {
+    title: translate(language, `notifications.${type}.title`),
+    message: customMessage || translate(language, `notifications.${type}.message`),
+    language
+  };
+};
+
+notificationSchema.statics.createLoanNotification = async function (type, clientId, loanId, customMessage = null) {
+  const content = await getLocalizedContent(
+    type,
+    ['loan_approved', 'loan_rejected', 'payment_due', 'payment_overdue'],
+    clientId,
+    customMessage
+  );
+
   return this.create({
     recipientType: 'client',
     clientId,
     relatedLoanId: loanId,
     type,
-    title: notificationData.title,
-    message: notificationData.message,
+    title: content.title,
+    message: content.message,
     priority: type.includes('overdue') ? 'high' : 'medium',
     isUrgent: type.includes('overdue'),
-    sentBySystem: true
+    sentBySystem: true,
+    metadata: { language: content.language }
   });
 };
 
-notificationSchema.statics.createPaymentNotification = function (type, clientId, paymentId, customMessage = null) {
-  const messages = {
-    payment_received: {
-      title: 'Payment Received ✅',
-      message: customMessage || 'Thank you! Your payment has been received and is being processed.'
-    }
-  };
-
-  const notificationData = messages[type];
-  if (!notificationData) {
-    throw new Error(`Invalid notification type: ${type}`);
-  }
+notificationSchema.statics.createPaymentNotification = async function (type, clientId, paymentId, customMessage = null) {
+  const content = await getLocalizedContent(type, ['payment_received'], clientId, customMessage);
 
   return this.create({
     recipientType: 'client',
     clientId,
     relatedPaymentId: paymentId,
     type,
-    title: notificationData.title,
-    message: notificationData.message,
+    title: content.title,
+    message: content.message,
     priority: 'medium',
-    sentBySystem: true
+    sentBySystem: true,
+    metadata: { language: content.language }
   });
 };
 
-notificationSchema.statics.createKYCNotification = function (type, clientId, customMessage = null) {
-  const messages = {
-    kyc_approved: {
-      title: 'KYC Approved ✅',
-      message: customMessage || 'Your identity verification has been completed successfully. You can now apply for loans.'
-    },
-    kyc_rejected: {
-      title: 'KYC Verification Required',
-      message: customMessage || 'Additional documentation is required for identity verification. Please resubmit your documents.'
-    }
-  };
-
-  const notificationData = messages[type];
-  if (!notificationData) {
-    throw new Error(`Invalid notification type: ${type}`);
-  }
+notificationSchema.statics.createKYCNotification = async function (type, clientId, customMessage = null) {
+  const content = await getLocalizedContent(type, ['kyc_approved', 'kyc_rejected'], clientId, customMessage);
 
   return this.create({
     recipientType: 'client',
     clientId,
     type,
-    title: notificationData.title,
-    message: notificationData.message,
+    title: content.title,
+    message: content.message,
     priority: 'medium',
-    sentBySystem: true
+    sentBySystem: true,
+    metadata: { language: content.language }
   });
 };
 
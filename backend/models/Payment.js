@@ -57,10 +57,82 @@ const paymentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending_verification', 'verified', 'rejected', 'processing'],
+    // pending_approval: proof checked by the agent, amount awaits the regional manager
+    // processing: cash collected by an agent, not yet handed over
+    enum: ['pending_verification', 'pending_approval', 'verified', 'rejected', 'processing'],
     default: 'pending_verification',
     index: true
   },
+  // Set while a verification allocates the payment; a stale claim may be
+  // taken over by a later verification
+  verificationClaimedAt: Date,
+
+  // Maker step of maker-checker: the agent who checked the proof of a
+  // payment above the region's approval threshold
+  agentVerification: {
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Staff'
+    },
+    verifiedAt: Date,
+    notes: {
+      type: String,
+      maxlength: 500
+    },
+    approvalThreshold: Number
+  },
+
+  // Bank statement line the payment was reconciled against, kept as evidence
+  bankReconciliation: {
+    statement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BankStatement'
+    },
+    statementId: String,
+    lineId: mongoose.Schema.Types.ObjectId,
+    valueDate: Date,
+    amount: Number,
+    reference: String,
+    description: String,
+    matchType: {
+      type: String,
+      enum: ['auto', 'manual']
+    },
+    reconciledAt: Date
+  },
+
+  // Payment gateway confirmation for online and mobile payments
+  gateway: {
+    provider: String,
+    intentId: String,
+    transactionId: String,
+    eventId: String,
+    confirmedAt: Date
+  },
+
+  // Cash collected in the field by an agent against a collection sheet
+  fieldCollection: {
+    collectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Staff'
+    },
+    sheet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CollectionSheet'
+    },
+    sheetId: String,
+    receiptNumber: String,
+    collectedAt: Date
+  },
+
+  // Numbered receipt issued when the payment is verified
+  receipt: {
+    receiptNumber: String,
+    issuedAt: Date,
+    // Archived copy of the receipt PDF
+    fileId: String,
+    fileUrl: String
+  },
 
   // Verification details
   verifiedBy: {
@@ -135,6 +207,32 @@ const paymentSchema = new mongoose.Schema({
     min: 0
   },
 
+  // How the verified amount was split across schedule installments
+  allocation: {
+    installments: [{
+      _id: false,
+      installmentNumber: Number,
+      fees: { type: Number, default: 0 },
+      penalty: { type: Number, default: 0 },
+      interest: { type: Number, default: 0 },
+      principal: { type: Number, default: 0 },
+      total: { type: Number, default: 0 }
+    }],
+    fees: { type: Number, default: 0 },
+    penalty: { type: Number, default: 0 },
+    interest: { type: Number, default: 0 },
+    principal: { type: Number, default: 0 },
+    // Amount left over once every installment was paid in full
+    excess: { type: Number, default: 0 },
+    waterfall: [String],
+    scheduleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RepaymentSchedule'
+    },
+    scheduleVersion: Number,
+    allocatedAt: Date
+  },
+
   // Audit trail
   auditLog: [{
     action: String,
@@ -159,6 +257,9 @@ paymentSchema.index({ loanId: 1, paymentDate: -1 });
 paymentSchema.index({ clientId: 1, status: 1 });
 paymentSchema.index({ status: 1, submittedAt: -1 });
 paymentSchema.index({ verifiedBy: 1, verifiedAt: -1 });
+paymentSchema.index({ 'gateway.provider': 1, 'gateway.transactionId': 1 }, { sparse: true });
+paymentSchema.index({ 'fieldCollection.collectedBy': 1, 'fieldCollection.collectedAt': -1 }, { sparse: true });
+paymentSchema.index({ 'receipt.receiptNumber': 1 }, { unique: true, sparse: true });
 
 // Virtual for payment age
 paymentSchema.virtual('paymentAge').get(function () {
@@ -173,6 +274,7 @@ paymentSchema.methods.verify = function (staffId, notes = '') {
   this.verificationNotes = notes;
   this.processedAt = new Date();
   this.processedBy = staffId;
+  this.verificationClaimedAt = undefined;
 
   this.auditLog.push({
     action: 'verified',
@@ -183,6 +285,24 @@ paymentSchema.methods.verify = function (staffId, notes = '') {
   return this.save();
 };
 
+paymentSchema.methods.markAgentVerified = function (staffId, notes = '', approvalThreshold) {
+  this.status = 'pending_approval';
+  this.agentVerification = {
+    verifiedBy: staffId,
+    verifiedAt: new Date(),
+    notes,
+    approvalThreshold
+  };
+
+  this.auditLog.push({
+    action: 'agent_verified',
+    performedBy: staffId,
+    details: { notes, approvalThreshold }
+  });
+
+  return this.save();
+};
+
 paymentSchema.methods.reject = function (staffId, reason) {
   this.status = 'rejected';
   this.rejectedBy = staffId;
@@ -254,15 +374,4 @@ paymentSchema.statics.getPaymentStats = function (startDate, endDate, agentId =
   ]);
 };
 
-// Pre-save middleware
-paymentSchema.pre('save', function (next) {
-  // Calculate late payment details if applicable
-  if (this.isModified('paymentDate') && this.loanId) {
-    // This would need loan details to calculate if payment is late
-    // For now, we'll keep it simple
-  }
-
-  next();
-});
-
 module.exports = mongoose.model('Payment', paymentSchema);
\ No newline at end of file
@@ -0,0 +1,89 @@
+/**
+ * Payment Intent Model
+ * An online or mobile payment started by a client through a payment gateway,
+ * tracked until the provider confirms or fails it by webhook
+ */
+
+const mongoose = require('mongoose');
+
+// created: waiting for the client to pay; succeeded: confirmed by the provider
+// and recorded as a Payment; failed/expired: nothing was collected
+const INTENT_STATUSES = ['created', 'succeeded', 'failed', 'expired'];
+
+const paymentIntentSchema = new mongoose.Schema({
+  intentId: {
+    type: String,
+    unique: true,
+    default: function () {
+      return `PIN${Date.now()}${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
+    }
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  // The provider's own identifier for the checkout
+  providerReference: String,
+  checkoutUrl: String,
+
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    required: true,
+    index: true
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true,
+    index: true
+  },
+  installmentNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  currency: {
+    type: String,
+    default: 'LKR'
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['online_payment', 'mobile_payment'],
+    default: 'online_payment'
+  },
+
+  status: {
+    type: String,
+    enum: INTENT_STATUSES,
+    default: 'created',
+    index: true
+  },
+  expiresAt: Date,
+  transactionId: String,
+  failureReason: String,
+  completedAt: Date,
+  // Payment recorded once the provider confirmed the intent
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  }
+}, {
+  timestamps: true
+});
+
+paymentIntentSchema.index({ provider: 1, providerReference: 1 });
+
+// Methods
+paymentIntentSchema.methods.isOpen = function (asOf = new Date()) {
+  return this.status === 'created' && (!this.expiresAt || this.expiresAt > asOf);
+};
+
+paymentIntentSchema.statics.INTENT_STATUSES = INTENT_STATUSES;
+
+module.exports = mongoose.model('PaymentIntent', paymentIntentSchema);
@@ -0,0 +1,79 @@
+/**
+ * Refresh Session Model
+ * One document per signed-in device. The session is the refresh token family:
+ * every refresh rotates currentTokenId, and presenting an older token of the
+ * family revokes the session.
+ */
+
+const mongoose = require('mongoose');
+
+const refreshSessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userModel: {
+    type: String,
+    enum: ['Staff', 'ClientUsers'],
+    default: 'Staff'
+  },
+
+  // Token id (jti) of the only refresh token that may be used next
+  currentTokenId: {
+    type: String,
+    required: true
+  },
+  rotationCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Device
+  device: {
+    userAgent: String,
+    ipAddress: String,
+    deviceName: String
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active',
+    index: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'password_change', 'token_reuse', 'user_revoked', 'two_factor_reset']
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+refreshSessionSchema.index({ userId: 1, status: 1, lastUsedAt: -1 });
+// Expired sessions are removed by MongoDB
+refreshSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Methods
+refreshSessionSchema.methods.isActive = function () {
+  return this.status === 'active' && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('RefreshSession', refreshSessionSchema);
@@ -77,6 +77,90 @@ const regionSchema = new mongoose.Schema({
       default: 60 // months
     },
     requiredDocuments: [String],
+    // Late payment penalty applied by the daily accrual job
+    latePenalty: {
+      ratePerMonth: {
+        type: Number,
+        default: 2, // percent of the overdue amount
+        min: 0
+      },
+      gracePeriodDays: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      productRules: [{
+        product: {
+          type: String,
+          required: true
+        },
+        ratePerMonth: {
+          type: Number,
+          min: 0
+        },
+        gracePeriodDays: {
+          type: Number,
+          min: 0
+        }
+      }]
+    },
+    // Early settlement rules used for payoff quotes
+    earlySettlement: {
+      lockInMonths: {
+        type: Number,
+        default: 6, // prepayment is penalty free after this many months
+        min: 0
+      },
+      prepaymentPenaltyRate: {
+        type: Number,
+        default: 2, // percent of outstanding principal within the lock-in period
+        min: 0
+      },
+      productRules: [{
+        product: {
+          type: String,
+          required: true
+        },
+        lockInMonths: {
+          type: Number,
+          min: 0
+        },
+        prepaymentPenaltyRate: {
+          type: Number,
+          min: 0
+        }
+      }]
+    },
+    // Debt-to-income limit for new applications, counting the client's other loans
+    affordability: {
+      maxDebtToIncome: {
+        type: Number,
+        default: 40, // percent of monthly income
+        min: 0,
+        max: 100
+      },
+      productRules: [{
+        product: {
+          type: String,
+          required: true
+        },
+        maxDebtToIncome: {
+          type: Number,
+          min: 0,
+          max: 100
+        }
+      }]
+    },
+    // Verified client payments above this amount also need the regional
+    // manager's confirmation after the agent has checked the proof
+    paymentApprovalThreshold: {
+      type: Number,
+      default: 100000,
+      min: 0
+    },
+    // Ordered approval tiers. A loan passes every tier up to the first one
+    // whose maxAmount covers the loan amount; a tier without maxAmount has no
+    // limit. Stages are workflowState stages such as 'regional_approval'.
     approvalWorkflow: [{
       stage: String,
       requiredRole: String,
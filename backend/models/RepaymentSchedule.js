@@ -0,0 +1,227 @@
+/**
+ * Repayment Schedule Model
+ * Stores the installment plan of a loan with installment-level payment status
+ */
+
+const mongoose = require('mongoose');
+const {
+  INTEREST_METHODS,
+  REPAYMENT_FREQUENCIES,
+  DEFAULT_REPAYMENT_FREQUENCY
+} = require('../utils/interestCalculator');
+
+const installmentSchema = new mongoose.Schema({
+  installmentNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+
+  // Amounts due
+  principalDue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  interestDue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  feeDue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Penalties are charged on top of totalDue when an installment runs late
+  penaltyDue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  totalDue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Amounts paid
+  principalPaid: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  interestPaid: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  feePaid: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  penaltyPaid: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  amountPaid: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  openingBalance: Number,
+  closingBalance: Number,
+
+  status: {
+    type: String,
+    enum: ['pending', 'partially_paid', 'paid', 'overdue'],
+    default: 'pending'
+  },
+  paidAt: Date,
+  // Date up to which late penalties have been charged
+  penaltyAccruedThrough: Date
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for the amount still owed on an installment, penalties included
+installmentSchema.virtual('outstanding').get(function () {
+  return (this.totalDue || 0) + (this.penaltyDue || 0) - (this.amountPaid || 0);
+});
+
+const repaymentScheduleSchema = new mongoose.Schema({
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    required: true,
+    index: true
+  },
+  version: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  isCurrent: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  // Terms the schedule was generated from
+  principal: {
+    type: Number,
+    required: true
+  },
+  annualRate: {
+    type: Number,
+    required: true
+  },
+  termMonths: {
+    type: Number,
+    required: true
+  },
+  interestMethod: {
+    type: String,
+    enum: Object.values(INTEREST_METHODS),
+    required: true
+  },
+  repaymentFrequency: {
+    type: String,
+    enum: REPAYMENT_FREQUENCIES,
+    default: DEFAULT_REPAYMENT_FREQUENCY
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+
+  installments: [installmentSchema],
+
+  totals: {
+    principal: { type: Number, default: 0 },
+    interest: { type: Number, default: 0 },
+    fees: { type: Number, default: 0 },
+    payable: { type: Number, default: 0 },
+    penalties: { type: Number, default: 0 }
+  },
+
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  },
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reason: String,
+  supersededAt: Date
+}, {
+  timestamps: true,
+  // Allocations, penalties and revisions write the same installments;
+  // a save from a stale copy fails with a VersionError instead of
+  // overwriting them
+  optimisticConcurrency: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+repaymentScheduleSchema.index({ loanId: 1, version: -1 }, { unique: true });
+repaymentScheduleSchema.index({ loanId: 1, isCurrent: 1 });
+repaymentScheduleSchema.index({ 'installments.dueDate': 1, 'installments.status': 1 });
+
+// Virtual for total amount paid against the schedule
+repaymentScheduleSchema.virtual('totalPaid').get(function () {
+  return (this.installments || []).reduce((sum, installment) => sum + (installment.amountPaid || 0), 0);
+});
+
+// Virtual for total amount still owed on the schedule
+repaymentScheduleSchema.virtual('totalOutstanding').get(function () {
+  return (this.installments || []).reduce((sum, installment) => sum + Math.max(0, installment.outstanding), 0);
+});
+
+// Methods
+repaymentScheduleSchema.methods.refreshStatuses = function (asOf = new Date()) {
+  this.installments.forEach((installment) => {
+    if (installment.outstanding <= 0.005) {
+      installment.status = 'paid';
+    } else if (installment.dueDate < asOf) {
+      installment.status = 'overdue';
+    } else if (installment.amountPaid > 0) {
+      installment.status = 'partially_paid';
+    } else {
+      installment.status = 'pending';
+    }
+  });
+
+  return this;
+};
+
+repaymentScheduleSchema.methods.getOpenInstallments = function () {
+  return this.installments
+    .filter(installment => installment.status !== 'paid')
+    .sort((a, b) => a.installmentNumber - b.installmentNumber);
+};
+
+repaymentScheduleSchema.methods.getNextDueInstallment = function () {
+  return this.getOpenInstallments()[0] || null;
+};
+
+// Static methods
+repaymentScheduleSchema.statics.findCurrent = function (loanId) {
+  return this.findOne({ loanId, isCurrent: true }).sort({ version: -1 });
+};
+
+repaymentScheduleSchema.statics.getHistory = function (loanId) {
+  return this.find({ loanId }).sort({ version: -1 });
+};
+
+module.exports = mongoose.model('RepaymentSchedule', repaymentScheduleSchema);
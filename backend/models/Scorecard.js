@@ -0,0 +1,218 @@
+/**
+ * Scorecard Model
+ * Versioned credit scoring rules. Each factor maps an input to risk points
+ * (0 = lowest risk, 100 = highest) through bands; the client score is the
+ * weighted average of the factor points. Only draft versions can be edited;
+ * exactly one version is active.
+ */
+
+const mongoose = require('mongoose');
+
+const SCORING_INPUTS = [
+  'debtToIncome',          // % of monthly income going to installments, incl. the proposed loan
+  'employmentType',        // Client.employmentDetails.employmentType
+  'employmentTenureMonths',
+  'loanCompletionRate',    // % of closed loans that were completed rather than defaulted
+  'defaultedLoans',
+  'maxDaysOverdue',        // longest delay on any installment
+  'guarantorCoverage'      // guarantor monthly income / monthly installment
+];
+
+const RISK_LEVELS = ['low', 'medium', 'high', 'very_high'];
+
+const bandSchema = new mongoose.Schema({
+  // Numeric bands match min <= value < max; categorical bands match equals
+  min: Number,
+  max: Number,
+  equals: String,
+  points: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  label: String
+}, { _id: false });
+
+const factorSchema = new mongoose.Schema({
+  input: {
+    type: String,
+    enum: SCORING_INPUTS,
+    required: true
+  },
+  label: String,
+  weight: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  bands: [bandSchema],
+  // Points when the input is unknown (no income, no loan history, ...)
+  missingPoints: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 50
+  }
+}, { _id: false });
+
+const scorecardSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'active', 'retired'],
+    default: 'draft',
+    index: true
+  },
+  factors: {
+    type: [factorSchema],
+    validate: {
+      validator: factors => factors.length > 0 && factors.some(factor => factor.weight > 0),
+      message: 'A scorecard needs at least one weighted factor'
+    }
+  },
+  // Highest score of each level; scores above high are very_high
+  levelThresholds: {
+    low: { type: Number, default: 30 },
+    medium: { type: Number, default: 55 },
+    high: { type: Number, default: 75 }
+  },
+  notes: String,
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  },
+  activatedAt: Date,
+  activatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  },
+  retiredAt: Date
+}, {
+  timestamps: true
+});
+
+/**
+ * Scorecard used until an admin publishes one
+ */
+const DEFAULT_SCORECARD = {
+  version: 1,
+  name: 'Default retail scorecard',
+  factors: [
+    {
+      input: 'debtToIncome',
+      label: 'Debt-to-income',
+      weight: 30,
+      missingPoints: 90,
+      bands: [
+        { min: 0, max: 20, points: 5, label: 'Comfortable' },
+        { min: 20, max: 35, points: 25, label: 'Manageable' },
+        { min: 35, max: 50, points: 60, label: 'Stretched' },
+        { min: 50, points: 95, label: 'Unaffordable' }
+      ]
+    },
+    {
+      input: 'employmentType',
+      label: 'Employment type',
+      weight: 10,
+      missingPoints: 60,
+      bands: [
+        { equals: 'permanent', points: 10, label: 'Permanent' },
+        { equals: 'contract', points: 35, label: 'Contract' },
+        { equals: 'self_employed', points: 50, label: 'Self-employed' },
+        { equals: 'temporary', points: 70, label: 'Temporary' }
+      ]
+    },
+    {
+      input: 'employmentTenureMonths',
+      label: 'Employment tenure',
+      weight: 10,
+      missingPoints: 60,
+      bands: [
+        { min: 0, max: 6, points: 80, label: 'Under 6 months' },
+        { min: 6, max: 24, points: 45, label: '6 months to 2 years' },
+        { min: 24, max: 60, points: 20, label: '2 to 5 years' },
+        { min: 60, points: 5, label: 'Over 5 years' }
+      ]
+    },
+    {
+      input: 'loanCompletionRate',
+      label: 'Loan completion',
+      weight: 15,
+      missingPoints: 50,
+      bands: [
+        { min: 0, max: 50, points: 90, label: 'Mostly defaulted' },
+        { min: 50, max: 90, points: 50, label: 'Mixed history' },
+        { min: 90, points: 5, label: 'Completed loans' }
+      ]
+    },
+    {
+      input: 'defaultedLoans',
+      label: 'Defaults',
+      weight: 15,
+      missingPoints: 0,
+      bands: [
+        { min: 0, max: 1, points: 0, label: 'No defaults' },
+        { min: 1, max: 2, points: 70, label: 'One default' },
+        { min: 2, points: 100, label: 'Repeated defaults' }
+      ]
+    },
+    {
+      input: 'maxDaysOverdue',
+      label: 'Repayment delays',
+      weight: 10,
+      missingPoints: 30,
+      bands: [
+        { min: 0, max: 1, points: 0, label: 'Always on time' },
+        { min: 1, max: 30, points: 30, label: 'Up to 30 days late' },
+        { min: 30, max: 90, points: 70, label: '30 to 90 days late' },
+        { min: 90, points: 100, label: 'Over 90 days late' }
+      ]
+    },
+    {
+      input: 'guarantorCoverage',
+      label: 'Guarantor strength',
+      weight: 10,
+      missingPoints: 80,
+      bands: [
+        { min: 0, max: 1, points: 70, label: 'Weak' },
+        { min: 1, max: 3, points: 35, label: 'Adequate' },
+        { min: 3, points: 5, label: 'Strong' }
+      ]
+    }
+  ]
+};
+
+// Static methods
+
+/**
+ * Get the active scorecard, publishing the default one when none exists
+ * @returns {Promise<Object>} Active scorecard
+ */
+scorecardSchema.statics.getActive = async function () {
+  const active = await this.findOne({ status: 'active' });
+  if (active) {
+    return active;
+  }
+
+  return this.findOneAndUpdate(
+    { version: DEFAULT_SCORECARD.version },
+    { $setOnInsert: { ...DEFAULT_SCORECARD, status: 'active', activatedAt: new Date() } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+scorecardSchema.statics.SCORING_INPUTS = SCORING_INPUTS;
+scorecardSchema.statics.RISK_LEVELS = RISK_LEVELS;
+scorecardSchema.statics.DEFAULT_SCORECARD = DEFAULT_SCORECARD;
+
+module.exports = mongoose.model('Scorecard', scorecardSchema);
@@ -0,0 +1,50 @@
+/**
+ * Security Policy Model
+ * System-wide security settings managed by super admins. A single document
+ * (key 'global') is created with defaults on first read.
+ */
+
+const mongoose = require('mongoose');
+
+const STAFF_ROLES = ['super_admin', 'moderate_admin', 'ceo', 'regional_manager', 'agent'];
+
+// Roles that approve loans or manage the system require 2FA by default
+const DEFAULT_TWO_FACTOR_ROLES = ['super_admin', 'regional_manager'];
+
+const securityPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'global',
+    unique: true
+  },
+
+  // Staff in these roles must enrol in 2FA before they can sign in
+  twoFactorRequiredRoles: {
+    type: [{
+      type: String,
+      enum: STAFF_ROLES
+    }],
+    default: () => [...DEFAULT_TWO_FACTOR_ROLES]
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  }
+}, {
+  timestamps: true
+});
+
+// Static methods
+securityPolicySchema.statics.getPolicy = async function () {
+  return this.findOneAndUpdate(
+    { key: 'global' },
+    { $setOnInsert: { key: 'global' } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+securityPolicySchema.statics.STAFF_ROLES = STAFF_ROLES;
+securityPolicySchema.statics.DEFAULT_TWO_FACTOR_ROLES = DEFAULT_TWO_FACTOR_ROLES;
+
+module.exports = mongoose.model('SecurityPolicy', securityPolicySchema);
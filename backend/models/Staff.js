@@ -117,6 +117,19 @@ const staffSchema = new mongoose.Schema({
   // Security settings
   security: {
     twoFactorEnabled: { type: Boolean, default: false },
+    twoFactorEnabledAt: Date,
+    // TOTP secrets are stored encrypted (see services/twoFactorService)
+    twoFactorSecret: { type: String, select: false },
+    twoFactorPendingSecret: { type: String, select: false },
+    // Last accepted TOTP time step, so a code cannot be used twice
+    twoFactorLastStep: { type: Number, select: false },
+    twoFactorRecoveryCodes: {
+      type: [{
+        codeHash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
     passwordLastChanged: Date,
     mustChangePassword: { type: Boolean, default: false },
     sessionTimeout: { type: Number, default: 3600 }, // in seconds
@@ -135,7 +148,9 @@ const staffSchema = new mongoose.Schema({
       enum: [
         'created', 'updated', 'login', 'logout', 'password_changed',
         'role_changed', 'region_assigned', 'status_changed', 'permissions_updated',
-        'subordinate_assigned', 'subordinate_removed', 'account_unlocked'
+        'subordinate_assigned', 'subordinate_removed', 'account_unlocked',
+        'two_factor_enabled', 'two_factor_disabled', 'two_factor_reset',
+        'two_factor_recovery_used', 'two_factor_recovery_regenerated'
       ]
     },
     performedBy: {
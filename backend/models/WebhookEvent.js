@@ -0,0 +1,51 @@
+/**
+ * Webhook Event Model
+ * Every payment gateway event received, keyed by the provider's event id so a
+ * redelivered event is processed only once
+ */
+
+const mongoose = require('mongoose');
+
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: String,
+  intentId: String,
+  transactionId: String,
+  payload: mongoose.Schema.Types.Mixed,
+
+  // processing: being handled; processed: done; failed: may be retried by a
+  // later delivery of the same event
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'failed'],
+    default: 'processing',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  error: String,
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
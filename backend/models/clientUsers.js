@@ -1,13 +1,18 @@
 // models/ClientUser.js
 
 const mongoose = require('mongoose');
-const bcrypt = require('bcrypt');
+const bcrypt = require('bcryptjs');
+
+// Failed logins before the account is locked, and for how long
+const MAX_LOGIN_ATTEMPTS = 5;
+const LOCK_DURATION_MS = 30 * 60 * 1000;
 
 const clientUserSchema = new mongoose.Schema({
   clientId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Client',
-    required: true
+    required: true,
+    unique: true // one login per client
   },
   username: {
     type: String,
@@ -17,11 +22,14 @@ const clientUserSchema = new mongoose.Schema({
   email: {
     type: String,
     required: true,
-    unique: true // optional duplicate of client email
+    unique: true, // optional duplicate of client email
+    lowercase: true,
+    trim: true
   },
   password: {
     type: String,
-    required: true
+    required: true,
+    select: false
   },
   role: {
     type: String,
@@ -32,30 +40,70 @@ const clientUserSchema = new mongoose.Schema({
     enum: ['Active', 'Suspended', 'Inactive'],
     default: 'Active',
   },
+  // Staff member who approved the client; empty for self-registered clients until approval
   verifiedBy: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Staff', // could be agent or manager
-    required: true
+    ref: 'Staff' // could be agent or manager
   },
   lastLogin: {
     type: Date
   },
-  resetToken: String,
+  loginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
+  passwordChangedAt: Date,
+  // SHA-256 of the token sent to the client
+  resetToken: {
+    type: String,
+    select: false
+  },
   resetTokenExpiry: Date
 }, {
   timestamps: true
 });
 
-// Password hashing middleware (optional)
+// Password hashing middleware
 clientUserSchema.pre('save', async function (next) {
   if (!this.isModified('password')) return next();
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
     next();
   } catch (err) {
     next(err);
   }
 });
 
+clientUserSchema.methods.comparePassword = function (password) {
+  return bcrypt.compare(password, this.password);
+};
+
+clientUserSchema.methods.isLocked = function () {
+  return !!this.lockUntil && this.lockUntil > new Date();
+};
+
+clientUserSchema.methods.recordLogin = function () {
+  this.lastLogin = new Date();
+  this.loginAttempts = 0;
+  this.lockUntil = null;
+  return this;
+};
+
+clientUserSchema.methods.recordFailedLogin = function () {
+  this.loginAttempts += 1;
+
+  // Lock account after 5 failed attempts
+  if (this.loginAttempts >= MAX_LOGIN_ATTEMPTS) {
+    this.lockUntil = new Date(Date.now() + LOCK_DURATION_MS);
+    this.loginAttempts = 0;
+  }
+
+  return this;
+};
+
 module.exports = mongoose.model('ClientUsers', clientUserSchema);
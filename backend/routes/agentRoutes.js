@@ -116,4 +116,62 @@ router.put('/:agentId/clients/:clientId/verification',
   agentController.updateClientVerification
 );
 
+// Client document checklist and per-document review
+router.get('/:agentId/clients/:clientId/documents',
+  authorizeRoles('agent', 'regional_manager', 'moderate_admin', 'super_admin'),
+  validate(Joi.object({
+    agentId: objectId.required(),
+    clientId: objectId.required()
+  }), 'params'),
+  agentController.getClientDocuments
+);
+
+router.put('/:agentId/clients/:clientId/documents/:documentId',
+  authorizeRoles('agent', 'regional_manager', 'moderate_admin', 'super_admin'),
+  validate(Joi.object({
+    agentId: objectId.required(),
+    clientId: objectId.required(),
+    documentId: objectId.required()
+  }), 'params'),
+  validate(Joi.object({
+    status: Joi.string().valid('approved', 'rejected').required(),
+    reason: Joi.string().trim().max(500).when('status', {
+      is: 'rejected',
+      then: Joi.required(),
+      otherwise: Joi.optional()
+    }),
+    requestReupload: Joi.boolean().default(true)
+  }), 'body'),
+  agentController.reviewClientDocument
+);
+
+// Payment verification queue (maker step)
+router.get('/:agentId/payments/pending',
+  authorizeRoles('agent', 'regional_manager', 'moderate_admin', 'super_admin'),
+  validate(Joi.object({ agentId: objectId.required() }), 'params'),
+  validate(Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  }), 'query'),
+  agentController.getPendingPayments
+);
+
+router.put('/:agentId/payments/:paymentId',
+  authorizeRoles('agent', 'regional_manager', 'moderate_admin', 'super_admin'),
+  validate(Joi.object({
+    agentId: objectId.required(),
+    paymentId: Joi.string().trim().min(5).max(50).required()
+  }), 'params'),
+  validate(Joi.object({
+    status: Joi.string().valid('Approved', 'Rejected').required(),
+    notes: Joi.string().trim().max(500).optional(),
+    reason: Joi.string().trim().max(500).when('status', {
+      is: 'Rejected',
+      then: Joi.required(),
+      otherwise: Joi.optional()
+    })
+  }), 'body'),
+  agentController.reviewPayment
+);
+
 module.exports = router;
\ No newline at end of file
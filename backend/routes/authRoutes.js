@@ -5,6 +5,33 @@ const router = express.Router();
 const authController = require('../controllers/authController');
 const { authenticate, authRateLimit } = require('../middlewares/authMiddleware');
 const { validate, authSchemas } = require('../validation');
+const twoFactorService = require('../services/twoFactorService');
+
+// Two-factor enrolment during login uses the enrolment challenge instead of an access token
+const authenticateOrEnrolmentChallenge = (req, res, next) => {
+  if (!req.body?.challengeToken) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const challenge = twoFactorService.verifyChallenge(req.body.challengeToken, 'enrol');
+    req.user = {
+      userId: challenge.userId,
+      role: challenge.role,
+      twoFactorEnrolment: true
+    };
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: 'AUTH_ERROR',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
 
 // Public routes (with rate limiting)
 router.post('/login',
@@ -17,12 +44,45 @@ router.post('/refresh-token',
   validate(authSchemas.refreshToken.body),
   authController.refreshToken
 );
+router.post('/2fa/verify',
+  authRateLimit,
+  validate(authSchemas.verifyTwoFactor.body),
+  authController.verifyTwoFactor
+);
+
+// Two-factor enrolment (access token or enrolment challenge)
+router.post('/2fa/setup',
+  authRateLimit,
+  validate(authSchemas.setupTwoFactor.body),
+  authenticateOrEnrolmentChallenge,
+  authController.setupTwoFactor
+);
+router.post('/2fa/enable',
+  authRateLimit,
+  validate(authSchemas.enableTwoFactor.body),
+  authenticateOrEnrolmentChallenge,
+  authController.enableTwoFactor
+);
 
 // Protected routes (require authentication)
 router.use(authenticate); // Apply authentication middleware to all routes below
 
 router.post('/logout', authController.logout);
 router.post('/logout-all', authController.logoutAll);
+router.get('/sessions', authController.getSessions);
+router.delete('/sessions/:sessionId',
+  validate(authSchemas.revokeSession.params, 'params'),
+  authController.revokeSession
+);
+router.get('/2fa/status', authController.getTwoFactorStatus);
+router.post('/2fa/disable',
+  validate(authSchemas.disableTwoFactor.body),
+  authController.disableTwoFactor
+);
+router.post('/2fa/recovery-codes',
+  validate(authSchemas.twoFactorCode.body),
+  authController.regenerateRecoveryCodes
+);
 router.get('/profile', authController.getProfile);
 router.put('/change-password',
   validate(authSchemas.changePassword.body),
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const clientController = require('../controllers/clientController');
+const { authenticate, authorizeRoles } = require('../middlewares/authMiddleware');
+const { validate, clientSchemas } = require('../validation');
+
+// All routes require a staff login
+router.use(authenticate);
+
+/**
+ * Latest risk assessment of a client
+ * GET /api/clients/:id/risk-assessment
+ */
+router.get('/:id/risk-assessment',
+  authorizeRoles('agent', 'regional_manager', 'ceo', 'moderate_admin', 'super_admin'),
+  validate(clientSchemas.riskAssessment.params, 'params'),
+  clientController.getRiskAssessment
+);
+
+/**
+ * Score a client with the active scorecard
+ * POST /api/clients/:id/risk-assessment
+ */
+router.post('/:id/risk-assessment',
+  authorizeRoles('agent', 'regional_manager', 'moderate_admin', 'super_admin'),
+  validate(clientSchemas.riskAssessment.params, 'params'),
+  validate(clientSchemas.riskAssessment.body),
+  clientController.assessRisk
+);
+
+module.exports = router;
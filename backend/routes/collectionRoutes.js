@@ -0,0 +1,70 @@
+const express = require('express');
+const router = express.Router();
+const collectionSheetController = require('../controllers/collectionSheetController');
+const { authenticate, requirePermissions } = require('../middlewares/authMiddleware');
+const { PERMISSIONS } = require('../utils/permissions');
+const { validate, collectionSchemas } = require('../validation');
+
+// All routes require authentication and collection rights
+router.use(authenticate);
+router.use(requirePermissions(PERMISSIONS.MANAGE_COLLECTIONS));
+
+/**
+ * Generate an agent's collection sheet for a day
+ * POST /api/collections/sheets
+ */
+router.post('/sheets',
+  validate(collectionSchemas.generateSheet.body),
+  collectionSheetController.generateSheet
+);
+
+/**
+ * List collection sheets
+ * GET /api/collections/sheets
+ */
+router.get('/sheets',
+  validate(collectionSchemas.listSheets.query, 'query'),
+  collectionSheetController.listSheets
+);
+
+/**
+ * Get a collection sheet
+ * GET /api/collections/sheets/:sheetId
+ */
+router.get('/sheets/:sheetId',
+  validate(collectionSchemas.sheetParams.params, 'params'),
+  collectionSheetController.getSheet
+);
+
+/**
+ * Record a cash collection against a sheet line
+ * POST /api/collections/sheets/:sheetId/lines/:lineId/collections
+ */
+router.post('/sheets/:sheetId/lines/:lineId/collections',
+  validate(collectionSchemas.recordCollection.params, 'params'),
+  validate(collectionSchemas.recordCollection.body),
+  collectionSheetController.recordCollection
+);
+
+/**
+ * Submit the end-of-day cash hand-over
+ * POST /api/collections/sheets/:sheetId/handover
+ */
+router.post('/sheets/:sheetId/handover',
+  validate(collectionSchemas.sheetParams.params, 'params'),
+  validate(collectionSchemas.submitHandover.body),
+  collectionSheetController.submitHandover
+);
+
+/**
+ * Reconcile a cash hand-over
+ * POST /api/collections/sheets/:sheetId/reconciliation
+ */
+router.post('/sheets/:sheetId/reconciliation',
+  requirePermissions(PERMISSIONS.RECONCILE_PAYMENTS),
+  validate(collectionSchemas.sheetParams.params, 'params'),
+  validate(collectionSchemas.reconcileHandover.body),
+  collectionSheetController.reconcileHandover
+);
+
+module.exports = router;
@@ -34,7 +34,8 @@ const customEmailSchema = Joi.object({
   }).optional(),
   template: Joi.string().optional(),
   templateData: Joi.object().optional(),
-  priority: Joi.string().valid('high', 'normal', 'low').optional()
+  priority: Joi.string().valid('high', 'normal', 'low').optional(),
+  language: Joi.string().valid('en', 'si', 'ta').optional()
 });
 
 const bulkLoanNotificationSchema = Joi.object({
@@ -44,9 +45,21 @@ const bulkLoanNotificationSchema = Joi.object({
   reason: Joi.string().optional()
 });
 
+const emailJobListSchema = Joi.object({
+  status: Joi.string().valid('queued', 'sending', 'sent', 'retry', 'permanently_failed', 'cancelled').optional(),
+  to: Joi.string().email().optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const emailJobParamsSchema = Joi.object({
+  jobId: Joi.string().min(5).max(60).required()
+});
+
 const testEmailSchema = Joi.object({
   to: Joi.string().email().required(),
-  template: Joi.string().valid('loan-status-change', 'agreement-ready', 'loan-reminder').optional()
+  template: Joi.string().valid('loan-status-change', 'agreement-ready', 'loan-reminder').optional(),
+  language: Joi.string().valid('en', 'si', 'ta').optional()
 });
 
 // Apply authentication middleware to all routes
@@ -176,6 +189,66 @@ router.delete('/queue/clear',
   emailController.clearQueue
 );
 
+// Outbox job routes
+
+const requireQueueAdmin = (req, res, next) => {
+  // Check admin permissions
+  if (!['super_admin', 'moderate_admin'].includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'AUTHORIZATION_ERROR',
+        message: 'Insufficient permissions to manage email jobs'
+      }
+    });
+  }
+  next();
+};
+
+/**
+ * @route GET /api/email/queue/jobs
+ * @desc List email outbox jobs
+ * @access Private (Admin only)
+ */
+router.get('/queue/jobs',
+  requireQueueAdmin,
+  validate(emailJobListSchema, 'query'),
+  emailController.listJobs
+);
+
+/**
+ * @route GET /api/email/queue/jobs/:jobId
+ * @desc Get an email outbox job
+ * @access Private (Admin only)
+ */
+router.get('/queue/jobs/:jobId',
+  requireQueueAdmin,
+  validate(emailJobParamsSchema, 'params'),
+  emailController.getJob
+);
+
+/**
+ * @route POST /api/email/queue/jobs/:jobId/retry
+ * @desc Requeue a failed or cancelled email job
+ * @access Private (Admin only)
+ */
+router.post('/queue/jobs/:jobId/retry',
+  requireQueueAdmin,
+  validate(emailJobParamsSchema, 'params'),
+  emailController.retryJob
+);
+
+/**
+ * @route POST /api/email/queue/jobs/:jobId/cancel
+ * @desc Cancel an email job that has not been sent
+ * @access Private (Admin only)
+ */
+router.post('/queue/jobs/:jobId/cancel',
+  requireQueueAdmin,
+  validate(emailJobParamsSchema, 'params'),
+  emailController.cancelJob
+);
+
 // Testing routes
 
 /**
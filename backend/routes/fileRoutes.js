@@ -106,7 +106,7 @@ router.get('/:fileId',
  */
 router.get('/',
   validate(Joi.object({
-    category: Joi.string().valid('general', 'client', 'loan', 'agreement', 'client_document').optional(),
+    category: Joi.string().valid('general', 'client', 'loan', 'agreement', 'receipt', 'client_document').optional(),
     dateFrom: Joi.date().iso().optional(),
     dateTo: Joi.date().iso().optional(),
     tags: Joi.alternatives().try(
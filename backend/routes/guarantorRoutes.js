@@ -0,0 +1,106 @@
+const express = require('express');
+const router = express.Router();
+const guarantorController = require('../controllers/guarantorController');
+const { authenticate, requirePermissions } = require('../middlewares/authMiddleware');
+const { PERMISSIONS } = require('../utils/permissions');
+const { validate, guarantorSchemas } = require('../validation');
+
+// All routes require authentication and guarantor management
+router.use(authenticate);
+router.use(requirePermissions(PERMISSIONS.MANAGE_GUARANTORS));
+
+/**
+ * List guarantors
+ * GET /api/guarantors
+ */
+router.get('/',
+  validate(guarantorSchemas.listGuarantors.query, 'query'),
+  guarantorController.listGuarantors
+);
+
+/**
+ * Find a guarantor on file by NIC number
+ * GET /api/guarantors/lookup?nic=
+ */
+router.get('/lookup',
+  validate(guarantorSchemas.lookupByNic.query, 'query'),
+  guarantorController.lookupByNic
+);
+
+/**
+ * Register a guarantor
+ * POST /api/guarantors
+ */
+router.post('/',
+  validate(guarantorSchemas.createGuarantor.body),
+  guarantorController.createGuarantor
+);
+
+/**
+ * Get a guarantor with their exposure
+ * GET /api/guarantors/:id
+ */
+router.get('/:id',
+  validate(guarantorSchemas.guarantorParams.params, 'params'),
+  guarantorController.getGuarantor
+);
+
+/**
+ * Update a guarantor
+ * PUT /api/guarantors/:id
+ */
+router.put('/:id',
+  validate(guarantorSchemas.guarantorParams.params, 'params'),
+  validate(guarantorSchemas.updateGuarantor.body),
+  guarantorController.updateGuarantor
+);
+
+/**
+ * Delete a guarantor not named on any loan
+ * DELETE /api/guarantors/:id
+ */
+router.delete('/:id',
+  validate(guarantorSchemas.guarantorParams.params, 'params'),
+  guarantorController.deleteGuarantor
+);
+
+/**
+ * Attach an uploaded identity or employment document
+ * POST /api/guarantors/:id/documents
+ */
+router.post('/:id/documents',
+  validate(guarantorSchemas.guarantorParams.params, 'params'),
+  validate(guarantorSchemas.addDocument.body),
+  guarantorController.addDocument
+);
+
+/**
+ * Verify or reject identity or employment documents
+ * PUT /api/guarantors/:id/verification
+ */
+router.put('/:id/verification',
+  validate(guarantorSchemas.guarantorParams.params, 'params'),
+  validate(guarantorSchemas.updateVerification.body),
+  guarantorController.updateVerification
+);
+
+/**
+ * Send a consent code for a loan
+ * POST /api/guarantors/:id/consents/:loanId/otp
+ */
+router.post('/:id/consents/:loanId/otp',
+  validate(guarantorSchemas.consentParams.params, 'params'),
+  guarantorController.requestConsentOtp
+);
+
+/**
+ * Confirm consent to a loan by code or signed form
+ * POST /api/guarantors/:id/consents/:loanId
+ */
+router.post('/:id/consents/:loanId',
+  validate(guarantorSchemas.consentParams.params, 'params'),
+  validate(guarantorSchemas.confirmConsent.body),
+  guarantorController.confirmConsent
+);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const loanController = require("../controllers/loanController");
+const loanProductController = require("../controllers/loanProductController");
 const {
   authenticate,
   authorizeRoles,
@@ -79,6 +80,12 @@ router.get(
   loanController.searchLoans
 );
 
+// Loan products offered in the user's region
+router.get(
+  "/products",
+  loanProductController.listProducts
+);
+
 router.get(
   "/:id",
   requirePermissions(PERMISSIONS.VIEW_OWN_LOANS),
@@ -121,6 +128,103 @@ router.get(
   loanController.getPaymentHistory
 );
 
+router.put(
+  "/:loanId/payments/:paymentId/verify",
+  requirePermissions(PERMISSIONS.UPDATE_REGIONAL_LOANS),
+  validate(loanSchemas.verifyPayment.params, "params"),
+  validate(loanSchemas.verifyPayment.body),
+  loanController.verifyPayment
+);
+
+// Repayment schedule
+router.get(
+  "/:loanId/schedule",
+  requirePermissions(PERMISSIONS.VIEW_OWN_LOANS),
+  validate(loanSchemas.getLoanSchedule.params, "params"),
+  loanController.getLoanSchedule
+);
+
+// Statements and receipts
+router.get(
+  "/:loanId/statement",
+  requirePermissions(PERMISSIONS.VIEW_OWN_LOANS),
+  validate(loanSchemas.getLoanStatement.params, "params"),
+  validate(loanSchemas.getLoanStatement.query, "query"),
+  loanController.getLoanStatement
+);
+
+router.get(
+  "/:loanId/payments/:paymentId/receipt",
+  requirePermissions(PERMISSIONS.VIEW_OWN_LOANS),
+  validate(loanSchemas.getPaymentReceipt.params, "params"),
+  loanController.getPaymentReceipt
+);
+
+// Early settlement
+router.get(
+  "/:loanId/payoff-quote",
+  requirePermissions(PERMISSIONS.VIEW_OWN_LOANS),
+  validate(loanSchemas.getPayoffQuote.params, "params"),
+  validate(loanSchemas.getPayoffQuote.query, "query"),
+  loanController.getPayoffQuote
+);
+
+router.post(
+  "/:loanId/settle",
+  requirePermissions(PERMISSIONS.UPDATE_REGIONAL_LOANS),
+  validate(loanSchemas.settleLoan.params, "params"),
+  validate(loanSchemas.settleLoan.body),
+  loanController.settleLoan
+);
+
+// Restructuring
+router.post(
+  "/:loanId/restructure",
+  requirePermissions(PERMISSIONS.UPDATE_OWN_LOANS),
+  validate(loanSchemas.requestRestructure.params, "params"),
+  validate(loanSchemas.requestRestructure.body),
+  loanController.requestRestructure
+);
+
+router.get(
+  "/:loanId/restructure",
+  requirePermissions(PERMISSIONS.VIEW_OWN_LOANS),
+  validate(loanSchemas.requestRestructure.params, "params"),
+  loanController.getRestructureRequests
+);
+
+router.put(
+  "/:loanId/restructure/:requestId/approval",
+  requirePermissions(PERMISSIONS.APPROVE_LOANS),
+  validate(loanSchemas.decideRestructure.params, "params"),
+  validate(loanSchemas.decideRestructure.body),
+  loanController.decideRestructure
+);
+
+// Disbursement (maker-checker)
+router.get(
+  "/:loanId/disbursements",
+  requirePermissions(PERMISSIONS.VIEW_OWN_LOANS),
+  validate(loanSchemas.recordDisbursement.params, "params"),
+  loanController.getDisbursements
+);
+
+router.post(
+  "/:loanId/disbursements",
+  requirePermissions(PERMISSIONS.RECORD_DISBURSEMENTS),
+  validate(loanSchemas.recordDisbursement.params, "params"),
+  validate(loanSchemas.recordDisbursement.body),
+  loanController.recordDisbursement
+);
+
+router.put(
+  "/:loanId/disbursements/:disbursementId/approval",
+  requirePermissions(PERMISSIONS.APPROVE_DISBURSEMENTS),
+  validate(loanSchemas.decideDisbursement.params, "params"),
+  validate(loanSchemas.decideDisbursement.body),
+  loanController.decideDisbursement
+);
+
 // Regional manager approval workflow
 router.post(
   "/:loanId/regional-approval",
@@ -130,6 +234,22 @@ router.post(
   loanController.regionalManagerApproval
 );
 
+// Multi-tier approval chain
+router.post(
+  "/:loanId/approval-decision",
+  authorizeRoles("agent", "regional_manager", "ceo", "super_admin"),
+  validate(loanSchemas.approvalDecision.params, "params"),
+  validate(loanSchemas.approvalDecision.body),
+  loanController.decideApproval
+);
+
+router.get(
+  "/:loanId/approval-chain",
+  requirePermissions(PERMISSIONS.VIEW_OWN_LOANS),
+  validate(loanSchemas.approvalDecision.params, "params"),
+  loanController.getApprovalChain
+);
+
 // Regional manager specific endpoints
 router.get(
   "/regional-manager/:regionalManagerId",
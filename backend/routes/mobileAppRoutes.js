@@ -5,12 +5,25 @@
 
 const express = require("express");
 const router = express.Router();
-const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const multer = require("multer");
-const { authenticate } = require("../middlewares/authMiddleware");
-const { validate } = require("../validation");
+const Client = require("../models/Client");
+const { authenticateClient } = require("../middlewares/authMiddleware");
+const { AppError } = require("../utils/customErrors");
+const { validate, loanSchemas, paymentSchemas } = require("../validation");
 const Joi = require("joi");
+const {
+  REPAYMENT_FREQUENCIES,
+  generateSchedule,
+  getInstallmentCount,
+} = require("../utils/interestCalculator");
+const scheduleService = require("../services/scheduleService");
+const affordabilityService = require("../services/affordabilityService");
+const loanProductService = require("../services/loanProductService");
+const clientVerificationService = require("../services/clientVerificationService");
+const clientAuthService = require("../services/clientAuthService");
+const sessionService = require("../services/sessionService");
+const paymentGatewayController = require("../controllers/paymentGatewayController");
+const paymentDocumentService = require("../services/paymentDocumentService");
 
 // Configure multer for file uploads
 const upload = multer({
@@ -39,6 +52,52 @@ const upload = multer({
 
 // ==================== CLIENT AUTHENTICATION ====================
 
+/**
+ * Send an error response in the API error format
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the handler
+ * @param {string} message - Message for unexpected errors
+ */
+const sendError = (res, error, message) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: {
+        code: error.errorCode,
+        message: error.message,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    error: {
+      code: "SERVER_ERROR",
+      message,
+      timestamp: new Date().toISOString(),
+    },
+  });
+};
+
+/**
+ * Client fields returned after registration and login
+ * @param {Object} client - Client document
+ * @param {Object} user - ClientUsers document
+ * @returns {Object} Client summary
+ */
+const toClientSummary = (client, user) => ({
+  id: client._id,
+  clientUserId: user._id,
+  registrationId: client.registrationId,
+  fullName: client.personalInfo?.fullName,
+  email: user.email,
+  phone: client.personalInfo?.contactNumber,
+  status: client.status,
+  kycStatus: clientVerificationService.getKycStatus(client),
+});
+
 /**
  * Client Registration
  * POST /api/mobile/auth/register
@@ -58,7 +117,9 @@ router.post(
       address: Joi.object({
         street: Joi.string().required(),
         city: Joi.string().required(),
-        district: Joi.string().required(),
+        district: Joi.string()
+          .valid(...Client.schema.path("personalInfo.district").enumValues)
+          .required(),
         postalCode: Joi.string().required(),
       }).required(),
       occupation: Joi.string().required(),
@@ -69,101 +130,9 @@ router.post(
   ),
   async (req, res) => {
     try {
-      const {
-        firstName,
-        lastName,
-        email,
-        phone,
-        password,
-        dateOfBirth,
-        address,
-        occupation,
-        monthlyIncome,
-        nic,
-      } = req.body;
-
-      // Check if client already exists
-      const existingClient = await require("../models/Client").findOne({
-        $or: [{ email }, { phone }, { nic }],
-      });
-
-      if (existingClient) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "CLIENT_EXISTS",
-            message: "Client with this email, phone, or NIC already exists",
-            timestamp: new Date().toISOString(),
-          },
-        });
-      }
-
-      // Hash password
-      const passwordHash = await bcrypt.hash(password, 12);
-
-      // Find an available agent (round-robin assignment)
-      const agents = await require("../models/Staff")
-        .find({
-          role: "agent",
-          status: "active",
-        })
-        .populate("region");
-
-      if (agents.length === 0) {
-        return res.status(503).json({
-          success: false,
-          error: {
-            code: "NO_AGENTS_AVAILABLE",
-            message:
-              "No agents available for assignment. Please try again later.",
-            timestamp: new Date().toISOString(),
-          },
-        });
-      }
-
-      // Simple round-robin assignment based on client count
-      const agentAssignments = await Promise.all(
-        agents.map(async (agent) => ({
-          agent,
-          clientCount: await require("../models/Client").countDocuments({
-            assignedReviewer: agent._id,
-          }),
-        }))
-      );
-
-      const assignedAgent = agentAssignments.reduce((min, current) =>
-        current.clientCount < min.clientCount ? current : min
-      ).agent;
-
-      // Create client
-      const client = new require("../models/Client")({
-        firstName,
-        lastName,
-        email,
-        phone,
-        passwordHash,
-        dateOfBirth,
-        address,
-        occupation,
-        monthlyIncome,
-        nic,
-        assignedReviewer: assignedAgent._id,
-        status: "pending_verification",
-        registrationDate: new Date(),
-        kycStatus: "pending",
-      });
-
-      await client.save();
-
-      // Generate JWT token for client
-      const token = jwt.sign(
-        {
-          clientId: client._id,
-          email: client.email,
-          type: "client",
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: "30d" }
+      const { client, user, agent, tokens } = await clientAuthService.register(
+        req.body,
+        sessionService.getRequestContext(req)
       );
 
       res.status(201).json({
@@ -171,34 +140,19 @@ router.post(
         message: "Registration successful. Please complete KYC verification.",
         data: {
           client: {
-            id: client._id,
-            firstName: client.firstName,
-            lastName: client.lastName,
-            email: client.email,
-            phone: client.phone,
-            status: client.status,
-            kycStatus: client.kycStatus,
+            ...toClientSummary(client, user),
             assignedAgent: {
-              id: assignedAgent._id,
-              name: assignedAgent.name,
-              region: assignedAgent.region.name,
+              id: agent._id,
+              name: agent.name,
             },
           },
-          token,
+          tokens,
           nextStep: "kyc_verification",
         },
         timestamp: new Date().toISOString(),
       });
     } catch (error) {
-      console.error("Client registration error:", error);
-      res.status(500).json({
-        success: false,
-        error: {
-          code: "SERVER_ERROR",
-          message: "Internal server error during registration",
-          timestamp: new Date().toISOString(),
-        },
-      });
+      sendError(res, error, "Internal server error during registration");
     }
   }
 );
@@ -213,141 +167,134 @@ router.post(
     Joi.object({
       email: Joi.string().email().required(),
       password: Joi.string().required(),
+      deviceName: Joi.string().max(100).optional(),
     }),
     "body"
   ),
   async (req, res) => {
     try {
-      const { email, password } = req.body;
-
-      // Find client
-      const client = await require("../models/Client")
-        .findOne({ email })
-        .select("+passwordHash")
-        .populate("assignedReviewer", "name email region");
-
-      if (!client) {
-        return res.status(401).json({
-          success: false,
-          error: {
-            code: "INVALID_CREDENTIALS",
-            message: "Invalid email or password",
-            timestamp: new Date().toISOString(),
-          },
-        });
-      }
-
-      // Verify password
-      const isPasswordValid = await bcrypt.compare(
-        password,
-        client.passwordHash
+      const { user, client, tokens } = await clientAuthService.login(
+        req.body.email,
+        req.body.password,
+        sessionService.getRequestContext(req)
       );
-      if (!isPasswordValid) {
-        return res.status(401).json({
-          success: false,
-          error: {
-            code: "INVALID_CREDENTIALS",
-            message: "Invalid email or password",
-            timestamp: new Date().toISOString(),
-          },
-        });
-      }
-
-      // Generate JWT token
-      const token = jwt.sign(
-        {
-          clientId: client._id,
-          email: client.email,
-          type: "client",
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: "30d" }
-      );
-
-      // Update last login
-      client.lastLogin = new Date();
-      await client.save();
 
       res.status(200).json({
         success: true,
         message: "Login successful",
         data: {
           client: {
-            id: client._id,
-            firstName: client.firstName,
-            lastName: client.lastName,
-            email: client.email,
-            phone: client.phone,
-            status: client.status,
-            kycStatus: client.kycStatus,
-            assignedAgent: client.assignedReviewer,
+            ...toClientSummary(client, user),
+            assignedAgent: client.assignedAgent,
           },
-          token,
+          tokens,
         },
         timestamp: new Date().toISOString(),
       });
     } catch (error) {
-      console.error("Client login error:", error);
-      res.status(500).json({
-        success: false,
-        error: {
-          code: "SERVER_ERROR",
-          message: "Internal server error during login",
-          timestamp: new Date().toISOString(),
-        },
-      });
+      sendError(res, error, "Internal server error during login");
     }
   }
 );
 
-// Client authentication middleware
-const authenticateClient = (req, res, next) => {
-  const authHeader = req.headers.authorization;
+/**
+ * Exchange a refresh token for a new token pair
+ * POST /api/mobile/auth/refresh
+ */
+router.post(
+  "/auth/refresh",
+  validate(Joi.object({ refreshToken: Joi.string().required() }), "body"),
+  async (req, res) => {
+    try {
+      const tokens = await clientAuthService.refresh(
+        req.body.refreshToken,
+        sessionService.getRequestContext(req)
+      );
 
-  if (!authHeader?.startsWith("Bearer ")) {
-    return res.status(401).json({
-      success: false,
-      error: {
-        code: "AUTH_ERROR",
-        message: "Unauthorized: No token provided",
+      res.status(200).json({
+        success: true,
+        message: "Token refreshed successfully",
+        data: { tokens },
         timestamp: new Date().toISOString(),
-      },
-    });
+      });
+    } catch (error) {
+      sendError(res, error, "Internal server error during token refresh");
+    }
   }
+);
+
+/**
+ * Sign out of this device
+ * POST /api/mobile/auth/logout
+ */
+router.post(
+  "/auth/logout",
+  validate(Joi.object({ refreshToken: Joi.string().required() }), "body"),
+  async (req, res) => {
+    try {
+      await clientAuthService.logout(req.body.refreshToken);
 
-  const token = authHeader.split(" ")[1];
+      res.status(200).json({
+        success: true,
+        message: "Logout successful",
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      sendError(res, error, "Internal server error during logout");
+    }
+  }
+);
 
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+/**
+ * Email a password reset token
+ * POST /api/mobile/auth/forgot-password
+ */
+router.post(
+  "/auth/forgot-password",
+  validate(Joi.object({ email: Joi.string().email().required() }), "body"),
+  async (req, res) => {
+    try {
+      await clientAuthService.requestPasswordReset(req.body.email);
 
-    if (decoded.type !== "client") {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: "INVALID_TOKEN_TYPE",
-          message: "Invalid token type for mobile app",
-          timestamp: new Date().toISOString(),
-        },
+      res.status(200).json({
+        success: true,
+        message:
+          "If an account exists for this email, a password reset code has been sent.",
+        timestamp: new Date().toISOString(),
       });
+    } catch (error) {
+      sendError(res, error, "Internal server error during password reset request");
     }
+  }
+);
 
-    req.client = {
-      clientId: decoded.clientId,
-      email: decoded.email,
-    };
+/**
+ * Set a new password with a reset token
+ * POST /api/mobile/auth/reset-password
+ */
+router.post(
+  "/auth/reset-password",
+  validate(
+    Joi.object({
+      token: Joi.string().required(),
+      password: Joi.string().min(6).required(),
+    }),
+    "body"
+  ),
+  async (req, res) => {
+    try {
+      await clientAuthService.resetPassword(req.body.token, req.body.password);
 
-    next();
-  } catch (err) {
-    return res.status(401).json({
-      success: false,
-      error: {
-        code: "INVALID_TOKEN",
-        message: "Invalid or expired token",
+      res.status(200).json({
+        success: true,
+        message: "Password reset successfully. Please login again.",
         timestamp: new Date().toISOString(),
-      },
-    });
+      });
+    } catch (error) {
+      sendError(res, error, "Internal server error during password reset");
+    }
   }
-};
+);
 
 // ==================== KYC VERIFICATION ====================
 
@@ -363,10 +310,11 @@ router.post(
     { name: "nicBack", maxCount: 1 },
     { name: "selfie", maxCount: 1 },
     { name: "incomeProof", maxCount: 1 },
+    { name: "employmentLetter", maxCount: 1 },
   ]),
   async (req, res) => {
     try {
-      const client = await require("../models/Client").findById(
+      const client = await Client.findById(
         req.client.clientId
       );
 
@@ -381,25 +329,37 @@ router.post(
         });
       }
 
-      const documents = {};
-
-      if (req.files.nicFront) documents.nicFront = req.files.nicFront[0].path;
-      if (req.files.nicBack) documents.nicBack = req.files.nicBack[0].path;
-      if (req.files.selfie) documents.selfie = req.files.selfie[0].path;
-      if (req.files.incomeProof)
-        documents.incomeProof = req.files.incomeProof[0].path;
+      // Each upload goes on the verification checklist for an agent to review
+      const documentsUploaded = [];
+      for (const [field, files] of Object.entries(req.files || {})) {
+        await clientVerificationService.addDocument(
+          client,
+          { type: field, name: field, url: files[0].path },
+          client._id,
+          "client"
+        );
+        documentsUploaded.push(field);
+      }
 
-      client.kycDocuments = { ...client.kycDocuments, ...documents };
-      client.kycStatus = "under_review";
-      client.kycSubmittedAt = new Date();
-      await client.save();
+      if (documentsUploaded.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "NO_DOCUMENTS_PROVIDED",
+            message: "No documents provided",
+            timestamp: new Date().toISOString(),
+          },
+        });
+      }
 
       res.status(200).json({
         success: true,
         message: "KYC documents uploaded successfully",
         data: {
-          kycStatus: client.kycStatus,
-          documentsUploaded: Object.keys(documents),
+          kycStatus: clientVerificationService.getKycStatus(client),
+          documentsUploaded,
+          completionPercentage:
+            client.verificationStatus.documents.completionPercentage,
           nextStep: "wait_for_approval",
         },
         timestamp: new Date().toISOString(),
@@ -424,21 +384,43 @@ router.post(
  */
 router.get("/kyc/status", authenticateClient, async (req, res) => {
   try {
-    const client = await require("../models/Client")
-      .findById(req.client.clientId)
-      .select(
-        "kycStatus kycSubmittedAt kycApprovedAt kycRejectedAt kycRejectionReason"
-      );
+    const client = await Client.findById(
+      req.client.clientId
+    );
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: "CLIENT_NOT_FOUND",
+          message: "Client not found",
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+
+    const checklist = await clientVerificationService.refreshChecklist(client);
 
     res.status(200).json({
       success: true,
       message: "KYC status retrieved successfully",
       data: {
-        kycStatus: client.kycStatus,
-        submittedAt: client.kycSubmittedAt,
-        approvedAt: client.kycApprovedAt,
-        rejectedAt: client.kycRejectedAt,
-        rejectionReason: client.kycRejectionReason,
+        kycStatus: clientVerificationService.getKycStatus(client),
+        approvedAt: client.verificationStatus.identity.verifiedAt,
+        completionPercentage: checklist.completionPercentage,
+        documents: checklist.items.map((item) => {
+          const rejected = item.documents.find(
+            (document) => document.status === "rejected"
+          );
+          return {
+            type: item.type,
+            label: item.label,
+            required: item.required,
+            status: item.status,
+            rejectionReason: rejected?.rejectionReason,
+            reuploadRequested: Boolean(rejected?.reuploadRequestedAt),
+          };
+        }),
       },
       timestamp: new Date().toISOString(),
     });
@@ -468,8 +450,12 @@ router.post(
   validate(
     Joi.object({
       loanAmount: Joi.number().positive().max(10000000).required(),
+      product: Joi.string().min(2).max(100).default("Personal Loan"),
       loanPurpose: Joi.string().required().min(10).max(500),
       loanTerm: Joi.number().integer().min(6).max(60).required(), // months
+      repaymentFrequency: Joi.string()
+        .valid(...REPAYMENT_FREQUENCIES)
+        .optional(),
       collateral: Joi.object({
         type: Joi.string().required(),
         value: Joi.number().positive().required(),
@@ -486,11 +472,12 @@ router.post(
   ),
   async (req, res) => {
     try {
-      const { loanAmount, loanPurpose, loanTerm, collateral, guarantor } =
+      const { loanAmount, product, loanPurpose, loanTerm, collateral, guarantor } =
         req.body;
+      let { repaymentFrequency } = req.body;
 
       // Get client details
-      const client = await require("../models/Client").findById(
+      const client = await Client.findById(
         req.client.clientId
       );
 
@@ -506,7 +493,7 @@ router.post(
       }
 
       // Check KYC status
-      if (client.kycStatus !== "approved") {
+      if (clientVerificationService.getKycStatus(client) !== "approved") {
         return res.status(400).json({
           success: false,
           error: {
@@ -535,18 +522,99 @@ router.post(
         });
       }
 
-      // Calculate interest rate based on loan amount and client profile
-      let interestRate = 12.5; // Base rate
-      if (loanAmount > 5000000) interestRate = 14.0; // Higher rate for large loans
-      if (client.monthlyIncome > 100000) interestRate -= 1.0; // Discount for high income
+      // Check the application against the product offered in the client's region
+      const region = client.region
+        ? await require("../models/Region").findById(client.region)
+        : null;
+      const productTerms = await loanProductService.getApplicationTerms(
+        product,
+        client.region
+      );
+
+      if (!productTerms) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "PRODUCT_NOT_FOUND",
+            message: `${product} is not an available loan product`,
+            timestamp: new Date().toISOString(),
+          },
+        });
+      }
+
+      repaymentFrequency =
+        repaymentFrequency || loanProductService.getDefaultFrequency(productTerms);
+
+      const productErrors = loanProductService.validateApplication(productTerms, {
+        loanAmount,
+        loanTerm,
+        repaymentFrequency,
+        guarantorCount: guarantor ? 1 : 0,
+      });
+
+      if (productErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "PRODUCT_RULE_VIOLATION",
+            message: productErrors[0].message,
+            details: productErrors,
+            timestamp: new Date().toISOString(),
+          },
+        });
+      }
+
+      // Price the loan from the product's rate bands and the client's income
+      const interestRate = loanProductService.quoteRate(
+        productTerms,
+        {
+          loanAmount,
+          monthlyIncome: affordabilityService.getMonthlyIncome(client),
+        },
+        region
+      );
+      const interestMethod = productTerms.interest.method;
+
+      // Check the installments, including other loans, against income
+      const affordability = await affordabilityService.assess({
+        client,
+        loanAmount,
+        loanTerm,
+        interestRate,
+        interestMethod,
+        repaymentFrequency,
+        product,
+        productTerms,
+        region,
+      });
+
+      if (!affordability.isAffordable) {
+        return res.status(422).json({
+          success: false,
+          error: {
+            code: "LOAN_NOT_AFFORDABLE",
+            message: `This loan would take ${affordability.debtToIncome}% of your monthly income. The maximum is ${affordability.maxDebtToIncome}%`,
+            timestamp: new Date().toISOString(),
+          },
+          data: {
+            affordability,
+            suggestion: affordability.suggestion,
+          },
+        });
+      }
 
       // Create loan application
       const loan = new require("../models/Loan")({
         clientUserId: client._id,
+        product,
+        loanProduct: productTerms.productId,
         loanAmount,
         loanPurpose,
         loanTerm,
         interestRate,
+        interestMethod,
+        repaymentFrequency,
+        fees: loanProductService.calculateFees(productTerms, loanAmount).fees,
         collateral,
         guarantor,
         loanStatus: "Pending",
@@ -568,9 +636,12 @@ router.post(
             interestRate: loan.interestRate,
             loanStatus: loan.loanStatus,
             applicationDate: loan.applicationDate,
-            estimatedMonthlyPayment:
-              (loanAmount * (interestRate / 100 / 12)) /
-              (1 - Math.pow(1 + interestRate / 100 / 12, -loanTerm)),
+            interestMethod: loan.interestMethod,
+            repaymentFrequency: loan.repaymentFrequency,
+            // Per repayment period; kept under this name for older app versions
+            estimatedMonthlyPayment: loan.monthlyInstallment,
+            installmentAmount: loan.monthlyInstallment,
+            installmentCount: getInstallmentCount(loanTerm, loan.repaymentFrequency),
           },
           nextStep: "wait_for_review",
         },
@@ -614,7 +685,9 @@ router.get("/loans", authenticateClient, async (req, res) => {
       loans.map(async (loan) => {
         const loanObj = loan.toObject();
 
-        if (loan.loanStatus === "approved") {
+        loanObj.installmentAmount = loan.monthlyInstallment;
+
+        if (["Approved", "Active"].includes(loan.loanStatus)) {
           // Get payment history
           const payments = await require("../models/Payment")
             .find({
@@ -624,8 +697,8 @@ router.get("/loans", authenticateClient, async (req, res) => {
             .limit(5);
 
           loanObj.recentPayments = payments;
-          loanObj.nextPaymentDue = loan.nextPaymentDate;
-          loanObj.remainingBalance = loan.remainingBalance;
+          loanObj.nextPaymentDue = loan.calculatedFields?.nextPaymentDate;
+          loanObj.remainingBalance = loan.calculatedFields?.remainingBalance;
         }
 
         return loanObj;
@@ -696,25 +769,31 @@ router.get(
 
       let loanDetails = loan.toObject();
 
-      if (loan.loanStatus === "approved") {
-        // Get payment schedule and history
-        const [payments, paymentSchedule] = await Promise.all([
-          require("../models/Payment")
-            .find({ loanId: loan._id })
-            .sort({ paymentDate: -1 }),
-          // Generate payment schedule (simplified)
-          Array.from({ length: loan.loanTerm }, (_, i) => ({
-            installmentNumber: i + 1,
-            dueDate: new Date(
-              loan.approvedDate.getTime() + (i + 1) * 30 * 24 * 60 * 60 * 1000
-            ),
-            amount: loan.monthlyPayment,
-            status: i < payments.length ? "paid" : "pending",
-          })),
-        ]);
-
-        loanDetails.payments = payments;
-        loanDetails.paymentSchedule = paymentSchedule;
+      // Get payment history and the persisted schedule shared with staff
+      const [payments, schedule] = await Promise.all([
+        require("../models/Payment")
+          .find({ loanId: loan._id })
+          .sort({ paymentDate: -1 }),
+        scheduleService.getCurrentSchedule(loan._id),
+      ]);
+
+      loanDetails.payments = payments;
+
+      if (schedule) {
+        loanDetails.paymentSchedule = scheduleService.formatSchedule(schedule);
+      } else {
+        // Not active yet: show the projected plan from the loan's terms
+        loanDetails.paymentSchedule = {
+          projected: true,
+          repaymentFrequency: loan.repaymentFrequency,
+          installments: generateSchedule({
+            principal: loan.loanAmount,
+            annualRate: loan.interestRate,
+            termMonths: loan.loanTerm,
+            method: loan.interestMethod,
+            frequency: loan.repaymentFrequency,
+          }),
+        };
       }
 
       res.status(200).json({
@@ -737,6 +816,118 @@ router.get(
   }
 );
 
+/**
+ * Get Loan Repayment Schedule
+ * GET /api/mobile/loans/:id/schedule
+ */
+router.get(
+  "/loans/:id/schedule",
+  authenticateClient,
+  validate(
+    Joi.object({
+      id: Joi.string().hex().length(24).required(),
+    }),
+    "params"
+  ),
+  async (req, res) => {
+    try {
+      const loan = await require("../models/Loan").findOne({
+        _id: req.params.id,
+        clientUserId: req.client.clientId,
+      });
+
+      if (!loan) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: "LOAN_NOT_FOUND",
+            message: "Loan not found",
+            timestamp: new Date().toISOString(),
+          },
+        });
+      }
+
+      const schedule = await scheduleService.getCurrentSchedule(loan._id);
+
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: "SCHEDULE_NOT_FOUND",
+            message: "Repayment schedule is available once the loan is active",
+            timestamp: new Date().toISOString(),
+          },
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "Repayment schedule retrieved successfully",
+        data: { schedule: scheduleService.formatSchedule(schedule) },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Get loan schedule error:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "SERVER_ERROR",
+          message: "Internal server error while fetching repayment schedule",
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+  }
+);
+
+/**
+ * Download a Statement of Account
+ * GET /api/mobile/loans/:id/statement?from=2026-01-01&to=2026-06-30
+ */
+router.get(
+  "/loans/:id/statement",
+  authenticateClient,
+  validate(
+    Joi.object({
+      id: Joi.string().hex().length(24).required(),
+    }),
+    "params"
+  ),
+  validate(loanSchemas.getLoanStatement.query, "query"),
+  async (req, res) => {
+    try {
+      const loan = await require("../models/Loan").findOne({
+        _id: req.params.id,
+        clientUserId: req.client.clientId,
+      });
+
+      if (!loan) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: "LOAN_NOT_FOUND",
+            message: "Loan not found",
+            timestamp: new Date().toISOString(),
+          },
+        });
+      }
+
+      const { buffer, filename } = await paymentDocumentService.getStatement(
+        loan,
+        { from: req.query.from, to: req.query.to }
+      );
+
+      res.set({
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `attachment; filename="${filename}"`,
+      });
+      res.send(buffer);
+    } catch (error) {
+      sendError(res, error, "Internal server error while generating statement");
+    }
+  }
+);
+
 // ==================== PAYMENT MANAGEMENT ====================
 
 /**
@@ -775,7 +966,7 @@ router.post(
       const loan = await require("../models/Loan").findOne({
         _id: loanId,
         clientUserId: req.client.clientId,
-        loanStatus: "approved",
+        loanStatus: "Active",
       });
 
       if (!loan) {
@@ -783,14 +974,15 @@ router.post(
           success: false,
           error: {
             code: "LOAN_NOT_FOUND",
-            message: "Approved loan not found",
+            message: "Active loan not found",
             timestamp: new Date().toISOString(),
           },
         });
       }
 
       // Create payment record
-      const payment = new require("../models/Payment")({
+      const Payment = require("../models/Payment");
+      const payment = new Payment({
         loanId: loan._id,
         clientId: req.client.clientId,
         paymentAmount,
@@ -835,6 +1027,28 @@ router.post(
   }
 );
 
+/**
+ * Start an online or mobile payment for an installment
+ * POST /api/mobile/payments/intents
+ */
+router.post(
+  "/payments/intents",
+  authenticateClient,
+  validate(paymentSchemas.createIntent.body, "body"),
+  paymentGatewayController.createIntent
+);
+
+/**
+ * Get the status of a payment intent
+ * GET /api/mobile/payments/intents/:intentId
+ */
+router.get(
+  "/payments/intents/:intentId",
+  authenticateClient,
+  validate(paymentSchemas.intentParams.params, "params"),
+  paymentGatewayController.getIntent
+);
+
 /**
  * Get Payment History
  * GET /api/mobile/payments
@@ -883,6 +1097,32 @@ router.get("/payments", authenticateClient, async (req, res) => {
   }
 });
 
+/**
+ * Download the Receipt of a Verified Payment
+ * GET /api/mobile/payments/:paymentId/receipt
+ */
+router.get(
+  "/payments/:paymentId/receipt",
+  authenticateClient,
+  validate(paymentSchemas.receiptParams.params, "params"),
+  async (req, res) => {
+    try {
+      const { buffer, filename } = await paymentDocumentService.getReceipt(
+        req.params.paymentId,
+        { clientId: req.client.clientId }
+      );
+
+      res.set({
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `attachment; filename="${filename}"`,
+      });
+      res.send(buffer);
+    } catch (error) {
+      sendError(res, error, "Internal server error while generating receipt");
+    }
+  }
+);
+
 // ==================== NOTIFICATIONS ====================
 
 /**
@@ -893,7 +1133,11 @@ router.get("/notifications", authenticateClient, async (req, res) => {
   try {
     const { page = 1, limit = 20, unreadOnly = false } = req.query;
 
-    let query = { clientId: req.client.clientId };
+    // Notifications waiting for their first delivery are not shown yet
+    let query = {
+      clientId: req.client.clientId,
+      $or: [{ isScheduled: { $ne: true } }, { retryCount: { $gt: 0 } }],
+    };
     if (unreadOnly === "true") query.isRead = false;
 
     const notifications = await require("../models/Notification")
@@ -904,7 +1148,7 @@ router.get("/notifications", authenticateClient, async (req, res) => {
 
     const total = await require("../models/Notification").countDocuments(query);
     const unreadCount = await require("../models/Notification").countDocuments({
-      clientId: req.client.clientId,
+      ...query,
       isRead: false,
     });
 
@@ -987,10 +1231,10 @@ router.put("/notifications/:id/read", authenticateClient, async (req, res) => {
  */
 router.get("/profile", authenticateClient, async (req, res) => {
   try {
-    const client = await require("../models/Client")
-      .findById(req.client.clientId)
-      .populate("assignedReviewer", "name email phone")
-      .select("-passwordHash");
+    const client = await Client.findById(req.client.clientId).populate(
+      "assignedReviewer",
+      "name email phone"
+    );
 
     if (!client) {
       return res.status(404).json({
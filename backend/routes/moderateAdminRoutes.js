@@ -3,6 +3,7 @@
 const express = require("express");
 const router = express.Router();
 const moderateAdminController = require("../controllers/moderateAdminController");
+const loanProductController = require("../controllers/loanProductController");
 const {
   authenticate,
   authorizeRoles,
@@ -11,6 +12,7 @@ const {
 const { PERMISSIONS } = require("../utils/permissions");
 const {
   validate,
+  loanSchemas,
   staffSchemas,
   regionalAdminSchemas,
   schemas,
@@ -964,6 +966,69 @@ router.get(
   }
 );
 
+// Loan Product Catalogue Routes
+
+/**
+ * Get all loan products, including withdrawn ones when requested
+ * GET /api/moderate-admin/loan-products
+ */
+router.get(
+  "/loan-products",
+  requirePermissions(PERMISSIONS.MANAGE_LOAN_PRODUCTS),
+  validate(
+    Joi.object({
+      includeInactive: Joi.boolean().default(false),
+    }),
+    "query"
+  ),
+  loanProductController.listProducts
+);
+
+/**
+ * Create loan product
+ * POST /api/moderate-admin/loan-products
+ */
+router.post(
+  "/loan-products",
+  requirePermissions(PERMISSIONS.MANAGE_LOAN_PRODUCTS),
+  validate(loanSchemas.createLoanProduct.body),
+  loanProductController.createProduct
+);
+
+/**
+ * Get loan product by code
+ * GET /api/moderate-admin/loan-products/:code
+ */
+router.get(
+  "/loan-products/:code",
+  requirePermissions(PERMISSIONS.MANAGE_LOAN_PRODUCTS),
+  validate(loanSchemas.updateLoanProduct.params, "params"),
+  loanProductController.getProduct
+);
+
+/**
+ * Update loan product and its region overrides
+ * PUT /api/moderate-admin/loan-products/:code
+ */
+router.put(
+  "/loan-products/:code",
+  requirePermissions(PERMISSIONS.MANAGE_LOAN_PRODUCTS),
+  validate(loanSchemas.updateLoanProduct.params, "params"),
+  validate(loanSchemas.updateLoanProduct.body),
+  loanProductController.updateProduct
+);
+
+/**
+ * Withdraw loan product from new applications
+ * DELETE /api/moderate-admin/loan-products/:code
+ */
+router.delete(
+  "/loan-products/:code",
+  requirePermissions(PERMISSIONS.MANAGE_LOAN_PRODUCTS),
+  validate(loanSchemas.updateLoanProduct.params, "params"),
+  loanProductController.deactivateProduct
+);
+
 /**
  * Get all staff with management information
  * GET /api/moderate-admin/staff
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const paymentGatewayController = require('../controllers/paymentGatewayController');
+const { authenticateClient } = require('../middlewares/authMiddleware');
+const { isSimulatorEnabled } = require('../services/gateways');
+const { validate, paymentSchemas } = require('../validation');
+
+/**
+ * Provider webhook. Not authenticated with a token: the request is trusted
+ * only when its HMAC signature verifies against the raw body.
+ * POST /api/payments/webhooks/:provider
+ */
+router.post('/webhooks/:provider',
+  validate(paymentSchemas.webhookParams.params, 'params'),
+  paymentGatewayController.handleWebhook
+);
+
+if (isSimulatorEnabled()) {
+  /**
+   * Complete a simulator checkout as paid or declined
+   * POST /api/payments/simulator/intents/:intentId/complete
+   */
+  router.post('/simulator/intents/:intentId/complete',
+    authenticateClient,
+    validate(paymentSchemas.intentParams.params, 'params'),
+    validate(paymentSchemas.completeSimulatorIntent.body),
+    paymentGatewayController.completeSimulatorIntent
+  );
+}
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const reconciliationController = require('../controllers/reconciliationController');
+const { authenticate, requirePermissions } = require('../middlewares/authMiddleware');
+const { PERMISSIONS } = require('../utils/permissions');
+const { validate, reconciliationSchemas } = require('../validation');
+const { ValidationError } = require('../utils/customErrors');
+
+// Statements are parsed in memory and not kept as files
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|txt|sta|mt940|940)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new ValidationError('Statement must be a CSV or MT940 file', 'statement', file.originalname));
+    }
+  }
+});
+
+// All routes require authentication and reconciliation rights
+router.use(authenticate);
+router.use(requirePermissions(PERMISSIONS.RECONCILE_PAYMENTS));
+
+/**
+ * Import a bank statement
+ * POST /api/reconciliation/statements
+ */
+router.post('/statements',
+  upload.single('statement'),
+  validate(reconciliationSchemas.importStatement.body),
+  reconciliationController.importStatement
+);
+
+/**
+ * List imported statements
+ * GET /api/reconciliation/statements
+ */
+router.get('/statements',
+  validate(reconciliationSchemas.listStatements.query, 'query'),
+  reconciliationController.listStatements
+);
+
+/**
+ * Statement credits in suspense (or with proposed matches)
+ * GET /api/reconciliation/suspense
+ */
+router.get('/suspense',
+  validate(reconciliationSchemas.getSuspense.query, 'query'),
+  reconciliationController.getSuspense
+);
+
+/**
+ * Get a statement with its lines
+ * GET /api/reconciliation/statements/:statementId
+ */
+router.get('/statements/:statementId',
+  validate(reconciliationSchemas.statementParams.params, 'params'),
+  reconciliationController.getStatement
+);
+
+/**
+ * Match a statement line to a payment or set it aside
+ * PUT /api/reconciliation/statements/:statementId/lines/:lineId
+ */
+router.put('/statements/:statementId/lines/:lineId',
+  validate(reconciliationSchemas.resolveLine.params, 'params'),
+  validate(reconciliationSchemas.resolveLine.body),
+  reconciliationController.resolveLine
+);
+
+module.exports = router;
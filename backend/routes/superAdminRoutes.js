@@ -7,6 +7,37 @@ const express = require('express');
 const router = express.Router();
 const { authenticate, authorizeRoles, requirePermissions } = require('../middlewares/authMiddleware');
 const { PERMISSIONS } = require('../utils/permissions');
+const { AppError } = require('../utils/customErrors');
+const { validate, systemSchemas } = require('../validation');
+
+/**
+ * Send a scorecard error response
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the scoring service
+ * @param {string} message - Message for unexpected errors
+ */
+const sendScorecardError = (res, error, message) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: {
+        code: error.errorCode,
+        message: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  console.error('Scorecard error:', error);
+  res.status(500).json({
+    success: false,
+    error: {
+      code: 'SERVER_ERROR',
+      message,
+      timestamp: new Date().toISOString()
+    }
+  });
+};
 
 // All routes require authentication and super admin privileges
 router.use(authenticate);
@@ -328,6 +359,323 @@ router.get('/statistics',
   }
 );
 
+/**
+ * Late Penalty Accrual Dry Run
+ * POST /api/super-admin/penalty-accrual/dry-run
+ * Reports the penalties the daily accrual job would charge without saving anything
+ */
+router.post('/penalty-accrual/dry-run',
+  requirePermissions(PERMISSIONS.SYSTEM_CONFIGURATION),
+  async (req, res) => {
+    try {
+      const { asOf, regionId } = req.body || {};
+      const asOfDate = asOf ? new Date(asOf) : new Date();
+
+      if (isNaN(asOfDate.getTime()) || (regionId && !require('mongoose').Types.ObjectId.isValid(regionId))) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'asOf must be a valid date and regionId a valid region ID',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const penaltyAccrualService = require('../services/penaltyAccrualService');
+      const summary = await penaltyAccrualService.runAccrual({
+        asOf: asOfDate,
+        regionId,
+        dryRun: true
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Penalty accrual dry run completed successfully',
+        data: {
+          summary,
+          job: penaltyAccrualService.getStatus()
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Penalty accrual dry run error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'SERVER_ERROR',
+          message: 'Internal server error during penalty accrual dry run',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+);
+
+/**
+ * Two-Factor Policy
+ * GET /api/super-admin/two-factor-policy
+ */
+router.get('/two-factor-policy',
+  requirePermissions(PERMISSIONS.SYSTEM_CONFIGURATION),
+  async (req, res) => {
+    try {
+      const twoFactorService = require('../services/twoFactorService');
+      const requiredRoles = await twoFactorService.getRequiredRoles();
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor policy retrieved successfully',
+        data: { requiredRoles },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Two-factor policy error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'SERVER_ERROR',
+          message: 'Internal server error while fetching two-factor policy',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+);
+
+/**
+ * Update Two-Factor Policy
+ * PUT /api/super-admin/two-factor-policy
+ * Staff in the listed roles must enrol in 2FA at their next login
+ */
+router.put('/two-factor-policy',
+  requirePermissions(PERMISSIONS.SYSTEM_CONFIGURATION),
+  async (req, res) => {
+    try {
+      const { requiredRoles } = req.body || {};
+
+      if (!Array.isArray(requiredRoles)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'requiredRoles must be an array of staff roles',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const twoFactorService = require('../services/twoFactorService');
+      const policy = await twoFactorService.updateRequiredRoles(requiredRoles, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor policy updated successfully',
+        data: {
+          requiredRoles: policy.twoFactorRequiredRoles,
+          updatedAt: policy.updatedAt
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: {
+            code: error.errorCode,
+            message: error.message,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      console.error('Two-factor policy update error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'SERVER_ERROR',
+          message: 'Internal server error while updating two-factor policy',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+);
+
+/**
+ * Reset Staff Two-Factor Authentication
+ * POST /api/super-admin/staff/:staffId/two-factor/reset
+ * For staff who lost their authenticator device; revokes all their sessions
+ */
+router.post('/staff/:staffId/two-factor/reset',
+  requirePermissions(PERMISSIONS.MANAGE_STAFF),
+  async (req, res) => {
+    try {
+      const { staffId } = req.params;
+
+      if (!require('mongoose').Types.ObjectId.isValid(staffId)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid staff ID',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const twoFactorService = require('../services/twoFactorService');
+      const staff = await twoFactorService.reset(staffId, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication reset successfully',
+        data: {
+          staffId: staff._id,
+          email: staff.email,
+          role: staff.role
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: {
+            code: error.errorCode,
+            message: error.message,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      console.error('Two-factor reset error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'SERVER_ERROR',
+          message: 'Internal server error while resetting two-factor authentication',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+);
+
+/**
+ * List Credit Scorecards
+ * GET /api/super-admin/scorecards
+ */
+router.get('/scorecards',
+  requirePermissions(PERMISSIONS.SYSTEM_CONFIGURATION),
+  async (req, res) => {
+    try {
+      const creditScoringService = require('../services/creditScoringService');
+      const scorecards = await creditScoringService.listScorecards();
+
+      res.status(200).json({
+        success: true,
+        message: 'Scorecards retrieved successfully',
+        data: { scorecards },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Scorecard list error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'SERVER_ERROR',
+          message: 'Internal server error while fetching scorecards',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+);
+
+/**
+ * Create Draft Scorecard
+ * POST /api/super-admin/scorecards
+ * Fields left out are copied from the active scorecard
+ */
+router.post('/scorecards',
+  requirePermissions(PERMISSIONS.SYSTEM_CONFIGURATION),
+  validate(systemSchemas.scorecard.body),
+  async (req, res) => {
+    try {
+      const creditScoringService = require('../services/creditScoringService');
+      const scorecard = await creditScoringService.createDraft(req.body, req.user.userId);
+
+      res.status(201).json({
+        success: true,
+        message: `Scorecard version ${scorecard.version} created as draft`,
+        data: { scorecard },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      sendScorecardError(res, error, 'Internal server error while creating scorecard');
+    }
+  }
+);
+
+/**
+ * Update Draft Scorecard
+ * PUT /api/super-admin/scorecards/:version
+ */
+router.put('/scorecards/:version',
+  requirePermissions(PERMISSIONS.SYSTEM_CONFIGURATION),
+  validate(systemSchemas.scorecard.params, 'params'),
+  validate(systemSchemas.scorecard.body),
+  async (req, res) => {
+    try {
+      const creditScoringService = require('../services/creditScoringService');
+      const scorecard = await creditScoringService.updateDraft(Number(req.params.version), req.body);
+
+      res.status(200).json({
+        success: true,
+        message: 'Scorecard updated successfully',
+        data: { scorecard },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      sendScorecardError(res, error, 'Internal server error while updating scorecard');
+    }
+  }
+);
+
+/**
+ * Activate Scorecard
+ * POST /api/super-admin/scorecards/:version/activate
+ * The previously active version is retired; new assessments use this one
+ */
+router.post('/scorecards/:version/activate',
+  requirePermissions(PERMISSIONS.SYSTEM_CONFIGURATION),
+  validate(systemSchemas.scorecard.params, 'params'),
+  async (req, res) => {
+    try {
+      const creditScoringService = require('../services/creditScoringService');
+      const scorecard = await creditScoringService.activate(Number(req.params.version), req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: `Scorecard version ${scorecard.version} is now active`,
+        data: { scorecard },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      sendScorecardError(res, error, 'Internal server error while activating scorecard');
+    }
+  }
+);
+
 /**
  * Database Management
  * POST /api/super-admin/database/backup
@@ -0,0 +1,143 @@
+/**
+ * Move clients who registered through the old mobile login onto ClientUsers.
+ *
+ * The old mobile routes stored a password hash and KYC fields directly on the
+ * Client document. For each such client this creates a ClientUsers login with
+ * the same password hash (so the client's password keeps working), moves the
+ * KYC uploads onto the verification checklist and removes the old fields.
+ *
+ * Usage: node scripts/migrateMobileClients.js [--dry-run]
+ */
+const mongoose = require('mongoose');
+const Client = require('../models/Client');
+const ClientUsers = require('../models/clientUsers');
+const clientVerificationService = require('../services/clientVerificationService');
+require('dotenv').config();
+
+const LEGACY_FIELDS = [
+  'passwordHash', 'kycStatus', 'kycDocuments', 'kycSubmittedAt',
+  'kycApprovedAt', 'kycRejectedAt', 'kycRejectionReason'
+];
+
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Checklist documents for the old KYC uploads, grouped by category
+ * @param {Object} legacy - Raw client document
+ * @returns {Object} Documents to push per category
+ */
+const toChecklistDocuments = (legacy) => {
+  const pushes = {};
+  const status = legacy.kycStatus === 'approved' ? 'approved' : 'pending';
+
+  Object.entries(legacy.kycDocuments || {}).forEach(([field, url]) => {
+    const type = clientVerificationService.normalizeType(field);
+    const category = clientVerificationService.getCategory(type);
+    if (!url || !category) return;
+
+    const key = `verificationStatus.${category}.documents`;
+    pushes[key] = pushes[key] || { $each: [] };
+    pushes[key].$each.push({
+      _id: new mongoose.Types.ObjectId(),
+      type,
+      name: field,
+      url,
+      uploadedAt: legacy.kycSubmittedAt || new Date(),
+      uploadedBy: legacy._id,
+      source: 'client',
+      status
+    });
+  });
+
+  return pushes;
+};
+
+const migrateMobileClients = async () => {
+  try {
+    console.log('🔄 Connecting to database...');
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log(`✅ Connected successfully${dryRun ? ' (dry run)' : ''}`);
+
+    const legacyClients = await Client.collection
+      .find({ passwordHash: { $exists: true } })
+      .toArray();
+    console.log(`\n📊 Clients with a mobile password on the Client record: ${legacyClients.length}`);
+
+    const summary = { created: 0, existing: 0, conflicts: 0 };
+
+    for (const legacy of legacyClients) {
+      const email = String(legacy.personalInfo?.email || legacy.email || '').trim().toLowerCase();
+      const label = legacy.registrationId || legacy._id.toString();
+
+      if (!email) {
+        console.log(`⚠️  ${label}: no email address, skipped`);
+        summary.conflicts += 1;
+        continue;
+      }
+
+      const existing = await ClientUsers.findOne({ $or: [{ clientId: legacy._id }, { email }] });
+      if (existing && !existing.clientId.equals(legacy._id)) {
+        console.log(`⚠️  ${label}: ${email} already belongs to another client login, skipped`);
+        summary.conflicts += 1;
+        continue;
+      }
+
+      const update = {
+        $unset: Object.fromEntries(LEGACY_FIELDS.map(field => [field, ''])),
+        $set: {
+          ...(!legacy.personalInfo?.email && { 'personalInfo.email': email }),
+          ...(!legacy.personalInfo?.fullName && legacy.firstName && {
+            'personalInfo.fullName': [legacy.firstName, legacy.lastName].filter(Boolean).join(' ')
+          }),
+          ...(!legacy.personalInfo?.contactNumber && legacy.phone && { 'personalInfo.contactNumber': legacy.phone }),
+          ...(!legacy.identityVerification?.idNumber && legacy.nic && { 'identityVerification.idNumber': legacy.nic })
+        }
+      };
+      const pushes = toChecklistDocuments(legacy);
+      if (Object.keys(pushes).length > 0) {
+        update.$push = pushes;
+      }
+      if (Object.keys(update.$set).length === 0) {
+        delete update.$set;
+      }
+
+      if (existing) {
+        console.log(`↪️  ${label}: already has a login, clearing old fields`);
+        summary.existing += 1;
+      } else {
+        console.log(`➕ ${label}: creating login for ${email}`);
+        summary.created += 1;
+      }
+
+      if (dryRun) continue;
+
+      if (!existing) {
+        // Inserted directly so the existing hash is not hashed again
+        const now = new Date();
+        await ClientUsers.collection.insertOne({
+          clientId: legacy._id,
+          username: email,
+          email,
+          password: legacy.passwordHash,
+          role: 'client',
+          status: 'Active',
+          loginAttempts: 0,
+          lastLogin: legacy.lastLogin,
+          createdAt: now,
+          updatedAt: now
+        });
+      }
+      await Client.collection.updateOne({ _id: legacy._id }, update);
+    }
+
+    console.log(`\n✅ Logins created: ${summary.created}, already migrated: ${summary.existing}, skipped: ${summary.conflicts}`);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('\n🔌 Connection closed');
+  }
+};
+
+migrateMobileClients();
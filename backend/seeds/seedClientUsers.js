@@ -44,7 +44,8 @@ const seedClientUsers = async () => {
       clientUsersData.push(clientUser);
     }
 
-    await ClientUsers.insertMany(clientUsersData);
+    // create() runs the pre-save hook that hashes the passwords
+    await ClientUsers.create(clientUsersData);
     console.log(`Seeded ${clientUsersData.length} ClientUsers`);
   } catch (error) {
     console.error("Error seeding ClientUsers:", error);
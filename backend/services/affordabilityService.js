@@ -0,0 +1,272 @@
+const Loan = require('../models/Loan');
+const Region = require('../models/Region');
+const {
+  calculateInstallment,
+  roundCurrency,
+  resolveFrequency,
+  termFitsFrequency,
+  FREQUENCY_PERIODS,
+  DEFAULT_INTEREST_METHOD,
+  DEFAULT_REPAYMENT_FREQUENCY
+} = require('../utils/interestCalculator');
+
+/**
+ * Affordability rule used when a client's region has none configured
+ */
+const DEFAULT_AFFORDABILITY_RULE = {
+  maxDebtToIncome: 40 // percent of monthly income going to installments
+};
+
+// Loans whose installments the client is already committed to
+const COMMITTED_LOAN_STATUSES = ['Approved', 'Active'];
+
+// Suggested amounts are rounded down to this step
+const AMOUNT_STEP = 1000;
+
+const DEFAULT_MAX_LOAN_TERM = 60;
+const DEFAULT_MAX_LOAN_AMOUNT = 10000000;
+
+/**
+ * Monthly equivalent of an installment paid at the given frequency
+ * @param {number} installment - Installment per repayment period
+ * @param {string} [frequency='Monthly'] - Repayment frequency
+ * @returns {number} Amount per month
+ */
+const toMonthlyAmount = (installment, frequency = DEFAULT_REPAYMENT_FREQUENCY) => {
+  const { periodsPerYear } = FREQUENCY_PERIODS[resolveFrequency(frequency)];
+  return roundCurrency((installment || 0) * periodsPerYear / 12);
+};
+
+/**
+ * Affordability Service
+ * Debt-to-income checks for new loan applications, including the client's
+ * other loans, with the largest amount or shortest term the client can afford
+ */
+class AffordabilityService {
+  /**
+   * Resolve the affordability rule for a product. A product rule of the
+   * region wins over the product's own limit, then the region rule, then the
+   * default rule.
+   * @param {string} product - Loan product
+   * @param {Object} [region] - Region document
+   * @param {Object} [productTerms] - Product terms from the catalogue
+   * @returns {Object} Rule with maxDebtToIncome and source
+   */
+  resolveAffordabilityRule(product, region, productTerms = null) {
+    const regionRule = region?.configuration?.affordability;
+    const productRule = regionRule?.productRules?.find(rule => rule.product === product);
+
+    const catalogueRule = productTerms?.maxDebtToIncome != null ? productTerms : null;
+
+    const pick = (field) => {
+      if (productRule && productRule[field] != null) return productRule[field];
+      if (catalogueRule) return catalogueRule[field];
+      if (regionRule && regionRule[field] != null) return regionRule[field];
+      return DEFAULT_AFFORDABILITY_RULE[field];
+    };
+
+    return {
+      maxDebtToIncome: pick('maxDebtToIncome'),
+      source: productRule ? 'product' : catalogueRule ? 'catalogue' : regionRule ? 'region' : 'default'
+    };
+  }
+
+  /**
+   * Monthly income used for affordability, preferring the verified income
+   * @param {Object} client - Client document
+   * @returns {number|null} Monthly income
+   */
+  getMonthlyIncome(client) {
+    return client.verificationStatus?.income?.monthlyIncomeVerified
+      || client.employmentDetails?.monthlyIncome
+      || null;
+  }
+
+  /**
+   * Sum the installments of the client's approved and active loans, as
+   * monthly amounts whatever their repayment frequency
+   * @param {string} clientId - Client ID
+   * @param {string} [excludeLoanId] - Loan being assessed
+   * @returns {Promise<Object>} Total monthly installment and the loans counted
+   */
+  async getExistingCommitments(clientId, excludeLoanId = null) {
+    const query = {
+      clientUserId: clientId,
+      loanStatus: { $in: COMMITTED_LOAN_STATUSES }
+    };
+    if (excludeLoanId) {
+      query._id = { $ne: excludeLoanId };
+    }
+
+    const loans = await Loan.find(query)
+      .select('loanApplicationId product loanStatus monthlyInstallment repaymentFrequency')
+      .lean();
+
+    const committed = loans.map(loan => ({
+      loanId: loan._id,
+      loanApplicationId: loan.loanApplicationId,
+      product: loan.product,
+      loanStatus: loan.loanStatus,
+      repaymentFrequency: resolveFrequency(loan.repaymentFrequency),
+      installmentAmount: loan.monthlyInstallment || 0,
+      monthlyInstallment: toMonthlyAmount(loan.monthlyInstallment, loan.repaymentFrequency)
+    }));
+
+    return {
+      monthlyInstallment: roundCurrency(committed.reduce((sum, loan) => sum + loan.monthlyInstallment, 0)),
+      loans: committed
+    };
+  }
+
+  /**
+   * Monthly equivalent of a loan's installment
+   * @param {number} principal - Loan amount
+   * @param {number} annualRate - Annual interest rate (percentage)
+   * @param {number} termMonths - Loan term in months
+   * @param {string} [interestMethod] - Interest calculation method
+   * @param {string} [frequency='Monthly'] - Repayment frequency
+   * @returns {number} Amount per month
+   */
+  monthlyInstallmentFor(principal, annualRate, termMonths, interestMethod = DEFAULT_INTEREST_METHOD, frequency = DEFAULT_REPAYMENT_FREQUENCY) {
+    return toMonthlyAmount(calculateInstallment(principal, annualRate, termMonths, interestMethod, frequency), frequency);
+  }
+
+  /**
+   * Largest principal whose monthly installment fits in the given amount.
+   * Every interest method gives an installment proportional to the principal.
+   * @param {number} installment - Affordable monthly installment
+   * @param {number} annualRate - Annual interest rate (percentage)
+   * @param {number} termMonths - Loan term in months
+   * @param {string} [interestMethod] - Interest calculation method
+   * @param {string} [frequency='Monthly'] - Repayment frequency
+   * @returns {number} Principal, rounded down to AMOUNT_STEP
+   */
+  maxPrincipalFor(installment, annualRate, termMonths, interestMethod = DEFAULT_INTEREST_METHOD, frequency = DEFAULT_REPAYMENT_FREQUENCY) {
+    const unit = this.monthlyInstallmentFor(1000000, annualRate, termMonths, interestMethod, frequency) / 1000000;
+    if (!unit || installment <= 0) {
+      return 0;
+    }
+
+    return Math.floor(installment / unit / AMOUNT_STEP) * AMOUNT_STEP;
+  }
+
+  /**
+   * Check whether a client can afford a loan and suggest what they can afford
+   * @param {Object} params - Assessment parameters
+   * @param {Object} params.client - Client document
+   * @param {number} params.loanAmount - Requested amount
+   * @param {number} params.loanTerm - Requested term in months
+   * @param {number} params.interestRate - Annual interest rate (percentage)
+   * @param {string} [params.interestMethod] - Interest calculation method
+   * @param {string} [params.repaymentFrequency='Monthly'] - Repayment frequency; installments are compared to income as monthly amounts
+   * @param {string} [params.product] - Loan product
+   * @param {Object} [params.productTerms] - Product terms from the catalogue
+   * @param {Object} [params.region] - Region document (loaded from the client when omitted)
+   * @param {string} [params.excludeLoanId] - Loan being assessed, left out of the commitments
+   * @returns {Promise<Object>} Affordability with the debt-to-income figures and a suggestion
+   */
+  async assess({
+    client,
+    loanAmount,
+    loanTerm,
+    interestRate,
+    interestMethod = DEFAULT_INTEREST_METHOD,
+    repaymentFrequency = DEFAULT_REPAYMENT_FREQUENCY,
+    product,
+    productTerms,
+    region,
+    excludeLoanId
+  }) {
+    if (region === undefined && client.region) {
+      region = client.region.configuration ? client.region : await Region.findById(client.region);
+    }
+
+    const rule = this.resolveAffordabilityRule(product, region, productTerms);
+    const monthlyIncome = this.getMonthlyIncome(client);
+    const commitments = await this.getExistingCommitments(client._id, excludeLoanId);
+    const frequency = resolveFrequency(repaymentFrequency);
+    const installmentFor = (amount, term) => this.monthlyInstallmentFor(amount, interestRate, term, interestMethod, frequency);
+    const installmentAmount = calculateInstallment(loanAmount, interestRate, loanTerm, interestMethod, frequency);
+    const proposedInstallment = toMonthlyAmount(installmentAmount, frequency);
+
+    const result = {
+      assessed: Boolean(monthlyIncome),
+      isAffordable: true,
+      monthlyIncome,
+      existingInstallments: commitments.monthlyInstallment,
+      existingLoans: commitments.loans,
+      repaymentFrequency: frequency,
+      installmentAmount,
+      proposedInstallment,
+      debtToIncome: null,
+      maxDebtToIncome: rule.maxDebtToIncome,
+      ruleSource: rule.source,
+      suggestion: null
+    };
+
+    // Without an income there is nothing to measure the installments against
+    if (!monthlyIncome) {
+      return result;
+    }
+
+    const totalInstallments = commitments.monthlyInstallment + proposedInstallment;
+    const availableInstallment = roundCurrency(
+      Math.max(0, monthlyIncome * rule.maxDebtToIncome / 100 - commitments.monthlyInstallment)
+    );
+
+    result.debtToIncome = roundCurrency((totalInstallments / monthlyIncome) * 100);
+    result.availableInstallment = availableInstallment;
+    result.isAffordable = result.debtToIncome <= rule.maxDebtToIncome;
+
+    if (!result.isAffordable) {
+      // Suggested terms are whole numbers of repayment periods
+      const periodMonths = FREQUENCY_PERIODS[frequency].months || 1;
+      const maxLoanTerm = Math.floor(Math.min(
+        region?.configuration?.maxLoanTerm || DEFAULT_MAX_LOAN_TERM,
+        productTerms?.limits?.maxTerm || Infinity
+      ) / periodMonths) * periodMonths;
+      const maxLoanAmount = Math.min(
+        region?.configuration?.maxLoanAmount || DEFAULT_MAX_LOAN_AMOUNT,
+        productTerms?.limits?.maxAmount || Infinity
+      );
+
+      // Shortest longer term that brings the requested amount within the limit
+      let minTermForAmount = null;
+      for (let term = loanTerm + 1; term <= maxLoanTerm; term++) {
+        if (termFitsFrequency(term, frequency) && installmentFor(loanAmount, term) <= availableInstallment) {
+          minTermForAmount = term;
+          break;
+        }
+      }
+
+      const maxAmount = Math.min(
+        this.maxPrincipalFor(availableInstallment, interestRate, loanTerm, interestMethod, frequency),
+        maxLoanAmount
+      );
+      const maxAmountAtMaxTerm = Math.min(
+        this.maxPrincipalFor(availableInstallment, interestRate, maxLoanTerm, interestMethod, frequency),
+        maxLoanAmount
+      );
+
+      result.suggestion = {
+        maxInstallment: availableInstallment,
+        maxAmount,
+        loanTerm,
+        minTermForAmount,
+        minTermInstallment: minTermForAmount
+          ? installmentFor(loanAmount, minTermForAmount)
+          : null,
+        maxLoanTerm,
+        maxAmountAtMaxTerm
+      };
+    }
+
+    return result;
+  }
+}
+
+const affordabilityService = new AffordabilityService();
+affordabilityService.DEFAULT_AFFORDABILITY_RULE = DEFAULT_AFFORDABILITY_RULE;
+affordabilityService.toMonthlyAmount = toMonthlyAmount;
+
+module.exports = affordabilityService;
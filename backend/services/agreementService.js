@@ -4,6 +4,19 @@ const path = require('path');
 const fileService = require('./fileService');
 const { AppError } = require('../utils/customErrors');
 const logger = require('../utils/logger');
+const {
+  calculateInstallment,
+  calculateLoanSummary,
+  generateSchedule,
+  addPeriods
+} = require('../utils/interestCalculator');
+const {
+  resolveLanguage,
+  getClientLanguage,
+  translate,
+  forLanguage
+} = require('../utils/localization');
+const { registerFonts, writeText } = require('../utils/pdfFonts');
 
 /**
  * Agreement Generation Service
@@ -26,11 +39,16 @@ class AgreementService {
     try {
       const {
         template = 'standard',
-        language = 'en',
         includeTerms = true,
-        watermark = null
+        watermark = null,
+        schedule = null
       } = options;
 
+      // Use the client's preferred language unless one is requested
+      const language = options.language
+        ? resolveLanguage(options.language)
+        : getClientLanguage(clientData);
+
       // Create PDF document
       const doc = new PDFDocument({
         size: 'A4',
@@ -44,9 +62,10 @@ class AgreementService {
           ModDate: new Date()
         }
       });
+      registerFonts(doc);
 
       // Generate agreement content
-      await this.generateAgreementContent(doc, loanData, clientData, template, language);
+      await this.generateAgreementContent(doc, loanData, clientData, template, language, schedule);
 
       // Add terms and conditions if requested
       if (includeTerms) {
@@ -54,7 +73,7 @@ class AgreementService {
       }
 
       // Add signature section
-      await this.addSignatureSection(doc, loanData, clientData);
+      await this.addSignatureSection(doc, loanData, clientData, language);
 
       // Add watermark if specified
       if (watermark) {
@@ -112,44 +131,48 @@ class AgreementService {
    * @param {Object} clientData - Client data
    * @param {string} template - Template type
    * @param {string} language - Language
+   * @param {Object} [schedule] - Persisted repayment schedule
    */
-  async generateAgreementContent(doc, loanData, clientData, template, language) {
+  async generateAgreementContent(doc, loanData, clientData, template, language, schedule = null) {
+    const t = forLanguage(language);
+
     // Add header with logo and company info
-    await this.addHeader(doc);
+    await this.addHeader(doc, language);
 
     // Add title
-    doc.fontSize(20)
-      .font('Helvetica-Bold')
-      .text('LOAN AGREEMENT', { align: 'center' })
+    doc.fontSize(20);
+    writeText(doc, t('agreement.title'), { bold: true, align: 'center' })
       .moveDown(2);
 
     // Add agreement number and date
-    doc.fontSize(12)
-      .font('Helvetica')
-      .text(`Agreement No: ${loanData.loanApplicationId}`, { align: 'right' })
-      .text(`Date: ${new Date().toLocaleDateString()}`, { align: 'right' })
+    doc.fontSize(12);
+    writeText(doc, t('agreement.agreementNo', { number: loanData.loanApplicationId }), { align: 'right' });
+    writeText(doc, t('agreement.date', { date: new Date().toLocaleDateString() }), { align: 'right' })
       .moveDown(2);
 
     // Add parties section
-    await this.addPartiesSection(doc, loanData, clientData);
+    await this.addPartiesSection(doc, loanData, clientData, language);
 
     // Add loan details section
-    await this.addLoanDetailsSection(doc, loanData);
+    await this.addLoanDetailsSection(doc, loanData, language);
 
     // Add repayment schedule
-    await this.addRepaymentSchedule(doc, loanData);
+    await this.addRepaymentSchedule(doc, loanData, schedule, language);
 
     // Add guarantor information if available
     if (loanData.guarantorInfo && loanData.guarantorInfo.length > 0) {
-      await this.addGuarantorSection(doc, loanData.guarantorInfo);
+      await this.addGuarantorSection(doc, loanData.guarantorInfo, language);
     }
   }
 
   /**
    * Add header with logo and company information
    * @param {PDFDocument} doc - PDF document
+   * @param {string} [language='en'] - Language
    */
-  async addHeader(doc) {
+  async addHeader(doc, language = 'en') {
+    const t = forLanguage(language);
+
     // Add logo if available
     try {
       await fs.access(this.logoPath);
@@ -159,14 +182,12 @@ class AgreementService {
     }
 
     // Company information
-    doc.fontSize(16)
-      .font('Helvetica-Bold')
-      .text('PaySync Microfinance Ltd.', 170, 60)
-      .fontSize(10)
-      .font('Helvetica')
-      .text('Registered Microfinance Institution', 170, 80)
-      .text('License No: MF/2024/001', 170, 95)
-      .text('Email: info@paysync.lk | Phone: +94 11 234 5678', 170, 110)
+    doc.fontSize(16);
+    writeText(doc, t('agreement.company.name'), 170, 60, { bold: true });
+    doc.fontSize(10);
+    writeText(doc, t('agreement.company.tagline'), 170, 80);
+    writeText(doc, t('agreement.company.license'), 170, 95);
+    writeText(doc, t('agreement.company.contact'), 170, 110)
       .moveDown(3);
 
     // Add horizontal line
@@ -174,6 +195,7 @@ class AgreementService {
       .lineTo(545, 140)
       .stroke();
 
+    doc.x = 50;
     doc.y = 160;
   }
 
@@ -182,30 +204,29 @@ class AgreementService {
    * @param {PDFDocument} doc - PDF document
    * @param {Object} loanData - Loan data
    * @param {Object} clientData - Client data
+   * @param {string} [language='en'] - Language
    */
-  async addPartiesSection(doc, loanData, clientData) {
-    doc.fontSize(14)
-      .font('Helvetica-Bold')
-      .text('PARTIES TO THE AGREEMENT', { underline: true })
+  async addPartiesSection(doc, loanData, clientData, language = 'en') {
+    const t = forLanguage(language);
+    const { personalInfo } = clientData;
+
+    doc.fontSize(14);
+    writeText(doc, t('agreement.parties.heading'), { bold: true, underline: true })
       .moveDown(1);
 
-    doc.fontSize(12)
-      .font('Helvetica-Bold')
-      .text('LENDER:')
-      .font('Helvetica')
-      .text('PaySync Microfinance Ltd.')
-      .text('No. 123, Main Street, Colombo 01, Sri Lanka')
-      .text('Registration No: PV 12345')
+    doc.fontSize(12);
+    writeText(doc, t('agreement.parties.lender'), { bold: true });
+    writeText(doc, t('agreement.company.name'));
+    writeText(doc, t('agreement.company.address'));
+    writeText(doc, t('agreement.company.registration'))
       .moveDown(1);
 
-    doc.font('Helvetica-Bold')
-      .text('BORROWER:')
-      .font('Helvetica')
-      .text(`Name: ${clientData.personalInfo.fullName}`)
-      .text(`NIC: ${clientData.personalInfo.nic}`)
-      .text(`Address: ${clientData.personalInfo.address}`)
-      .text(`Phone: ${clientData.personalInfo.phoneNumber}`)
-      .text(`Email: ${clientData.personalInfo.email || 'N/A'}`)
+    writeText(doc, t('agreement.parties.borrower'), { bold: true });
+    writeText(doc, t('agreement.parties.name', { value: personalInfo.fullName }));
+    writeText(doc, t('agreement.parties.nic', { value: personalInfo.nic }));
+    writeText(doc, t('agreement.parties.address', { value: personalInfo.address }));
+    writeText(doc, t('agreement.parties.phone', { value: personalInfo.phoneNumber }));
+    writeText(doc, t('agreement.parties.email', { value: personalInfo.email || t('agreement.parties.notAvailable') }))
       .moveDown(2);
   }
 
@@ -213,27 +234,38 @@ class AgreementService {
    * Add loan details section
    * @param {PDFDocument} doc - PDF document
    * @param {Object} loanData - Loan data
+   * @param {string} [language='en'] - Language
    */
-  async addLoanDetailsSection(doc, loanData) {
-    doc.fontSize(14)
-      .font('Helvetica-Bold')
-      .text('LOAN DETAILS', { underline: true })
+  async addLoanDetailsSection(doc, loanData, language = 'en') {
+    const t = forLanguage(language);
+
+    doc.fontSize(14);
+    writeText(doc, t('agreement.loanDetails.heading'), { bold: true, underline: true })
       .moveDown(1);
 
     const loanAmount = parseFloat(loanData.loanAmount);
     const interestRate = parseFloat(loanData.interestRate);
     const loanTerm = parseInt(loanData.loanTerm);
-    const monthlyPayment = this.calculateMonthlyPayment(loanAmount, interestRate, loanTerm);
-    const totalAmount = monthlyPayment * loanTerm;
-
-    doc.fontSize(12)
-      .font('Helvetica')
-      .text(`Loan Amount: LKR ${loanAmount.toLocaleString('en-US', { minimumFractionDigits: 2 })}`)
-      .text(`Interest Rate: ${interestRate}% per annum`)
-      .text(`Loan Term: ${loanTerm} months`)
-      .text(`Monthly Payment: LKR ${monthlyPayment.toLocaleString('en-US', { minimumFractionDigits: 2 })}`)
-      .text(`Total Repayment: LKR ${totalAmount.toLocaleString('en-US', { minimumFractionDigits: 2 })}`)
-      .text(`Purpose: ${loanData.loanPurpose || 'General Business'}`)
+    const summary = this.getLoanSummary(loanData);
+    const totalAmount = summary.totalPayable;
+    const formatAmount = (amount) => amount.toLocaleString('en-US', { minimumFractionDigits: 2 });
+
+    doc.fontSize(12);
+    writeText(doc, t('agreement.loanDetails.loanAmount', { amount: formatAmount(loanAmount) }));
+    writeText(doc, t('agreement.loanDetails.interestRate', {
+      rate: interestRate,
+      method: this.formatInterestMethod(summary.method, language)
+    }));
+    writeText(doc, t('agreement.loanDetails.loanTerm', { term: loanTerm }));
+    writeText(doc, t('agreement.loanDetails.installment', {
+      amount: formatAmount(summary.installmentAmount),
+      frequency: this.formatRepaymentFrequency(summary.frequency, language),
+      count: summary.installmentCount
+    }));
+    writeText(doc, t('agreement.loanDetails.totalRepayment', { amount: formatAmount(totalAmount) }));
+    writeText(doc, t('agreement.loanDetails.purpose', {
+      purpose: loanData.loanPurpose || t('agreement.loanDetails.defaultPurpose')
+    }))
       .moveDown(2);
   }
 
@@ -241,80 +273,81 @@ class AgreementService {
    * Add repayment schedule
    * @param {PDFDocument} doc - PDF document
    * @param {Object} loanData - Loan data
+   * @param {Object} [schedule] - Persisted repayment schedule; projected from the loan terms when omitted
+   * @param {string} [language='en'] - Language
    */
-  async addRepaymentSchedule(doc, loanData) {
-    doc.fontSize(14)
-      .font('Helvetica-Bold')
-      .text('REPAYMENT SCHEDULE', { underline: true })
-      .moveDown(1);
+  async addRepaymentSchedule(doc, loanData, schedule = null, language = 'en') {
+    const t = forLanguage(language);
 
-    const loanAmount = parseFloat(loanData.loanAmount);
-    const interestRate = parseFloat(loanData.interestRate) / 100 / 12; // Monthly rate
-    const loanTerm = parseInt(loanData.loanTerm);
-    const monthlyPayment = this.calculateMonthlyPayment(loanAmount, loanData.interestRate, loanTerm);
-
-    doc.fontSize(10)
-      .font('Helvetica-Bold');
-
-    // Table headers
-    const tableTop = doc.y;
-    const col1 = 50;
-    const col2 = 120;
-    const col3 = 200;
-    const col4 = 280;
-    const col5 = 360;
-    const col6 = 450;
-
-    doc.text('Payment #', col1, tableTop)
-      .text('Date', col2, tableTop)
-      .text('Principal', col3, tableTop)
-      .text('Interest', col4, tableTop)
-      .text('Payment', col5, tableTop)
-      .text('Balance', col6, tableTop);
-
-    // Draw header line
-    doc.moveTo(col1, tableTop + 15)
-      .lineTo(530, tableTop + 15)
-      .stroke();
+    doc.fontSize(14);
+    writeText(doc, t('agreement.schedule.heading'), { bold: true, underline: true })
+      .moveDown(1);
 
-    let currentY = tableTop + 25;
-    let remainingBalance = loanAmount;
-    const startDate = new Date();
+    const rows = schedule
+      ? schedule.installments.map(installment => ({
+        installmentNumber: installment.installmentNumber,
+        dueDate: installment.dueDate,
+        principal: installment.principalDue,
+        interest: installment.interestDue,
+        fee: installment.feeDue || 0,
+        payment: installment.totalDue,
+        balance: installment.closingBalance
+      }))
+      : generateSchedule({
+        principal: parseFloat(loanData.loanAmount),
+        annualRate: parseFloat(loanData.interestRate),
+        termMonths: parseInt(loanData.loanTerm),
+        method: loanData.interestMethod,
+        frequency: loanData.repaymentFrequency
+      }).map(row => ({ ...row, fee: 0 }));
+
+    // Table columns
+    const columns = [
+      { key: 'number', x: 50 },
+      { key: 'dueDate', x: 80 },
+      { key: 'principal', x: 165 },
+      { key: 'interest', x: 245 },
+      { key: 'fee', x: 320 },
+      { key: 'payment', x: 380 },
+      { key: 'balance', x: 460 }
+    ].map(column => ({ ...column, label: t(`agreement.schedule.columns.${column.key}`) }));
+
+    const drawHeader = (y) => {
+      doc.fontSize(10);
+      columns.forEach(column => writeText(doc, column.label, column.x, y, { bold: true }));
+      doc.moveTo(50, y + 15)
+        .lineTo(545, y + 15)
+        .stroke();
+      return y + 25;
+    };
 
-    // Generate first 12 months of schedule
-    for (let i = 1; i <= Math.min(12, loanTerm); i++) {
-      const interestPayment = remainingBalance * interestRate;
-      const principalPayment = monthlyPayment - interestPayment;
-      remainingBalance -= principalPayment;
+    let currentY = drawHeader(doc.y);
 
-      const paymentDate = new Date(startDate);
-      paymentDate.setMonth(paymentDate.getMonth() + i);
+    for (const row of rows) {
+      const values = [
+        row.installmentNumber.toString(),
+        new Date(row.dueDate).toLocaleDateString(),
+        row.principal.toFixed(2),
+        row.interest.toFixed(2),
+        row.fee.toFixed(2),
+        row.payment.toFixed(2),
+        row.balance.toFixed(2)
+      ];
 
-      doc.font('Helvetica')
-        .fontSize(9)
-        .text(i.toString(), col1, currentY)
-        .text(paymentDate.toLocaleDateString(), col2, currentY)
-        .text(principalPayment.toFixed(2), col3, currentY)
-        .text(interestPayment.toFixed(2), col4, currentY)
-        .text(monthlyPayment.toFixed(2), col5, currentY)
-        .text(Math.max(0, remainingBalance).toFixed(2), col6, currentY);
+      doc.font('Helvetica').fontSize(9);
+      values.forEach((value, index) => doc.text(value, columns[index].x, currentY));
 
       currentY += 15;
 
-      // Check if we need a new page
-      if (currentY > 700) {
+      // Continue the table on a new page with the header repeated
+      if (currentY > 720) {
         doc.addPage();
-        currentY = 50;
+        currentY = drawHeader(50);
       }
     }
 
-    if (loanTerm > 12) {
-      doc.moveDown(1)
-        .fontSize(10)
-        .font('Helvetica-Italic')
-        .text('* Complete repayment schedule available upon request');
-    }
-
+    doc.x = 50;
+    doc.y = currentY;
     doc.moveDown(2);
   }
 
@@ -322,22 +355,22 @@ class AgreementService {
    * Add guarantor section
    * @param {PDFDocument} doc - PDF document
    * @param {Array} guarantors - Guarantor information
+   * @param {string} [language='en'] - Language
    */
-  async addGuarantorSection(doc, guarantors) {
-    doc.fontSize(14)
-      .font('Helvetica-Bold')
-      .text('GUARANTOR INFORMATION', { underline: true })
+  async addGuarantorSection(doc, guarantors, language = 'en') {
+    const t = forLanguage(language);
+
+    doc.fontSize(14);
+    writeText(doc, t('agreement.guarantors.heading'), { bold: true, underline: true })
       .moveDown(1);
 
     guarantors.forEach((guarantor, index) => {
-      doc.fontSize(12)
-        .font('Helvetica-Bold')
-        .text(`Guarantor ${index + 1}:`)
-        .font('Helvetica')
-        .text(`Name: ${guarantor.fullName}`)
-        .text(`NIC: ${guarantor.nic}`)
-        .text(`Phone: ${guarantor.phoneNumber}`)
-        .text(`Relationship: ${guarantor.relationship}`)
+      doc.fontSize(12);
+      writeText(doc, t('agreement.guarantors.guarantor', { number: index + 1 }), { bold: true });
+      writeText(doc, t('agreement.guarantors.name', { value: guarantor.fullName }));
+      writeText(doc, t('agreement.guarantors.nic', { value: guarantor.nic }));
+      writeText(doc, t('agreement.guarantors.phone', { value: guarantor.phoneNumber }));
+      writeText(doc, t('agreement.guarantors.relationship', { value: guarantor.relationship }))
         .moveDown(1);
     });
 
@@ -355,18 +388,16 @@ class AgreementService {
       doc.addPage();
     }
 
-    doc.fontSize(14)
-      .font('Helvetica-Bold')
-      .text('TERMS AND CONDITIONS', { underline: true })
+    doc.fontSize(14);
+    writeText(doc, translate(language, 'agreement.terms.heading'), { bold: true, underline: true })
       .moveDown(1);
 
     const terms = this.getTermsAndConditions(language);
 
-    doc.fontSize(10)
-      .font('Helvetica');
+    doc.fontSize(10);
 
     terms.forEach((term, index) => {
-      doc.text(`${index + 1}. ${term}`)
+      writeText(doc, `${index + 1}. ${term}`)
         .moveDown(0.5);
 
       // Check if we need a new page
@@ -383,59 +414,91 @@ class AgreementService {
    * @param {PDFDocument} doc - PDF document
    * @param {Object} loanData - Loan data
    * @param {Object} clientData - Client data
+   * @param {string} [language='en'] - Language
    */
-  async addSignatureSection(doc, loanData, clientData) {
+  async addSignatureSection(doc, loanData, clientData, language = 'en') {
+    const t = forLanguage(language);
+
     // Check if we need a new page
     if (doc.y > 650) {
       doc.addPage();
     }
 
-    doc.fontSize(14)
-      .font('Helvetica-Bold')
-      .text('SIGNATURES', { underline: true })
+    doc.fontSize(14);
+    writeText(doc, t('agreement.signatures.heading'), { bold: true, underline: true })
       .moveDown(2);
 
     const signatureY = doc.y;
 
     // Borrower signature
-    doc.fontSize(12)
-      .font('Helvetica')
-      .text('BORROWER:', 50, signatureY)
-      .text('_________________________', 50, signatureY + 40)
-      .text(`${clientData.personalInfo.fullName}`, 50, signatureY + 60)
-      .text(`Date: _______________`, 50, signatureY + 80);
+    doc.fontSize(12);
+    writeText(doc, t('agreement.signatures.borrower'), 50, signatureY);
+    writeText(doc, '_________________________', 50, signatureY + 40);
+    writeText(doc, `${clientData.personalInfo.fullName}`, 50, signatureY + 60);
+    writeText(doc, t('agreement.signatures.date'), 50, signatureY + 80);
 
     // Lender signature
-    doc.text('LENDER:', 300, signatureY)
-      .text('_________________________', 300, signatureY + 40)
-      .text('Authorized Representative', 300, signatureY + 60)
-      .text('PaySync Microfinance Ltd.', 300, signatureY + 75)
-      .text(`Date: _______________`, 300, signatureY + 95);
+    writeText(doc, t('agreement.signatures.lender'), 300, signatureY);
+    writeText(doc, '_________________________', 300, signatureY + 40);
+    writeText(doc, t('agreement.signatures.authorizedRepresentative'), 300, signatureY + 60);
+    writeText(doc, t('agreement.company.name'), 300, signatureY + 75);
+    writeText(doc, t('agreement.signatures.date'), 300, signatureY + 95);
 
     // Witness signature
-    doc.text('WITNESS:', 50, signatureY + 120)
-      .text('_________________________', 50, signatureY + 160)
-      .text('Name: ___________________', 50, signatureY + 180)
-      .text(`Date: _______________`, 50, signatureY + 200);
+    writeText(doc, t('agreement.signatures.witness'), 50, signatureY + 120);
+    writeText(doc, '_________________________', 50, signatureY + 160);
+    writeText(doc, t('agreement.signatures.name'), 50, signatureY + 180);
+    writeText(doc, t('agreement.signatures.date'), 50, signatureY + 200);
 
     doc.moveDown(4);
   }
 
   /**
-   * Calculate monthly payment using loan formula
+   * Calculate the installment using loan formula
    * @param {number} principal - Loan amount
    * @param {number} annualRate - Annual interest rate (percentage)
    * @param {number} termMonths - Loan term in months
-   * @returns {number} Monthly payment amount
+   * @param {string} [interestMethod] - Interest calculation method
+   * @param {string} [frequency] - Repayment frequency
+   * @returns {number} Installment amount per repayment period
+   */
+  calculateMonthlyPayment(principal, annualRate, termMonths, interestMethod, frequency) {
+    return calculateInstallment(principal, annualRate, termMonths, interestMethod, frequency);
+  }
+
+  /**
+   * Get installment and total figures for a loan using its interest method
+   * @param {Object} loanData - Loan data
+   * @returns {Object} Interest summary
    */
-  calculateMonthlyPayment(principal, annualRate, termMonths) {
-    const monthlyRate = (annualRate / 100) / 12;
-    if (monthlyRate === 0) return principal / termMonths;
+  getLoanSummary(loanData) {
+    return calculateLoanSummary({
+      principal: parseFloat(loanData.loanAmount),
+      annualRate: parseFloat(loanData.interestRate),
+      termMonths: parseInt(loanData.loanTerm),
+      method: loanData.interestMethod,
+      frequency: loanData.repaymentFrequency
+    });
+  }
 
-    const payment = principal * (monthlyRate * Math.pow(1 + monthlyRate, termMonths)) /
-      (Math.pow(1 + monthlyRate, termMonths) - 1);
+  /**
+   * Get a readable label for an interest method
+   * @param {string} method - Interest calculation method
+   * @param {string} [language='en'] - Language
+   * @returns {string} Label
+   */
+  formatInterestMethod(method, language = 'en') {
+    return translate(language, `agreement.interestMethods.${method}`, {}, method);
+  }
 
-    return Math.round(payment * 100) / 100; // Round to 2 decimal places
+  /**
+   * Get a readable label for a repayment frequency
+   * @param {string} frequency - Repayment frequency
+   * @param {string} [language='en'] - Language
+   * @returns {string} Label
+   */
+  formatRepaymentFrequency(frequency, language = 'en') {
+    return translate(language, `agreement.repaymentFrequencies.${frequency}`, {}, frequency);
   }
 
   /**
@@ -444,22 +507,7 @@ class AgreementService {
    * @returns {Array} Terms and conditions
    */
   getTermsAndConditions(language) {
-    const terms = {
-      en: [
-        'The borrower agrees to repay the loan amount along with interest as per the repayment schedule.',
-        'Monthly payments are due on the same date each month as specified in the repayment schedule.',
-        'Late payment charges of 2% per month will be applied to overdue amounts.',
-        'The borrower must maintain adequate insurance coverage for the duration of the loan.',
-        'The lender reserves the right to demand immediate repayment if the borrower defaults.',
-        'Any changes to this agreement must be made in writing and signed by both parties.',
-        'This agreement is governed by the laws of Sri Lanka.',
-        'The borrower has the right to prepay the loan without penalty after 6 months.',
-        'All disputes shall be resolved through arbitration in Colombo, Sri Lanka.',
-        'The borrower must notify the lender of any change in contact information within 30 days.'
-      ]
-    };
-
-    return terms[language] || terms.en;
+    return translate(language, 'agreement.terms.items');
   }
 
   /**
@@ -512,8 +560,10 @@ class AgreementService {
     const loanAmount = parseFloat(loanData.loanAmount);
     const interestRate = parseFloat(loanData.interestRate);
     const loanTerm = parseInt(loanData.loanTerm);
-    const monthlyPayment = this.calculateMonthlyPayment(loanAmount, interestRate, loanTerm);
-    const totalAmount = monthlyPayment * loanTerm;
+    const summary = this.getLoanSummary(loanData);
+    const monthlyPayment = summary.installmentAmount;
+    const totalAmount = summary.totalPayable;
+    const startDate = new Date();
 
     return {
       agreementNumber: loanData.loanApplicationId,
@@ -521,14 +571,138 @@ class AgreementService {
       borrowerNIC: clientData.personalInfo.nic,
       loanAmount: loanAmount,
       interestRate: interestRate,
+      interestMethod: summary.method,
       loanTerm: loanTerm,
+      repaymentFrequency: summary.frequency,
+      installmentCount: summary.installmentCount,
       monthlyPayment: monthlyPayment,
       totalRepayment: totalAmount,
-      startDate: new Date(),
-      endDate: new Date(Date.now() + (loanTerm * 30 * 24 * 60 * 60 * 1000)), // Approximate
+      startDate,
+      endDate: addPeriods(startDate, summary.installmentCount, summary.frequency),
       purpose: loanData.loanPurpose || 'General Business'
     };
   }
+
+  /**
+   * Generate the settlement letter of an early settled loan
+   * @param {Object} loanData - Closed loan
+   * @param {Object} clientData - Client information
+   * @param {Object} settlement - Settlement details
+   * @param {Object} settlement.quote - Payoff quote the loan was settled against
+   * @param {Object} settlement.payment - Final payment
+   * @returns {Promise<Object>} Generated letter info
+   */
+  async generateSettlementLetter(loanData, clientData, { quote, payment }) {
+    try {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margins: { top: 50, bottom: 50, left: 50, right: 50 },
+        info: {
+          Title: `Settlement Letter - ${loanData.loanApplicationId}`,
+          Author: 'PaySync Microfinance',
+          Subject: 'Loan Settlement Letter',
+          Keywords: 'loan, settlement, microfinance',
+          CreationDate: new Date(),
+          ModDate: new Date()
+        }
+      });
+
+      await this.addHeader(doc);
+
+      const formatAmount = (amount) => `LKR ${(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+      const closureDate = loanData.loanClosure?.closureDate || payment.paymentDate;
+
+      doc.fontSize(20)
+        .font('Helvetica-Bold')
+        .text('LOAN SETTLEMENT LETTER', { align: 'center' })
+        .moveDown(2);
+
+      doc.fontSize(12)
+        .font('Helvetica')
+        .text(`Loan No: ${loanData.loanApplicationId}`, { align: 'right' })
+        .text(`Date: ${new Date().toLocaleDateString()}`, { align: 'right' })
+        .moveDown(2);
+
+      doc.text(clientData?.personalInfo?.fullName || 'Borrower')
+        .text(clientData?.personalInfo?.address || '')
+        .moveDown(1.5);
+
+      doc.text(
+        `This is to confirm that loan ${loanData.loanApplicationId} for ${formatAmount(loanData.loanAmount)} ` +
+        `was settled in full on ${new Date(closureDate).toLocaleDateString()} with payment ${payment.paymentId} ` +
+        `of ${formatAmount(payment.paymentAmount)}. No further amount is payable under this loan.`
+      ).moveDown(1.5);
+
+      doc.fontSize(14)
+        .font('Helvetica-Bold')
+        .text('SETTLEMENT DETAILS', { underline: true })
+        .moveDown(1);
+
+      const rows = [
+        ['Outstanding principal', quote.outstandingPrincipal],
+        ['Accrued interest', quote.accruedInterest],
+        ['Unpaid fees', quote.unpaidFees],
+        ['Late payment penalties', quote.unpaidPenalties],
+        ['Prepayment penalty', quote.prepaymentPenalty],
+        ['Total settlement amount', quote.totalPayoff],
+        ['Interest rebate (not charged)', quote.interestRebate],
+        ['Fees waived', quote.waivedFees]
+      ];
+
+      rows.forEach(([label, amount], index) => {
+        const y = doc.y;
+        doc.fontSize(11)
+          .font(index === 5 ? 'Helvetica-Bold' : 'Helvetica')
+          .text(label, 50, y)
+          .text(formatAmount(amount), 350, y, { width: 195, align: 'right' });
+        doc.moveDown(0.4);
+      });
+
+      const excess = loanData.loanClosure?.settlementBreakdown?.excess || 0;
+      if (excess > 0) {
+        doc.moveDown(0.5)
+          .font('Helvetica')
+          .text(`An excess of ${formatAmount(excess)} was received and will be refunded to the borrower.`, 50);
+      }
+
+      doc.x = 50;
+      doc.moveDown(3)
+        .fontSize(12)
+        .font('Helvetica')
+        .text('_________________________')
+        .text('Authorized Representative')
+        .text('PaySync Microfinance Ltd.');
+
+      const pdfBuffer = await this.documentToBuffer(doc);
+
+      const uploadResult = await fileService.uploadFile({
+        buffer: pdfBuffer,
+        originalname: `settlement_letter_${loanData.loanApplicationId}.pdf`,
+        mimetype: 'application/pdf',
+        size: pdfBuffer.length
+      }, {
+        userId: String(loanData.loanClosure?.closedBy || 'system'),
+        category: 'agreement',
+        tags: ['settlement_letter', loanData.loanApplicationId]
+      });
+
+      logger.logAudit('settlement_letter_generated', loanData.loanClosure?.closedBy, {
+        resource: 'loan',
+        resourceId: loanData._id,
+        letterId: uploadResult.fileId
+      });
+
+      return {
+        letterId: uploadResult.fileId,
+        letterUrl: uploadResult.secureUrl,
+        filename: uploadResult.originalName,
+        size: uploadResult.size,
+        generatedAt: new Date()
+      };
+    } catch (error) {
+      throw new AppError(`Settlement letter generation failed: ${error.message}`, 500, 'SETTLEMENT_LETTER_ERROR');
+    }
+  }
 }
 
 module.exports = new AgreementService();
\ No newline at end of file
@@ -0,0 +1,575 @@
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const Region = require('../models/Region');
+const Staff = require('../models/Staff');
+const notificationService = require('./notificationService');
+const guarantorService = require('./guarantorService');
+const { PERMISSIONS, roleHasPermission } = require('../utils/permissions');
+const {
+  AuthorizationError,
+  BusinessRuleError,
+  NotFoundError
+} = require('../utils/customErrors');
+const { logger } = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Approval chain used when a loan's region has no approvalWorkflow configured.
+ * Agents recommend, regional managers approve up to their limit and the CEO
+ * approves high value loans.
+ */
+const DEFAULT_APPROVAL_WORKFLOW = [
+  { stage: 'agent_review', requiredRole: 'agent', maxAmount: 0, timeoutDays: 3 },
+  { stage: 'regional_approval', requiredRole: 'regional_manager', maxAmount: 5000000, timeoutDays: 5 },
+  { stage: 'ceo_approval', requiredRole: 'ceo', maxAmount: null, timeoutDays: 7 }
+];
+
+// Permission an approver needs for a tier, besides holding its role
+const TIER_PERMISSIONS = {
+  regional_manager: PERMISSIONS.APPROVE_LOANS,
+  ceo: PERMISSIONS.APPROVE_HIGH_VALUE_LOANS
+};
+
+const STAFF_ROLES = ['super_admin', 'moderate_admin', 'ceo', 'regional_manager', 'agent'];
+
+// Loan statuses of applications still going through approval
+const OPEN_STATUSES = ['Pending', 'Under Review'];
+
+const sameId = (a, b) => !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+
+/**
+ * Approval Workflow Service
+ * Routes loan applications through the approval tiers of their region,
+ * enforces approver roles and limits, and escalates tiers that time out
+ */
+class ApprovalWorkflowService {
+  constructor() {
+    this.intervalMs = parseInt(process.env.APPROVAL_ESCALATION_INTERVAL_MS || String(HOUR_MS), 10);
+    this.interval = null;
+    this.isRunning = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Get the approval tiers of a region, falling back to the default chain
+   * when none (or an invalid one) is configured
+   * @param {Object} [region] - Region document
+   * @returns {Array<Object>} Tiers in order
+   */
+  getWorkflow(region) {
+    const configured = region?.configuration?.approvalWorkflow || [];
+    if (configured.length === 0) {
+      return DEFAULT_APPROVAL_WORKFLOW.map(tier => ({ ...tier }));
+    }
+
+    const stages = Loan.schema.path('workflowState.currentStage').enumValues;
+    const tiers = configured.map(tier => ({
+      stage: tier.stage,
+      requiredRole: tier.requiredRole,
+      maxAmount: tier.maxAmount ?? null,
+      timeoutDays: tier.timeoutDays ?? null
+    }));
+
+    const invalid = tiers.find(tier => !stages.includes(tier.stage) || !STAFF_ROLES.includes(tier.requiredRole));
+    if (invalid) {
+      logger.warn('Invalid region approval workflow, using default', {
+        regionId: region?._id,
+        stage: invalid.stage,
+        requiredRole: invalid.requiredRole
+      });
+      return DEFAULT_APPROVAL_WORKFLOW.map(tier => ({ ...tier }));
+    }
+
+    return tiers;
+  }
+
+  /**
+   * Find the tier whose approval is final for an amount: the first tier whose
+   * maxAmount covers it
+   * @param {Array<Object>} tiers - Workflow tiers
+   * @param {number} amount - Loan amount
+   * @returns {number} Tier index
+   * @throws {BusinessRuleError} When no tier may approve the amount
+   */
+  resolveFinalTier(tiers, amount) {
+    const index = tiers.findIndex(tier => tier.maxAmount == null || amount <= tier.maxAmount);
+    if (index === -1) {
+      throw new BusinessRuleError(
+        'Loan amount exceeds the approval limit of every tier in the region workflow',
+        'APPROVAL_LIMIT_EXCEEDED',
+        { amount, highestLimit: Math.max(...tiers.map(tier => tier.maxAmount || 0)) }
+      );
+    }
+    return index;
+  }
+
+  /**
+   * Calculate when a tier times out
+   * @param {Object} tier - Workflow tier
+   * @param {Date} [from=new Date()] - Time the tier was entered
+   * @returns {Date|null} Due date, or null when the tier has no timeout
+   */
+  getDueDate(tier, from = new Date()) {
+    return tier.timeoutDays ? new Date(from.getTime() + tier.timeoutDays * DAY_MS) : null;
+  }
+
+  /**
+   * Move a loan into a tier and record it in the stage history
+   * @param {Object} loan - Loan document
+   * @param {number} tierIndex - Tier to enter
+   * @param {string} performedBy - Staff ID
+   * @param {string} [notes=''] - Stage notes
+   * @param {Date} [now=new Date()] - Time the tier is entered
+   */
+  enterTier(loan, tierIndex, performedBy, notes = '', now = new Date()) {
+    const approval = loan.workflowState.approval;
+    const tier = approval.tiers[tierIndex];
+    const dueAt = this.getDueDate(tier, now);
+
+    loan.advanceWorkflowStage(tier.stage, performedBy, notes);
+    const entry = loan.workflowState.stageHistory[loan.workflowState.stageHistory.length - 1];
+    entry.requiredRole = tier.requiredRole;
+    entry.dueAt = dueAt;
+
+    approval.currentTier = tierIndex;
+    approval.dueAt = dueAt;
+    approval.overdue = false;
+  }
+
+  /**
+   * Record the outcome of the open stage history entry
+   * @param {Object} loan - Loan document
+   * @param {string} decision - 'approved', 'rejected' or 'escalated'
+   */
+  recordDecision(loan, decision) {
+    const entry = loan.workflowState.stageHistory.find(
+      stage => stage.stage === loan.workflowState.currentStage && !stage.completedAt
+    );
+    if (entry) {
+      entry.decision = decision;
+    }
+  }
+
+  /**
+   * Start the approval chain of a loan. Does nothing when it has started.
+   * @param {Object} loan - Loan document
+   * @param {string} performedBy - Staff ID
+   * @param {Object} [region] - Region document (loaded from loan.region when omitted)
+   * @returns {Promise<Object>} The loan, not saved
+   */
+  async startApproval(loan, performedBy, region = null) {
+    if (loan.workflowState?.approval?.tiers?.length) {
+      return loan;
+    }
+
+    const regionDoc = region || (loan.region?.configuration
+      ? loan.region
+      : await Region.findById(loan.region).select('configuration.approvalWorkflow'));
+    const tiers = this.getWorkflow(regionDoc);
+    const finalTier = this.resolveFinalTier(tiers, loan.loanAmount);
+
+    loan.workflowState.approval = {
+      tiers,
+      currentTier: 0,
+      finalTier,
+      startedAt: new Date(),
+      overdue: false
+    };
+    this.enterTier(loan, 0, performedBy, 'Approval workflow started');
+
+    return loan;
+  }
+
+  /**
+   * Check that a staff member may decide the current tier
+   * @param {Object} loan - Loan document
+   * @param {Object} tier - Current tier
+   * @param {Object} staff - Staff document of the approver
+   * @throws {AuthorizationError} When the approver lacks the role, permission or scope
+   */
+  assertCanDecide(loan, tier, staff) {
+    if (staff.role === 'super_admin') {
+      return;
+    }
+
+    if (staff.role !== tier.requiredRole) {
+      throw new AuthorizationError(
+        `The ${tier.stage} stage must be decided by a ${tier.requiredRole}`,
+        tier.requiredRole,
+        staff.role
+      );
+    }
+
+    const permission = TIER_PERMISSIONS[tier.requiredRole];
+    if (permission && !roleHasPermission(staff.role, permission)) {
+      throw new AuthorizationError(`Missing permission ${permission}`, tier.requiredRole, staff.role);
+    }
+
+    if (tier.requiredRole === 'agent' && loan.assignedAgent && !sameId(loan.assignedAgent, staff._id)) {
+      throw new AuthorizationError('Only the assigned agent can review this loan', 'agent', staff.role);
+    }
+
+    if (tier.requiredRole === 'regional_manager'
+      && !sameId(loan.assignedRegionalManager, staff._id)
+      && !sameId(loan.region, staff.region)) {
+      throw new AuthorizationError('Loan is outside your region', 'regional_manager', staff.role);
+    }
+  }
+
+  /**
+   * Approve or reject the current tier of a loan
+   * @param {Object} loan - Loan document
+   * @param {string} approverId - Staff ID of the approver
+   * @param {Object} params - Decision
+   * @param {string} params.decision - 'approve' or 'reject'
+   * @param {string} [params.comments=''] - Comments
+   * @param {Array<string>} [params.conditions=[]] - Approval conditions
+   * @param {string} [params.ipAddress] - Request IP for the audit trail
+   * @param {string} [params.userAgent] - Request user agent for the audit trail
+   * @returns {Promise<Object>} Decision result with loan, tier and nextStage
+   * @throws {BusinessRuleError} When the loan is not awaiting approval, the amount exceeds the
+   * approver's limit or a guarantor has not given consent
+   */
+  async decide(loan, approverId, { decision, comments = '', conditions = [], ipAddress = '', userAgent = '' }) {
+    const staff = await Staff.findById(approverId);
+    if (!staff) {
+      throw new NotFoundError('Staff', approverId);
+    }
+
+    if (!OPEN_STATUSES.includes(loan.loanStatus)) {
+      throw new BusinessRuleError(`Loan is ${loan.loanStatus} and not awaiting approval`, 'LOAN_NOT_IN_APPROVAL');
+    }
+
+    await this.startApproval(loan, approverId);
+
+    const approval = loan.workflowState.approval;
+    const tierIndex = approval.currentTier;
+    const tier = approval.tiers[tierIndex];
+    const isFinal = tierIndex >= approval.finalTier;
+
+    this.assertCanDecide(loan, tier, staff);
+
+    const now = new Date();
+    let nextStage;
+
+    if (decision === 'reject') {
+      this.recordDecision(loan, 'rejected');
+      this.updateReviewFields(loan, tier, staff, 'Rejected', comments, now);
+      loan.loanStatus = 'Rejected';
+      approval.completedAt = now;
+      approval.dueAt = null;
+      loan.advanceWorkflowStage('closed', staff._id, comments || `Rejected at ${tier.stage}`);
+      nextStage = 'closed';
+    } else {
+      const limit = staff.rolePermissions?.maxLoanApprovalAmount || 0;
+      if (isFinal && loan.loanAmount > limit) {
+        throw new BusinessRuleError(
+          `Loan amount ${loan.loanAmount} exceeds your approval limit of ${limit}`,
+          'APPROVER_LIMIT_EXCEEDED',
+          { amount: loan.loanAmount, limit }
+        );
+      }
+
+      if (isFinal) {
+        await guarantorService.assertConsented(loan);
+      }
+
+      this.recordDecision(loan, 'approved');
+      this.updateReviewFields(loan, tier, staff, 'Approved', comments, now);
+
+      if (isFinal) {
+        loan.loanStatus = 'Approved';
+        approval.completedAt = now;
+        approval.dueAt = null;
+        loan.advanceWorkflowStage('agreement_generation', staff._id, comments || `Approved at ${tier.stage}`);
+        nextStage = 'agreement_generation';
+      } else {
+        loan.loanStatus = 'Under Review';
+        this.enterTier(loan, tierIndex + 1, staff._id, comments, now);
+        nextStage = approval.tiers[tierIndex + 1].stage;
+      }
+    }
+
+    loan.addAuditEntry(
+      decision === 'reject' ? 'rejected' : 'approved',
+      staff._id,
+      { stage: tier.stage, tier: tierIndex, decision, final: isFinal || decision === 'reject', conditions },
+      comments,
+      ipAddress,
+      userAgent
+    );
+
+    await loan.save();
+
+    if (decision === 'reject' || isFinal) {
+      await notificationService.notifyLoanDecision(loan, decision !== 'reject', comments, staff._id);
+    }
+
+    logger.info('Loan approval decision recorded', {
+      loanId: loan._id,
+      stage: tier.stage,
+      decision,
+      approverId: staff._id,
+      nextStage
+    });
+
+    return {
+      loan,
+      tier: { ...tier, index: tierIndex },
+      decision,
+      isFinal: isFinal || decision === 'reject',
+      nextStage
+    };
+  }
+
+  /**
+   * Keep the legacy agentReview / regionalAdminApproval fields in step with the chain
+   * @param {Object} loan - Loan document
+   * @param {Object} tier - Decided tier
+   * @param {Object} staff - Approver
+   * @param {string} status - 'Approved' or 'Rejected'
+   * @param {string} comments - Comments
+   * @param {Date} now - Decision time
+   */
+  updateReviewFields(loan, tier, staff, status, comments, now) {
+    if (tier.requiredRole === 'agent') {
+      loan.agentReview = {
+        ...(loan.agentReview?.toObject?.() || loan.agentReview || {}),
+        reviewedBy: staff._id,
+        reviewDate: now,
+        status,
+        comments
+      };
+    } else if (tier.requiredRole === 'regional_manager') {
+      loan.regionalAdminApproval = {
+        approvedBy: staff._id,
+        approvalDate: now,
+        status,
+        comments
+      };
+    }
+  }
+
+  /**
+   * Save an escalated loan only while it still waits on the tier and due date
+   * it was loaded with. Another instance's escalation or an approver's
+   * decision changes them first, and this escalation is then dropped.
+   * @param {Object} loan - Loan document with the escalation applied
+   * @param {number} currentTier - Tier index the loan was loaded at
+   * @param {Date} dueAt - Due date the loan was loaded with
+   * @returns {Promise<boolean>} True when the escalation was saved
+   */
+  async saveEscalation(loan, currentTier, dueAt) {
+    loan.$where = {
+      'workflowState.approval.currentTier': currentTier,
+      'workflowState.approval.dueAt': dueAt
+    };
+
+    try {
+      await loan.save();
+      return true;
+    } catch (error) {
+      if (error instanceof mongoose.Error.DocumentNotFoundError) {
+        return false;
+      }
+      throw error;
+    } finally {
+      loan.$where = undefined;
+    }
+  }
+
+  /**
+   * Escalate one overdue loan to the next tier of its workflow. On the last
+   * tier the loan is flagged overdue instead.
+   * @param {Object} loan - Loan document
+   * @param {Date} [asOf=new Date()] - Escalation time
+   * @returns {Promise<Object|null>} Escalation result, or null when the loan
+   * was escalated or decided elsewhere since it was loaded
+   */
+  async escalateLoan(loan, asOf = new Date()) {
+    const approval = loan.workflowState.approval;
+    const { currentTier, dueAt } = approval;
+    const fromTier = approval.tiers[currentTier];
+    const nextIndex = currentTier + 1;
+
+    if (nextIndex >= approval.tiers.length) {
+      approval.overdue = true;
+      loan.addAuditEntry('approval_overdue', null, { stage: fromTier.stage }, `${fromTier.stage} passed its timeout`);
+      if (!(await this.saveEscalation(loan, currentTier, dueAt))) {
+        return null;
+      }
+
+      logger.warn('Final approval tier is overdue', { loanId: loan._id, stage: fromTier.stage });
+      return { loanId: loan._id, from: fromTier.stage, to: null, overdue: true };
+    }
+
+    this.recordDecision(loan, 'escalated');
+    // The next tier now has to approve, even if the amount was within the timed out tier
+    approval.finalTier = Math.max(approval.finalTier, nextIndex);
+    this.enterTier(loan, nextIndex, null, `Escalated: ${fromTier.stage} timed out after ${fromTier.timeoutDays} days`, asOf);
+    loan.addAuditEntry('approval_escalated', null, {
+      previous: fromTier.stage,
+      new: approval.tiers[nextIndex].stage
+    }, 'Approval stage timed out');
+    if (!(await this.saveEscalation(loan, currentTier, dueAt))) {
+      return null;
+    }
+
+    logger.info('Loan approval escalated', {
+      loanId: loan._id,
+      from: fromTier.stage,
+      to: approval.tiers[nextIndex].stage
+    });
+    return { loanId: loan._id, from: fromTier.stage, to: approval.tiers[nextIndex].stage, overdue: false };
+  }
+
+  /**
+   * Escalate every loan whose current approval tier has timed out
+   * @param {Object} [options] - Run options
+   * @param {Date} [options.asOf=new Date()] - Escalation time
+   * @returns {Promise<Object>} Run summary
+   */
+  async escalateOverdue({ asOf = new Date() } = {}) {
+    if (this.isRunning) {
+      logger.warn('Approval escalation already running, skipping');
+      return null;
+    }
+
+    // skipped counts loans another instance escalated, or an approver decided, first
+    const summary = { asOf, loansScanned: 0, escalated: 0, overdue: 0, skipped: 0, failed: 0, loans: [] };
+    this.isRunning = true;
+
+    try {
+      const cursor = Loan.find({
+        loanStatus: { $in: OPEN_STATUSES },
+        'workflowState.approval.dueAt': { $lte: asOf },
+        'workflowState.approval.overdue': { $ne: true }
+      }).cursor();
+
+      for await (const loan of cursor) {
+        summary.loansScanned++;
+        try {
+          const result = await this.escalateLoan(loan, asOf);
+          if (!result) {
+            summary.skipped++;
+            continue;
+          }
+          summary[result.overdue ? 'overdue' : 'escalated']++;
+          summary.loans.push(result);
+        } catch (error) {
+          summary.failed++;
+          logger.error('Approval escalation failed for loan', error, { loanId: loan._id });
+        }
+      }
+    } finally {
+      this.isRunning = false;
+    }
+
+    this.lastRun = {
+      asOf,
+      loansScanned: summary.loansScanned,
+      escalated: summary.escalated,
+      overdue: summary.overdue,
+      skipped: summary.skipped,
+      failed: summary.failed
+    };
+
+    if (summary.loansScanned > 0) {
+      logger.info('Approval escalation completed', this.lastRun);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Describe the approval chain of a loan
+   * @param {Object} loan - Loan document
+   * @returns {Object} Tiers with their status and the approval history
+   */
+  getApprovalChain(loan) {
+    const approval = loan.workflowState?.approval;
+    const tiers = approval?.tiers || [];
+    const history = (loan.workflowState?.stageHistory || [])
+      .filter(entry => tiers.some(tier => tier.stage === entry.stage));
+    const isOpen = OPEN_STATUSES.includes(loan.loanStatus);
+
+    return {
+      started: tiers.length > 0,
+      loanAmount: loan.loanAmount,
+      loanStatus: loan.loanStatus,
+      currentStage: loan.workflowState?.currentStage,
+      currentTier: isOpen ? approval?.currentTier ?? null : null,
+      finalTier: approval?.finalTier ?? null,
+      dueAt: approval?.dueAt || null,
+      overdue: !!approval?.overdue,
+      completedAt: approval?.completedAt || null,
+      tiers: tiers.map((tier, index) => {
+        const entry = [...history].reverse().find(item => item.stage === tier.stage);
+        let status = 'pending';
+        if (entry?.decision) status = entry.decision;
+        else if (isOpen && index === approval.currentTier) status = 'in_progress';
+        else if (index > approval.finalTier) status = 'not_required';
+
+        return {
+          index,
+          stage: tier.stage,
+          requiredRole: tier.requiredRole,
+          maxAmount: tier.maxAmount,
+          timeoutDays: tier.timeoutDays,
+          status
+        };
+      }),
+      history
+    };
+  }
+
+  /**
+   * Run the escalation check every APPROVAL_ESCALATION_INTERVAL_MS (default hourly)
+   */
+  start() {
+    if (process.env.APPROVAL_ESCALATION_ENABLED === 'false') {
+      logger.info('Approval escalation job disabled');
+      return;
+    }
+
+    this.stop();
+
+    this.interval = setInterval(async () => {
+      try {
+        await this.escalateOverdue();
+      } catch (error) {
+        logger.error('Scheduled approval escalation failed', error);
+      }
+    }, this.intervalMs);
+
+    logger.info('Approval escalation job scheduled', { intervalMs: this.intervalMs });
+  }
+
+  /**
+   * Cancel the escalation job
+   */
+  stop() {
+    if (this.interval) clearInterval(this.interval);
+    this.interval = null;
+  }
+
+  /**
+   * Get job status
+   * @returns {Object} Status
+   */
+  getStatus() {
+    return {
+      scheduled: !!this.interval,
+      isRunning: this.isRunning,
+      intervalMs: this.intervalMs,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+const approvalWorkflowService = new ApprovalWorkflowService();
+approvalWorkflowService.DEFAULT_APPROVAL_WORKFLOW = DEFAULT_APPROVAL_WORKFLOW;
+
+module.exports = approvalWorkflowService;
@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const Client = require('../models/Client');
+const ClientUsers = require('../models/clientUsers');
+const Region = require('../models/Region');
+const Staff = require('../models/Staff');
+const sendEmail = require('../utils/sendEmail');
+const {
+  generateTokenPair,
+  refreshAccessToken,
+  revokeRefreshToken,
+  revokeAllUserTokens
+} = require('../utils/jwtUtils');
+const { getClientLanguage, translate } = require('../utils/localization');
+const {
+  AppError,
+  AuthenticationError,
+  ConflictError,
+  ERROR_CODES,
+  ValidationError
+} = require('../utils/customErrors');
+const { logger } = require('../utils/logger');
+
+/**
+ * Hash a password reset token for storage
+ * @param {string} token - Token sent to the client
+ * @returns {string} SHA-256 hex digest
+ */
+const hashResetToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Client Authentication Service
+ * The one client identity: every client login is a ClientUsers account linked
+ * to its Client record, signed in with the shared JWT utilities (access and
+ * refresh tokens), locked after repeated failed passwords and recoverable
+ * with an emailed reset token
+ */
+class ClientAuthService {
+  constructor() {
+    this.resetTokenTtlMinutes = parseInt(process.env.CLIENT_RESET_TOKEN_TTL_MINUTES || '30', 10);
+  }
+
+  /**
+   * Normalise an email address for lookup
+   * @param {string} email - Email address
+   * @returns {string} Trimmed, lower case email
+   */
+  normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  /**
+   * Pick the agent for a new client: agents covering the district first,
+   * otherwise any active agent of the region, with the fewest clients
+   * @param {string} district - Client's district
+   * @returns {Promise<Object>} { region, agent }
+   * @throws {ValidationError} When no region covers the district
+   * @throws {AppError} When the region has no active agent
+   */
+  async assignAgent(district) {
+    const region = await Region.findOne({ districts: district });
+    if (!region) {
+      throw new ValidationError('No region covers this district', 'district', district);
+    }
+
+    const agents = await Staff.find({ role: 'agent', status: 'active', region: region._id });
+    const covering = agents.filter(agent => (agent.assignedDistricts || []).includes(district));
+    const candidates = covering.length > 0 ? covering : agents;
+    if (candidates.length === 0) {
+      throw new AppError('No agents available for assignment. Please try again later.', 503, 'NO_AGENTS_AVAILABLE');
+    }
+
+    const loads = await Promise.all(candidates.map(agent => Client.countDocuments({ assignedAgent: agent._id })));
+    const agent = candidates[loads.indexOf(Math.min(...loads))];
+
+    return { region, agent };
+  }
+
+  /**
+   * Register a client from the mobile app: creates the Client record for
+   * review and its login, then signs the client in
+   * @param {Object} details - Registration details
+   * @param {Object} [context={}] - Device details from sessionService.getRequestContext
+   * @returns {Promise<Object>} { client, user, agent, tokens }
+   * @throws {ConflictError} When the email, phone number or NIC is already registered
+   */
+  async register(details, context = {}) {
+    const email = this.normalizeEmail(details.email);
+    const nic = String(details.nic).trim().toUpperCase();
+
+    const [existingClient, existingUser] = await Promise.all([
+      Client.findOne({
+        $or: [
+          { 'personalInfo.email': email },
+          { 'personalInfo.contactNumber': details.phone },
+          { 'identityVerification.idNumber': nic }
+        ]
+      }).select('_id'),
+      ClientUsers.findOne({ email }).select('_id')
+    ]);
+    if (existingClient || existingUser) {
+      throw new ConflictError('Client with this email, phone, or NIC already exists', 'email');
+    }
+
+    const { district } = details.address;
+    const { region, agent } = await this.assignAgent(district);
+    const now = new Date();
+
+    const client = new Client({
+      registrationId: await Client.generateRegistrationId(),
+      submissionDate: now,
+      assignedReviewer: agent._id,
+      assignedAgent: agent._id,
+      assignedBy: agent._id,
+      assignedAt: now,
+      assignmentHistory: [{
+        agent: agent._id,
+        assignedBy: agent._id,
+        assignedAt: now,
+        reason: 'Auto assigned on mobile registration'
+      }],
+      personalInfo: {
+        fullName: `${details.firstName} ${details.lastName}`,
+        contactNumber: details.phone,
+        email,
+        dateOfBirth: details.dateOfBirth,
+        address: [details.address.street, details.address.city, details.address.postalCode].filter(Boolean).join(', '),
+        district
+      },
+      identityVerification: { idType: 'NIC', idNumber: nic },
+      employmentDetails: {
+        jobRole: details.occupation,
+        monthlyIncome: details.monthlyIncome
+      },
+      region: region._id,
+      status: 'Pending',
+      statusHistory: [{ status: 'Pending', changedBy: agent._id, changedAt: now, reason: 'Registered in mobile app' }]
+    });
+    client.addAuditEntry('created', agent._id, { registrationId: client.registrationId, source: 'mobile' }, context.ipAddress, context.userAgent);
+    await client.save();
+
+    let user;
+    try {
+      user = await ClientUsers.create({
+        clientId: client._id,
+        username: email,
+        email,
+        password: details.password
+      });
+    } catch (error) {
+      await Client.deleteOne({ _id: client._id });
+      throw error;
+    }
+
+    const tokens = await generateTokenPair(user, context);
+    logger.info('Client registered from mobile app', { clientId: client._id, registrationId: client.registrationId });
+
+    return { client, user, agent, tokens };
+  }
+
+  /**
+   * Sign a client in. Five wrong passwords lock the account for 30 minutes.
+   * @param {string} email - Email address
+   * @param {string} password - Password
+   * @param {Object} [context={}] - Device details from sessionService.getRequestContext
+   * @returns {Promise<Object>} { user, client, tokens }
+   * @throws {AuthenticationError} When the credentials are wrong or the account is inactive
+   * @throws {AppError} ACCOUNT_LOCKED while the account is locked
+   */
+  async login(email, password, context = {}) {
+    const user = await ClientUsers.findOne({ email: this.normalizeEmail(email) }).select('+password');
+    if (!user) {
+      throw new AuthenticationError('Invalid email or password');
+    }
+
+    if (user.isLocked()) {
+      throw new AppError('Account is temporarily locked. Try again later', 423, ERROR_CODES.ACCOUNT_LOCKED, true, {
+        lockUntil: user.lockUntil
+      });
+    }
+
+    if (!(await user.comparePassword(password))) {
+      user.recordFailedLogin();
+      await user.save();
+      logger.warn('Failed client login', { clientUserId: user._id.toString(), locked: user.isLocked(), ipAddress: context.ipAddress });
+      throw new AuthenticationError('Invalid email or password', user.loginAttempts);
+    }
+
+    if (user.status !== 'Active') {
+      throw new AuthenticationError('Account is not active');
+    }
+
+    user.recordLogin();
+    await user.save();
+
+    const client = await Client.findById(user.clientId);
+    const tokens = await generateTokenPair(user, context);
+
+    return { user, client, tokens };
+  }
+
+  /**
+   * Exchange a client refresh token for a new token pair
+   * @param {string} refreshToken - Refresh token
+   * @param {Object} [context={}] - Device details from sessionService.getRequestContext
+   * @returns {Promise<Object>} New token pair
+   */
+  async refresh(refreshToken, context = {}) {
+    try {
+      return await refreshAccessToken(refreshToken, async (userId) => {
+        const user = await ClientUsers.findById(userId);
+        return user && user.status === 'Active' ? user : null;
+      }, context);
+    } catch (error) {
+      throw new AuthenticationError(error.message);
+    }
+  }
+
+  /**
+   * End the session of a refresh token
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<boolean>} Whether a session was ended
+   */
+  logout(refreshToken) {
+    return revokeRefreshToken(refreshToken);
+  }
+
+  /**
+   * Email a password reset token. Unknown addresses are ignored so the
+   * response does not reveal who has an account.
+   * @param {string} email - Email address
+   * @returns {Promise<void>}
+   */
+  async requestPasswordReset(email) {
+    const user = await ClientUsers.findOne({ email: this.normalizeEmail(email) });
+    if (!user) {
+      logger.info('Password reset requested for unknown client email');
+      return;
+    }
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    user.resetToken = hashResetToken(token);
+    user.resetTokenExpiry = new Date(Date.now() + this.resetTokenTtlMinutes * 60 * 1000);
+    await user.save();
+
+    const client = await Client.findById(user.clientId).select('preferences').lean();
+    const language = getClientLanguage(client);
+    const params = { token, minutes: this.resetTokenTtlMinutes };
+    await sendEmail(
+      user.email,
+      translate(language, 'clientAuth.passwordReset.title', params),
+      translate(language, 'clientAuth.passwordReset.message', params)
+    );
+
+    logger.info('Client password reset requested', { clientUserId: user._id.toString() });
+  }
+
+  /**
+   * Set a new password with a reset token. Unlocks the account and signs
+   * out every device.
+   * @param {string} token - Token from the reset email
+   * @param {string} password - New password
+   * @returns {Promise<void>}
+   * @throws {ValidationError} When the token is unknown or has expired
+   */
+  async resetPassword(token, password) {
+    const user = await ClientUsers.findOne({
+      resetToken: hashResetToken(token),
+      resetTokenExpiry: { $gt: new Date() }
+    });
+    if (!user) {
+      throw new ValidationError('Reset token is invalid or has expired', 'token');
+    }
+
+    user.password = password;
+    user.resetToken = undefined;
+    user.resetTokenExpiry = undefined;
+    user.loginAttempts = 0;
+    user.lockUntil = null;
+    await user.save();
+    await revokeAllUserTokens(user._id.toString(), 'password_change');
+
+    logger.info('Client password reset', { clientUserId: user._id.toString() });
+  }
+
+  /**
+   * Make sure an approved client can sign in. Clients who registered in the
+   * app keep their password; others get an account with a temporary one.
+   * @param {Object} client - Approved client
+   * @param {string} verifiedBy - Approving staff member
+   * @returns {Promise<Object>} { user, temporaryPassword } (temporaryPassword only for new accounts)
+   * @throws {ValidationError} When the client has no email address
+   */
+  async ensureAccount(client, verifiedBy) {
+    const email = this.normalizeEmail(client.personalInfo?.email);
+    if (!email) {
+      throw new ValidationError('Client email not found', 'email');
+    }
+
+    let user = await ClientUsers.findOne({ $or: [{ clientId: client._id }, { email }] });
+    if (user) {
+      if (!user.clientId.equals(client._id)) {
+        throw new ConflictError('This email address is already used by another client login', 'email');
+      }
+      user.status = 'Active';
+      user.verifiedBy = verifiedBy;
+      await user.save();
+      return { user, temporaryPassword: null };
+    }
+
+    const temporaryPassword = crypto.randomBytes(9).toString('base64url');
+    user = await ClientUsers.create({
+      clientId: client._id,
+      username: email,
+      email,
+      password: temporaryPassword,
+      verifiedBy
+    });
+    return { user, temporaryPassword };
+  }
+}
+
+module.exports = new ClientAuthService();
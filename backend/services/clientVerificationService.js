@@ -0,0 +1,418 @@
+const mongoose = require('mongoose');
+const Client = require('../models/Client');
+const Region = require('../models/Region');
+const notificationService = require('./notificationService');
+const {
+  BusinessRuleError,
+  NotFoundError,
+  ValidationError
+} = require('../utils/customErrors');
+const { logger } = require('../utils/logger');
+
+const DOCUMENT_CATEGORIES = ['identity', 'employment', 'income'];
+
+// Checklist document types, with the names regions and upload forms use for them
+const DOCUMENT_TYPES = {
+  nic: {
+    label: 'NIC',
+    category: 'identity',
+    aliases: ['id_card', 'id_copy', 'nic_front', 'nic_back', 'national_id']
+  },
+  photo: {
+    label: 'Photo',
+    category: 'identity',
+    aliases: ['selfie']
+  },
+  address_proof: {
+    label: 'Proof of address',
+    category: 'identity',
+    aliases: ['utility_bill']
+  },
+  employment_letter: {
+    label: 'Employment letter',
+    category: 'employment',
+    aliases: []
+  },
+  paysheet: {
+    label: 'Paysheet',
+    category: 'income',
+    aliases: ['payslip', 'salary_slip', 'income_proof', 'bank_statement']
+  }
+};
+
+// Used when the client's region does not configure its own list
+const DEFAULT_REQUIRED_DOCUMENTS = ['nic', 'employment_letter', 'paysheet'];
+
+/**
+ * Turn a document name such as 'Employment Letter' or 'nicFront' into snake case
+ * @param {string} name - Document name
+ * @returns {string} Snake case name
+ */
+const toSnakeCase = (name) => String(name || '')
+  .trim()
+  .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '');
+
+/**
+ * Client Verification Service
+ * Runs the document checklist behind Client.verificationStatus: documents are
+ * reviewed one at a time, rejected ones can be sent back to the client for a
+ * new upload, and the region's required documents must all be approved
+ * before the client can be approved
+ */
+class ClientVerificationService {
+  /**
+   * Resolve a document name to its checklist type
+   * @param {string} name - Type, alias or label, e.g. 'NIC', 'idCard', 'Paysheet'
+   * @returns {string} Checklist type
+   */
+  normalizeType(name) {
+    const key = toSnakeCase(name);
+    const match = Object.entries(DOCUMENT_TYPES)
+      .find(([type, definition]) => type === key || definition.aliases.includes(key));
+    return match ? match[0] : key;
+  }
+
+  /**
+   * Category a checklist type belongs to
+   * @param {string} type - Checklist type
+   * @returns {string|undefined} identity, employment or income; undefined for types the checklist does not know
+   */
+  getCategory(type) {
+    return DOCUMENT_TYPES[type]?.category;
+  }
+
+  /**
+   * Human readable name of a checklist type
+   * @param {string} type - Checklist type
+   * @returns {string} Label
+   */
+  getLabel(type) {
+    return DOCUMENT_TYPES[type]?.label
+      || type.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+  }
+
+  /**
+   * Find a client by MongoDB ID
+   * @param {string} clientId - Client ID
+   * @returns {Promise<Object>} Client document
+   * @throws {NotFoundError} When the client does not exist
+   */
+  async findClient(clientId) {
+    const client = mongoose.Types.ObjectId.isValid(clientId) && await Client.findById(clientId);
+    if (!client) {
+      throw new NotFoundError('Client', clientId);
+    }
+    return client;
+  }
+
+  /**
+   * Documents the client's region requires before approval
+   * @param {Object} client - Client document
+   * @returns {Promise<Array<string>>} Checklist types
+   */
+  async getRequiredDocuments(client) {
+    const region = client.region
+      ? await Region.findById(client.region).select('configuration.requiredDocuments').lean()
+      : null;
+    const configured = region?.configuration?.requiredDocuments || [];
+    const required = configured.length > 0 ? configured : DEFAULT_REQUIRED_DOCUMENTS;
+
+    return [...new Set(required.map(name => this.normalizeType(name)).filter(Boolean))];
+  }
+
+  /**
+   * Find a checklist document by ID
+   * @param {Object} client - Client document
+   * @param {string} documentId - Document ID
+   * @returns {{ document: Object, category: string }} The document and its category
+   * @throws {NotFoundError} When the client has no such document
+   */
+  findDocument(client, documentId) {
+    for (const category of DOCUMENT_CATEGORIES) {
+      const document = client.verificationStatus[category].documents.id(documentId);
+      if (document) {
+        return { document, category };
+      }
+    }
+    throw new NotFoundError('Document', documentId);
+  }
+
+  /**
+   * Documents of a type that have not been replaced by a newer upload
+   * @param {Object} client - Client document
+   * @param {string} [type] - Checklist type, all types when omitted
+   * @returns {Array<Object>} Documents
+   */
+  getCurrentDocuments(client, type) {
+    return DOCUMENT_CATEGORIES
+      .flatMap(category => client.verificationStatus[category].documents)
+      .filter(document => !document.supersededAt && (!type || document.type === type));
+  }
+
+  /**
+   * Review state of one checklist item
+   * @param {Array<Object>} documents - Current documents of the type
+   * @returns {string} missing, rejected, pending or approved
+   */
+  getItemStatus(documents) {
+    if (documents.length === 0) return 'missing';
+    if (documents.some(document => document.status === 'rejected')) return 'rejected';
+    if (documents.some(document => document.status === 'pending')) return 'pending';
+    return 'approved';
+  }
+
+  /**
+   * Build the client's checklist and store its completion percentage
+   * @param {Object} client - Client document, modified in place
+   * @param {string} [reviewedBy] - Staff member whose review completed the checklist
+   * @returns {Promise<Object>} { items, completionPercentage, complete, missing }
+   */
+  async refreshChecklist(client, reviewedBy) {
+    const required = await this.getRequiredDocuments(client);
+    const extra = [...new Set(this.getCurrentDocuments(client).map(document => document.type))]
+      .filter(type => !required.includes(type));
+
+    const items = [...required, ...extra].map(type => {
+      const documents = this.getCurrentDocuments(client, type);
+      return {
+        type,
+        label: this.getLabel(type),
+        category: this.getCategory(type)
+          || DOCUMENT_CATEGORIES.find(category => client.verificationStatus[category].documents.some(document => document.type === type)),
+        required: required.includes(type),
+        status: this.getItemStatus(documents),
+        documents
+      };
+    });
+
+    const requiredItems = items.filter(item => item.required);
+    const approved = requiredItems.filter(item => item.status === 'approved').length;
+    const complete = approved === requiredItems.length;
+    const completionPercentage = complete ? 100 : Math.floor((approved / requiredItems.length) * 100);
+
+    // The checklist verifies itself when it becomes complete
+    const summary = client.verificationStatus.documents;
+    const wasComplete = summary.completionPercentage === 100;
+    summary.completionPercentage = completionPercentage;
+    if (complete && !wasComplete) {
+      summary.verified = true;
+      summary.verifiedBy = reviewedBy;
+      summary.verifiedAt = new Date();
+    } else if (!complete) {
+      summary.verified = false;
+    }
+
+    return {
+      items,
+      completionPercentage,
+      complete,
+      missing: requiredItems.filter(item => item.status !== 'approved').map(item => item.type)
+    };
+  }
+
+  /**
+   * Verify a category once all of its current documents are approved, or
+   * clear its verification when one of them is rejected
+   * @param {Object} client - Client document, modified in place
+   * @param {string} category - Document category
+   * @param {string} reviewedBy - Staff ID
+   * @param {string} [reason=''] - Reason for a rejection
+   * @returns {boolean} Whether the category's verification changed
+   */
+  syncCategory(client, category, reviewedBy, reason = '') {
+    const documents = client.verificationStatus[category].documents.filter(document => !document.supersededAt);
+    const verified = documents.length > 0 && documents.every(document => document.status === 'approved');
+    const rejected = documents.some(document => document.status === 'rejected');
+
+    if (verified !== client.verificationStatus[category].verified && (verified || rejected)) {
+      client.updateVerificationStatus(category, verified, reviewedBy, reason);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Add an uploaded document to the client's checklist. A new upload of a
+   * type replaces that type's rejected documents.
+   * @param {Object} client - Client document
+   * @param {Object} upload - Uploaded document
+   * @param {string} upload.type - Document type, alias or label
+   * @param {string} upload.url - Stored file URL
+   * @param {string} [upload.category] - Category for types the checklist does not know
+   * @param {string} [upload.name] - Form field or label it was uploaded under
+   * @param {string} uploadedBy - Staff or client ID
+   * @param {string} [source='staff'] - 'staff' or 'client'
+   * @returns {Promise<Object>} The new document
+   * @throws {ValidationError} When the category cannot be determined
+   */
+  async addDocument(client, { type, url, category, name }, uploadedBy, source = 'staff') {
+    const documentType = this.normalizeType(type);
+    const documentCategory = this.getCategory(documentType) || category;
+    if (!DOCUMENT_CATEGORIES.includes(documentCategory)) {
+      throw new ValidationError(`A category is required for ${type} documents`, 'category', category);
+    }
+
+    const now = new Date();
+    this.getCurrentDocuments(client, documentType)
+      .filter(document => document.status === 'rejected')
+      .forEach(document => { document.supersededAt = now; });
+
+    const documents = client.verificationStatus[documentCategory].documents;
+    documents.push({
+      type: documentType,
+      name: name || type,
+      url,
+      uploadedAt: now,
+      uploadedBy,
+      source
+    });
+
+    client.addAuditEntry('document_uploaded', uploadedBy, { type: documentType, category: documentCategory, source });
+    await this.refreshChecklist(client);
+    await client.save();
+
+    return documents[documents.length - 1];
+  }
+
+  /**
+   * Approve or reject one document. Rejected documents can be sent back to
+   * the client for a new upload.
+   * @param {Object} client - Client document
+   * @param {string} documentId - Document ID
+   * @param {Object} review - Review
+   * @param {string} review.status - 'approved' or 'rejected'
+   * @param {string} [review.reason] - Reason for a rejection
+   * @param {boolean} [review.requestReupload=true] - Ask the client for a new copy
+   * @param {string} reviewedBy - Staff ID
+   * @returns {Promise<Object>} { document, checklist }
+   * @throws {ValidationError} When a rejection has no reason
+   */
+  async reviewDocument(client, documentId, { status, reason, requestReupload = true }, reviewedBy) {
+    const { document, category } = this.findDocument(client, documentId);
+    if (document.supersededAt) {
+      throw new BusinessRuleError('This document has been replaced by a newer upload', 'DOCUMENT_SUPERSEDED');
+    }
+    if (status === 'rejected' && !reason) {
+      throw new ValidationError('A reason is required when rejecting a document', 'reason');
+    }
+
+    document.status = status;
+    document.reviewedBy = reviewedBy;
+    document.reviewedAt = new Date();
+    document.rejectionReason = status === 'rejected' ? reason : undefined;
+    client.addAuditEntry('document_reviewed', reviewedBy, { documentId, type: document.type, status, reason });
+
+    const reupload = status === 'rejected' && requestReupload;
+    if (reupload) {
+      document.reuploadRequestedAt = new Date();
+      client.addAuditEntry('reupload_requested', reviewedBy, { documentId, type: document.type });
+    }
+
+    const categoryChanged = this.syncCategory(client, category, reviewedBy, reason);
+    const checklist = await this.refreshChecklist(client, reviewedBy);
+    await client.save();
+
+    if (reupload) {
+      await notificationService.notifyDocumentReupload(client._id, {
+        label: this.getLabel(document.type),
+        reason
+      }, reviewedBy);
+    }
+    // Identity verification is the client's KYC decision
+    if (category === 'identity' && categoryChanged) {
+      await notificationService.notifyKycDecision(client._id, client.verificationStatus.identity.verified, reason, reviewedBy);
+    }
+
+    logger.info('Client document reviewed', {
+      clientId: client._id,
+      documentId,
+      status,
+      reupload,
+      completionPercentage: checklist.completionPercentage
+    });
+
+    return { document, checklist };
+  }
+
+  /**
+   * Verify or reject a whole category. Verifying a document category approves
+   * its pending documents; verifying 'documents' requires a complete checklist.
+   * @param {Object} client - Client document
+   * @param {string} category - identity, employment, income or documents
+   * @param {boolean} verified - Outcome
+   * @param {string} verifiedBy - Staff ID
+   * @param {string} [reason=''] - Reason for a rejection
+   * @returns {Promise<Object>} The checklist
+   * @throws {BusinessRuleError} When there is nothing to verify
+   */
+  async updateVerification(client, category, verified, verifiedBy, reason = '') {
+    if (category === 'documents') {
+      const checklist = verified
+        ? await this.assertReadyForApproval(client)
+        : await this.refreshChecklist(client);
+      client.updateVerificationStatus(category, verified, verifiedBy, reason);
+      await client.save();
+      return checklist;
+    }
+
+    const current = client.verificationStatus[category].documents.filter(document => !document.supersededAt);
+    if (verified && current.length === 0) {
+      throw new BusinessRuleError(`Upload the client's ${category} documents before verifying them`, 'CLIENT_DOCUMENTS_MISSING');
+    }
+
+    const pending = current.filter(document => document.status === 'pending');
+    pending.forEach(document => {
+      document.status = verified ? 'approved' : 'rejected';
+      document.reviewedBy = verifiedBy;
+      document.reviewedAt = new Date();
+      document.rejectionReason = verified ? undefined : reason;
+    });
+
+    client.updateVerificationStatus(category, verified, verifiedBy, reason);
+    const checklist = await this.refreshChecklist(client, verifiedBy);
+    await client.save();
+
+    if (category === 'identity') {
+      await notificationService.notifyKycDecision(client._id, verified, reason, verifiedBy);
+    }
+
+    return checklist;
+  }
+
+  /**
+   * Require every document the client's region asks for to be approved
+   * @param {Object} client - Client document
+   * @returns {Promise<Object>} The checklist
+   * @throws {BusinessRuleError} When a required document is missing or not approved
+   */
+  async assertReadyForApproval(client) {
+    const checklist = await this.refreshChecklist(client);
+    if (!checklist.complete) {
+      throw new BusinessRuleError(
+        `Required documents are not all approved: ${checklist.missing.map(type => this.getLabel(type)).join(', ')}`,
+        'REQUIRED_DOCUMENTS_INCOMPLETE',
+        { missing: checklist.missing }
+      );
+    }
+    return checklist;
+  }
+
+  /**
+   * KYC state shown to the client in the mobile app
+   * @param {Object} client - Client document
+   * @returns {string} approved, action_required, under_review or pending
+   */
+  getKycStatus(client) {
+    if (client.verificationStatus.identity.verified) return 'approved';
+
+    const documents = this.getCurrentDocuments(client);
+    if (documents.some(document => document.status === 'rejected')) return 'action_required';
+    if (documents.length > 0) return 'under_review';
+    return 'pending';
+  }
+}
+
+module.exports = new ClientVerificationService();
@@ -0,0 +1,475 @@
+const mongoose = require('mongoose');
+const CollectionSheet = require('../models/CollectionSheet');
+const Loan = require('../models/Loan');
+const Payment = require('../models/Payment');
+const RepaymentSchedule = require('../models/RepaymentSchedule');
+const Staff = require('../models/Staff');
+const paymentAllocationService = require('./paymentAllocationService');
+const { roundCurrency } = require('../utils/interestCalculator');
+const {
+  AuthorizationError,
+  BusinessRuleError,
+  ConflictError,
+  NotFoundError,
+  ValidationError
+} = require('../utils/customErrors');
+const { logger } = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Collection days follow Sri Lanka time (UTC+05:30, no daylight saving)
+const LOCAL_OFFSET_MS = 330 * 60 * 1000;
+
+// Roles that may act on sheets in any region
+const UNSCOPED_ROLES = ['moderate_admin', 'super_admin'];
+
+const sameId = (a, b) => !!a && !!b && String(a._id || a) === String(b._id || b);
+
+/**
+ * Collection Sheet Service
+ * Daily route sheets for field agents: the installments due from their
+ * clients, the cash collected against them with numbered receipts, and the
+ * end-of-day hand-over of that cash, which the regional manager counts and
+ * reconciles. Collected payments are verified when the cash is reconciled.
+ */
+class CollectionSheetService {
+  /**
+   * The local collection day of a date, as UTC midnight of that day
+   * @param {Date|string} [date] - Any time on the day, today by default
+   * @returns {Date} Collection day
+   */
+  toCollectionDay(date = new Date()) {
+    const local = new Date(new Date(date).getTime() + LOCAL_OFFSET_MS);
+    return new Date(local.toISOString().slice(0, 10));
+  }
+
+  /**
+   * Query filter for the sheets a staff member may see
+   * @param {Object} user - Staff member (req.user)
+   * @returns {Object} Mongo filter
+   */
+  getScopeFilter(user) {
+    if (UNSCOPED_ROLES.includes(user.role)) {
+      return {};
+    }
+
+    if (user.role === 'agent') {
+      return { agent: user.userId };
+    }
+
+    if (user.role === 'regional_manager' && user.region) {
+      return { region: user.region };
+    }
+
+    return { _id: null };
+  }
+
+  /**
+   * Find a sheet within the user's scope
+   * @param {string} sheetId - Sheet ObjectId or sheetId (CSH...)
+   * @param {Object} user - Staff member (req.user)
+   * @returns {Promise<Object>} CollectionSheet document
+   * @throws {NotFoundError} When there is no such sheet in scope
+   */
+  async findSheet(sheetId, user) {
+    const sheet = await CollectionSheet.findOne({
+      ...(mongoose.Types.ObjectId.isValid(sheetId) ? { _id: sheetId } : { sheetId }),
+      ...this.getScopeFilter(user)
+    });
+
+    if (!sheet) {
+      throw new NotFoundError('Collection sheet', sheetId);
+    }
+    return sheet;
+  }
+
+  /**
+   * Build the lines of an agent's route: one per active loan with open
+   * installments due on or before the day
+   * @param {string} agentId - Agent Staff ObjectId
+   * @param {Date} collectionDay - Collection day
+   * @returns {Promise<Array>} Sheet lines, earliest due first
+   */
+  async buildLines(agentId, collectionDay) {
+    const endOfDay = new Date(collectionDay.getTime() + DAY_MS - LOCAL_OFFSET_MS);
+
+    const loans = await Loan.find({ assignedAgent: agentId, loanStatus: 'Active' })
+      .select('clientUserId')
+      .lean();
+    const schedules = await RepaymentSchedule.find({
+      loanId: { $in: loans.map(loan => loan._id) },
+      isCurrent: true
+    });
+    const scheduleByLoan = new Map(schedules.map(schedule => [String(schedule.loanId), schedule]));
+
+    const lines = [];
+    loans.forEach(loan => {
+      const schedule = scheduleByLoan.get(String(loan._id));
+      if (!schedule) return;
+
+      const due = schedule.getOpenInstallments().filter(installment => installment.dueDate < endOfDay);
+      const amountDue = roundCurrency(due.reduce((sum, installment) => sum + Math.max(installment.outstanding, 0), 0));
+      if (amountDue <= 0) return;
+
+      lines.push({
+        loanId: loan._id,
+        clientId: loan.clientUserId,
+        installmentNumber: due[0].installmentNumber,
+        dueDate: due[0].dueDate,
+        amountDue
+      });
+    });
+
+    return lines.sort((a, b) => a.dueDate - b.dueDate);
+  }
+
+  /**
+   * Generate an agent's collection sheet for a day. Returns the existing
+   * sheet when one was already generated.
+   * @param {Object} data - Sheet request
+   * @param {string} [data.agentId] - Agent, the requesting agent by default
+   * @param {Date|string} [data.date] - Collection day, today by default
+   * @param {Object} user - Staff member (req.user)
+   * @returns {Promise<{sheet: Object, created: boolean}>}
+   */
+  async generateSheet({ agentId, date } = {}, user) {
+    const targetId = agentId || user.userId;
+    const agent = await Staff.findOne({ _id: targetId, role: 'agent' }).select('region name').lean();
+    if (!agent) {
+      throw new NotFoundError('Agent', targetId);
+    }
+
+    const allowed = UNSCOPED_ROLES.includes(user.role) ||
+      (user.role === 'agent' && sameId(agent._id, user.userId)) ||
+      (user.role === 'regional_manager' && sameId(agent.region, user.region));
+    if (!allowed) {
+      throw new AuthorizationError('You cannot generate collection sheets for this agent', 'regional_manager', user.role);
+    }
+
+    const collectionDate = this.toCollectionDay(date);
+    const existing = await CollectionSheet.findOne({ agent: agent._id, collectionDate });
+    if (existing) {
+      return { sheet: existing, created: false };
+    }
+
+    const sheet = new CollectionSheet({
+      agent: agent._id,
+      region: agent.region,
+      collectionDate,
+      lines: await this.buildLines(agent._id, collectionDate),
+      generatedBy: user.userId
+    });
+    sheet.refreshTotals();
+    await sheet.save();
+
+    logger.info('Collection sheet generated', {
+      sheetId: sheet.sheetId,
+      agentId: agent._id,
+      collectionDate: collectionDate.toISOString().slice(0, 10),
+      lines: sheet.totals.lines,
+      due: sheet.totals.due
+    });
+
+    return { sheet, created: true };
+  }
+
+  /**
+   * List sheets in the user's scope, newest day first
+   * @param {Object} user - Staff member (req.user)
+   * @param {Object} [options] - Filters and paging
+   * @returns {Promise<Object>} Sheets with pagination
+   */
+  async listSheets(user, { date, status, agentId, shortage, page = 1, limit = 20 } = {}) {
+    const query = {
+      ...this.getScopeFilter(user),
+      ...(status && { status }),
+      ...(date && { collectionDate: this.toCollectionDay(date) }),
+      ...(shortage !== undefined && { shortageFlagged: shortage })
+    };
+    if (agentId && !query.agent) {
+      query.agent = agentId;
+    }
+
+    const [sheets, total] = await Promise.all([
+      CollectionSheet.find(query)
+        .select('-lines -collections')
+        .populate('agent', 'name email')
+        .sort({ collectionDate: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      CollectionSheet.countDocuments(query)
+    ]);
+
+    return {
+      sheets,
+      pagination: { total, page, pages: Math.ceil(total / limit), limit }
+    };
+  }
+
+  /**
+   * Get a sheet with its clients and collections
+   * @param {string} sheetId - Sheet ObjectId or sheetId
+   * @param {Object} user - Staff member (req.user)
+   * @returns {Promise<Object>} CollectionSheet document
+   */
+  async getSheet(sheetId, user) {
+    const sheet = await this.findSheet(sheetId, user);
+    return sheet.populate([
+      { path: 'agent', select: 'name email' },
+      { path: 'lines.clientId', select: 'registrationId personalInfo.fullName personalInfo.contactNumber personalInfo.address' },
+      { path: 'lines.loanId', select: 'loanApplicationId calculatedFields.remainingBalance' }
+    ]);
+  }
+
+  /**
+   * Record cash collected from a client on the agent's open sheet and issue
+   * a numbered receipt. The payment waits, unverified, for the hand-over.
+   * @param {string} sheetId - Sheet ObjectId or sheetId
+   * @param {string} lineId - Sheet line ObjectId
+   * @param {Object} data - Collection
+   * @param {number} data.amount - Cash collected
+   * @param {string} [data.notes] - Notes
+   * @param {Object} user - Collecting agent (req.user)
+   * @returns {Promise<Object>} { sheet, receipt, payment }
+   */
+  async recordCollection(sheetId, lineId, { amount, notes }, user) {
+    const sheet = await this.findSheet(sheetId, user);
+
+    if (!sameId(sheet.agent, user.userId)) {
+      throw new AuthorizationError('Only the agent of the sheet can record collections', 'agent', user.role);
+    }
+    if (sheet.status !== 'open') {
+      throw new ConflictError(`Collection sheet is already ${sheet.status}`, 'status');
+    }
+
+    const line = sheet.lines.id(lineId);
+    if (!line) {
+      throw new NotFoundError('Collection sheet line', lineId);
+    }
+
+    const collected = roundCurrency(amount);
+    if (!(collected > 0)) {
+      throw new ValidationError('Collected amount must be greater than zero', 'amount', amount);
+    }
+
+    const loan = await Loan.findById(line.loanId).select('calculatedFields loanStatus').lean();
+    const remainingBalance = loan?.calculatedFields?.remainingBalance;
+    if (remainingBalance !== undefined && collected > roundCurrency(remainingBalance)) {
+      throw new BusinessRuleError('Collected amount exceeds the outstanding loan balance', 'PAYMENT_EXCEEDS_BALANCE', {
+        amount: collected,
+        remainingBalance
+      });
+    }
+
+    // Take the next receipt number atomically so two collections never share one
+    const numbered = await CollectionSheet.findOneAndUpdate(
+      { _id: sheet._id, status: 'open' },
+      { $inc: { receiptSequence: 1 } },
+      { new: true, projection: { receiptSequence: 1 } }
+    );
+    if (!numbered) {
+      throw new ConflictError('Collection sheet is no longer open', 'status');
+    }
+    const receiptNumber = `${sheet.sheetId}-${String(numbered.receiptSequence).padStart(3, '0')}`;
+    const collectedAt = new Date();
+
+    const payment = new Payment({
+      loanId: line.loanId,
+      clientId: line.clientId,
+      paymentAmount: collected,
+      paymentDate: collectedAt,
+      paymentMethod: 'cash_deposit',
+      referenceNumber: receiptNumber,
+      installmentNumber: line.installmentNumber,
+      notes,
+      status: 'processing',
+      fieldCollection: {
+        collectedBy: user.userId,
+        sheet: sheet._id,
+        sheetId: sheet.sheetId,
+        receiptNumber,
+        collectedAt
+      }
+    });
+    payment.addAuditEntry('collected', user.userId, { sheetId: sheet.sheetId, receiptNumber });
+    await payment.save();
+
+    sheet.collections.push({
+      receiptNumber,
+      lineId: line._id,
+      loanId: line.loanId,
+      clientId: line.clientId,
+      amount: collected,
+      payment: payment._id,
+      collectedAt,
+      notes
+    });
+    sheet.refreshTotals();
+    await sheet.save();
+
+    logger.info('Field collection recorded', {
+      sheetId: sheet.sheetId,
+      receiptNumber,
+      loanId: line.loanId,
+      amount: collected
+    });
+
+    return {
+      sheet,
+      payment,
+      receipt: {
+        receiptNumber,
+        sheetId: sheet.sheetId,
+        paymentId: payment.paymentId,
+        loanId: line.loanId,
+        clientId: line.clientId,
+        installmentNumber: line.installmentNumber,
+        amount: collected,
+        collectedBy: user.userId,
+        collectedAt
+      }
+    };
+  }
+
+  /**
+   * Submit the day's cash hand-over. No further collections can be recorded
+   * on the sheet.
+   * @param {string} sheetId - Sheet ObjectId or sheetId
+   * @param {Object} data - Hand-over
+   * @param {number} data.declaredAmount - Cash the agent hands over
+   * @param {string} [data.notes] - Notes
+   * @param {Object} user - Agent (req.user)
+   * @returns {Promise<Object>} CollectionSheet document
+   */
+  async submitHandover(sheetId, { declaredAmount, notes }, user) {
+    const sheet = await this.findSheet(sheetId, user);
+
+    if (!sameId(sheet.agent, user.userId)) {
+      throw new AuthorizationError('Only the agent of the sheet can hand over its cash', 'agent', user.role);
+    }
+    if (sheet.status !== 'open') {
+      throw new ConflictError(`Collection sheet is already ${sheet.status}`, 'status');
+    }
+
+    sheet.refreshTotals();
+    sheet.status = 'submitted';
+    sheet.handover = {
+      declaredAmount: roundCurrency(declaredAmount),
+      submittedAt: new Date(),
+      notes
+    };
+    await sheet.save();
+
+    logger.info('Cash hand-over submitted', {
+      sheetId: sheet.sheetId,
+      declaredAmount: sheet.handover.declaredAmount,
+      collected: sheet.totals.collected
+    });
+
+    return sheet;
+  }
+
+  /**
+   * Reconcile a submitted hand-over: compare the cash counted with what was
+   * recorded as collected, flag any shortage and verify the collected payments
+   * @param {string} sheetId - Sheet ObjectId or sheetId
+   * @param {Object} data - Count
+   * @param {number} [data.receivedAmount] - Cash counted, the declared amount by default
+   * @param {string} [data.notes] - Notes, required for a shortage
+   * @param {Object} user - Regional manager (req.user)
+   * @returns {Promise<Object>} { sheet, verified }
+   */
+  async reconcileHandover(sheetId, { receivedAmount, notes }, user) {
+    const sheet = await this.findSheet(sheetId, user);
+
+    if (sameId(sheet.agent, user.userId) || !['regional_manager', ...UNSCOPED_ROLES].includes(user.role)) {
+      throw new AuthorizationError('The hand-over must be reconciled by a regional manager', 'regional_manager', user.role);
+    }
+    if (sheet.status !== 'submitted') {
+      throw new ConflictError(
+        sheet.status === 'open' ? 'Cash hand-over has not been submitted' : 'Collection sheet is already reconciled',
+        'status'
+      );
+    }
+
+    sheet.refreshTotals();
+    const expectedAmount = sheet.totals.collected;
+    const received = roundCurrency(receivedAmount !== undefined ? receivedAmount : sheet.handover.declaredAmount);
+    const variance = roundCurrency(received - expectedAmount);
+    const outcome = variance < 0 ? 'shortage' : variance > 0 ? 'excess' : 'balanced';
+
+    if (outcome === 'shortage' && !notes) {
+      throw new ValidationError('Notes are required when the hand-over is short', 'notes');
+    }
+
+    // The clients paid in full whatever the agent handed over, so every
+    // receipted collection is verified; the shortage stays with the agent.
+    // Payments verified by an earlier attempt are not verified again
+    const payments = await Payment.find(
+      { _id: { $in: sheet.collections.map(collection => collection.payment) } },
+      'status'
+    );
+    const alreadyVerified = new Set(payments
+      .filter(payment => payment.status === 'verified')
+      .map(payment => String(payment._id)));
+
+    const verified = [];
+    const failed = [];
+    for (const collection of sheet.collections) {
+      if (alreadyVerified.has(String(collection.payment))) {
+        verified.push(collection.receiptNumber);
+        continue;
+      }
+      try {
+        await paymentAllocationService.verifyPayment(collection.payment, user.userId, {
+          notes: `Cash collection ${collection.receiptNumber} handed over on sheet ${sheet.sheetId}`
+        });
+        verified.push(collection.receiptNumber);
+      } catch (error) {
+        logger.warn('Collected payment could not be verified', {
+          sheetId: sheet.sheetId,
+          receiptNumber: collection.receiptNumber,
+          error: error.message
+        });
+        failed.push({ receiptNumber: collection.receiptNumber, error: error.message });
+      }
+    }
+
+    // Every collection must be verified before the sheet is closed; it stays
+    // submitted so the reconciliation can be retried once the cause is fixed
+    if (failed.length > 0) {
+      throw new BusinessRuleError(
+        'Some collected payments could not be verified; the hand-over was not reconciled',
+        'COLLECTIONS_NOT_VERIFIED',
+        { sheetId: sheet.sheetId, verified, failed }
+      );
+    }
+
+    sheet.status = 'reconciled';
+    sheet.reconciliation = {
+      expectedAmount,
+      receivedAmount: received,
+      variance,
+      outcome,
+      reconciledBy: user.userId,
+      reconciledAt: new Date(),
+      notes
+    };
+    sheet.shortageFlagged = outcome === 'shortage';
+    await sheet.save();
+
+    logger[outcome === 'shortage' ? 'warn' : 'info']('Cash hand-over reconciled', {
+      sheetId: sheet.sheetId,
+      agentId: sheet.agent,
+      expectedAmount,
+      receivedAmount: received,
+      variance,
+      outcome
+    });
+
+    return { sheet, verified };
+  }
+}
+
+module.exports = new CollectionSheetService();
@@ -0,0 +1,383 @@
+const mongoose = require('mongoose');
+const Client = require('../models/Client');
+const Loan = require('../models/Loan');
+const Grantor = require('../models/Grantor');
+const RepaymentSchedule = require('../models/RepaymentSchedule');
+const Scorecard = require('../models/Scorecard');
+const { roundCurrency } = require('../utils/interestCalculator');
+const {
+  BusinessRuleError,
+  ConflictError,
+  NotFoundError,
+  ValidationError
+} = require('../utils/customErrors');
+const { logger } = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Applications whose risk score follows the client's assessment
+const OPEN_APPLICATION_STATUSES = ['Pending', 'Under Review'];
+
+/**
+ * Convert a free text employment duration ("2 years", "18 months", "3.5")
+ * to months. Bare numbers are read as years.
+ * @param {string|number} duration - Employment duration
+ * @returns {number|null} Months, or null when it cannot be read
+ */
+const parseTenureMonths = (duration) => {
+  if (duration == null || duration === '') {
+    return null;
+  }
+
+  const text = String(duration).toLowerCase();
+  const years = text.match(/(\d+(?:\.\d+)?)\s*(?:years?|yrs?|y\b)/);
+  const months = text.match(/(\d+(?:\.\d+)?)\s*(?:months?|mos?|m\b)/);
+
+  if (years || months) {
+    return Math.round((years ? parseFloat(years[1]) * 12 : 0) + (months ? parseFloat(months[1]) : 0));
+  }
+
+  const number = parseFloat(text);
+  return Number.isFinite(number) ? Math.round(number * 12) : null;
+};
+
+/**
+ * Credit Scoring Service
+ * Scores clients against the active scorecard and keeps Client.riskProfile and
+ * Loan.calculatedFields.riskScore up to date
+ */
+class CreditScoringService {
+  /**
+   * Find the band of a factor matching a value
+   * @param {Object} factor - Scorecard factor
+   * @param {number|string|null} value - Input value
+   * @returns {Object|null} Matching band
+   */
+  findBand(factor, value) {
+    if (value == null) {
+      return null;
+    }
+
+    return factor.bands.find(band => {
+      if (band.equals != null) {
+        return band.equals === value;
+      }
+      return (band.min == null || value >= band.min) && (band.max == null || value < band.max);
+    }) || null;
+  }
+
+  /**
+   * Map a score to a risk level
+   * @param {number} score - Score (0-100)
+   * @param {Object} thresholds - Highest score of the low, medium and high levels
+   * @returns {string} Risk level
+   */
+  getRiskLevel(score, thresholds) {
+    if (score <= thresholds.low) return 'low';
+    if (score <= thresholds.medium) return 'medium';
+    if (score <= thresholds.high) return 'high';
+    return 'very_high';
+  }
+
+  /**
+   * Score inputs against a scorecard
+   * @param {Object} scorecard - Scorecard
+   * @param {Object} inputs - Input values keyed by scoring input
+   * @returns {Object} score, riskLevel and the breakdown per factor
+   */
+  score(scorecard, inputs) {
+    const totalWeight = scorecard.factors.reduce((sum, factor) => sum + factor.weight, 0);
+
+    const factors = scorecard.factors.map(factor => {
+      const value = inputs[factor.input] ?? null;
+      const band = this.findBand(factor, value);
+      const points = band ? band.points : factor.missingPoints;
+
+      return {
+        input: factor.input,
+        label: factor.label || factor.input,
+        value,
+        band: band ? band.label || null : 'Not available',
+        points,
+        weight: factor.weight,
+        contribution: roundCurrency((points * factor.weight) / totalWeight)
+      };
+    });
+
+    const score = Math.round(factors.reduce((sum, factor) => sum + factor.contribution, 0));
+
+    return {
+      score,
+      riskLevel: this.getRiskLevel(score, scorecard.levelThresholds),
+      scorecardVersion: scorecard.version,
+      factors
+    };
+  }
+
+  /**
+   * Explain a factor in one line for Client.riskProfile.factors
+   * @param {Object} factor - Scored factor
+   * @returns {string} Explanation
+   */
+  explain(factor) {
+    const value = factor.value == null
+      ? 'unknown'
+      : typeof factor.value === 'number' ? roundCurrency(factor.value) : factor.value;
+    return `${factor.label}: ${value} (${factor.band}) - ${factor.contribution} of ${factor.weight}% weight`;
+  }
+
+  /**
+   * Collect the scoring inputs of a client
+   * @param {Object} client - Client document
+   * @param {Object} [loan] - Loan being assessed
+   * @param {Date} [asOf=new Date()] - Assessment date
+   * @returns {Promise<Object>} Input values keyed by scoring input
+   */
+  async gatherInputs(client, loan = null, asOf = new Date()) {
+    const loans = await Loan.find({ clientUserId: client._id })
+      .select('loanStatus monthlyInstallment calculatedFields.daysOverdue')
+      .lean();
+
+    // Debt-to-income: installments of active loans plus the loan being assessed
+    const income = client.verificationStatus?.income?.monthlyIncomeVerified
+      || client.employmentDetails?.monthlyIncome
+      || null;
+    const installments = loans
+      .filter(item => item.loanStatus === 'Active' && (!loan || String(item._id) !== String(loan._id)))
+      .reduce((sum, item) => sum + (item.monthlyInstallment || 0), 0)
+      + (loan?.monthlyInstallment || 0);
+
+    const completed = loans.filter(item => item.loanStatus === 'Completed').length;
+    const defaulted = loans.filter(item => item.loanStatus === 'Defaulted').length;
+
+    // Longest delay on any installment, paid late or still unpaid
+    const repaidLoans = loans.filter(item => ['Active', 'Completed', 'Defaulted'].includes(item.loanStatus));
+    let maxDaysOverdue = null;
+    if (repaidLoans.length > 0) {
+      maxDaysOverdue = Math.max(0, ...repaidLoans.map(item => item.calculatedFields?.daysOverdue || 0));
+
+      // Only current schedules: superseded versions keep their unpaid rows
+      const schedules = await RepaymentSchedule.find({
+        loanId: { $in: repaidLoans.map(item => item._id) },
+        isCurrent: true
+      })
+        .select('installments.dueDate installments.paidAt installments.status')
+        .lean();
+      for (const schedule of schedules) {
+        for (const installment of schedule.installments) {
+          const settledAt = installment.status === 'paid' ? installment.paidAt : asOf;
+          if (settledAt && settledAt > installment.dueDate) {
+            maxDaysOverdue = Math.max(maxDaysOverdue, Math.floor((settledAt - installment.dueDate) / DAY_MS));
+          }
+        }
+      }
+    }
+
+    // Guarantor strength: guarantor income against the installment
+    let guarantorCoverage = null;
+    const guarantorIds = [loan?.primaryGuarantor, loan?.secondaryGuarantor].filter(Boolean);
+    if (guarantorIds.length > 0 && loan.monthlyInstallment > 0) {
+      const guarantors = await Grantor.find({ _id: { $in: guarantorIds } })
+        .select('employmentDetails.monthlyIncome')
+        .lean();
+      const guarantorIncome = guarantors.reduce((sum, item) => sum + (item.employmentDetails?.monthlyIncome || 0), 0);
+      guarantorCoverage = roundCurrency(guarantorIncome / loan.monthlyInstallment);
+    }
+
+    return {
+      debtToIncome: income ? roundCurrency((installments / income) * 100) : null,
+      employmentType: client.employmentDetails?.employmentType || null,
+      employmentTenureMonths: parseTenureMonths(client.employmentDetails?.employmentDuration),
+      loanCompletionRate: completed + defaulted > 0 ? roundCurrency((completed / (completed + defaulted)) * 100) : null,
+      defaultedLoans: defaulted,
+      maxDaysOverdue,
+      guarantorCoverage
+    };
+  }
+
+  /**
+   * Assess a client with the active scorecard and write the result to the
+   * client's riskProfile and to the loan's riskScore
+   * @param {string} clientId - Client ID
+   * @param {Object} [options] - Assessment options
+   * @param {string} [options.loanId] - Loan being assessed (defaults to the latest open application)
+   * @param {string} [options.assessedBy] - Staff ID
+   * @param {Date} [options.asOf=new Date()] - Assessment date
+   * @returns {Promise<Object>} Assessment with score, level, factors and inputs
+   */
+  async assessClient(clientId, { loanId, assessedBy, asOf = new Date() } = {}) {
+    const client = await Client.findById(clientId);
+    if (!client) {
+      throw new NotFoundError('Client', clientId);
+    }
+
+    let loan = null;
+    if (loanId) {
+      loan = await Loan.findOne(
+        mongoose.Types.ObjectId.isValid(loanId) ? { _id: loanId } : { loanApplicationId: loanId }
+      );
+      if (!loan || String(loan.clientUserId) !== String(client._id)) {
+        throw new NotFoundError('Loan', loanId);
+      }
+    } else {
+      loan = await Loan.findOne({ clientUserId: client._id, loanStatus: { $in: OPEN_APPLICATION_STATUSES } })
+        .sort({ createdAt: -1 });
+    }
+
+    const scorecard = await Scorecard.getActive();
+    const inputs = await this.gatherInputs(client, loan, asOf);
+    const result = this.score(scorecard, inputs);
+
+    client.riskProfile = {
+      ...(client.riskProfile?.toObject?.() || {}),
+      score: result.score,
+      riskLevel: result.riskLevel,
+      factors: result.factors.map(factor => this.explain(factor)),
+      lastAssessed: asOf,
+      assessedBy,
+      scorecardVersion: result.scorecardVersion
+    };
+    await client.save();
+
+    if (loan) {
+      loan.calculatedFields.riskScore = result.score;
+      await loan.save();
+    }
+
+    logger.info('Client risk assessed', {
+      clientId: client._id,
+      loanId: loan?._id,
+      score: result.score,
+      riskLevel: result.riskLevel,
+      scorecardVersion: result.scorecardVersion
+    });
+
+    return {
+      clientId: client._id,
+      loanId: loan?._id || null,
+      assessedAt: asOf,
+      ...result,
+      inputs
+    };
+  }
+
+  /**
+   * List scorecard versions, newest first
+   * @returns {Promise<Array>} Scorecards
+   */
+  async listScorecards() {
+    return Scorecard.find().sort({ version: -1 });
+  }
+
+  /**
+   * Create a draft scorecard. Fields left out are copied from the active one.
+   * @param {Object} data - name, factors, levelThresholds and notes
+   * @param {string} staffId - Creating admin
+   * @returns {Promise<Object>} Draft scorecard
+   */
+  async createDraft(data, staffId) {
+    const [active, latest] = await Promise.all([
+      Scorecard.getActive(),
+      Scorecard.findOne().sort({ version: -1 }).select('version')
+    ]);
+
+    const draft = new Scorecard({
+      version: (latest?.version || 0) + 1,
+      name: data.name || `${active.name} (draft)`,
+      factors: data.factors || active.factors.map(factor => factor.toObject()),
+      levelThresholds: data.levelThresholds || active.levelThresholds,
+      notes: data.notes,
+      status: 'draft',
+      createdBy: staffId
+    });
+    this.validateThresholds(draft.levelThresholds);
+    await this.saveScorecard(draft);
+
+    return draft;
+  }
+
+  /**
+   * Edit a draft scorecard
+   * @param {number} version - Scorecard version
+   * @param {Object} data - name, factors, levelThresholds and notes
+   * @returns {Promise<Object>} Updated scorecard
+   * @throws {ConflictError} When the version is not a draft
+   */
+  async updateDraft(version, data) {
+    const scorecard = await Scorecard.findOne({ version });
+    if (!scorecard) {
+      throw new NotFoundError('Scorecard', version);
+    }
+    if (scorecard.status !== 'draft') {
+      throw new ConflictError('Only draft scorecards can be edited; create a new version instead', 'status');
+    }
+
+    ['name', 'factors', 'levelThresholds', 'notes'].forEach(field => {
+      if (data[field] !== undefined) scorecard[field] = data[field];
+    });
+    this.validateThresholds(scorecard.levelThresholds);
+    await this.saveScorecard(scorecard);
+
+    return scorecard;
+  }
+
+  /**
+   * Make a draft the active scorecard and retire the previous one
+   * @param {number} version - Scorecard version
+   * @param {string} staffId - Activating admin
+   * @returns {Promise<Object>} Activated scorecard
+   */
+  async activate(version, staffId) {
+    const scorecard = await Scorecard.findOne({ version });
+    if (!scorecard) {
+      throw new NotFoundError('Scorecard', version);
+    }
+    if (scorecard.status !== 'draft') {
+      throw new BusinessRuleError(`Scorecard ${version} is ${scorecard.status}`, 'SCORECARD_NOT_DRAFT');
+    }
+
+    const now = new Date();
+    await Scorecard.updateMany({ status: 'active' }, { status: 'retired', retiredAt: now });
+
+    scorecard.status = 'active';
+    scorecard.activatedAt = now;
+    scorecard.activatedBy = staffId;
+    await scorecard.save();
+
+    logger.info('Scorecard activated', { version, activatedBy: staffId });
+    return scorecard;
+  }
+
+  /**
+   * Save a scorecard, reporting schema errors (unknown inputs, missing
+   * weights) as validation errors
+   * @param {Object} scorecard - Scorecard document
+   */
+  async saveScorecard(scorecard) {
+    try {
+      await scorecard.save();
+    } catch (error) {
+      if (error instanceof mongoose.Error.ValidationError) {
+        throw new ValidationError(error.message, Object.keys(error.errors)[0]);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check the level thresholds rise from low to high
+   * @param {Object} thresholds - Level thresholds
+   * @throws {ValidationError} When they are out of order or out of range
+   */
+  validateThresholds(thresholds) {
+    const { low, medium, high } = thresholds || {};
+    if (!(low >= 0 && low < medium && medium < high && high <= 100)) {
+      throw new ValidationError('Level thresholds must satisfy 0 <= low < medium < high <= 100', 'levelThresholds', thresholds);
+    }
+  }
+}
+
+const creditScoringService = new CreditScoringService();
+creditScoringService.parseTenureMonths = parseTenureMonths;
+
+module.exports = creditScoringService;
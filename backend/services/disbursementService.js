@@ -0,0 +1,405 @@
+const mongoose = require('mongoose');
+const Disbursement = require('../models/Disbursement');
+const LoanProduct = require('../models/LoanProduct');
+const scheduleService = require('./scheduleService');
+const loanProductService = require('./loanProductService');
+const notificationService = require('./notificationService');
+const { roundCurrency } = require('../utils/interestCalculator');
+const {
+  AuthorizationError,
+  BusinessRuleError,
+  ConflictError,
+  NotFoundError
+} = require('../utils/customErrors');
+const { logger } = require('../utils/logger');
+
+// Tranches that count against the loan amount
+const OPEN_STATUSES = ['pending_approval', 'disbursed'];
+
+const sameId = (a, b) => !!a && !!b && String(a._id || a) === String(b._id || b);
+
+/**
+ * Disbursement Service
+ * Pays out approved loans in one or more tranches under maker-checker
+ * control and activates the loan once the full amount has left
+ */
+class DisbursementService {
+  /**
+   * Number of tranches the loan's product allows in the loan's region
+   * @param {Object} loan - Loan document
+   * @returns {Promise<number>} Maximum tranches
+   */
+  async getMaxTranches(loan) {
+    const product = loan.loanProduct
+      ? await LoanProduct.findById(loan.loanProduct)
+      : await loanProductService.findActiveByName(loan.product);
+
+    return product ? loanProductService.resolveTerms(product, loan.region).maxTranches : 1;
+  }
+
+  /**
+   * Amounts withheld from the first tranche: the down payment, unless the
+   * client already paid it, and the product fees
+   * @param {Object} loan - Loan document
+   * @returns {Object} Down payment, fee lines and their total
+   */
+  calculateDeductions(loan) {
+    const downPayment = loan.downPayment?.status === 'Verified' ? 0 : (loan.downPayment?.amount || 0);
+    const fees = (loan.fees || []).map(fee => ({ name: fee.name, amount: roundCurrency(fee.amount || 0) }));
+
+    return {
+      downPayment: roundCurrency(downPayment),
+      fees,
+      total: roundCurrency(downPayment + fees.reduce((sum, fee) => sum + fee.amount, 0))
+    };
+  }
+
+  /**
+   * Summarise the tranches of a loan
+   * @param {Object} loan - Loan document
+   * @param {Array<Object>} disbursements - Disbursement records of the loan
+   * @param {number} maxTranches - Maximum tranches
+   * @returns {Object} Disbursed, pending and remaining amounts
+   */
+  getPlan(loan, disbursements, maxTranches) {
+    const sum = (status) => roundCurrency(disbursements
+      .filter(item => item.status === status)
+      .reduce((total, item) => total + item.amount, 0));
+
+    const disbursedAmount = sum('disbursed');
+    const pendingAmount = sum('pending_approval');
+
+    return {
+      loanAmount: loan.loanAmount,
+      maxTranches,
+      tranchesUsed: disbursements.filter(item => OPEN_STATUSES.includes(item.status)).length,
+      disbursedAmount,
+      pendingAmount,
+      remainingAmount: roundCurrency(Math.max(0, loan.loanAmount - disbursedAmount - pendingAmount)),
+      isFullyDisbursed: disbursedAmount >= loan.loanAmount
+    };
+  }
+
+  /**
+   * Get the tranches of a loan with its disbursement plan
+   * @param {Object} loan - Loan document
+   * @returns {Promise<Object>} Plan and disbursement records
+   */
+  async getDisbursements(loan) {
+    const [disbursements, maxTranches] = await Promise.all([
+      Disbursement.findForLoan(loan._id),
+      this.getMaxTranches(loan)
+    ]);
+
+    return {
+      plan: this.getPlan(loan, disbursements, maxTranches),
+      disbursements
+    };
+  }
+
+  /**
+   * Find a disbursement of a loan
+   * @param {Object} loan - Loan document
+   * @param {string} disbursementId - Disbursement ObjectId or disbursementId
+   * @returns {Promise<Object>} Disbursement document
+   * @throws {NotFoundError} When the loan has no such disbursement
+   */
+  async findDisbursement(loan, disbursementId) {
+    const disbursement = await Disbursement.findOne({
+      loanId: loan._id,
+      ...(mongoose.Types.ObjectId.isValid(disbursementId)
+        ? { _id: disbursementId }
+        : { disbursementId })
+    });
+
+    if (!disbursement) {
+      throw new NotFoundError('Disbursement', disbursementId);
+    }
+    return disbursement;
+  }
+
+  /**
+   * Regional managers record and confirm tranches of their own region's loans
+   * only; admins holding the disbursement permissions act in every region
+   * @param {Object} loan - Loan document
+   * @param {Object} user - Staff member (req.user)
+   * @throws {AuthorizationError} When the loan is outside the manager's region
+   */
+  assertRegion(loan, user) {
+    if (user.role === 'regional_manager' && !sameId(loan.region, user.region)) {
+      throw new AuthorizationError('Loan is outside your region', 'regional_manager', user.role);
+    }
+  }
+
+  /**
+   * Create a tranche awaiting approval. The partial unique index on pending
+   * tranches rejects a second request racing past the pending check.
+   * @param {Object} data - Disbursement fields
+   * @returns {Promise<Object>} Created disbursement
+   * @throws {ConflictError} When another tranche of the loan is awaiting approval
+   */
+  async createPendingTranche(data) {
+    try {
+      return await Disbursement.create(data);
+    } catch (error) {
+      if (error.code === 11000 && error.keyPattern?.loanId) {
+        throw new ConflictError('A disbursement of this loan is already awaiting approval', 'status');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Claim a pending tranche with its decision. Only one of several concurrent
+   * decisions finds the tranche still pending.
+   * @param {Object} disbursement - Disbursement document
+   * @param {Object} update - Disbursement.approvalUpdate() or rejectionUpdate()
+   * @returns {Promise<Object>} Decided disbursement
+   * @throws {ConflictError} When the tranche was decided in the meantime
+   */
+  async claimDecision(disbursement, update) {
+    const decided = await Disbursement.findOneAndUpdate(
+      { _id: disbursement._id, status: 'pending_approval' },
+      update,
+      { new: true }
+    );
+
+    if (!decided) {
+      throw new ConflictError('Disbursement has already been decided', 'status');
+    }
+    return decided;
+  }
+
+  /**
+   * Record a tranche paid out to the client (maker step). The tranche counts
+   * against the loan amount once recorded and is confirmed by a second
+   * staff member. The loan is not saved by this method.
+   * @param {Object} loan - Loan document
+   * @param {Object} data - Tranche details
+   * @param {number} [data.amount] - Tranche amount, the undisbursed balance when omitted
+   * @param {string} data.method - 'bank_transfer', 'cash' or 'mobile_wallet'
+   * @param {string} data.reference - Transfer, voucher or wallet reference
+   * @param {Object} [data.recipient] - Account or wallet paid into
+   * @param {string} [data.notes] - Notes
+   * @param {Object} user - Recording staff member (req.user)
+   * @returns {Promise<Object>} Disbursement document
+   */
+  async requestDisbursement(loan, data, user) {
+    this.assertRegion(loan, user);
+
+    if (loan.loanStatus !== 'Approved') {
+      throw new BusinessRuleError(
+        `Only approved loans can be disbursed; this loan is ${loan.loanStatus}`,
+        'LOAN_NOT_APPROVED',
+        { loanStatus: loan.loanStatus }
+      );
+    }
+
+    const { plan, disbursements } = await this.getDisbursements(loan);
+
+    if (plan.pendingAmount > 0) {
+      throw new ConflictError('A disbursement of this loan is already awaiting approval', 'status');
+    }
+
+    const amount = roundCurrency(data.amount ?? plan.remainingAmount);
+    const trancheNumber = plan.tranchesUsed + 1;
+
+    if (amount <= 0 || amount > plan.remainingAmount) {
+      throw new BusinessRuleError(
+        `Tranche amount must be between 0 and the undisbursed balance of ${plan.remainingAmount}`,
+        'DISBURSEMENT_EXCEEDS_LOAN',
+        { amount, remainingAmount: plan.remainingAmount }
+      );
+    }
+
+    if (trancheNumber >= plan.maxTranches && amount < plan.remainingAmount) {
+      throw new BusinessRuleError(
+        `${loan.product} loans are paid out in at most ${plan.maxTranches} tranche(s); this tranche must cover the remaining ${plan.remainingAmount}`,
+        'FINAL_TRANCHE_INCOMPLETE',
+        { trancheNumber, maxTranches: plan.maxTranches, remainingAmount: plan.remainingAmount }
+      );
+    }
+
+    const isFirstTranche = !disbursements.some(item => item.status === 'disbursed');
+    const deductions = isFirstTranche
+      ? this.calculateDeductions(loan)
+      : { downPayment: 0, fees: [], total: 0 };
+
+    if (deductions.total > amount) {
+      throw new BusinessRuleError(
+        `The down payment and fees (${deductions.total}) exceed the first tranche`,
+        'DEDUCTIONS_EXCEED_TRANCHE',
+        { amount, deductions: deductions.total }
+      );
+    }
+
+    const disbursement = await this.createPendingTranche({
+      loanId: loan._id,
+      clientId: loan.clientUserId?._id || loan.clientUserId,
+      trancheNumber,
+      amount,
+      deductions,
+      netAmount: roundCurrency(amount - deductions.total),
+      method: data.method,
+      reference: data.reference,
+      recipient: data.recipient,
+      notes: data.notes,
+      requestedBy: user.userId,
+      auditLog: [{ action: 'requested', performedBy: user.userId, details: { amount } }]
+    });
+
+    if (loan.workflowState?.currentStage !== 'disbursement') {
+      loan.advanceWorkflowStage('disbursement', user.userId, 'Disbursement started');
+    }
+    loan.addAuditEntry('disbursement_requested', user.userId, {
+      new: {
+        disbursementId: disbursement.disbursementId,
+        trancheNumber,
+        amount,
+        netAmount: disbursement.netAmount
+      }
+    }, `Tranche ${trancheNumber} of ${amount} recorded by ${data.method}`);
+
+    logger.info('Disbursement recorded', {
+      loanId: loan._id,
+      disbursementId: disbursement.disbursementId,
+      trancheNumber,
+      amount,
+      requestedBy: user.userId
+    });
+
+    return disbursement;
+  }
+
+  /**
+   * Confirm or reject a recorded tranche (checker step). Confirming the
+   * tranche that completes the loan amount activates the loan and starts its
+   * repayment schedule from the disbursement date. The loan is not saved by
+   * this method.
+   * @param {Object} loan - Loan document
+   * @param {string} disbursementId - Disbursement ObjectId or disbursementId
+   * @param {Object} decision - Decision
+   * @param {string} decision.status - 'Approved' or 'Rejected'
+   * @param {string} [decision.comments] - Checker comments
+   * @param {Object} user - Deciding staff member (req.user)
+   * @returns {Promise<Object>} The disbursement and, when the loan was activated, its schedule
+   */
+  async decideDisbursement(loan, disbursementId, { status, comments }, user) {
+    this.assertRegion(loan, user);
+
+    const disbursement = await this.findDisbursement(loan, disbursementId);
+
+    if (disbursement.status !== 'pending_approval') {
+      throw new ConflictError(`Disbursement is already ${disbursement.status.replace('_', ' ')}`, 'status');
+    }
+
+    if (disbursement.requestedBy?.toString() === user.userId) {
+      throw new AuthorizationError('Disbursements must be confirmed by someone other than the staff member who recorded them');
+    }
+
+    if (status === 'Rejected') {
+      const rejected = await this.claimDecision(disbursement, Disbursement.rejectionUpdate(user.userId, comments));
+
+      loan.addAuditEntry('disbursement_rejected', user.userId, {
+        new: { disbursementId: rejected.disbursementId, trancheNumber: rejected.trancheNumber }
+      }, comments);
+
+      return { disbursement: rejected, schedule: null };
+    }
+
+    if (loan.loanStatus !== 'Approved') {
+      throw new BusinessRuleError(
+        `Only approved loans can be disbursed; this loan is ${loan.loanStatus}`,
+        'LOAN_NOT_APPROVED',
+        { loanStatus: loan.loanStatus }
+      );
+    }
+
+    const approved = await this.claimDecision(disbursement, Disbursement.approvalUpdate(user.userId, comments));
+
+    const totals = loan.disbursement || {};
+    loan.disbursement = {
+      disbursedAmount: roundCurrency((totals.disbursedAmount || 0) + approved.amount),
+      deductedAmount: roundCurrency((totals.deductedAmount || 0) + approved.deductions.total),
+      netAmount: roundCurrency((totals.netAmount || 0) + approved.netAmount),
+      trancheCount: (totals.trancheCount || 0) + 1
+    };
+
+    loan.addAuditEntry('disbursed', user.userId, {
+      previous: { disbursedAmount: totals.disbursedAmount || 0 },
+      new: {
+        disbursementId: approved.disbursementId,
+        trancheNumber: approved.trancheNumber,
+        disbursedAmount: loan.disbursement.disbursedAmount
+      }
+    }, comments || `Tranche ${approved.trancheNumber} of ${approved.amount} disbursed`);
+
+    logger.info('Disbursement confirmed', {
+      loanId: loan._id,
+      disbursementId: approved.disbursementId,
+      trancheNumber: approved.trancheNumber,
+      approvedBy: user.userId
+    });
+
+    const schedule = loan.disbursement.disbursedAmount >= loan.loanAmount
+      ? await this.activateLoan(loan, approved, user)
+      : null;
+
+    return { disbursement: approved, schedule };
+  }
+
+  /**
+   * Activate a fully disbursed loan and create its repayment schedule
+   * @param {Object} loan - Loan document (not saved by this method)
+   * @param {Object} finalTranche - Disbursement that completed the loan amount
+   * @param {Object} user - Confirming staff member (req.user)
+   * @returns {Promise<Object>} Created schedule document
+   */
+  async activateLoan(loan, finalTranche, user) {
+    const disbursedAt = finalTranche.disbursedAt;
+
+    loan.disbursementDate = disbursedAt;
+    loan.disbursement.completedAt = disbursedAt;
+    if (loan.downPayment && loan.downPayment.status !== 'Verified') {
+      // Withheld from the first tranche
+      loan.downPayment.status = 'Verified';
+    }
+
+    loan.addAuditEntry('status_changed', user.userId, {
+      previous: { loanStatus: loan.loanStatus },
+      new: { loanStatus: 'Active' }
+    }, 'Loan fully disbursed');
+    loan.loanStatus = 'Active';
+    loan.advanceWorkflowStage('active', user.userId, 'Loan fully disbursed');
+
+    const schedule = await scheduleService.createScheduleForLoan(loan, {
+      startDate: disbursedAt,
+      performedBy: user.userId,
+      reason: 'Loan disbursed'
+    });
+
+    await notificationService.notifySafely({
+      recipientType: 'client',
+      clientId: loan.clientUserId?._id || loan.clientUserId,
+      type: 'loan_disbursed',
+      relatedLoanId: loan._id,
+      sentBy: user.userId,
+      metadata: {
+        loanApplicationId: loan.loanApplicationId,
+        disbursedAmount: loan.disbursement.disbursedAmount,
+        netAmount: loan.disbursement.netAmount,
+        firstDueDate: schedule.installments[0]?.dueDate
+      }
+    });
+
+    logger.info('Loan activated after full disbursement', {
+      loanId: loan._id,
+      disbursedAmount: loan.disbursement.disbursedAmount,
+      tranches: loan.disbursement.trancheCount
+    });
+
+    return schedule;
+  }
+}
+
+module.exports = new DisbursementService();
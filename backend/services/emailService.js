@@ -1,43 +1,68 @@
 const nodemailer = require('nodemailer');
 const path = require('path');
 const fs = require('fs').promises;
+const os = require('os');
+const mongoose = require('mongoose');
+const EmailJob = require('../models/EmailJob');
 const { logger } = require('../utils/logger');
-const { AppError } = require('../utils/customErrors');
+const { AppError, ConflictError, NotFoundError } = require('../utils/customErrors');
+const {
+  DEFAULT_LANGUAGE,
+  resolveLanguage,
+  getClientLanguage,
+  translate,
+  getSection
+} = require('../utils/localization');
 
 class EmailService {
   constructor() {
     this.transporter = null;
-    this.emailQueue = [];
     this.isProcessing = false;
-    this.retryAttempts = 3;
-    this.retryDelay = 5000; // 5 seconds
+    this.retryAttempts = parseInt(process.env.EMAIL_MAX_ATTEMPTS || '3', 10);
+    this.retryDelay = 5000; // 5 seconds, doubled on every attempt
+    this.sendDelay = 1000;
+    this.pollInterval = parseInt(process.env.EMAIL_OUTBOX_POLL_MS || '5000', 10);
+    this.lockTimeout = 10 * 60 * 1000; // reclaim jobs left in 'sending' by a crashed worker
+    this.workerId = `${os.hostname()}:${process.pid}:${Math.random().toString(36).substr(2, 6)}`;
+    this.pollTimer = null;
     this.templates = new Map();
 
     this.initializeTransporter();
     this.loadTemplates();
-    // Queue processor will be started when first email is queued
+    // The outbox worker is started by start() once the database is connected
   }
 
   initializeTransporter() {
     try {
       const hasCredentials = process.env.EMAIL_USER && process.env.EMAIL_PASS;
-
-      if (!hasCredentials) {
+      const auth = hasCredentials
+        ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+        : undefined;
+
+      // SMTP_HOST points at any SMTP server, e.g. a local stub in development
+      if (process.env.SMTP_HOST) {
+        this.transporter = nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT || '587', 10),
+          secure: process.env.SMTP_SECURE === 'true',
+          auth,
+          pool: true,
+          maxConnections: 5,
+          maxMessages: 100,
+        });
+      } else if (!hasCredentials) {
         logger.warn('Email credentials not configured. Email service will run in mock mode.');
         return;
+      } else {
+        this.transporter = nodemailer.createTransport({
+          service: 'Gmail',
+          auth,
+          pool: true,
+          maxConnections: 5,
+          maxMessages: 100,
+        });
       }
 
-      this.transporter = nodemailer.createTransport({
-        service: 'Gmail',
-        auth: {
-          user: process.env.EMAIL_USER,
-          pass: process.env.EMAIL_PASS,
-        },
-        pool: true,
-        maxConnections: 5,
-        maxMessages: 100,
-      });
-
       // Verify transporter configuration
       this.transporter.verify((error, success) => {
         if (error) {
@@ -84,15 +109,16 @@ class EmailService {
   }
 
   async createDefaultTemplates(templatesDir) {
+    // Text comes from the localization catalogue as {{t_<key>}} values
     const templates = {
       'loan-status-change': `
 <!DOCTYPE html>
-<html>
+<html lang="{{t_lang}}">
 <head>
     <meta charset="UTF-8">
-    <title>Loan Status Update - PaySync</title>
+    <title>{{t_title}}</title>
     <style>
-        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        body { font-family: Arial, 'Noto Sans Sinhala', 'Noto Sans Tamil', sans-serif; line-height: 1.6; color: #333; }
         .container { max-width: 600px; margin: 0 auto; padding: 20px; }
         .header { background-color: #2c3e50; color: white; padding: 20px; text-align: center; }
         .content { padding: 20px; background-color: #f9f9f9; }
@@ -107,36 +133,36 @@ class EmailService {
 <body>
     <div class="container">
         <div class="header">
-            <h1>PaySync - Loan Status Update</h1>
+            <h1>{{t_heading}}</h1>
         </div>
         <div class="content">
-            <h2>Dear {{clientName}},</h2>
-            <p>We wanted to update you on the status of your loan application.</p>
+            <h2>{{t_greeting}}</h2>
+            <p>{{t_intro}}</p>
             
-            <p><strong>Loan ID:</strong> {{loanId}}</p>
-            <p><strong>Amount:</strong> LKR {{loanAmount}}</p>
-            <p><strong>New Status:</strong> <span class="status-badge {{statusClass}}">{{loanStatus}}</span></p>
+            <p><strong>{{t_loanIdLabel}}:</strong> {{loanId}}</p>
+            <p><strong>{{t_amountLabel}}:</strong> LKR {{loanAmount}}</p>
+            <p><strong>{{t_statusLabel}}:</strong> <span class="status-badge {{statusClass}}">{{t_loanStatus}}</span></p>
             
             {{#if approvalMessage}}
             <div style="background-color: #d4edda; border: 1px solid #c3e6cb; padding: 15px; border-radius: 5px; margin: 15px 0;">
-                <h3 style="color: #155724; margin-top: 0;">Approval Details</h3>
+                <h3 style="color: #155724; margin-top: 0;">{{t_approvalHeading}}</h3>
                 <p style="color: #155724;">{{approvalMessage}}</p>
             </div>
             {{/if}}
             
             {{#if rejectionReason}}
             <div style="background-color: #f8d7da; border: 1px solid #f5c6cb; padding: 15px; border-radius: 5px; margin: 15px 0;">
-                <h3 style="color: #721c24; margin-top: 0;">Rejection Reason</h3>
+                <h3 style="color: #721c24; margin-top: 0;">{{t_rejectionHeading}}</h3>
                 <p style="color: #721c24;">{{rejectionReason}}</p>
             </div>
             {{/if}}
             
-            <p>If you have any questions, please contact your assigned agent or visit our office.</p>
+            <p>{{t_contact}}</p>
             
-            <p>Best regards,<br>PaySync Team</p>
+            <p>{{t_closing}}<br>{{t_team}}</p>
         </div>
         <div class="footer">
-            <p>This is an automated message from PaySync. Please do not reply to this email.</p>
+            <p>{{t_footer}}</p>
         </div>
     </div>
 </body>
@@ -144,12 +170,12 @@ class EmailService {
 
       'agreement-ready': `
 <!DOCTYPE html>
-<html>
+<html lang="{{t_lang}}">
 <head>
     <meta charset="UTF-8">
-    <title>Agreement Ready - PaySync</title>
+    <title>{{t_title}}</title>
     <style>
-        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        body { font-family: Arial, 'Noto Sans Sinhala', 'Noto Sans Tamil', sans-serif; line-height: 1.6; color: #333; }
         .container { max-width: 600px; margin: 0 auto; padding: 20px; }
         .header { background-color: #27ae60; color: white; padding: 20px; text-align: center; }
         .content { padding: 20px; background-color: #f9f9f9; }
@@ -161,45 +187,45 @@ class EmailService {
 <body>
     <div class="container">
         <div class="header">
-            <h1>🎉 Your Loan Agreement is Ready!</h1>
+            <h1>{{t_heading}}</h1>
         </div>
         <div class="content">
-            <h2>Dear {{clientName}},</h2>
-            <p>Great news! Your loan agreement has been prepared and is ready for download.</p>
+            <h2>{{t_greeting}}</h2>
+            <p>{{t_intro}}</p>
             
             <div class="highlight">
-                <p><strong>Loan Details:</strong></p>
+                <p><strong>{{t_detailsHeading}}</strong></p>
                 <ul>
-                    <li><strong>Loan ID:</strong> {{loanId}}</li>
-                    <li><strong>Amount:</strong> LKR {{loanAmount}}</li>
-                    <li><strong>Term:</strong> {{loanTerm}} months</li>
-                    <li><strong>Interest Rate:</strong> {{interestRate}}%</li>
+                    <li><strong>{{t_loanIdLabel}}:</strong> {{loanId}}</li>
+                    <li><strong>{{t_amountLabel}}:</strong> LKR {{loanAmount}}</li>
+                    <li><strong>{{t_termLabel}}:</strong> {{t_termValue}}</li>
+                    <li><strong>{{t_interestRateLabel}}:</strong> {{interestRate}}%</li>
                 </ul>
             </div>
             
-            <p>Please download your agreement using the link below:</p>
+            <p>{{t_downloadPrompt}}</p>
             
             <div style="text-align: center; margin: 20px 0;">
-                <a href="{{downloadLink}}" class="button">Download Agreement</a>
+                <a href="{{downloadLink}}" class="button">{{t_downloadButton}}</a>
             </div>
             
-            <p><strong>Important:</strong> Please review the agreement carefully and contact us if you have any questions before signing.</p>
+            <p><strong>{{t_important}}</strong> {{t_reviewNote}}</p>
             
-            <p>Next steps:</p>
+            <p>{{t_nextSteps}}</p>
             <ol>
-                <li>Download and review the agreement</li>
-                <li>Sign the agreement</li>
-                <li>Submit the signed agreement to your agent</li>
-                <li>Await final processing</li>
+                <li>{{t_step1}}</li>
+                <li>{{t_step2}}</li>
+                <li>{{t_step3}}</li>
+                <li>{{t_step4}}</li>
             </ol>
             
-            <p>Thank you for choosing PaySync!</p>
+            <p>{{t_thanks}}</p>
             
-            <p>Best regards,<br>PaySync Team</p>
+            <p>{{t_closing}}<br>{{t_team}}</p>
         </div>
         <div class="footer">
-            <p>This is an automated message from PaySync. Please do not reply to this email.</p>
-            <p>If you have trouble downloading, contact your agent or visit our office.</p>
+            <p>{{t_footer}}</p>
+            <p>{{t_footerHelp}}</p>
         </div>
     </div>
 </body>
@@ -207,12 +233,12 @@ class EmailService {
 
       'loan-reminder': `
 <!DOCTYPE html>
-<html>
+<html lang="{{t_lang}}">
 <head>
     <meta charset="UTF-8">
-    <title>Payment Reminder - PaySync</title>
+    <title>{{t_title}}</title>
     <style>
-        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        body { font-family: Arial, 'Noto Sans Sinhala', 'Noto Sans Tamil', sans-serif; line-height: 1.6; color: #333; }
         .container { max-width: 600px; margin: 0 auto; padding: 20px; }
         .header { background-color: #f39c12; color: white; padding: 20px; text-align: center; }
         .content { padding: 20px; background-color: #f9f9f9; }
@@ -223,28 +249,28 @@ class EmailService {
 <body>
     <div class="container">
         <div class="header">
-            <h1>Payment Reminder</h1>
+            <h1>{{t_heading}}</h1>
         </div>
         <div class="content">
-            <h2>Dear {{clientName}},</h2>
-            <p>This is a friendly reminder about your upcoming loan payment.</p>
+            <h2>{{t_greeting}}</h2>
+            <p>{{t_intro}}</p>
             
             <div class="warning">
-                <p><strong>Payment Details:</strong></p>
+                <p><strong>{{t_detailsHeading}}</strong></p>
                 <ul>
-                    <li><strong>Loan ID:</strong> {{loanId}}</li>
-                    <li><strong>Due Date:</strong> {{dueDate}}</li>
-                    <li><strong>Amount Due:</strong> LKR {{amountDue}}</li>
-                    <li><strong>Days Until Due:</strong> {{daysUntilDue}}</li>
+                    <li><strong>{{t_loanIdLabel}}:</strong> {{loanId}}</li>
+                    <li><strong>{{t_dueDateLabel}}:</strong> {{dueDate}}</li>
+                    <li><strong>{{t_amountDueLabel}}:</strong> LKR {{amountDue}}</li>
+                    <li><strong>{{t_daysUntilDueLabel}}:</strong> {{daysUntilDue}}</li>
                 </ul>
             </div>
             
-            <p>Please ensure your payment is made on time to avoid any late fees.</p>
+            <p>{{t_onTime}}</p>
             
-            <p>Best regards,<br>PaySync Team</p>
+            <p>{{t_closing}}<br>{{t_team}}</p>
         </div>
         <div class="footer">
-            <p>This is an automated message from PaySync. Please do not reply to this email.</p>
+            <p>{{t_footer}}</p>
         </div>
     </div>
 </body>
@@ -256,17 +282,27 @@ class EmailService {
     }
   }
 
-  renderTemplate(templateName, data) {
+  /**
+   * Render a template in a language. Catalogue text for the template is
+   * added to the data as t_<key> values.
+   * @param {string} templateName - Template name
+   * @param {Object} data - Template data
+   * @param {string} [language='en'] - Language code
+   * @returns {string} Rendered HTML
+   */
+  renderTemplate(templateName, data, language = DEFAULT_LANGUAGE) {
     const template = this.templates.get(templateName);
     if (!template) {
       throw new AppError(`Email template '${templateName}' not found`, 500, 'TEMPLATE_NOT_FOUND');
     }
 
+    const strings = this.getTemplateStrings(templateName, data, language);
+
     // Simple template rendering (replace {{variable}} with data values)
     let rendered = template;
 
     // Handle simple variables
-    for (const [key, value] of Object.entries(data)) {
+    for (const [key, value] of Object.entries({ ...data, ...strings })) {
       const regex = new RegExp(`{{${key}}}`, 'g');
       rendered = rendered.replace(regex, value || '');
     }
@@ -296,117 +332,245 @@ class EmailService {
     return statusMap[status.toLowerCase()] || 'pending';
   }
 
+  /**
+   * Get the catalogue text of a template as t_<key> values
+   * @param {string} templateName - Template name
+   * @param {Object} data - Template data used in the catalogue text
+   * @param {string} [language='en'] - Language code
+   * @returns {Object} Template strings
+   */
+  getTemplateStrings(templateName, data, language = DEFAULT_LANGUAGE) {
+    const strings = { t_lang: resolveLanguage(language) };
+    const sections = [
+      getSection(language, 'email.common', data),
+      getSection(language, `email.${templateName}`, data)
+    ];
+
+    sections.forEach((section) => {
+      Object.entries(section).forEach(([key, value]) => {
+        strings[`t_${key}`] = value;
+      });
+    });
+
+    if (data.loanStatus) {
+      strings.t_loanStatus = this.translateStatus(data.loanStatus, language);
+    }
+
+    return strings;
+  }
+
+  /**
+   * Get the label of a loan status in a language
+   * @param {string} status - Status, e.g. 'approved'
+   * @param {string} [language='en'] - Language code
+   * @returns {string} Status label
+   */
+  translateStatus(status, language = DEFAULT_LANGUAGE) {
+    return translate(language, `statuses.${status.toLowerCase()}`, {}, status);
+  }
+
+  /**
+   * Add an email to the outbox
+   * @param {Object} emailData - to, subject, html/text or template/templateData, priority, language
+   * @returns {Promise<string>} Outbox job ID
+   */
   async queueEmail(emailData) {
-    const emailJob = {
-      id: `email_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      ...emailData,
-      attempts: 0,
-      createdAt: new Date(),
-      status: 'queued'
-    };
+    const emailJob = await EmailJob.create({
+      to: emailData.to,
+      subject: emailData.subject,
+      html: emailData.html,
+      text: emailData.text,
+      template: emailData.template,
+      templateData: emailData.templateData,
+      language: resolveLanguage(emailData.language),
+      priority: emailData.priority || 'normal',
+      maxAttempts: this.retryAttempts
+    });
 
-    this.emailQueue.push(emailJob);
-    logger.info(`Email queued: ${emailJob.id} to ${emailJob.to}`);
+    logger.info(`Email queued: ${emailJob.jobId} to ${emailJob.to}`);
 
-    // Start processing if not already running
-    if (!this.isProcessing) {
+    // Send right away when this instance runs the worker
+    if (this.pollTimer && !this.isProcessing) {
       this.processQueue();
     }
 
-    return emailJob.id;
+    return emailJob.jobId;
   }
 
+  /**
+   * Atomically claim the next due job for this worker. Jobs stuck in
+   * 'sending' longer than the lock timeout are reclaimed.
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Promise<Object|null>} Claimed job or null when none is due
+   */
+  async claimNextJob(now = new Date()) {
+    return EmailJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: { $in: ['queued', 'retry'] }, nextAttemptAt: { $lte: now } },
+          { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - this.lockTimeout) } }
+        ]
+      },
+      {
+        $set: {
+          status: 'sending',
+          lockedBy: this.workerId,
+          lockedAt: now,
+          lastAttemptAt: now
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { priorityRank: 1, nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Send every due job in the outbox
+   */
   async processQueue() {
-    if (this.isProcessing || this.emailQueue.length === 0) {
+    if (this.isProcessing || mongoose.connection.readyState !== 1) {
       return;
     }
 
     this.isProcessing = true;
-    logger.info(`Starting email queue processing. Queue size: ${this.emailQueue.length}`);
+    let processed = 0;
 
-    while (this.emailQueue.length > 0) {
-      const emailJob = this.emailQueue.shift();
+    try {
+      let emailJob;
+      while ((emailJob = await this.claimNextJob())) {
+        try {
+          await this.sendEmailJob(emailJob);
+          logger.info(`Email sent successfully: ${emailJob.jobId}`);
+        } catch (error) {
+          await this.handleEmailError(emailJob, error);
+        }
+        processed++;
 
-      try {
-        await this.sendEmailJob(emailJob);
-        logger.info(`Email sent successfully: ${emailJob.id}`);
-      } catch (error) {
-        await this.handleEmailError(emailJob, error);
+        // Small delay between emails to avoid overwhelming the service
+        await this.delay(this.sendDelay);
       }
-
-      // Small delay between emails to avoid overwhelming the service
-      await this.delay(1000);
+    } catch (error) {
+      logger.error('Email outbox processing failed:', error);
+    } finally {
+      this.isProcessing = false;
     }
 
-    this.isProcessing = false;
-    logger.info('Email queue processing completed');
-  }
-
-  async sendEmailJob(emailJob) {
-    emailJob.attempts++;
-    emailJob.status = 'sending';
-
-    // Mock mode if no transporter
-    if (!this.transporter) {
-      logger.info(`MOCK EMAIL - ${emailJob.id}:`);
-      logger.info(`To: ${emailJob.to}`);
-      logger.info(`Subject: ${emailJob.subject}`);
-      logger.info(`Template: ${emailJob.template || 'plain text'}`);
-      emailJob.status = 'sent';
-      return;
+    if (processed > 0) {
+      logger.info(`Email outbox processing completed. Processed ${processed} emails`);
     }
+  }
 
+  /**
+   * Build the message for a job
+   * @param {Object} emailJob - Email job
+   * @returns {Object} Nodemailer mail options
+   */
+  buildMailOptions(emailJob) {
     let htmlContent = emailJob.html;
     let textContent = emailJob.text;
 
     // Render template if specified
     if (emailJob.template && emailJob.templateData) {
-      htmlContent = this.renderTemplate(emailJob.template, emailJob.templateData);
+      htmlContent = this.renderTemplate(emailJob.template, emailJob.templateData, emailJob.language);
       textContent = this.extractTextFromHtml(htmlContent);
     }
 
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
+    return {
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
       to: emailJob.to,
       subject: emailJob.subject,
       text: textContent,
       html: htmlContent,
     };
+  }
+
+  async sendEmailJob(emailJob) {
+    let result = { messageId: null };
+
+    // Mock mode if no transporter
+    if (!this.transporter) {
+      logger.info(`MOCK EMAIL - ${emailJob.jobId}:`);
+      logger.info(`To: ${emailJob.to}`);
+      logger.info(`Subject: ${emailJob.subject}`);
+      logger.info(`Template: ${emailJob.template || 'plain text'}`);
+    } else {
+      result = await this.transporter.sendMail(this.buildMailOptions(emailJob));
+    }
 
-    const result = await this.transporter.sendMail(mailOptions);
-    emailJob.status = 'sent';
-    emailJob.messageId = result.messageId;
-    emailJob.sentAt = new Date();
+    await EmailJob.updateOne(
+      { _id: emailJob._id, lockedBy: this.workerId },
+      {
+        $set: { status: 'sent', messageId: result.messageId, sentAt: new Date() },
+        $unset: { lockedBy: 1, lockedAt: 1, lastError: 1 }
+      }
+    );
 
     return result;
   }
 
+  /**
+   * Exponential backoff delay before the next attempt
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    return this.retryDelay * Math.pow(2, Math.max(0, attempts - 1));
+  }
+
   async handleEmailError(emailJob, error) {
-    logger.error(`Email sending failed for ${emailJob.id}:`, error);
+    logger.error(`Email sending failed for ${emailJob.jobId}:`, error);
+
+    const failedPermanently = emailJob.attempts >= emailJob.maxAttempts;
+    const update = {
+      $set: {
+        status: failedPermanently ? 'permanently_failed' : 'retry',
+        lastError: error.message
+      },
+      $unset: { lockedBy: 1, lockedAt: 1 },
+      $push: {
+        attemptLog: {
+          attempt: emailJob.attempts,
+          attemptedAt: emailJob.lastAttemptAt,
+          error: error.message,
+          workerId: this.workerId
+        }
+      }
+    };
 
-    emailJob.status = 'failed';
-    emailJob.lastError = error.message;
-    emailJob.lastAttemptAt = new Date();
+    if (failedPermanently) {
+      logger.error(`Email ${emailJob.jobId} failed permanently after ${emailJob.attempts} attempts`);
+    } else {
+      const delay = this.getRetryDelay(emailJob.attempts);
+      update.$set.nextAttemptAt = new Date(Date.now() + delay);
+      logger.info(`Retrying email ${emailJob.jobId} in ${delay}ms (attempt ${emailJob.attempts}/${emailJob.maxAttempts})`);
+    }
 
-    // Retry logic
-    if (emailJob.attempts < this.retryAttempts) {
-      emailJob.status = 'retry';
+    await EmailJob.updateOne({ _id: emailJob._id, lockedBy: this.workerId }, update);
+  }
 
-      // Exponential backoff
-      const delay = this.retryDelay * Math.pow(2, emailJob.attempts - 1);
+  /**
+   * Start polling the outbox. Several instances can run the worker at once;
+   * each job is claimed by exactly one of them.
+   */
+  start() {
+    if (process.env.EMAIL_WORKER_ENABLED === 'false') {
+      logger.info('Email outbox worker disabled');
+      return;
+    }
 
-      logger.info(`Retrying email ${emailJob.id} in ${delay}ms (attempt ${emailJob.attempts}/${this.retryAttempts})`);
+    this.stop();
+    this.pollTimer = setInterval(() => this.processQueue(), this.pollInterval);
+    logger.info('Email outbox worker started', { workerId: this.workerId, pollInterval: this.pollInterval });
 
-      setTimeout(() => {
-        this.emailQueue.unshift(emailJob); // Add back to front of queue
-        if (!this.isProcessing) {
-          this.processQueue();
-        }
-      }, delay);
-    } else {
-      logger.error(`Email ${emailJob.id} failed permanently after ${this.retryAttempts} attempts`);
-      emailJob.status = 'permanently_failed';
-    }
+    this.processQueue();
+  }
+
+  /**
+   * Stop polling the outbox
+   */
+  stop() {
+    if (this.pollTimer) clearInterval(this.pollTimer);
+    this.pollTimer = null;
   }
 
   extractTextFromHtml(html) {
@@ -424,6 +588,7 @@ class EmailService {
   // Public methods for sending specific types of emails
 
   async sendLoanStatusChangeNotification(loanData, clientData, statusChange) {
+    const language = getClientLanguage(clientData);
     const templateData = {
       clientName: `${clientData.personalInfo.firstName} ${clientData.personalInfo.lastName}`,
       loanId: loanData._id,
@@ -435,14 +600,18 @@ class EmailService {
 
     return await this.queueEmail({
       to: clientData.personalInfo.email,
-      subject: `Loan Status Update - ${statusChange.newStatus.toUpperCase()}`,
+      subject: translate(language, 'email.loan-status-change.subject', {
+        status: this.translateStatus(statusChange.newStatus, language).toUpperCase()
+      }),
       template: 'loan-status-change',
       templateData,
+      language,
       priority: 'high'
     });
   }
 
   async sendAgreementReadyNotification(loanData, clientData, downloadLink) {
+    const language = getClientLanguage(clientData);
     const templateData = {
       clientName: `${clientData.personalInfo.firstName} ${clientData.personalInfo.lastName}`,
       loanId: loanData._id,
@@ -454,14 +623,16 @@ class EmailService {
 
     return await this.queueEmail({
       to: clientData.personalInfo.email,
-      subject: 'Your Loan Agreement is Ready for Download',
+      subject: translate(language, 'email.agreement-ready.subject'),
       template: 'agreement-ready',
       templateData,
+      language,
       priority: 'high'
     });
   }
 
   async sendPaymentReminder(loanData, clientData, paymentDetails) {
+    const language = getClientLanguage(clientData);
     const templateData = {
       clientName: `${clientData.personalInfo.firstName} ${clientData.personalInfo.lastName}`,
       loanId: loanData._id,
@@ -472,9 +643,10 @@ class EmailService {
 
     return await this.queueEmail({
       to: clientData.personalInfo.email,
-      subject: 'Payment Reminder - PaySync',
+      subject: translate(language, 'email.loan-reminder.subject'),
       template: 'loan-reminder',
       templateData,
+      language,
       priority: 'normal'
     });
   }
@@ -483,27 +655,147 @@ class EmailService {
     return await this.queueEmail({
       to,
       subject,
-      html: content.html,
-      text: content.text,
+      html: content?.html,
+      text: content?.text,
       template: options.template,
       templateData: options.templateData,
+      language: options.language,
       priority: options.priority || 'normal'
     });
   }
 
   // Queue management methods
-  getQueueStatus() {
+  async getQueueStatus() {
+    const counts = await EmailJob.getStatusCounts();
+    const oldestPending = await EmailJob.findOne({ status: { $in: ['queued', 'retry'] } })
+      .sort({ createdAt: 1 })
+      .select('createdAt');
+
     return {
-      queueSize: this.emailQueue.length,
+      queueSize: (counts.queued || 0) + (counts.retry || 0),
+      processing: counts.sending || 0,
+      counts,
+      oldestPendingAt: oldestPending ? oldestPending.createdAt : null,
       isProcessing: this.isProcessing,
+      workerId: this.workerId,
+      workerRunning: !!this.pollTimer,
       templatesLoaded: this.templates.size,
       transporterConfigured: !!this.transporter
     };
   }
 
-  clearQueue() {
-    const clearedCount = this.emailQueue.length;
-    this.emailQueue = [];
+  /**
+   * List outbox jobs
+   * @param {Object} [filters] - status, to, page and limit
+   * @returns {Promise<Object>} Jobs and pagination
+   */
+  async listJobs({ status, to, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (to) query.to = to.toLowerCase();
+
+    const [jobs, total] = await Promise.all([
+      EmailJob.find(query)
+        .select('-html -text -templateData')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      EmailJob.countDocuments(query)
+    ]);
+
+    return {
+      jobs,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit
+      }
+    };
+  }
+
+  /**
+   * Find an outbox job
+   * @param {string} jobId - Job ID or ObjectId
+   * @returns {Promise<Object>} Email job
+   * @throws {NotFoundError} When the job does not exist
+   */
+  async findJob(jobId) {
+    const emailJob = await EmailJob.findOne(
+      mongoose.Types.ObjectId.isValid(jobId) ? { _id: jobId } : { jobId }
+    );
+    if (!emailJob) {
+      throw new NotFoundError('Email job', jobId);
+    }
+    return emailJob;
+  }
+
+  /**
+   * Send a failed, cancelled or waiting job again on the next worker pass
+   * @param {string} jobId - Job ID or ObjectId
+   * @returns {Promise<Object>} Updated job
+   */
+  async retryJob(jobId) {
+    const emailJob = await this.findJob(jobId);
+
+    if (!['permanently_failed', 'cancelled', 'retry'].includes(emailJob.status)) {
+      throw new ConflictError(`Email job is ${emailJob.status} and cannot be retried`, 'status');
+    }
+
+    const updated = await EmailJob.findOneAndUpdate(
+      { _id: emailJob._id, status: emailJob.status },
+      {
+        $set: { status: 'queued', attempts: 0, nextAttemptAt: new Date() },
+        $unset: { cancelledAt: 1, cancelledBy: 1 }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      throw new ConflictError('Email job changed state, try again', 'status');
+    }
+
+    logger.info(`Email job requeued: ${updated.jobId}`);
+
+    if (this.pollTimer && !this.isProcessing) {
+      this.processQueue();
+    }
+
+    return updated;
+  }
+
+  /**
+   * Cancel a job that has not been sent yet
+   * @param {string} jobId - Job ID or ObjectId
+   * @param {string} [cancelledBy] - Staff ID
+   * @returns {Promise<Object>} Updated job
+   */
+  async cancelJob(jobId, cancelledBy) {
+    const emailJob = await this.findJob(jobId);
+
+    const updated = await EmailJob.findOneAndUpdate(
+      { _id: emailJob._id, status: { $in: ['queued', 'retry'] } },
+      { $set: { status: 'cancelled', cancelledAt: new Date(), cancelledBy } },
+      { new: true }
+    );
+    if (!updated) {
+      throw new ConflictError(`Email job is ${emailJob.status} and cannot be cancelled`, 'status');
+    }
+
+    logger.info(`Email job cancelled: ${updated.jobId}`);
+    return updated;
+  }
+
+  /**
+   * Cancel every job still waiting to be sent
+   * @param {string} [cancelledBy] - Staff ID
+   * @returns {Promise<number>} Number of cancelled jobs
+   */
+  async clearQueue(cancelledBy) {
+    const result = await EmailJob.updateMany(
+      { status: { $in: ['queued', 'retry'] } },
+      { $set: { status: 'cancelled', cancelledAt: new Date(), cancelledBy } }
+    );
+    const clearedCount = result.modifiedCount;
     logger.info(`Cleared ${clearedCount} emails from queue`);
     return clearedCount;
   }
@@ -22,7 +22,7 @@ class FileService {
    * Generate secure filename with proper naming conventions
    * @param {string} originalName - Original filename
    * @param {string} userId - User ID for organization
-   * @param {string} category - File category (client, loan, agreement, etc.)
+   * @param {string} category - File category (client, loan, agreement, receipt, etc.)
    * @returns {string} Secure filename
    */
   generateSecureFilename(originalName, userId, category = 'general') {
@@ -186,7 +186,7 @@ class FileService {
   async checkFileAccess(fileDetails, userId, permissions) {
     const fileUserId = fileDetails.context?.uploaded_by;
     const fileCategory = fileDetails.tags?.find(tag =>
-      ['client', 'loan', 'agreement', 'general'].includes(tag)
+      ['client', 'loan', 'agreement', 'receipt', 'general'].includes(tag)
     );
 
     // Super admin and moderate admin can access all files
@@ -330,7 +330,7 @@ class FileService {
           uploadedAt: file.context?.upload_timestamp,
           uploadedBy: file.context?.uploaded_by,
           category: file.tags?.find(tag =>
-            ['client', 'loan', 'agreement', 'general'].includes(tag)
+            ['client', 'loan', 'agreement', 'receipt', 'general'].includes(tag)
           ),
           tags: file.tags
         })),
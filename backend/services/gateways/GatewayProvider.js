@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Base class for payment gateway providers
+ * @module services/gateways/GatewayProvider
+ */
+
+const crypto = require('crypto');
+const { AuthenticationError, ValidationError } = require('../../utils/customErrors');
+
+// Signed webhooks older than this are refused, so a captured request cannot be replayed later
+const DEFAULT_SIGNATURE_TOLERANCE_SECONDS = 300;
+
+/**
+ * A payment gateway. Providers create a checkout for a payment intent and
+ * turn their webhook payloads into normalized events:
+ * { eventId, type: 'payment.succeeded'|'payment.failed', intentId,
+ *   transactionId, amount, currency, occurredAt, failureReason }
+ *
+ * Webhooks are signed with HMAC-SHA256 over "<timestamp>.<raw body>" and
+ * carry the signature in the provider's signature header as "t=<unix seconds>,v1=<hex>".
+ * Providers with a different scheme override verifySignature.
+ */
+class GatewayProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.name - Provider name used in webhook URLs
+   * @param {string} options.secret - Webhook signing secret
+   * @param {string} [options.signatureHeader] - Header carrying the signature
+   * @param {number} [options.toleranceSeconds] - Maximum age of a signed webhook
+   */
+  constructor({ name, secret, signatureHeader, toleranceSeconds = DEFAULT_SIGNATURE_TOLERANCE_SECONDS }) {
+    this.name = name;
+    this.secret = secret;
+    this.signatureHeader = (signatureHeader || `x-${name}-signature`).toLowerCase();
+    this.toleranceSeconds = toleranceSeconds;
+  }
+
+  /**
+   * Create the provider checkout for an intent
+   * @param {Object} intent - PaymentIntent document
+   * @returns {Promise<{providerReference: string, checkoutUrl: string, expiresAt: Date}>}
+   */
+  async createIntent(intent) {
+    throw new Error(`${this.name} provider does not implement createIntent`);
+  }
+
+  /**
+   * Turn a verified webhook body into a normalized event
+   * @param {Object} body - Parsed webhook body
+   * @returns {Object} Normalized event
+   */
+  parseEvent(body) {
+    throw new Error(`${this.name} provider does not implement parseEvent`);
+  }
+
+  /**
+   * Sign a payload the way the provider does
+   * @param {string|Buffer} rawBody - Exact request body
+   * @param {number} timestamp - Unix seconds
+   * @returns {string} Hex HMAC-SHA256
+   */
+  sign(rawBody, timestamp) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${timestamp}.${rawBody.toString('utf8')}`)
+      .digest('hex');
+  }
+
+  /**
+   * Check the webhook signature against the raw request body
+   * @param {Buffer} rawBody - Exact request body
+   * @param {Object} headers - Request headers (lower-case names)
+   * @param {Date} [now] - Current time
+   * @throws {AuthenticationError} When the signature is missing, wrong or too old
+   */
+  verifySignature(rawBody, headers, now = new Date()) {
+    if (!this.secret) {
+      throw new AuthenticationError(`Webhook secret for ${this.name} is not configured`);
+    }
+
+    const header = headers[this.signatureHeader];
+    const parts = Object.fromEntries(
+      String(header || '')
+        .split(',')
+        .map(part => part.trim().split('='))
+        .filter(pair => pair.length === 2)
+    );
+    const timestamp = parseInt(parts.t, 10);
+
+    if (!parts.v1 || !Number.isFinite(timestamp)) {
+      throw new AuthenticationError('Missing webhook signature');
+    }
+
+    if (Math.abs(now.getTime() / 1000 - timestamp) > this.toleranceSeconds) {
+      throw new AuthenticationError('Webhook signature has expired');
+    }
+
+    const expected = Buffer.from(this.sign(rawBody, timestamp), 'hex');
+    const received = Buffer.from(parts.v1, 'hex');
+
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+      throw new AuthenticationError('Invalid webhook signature');
+    }
+  }
+
+  /**
+   * Parse the raw webhook body
+   * @param {Buffer} rawBody - Exact request body
+   * @returns {Object} Normalized event
+   * @throws {ValidationError} When the body is not JSON or misses required fields
+   */
+  readEvent(rawBody) {
+    let body;
+    try {
+      body = JSON.parse(rawBody.toString('utf8'));
+    } catch (error) {
+      throw new ValidationError('Webhook body must be JSON', 'body');
+    }
+
+    const event = this.parseEvent(body);
+    if (!event.eventId || !event.type || !event.intentId) {
+      throw new ValidationError('Webhook event is missing its id, type or intent', 'body');
+    }
+
+    return event;
+  }
+}
+
+module.exports = GatewayProvider;
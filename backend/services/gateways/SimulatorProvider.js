@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Local payment gateway simulator, so the online payment flow
+ * can be exercised without a real provider
+ * @module services/gateways/SimulatorProvider
+ */
+
+const crypto = require('crypto');
+const GatewayProvider = require('./GatewayProvider');
+
+// Minutes a simulated checkout stays open
+const CHECKOUT_TTL_MINUTES = 30;
+
+class SimulatorProvider extends GatewayProvider {
+  constructor(secret) {
+    super({ name: 'simulator', secret });
+  }
+
+  /**
+   * "Open" a checkout; the client completes it through the simulator endpoint
+   * @param {Object} intent - PaymentIntent document
+   * @returns {Promise<Object>} Provider reference, checkout URL and expiry
+   */
+  async createIntent(intent) {
+    return {
+      providerReference: `SIM-${crypto.randomBytes(6).toString('hex').toUpperCase()}`,
+      checkoutUrl: `/api/payments/simulator/intents/${intent.intentId}/complete`,
+      expiresAt: new Date(Date.now() + CHECKOUT_TTL_MINUTES * 60 * 1000)
+    };
+  }
+
+  /**
+   * @param {Object} body - Simulator webhook body
+   * @returns {Object} Normalized event
+   */
+  parseEvent(body) {
+    const data = body.data || {};
+
+    return {
+      eventId: body.id,
+      type: body.type,
+      intentId: data.intentId,
+      transactionId: data.transactionId,
+      amount: Number(data.amount),
+      currency: data.currency,
+      occurredAt: body.created ? new Date(body.created * 1000) : new Date(),
+      failureReason: data.failureReason
+    };
+  }
+
+  /**
+   * Build the signed webhook the simulator would send for an intent
+   * @param {Object} intent - PaymentIntent document
+   * @param {string} outcome - 'succeeded' or 'failed'
+   * @param {Object} [options] - Overrides for the event
+   * @param {number} [options.amount] - Amount collected, the intent amount by default
+   * @param {string} [options.failureReason] - Reason given for a failed payment
+   * @returns {{rawBody: Buffer, headers: Object}} Request body and headers
+   */
+  buildWebhook(intent, outcome, options = {}) {
+    const created = Math.floor(Date.now() / 1000);
+    const succeeded = outcome === 'succeeded';
+
+    const rawBody = Buffer.from(JSON.stringify({
+      id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+      type: succeeded ? 'payment.succeeded' : 'payment.failed',
+      created,
+      data: {
+        intentId: intent.intentId,
+        providerReference: intent.providerReference,
+        transactionId: succeeded ? `SIMTX${crypto.randomBytes(5).toString('hex').toUpperCase()}` : undefined,
+        amount: options.amount !== undefined ? options.amount : intent.amount,
+        currency: intent.currency,
+        failureReason: succeeded ? undefined : (options.failureReason || 'Declined by simulator')
+      }
+    }));
+
+    return {
+      rawBody,
+      headers: {
+        'content-type': 'application/json',
+        [this.signatureHeader]: `t=${created},v1=${this.sign(rawBody, created)}`
+      }
+    };
+  }
+}
+
+module.exports = SimulatorProvider;
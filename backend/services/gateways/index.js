@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Registry of the payment gateway providers the API accepts
+ * @module services/gateways
+ */
+
+const GatewayProvider = require('./GatewayProvider');
+const SimulatorProvider = require('./SimulatorProvider');
+const { NotFoundError } = require('../../utils/customErrors');
+
+const providers = new Map();
+
+/**
+ * Register a provider under its name
+ * @param {GatewayProvider} provider - Provider instance
+ */
+const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Get a registered provider
+ * @param {string} name - Provider name
+ * @returns {GatewayProvider} Provider
+ * @throws {NotFoundError} When no provider has that name
+ */
+const getProvider = (name) => {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new NotFoundError('Payment provider', name);
+  }
+  return provider;
+};
+
+/**
+ * Whether the simulator is available. It is always on outside production and
+ * must be switched on explicitly in production.
+ * @returns {boolean}
+ */
+const isSimulatorEnabled = () =>
+  process.env.NODE_ENV !== 'production' || process.env.PAYMENT_SIMULATOR_ENABLED === 'true';
+
+if (isSimulatorEnabled()) {
+  // Production has no fallback secret, so unsigned simulator webhooks are always refused there
+  registerProvider(new SimulatorProvider(
+    process.env.PAYMENT_SIMULATOR_SECRET ||
+      (process.env.NODE_ENV === 'production' ? undefined : 'local-payment-simulator-secret')
+  ));
+}
+
+module.exports = {
+  GatewayProvider,
+  registerProvider,
+  getProvider,
+  listProviders: () => Array.from(providers.keys()),
+  isSimulatorEnabled
+};
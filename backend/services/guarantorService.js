@@ -0,0 +1,588 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Grantor = require('../models/Grantor');
+const Loan = require('../models/Loan');
+const Client = require('../models/Client');
+const notificationService = require('./notificationService');
+const { roundCurrency } = require('../utils/interestCalculator');
+const { getClientLanguage, translate } = require('../utils/localization');
+const {
+  BusinessRuleError,
+  ConflictError,
+  NotFoundError,
+  ValidationError
+} = require('../utils/customErrors');
+const { logger } = require('../utils/logger');
+
+// Loans that count towards a guarantor's exposure
+const EXPOSURE_STATUSES = ['Pending', 'Under Review', 'Approved', 'Active', 'Defaulted'];
+// Loans in repayment are counted at their remaining balance, others at the full amount
+const REPAYMENT_STATUSES = ['Active', 'Defaulted'];
+
+const VERIFICATION_CATEGORIES = ['identity', 'employment'];
+const OTP_RESEND_MS = 60 * 1000;
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Guarantor Service
+ * Keeps one Grantor record per person (matched by NIC number) so guarantors
+ * are reused across loans, caps how much one person can guarantee, and
+ * records each guarantor's consent and document verification
+ */
+class GuarantorService {
+  constructor() {
+    this.maxActiveLoans = parseInt(process.env.GUARANTOR_MAX_ACTIVE_LOANS || '3', 10);
+    this.maxExposure = parseFloat(process.env.GUARANTOR_MAX_EXPOSURE || '5000000');
+    this.otpTtlMinutes = parseInt(process.env.GUARANTOR_OTP_TTL_MINUTES || '10', 10);
+    this.otpMaxAttempts = 5;
+  }
+
+  /**
+   * Normalise a NIC number for storage and lookup
+   * @param {string} nic - NIC number
+   * @returns {string} Trimmed, upper case NIC number
+   */
+  normalizeNic(nic) {
+    return String(nic || '').trim().toUpperCase();
+  }
+
+  /**
+   * Find a guarantor by MongoDB ID or grantorId
+   * @param {string} id - Guarantor ID
+   * @param {string} [select] - Extra fields to select
+   * @returns {Promise<Object>} Grantor document
+   * @throws {NotFoundError} When the guarantor does not exist
+   */
+  async findGrantor(id, select) {
+    const query = Grantor.findOne(mongoose.Types.ObjectId.isValid(id) ? { _id: id } : { grantorId: id });
+    const grantor = await (select ? query.select(select) : query);
+    if (!grantor) {
+      throw new NotFoundError('Guarantor', id);
+    }
+    return grantor;
+  }
+
+  /**
+   * Find a guarantor by NIC number
+   * @param {string} nic - NIC number
+   * @returns {Promise<Object|null>} Grantor document
+   */
+  findByNic(nic) {
+    return Grantor.findOne({ 'identityVerification.idNumber': this.normalizeNic(nic) });
+  }
+
+  /**
+   * List guarantors
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.search] - Name, NIC number or phone number
+   * @param {number} [filters.page=1] - Page
+   * @param {number} [filters.limit=10] - Page size
+   * @returns {Promise<Object>} Guarantors and pagination
+   */
+  async listGrantors({ search, page = 1, limit = 10 } = {}) {
+    const filter = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      filter.$or = [
+        { 'personalInfo.fullName': pattern },
+        { 'personalInfo.contactNumber': pattern },
+        { 'identityVerification.idNumber': pattern }
+      ];
+    }
+
+    const [grantors, total] = await Promise.all([
+      Grantor.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Grantor.countDocuments(filter)
+    ]);
+
+    return {
+      grantors,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Register a guarantor
+   * @param {Object} data - personalInfo, identityVerification and employmentDetails
+   * @param {string} createdBy - Staff ID
+   * @returns {Promise<Object>} Grantor document
+   * @throws {ConflictError} When a guarantor with the NIC number exists
+   */
+  async createGrantor(data, createdBy) {
+    const idNumber = this.normalizeNic(data.identityVerification?.idNumber);
+    if (await this.findByNic(idNumber)) {
+      throw new ConflictError('A guarantor with this NIC number already exists', 'identityVerification.idNumber');
+    }
+
+    const grantor = new Grantor({
+      ...data,
+      identityVerification: { ...data.identityVerification, idNumber },
+      createdBy
+    });
+    grantor.addAuditEntry('created', createdBy);
+    await grantor.save();
+
+    logger.info('Guarantor registered', { grantorId: grantor.grantorId, createdBy });
+    return grantor;
+  }
+
+  /**
+   * Update a guarantor. A new NIC number clears the identity verification and
+   * new employment details clear the employment verification.
+   * @param {string} id - Guarantor ID
+   * @param {Object} data - Sections to update
+   * @param {string} updatedBy - Staff ID
+   * @returns {Promise<Object>} Grantor document
+   * @throws {ConflictError} When the new NIC number belongs to another guarantor
+   */
+  async updateGrantor(id, data, updatedBy) {
+    const grantor = await this.findGrantor(id);
+    const changes = {};
+
+    if (data.identityVerification?.idNumber) {
+      const idNumber = this.normalizeNic(data.identityVerification.idNumber);
+      if (idNumber !== grantor.identityVerification.idNumber) {
+        const existing = await this.findByNic(idNumber);
+        if (existing && !existing._id.equals(grantor._id)) {
+          throw new ConflictError('A guarantor with this NIC number already exists', 'identityVerification.idNumber');
+        }
+        grantor.verificationStatus.identity.verified = false;
+      }
+      data.identityVerification.idNumber = idNumber;
+    }
+
+    if (data.employmentDetails) {
+      grantor.verificationStatus.employment.verified = false;
+    }
+
+    for (const section of ['personalInfo', 'identityVerification', 'employmentDetails']) {
+      for (const [field, value] of Object.entries(data[section] || {})) {
+        changes[`${section}.${field}`] = value;
+        grantor.set(`${section}.${field}`, value);
+      }
+    }
+
+    grantor.addAuditEntry('updated', updatedBy, { changes });
+    await grantor.save();
+    return grantor;
+  }
+
+  /**
+   * Delete a guarantor that is not named on any loan
+   * @param {string} id - Guarantor ID
+   * @param {string} deletedBy - Staff ID
+   * @throws {ConflictError} When the guarantor is named on a loan
+   */
+  async deleteGrantor(id, deletedBy) {
+    const grantor = await this.findGrantor(id);
+    const loans = await Loan.countDocuments({
+      $or: [{ primaryGuarantor: grantor._id }, { secondaryGuarantor: grantor._id }]
+    });
+    if (loans > 0) {
+      throw new ConflictError('Guarantor is named on loans and cannot be deleted', 'grantorId');
+    }
+
+    await Grantor.deleteOne({ _id: grantor._id });
+    logger.info('Guarantor deleted', { grantorId: grantor.grantorId, deletedBy });
+  }
+
+  /**
+   * Loans a guarantor currently stands behind and the amount at risk
+   * @param {Object} grantor - Grantor document
+   * @returns {Promise<Object>} activeLoans, totalExposure, the limits and the loans
+   */
+  async getExposure(grantor) {
+    const loans = await Loan.find({
+      $or: [{ primaryGuarantor: grantor._id }, { secondaryGuarantor: grantor._id }],
+      loanStatus: { $in: EXPOSURE_STATUSES }
+    })
+      .select('loanApplicationId loanAmount loanStatus calculatedFields.remainingBalance')
+      .lean();
+
+    const items = loans.map(loan => ({
+      loanId: loan._id,
+      loanApplicationId: loan.loanApplicationId,
+      loanStatus: loan.loanStatus,
+      exposure: roundCurrency(REPAYMENT_STATUSES.includes(loan.loanStatus)
+        ? loan.calculatedFields?.remainingBalance ?? loan.loanAmount
+        : loan.loanAmount)
+    }));
+
+    return {
+      activeLoans: items.length,
+      totalExposure: roundCurrency(items.reduce((sum, item) => sum + item.exposure, 0)),
+      maxActiveLoans: this.maxActiveLoans,
+      maxExposure: this.maxExposure,
+      loans: items
+    };
+  }
+
+  /**
+   * Check the guarantors of a loan application: they must exist, not be the
+   * applicant, not be named twice and stay within their exposure limits
+   * @param {Array<Object>} guarantors - { info, field } per guarantor, info being
+   * either { grantorId } or the guarantor's details with idNumber
+   * @param {Object} application - Application
+   * @param {Object} [application.client] - Applicant
+   * @param {number} application.loanAmount - Requested amount
+   * @returns {Promise<Array<Object>>} Validation errors in the business rule format
+   */
+  async validateForLoan(guarantors, { client, loanAmount }) {
+    const errors = [];
+    const clientNic = this.normalizeNic(client?.identityVerification?.idNumber);
+    const seen = new Set();
+
+    for (const { info, field } of guarantors) {
+      const grantor = info.grantorId
+        ? await Grantor.findById(info.grantorId)
+        : await this.findByNic(info.idNumber);
+
+      if (info.grantorId && !grantor) {
+        errors.push({ field, message: 'Guarantor not found', code: 'GUARANTOR_NOT_FOUND' });
+        continue;
+      }
+
+      const nic = grantor ? grantor.identityVerification.idNumber : this.normalizeNic(info.idNumber);
+      if (clientNic && nic === clientNic) {
+        errors.push({
+          field,
+          message: 'Guarantor cannot be the same person as the loan applicant',
+          code: 'GUARANTOR_SAME_AS_CLIENT'
+        });
+      }
+      if (seen.has(nic)) {
+        errors.push({ field, message: 'The same person cannot be both guarantors', code: 'GUARANTOR_DUPLICATE' });
+      }
+      seen.add(nic);
+
+      if (!grantor) {
+        continue;
+      }
+
+      const exposure = await this.getExposure(grantor);
+      if (exposure.activeLoans >= this.maxActiveLoans) {
+        errors.push({
+          field,
+          message: `Guarantor is already guaranteeing the maximum number of loans (${this.maxActiveLoans})`,
+          code: 'GUARANTOR_LIMIT_EXCEEDED'
+        });
+      } else if (exposure.totalExposure + loanAmount > this.maxExposure) {
+        errors.push({
+          field,
+          message: `Guarantor exposure would reach ${roundCurrency(exposure.totalExposure + loanAmount)}. Maximum allowed is ${this.maxExposure}`,
+          code: 'GUARANTOR_EXPOSURE_EXCEEDED'
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Find the guarantor named on an application, reusing the record of a
+   * guarantor already on file, or register a new one
+   * @param {Object} info - { grantorId } or name, contactNumber, address, idNumber,
+   * and optionally email, employer and monthlyIncome
+   * @param {string} createdBy - Staff ID
+   * @returns {Promise<Object>} Grantor document
+   */
+  async resolveForLoan(info, createdBy) {
+    if (info.grantorId) {
+      return this.findGrantor(info.grantorId);
+    }
+
+    const existing = await this.findByNic(info.idNumber);
+    if (existing) {
+      logger.info('Reusing guarantor on file', { grantorId: existing.grantorId });
+      return existing;
+    }
+
+    return this.createGrantor({
+      personalInfo: {
+        fullName: info.name,
+        contactNumber: info.contactNumber,
+        email: info.email,
+        address: info.address
+      },
+      identityVerification: { idType: 'NIC', idNumber: info.idNumber },
+      employmentDetails: { employer: info.employer, monthlyIncome: info.monthlyIncome }
+    }, createdBy);
+  }
+
+  /**
+   * Get the consent entry of a guarantor for a loan, creating it when the
+   * guarantor is named on the loan but has none yet
+   * @param {Object} grantor - Grantor document
+   * @param {Object} loan - Loan document
+   * @returns {Object} Consent entry
+   * @throws {BusinessRuleError} When the guarantor is not named on the loan
+   */
+  ensureConsent(grantor, loan) {
+    const role = grantor._id.equals(loan.primaryGuarantor?._id || loan.primaryGuarantor) ? 'primary'
+      : grantor._id.equals(loan.secondaryGuarantor?._id || loan.secondaryGuarantor) ? 'secondary'
+        : null;
+    if (!role) {
+      throw new BusinessRuleError('Guarantor is not named on this loan', 'GUARANTOR_NOT_ON_LOAN');
+    }
+
+    let consent = grantor.getConsent(loan._id);
+    if (!consent) {
+      grantor.consents.push({ loanId: loan._id, role });
+      consent = grantor.consents[grantor.consents.length - 1];
+    }
+    return consent;
+  }
+
+  /**
+   * Record that a guarantor was named on a new loan; their consent is pending
+   * @param {Object} grantor - Grantor document
+   * @param {Object} loan - Loan document
+   * @param {string} [relationship] - Relationship to the applicant
+   * @param {string} performedBy - Staff ID
+   * @returns {Promise<Object>} Grantor document
+   */
+  async attachToLoan(grantor, loan, relationship, performedBy) {
+    const consent = this.ensureConsent(grantor, loan);
+    consent.relationship = relationship;
+    grantor.addAuditEntry('named_on_loan', performedBy, { loanId: loan._id, role: consent.role });
+    await grantor.save();
+    return grantor;
+  }
+
+  /**
+   * Hash a consent code
+   * @param {Object} consent - Consent entry
+   * @param {string} code - Code
+   * @returns {string} SHA-256 hex digest bound to the consent entry
+   */
+  hashOtp(consent, code) {
+    return crypto.createHash('sha256').update(`${consent._id}:${code}`).digest('hex');
+  }
+
+  /**
+   * Send the guarantor a one-time code to confirm their consent to a loan
+   * @param {string} grantorId - Guarantor ID
+   * @param {Object} loan - Loan document
+   * @param {string} performedBy - Staff ID
+   * @returns {Promise<Object>} Channel used and code expiry
+   * @throws {ConflictError} When consent was already given
+   * @throws {BusinessRuleError} When a code was sent less than a minute ago
+   */
+  async requestConsentOtp(grantorId, loan, performedBy) {
+    const grantor = await this.findGrantor(grantorId, '+consents.otpHash');
+    const consent = this.ensureConsent(grantor, loan);
+    const now = new Date();
+
+    if (consent.status === 'confirmed') {
+      throw new ConflictError('Guarantor has already given consent for this loan', 'consent');
+    }
+    if (consent.otpSentAt && now - consent.otpSentAt < OTP_RESEND_MS) {
+      throw new BusinessRuleError('A consent code was sent less than a minute ago', 'OTP_RESEND_TOO_SOON');
+    }
+
+    const client = await Client.findById(loan.clientUserId?._id || loan.clientUserId)
+      .select('personalInfo.fullName preferences')
+      .lean();
+    const language = getClientLanguage(client);
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+    const channel = await notificationService.sendDirect({
+      phoneNumber: grantor.personalInfo?.contactNumber,
+      email: grantor.personalInfo?.email,
+      title: translate(language, 'guarantors.consentOtp.title'),
+      message: translate(language, 'guarantors.consentOtp.message', {
+        clientName: client?.personalInfo?.fullName || '',
+        amount: loan.loanAmount.toLocaleString(),
+        code,
+        minutes: this.otpTtlMinutes
+      })
+    });
+
+    consent.otpHash = this.hashOtp(consent, code);
+    consent.otpExpiresAt = new Date(now.getTime() + this.otpTtlMinutes * 60 * 1000);
+    consent.otpAttempts = 0;
+    consent.otpSentAt = now;
+    grantor.addAuditEntry('consent_otp_sent', performedBy, { loanId: loan._id, channel });
+    await grantor.save();
+
+    return { channel, expiresAt: consent.otpExpiresAt };
+  }
+
+  /**
+   * Confirm a guarantor's consent to a loan with the code they received or
+   * their uploaded signed consent form
+   * @param {string} grantorId - Guarantor ID
+   * @param {Object} loan - Loan document
+   * @param {Object} params - Consent
+   * @param {string} params.method - 'otp' or 'signed_form'
+   * @param {string} [params.otp] - Code sent to the guarantor
+   * @param {string} [params.signedFormUrl] - Uploaded signed consent form
+   * @param {string} performedBy - Staff ID
+   * @returns {Promise<Object>} Consent entry
+   * @throws {ConflictError} When consent was already given
+   * @throws {BusinessRuleError} When the code expired or was tried too often
+   * @throws {ValidationError} When the code is wrong
+   */
+  async confirmConsent(grantorId, loan, { method, otp, signedFormUrl }, performedBy) {
+    const grantor = await this.findGrantor(grantorId, '+consents.otpHash');
+    const consent = this.ensureConsent(grantor, loan);
+    const now = new Date();
+
+    if (consent.status === 'confirmed') {
+      throw new ConflictError('Guarantor has already given consent for this loan', 'consent');
+    }
+
+    if (method === 'otp') {
+      if (!consent.otpHash || consent.otpExpiresAt < now) {
+        throw new BusinessRuleError('The consent code has expired; request a new one', 'CONSENT_OTP_EXPIRED');
+      }
+      if (consent.otpAttempts >= this.otpMaxAttempts) {
+        throw new BusinessRuleError('Too many incorrect codes; request a new one', 'CONSENT_OTP_LOCKED');
+      }
+
+      const expected = Buffer.from(consent.otpHash, 'hex');
+      const actual = Buffer.from(this.hashOtp(consent, String(otp).trim()), 'hex');
+      if (!crypto.timingSafeEqual(expected, actual)) {
+        consent.otpAttempts += 1;
+        await grantor.save();
+        throw new ValidationError('Incorrect consent code', 'otp');
+      }
+    } else {
+      consent.signedFormUrl = signedFormUrl;
+    }
+
+    consent.status = 'confirmed';
+    consent.method = method;
+    consent.confirmedAt = now;
+    consent.recordedBy = performedBy;
+    consent.otpHash = undefined;
+    consent.otpExpiresAt = undefined;
+    grantor.addAuditEntry('consent_confirmed', performedBy, { loanId: loan._id, method });
+    await grantor.save();
+
+    logger.info('Guarantor consent confirmed', {
+      grantorId: grantor.grantorId,
+      loanId: loan._id,
+      method,
+      recordedBy: performedBy
+    });
+
+    return consent;
+  }
+
+  /**
+   * Attach an uploaded identity or employment document to a guarantor
+   * @param {string} id - Guarantor ID
+   * @param {Object} document - Document
+   * @param {string} document.category - 'identity' or 'employment'
+   * @param {string} document.type - Document type, e.g. nic_front or employment_letter
+   * @param {string} document.url - URL returned by the file upload
+   * @param {string} uploadedBy - Staff ID
+   * @returns {Promise<Object>} Grantor document
+   */
+  async addDocument(id, { category, type, url }, uploadedBy) {
+    const grantor = await this.findGrantor(id);
+
+    grantor.verificationStatus[category].documents.push({
+      type,
+      url,
+      uploadedAt: new Date(),
+      uploadedBy
+    });
+    if (category === 'identity') {
+      grantor.identityVerification.documentUrl = url;
+    } else {
+      grantor.employmentDetails.employmentLetterUrl = url;
+    }
+
+    grantor.addAuditEntry('document_uploaded', uploadedBy, { category, type });
+    await grantor.save();
+    return grantor;
+  }
+
+  /**
+   * Verify or reject a guarantor's identity or employment documents
+   * @param {string} id - Guarantor ID
+   * @param {string} category - 'identity' or 'employment'
+   * @param {boolean} verified - Outcome
+   * @param {string} verifiedBy - Staff ID
+   * @param {string} [reason=''] - Reason for a rejection
+   * @returns {Promise<Object>} Grantor document
+   * @throws {BusinessRuleError} When verifying a category without documents
+   */
+  async updateVerification(id, category, verified, verifiedBy, reason = '') {
+    if (!VERIFICATION_CATEGORIES.includes(category)) {
+      throw new ValidationError('Invalid verification category', 'category', category);
+    }
+
+    const grantor = await this.findGrantor(id);
+    if (verified && grantor.verificationStatus[category].documents.length === 0) {
+      throw new BusinessRuleError(`Upload the guarantor's ${category} documents before verifying them`, 'GUARANTOR_DOCUMENTS_MISSING');
+    }
+
+    grantor.updateVerificationStatus(category, verified, verifiedBy, reason);
+    await grantor.save();
+
+    logger.info('Guarantor verification updated', { grantorId: grantor.grantorId, category, verified, verifiedBy });
+    return grantor;
+  }
+
+  /**
+   * Guarantors named on a loan with their consent to it
+   * @param {Object} loan - Loan document
+   * @returns {Promise<Array<Object>>} { grantor, role, consent } per guarantor
+   */
+  async getLoanGuarantors(loan) {
+    const roles = [
+      { role: 'primary', id: loan.primaryGuarantor?._id || loan.primaryGuarantor },
+      { role: 'secondary', id: loan.secondaryGuarantor?._id || loan.secondaryGuarantor }
+    ].filter(item => item.id);
+    if (roles.length === 0) {
+      return [];
+    }
+
+    const grantors = await Grantor.find({ _id: { $in: roles.map(item => item.id) } });
+    return roles
+      .map(({ role, id }) => {
+        const grantor = grantors.find(item => item._id.equals(id));
+        return grantor && { grantor, role, consent: grantor.getConsent(loan._id) };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Require every guarantor of a loan to have given consent
+   * @param {Object} loan - Loan document
+   * @throws {BusinessRuleError} When a guarantor's consent is pending
+   */
+  async assertConsented(loan) {
+    const pending = (await this.getLoanGuarantors(loan))
+      .filter(({ consent }) => consent?.status !== 'confirmed')
+      .map(({ grantor }) => grantor);
+
+    if (pending.length > 0) {
+      throw new BusinessRuleError(
+        `Guarantor consent is pending for ${pending.map(grantor => grantor.personalInfo?.fullName || grantor.grantorId).join(', ')}`,
+        'GUARANTOR_CONSENT_PENDING',
+        { grantorIds: pending.map(grantor => grantor.grantorId) }
+      );
+    }
+  }
+}
+
+module.exports = new GuarantorService();
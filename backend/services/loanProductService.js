@@ -0,0 +1,408 @@
+const LoanProduct = require('../models/LoanProduct');
+const {
+  FREQUENCY_PERIODS,
+  DEFAULT_REPAYMENT_FREQUENCY,
+  roundCurrency,
+  termFitsFrequency
+} = require('../utils/interestCalculator');
+const {
+  ConflictError,
+  NotFoundError,
+  ValidationError
+} = require('../utils/customErrors');
+const { logger } = require('../utils/logger');
+
+// Rate used when no band of the product covers the amount and the region has no default
+const FALLBACK_INTEREST_RATE = 12.5;
+
+/**
+ * Loan Product Service
+ * Catalogue management, per-region product terms, pricing and the product
+ * checks applied to new loan applications
+ */
+class LoanProductService {
+  constructor() {
+    this.defaultsEnsured = false;
+  }
+
+  /**
+   * Create the default catalogue on first use
+   * @returns {Promise<void>}
+   */
+  async ensureCatalogue() {
+    if (this.defaultsEnsured) {
+      return;
+    }
+
+    if (await LoanProduct.countDocuments() === 0) {
+      await LoanProduct.ensureDefaults();
+      logger.info('Default loan products created');
+    }
+    this.defaultsEnsured = true;
+  }
+
+  /**
+   * List products
+   * @param {Object} [options] - List options
+   * @param {boolean} [options.includeInactive=false] - Include withdrawn products
+   * @returns {Promise<Array>} Products sorted by name
+   */
+  async listProducts({ includeInactive = false } = {}) {
+    await this.ensureCatalogue();
+
+    const query = includeInactive ? {} : { status: 'active' };
+    return LoanProduct.find(query).sort({ name: 1 });
+  }
+
+  /**
+   * Get a product by code
+   * @param {string} code - Product code
+   * @returns {Promise<Object>} Product
+   * @throws {NotFoundError} When the product does not exist
+   */
+  async getProduct(code) {
+    await this.ensureCatalogue();
+
+    const product = await LoanProduct.findOne({ code: String(code).toUpperCase() });
+    if (!product) {
+      throw new NotFoundError('Loan product', code);
+    }
+    return product;
+  }
+
+  /**
+   * Find an active product by the name stored on loans
+   * @param {string} name - Product name
+   * @returns {Promise<Object|null>} Product
+   */
+  async findActiveByName(name) {
+    await this.ensureCatalogue();
+    return LoanProduct.findOne({ name, status: 'active' });
+  }
+
+  /**
+   * Check the limits and rate bands of a product definition
+   * @param {Object} product - Product document
+   * @throws {ValidationError} When a range is inverted
+   */
+  validateDefinition(product) {
+    const checkLimits = (limits, field) => {
+      if (!limits) return;
+      if (limits.minAmount != null && limits.maxAmount != null && limits.minAmount > limits.maxAmount) {
+        throw new ValidationError('Minimum amount cannot be above the maximum amount', `${field}.minAmount`, limits.minAmount);
+      }
+      if (limits.minTerm != null && limits.maxTerm != null && limits.minTerm > limits.maxTerm) {
+        throw new ValidationError('Minimum term cannot be above the maximum term', `${field}.minTerm`, limits.minTerm);
+      }
+    };
+
+    // Every frequency on offer needs at least one term within the limits that fits it
+    const checkFrequencies = (limits, field) => {
+      const minTerm = limits?.minTerm ?? 1;
+      const maxTerm = limits?.maxTerm ?? 360;
+      (product.repaymentFrequencies || []).forEach((frequency) => {
+        const periodMonths = FREQUENCY_PERIODS[frequency]?.months || 1;
+        if (Math.floor(maxTerm / periodMonths) * periodMonths < minTerm) {
+          throw new ValidationError(
+            `${frequency} repayments need a term in multiples of ${periodMonths} months, which the term limits do not allow`,
+            field,
+            frequency
+          );
+        }
+      });
+    };
+
+    checkLimits(product.limits, 'limits');
+    checkFrequencies(product.limits, 'repaymentFrequencies');
+    product.regionOverrides.forEach((override, index) => {
+      checkLimits(override.limits, `regionOverrides.${index}.limits`);
+      checkFrequencies(this.resolveTerms(product, override.region).limits, `regionOverrides.${index}.limits`);
+    });
+
+    if (product.interest.rateBands.length === 0) {
+      throw new ValidationError('A product needs at least one rate band', 'interest.rateBands');
+    }
+    const { minRate, maxRate } = product.interest;
+    if (minRate != null && maxRate != null && minRate > maxRate) {
+      throw new ValidationError('Minimum rate cannot be above the maximum rate', 'interest.minRate', minRate);
+    }
+  }
+
+  /**
+   * Validate and save a product, turning schema and duplicate key errors into
+   * application errors
+   * @param {Object} product - Product document
+   * @returns {Promise<Object>} Saved product
+   */
+  async saveProduct(product) {
+    this.validateDefinition(product);
+
+    try {
+      return await product.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        const field = Object.keys(error.keyPattern || {})[0] || 'code';
+        throw new ConflictError(`A loan product with this ${field} already exists`, field);
+      }
+      if (error.name === 'ValidationError') {
+        const [field] = Object.keys(error.errors);
+        throw new ValidationError(error.errors[field].message, field);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Create a product
+   * @param {Object} data - Product definition
+   * @param {string} staffId - Creating admin
+   * @returns {Promise<Object>} Product
+   */
+  async createProduct(data, staffId) {
+    await this.ensureCatalogue();
+
+    const product = new LoanProduct({
+      ...data,
+      createdBy: staffId,
+      updatedBy: staffId
+    });
+    await this.saveProduct(product);
+
+    logger.info('Loan product created', { code: product.code, createdBy: staffId });
+    return product;
+  }
+
+  /**
+   * Update a product. The code and name stay fixed because loans and region
+   * rules refer to them.
+   * @param {string} code - Product code
+   * @param {Object} data - Fields to change
+   * @param {string} staffId - Updating admin
+   * @returns {Promise<Object>} Product
+   */
+  async updateProduct(code, data, staffId) {
+    const product = await this.getProduct(code);
+
+    const changes = { ...data };
+    delete changes.code;
+    delete changes.name;
+    product.set(changes);
+    product.updatedBy = staffId;
+    await this.saveProduct(product);
+
+    logger.info('Loan product updated', { code: product.code, updatedBy: staffId, fields: Object.keys(changes) });
+    return product;
+  }
+
+  /**
+   * Withdraw a product. Existing loans keep it; new applications cannot use it.
+   * @param {string} code - Product code
+   * @param {string} staffId - Updating admin
+   * @returns {Promise<Object>} Product
+   */
+  async deactivateProduct(code, staffId) {
+    return this.updateProduct(code, { status: 'inactive' }, staffId);
+  }
+
+  /**
+   * Terms of a product in a region, with the region's overrides applied
+   * @param {Object} product - Product document
+   * @param {string} [regionId] - Region ID
+   * @returns {Object} Terms with interest, limits, fees, guarantors, tranches and availability
+   */
+  resolveTerms(product, regionId) {
+    const override = regionId
+      ? product.regionOverrides.find(item => String(item.region) === String(regionId?._id || regionId))
+      : null;
+    const limits = product.limits?.toObject?.() || product.limits || {};
+    const overrideLimits = override?.limits?.toObject?.() || override?.limits || {};
+
+    // Override fields win only when they are set
+    const mergedLimits = { ...limits };
+    Object.keys(overrideLimits).forEach((field) => {
+      if (overrideLimits[field] != null) mergedLimits[field] = overrideLimits[field];
+    });
+
+    return {
+      productId: product._id,
+      code: product.code,
+      name: product.name,
+      isAvailable: product.status === 'active' && (override ? override.isAvailable !== false : true),
+      interest: {
+        method: product.interest.method,
+        rateBands: override?.rateBands?.length ? override.rateBands : product.interest.rateBands,
+        incomeDiscounts: product.interest.incomeDiscounts,
+        minRate: product.interest.minRate,
+        maxRate: product.interest.maxRate
+      },
+      limits: mergedLimits,
+      fees: override?.fees?.length ? override.fees : product.fees,
+      repaymentFrequencies: product.repaymentFrequencies,
+      requiredDocuments: product.requiredDocuments,
+      guarantors: product.guarantors,
+      maxDebtToIncome: product.maxDebtToIncome,
+      maxTranches: product.disbursement?.maxTranches || 1,
+      regionOverride: Boolean(override)
+    };
+  }
+
+  /**
+   * Load a product by name and resolve its terms for a region
+   * @param {string} name - Product name
+   * @param {string} [regionId] - Region ID
+   * @returns {Promise<Object|null>} Terms, or null when there is no active product with that name
+   */
+  async getApplicationTerms(name, regionId) {
+    const product = await this.findActiveByName(name);
+    return product ? this.resolveTerms(product, regionId) : null;
+  }
+
+  /**
+   * Quote the interest rate for an application
+   * @param {Object} terms - Product terms
+   * @param {Object} params - Application figures
+   * @param {number} params.loanAmount - Loan amount
+   * @param {number} [params.monthlyIncome] - Client's monthly income
+   * @param {Object} [region] - Region document, for its default rate
+   * @returns {number} Annual interest rate (percentage)
+   */
+  quoteRate(terms, { loanAmount, monthlyIncome }, region = null) {
+    const band = [...terms.interest.rateBands]
+      .sort((a, b) => (a.maxAmount ?? Infinity) - (b.maxAmount ?? Infinity))
+      .find(item => item.maxAmount == null || loanAmount <= item.maxAmount);
+    const baseRate = band
+      ? band.rate
+      : region?.configuration?.defaultInterestRate ?? FALLBACK_INTEREST_RATE;
+
+    const discount = Math.max(0, ...(terms.interest.incomeDiscounts || [])
+      .filter(item => monthlyIncome > item.aboveMonthlyIncome)
+      .map(item => item.discount));
+
+    return roundCurrency(Math.max(0, baseRate - discount));
+  }
+
+  /**
+   * Calculate the fees of a loan
+   * @param {Object} terms - Product terms
+   * @param {number} loanAmount - Loan amount
+   * @returns {Object} Fee lines and their total
+   */
+  calculateFees(terms, loanAmount) {
+    const fees = (terms.fees || []).map((fee) => {
+      let amount = fee.type === 'percentage' ? loanAmount * fee.value / 100 : fee.value;
+      if (fee.minAmount != null) amount = Math.max(amount, fee.minAmount);
+      if (fee.maxAmount != null) amount = Math.min(amount, fee.maxAmount);
+      return { name: fee.name, amount: roundCurrency(amount) };
+    });
+
+    return {
+      fees,
+      total: roundCurrency(fees.reduce((sum, fee) => sum + fee.amount, 0))
+    };
+  }
+
+  /**
+   * Frequency used when an application does not choose one: monthly when the
+   * product allows it, otherwise the product's first frequency
+   * @param {Object} terms - Product terms
+   * @returns {string} Repayment frequency
+   */
+  getDefaultFrequency(terms) {
+    const frequencies = terms.repaymentFrequencies || [];
+    return frequencies.length === 0 || frequencies.includes(DEFAULT_REPAYMENT_FREQUENCY)
+      ? DEFAULT_REPAYMENT_FREQUENCY
+      : frequencies[0];
+  }
+
+  /**
+   * Check an application against the product terms
+   * @param {Object} terms - Product terms
+   * @param {Object} application - Application figures
+   * @param {number} application.loanAmount - Loan amount
+   * @param {number} application.loanTerm - Term in months
+   * @param {number} [application.interestRate] - Rate entered by staff
+   * @param {string} [application.repaymentFrequency] - Repayment frequency
+   * @param {number} [application.guarantorCount=0] - Guarantors provided
+   * @returns {Array<Object>} Errors in the business rule format
+   */
+  validateApplication(terms, {
+    loanAmount,
+    loanTerm,
+    interestRate,
+    repaymentFrequency,
+    guarantorCount = 0
+  }) {
+    const errors = [];
+    const { limits, interest, guarantors } = terms;
+
+    if (!terms.isAvailable) {
+      errors.push({
+        field: 'product',
+        message: `${terms.name} is not offered in this region`,
+        code: 'PRODUCT_NOT_AVAILABLE'
+      });
+      return errors;
+    }
+
+    if ((limits.minAmount != null && loanAmount < limits.minAmount)
+      || (limits.maxAmount != null && loanAmount > limits.maxAmount)) {
+      errors.push({
+        field: 'loanAmount',
+        message: `${terms.name} amounts must be between ${limits.minAmount ?? 0} and ${limits.maxAmount ?? 'any amount'}`,
+        code: 'PRODUCT_AMOUNT_OUT_OF_RANGE'
+      });
+    }
+
+    if ((limits.minTerm != null && loanTerm < limits.minTerm)
+      || (limits.maxTerm != null && loanTerm > limits.maxTerm)) {
+      errors.push({
+        field: 'loanTerm',
+        message: `${terms.name} terms must be between ${limits.minTerm ?? 1} and ${limits.maxTerm ?? 'any number of'} months`,
+        code: 'PRODUCT_TERM_OUT_OF_RANGE'
+      });
+    }
+
+    if (interestRate != null
+      && ((interest.minRate != null && interestRate < interest.minRate)
+        || (interest.maxRate != null && interestRate > interest.maxRate))) {
+      errors.push({
+        field: 'interestRate',
+        message: `${terms.name} rates must be between ${interest.minRate ?? 0}% and ${interest.maxRate ?? 100}%`,
+        code: 'PRODUCT_RATE_OUT_OF_RANGE'
+      });
+    }
+
+    if (repaymentFrequency && !terms.repaymentFrequencies.includes(repaymentFrequency)) {
+      errors.push({
+        field: 'repaymentFrequency',
+        message: `${terms.name} can be repaid ${terms.repaymentFrequencies.join(', ')}`,
+        code: 'REPAYMENT_FREQUENCY_NOT_ALLOWED'
+      });
+    }
+
+    // Quarterly and longer periods have to fit the term exactly
+    if (repaymentFrequency && !termFitsFrequency(loanTerm, repaymentFrequency)) {
+      errors.push({
+        field: 'loanTerm',
+        message: `${repaymentFrequency} repayments need a term in multiples of ${FREQUENCY_PERIODS[repaymentFrequency].months} months`,
+        code: 'TERM_DOES_NOT_FIT_FREQUENCY'
+      });
+    }
+
+    const requiredGuarantors = Math.max(
+      guarantors?.minCount || 0,
+      guarantors?.requiredAboveAmount != null && loanAmount > guarantors.requiredAboveAmount ? 1 : 0
+    );
+    if (guarantorCount < requiredGuarantors) {
+      errors.push({
+        field: 'guarantors',
+        message: `${terms.name} needs ${requiredGuarantors} guarantor(s) for this amount`,
+        code: 'GUARANTOR_REQUIRED'
+      });
+    }
+
+    return errors;
+  }
+}
+
+module.exports = new LoanProductService();
@@ -0,0 +1,666 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const Client = require('../models/Client');
+const Staff = require('../models/Staff');
+const RepaymentSchedule = require('../models/RepaymentSchedule');
+const { FREQUENCY_PERIODS, resolveFrequency } = require('../utils/interestCalculator');
+const { getClientLanguage, translate, hasTranslation, DEFAULT_LANGUAGE } = require('../utils/localization');
+const { ValidationError, NotFoundError } = require('../utils/customErrors');
+const { logger } = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Contact windows are in Sri Lanka time (UTC+05:30, no daylight saving)
+const LOCAL_OFFSET_MS = 330 * MINUTE_MS;
+const CONTACT_WINDOWS = {
+  morning: { start: 8, end: 12 },
+  afternoon: { start: 12, end: 17 },
+  evening: { start: 17, end: 21 }
+};
+
+// Matches the max of Notification.retryCount
+const MAX_ATTEMPTS = 3;
+const CHANNELS = ['push', 'email', 'sms'];
+
+/**
+ * Post a message to an HTTP gateway
+ * @param {string} url - Gateway URL
+ * @param {string} [apiKey] - Bearer token
+ * @param {Object} body - JSON body
+ */
+const postToGateway = async (url, apiKey, body) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+    },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Gateway responded with ${response.status}`);
+  }
+};
+
+/**
+ * Notification Service
+ * Creates Notification records, delivers them over the recipient's enabled
+ * channels and runs the dispatcher for scheduled items, retries and
+ * due-date reminders
+ */
+class NotificationService {
+  constructor() {
+    this.pollInterval = parseInt(process.env.NOTIFICATION_DISPATCH_INTERVAL_MS || '60000', 10);
+    this.reminderDays = parseInt(process.env.PAYMENT_REMINDER_DAYS || '3', 10);
+    this.reminderHour = parseInt(process.env.PAYMENT_REMINDER_HOUR || '8', 10);
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.pollTimer = null;
+    this.isDispatching = false;
+    this.lastDispatch = null;
+    this.lastReminderDate = null;
+
+    // Channel senders; push and SMS go through HTTP gateways when configured
+    this.senders = {
+      email: async (notification) => {
+        // Loaded lazily so the SMTP transporter is only created when email is sent
+        const emailService = require('./emailService');
+        await emailService.queueEmail({
+          to: notification.channels.email.emailAddress,
+          subject: notification.title,
+          text: notification.message,
+          language: notification.metadata?.language,
+          priority: notification.isUrgent ? 'high' : 'normal'
+        });
+      },
+      sms: process.env.SMS_GATEWAY_URL
+        ? (notification) => postToGateway(process.env.SMS_GATEWAY_URL, process.env.SMS_GATEWAY_API_KEY, {
+          to: notification.channels.sms.phoneNumber,
+          message: `${notification.title}: ${notification.message}`
+        })
+        : null,
+      push: process.env.PUSH_GATEWAY_URL
+        ? (notification) => postToGateway(process.env.PUSH_GATEWAY_URL, process.env.PUSH_GATEWAY_API_KEY, {
+          tokens: notification.channels.push.deviceTokens,
+          title: notification.title,
+          body: notification.message,
+          data: {
+            notificationId: notification.notificationId,
+            type: notification.type,
+            loanId: notification.relatedLoanId?.toString()
+          }
+        })
+        : null
+    };
+  }
+
+  /**
+   * Replace the sender of a channel, e.g. to plug in a push provider
+   * @param {string} channel - 'push', 'email' or 'sms'
+   * @param {Function|null} sender - async (notification) => void, null disables the channel
+   */
+  setSender(channel, sender) {
+    if (!CHANNELS.includes(channel)) {
+      throw new ValidationError(`Unknown notification channel: ${channel}`, 'channel', channel);
+    }
+    this.senders[channel] = sender;
+  }
+
+  /**
+   * Find the start of the client's next contact window
+   * @param {string} preference - Client.preferences.contactTimePreference
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Date|null} Start of the next window, or null when now is fine
+   */
+  getNextContactTime(preference, now = new Date()) {
+    const window = CONTACT_WINDOWS[preference];
+    if (!window) {
+      return null;
+    }
+
+    const local = new Date(now.getTime() + LOCAL_OFFSET_MS);
+    const hour = local.getUTCHours();
+    if (hour >= window.start && hour < window.end) {
+      return null;
+    }
+
+    const start = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate(), window.start));
+    if (hour >= window.end) {
+      start.setUTCDate(start.getUTCDate() + 1);
+    }
+    return new Date(start.getTime() - LOCAL_OFFSET_MS);
+  }
+
+  /**
+   * Work out the recipient's channels, contact details and language
+   * @param {string} recipientType - 'client' or 'staff'
+   * @param {string} recipientId - Client or Staff ID
+   * @param {Array<string>} [deviceTokens=[]] - Push tokens of the recipient
+   * @returns {Promise<Object>} channels, language and contactTimePreference
+   */
+  async resolveRecipient(recipientType, recipientId, deviceTokens = []) {
+    let email;
+    let phoneNumber;
+    let language = DEFAULT_LANGUAGE;
+    let wantsEmail = true;
+    let wantsSms = true;
+    let contactTimePreference = 'anytime';
+
+    if (recipientType === 'client') {
+      const client = await Client.findById(recipientId)
+        .select('personalInfo.email personalInfo.contactNumber preferences')
+        .lean();
+      if (!client) {
+        throw new NotFoundError('Client', recipientId);
+      }
+
+      email = client.personalInfo?.email;
+      phoneNumber = client.personalInfo?.contactNumber;
+      language = getClientLanguage(client);
+      wantsEmail = client.preferences?.emailNotifications !== false;
+      wantsSms = client.preferences?.smsNotifications !== false;
+      contactTimePreference = client.preferences?.contactTimePreference || 'anytime';
+    } else {
+      const staff = await Staff.findById(recipientId).select('email profile.phoneNumber').lean();
+      if (!staff) {
+        throw new NotFoundError('Staff', recipientId);
+      }
+
+      email = staff.email;
+      phoneNumber = staff.profile?.phoneNumber;
+    }
+
+    return {
+      language,
+      contactTimePreference,
+      channels: {
+        push: {
+          enabled: !!this.senders.push && deviceTokens.length > 0,
+          deviceTokens
+        },
+        email: {
+          enabled: !!this.senders.email && wantsEmail && !!email,
+          emailAddress: email
+        },
+        sms: {
+          enabled: !!this.senders.sms && wantsSms && !!phoneNumber,
+          phoneNumber
+        }
+      }
+    };
+  }
+
+  /**
+   * Create a notification and deliver it, or schedule it for the dispatcher
+   * @param {Object} params - Notification
+   * @param {string} params.recipientType - 'client' or 'staff'
+   * @param {string} [params.clientId] - Recipient client
+   * @param {string} [params.staffId] - Recipient staff member
+   * @param {string} params.type - Notification type
+   * @param {string} [params.title] - Title (defaults to the localised catalogue title)
+   * @param {string} [params.message] - Message (defaults to the localised catalogue message)
+   * @param {string} [params.priority='medium'] - low, medium, high or urgent
+   * @param {Date} [params.scheduledFor] - Deliver later
+   * @param {Array<Object>} [params.actions] - Action buttons
+   * @param {Array<string>} [params.deviceTokens] - Push tokens
+   * @param {string} [params.relatedLoanId] - Related loan
+   * @param {string} [params.relatedPaymentId] - Related payment
+   * @param {string} [params.sentBy] - Staff who sent it (system when omitted)
+   * @param {Object} [params.metadata] - Extra data, also used to fill catalogue placeholders
+   * @returns {Promise<Object>} The notification
+   */
+  async notify(params) {
+    const {
+      recipientType,
+      type,
+      priority = 'medium',
+      scheduledFor = null,
+      actions = [],
+      deviceTokens = [],
+      relatedLoanId,
+      relatedPaymentId,
+      sentBy,
+      metadata = {}
+    } = params;
+    const recipientId = recipientType === 'client' ? params.clientId : params.staffId;
+
+    if (!recipientId) {
+      throw new ValidationError(`${recipientType}Id is required`, `${recipientType}Id`, recipientId);
+    }
+
+    const recipient = await this.resolveRecipient(recipientType, recipientId, deviceTokens);
+    const catalogued = hasTranslation(`notifications.${type}`);
+    const title = params.title || (catalogued && translate(recipient.language, `notifications.${type}.title`, metadata));
+    const message = params.message || (catalogued && translate(recipient.language, `notifications.${type}.message`, metadata));
+
+    if (!title || !message) {
+      throw new ValidationError(`A title and message are required for ${type} notifications`, 'message');
+    }
+
+    const isUrgent = priority === 'urgent' || priority === 'high';
+    // Non-urgent client notifications wait for the client's preferred contact time
+    const deliverAt = scheduledFor
+      || (!isUrgent && this.getNextContactTime(recipient.contactTimePreference))
+      || null;
+
+    const notification = await Notification.create({
+      recipientType,
+      clientId: recipientType === 'client' ? recipientId : undefined,
+      staffId: recipientType === 'staff' ? recipientId : undefined,
+      type,
+      title: title.substring(0, 100),
+      message: message.substring(0, 500),
+      priority,
+      isUrgent,
+      relatedLoanId,
+      relatedPaymentId,
+      actions,
+      channels: recipient.channels,
+      isScheduled: !!deliverAt,
+      scheduledFor: deliverAt || undefined,
+      sentBy,
+      sentBySystem: !sentBy,
+      metadata: { ...metadata, language: recipient.language }
+    });
+
+    if (!deliverAt) {
+      await this.deliver(notification);
+    }
+
+    return notification;
+  }
+
+  /**
+   * Send a notification over every enabled channel it has not been sent on.
+   * Failed channels are retried by the dispatcher with a growing delay.
+   * @param {Object} notification - Notification document
+   * @returns {Promise<Object>} The notification
+   */
+  async deliver(notification) {
+    const now = new Date();
+    const failures = [];
+
+    for (const channel of CHANNELS) {
+      const state = notification.channels[channel];
+      if (!state?.enabled || state.sent) {
+        continue;
+      }
+
+      const sender = this.senders[channel];
+      try {
+        if (!sender) {
+          throw new Error(`No ${channel} sender configured`);
+        }
+        await sender(notification);
+        state.sent = true;
+        state.sentAt = now;
+      } catch (error) {
+        failures.push(`${channel}: ${error.message}`);
+        logger.error('Notification channel delivery failed', error, {
+          notificationId: notification.notificationId,
+          channel
+        });
+      }
+    }
+
+    notification.isScheduled = false;
+
+    if (failures.length === 0) {
+      // The notification is in the recipient's in-app feed even when no channel is enabled
+      notification.isDelivered = true;
+      notification.deliveredAt = now;
+      notification.failureReason = undefined;
+    } else {
+      notification.retryCount = Math.min(notification.retryCount + 1, MAX_ATTEMPTS);
+      notification.lastRetryAt = now;
+      notification.failureReason = failures.join('; ').substring(0, 200);
+
+      if (notification.retryCount < MAX_ATTEMPTS) {
+        notification.isScheduled = true;
+        notification.scheduledFor = new Date(now.getTime() + (2 ** notification.retryCount) * MINUTE_MS);
+      }
+    }
+
+    await notification.save();
+    return notification;
+  }
+
+  /**
+   * Atomically claim the next due scheduled notification for this worker
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Promise<Object|null>} Claimed notification or null
+   */
+  async claimNextDue(now = new Date()) {
+    return Notification.findOneAndUpdate(
+      { isScheduled: true, scheduledFor: { $lte: now } },
+      { $set: { isScheduled: false, 'metadata.claimedBy': this.workerId } },
+      { sort: { scheduledFor: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Deliver every due scheduled notification and, once a day, create
+   * payment due reminders
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Promise<Object|null>} Run summary, or null when skipped
+   */
+  async dispatch(now = new Date()) {
+    if (this.isDispatching || mongoose.connection.readyState !== 1) {
+      return null;
+    }
+
+    this.isDispatching = true;
+    const summary = { delivered: 0, failed: 0, reminders: 0 };
+
+    try {
+      const today = new Date(now.getTime() + LOCAL_OFFSET_MS).toISOString().slice(0, 10);
+      const localHour = new Date(now.getTime() + LOCAL_OFFSET_MS).getUTCHours();
+      if (this.lastReminderDate !== today && localHour >= this.reminderHour) {
+        this.lastReminderDate = today;
+        summary.reminders = (await this.sendPaymentReminders(now)).created;
+      }
+
+      let notification;
+      while ((notification = await this.claimNextDue(now))) {
+        await this.deliver(notification);
+        summary[notification.isDelivered ? 'delivered' : 'failed']++;
+      }
+    } catch (error) {
+      logger.error('Notification dispatch failed', error);
+    } finally {
+      this.isDispatching = false;
+    }
+
+    this.lastDispatch = { at: now, ...summary };
+    if (summary.delivered || summary.failed || summary.reminders) {
+      logger.info('Notification dispatch completed', this.lastDispatch);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Days ahead of a due date that clients are reminded. The window stays
+   * shorter than the repayment period so a weekly borrower is not reminded
+   * of the next installment before the current one falls due.
+   * @param {string} [frequency] - Repayment frequency of the schedule
+   * @returns {number} Reminder lead days
+   */
+  getReminderDays(frequency) {
+    const period = FREQUENCY_PERIODS[resolveFrequency(frequency)];
+    const periodDays = period.days || period.months * 28;
+    return Math.max(1, Math.min(this.reminderDays, periodDays - 1));
+  }
+
+  /**
+   * Create payment_due reminders for unpaid installments falling due within
+   * the reminder window of their repayment frequency. Each installment is
+   * reminded once: the unique reminderKey index rejects a reminder another
+   * instance has already created, and that is counted as sent.
+   * @param {Date} [asOf=new Date()] - Reminder date
+   * @returns {Promise<Object>} Number of schedules scanned and reminders created
+   */
+  async sendPaymentReminders(asOf = new Date()) {
+    // Schedules are selected with the widest window and narrowed per frequency
+    const until = new Date(asOf.getTime() + this.reminderDays * DAY_MS);
+    const result = { schedulesScanned: 0, created: 0 };
+
+    const schedules = await RepaymentSchedule.find({
+      isCurrent: true,
+      installments: {
+        $elemMatch: {
+          dueDate: { $gte: asOf, $lte: until },
+          status: { $in: ['pending', 'partially_paid'] }
+        }
+      }
+    }).populate('loanId', 'clientUserId loanApplicationId loanStatus');
+
+    for (const schedule of schedules) {
+      result.schedulesScanned++;
+      const loan = schedule.loanId;
+      if (!loan || loan.loanStatus !== 'Active') {
+        continue;
+      }
+
+      const remindUntil = new Date(asOf.getTime() + this.getReminderDays(schedule.repaymentFrequency) * DAY_MS);
+      const due = schedule.installments.filter(installment =>
+        installment.dueDate >= asOf
+        && installment.dueDate <= remindUntil
+        && ['pending', 'partially_paid'].includes(installment.status));
+
+      for (const installment of due) {
+        const reminderKey = `${loan._id}:${schedule.version}:${installment.installmentNumber}`;
+        if (await Notification.exists({ 'metadata.reminderKey': reminderKey })) {
+          continue;
+        }
+
+        const params = {
+          recipientType: 'client',
+          clientId: loan.clientUserId,
+          type: 'payment_due',
+          relatedLoanId: loan._id,
+          metadata: {
+            reminderKey,
+            loanApplicationId: loan.loanApplicationId,
+            installmentNumber: installment.installmentNumber,
+            dueDate: installment.dueDate,
+            amountDue: installment.totalDue - installment.amountPaid
+          }
+        };
+
+        try {
+          await this.notify(params);
+          result.created++;
+        } catch (error) {
+          // Another instance created this reminder after the check above
+          if (error.code === 11000) continue;
+          logger.error('Failed to create notification', error, {
+            type: params.type,
+            clientId: params.clientId
+          });
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Create a notification without failing the calling operation
+   * @param {Object} params - See notify()
+   * @returns {Promise<Object|null>} The notification, or null when it could not be created
+   */
+  async notifySafely(params) {
+    try {
+      return await this.notify(params);
+    } catch (error) {
+      logger.error('Failed to create notification', error, {
+        type: params.type,
+        clientId: params.clientId,
+        staffId: params.staffId
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Notify a client that their loan was approved or rejected
+   * @param {Object} loan - Loan document
+   * @param {boolean} approved - Outcome
+   * @param {string} [comments] - Approver comments
+   * @param {string} [sentBy] - Deciding staff member
+   * @returns {Promise<Object|null>} The notification
+   */
+  notifyLoanDecision(loan, approved, comments, sentBy) {
+    return this.notifySafely({
+      recipientType: 'client',
+      clientId: loan.clientUserId?._id || loan.clientUserId,
+      type: approved ? 'loan_approved' : 'loan_rejected',
+      priority: 'high',
+      relatedLoanId: loan._id,
+      sentBy,
+      metadata: { loanApplicationId: loan.loanApplicationId, comments }
+    });
+  }
+
+  /**
+   * Notify a client that their payment was verified
+   * @param {Object} payment - Payment document
+   * @param {Object} loan - Loan document
+   * @param {string} [sentBy] - Verifying staff member
+   * @returns {Promise<Object|null>} The notification
+   */
+  notifyPaymentVerified(payment, loan, sentBy) {
+    return this.notifySafely({
+      recipientType: 'client',
+      clientId: loan.clientUserId?._id || loan.clientUserId,
+      type: 'payment_received',
+      relatedLoanId: loan._id,
+      relatedPaymentId: payment._id,
+      sentBy,
+      metadata: {
+        paymentId: payment.paymentId,
+        amount: payment.paymentAmount,
+        remainingBalance: loan.calculatedFields?.remainingBalance
+      }
+    });
+  }
+
+  /**
+   * Notify a client that their payment was rejected
+   * @param {Object} payment - Payment document
+   * @param {Object} loan - Loan document
+   * @param {string} reason - Why the payment was rejected
+   * @param {string} [sentBy] - Rejecting staff member
+   * @returns {Promise<Object|null>} The notification
+   */
+  notifyPaymentRejected(payment, loan, reason, sentBy) {
+    return this.notifySafely({
+      recipientType: 'client',
+      clientId: loan.clientUserId?._id || loan.clientUserId,
+      type: 'payment_rejected',
+      priority: 'high',
+      relatedLoanId: loan._id,
+      relatedPaymentId: payment._id,
+      sentBy,
+      metadata: {
+        paymentId: payment.paymentId,
+        amount: payment.paymentAmount,
+        reason
+      }
+    });
+  }
+
+  /**
+   * Notify a client of the outcome of their KYC review
+   * @param {string} clientId - Client ID
+   * @param {boolean} approved - Outcome
+   * @param {string} [reason] - Reviewer reason
+   * @param {string} [sentBy] - Reviewing staff member
+   * @returns {Promise<Object|null>} The notification
+   */
+  notifyKycDecision(clientId, approved, reason, sentBy) {
+    return this.notifySafely({
+      recipientType: 'client',
+      clientId,
+      type: approved ? 'kyc_approved' : 'kyc_rejected',
+      sentBy,
+      metadata: { reason }
+    });
+  }
+
+  /**
+   * Ask a client to upload a rejected verification document again
+   * @param {string} clientId - Client to notify
+   * @param {Object} document - Rejected document
+   * @param {string} document.label - Checklist name of the document
+   * @param {string} document.reason - Why it was rejected
+   * @param {string} [sentBy] - Reviewing staff member
+   * @returns {Promise<Object|null>} The notification
+   */
+  notifyDocumentReupload(clientId, { label, reason }, sentBy) {
+    return this.notifySafely({
+      recipientType: 'client',
+      clientId,
+      type: 'document_reupload',
+      priority: 'high',
+      sentBy,
+      metadata: { document: label, reason }
+    });
+  }
+
+  /**
+   * Send a one-off message to someone without a client or staff account,
+   * such as a guarantor. Goes by SMS when possible, otherwise by email.
+   * No Notification record is kept.
+   * @param {Object} params - Message
+   * @param {string} [params.phoneNumber] - Mobile number
+   * @param {string} [params.email] - Email address
+   * @param {string} params.title - Title
+   * @param {string} params.message - Message
+   * @returns {Promise<string>} Channel used
+   * @throws {ValidationError} When no channel can reach the recipient
+   */
+  async sendDirect({ phoneNumber, email, title, message }) {
+    const channel = (this.senders.sms && phoneNumber && 'sms') || (this.senders.email && email && 'email');
+    if (!channel) {
+      throw new ValidationError('No SMS number or email address to send the message to', 'contact');
+    }
+
+    await this.senders[channel]({
+      title,
+      message,
+      isUrgent: true,
+      channels: {
+        sms: { phoneNumber },
+        email: { emailAddress: email },
+        push: { deviceTokens: [] }
+      },
+      metadata: {}
+    });
+
+    return channel;
+  }
+
+  /**
+   * Start the dispatcher. Several instances can run it; each scheduled
+   * notification is claimed by one of them.
+   */
+  start() {
+    if (process.env.NOTIFICATION_DISPATCHER_ENABLED === 'false') {
+      logger.info('Notification dispatcher disabled');
+      return;
+    }
+
+    this.stop();
+    this.pollTimer = setInterval(() => this.dispatch(), this.pollInterval);
+    logger.info('Notification dispatcher started', { workerId: this.workerId, pollInterval: this.pollInterval });
+  }
+
+  /**
+   * Stop the dispatcher
+   */
+  stop() {
+    if (this.pollTimer) clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  /**
+   * Get dispatcher status
+   * @returns {Object} Status
+   */
+  getStatus() {
+    return {
+      running: !!this.pollTimer,
+      isDispatching: this.isDispatching,
+      pollInterval: this.pollInterval,
+      channels: CHANNELS.filter(channel => !!this.senders[channel]),
+      lastDispatch: this.lastDispatch,
+      lastReminderDate: this.lastReminderDate
+    };
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,415 @@
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Loan = require('../models/Loan');
+const scheduleService = require('./scheduleService');
+const notificationService = require('./notificationService');
+const paymentDocumentService = require('./paymentDocumentService');
+const { roundCurrency } = require('../utils/interestCalculator');
+const {
+  AppError,
+  NotFoundError,
+  ConflictError,
+  BusinessRuleError
+} = require('../utils/customErrors');
+const { logger } = require('../utils/logger');
+
+/**
+ * Installment fields each allocation component is due from and paid into
+ */
+const ALLOCATION_COMPONENTS = {
+  fees: { due: 'feeDue', paid: 'feePaid' },
+  penalty: { due: 'penaltyDue', paid: 'penaltyPaid' },
+  interest: { due: 'interestDue', paid: 'interestPaid' },
+  principal: { due: 'principalDue', paid: 'principalPaid' }
+};
+
+const DEFAULT_WATERFALL = ['fees', 'penalty', 'interest', 'principal'];
+
+// A verification claim older than this is treated as abandoned
+const VERIFICATION_LEASE_MS = 5 * 60 * 1000;
+
+// Schedule saves that lose a race with another writer are retried on a fresh copy
+const MAX_ALLOCATION_ATTEMPTS = 3;
+
+/**
+ * Payment Allocation Service
+ * Splits verified payments across the installments of a loan's repayment
+ * schedule and keeps the loan's repaid balance in line with verified payments
+ */
+class PaymentAllocationService {
+  constructor() {
+    try {
+      this.waterfall = this.parseWaterfall(process.env.PAYMENT_ALLOCATION_ORDER);
+    } catch (error) {
+      logger.warn('Invalid PAYMENT_ALLOCATION_ORDER, using default waterfall', {
+        value: process.env.PAYMENT_ALLOCATION_ORDER,
+        waterfall: DEFAULT_WATERFALL
+      });
+      this.waterfall = [...DEFAULT_WATERFALL];
+    }
+  }
+
+  /**
+   * Parse an allocation order. Every component must appear exactly once.
+   * @param {string|Array<string>} [order] - Comma separated string or array, e.g. "fees,penalty,interest,principal"
+   * @returns {Array<string>} Allocation waterfall
+   * @throws {AppError} When the order is incomplete or has unknown components
+   */
+  parseWaterfall(order) {
+    if (!order || (Array.isArray(order) && order.length === 0)) {
+      return [...DEFAULT_WATERFALL];
+    }
+
+    const components = (Array.isArray(order) ? order : String(order).split(','))
+      .map(component => String(component).trim().toLowerCase())
+      .filter(Boolean);
+
+    const isValid = components.length === DEFAULT_WATERFALL.length &&
+      DEFAULT_WATERFALL.every(component => components.includes(component));
+
+    if (!isValid) {
+      throw new AppError(
+        `Allocation order must list each of ${DEFAULT_WATERFALL.join(', ')} exactly once`,
+        400,
+        'INVALID_ALLOCATION_ORDER'
+      );
+    }
+
+    return components;
+  }
+
+  /**
+   * Allocate an amount to the open installments of a schedule. The oldest open
+   * installment is settled component by component in waterfall order before
+   * anything is applied to the next one, so partial payments leave the later
+   * components of the oldest installment outstanding and overpayments roll
+   * forward into future installments.
+   * @param {Object} schedule - RepaymentSchedule document (modified, not saved)
+   * @param {number} amount - Amount to allocate
+   * @param {Object} [options] - Allocation options
+   * @param {Array<string>} [options.waterfall] - Component order, defaults to the configured waterfall
+   * @param {Date} [options.paidAt=new Date()] - Date recorded on installments that become fully paid
+   * @returns {Object} Allocation with per-installment lines, component totals and any excess
+   */
+  allocateToSchedule(schedule, amount, options = {}) {
+    const waterfall = options.waterfall || this.waterfall;
+    const paidAt = options.paidAt || new Date();
+
+    const totals = { fees: 0, penalty: 0, interest: 0, principal: 0 };
+    const lines = [];
+    let remaining = roundCurrency(amount);
+
+    const openInstallments = schedule.installments
+      .filter(installment => installment.outstanding > 0.005)
+      .sort((a, b) => a.installmentNumber - b.installmentNumber);
+
+    for (const installment of openInstallments) {
+      if (remaining <= 0) break;
+
+      const line = {
+        installmentNumber: installment.installmentNumber,
+        fees: 0,
+        penalty: 0,
+        interest: 0,
+        principal: 0,
+        total: 0
+      };
+
+      for (const component of waterfall) {
+        const { due, paid } = ALLOCATION_COMPONENTS[component];
+        const owed = roundCurrency((installment[due] || 0) - (installment[paid] || 0));
+        if (owed <= 0 || remaining <= 0) continue;
+
+        const applied = roundCurrency(Math.min(owed, remaining));
+        installment[paid] = roundCurrency((installment[paid] || 0) + applied);
+        line[component] = applied;
+        line.total = roundCurrency(line.total + applied);
+        totals[component] = roundCurrency(totals[component] + applied);
+        remaining = roundCurrency(remaining - applied);
+      }
+
+      if (line.total > 0) {
+        installment.amountPaid = roundCurrency((installment.amountPaid || 0) + line.total);
+        if (installment.outstanding <= 0.005) {
+          installment.paidAt = paidAt;
+        }
+        lines.push(line);
+      }
+    }
+
+    schedule.refreshStatuses();
+
+    return {
+      installments: lines,
+      ...totals,
+      excess: Math.max(0, remaining),
+      waterfall: [...waterfall],
+      scheduleId: schedule._id,
+      scheduleVersion: schedule.version,
+      allocatedAt: new Date()
+    };
+  }
+
+  /**
+   * Allocate a payment to the current schedule of its loan and record the
+   * split on the payment. Neither document is saved.
+   * @param {Object} payment - Payment document
+   * @param {Object} [options] - Allocation options
+   * @param {Object} [options.schedule] - Current schedule, loaded when omitted
+   * @param {string|Array<string>} [options.waterfall] - Allocation order override
+   * @returns {Promise<Object>} The schedule (null when the loan has none) and the allocation
+   */
+  async allocatePayment(payment, options = {}) {
+    const waterfall = options.waterfall ? this.parseWaterfall(options.waterfall) : this.waterfall;
+    const schedule = options.schedule || await scheduleService.getCurrentSchedule(payment.loanId);
+
+    if (!schedule) {
+      return { schedule: null, allocation: null };
+    }
+
+    const firstOpen = schedule.getNextDueInstallment();
+    const allocation = this.allocateToSchedule(schedule, payment.paymentAmount, {
+      waterfall,
+      paidAt: payment.paymentDate
+    });
+
+    payment.allocation = allocation;
+    payment.principalAmount = allocation.principal;
+    payment.interestAmount = allocation.interest;
+    payment.lateFee = allocation.penalty;
+
+    if (allocation.installments.length > 0) {
+      payment.installmentNumber = allocation.installments[0].installmentNumber;
+    }
+
+    // A payment is late when it lands after the oldest open installment fell due
+    if (firstOpen && payment.paymentDate > firstOpen.dueDate) {
+      payment.isLatePayment = true;
+      payment.daysLate = Math.floor((payment.paymentDate - firstOpen.dueDate) / (1000 * 60 * 60 * 24));
+    }
+
+    return { schedule, allocation };
+  }
+
+  /**
+   * Recalculate the repaid balance of a loan from its verified payments.
+   * Allocated payments count their principal and interest; payments verified
+   * before the loan had a schedule count in full.
+   * @param {Object} loan - Loan document (not saved by this method)
+   * @returns {Promise<Object>} Payment totals
+   */
+  async syncLoanBalances(loan) {
+    const [totals] = await Payment.aggregate([
+      {
+        $match: {
+          loanId: new mongoose.Types.ObjectId(String(loan._id)),
+          status: 'verified'
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          totalPaid: {
+            $sum: {
+              $cond: [
+                { $ifNull: ['$allocation.allocatedAt', false] },
+                { $add: ['$allocation.principal', '$allocation.interest'] },
+                '$paymentAmount'
+              ]
+            }
+          },
+          totalReceived: { $sum: '$paymentAmount' },
+          paymentCount: { $sum: 1 },
+          lastPaymentDate: { $max: '$paymentDate' }
+        }
+      }
+    ]);
+
+    loan.calculatedFields.totalPaid = roundCurrency(totals ? totals.totalPaid : 0);
+    loan.updateCalculatedFields();
+
+    return {
+      totalPaid: loan.calculatedFields.totalPaid,
+      totalReceived: roundCurrency(totals ? totals.totalReceived : 0),
+      paymentCount: totals ? totals.paymentCount : 0,
+      lastPaymentDate: totals ? totals.lastPaymentDate : null,
+      remainingBalance: loan.calculatedFields.remainingBalance,
+      completionPercentage: loan.calculatedFields.completionPercentage
+    };
+  }
+
+  /**
+   * Claim a payment for verification so that concurrent verifications of
+   * the same payment cannot both allocate it
+   * @param {Object} payment - Payment document
+   * @returns {Promise<Object>} Claimed payment document
+   * @throws {ConflictError} When the payment was verified, rejected or claimed in the meantime
+   */
+  async claimVerification(payment) {
+    const now = new Date();
+    const claimed = await Payment.findOneAndUpdate(
+      {
+        _id: payment._id,
+        status: { $nin: ['verified', 'rejected'] },
+        verificationClaimedAt: { $not: { $gt: new Date(now.getTime() - VERIFICATION_LEASE_MS) } }
+      },
+      { $set: { verificationClaimedAt: now } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      throw new ConflictError('Payment is already being verified', 'status');
+    }
+    return claimed;
+  }
+
+  /**
+   * Allocate a payment to the current schedule of its loan and save the
+   * schedule. When another writer saved the schedule first, the allocation
+   * is repeated on a fresh copy.
+   * @param {Object} payment - Payment document (modified, not saved)
+   * @param {Object} [options] - Allocation options
+   * @param {string|Array<string>} [options.waterfall] - Allocation order override
+   * @returns {Promise<Object>} The saved schedule (null when the loan has none) and the allocation
+   */
+  async allocateAndSaveSchedule(payment, options = {}) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await this.allocatePayment(payment, options);
+        if (result.schedule) {
+          await result.schedule.save();
+        }
+        return result;
+      } catch (error) {
+        if (!(error instanceof mongoose.Error.VersionError) || attempt >= MAX_ALLOCATION_ATTEMPTS) {
+          throw error;
+        }
+        logger.warn('Repayment schedule changed during allocation, retrying', {
+          paymentId: payment.paymentId,
+          loanId: payment.loanId,
+          attempt
+        });
+      }
+    }
+  }
+
+  /**
+   * Verify a submitted payment, allocate it to the loan's installments and
+   * update the loan balances. The payment is marked verified only after its
+   * allocation has been saved to the schedule.
+   * @param {string} paymentId - Payment ObjectId or paymentId
+   * @param {string} staffId - Staff ID verifying the payment
+   * @param {Object} [options] - Verification options
+   * @param {string} [options.notes] - Verification notes
+   * @param {string|Array<string>} [options.waterfall] - Allocation order override
+   * @param {string} [options.loanId] - Loan the payment must belong to
+   * @returns {Promise<Object>} Verified payment, loan, schedule and balances
+   */
+  async verifyPayment(paymentId, staffId, options = {}) {
+    const { notes = '', waterfall, loanId } = options;
+
+    const submitted = mongoose.Types.ObjectId.isValid(paymentId)
+      ? await Payment.findById(paymentId)
+      : await Payment.findOne({ paymentId });
+
+    if (!submitted) {
+      throw new NotFoundError('Payment', paymentId);
+    }
+
+    if (loanId && String(submitted.loanId) !== String(loanId)) {
+      throw new NotFoundError('Payment', paymentId);
+    }
+
+    if (submitted.status === 'verified') {
+      throw new ConflictError('Payment has already been verified', 'status');
+    }
+
+    if (submitted.status === 'rejected') {
+      throw new BusinessRuleError('Rejected payments cannot be verified', 'PAYMENT_REJECTED', {
+        paymentId: submitted.paymentId
+      });
+    }
+
+    const loan = await Loan.findById(submitted.loanId);
+    if (!loan) {
+      throw new NotFoundError('Loan', submitted.loanId);
+    }
+
+    const payment = await this.claimVerification(submitted);
+
+    let allocated;
+    try {
+      allocated = await this.allocateAndSaveSchedule(payment, { waterfall });
+    } catch (error) {
+      // Nothing was written; release the claim so the payment can be verified again
+      await Payment.updateOne({ _id: payment._id }, { $unset: { verificationClaimedAt: 1 } });
+      throw error;
+    }
+    const { schedule, allocation } = allocated;
+
+    if (allocation) {
+      payment.addAuditEntry('allocated', staffId, {
+        installments: allocation.installments.map(line => line.installmentNumber),
+        principal: allocation.principal,
+        interest: allocation.interest,
+        fees: allocation.fees,
+        penalty: allocation.penalty,
+        excess: allocation.excess
+      });
+    }
+
+    try {
+      await payment.verify(staffId, notes);
+    } catch (error) {
+      // The schedule already carries the allocation, so the claim is kept
+      // rather than released and the payment is left for follow-up
+      logger.error('Payment allocated to the schedule but not marked verified', error, {
+        paymentId: payment.paymentId,
+        loanId: loan._id,
+        scheduleId: schedule?._id
+      });
+      throw error;
+    }
+
+    if (schedule) {
+      scheduleService.syncLoanDueFields(loan, schedule);
+    }
+
+    if (!loan.payments.some(id => String(id) === String(payment._id))) {
+      loan.payments.push(payment._id);
+    }
+
+    const previousBalance = loan.calculatedFields.remainingBalance;
+    const balances = await this.syncLoanBalances(loan);
+
+    loan.addAuditEntry('payment_added', staffId, {
+      previous: { remainingBalance: previousBalance },
+      new: { remainingBalance: balances.remainingBalance, paymentId: payment.paymentId }
+    }, `Payment of ${payment.paymentAmount} verified`);
+
+    await loan.save();
+
+    if (allocation && allocation.excess > 0) {
+      logger.warn('Payment exceeds the outstanding schedule balance', {
+        paymentId: payment.paymentId,
+        loanId: loan._id,
+        excess: allocation.excess
+      });
+    }
+
+    logger.info('Payment verified and allocated', {
+      paymentId: payment.paymentId,
+      loanId: loan._id,
+      amount: payment.paymentAmount,
+      allocated: !!allocation,
+      verifiedBy: staffId
+    });
+
+    await paymentDocumentService.issueReceiptForVerifiedPayment(payment, loan, staffId);
+    await notificationService.notifyPaymentVerified(payment, loan, staffId);
+
+    return { payment, loan, schedule, allocation, balances };
+  }
+}
+
+module.exports = new PaymentAllocationService();
@@ -0,0 +1,554 @@
+const PDFDocument = require('pdfkit');
+const mongoose = require('mongoose');
+const Counter = require('../models/Counter');
+const Payment = require('../models/Payment');
+const Loan = require('../models/Loan');
+const Client = require('../models/Client');
+const RepaymentSchedule = require('../models/RepaymentSchedule');
+const agreementService = require('./agreementService');
+const fileService = require('./fileService');
+const { roundCurrency } = require('../utils/interestCalculator');
+const { BusinessRuleError, NotFoundError, ValidationError } = require('../utils/customErrors');
+const { logger } = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Documents show dates in Sri Lanka time (UTC+05:30, no daylight saving)
+const LOCAL_OFFSET_MS = 330 * 60 * 1000;
+
+const formatAmount = (amount) => `LKR ${(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const formatNumber = (amount) => (amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const formatDate = (date) => new Date(new Date(date).getTime() + LOCAL_OFFSET_MS).toISOString().slice(0, 10);
+
+const METHOD_LABELS = {
+  bank_transfer: 'Bank transfer',
+  cash_deposit: 'Cash',
+  online_payment: 'Online payment',
+  cheque: 'Cheque',
+  mobile_payment: 'Mobile payment'
+};
+
+/**
+ * Payment Document Service
+ * Numbered receipts for verified payments and statements of account per
+ * loan. Receipt numbers run per calendar year (RCP-2026-000001) and are
+ * issued once, when the payment is verified; the PDFs are rendered on
+ * request so they always reflect the stored payment.
+ */
+class PaymentDocumentService {
+  /**
+   * Format a receipt number
+   * @param {number} year - Year of issue
+   * @param {number} sequence - Sequence number within the year
+   * @returns {string} Receipt number
+   */
+  formatReceiptNumber(year, sequence) {
+    return `RCP-${year}-${String(sequence).padStart(6, '0')}`;
+  }
+
+  /**
+   * Issue the receipt number of a verified payment. Safe to call again: a
+   * payment that already has a receipt keeps its number.
+   * @param {Object} payment - Verified payment document
+   * @returns {Promise<Object>} The payment's receipt details
+   */
+  async issueReceipt(payment) {
+    if (payment.receipt?.receiptNumber) {
+      return payment.receipt;
+    }
+
+    if (payment.status !== 'verified') {
+      throw new BusinessRuleError(
+        'Receipts are issued for verified payments only',
+        'RECEIPT_REQUIRES_VERIFIED_PAYMENT',
+        { paymentId: payment.paymentId, status: payment.status }
+      );
+    }
+
+    const issuedAt = new Date();
+    const year = new Date(issuedAt.getTime() + LOCAL_OFFSET_MS).getUTCFullYear();
+    const sequence = await Counter.next(`receipt-${year}`);
+    const receipt = {
+      receiptNumber: this.formatReceiptNumber(year, sequence),
+      issuedAt
+    };
+
+    // Only the first writer numbers the payment
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, 'receipt.receiptNumber': { $exists: false } },
+      { $set: { 'receipt.receiptNumber': receipt.receiptNumber, 'receipt.issuedAt': issuedAt } },
+      { new: true }
+    );
+
+    if (!updated) {
+      const current = await Payment.findById(payment._id).select('receipt').lean();
+      payment.receipt = current?.receipt;
+      return payment.receipt;
+    }
+
+    payment.receipt = updated.receipt;
+
+    logger.info('Payment receipt issued', {
+      paymentId: payment.paymentId,
+      receiptNumber: receipt.receiptNumber
+    });
+
+    return payment.receipt;
+  }
+
+  /**
+   * Issue the receipt of a payment that was just verified and archive a copy
+   * of the PDF. Failures are logged and never undo the verification.
+   * @param {Object} payment - Verified payment document
+   * @param {Object} loan - Loan the payment belongs to
+   * @param {string|null} staffId - Staff member who verified the payment
+   * @returns {Promise<Object|null>} Receipt details, or null when it could not be issued
+   */
+  async issueReceiptForVerifiedPayment(payment, loan, staffId) {
+    try {
+      await this.issueReceipt(payment);
+    } catch (error) {
+      logger.error('Error issuing payment receipt', error, { paymentId: payment.paymentId });
+      return null;
+    }
+
+    try {
+      const client = await Client.findById(payment.clientId).select('personalInfo').lean();
+      const buffer = await this.renderReceipt(payment, loan, client);
+
+      const upload = await fileService.uploadFile({
+        buffer,
+        originalname: `receipt_${payment.receipt.receiptNumber}.pdf`,
+        mimetype: 'application/pdf',
+        size: buffer.length
+      }, {
+        userId: String(staffId || 'system'),
+        category: 'receipt',
+        tags: ['payment_receipt', payment.receipt.receiptNumber, loan.loanApplicationId]
+      });
+
+      await Payment.updateOne(
+        { _id: payment._id },
+        { $set: { 'receipt.fileId': upload.fileId, 'receipt.fileUrl': upload.secureUrl } }
+      );
+      payment.receipt.fileId = upload.fileId;
+      payment.receipt.fileUrl = upload.secureUrl;
+    } catch (error) {
+      // The receipt can still be downloaded; it is rendered on request
+      logger.error('Error archiving payment receipt', error, {
+        paymentId: payment.paymentId,
+        receiptNumber: payment.receipt.receiptNumber
+      });
+    }
+
+    return payment.receipt;
+  }
+
+  /**
+   * Render the receipt PDF of a payment
+   * @param {Object} payment - Verified payment with a receipt number
+   * @param {Object} loan - Loan the payment belongs to
+   * @param {Object} [client] - Paying client
+   * @returns {Promise<Buffer>} PDF document
+   */
+  async renderReceipt(payment, loan, client) {
+    const { receiptNumber, issuedAt } = payment.receipt;
+    const doc = new PDFDocument({
+      size: 'A4',
+      margins: { top: 50, bottom: 50, left: 50, right: 50 },
+      info: {
+        Title: `Payment Receipt - ${receiptNumber}`,
+        Author: 'PaySync Microfinance',
+        Subject: 'Payment Receipt',
+        Keywords: 'loan, payment, receipt, microfinance',
+        CreationDate: new Date(),
+        ModDate: new Date()
+      }
+    });
+
+    await agreementService.addHeader(doc);
+
+    doc.fontSize(20)
+      .font('Helvetica-Bold')
+      .text('PAYMENT RECEIPT', { align: 'center' })
+      .moveDown(1.5);
+
+    doc.fontSize(12)
+      .font('Helvetica')
+      .text(`Receipt No: ${receiptNumber}`, { align: 'right' })
+      .text(`Date: ${formatDate(issuedAt || payment.verifiedAt)}`, { align: 'right' })
+      .moveDown(1.5);
+
+    doc.text(`Received from: ${client?.personalInfo?.fullName || 'Borrower'}`)
+      .text(`Loan No: ${loan.loanApplicationId}`)
+      .moveDown(1);
+
+    const details = [
+      ['Payment ID', payment.paymentId],
+      ['Payment date', formatDate(payment.paymentDate)],
+      ['Payment method', METHOD_LABELS[payment.paymentMethod] || payment.paymentMethod],
+      ['Field receipt', payment.fieldCollection?.receiptNumber],
+      ['Reference', payment.referenceNumber !== payment.fieldCollection?.receiptNumber && payment.referenceNumber],
+      ['Gateway transaction', payment.gateway?.transactionId]
+    ].filter(([, value]) => value);
+
+    details.forEach(([label, value]) => {
+      const y = doc.y;
+      doc.fontSize(11).text(label, 50, y).text(String(value), 250, y);
+      doc.moveDown(0.4);
+    });
+
+    doc.moveDown(1)
+      .fontSize(14)
+      .font('Helvetica-Bold')
+      .text('AMOUNT RECEIVED', 50, doc.y, { underline: true })
+      .moveDown(1);
+
+    const allocation = payment.allocation?.allocatedAt ? payment.allocation : null;
+    const rows = allocation
+      ? [
+        ['Fees', allocation.fees],
+        ['Late payment penalties', allocation.penalty],
+        ['Interest', allocation.interest],
+        ['Principal', allocation.principal],
+        ['Excess (to be refunded)', allocation.excess]
+      ].filter(([, amount]) => amount > 0)
+      : [];
+    rows.push(['Total received', payment.paymentAmount]);
+
+    rows.forEach(([label, amount], index) => {
+      const y = doc.y;
+      doc.fontSize(11)
+        .font(index === rows.length - 1 ? 'Helvetica-Bold' : 'Helvetica')
+        .text(label, 50, y)
+        .text(formatAmount(amount), 350, y, { width: 195, align: 'right' });
+      doc.moveDown(0.4);
+    });
+
+    if (allocation?.installments?.length) {
+      doc.moveDown(0.5)
+        .font('Helvetica')
+        .text(`Applied to installment(s) ${allocation.installments.map((item) => item.installmentNumber).join(', ')}.`, 50);
+    }
+
+    doc.x = 50;
+    doc.moveDown(3)
+      .fontSize(9)
+      .font('Helvetica')
+      .text('This is a computer generated receipt and requires no signature.', { align: 'center' });
+
+    return agreementService.documentToBuffer(doc);
+  }
+
+  /**
+   * Receipt PDF of a payment, for its loan or for the client who made it
+   * @param {string} paymentId - Payment ObjectId or payment ID
+   * @param {Object} scope - Restricts the payment to a loan or client
+   * @param {string} [scope.loanId] - Loan ObjectId
+   * @param {string} [scope.clientId] - Client ObjectId
+   * @returns {Promise<{buffer: Buffer, filename: string, receipt: Object}>}
+   */
+  async getReceipt(paymentId, { loanId, clientId } = {}) {
+    const filter = mongoose.Types.ObjectId.isValid(paymentId) ? { _id: paymentId } : { paymentId };
+    if (loanId) filter.loanId = loanId;
+    if (clientId) filter.clientId = clientId;
+
+    const payment = await Payment.findOne(filter);
+    if (!payment) {
+      throw new NotFoundError('Payment', paymentId);
+    }
+
+    // Payments verified before receipts were numbered get theirs now
+    await this.issueReceipt(payment);
+
+    const [loan, client] = await Promise.all([
+      Loan.findById(payment.loanId).select('loanApplicationId').lean(),
+      Client.findById(payment.clientId).select('personalInfo').lean()
+    ]);
+
+    const buffer = await this.renderReceipt(payment, loan, client);
+
+    return {
+      buffer,
+      filename: `receipt_${payment.receipt.receiptNumber}.pdf`,
+      receipt: payment.receipt
+    };
+  }
+
+  /**
+   * Build a loan's statement of account for a period. The balance starts at
+   * the total payable when the loan is disbursed, rises with each penalty and
+   * falls by each verified payment.
+   * @param {Object} loan - Loan with its audit trail
+   * @param {Object} period - Statement period
+   * @param {Date} period.from - First day covered
+   * @param {Date} period.to - Last moment covered
+   * @param {Object} sources - Loan activity
+   * @param {Object} [sources.schedule] - Current repayment schedule
+   * @param {Array<Object>} sources.payments - Verified payments of the loan
+   * @returns {Object} Opening balance, entries with running balance, closing balance and totals
+   */
+  buildStatement(loan, { from, to }, { schedule, payments = [] }) {
+    const events = [];
+
+    const payable = schedule?.totals?.payable || loan.totalPayableAmount || 0;
+    events.push({
+      date: new Date(loan.disbursementDate || loan.createdAt),
+      type: 'disbursement',
+      description: 'Loan disbursed: principal and interest payable',
+      reference: loan.loanApplicationId,
+      charge: roundCurrency(payable),
+      paid: 0
+    });
+
+    (loan.auditTrail || [])
+      .filter((entry) => entry.action === 'penalty_applied' && entry.newValues?.totalPenalty > 0)
+      .forEach((entry) => {
+        events.push({
+          date: new Date(entry.performedAt),
+          type: 'penalty',
+          description: 'Late payment penalty',
+          reference: null,
+          charge: roundCurrency(entry.newValues.totalPenalty),
+          paid: 0
+        });
+      });
+
+    payments
+      .filter((payment) => payment.status === 'verified')
+      .forEach((payment) => {
+        const allocation = payment.allocation?.allocatedAt ? payment.allocation : null;
+        const breakdown = allocation
+          ? {
+            fees: allocation.fees || 0,
+            penalty: allocation.penalty || 0,
+            interest: allocation.interest || 0,
+            principal: allocation.principal || 0,
+            excess: allocation.excess || 0
+          }
+          : null;
+        const applied = breakdown
+          ? breakdown.fees + breakdown.penalty + breakdown.interest + breakdown.principal
+          : payment.paymentAmount;
+
+        events.push({
+          date: new Date(payment.paymentDate),
+          type: 'payment',
+          description: `Payment received (${METHOD_LABELS[payment.paymentMethod] || payment.paymentMethod})`,
+          reference: payment.receipt?.receiptNumber || payment.paymentId,
+          charge: 0,
+          paid: roundCurrency(applied),
+          amountReceived: payment.paymentAmount,
+          allocation: breakdown
+        });
+      });
+
+    events.sort((a, b) => a.date - b.date);
+
+    let balance = 0;
+    let openingBalance = 0;
+    const entries = [];
+    const totals = { charged: 0, penalties: 0, paid: 0, principal: 0, interest: 0, fees: 0, penalty: 0 };
+
+    events.forEach((event) => {
+      if (event.date > to) return;
+
+      balance = roundCurrency(balance + event.charge - event.paid);
+      if (event.date < from) {
+        openingBalance = balance;
+        return;
+      }
+
+      entries.push({ ...event, balance });
+      totals.charged += event.type === 'disbursement' ? event.charge : 0;
+      totals.penalties += event.type === 'penalty' ? event.charge : 0;
+      totals.paid += event.paid;
+      if (event.allocation) {
+        totals.principal += event.allocation.principal;
+        totals.interest += event.allocation.interest;
+        totals.fees += event.allocation.fees;
+        totals.penalty += event.allocation.penalty;
+      }
+    });
+
+    Object.keys(totals).forEach((key) => {
+      totals[key] = roundCurrency(totals[key]);
+    });
+
+    return {
+      from,
+      to,
+      openingBalance,
+      entries,
+      closingBalance: entries.length ? balance : openingBalance,
+      totals
+    };
+  }
+
+  /**
+   * Render a statement of account PDF
+   * @param {Object} loan - Loan the statement is for
+   * @param {Object} [client] - Borrower
+   * @param {Object} statement - Statement from buildStatement
+   * @returns {Promise<Buffer>} PDF document
+   */
+  async renderStatement(loan, client, statement) {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margins: { top: 50, bottom: 50, left: 50, right: 50 },
+      info: {
+        Title: `Statement of Account - ${loan.loanApplicationId}`,
+        Author: 'PaySync Microfinance',
+        Subject: 'Loan Statement of Account',
+        Keywords: 'loan, statement, microfinance',
+        CreationDate: new Date(),
+        ModDate: new Date()
+      }
+    });
+
+    await agreementService.addHeader(doc);
+
+    doc.fontSize(20)
+      .font('Helvetica-Bold')
+      .text('STATEMENT OF ACCOUNT', { align: 'center' })
+      .moveDown(1.5);
+
+    doc.fontSize(11)
+      .font('Helvetica')
+      .text(`Borrower: ${client?.personalInfo?.fullName || 'Borrower'}`)
+      .text(`Loan No: ${loan.loanApplicationId}`)
+      .text(`Loan amount: ${formatAmount(loan.loanAmount)} at ${loan.interestRate}% per annum`)
+      .text(`Period: ${formatDate(statement.from)} to ${formatDate(statement.to)}`)
+      .moveDown(1);
+
+    const columns = [
+      { label: 'Date', x: 50, width: 65 },
+      { label: 'Description', x: 115, width: 190 },
+      { label: 'Charges', x: 305, width: 75, align: 'right' },
+      { label: 'Paid', x: 385, width: 75, align: 'right' },
+      { label: 'Balance', x: 465, width: 80, align: 'right' }
+    ];
+
+    const writeRow = (values, font = 'Helvetica') => {
+      if (doc.y > 740) {
+        doc.addPage();
+      }
+      const y = doc.y;
+      let bottom = y + 14;
+      doc.fontSize(9).font(font);
+      columns.forEach((column, index) => {
+        doc.text(values[index] || '', column.x, y, { width: column.width, align: column.align || 'left' });
+        bottom = Math.max(bottom, doc.y + 3);
+      });
+      doc.y = bottom;
+    };
+
+    writeRow(columns.map((column) => column.label), 'Helvetica-Bold');
+    doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+    doc.moveDown(0.3);
+
+    writeRow([formatDate(statement.from), 'Opening balance', '', '', formatNumber(statement.openingBalance)], 'Helvetica-Bold');
+
+    statement.entries.forEach((entry) => {
+      let description = entry.reference ? `${entry.description} - ${entry.reference}` : entry.description;
+      if (entry.allocation) {
+        const parts = ['principal', 'interest', 'fees', 'penalty']
+          .filter((part) => entry.allocation[part] > 0)
+          .map((part) => `${part[0].toUpperCase()}${part.slice(1)} ${formatNumber(entry.allocation[part])}`);
+        if (entry.allocation.excess > 0) {
+          parts.push(`Excess ${formatNumber(entry.allocation.excess)}`);
+        }
+        if (parts.length) {
+          description += `\n${parts.join(', ')}`;
+        }
+      }
+
+      writeRow([
+        formatDate(entry.date),
+        description,
+        entry.charge ? formatNumber(entry.charge) : '',
+        entry.paid ? formatNumber(entry.paid) : '',
+        formatNumber(entry.balance)
+      ]);
+    });
+
+    doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+    doc.moveDown(0.3);
+    writeRow([formatDate(statement.to), 'Closing balance', '', '', formatNumber(statement.closingBalance)], 'Helvetica-Bold');
+
+    const { totals } = statement;
+    doc.x = 50;
+    doc.moveDown(1.5)
+      .fontSize(12)
+      .font('Helvetica-Bold')
+      .text('PERIOD SUMMARY', { underline: true })
+      .moveDown(0.5);
+
+    [
+      ['Penalties charged', totals.penalties],
+      ['Total paid', totals.paid],
+      ['Paid towards principal', totals.principal],
+      ['Paid towards interest', totals.interest],
+      ['Paid towards fees', totals.fees],
+      ['Paid towards penalties', totals.penalty]
+    ].forEach(([label, amount]) => {
+      const y = doc.y;
+      doc.fontSize(10)
+        .font('Helvetica')
+        .text(label, 50, y)
+        .text(formatAmount(amount), 350, y, { width: 195, align: 'right' });
+      doc.moveDown(0.3);
+    });
+
+    doc.x = 50;
+    doc.moveDown(2)
+      .fontSize(9)
+      .text('This is a computer generated statement and requires no signature.', { align: 'center' });
+
+    return agreementService.documentToBuffer(doc);
+  }
+
+  /**
+   * Start of the local day a date falls on
+   * @param {Date|string} date - Any time on the day
+   * @returns {Date} Local midnight, as a UTC instant
+   */
+  startOfLocalDay(date) {
+    const local = new Date(date).getTime() + LOCAL_OFFSET_MS;
+    return new Date(local - (local % DAY_MS) - LOCAL_OFFSET_MS);
+  }
+
+  /**
+   * Statement of account PDF of a loan
+   * @param {Object} loan - Loan document
+   * @param {Object} [period] - Statement period
+   * @param {Date|string} [period.from] - Defaults to the disbursement date
+   * @param {Date|string} [period.to] - Defaults to now
+   * @returns {Promise<{buffer: Buffer, filename: string, statement: Object}>}
+   */
+  async getStatement(loan, { from, to } = {}) {
+    // The period covers whole local days at both ends
+    const periodFrom = this.startOfLocalDay(from || loan.disbursementDate || loan.createdAt);
+    const periodTo = new Date(this.startOfLocalDay(to || new Date()).getTime() + DAY_MS - 1);
+    if (periodTo < periodFrom) {
+      throw new ValidationError('Statement end date must not be before its start date', 'to', to);
+    }
+
+    const [schedule, payments, client] = await Promise.all([
+      RepaymentSchedule.findCurrent(loan._id),
+      Payment.find({ loanId: loan._id, status: 'verified' }).sort({ paymentDate: 1 }).lean(),
+      Client.findById(loan.clientUserId).select('personalInfo').lean()
+    ]);
+
+    const statement = this.buildStatement(loan, { from: periodFrom, to: periodTo }, { schedule, payments });
+    const buffer = await this.renderStatement(loan, client, statement);
+
+    return {
+      buffer,
+      filename: `statement_${loan.loanApplicationId}_${formatDate(periodFrom)}_${formatDate(periodTo)}.pdf`,
+      statement
+    };
+  }
+}
+
+module.exports = new PaymentDocumentService();
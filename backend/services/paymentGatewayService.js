@@ -0,0 +1,349 @@
+const Loan = require('../models/Loan');
+const Payment = require('../models/Payment');
+const PaymentIntent = require('../models/PaymentIntent');
+const WebhookEvent = require('../models/WebhookEvent');
+const gateways = require('./gateways');
+const paymentAllocationService = require('./paymentAllocationService');
+const scheduleService = require('./scheduleService');
+const { roundCurrency } = require('../utils/interestCalculator');
+const {
+  BusinessRuleError,
+  ConflictError,
+  NotFoundError,
+  ValidationError
+} = require('../utils/customErrors');
+const { logger } = require('../utils/logger');
+
+/**
+ * Payment Gateway Service
+ * Starts online and mobile payments for a loan installment through a gateway
+ * provider and records the provider's signed webhooks. A confirmed payment is
+ * recorded as a Payment and verified straight away, since the provider has
+ * already collected the money.
+ */
+class PaymentGatewayService {
+  /**
+   * Create a payment intent for an installment of the client's active loan
+   * @param {string} clientId - Client ObjectId (req.client.clientId)
+   * @param {Object} data - Intent details
+   * @param {string} data.loanId - Loan ObjectId
+   * @param {number} [data.installmentNumber] - Installment to pay, the next open one by default
+   * @param {number} [data.amount] - Amount to pay, what is left on the installment by default
+   * @param {string} [data.provider] - Gateway provider name
+   * @param {string} [data.paymentMethod] - 'online_payment' or 'mobile_payment'
+   * @returns {Promise<Object>} PaymentIntent document
+   */
+  async createIntent(clientId, data) {
+    const { loanId, installmentNumber, provider = 'simulator', paymentMethod = 'online_payment' } = data;
+    const gateway = gateways.getProvider(provider);
+
+    const loan = await Loan.findOne({ _id: loanId, clientUserId: clientId, loanStatus: 'Active' });
+    if (!loan) {
+      throw new NotFoundError('Active loan', loanId);
+    }
+
+    const schedule = await scheduleService.getCurrentSchedule(loan._id);
+    if (!schedule) {
+      throw new BusinessRuleError('Loan has no repayment schedule', 'SCHEDULE_MISSING', { loanId });
+    }
+
+    const installment = installmentNumber
+      ? schedule.installments.find(item => item.installmentNumber === installmentNumber)
+      : schedule.getNextDueInstallment();
+
+    if (!installment) {
+      throw new NotFoundError('Installment', installmentNumber);
+    }
+
+    if (installment.status === 'paid') {
+      throw new BusinessRuleError('Installment is already paid', 'INSTALLMENT_PAID', {
+        installmentNumber: installment.installmentNumber
+      });
+    }
+
+    const amount = roundCurrency(data.amount !== undefined ? data.amount : installment.outstanding);
+    if (amount <= 0) {
+      throw new ValidationError('Payment amount must be greater than zero', 'amount', amount);
+    }
+
+    const remainingBalance = loan.calculatedFields?.remainingBalance;
+    if (remainingBalance !== undefined && amount > roundCurrency(remainingBalance)) {
+      throw new BusinessRuleError('Payment amount exceeds the outstanding loan balance', 'PAYMENT_EXCEEDS_BALANCE', {
+        amount,
+        remainingBalance
+      });
+    }
+
+    const intent = new PaymentIntent({
+      provider: gateway.name,
+      loanId: loan._id,
+      clientId,
+      installmentNumber: installment.installmentNumber,
+      amount,
+      paymentMethod
+    });
+
+    Object.assign(intent, await gateway.createIntent(intent));
+    await intent.save();
+
+    logger.info('Payment intent created', {
+      intentId: intent.intentId,
+      provider: gateway.name,
+      loanId: loan._id,
+      installmentNumber: intent.installmentNumber,
+      amount
+    });
+
+    return intent;
+  }
+
+  /**
+   * Get one of the client's payment intents, expiring it when its checkout has lapsed
+   * @param {string} intentId - Intent ID (PIN...)
+   * @param {string} clientId - Client ObjectId
+   * @returns {Promise<Object>} PaymentIntent document
+   */
+  async getIntent(intentId, clientId) {
+    const intent = await PaymentIntent.findOne({ intentId, clientId });
+    if (!intent) {
+      throw new NotFoundError('Payment intent', intentId);
+    }
+
+    if (intent.status === 'created' && !intent.isOpen()) {
+      intent.status = 'expired';
+      await intent.save();
+    }
+
+    return intent;
+  }
+
+  /**
+   * Verify and process a provider webhook. Each provider event is processed
+   * once; a redelivery of a processed event is acknowledged without effect,
+   * and a redelivery of a failed one is tried again.
+   * @param {string} providerName - Provider from the webhook URL
+   * @param {Buffer} rawBody - Exact request body, as signed by the provider
+   * @param {Object} headers - Request headers
+   * @returns {Promise<Object>} { duplicate, event, intent, payment, balances }
+   * @throws {AuthenticationError} When the signature does not verify
+   */
+  async handleWebhook(providerName, rawBody, headers) {
+    const provider = gateways.getProvider(providerName);
+
+    if (!rawBody || !rawBody.length) {
+      throw new ValidationError('Webhook body is required', 'body');
+    }
+
+    provider.verifySignature(rawBody, headers);
+    const event = provider.readEvent(rawBody);
+
+    const { record, duplicate } = await this.claimEvent(provider.name, event, rawBody);
+    if (duplicate) {
+      logger.info('Duplicate payment webhook ignored', { provider: provider.name, eventId: event.eventId });
+      return { duplicate: true, event: record };
+    }
+
+    try {
+      let result = {};
+      if (event.type === 'payment.succeeded') {
+        result = await this.applySuccess(provider.name, event);
+      } else if (event.type === 'payment.failed') {
+        result = await this.applyFailure(provider.name, event);
+      }
+
+      record.status = 'processed';
+      record.error = undefined;
+      record.payment = result.payment?._id;
+      record.processedAt = new Date();
+      await record.save();
+
+      return { duplicate: false, event: record, ...result };
+    } catch (error) {
+      record.status = 'failed';
+      record.error = error.message;
+      await record.save();
+
+      logger.warn('Payment webhook could not be processed', {
+        provider: provider.name,
+        eventId: event.eventId,
+        intentId: event.intentId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Record an incoming event, or take over a failed earlier delivery of it
+   * @param {string} provider - Provider name
+   * @param {Object} event - Normalized event
+   * @param {Buffer} rawBody - Request body kept with the event
+   * @returns {Promise<{record: Object, duplicate: boolean}>}
+   */
+  async claimEvent(provider, event, rawBody) {
+    try {
+      const record = await WebhookEvent.create({
+        provider,
+        eventId: event.eventId,
+        type: event.type,
+        intentId: event.intentId,
+        transactionId: event.transactionId,
+        payload: JSON.parse(rawBody.toString('utf8'))
+      });
+      return { record, duplicate: false };
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+
+    const retried = await WebhookEvent.findOneAndUpdate(
+      { provider, eventId: event.eventId, status: 'failed' },
+      { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (retried) {
+      return { record: retried, duplicate: false };
+    }
+
+    return { record: await WebhookEvent.findOne({ provider, eventId: event.eventId }), duplicate: true };
+  }
+
+  /**
+   * Record the confirmed payment of an intent and verify it
+   * @param {string} provider - Provider name
+   * @param {Object} event - Normalized payment.succeeded event
+   * @returns {Promise<Object>} { intent, payment, balances }
+   */
+  async applySuccess(provider, event) {
+    const intent = await PaymentIntent.findOne({ intentId: event.intentId, provider });
+    if (!intent) {
+      throw new NotFoundError('Payment intent', event.intentId);
+    }
+
+    if (roundCurrency(event.amount) !== intent.amount || (event.currency && event.currency !== intent.currency)) {
+      throw new BusinessRuleError('Webhook amount does not match the payment intent', 'GATEWAY_AMOUNT_MISMATCH', {
+        intentId: intent.intentId,
+        expected: intent.amount,
+        received: event.amount,
+        currency: event.currency
+      });
+    }
+
+    let payment = intent.payment ? await Payment.findById(intent.payment) : null;
+
+    if (!payment) {
+      // Reuse the id the intent already points at, in case an earlier attempt
+      // stopped between claiming the intent and saving the payment
+      payment = new Payment({
+        _id: intent.payment || undefined,
+        loanId: intent.loanId,
+        clientId: intent.clientId,
+        paymentAmount: intent.amount,
+        paymentDate: event.occurredAt || new Date(),
+        paymentMethod: intent.paymentMethod,
+        referenceNumber: event.transactionId,
+        installmentNumber: intent.installmentNumber,
+        status: 'pending_verification',
+        gateway: {
+          provider,
+          intentId: intent.intentId,
+          transactionId: event.transactionId,
+          eventId: event.eventId,
+          confirmedAt: new Date()
+        }
+      });
+      payment.addAuditEntry('gateway_confirmed', null, {
+        provider,
+        intentId: intent.intentId,
+        transactionId: event.transactionId
+      });
+
+      // Only one event may turn the intent into a payment
+      const claimed = await PaymentIntent.findOneAndUpdate(
+        { _id: intent._id, payment: intent.payment || null },
+        {
+          $set: {
+            status: 'succeeded',
+            payment: payment._id,
+            transactionId: event.transactionId,
+            completedAt: new Date()
+          }
+        },
+        { new: true }
+      );
+      if (!claimed) {
+        throw new ConflictError('Payment intent is already being recorded', 'intentId');
+      }
+
+      await payment.save();
+    }
+
+    if (payment.status === 'verified') {
+      return { intent, payment, balances: null };
+    }
+
+    const { payment: verified, balances } = await paymentAllocationService.verifyPayment(payment._id, null, {
+      notes: `Confirmed by ${provider} transaction ${event.transactionId || intent.intentId}`
+    });
+
+    logger.info('Gateway payment verified', {
+      provider,
+      intentId: intent.intentId,
+      paymentId: verified.paymentId,
+      amount: verified.paymentAmount
+    });
+
+    return { intent: await PaymentIntent.findById(intent._id), payment: verified, balances };
+  }
+
+  /**
+   * Mark an intent failed. A failure reported after the payment succeeded is ignored.
+   * @param {string} provider - Provider name
+   * @param {Object} event - Normalized payment.failed event
+   * @returns {Promise<Object>} { intent }
+   */
+  async applyFailure(provider, event) {
+    const intent = await PaymentIntent.findOne({ intentId: event.intentId, provider });
+    if (!intent) {
+      throw new NotFoundError('Payment intent', event.intentId);
+    }
+
+    if (intent.status !== 'succeeded') {
+      intent.status = 'failed';
+      intent.failureReason = event.failureReason;
+      intent.completedAt = new Date();
+      await intent.save();
+    }
+
+    return { intent };
+  }
+
+  /**
+   * Complete a simulator checkout by sending the webhook the simulator
+   * provider would send, through the same signed intake as real providers
+   * @param {string} intentId - Intent ID (PIN...)
+   * @param {string} clientId - Client ObjectId
+   * @param {string} outcome - 'succeeded' or 'failed'
+   * @param {Object} [options] - Simulated amount or failure reason
+   * @returns {Promise<Object>} Webhook processing result
+   */
+  async simulateOutcome(intentId, clientId, outcome, options = {}) {
+    const intent = await this.getIntent(intentId, clientId);
+
+    if (intent.provider !== 'simulator') {
+      throw new BusinessRuleError('Only simulator intents can be completed here', 'NOT_A_SIMULATOR_INTENT', {
+        provider: intent.provider
+      });
+    }
+
+    if (intent.status !== 'created') {
+      throw new ConflictError(`Payment intent is already ${intent.status}`, 'status');
+    }
+
+    const { rawBody, headers } = gateways.getProvider('simulator').buildWebhook(intent, outcome, options);
+    return this.handleWebhook('simulator', rawBody, headers);
+  }
+}
+
+module.exports = new PaymentGatewayService();
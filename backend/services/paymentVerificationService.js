@@ -0,0 +1,241 @@
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Loan = require('../models/Loan');
+const Region = require('../models/Region');
+const paymentAllocationService = require('./paymentAllocationService');
+const notificationService = require('./notificationService');
+const {
+  AuthorizationError,
+  ConflictError,
+  NotFoundError,
+  ValidationError
+} = require('../utils/customErrors');
+const { logger } = require('../utils/logger');
+
+// Used when the region has no paymentApprovalThreshold of its own
+const DEFAULT_APPROVAL_THRESHOLD = 100000;
+
+const OPEN_STATUSES = ['pending_verification', 'pending_approval'];
+
+// What each role sees in its queue unless a status is asked for
+const QUEUE_STATUSES = {
+  agent: ['pending_verification'],
+  regional_manager: OPEN_STATUSES
+};
+
+// Roles that may act on payments in any region
+const UNSCOPED_ROLES = ['moderate_admin', 'super_admin'];
+
+const sameId = (a, b) => !!a && !!b && String(a._id || a) === String(b._id || b);
+
+/**
+ * Payment Verification Service
+ * The verification queue for client payments under maker-checker control:
+ * the loan's agent checks the proof, and payments above the region's
+ * approval threshold are confirmed by the regional manager before they are
+ * allocated to the loan
+ */
+class PaymentVerificationService {
+  /**
+   * Amount above which a verified payment needs the regional manager
+   * @param {string} regionId - Region of the loan
+   * @returns {Promise<number>} Approval threshold
+   */
+  async getApprovalThreshold(regionId) {
+    const region = regionId
+      ? await Region.findById(regionId).select('configuration.paymentApprovalThreshold').lean()
+      : null;
+
+    return region?.configuration?.paymentApprovalThreshold ?? DEFAULT_APPROVAL_THRESHOLD;
+  }
+
+  /**
+   * Loan filter for the loans a staff member works on: agents their assigned
+   * loans, regional managers the loans of their region
+   * @param {Object} user - Staff member (req.user)
+   * @returns {Object|null} Loan filter, or null for every loan
+   */
+  getLoanScope(user) {
+    if (UNSCOPED_ROLES.includes(user.role)) {
+      return null;
+    }
+
+    if (user.role === 'agent') {
+      return { assignedAgent: user.userId };
+    }
+
+    if (user.role === 'regional_manager' && user.region) {
+      return { region: user.region };
+    }
+
+    // No loans
+    return { _id: { $in: [] } };
+  }
+
+  /**
+   * Loans whose payments a staff member may act on
+   * @param {Object} user - Staff member (req.user)
+   * @returns {Promise<Array|null>} Loan IDs, or null for every loan
+   */
+  async getScopedLoanIds(user) {
+    const scope = this.getLoanScope(user);
+    return scope ? Loan.distinct('_id', scope) : null;
+  }
+
+  /**
+   * Open payments a staff member can verify or approve, oldest first
+   * @param {Object} user - Staff member (req.user)
+   * @param {Object} [options] - Queue options
+   * @param {string} [options.status] - 'pending_verification' or 'pending_approval'
+   * @param {number} [options.page=1] - Page number
+   * @param {number} [options.limit=20] - Page size
+   * @returns {Promise<Object>} Payments with pagination
+   */
+  async getQueue(user, { status, page = 1, limit = 20 } = {}) {
+    const statuses = status ? [status] : (QUEUE_STATUSES[user.role] || OPEN_STATUSES);
+    const loanIds = await this.getScopedLoanIds(user);
+
+    const query = {
+      status: { $in: statuses },
+      ...(loanIds && { loanId: { $in: loanIds } })
+    };
+
+    const [payments, total] = await Promise.all([
+      Payment.find(query)
+        .populate('loanId', 'loanApplicationId loanAmount region assignedAgent calculatedFields')
+        .populate('clientId', 'registrationId personalInfo.fullName personalInfo.contactNumber')
+        .populate('agentVerification.verifiedBy', 'name email')
+        .sort({ submittedAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Payment.countDocuments(query)
+    ]);
+
+    return {
+      payments,
+      total,
+      page,
+      pages: Math.ceil(total / limit)
+    };
+  }
+
+  /**
+   * Find a payment by ObjectId or paymentId
+   * @param {string} paymentId - Payment ObjectId or paymentId
+   * @param {string} [loanId] - Loan the payment must belong to
+   * @returns {Promise<Object>} Payment document
+   * @throws {NotFoundError} When there is no such payment
+   */
+  async findPayment(paymentId, loanId) {
+    const payment = await Payment.findOne(
+      mongoose.Types.ObjectId.isValid(paymentId) ? { _id: paymentId } : { paymentId }
+    );
+
+    if (!payment || (loanId && !sameId(payment.loanId, loanId))) {
+      throw new NotFoundError('Payment', paymentId);
+    }
+    return payment;
+  }
+
+  /**
+   * Check that a staff member may act on the current step of a payment.
+   * The proof is checked by the loan's agent or a manager of its region; the
+   * confirmation step is for the regional manager and never for the staff
+   * member who checked the proof.
+   * @param {Object} payment - Payment document
+   * @param {Object} loan - Loan document
+   * @param {Object} user - Staff member (req.user)
+   * @throws {AuthorizationError} When the user may not act
+   */
+  assertCanReview(payment, loan, user) {
+    const isAssignedAgent = user.role === 'agent' && sameId(loan.assignedAgent, user.userId);
+    const isRegionManager = user.role === 'regional_manager' && sameId(loan.region, user.region);
+    const isUnscoped = UNSCOPED_ROLES.includes(user.role);
+
+    if (payment.status === 'pending_approval') {
+      if (sameId(payment.agentVerification?.verifiedBy, user.userId)) {
+        throw new AuthorizationError('Payments must be confirmed by someone other than the staff member who checked the proof');
+      }
+      if (!isRegionManager && !isUnscoped) {
+        throw new AuthorizationError('Only the regional manager can confirm payments above the approval threshold', 'regional_manager', user.role);
+      }
+      return;
+    }
+
+    if (!isAssignedAgent && !isRegionManager && !isUnscoped) {
+      throw new AuthorizationError('Payment is outside your loans or region', 'agent', user.role);
+    }
+  }
+
+  /**
+   * Verify or reject an open payment. Verifying a payment above the region's
+   * approval threshold only records the agent's check and moves it to the
+   * regional manager; otherwise verification allocates the payment and
+   * updates the loan balance. The client is notified of every verification
+   * and rejection.
+   * @param {string} paymentId - Payment ObjectId or paymentId
+   * @param {Object} decision - Decision
+   * @param {string} decision.status - 'Approved' or 'Rejected'
+   * @param {string} [decision.notes] - Verification notes
+   * @param {string} [decision.reason] - Rejection reason, required when rejecting
+   * @param {string|Array<string>} [decision.waterfall] - Allocation order override
+   * @param {string} [decision.loanId] - Loan the payment must belong to
+   * @param {Object} user - Deciding staff member (req.user)
+   * @returns {Promise<Object>} { stage, payment, loan } plus allocation and balances once verified
+   */
+  async reviewPayment(paymentId, { status, notes = '', reason, waterfall, loanId }, user) {
+    const payment = await this.findPayment(paymentId, loanId);
+
+    if (!OPEN_STATUSES.includes(payment.status)) {
+      throw new ConflictError(`Payment is already ${payment.status.replace('_', ' ')}`, 'status');
+    }
+
+    const loan = await Loan.findById(payment.loanId);
+    if (!loan) {
+      throw new NotFoundError('Loan', payment.loanId);
+    }
+
+    this.assertCanReview(payment, loan, user);
+
+    if (status === 'Rejected') {
+      if (!reason) {
+        throw new ValidationError('A reason is required to reject a payment', 'reason');
+      }
+
+      await payment.reject(user.userId, reason);
+      await notificationService.notifyPaymentRejected(payment, loan, reason, user.userId);
+
+      logger.info('Payment rejected', {
+        paymentId: payment.paymentId,
+        loanId: loan._id,
+        rejectedBy: user.userId
+      });
+
+      return { stage: 'rejected', payment, loan };
+    }
+
+    if (payment.status === 'pending_verification') {
+      const approvalThreshold = await this.getApprovalThreshold(loan.region);
+
+      if (payment.paymentAmount > approvalThreshold) {
+        await payment.markAgentVerified(user.userId, notes, approvalThreshold);
+
+        logger.info('Payment proof checked, awaiting regional approval', {
+          paymentId: payment.paymentId,
+          loanId: loan._id,
+          amount: payment.paymentAmount,
+          approvalThreshold,
+          verifiedBy: user.userId
+        });
+
+        return { stage: 'pending_approval', payment, loan, approvalThreshold };
+      }
+    }
+
+    const result = await paymentAllocationService.verifyPayment(payment._id, user.userId, { notes, waterfall });
+    return { stage: 'verified', ...result };
+  }
+}
+
+module.exports = new PaymentVerificationService();
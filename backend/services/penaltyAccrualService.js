@@ -0,0 +1,342 @@
+const Loan = require('../models/Loan');
+const RepaymentSchedule = require('../models/RepaymentSchedule');
+const scheduleService = require('./scheduleService');
+const { roundCurrency } = require('../utils/interestCalculator');
+const { logger } = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Accrual days follow Sri Lanka time (UTC+05:30, no daylight saving)
+const LOCAL_OFFSET_MS = 330 * 60 * 1000;
+
+/**
+ * Penalty rule used when a loan's region has no late penalty configured.
+ * Matches the late payment clause printed on loan agreements.
+ */
+const DEFAULT_PENALTY_RULE = {
+  ratePerMonth: 2,
+  gracePeriodDays: 0
+};
+
+/**
+ * Penalty Accrual Service
+ * Daily job that flags overdue installments and charges late penalties on them
+ */
+class PenaltyAccrualService {
+  constructor() {
+    this.runHour = parseInt(process.env.PENALTY_ACCRUAL_HOUR || '1', 10);
+    this.timer = null;
+    this.interval = null;
+    this.isRunning = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Resolve the penalty rule for a loan. A product rule of the loan's region
+   * wins over the region rule, which wins over the default rule.
+   * @param {Object} loan - Loan document
+   * @param {Object} [region] - Region document (uses loan.region when populated)
+   * @returns {Object} Rule with ratePerMonth, gracePeriodDays and source
+   */
+  resolvePenaltyRule(loan, region = loan.region) {
+    const regionRule = region?.configuration?.latePenalty;
+    const productRule = regionRule?.productRules?.find(rule => rule.product === loan.product);
+
+    const pick = (field) => {
+      if (productRule && productRule[field] != null) return productRule[field];
+      if (regionRule && regionRule[field] != null) return regionRule[field];
+      return DEFAULT_PENALTY_RULE[field];
+    };
+
+    return {
+      ratePerMonth: pick('ratePerMonth'),
+      gracePeriodDays: pick('gracePeriodDays'),
+      source: productRule ? 'product' : regionRule ? 'region' : 'default'
+    };
+  }
+
+  /**
+   * Calculate the penalty an overdue installment has accrued since it was last
+   * charged. Penalties are simple (not compounded) and charged per whole day at
+   * ratePerMonth / 30 on the unpaid principal, interest and fees.
+   * @param {Object} installment - Schedule installment
+   * @param {Object} rule - Penalty rule
+   * @param {Date} [asOf=new Date()] - Accrual date
+   * @returns {Object} daysOverdue, overdueAmount, days charged, penalty and accruedThrough
+   */
+  calculateInstallmentPenalty(installment, rule, asOf = new Date()) {
+    const overdueAmount = roundCurrency(
+      (installment.principalDue - installment.principalPaid) +
+      (installment.interestDue - installment.interestPaid) +
+      (installment.feeDue - installment.feePaid)
+    );
+    const daysOverdue = Math.max(0, Math.floor((asOf - installment.dueDate) / DAY_MS));
+
+    const penaltyStart = new Date(installment.dueDate.getTime() + rule.gracePeriodDays * DAY_MS);
+    const chargedFrom = installment.penaltyAccruedThrough && installment.penaltyAccruedThrough > penaltyStart
+      ? installment.penaltyAccruedThrough
+      : penaltyStart;
+    const days = overdueAmount > 0 ? Math.max(0, Math.floor((asOf - chargedFrom) / DAY_MS)) : 0;
+
+    return {
+      installmentNumber: installment.installmentNumber,
+      daysOverdue,
+      overdueAmount: Math.max(0, overdueAmount),
+      days,
+      penalty: days > 0 ? roundCurrency(overdueAmount * (rule.ratePerMonth / 100) * (days / 30)) : 0,
+      // Only whole days are charged; the remainder carries over to the next run
+      accruedThrough: new Date(chargedFrom.getTime() + days * DAY_MS)
+    };
+  }
+
+  /**
+   * Accrue penalties on the current schedule of one loan
+   * @param {Object} loan - Loan document with region populated
+   * @param {Object} [options] - Accrual options
+   * @param {Date} [options.asOf=new Date()] - Accrual date
+   * @param {boolean} [options.dryRun=false] - Calculate without saving
+   * @param {string} [options.performedBy] - Staff ID when run by an admin
+   * @returns {Promise<Object|null>} Loan accrual result, null when the loan has no schedule
+   */
+  async accrueLoan(loan, options = {}) {
+    const { asOf = new Date(), dryRun = false, performedBy } = options;
+
+    const schedule = await RepaymentSchedule.findCurrent(loan._id);
+    if (!schedule) return null;
+
+    const rule = this.resolvePenaltyRule(loan);
+    schedule.refreshStatuses(asOf);
+
+    const overdueInstallments = schedule.installments.filter(installment => installment.status === 'overdue');
+    const charges = overdueInstallments.map(installment => this.calculateInstallmentPenalty(installment, rule, asOf));
+
+    const totalPenalty = roundCurrency(charges.reduce((sum, charge) => sum + charge.penalty, 0));
+    const daysOverdue = charges.reduce((max, charge) => Math.max(max, charge.daysOverdue), 0);
+
+    const result = {
+      loanId: loan._id,
+      loanApplicationId: loan.loanApplicationId,
+      rule,
+      daysOverdue,
+      previousDaysOverdue: loan.calculatedFields?.daysOverdue || 0,
+      overdueInstallments: overdueInstallments.length,
+      totalPenalty,
+      charges: charges.filter(charge => charge.penalty > 0)
+    };
+
+    if (dryRun) return result;
+
+    charges.forEach((charge, index) => {
+      const installment = overdueInstallments[index];
+      if (charge.penalty > 0) {
+        installment.penaltyDue = roundCurrency((installment.penaltyDue || 0) + charge.penalty);
+      }
+      installment.penaltyAccruedThrough = charge.accruedThrough;
+    });
+
+    schedule.totals.penalties = roundCurrency((schedule.totals.penalties || 0) + totalPenalty);
+    await schedule.save();
+
+    scheduleService.syncLoanDueFields(loan, schedule, asOf);
+
+    if (totalPenalty > 0) {
+      loan.addAuditEntry('penalty_applied', performedBy, {
+        previous: { daysOverdue: result.previousDaysOverdue },
+        new: {
+          daysOverdue,
+          totalPenalty,
+          charges: result.charges.map(charge => ({
+            installmentNumber: charge.installmentNumber,
+            days: charge.days,
+            overdueAmount: charge.overdueAmount,
+            penalty: charge.penalty
+          }))
+        }
+      }, `Late penalty of ${totalPenalty} accrued at ${rule.ratePerMonth}% per month`);
+    }
+
+    if (loan.isModified()) {
+      await loan.save();
+    }
+
+    return result;
+  }
+
+  /**
+   * The local accrual day of a date, as UTC midnight of that day
+   * @param {Date} asOf - Accrual date
+   * @returns {Date} Accrual day
+   */
+  toAccrualDay(asOf) {
+    const local = asOf.getTime() + LOCAL_OFFSET_MS;
+    return new Date(local - (local % DAY_MS));
+  }
+
+  /**
+   * Atomically claim a loan for the accrual run of a day. Only one run, on
+   * any instance, gets the claim; a loan that fails after being claimed is
+   * caught up by the next day's run.
+   * @param {Object} loan - Loan document
+   * @param {Date} asOf - Accrual date
+   * @returns {Promise<boolean>} True when this run may accrue the loan
+   */
+  async claimLoan(loan, asOf) {
+    const day = this.toAccrualDay(asOf);
+    const result = await Loan.updateOne(
+      { _id: loan._id, penaltyAccrualDay: { $not: { $gte: day } } },
+      { $set: { penaltyAccrualDay: day } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  /**
+   * Scan active loans and accrue late penalties
+   * @param {Object} [options] - Run options
+   * @param {Date} [options.asOf=new Date()] - Accrual date
+   * @param {boolean} [options.dryRun=false] - Report what would be charged without saving
+   * @param {string} [options.regionId] - Limit the run to one region
+   * @param {string} [options.performedBy] - Staff ID when run by an admin
+   * @returns {Promise<Object>} Run summary
+   */
+  async runAccrual(options = {}) {
+    const { asOf = new Date(), dryRun = false, regionId, performedBy } = options;
+
+    if (this.isRunning && !dryRun) {
+      logger.warn('Penalty accrual already running, skipping');
+      return null;
+    }
+
+    const startedAt = new Date();
+    const summary = {
+      asOf,
+      dryRun,
+      loansScanned: 0,
+      loansOverdue: 0,
+      loansPenalised: 0,
+      totalPenalty: 0,
+      // Loans another run already accrued for the day
+      skipped: 0,
+      failed: 0,
+      loans: []
+    };
+
+    const query = { loanStatus: 'Active' };
+    if (regionId) query.region = regionId;
+
+    if (!dryRun) this.isRunning = true;
+
+    try {
+      const cursor = Loan.find(query)
+        .populate('region', 'name configuration.latePenalty')
+        .cursor();
+
+      for await (const loan of cursor) {
+        summary.loansScanned++;
+
+        try {
+          if (!dryRun && !(await this.claimLoan(loan, asOf))) {
+            summary.skipped++;
+            continue;
+          }
+
+          const result = await this.accrueLoan(loan, { asOf, dryRun, performedBy });
+          if (!result || result.overdueInstallments === 0) continue;
+
+          summary.loansOverdue++;
+          if (result.totalPenalty > 0) {
+            summary.loansPenalised++;
+            summary.totalPenalty = roundCurrency(summary.totalPenalty + result.totalPenalty);
+          }
+          summary.loans.push(result);
+        } catch (error) {
+          summary.failed++;
+          logger.error('Penalty accrual failed for loan', error, { loanId: loan._id });
+        }
+      }
+    } finally {
+      if (!dryRun) this.isRunning = false;
+    }
+
+    summary.durationMs = Date.now() - startedAt.getTime();
+
+    if (!dryRun) {
+      this.lastRun = {
+        startedAt,
+        loansScanned: summary.loansScanned,
+        loansPenalised: summary.loansPenalised,
+        totalPenalty: summary.totalPenalty,
+        failed: summary.failed
+      };
+    }
+
+    logger.info(dryRun ? 'Penalty accrual dry run completed' : 'Penalty accrual completed', {
+      loansScanned: summary.loansScanned,
+      loansOverdue: summary.loansOverdue,
+      loansPenalised: summary.loansPenalised,
+      totalPenalty: summary.totalPenalty,
+      skipped: summary.skipped,
+      failed: summary.failed,
+      durationMs: summary.durationMs
+    });
+
+    return summary;
+  }
+
+  /**
+   * Schedule the daily accrual run at PENALTY_ACCRUAL_HOUR (default 01:00)
+   */
+  start() {
+    if (process.env.PENALTY_ACCRUAL_ENABLED === 'false') {
+      logger.info('Penalty accrual job disabled');
+      return;
+    }
+
+    this.stop();
+
+    const now = new Date();
+    const nextRun = new Date(now.getFullYear(), now.getMonth(), now.getDate(), this.runHour, 0, 0);
+    if (nextRun <= now) {
+      nextRun.setDate(nextRun.getDate() + 1);
+    }
+
+    const runSafely = async () => {
+      try {
+        await this.runAccrual();
+      } catch (error) {
+        logger.error('Scheduled penalty accrual failed', error);
+      }
+    };
+
+    this.timer = setTimeout(() => {
+      runSafely();
+      this.interval = setInterval(runSafely, DAY_MS);
+    }, nextRun - now);
+
+    logger.info('Penalty accrual job scheduled', { nextRun: nextRun.toISOString() });
+  }
+
+  /**
+   * Cancel the scheduled accrual run
+   */
+  stop() {
+    if (this.timer) clearTimeout(this.timer);
+    if (this.interval) clearInterval(this.interval);
+    this.timer = null;
+    this.interval = null;
+  }
+
+  /**
+   * Get job status
+   * @returns {Object} Status
+   */
+  getStatus() {
+    return {
+      scheduled: !!(this.timer || this.interval),
+      isRunning: this.isRunning,
+      runHour: this.runHour,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = new PenaltyAccrualService();
@@ -0,0 +1,646 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const BankStatement = require('../models/BankStatement');
+const Payment = require('../models/Payment');
+const paymentAllocationService = require('./paymentAllocationService');
+const paymentVerificationService = require('./paymentVerificationService');
+const { roundCurrency } = require('../utils/interestCalculator');
+const {
+  BusinessRuleError,
+  ConflictError,
+  NotFoundError,
+  ValidationError
+} = require('../utils/customErrors');
+const { logger } = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Payment methods that show up on the bank statement
+const RECONCILED_METHODS = ['bank_transfer', 'cash_deposit'];
+
+// Most candidates stored on a proposed line
+const MAX_PROPOSALS = 5;
+
+// CSV header names accepted for each column, compared in lower case
+const CSV_COLUMNS = {
+  date: ['value date', 'date', 'transaction date', 'txn date', 'posting date', 'booking date'],
+  credit: ['credit', 'credit amount', 'deposit', 'deposits', 'cr', 'money in'],
+  debit: ['debit', 'debit amount', 'withdrawal', 'withdrawals', 'dr', 'money out'],
+  amount: ['amount', 'transaction amount'],
+  reference: ['reference', 'ref', 'reference number', 'ref no', 'transaction reference', 'cheque no'],
+  description: ['description', 'narration', 'details', 'particulars', 'remarks', 'memo']
+};
+
+/**
+ * Reference for comparison: upper case letters and digits only
+ * @param {string} value - Reference or description
+ * @returns {string} Normalised reference
+ */
+const normalizeReference = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Parse a statement amount such as "1,250.00", "LKR 500" or "(75.00)"
+ * @param {string} value - Amount text
+ * @returns {number|null} Amount, null when empty
+ */
+const parseAmount = (value) => {
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+  const amount = parseFloat(text.replace(/[^0-9.]/g, ''));
+  if (Number.isNaN(amount)) return null;
+
+  return roundCurrency(negative ? -amount : amount);
+};
+
+/**
+ * Parse a statement date: ISO (2025-03-14) or day first (14/03/2025, 14-03-25)
+ * @param {string} value - Date text
+ * @returns {Date|null} Date at UTC midnight, null when unreadable
+ */
+const parseDate = (value) => {
+  const text = String(value || '').trim();
+
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) {
+    return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  }
+
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+  if (match) {
+    const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+    return new Date(Date.UTC(year, Number(match[2]) - 1, Number(match[1])));
+  }
+
+  return null;
+};
+
+/**
+ * Split one CSV record, honouring double quotes
+ * @param {string} line - CSV line
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<string>} Fields
+ */
+const splitCsvLine = (line, delimiter) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (char === '"') {
+      if (quoted && line[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === delimiter && !quoted) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+
+  return fields;
+};
+
+/**
+ * Reconciliation Service
+ * Imports bank statements, matches their credit lines to client payments
+ * waiting for verification, verifies the matched payments with the statement
+ * line as evidence and keeps everything else in suspense for staff
+ */
+class ReconciliationService {
+  constructor() {
+    this.dateToleranceDays = parseInt(process.env.RECONCILIATION_DATE_TOLERANCE_DAYS || '3', 10);
+  }
+
+  /**
+   * Work out the format of a statement file
+   * @param {string} content - File content
+   * @param {string} [fileName] - Original file name
+   * @returns {string} 'mt940' or 'csv'
+   */
+  detectFormat(content, fileName = '') {
+    if (/\.(sta|mt940|940)$/i.test(fileName) || /^:61:/m.test(content)) {
+      return 'mt940';
+    }
+    return 'csv';
+  }
+
+  /**
+   * Parse a CSV statement. The header row names the columns; amounts come
+   * from a credit column, or from a signed amount column.
+   * @param {string} content - CSV content
+   * @returns {Object} { lines, skippedDebits } with credit lines only
+   * @throws {ValidationError} When the date or amount columns are missing
+   */
+  parseCsv(content) {
+    const rows = content.replace(/^\uFEFF/, '').split(/\r?\n/).filter(row => row.trim());
+    if (rows.length === 0) {
+      throw new ValidationError('Statement file is empty', 'statement');
+    }
+
+    const delimiter = [',', ';', '\t']
+      .map(candidate => ({ candidate, count: rows[0].split(candidate).length }))
+      .sort((a, b) => b.count - a.count)[0].candidate;
+
+    const header = splitCsvLine(rows[0], delimiter).map(name => name.toLowerCase().replace(/["']/g, '').trim());
+    const columns = Object.fromEntries(Object.entries(CSV_COLUMNS).map(([key, names]) => [
+      key,
+      header.findIndex(name => names.includes(name))
+    ]));
+
+    if (columns.date < 0 || (columns.credit < 0 && columns.amount < 0)) {
+      throw new ValidationError('CSV statement needs a date column and a credit or amount column', 'statement');
+    }
+
+    const lines = [];
+    let skippedDebits = 0;
+
+    rows.slice(1).forEach((row, index) => {
+      const fields = splitCsvLine(row, delimiter);
+      const valueDate = parseDate(fields[columns.date]);
+      const amount = columns.credit >= 0
+        ? parseAmount(fields[columns.credit])
+        : parseAmount(fields[columns.amount]);
+
+      if (!valueDate || amount === null || amount === 0) {
+        if (columns.debit >= 0 && parseAmount(fields[columns.debit])) skippedDebits += 1;
+        return;
+      }
+      if (amount < 0) {
+        skippedDebits += 1;
+        return;
+      }
+
+      lines.push({
+        lineNumber: index + 2,
+        valueDate,
+        amount,
+        reference: columns.reference >= 0 ? fields[columns.reference] : undefined,
+        description: columns.description >= 0 ? fields[columns.description] : undefined
+      });
+    });
+
+    return { lines, skippedDebits };
+  }
+
+  /**
+   * Parse an MT940 statement. Each :61: statement line becomes a line, with
+   * the :86: information that follows it as description. Credits are 'C'
+   * entries and reversals of debits ('RD').
+   * @param {string} content - MT940 content
+   * @returns {Object} { lines, skippedDebits, accountNumber, periodStart, periodEnd }
+   * @throws {ValidationError} When the file has no statement lines
+   */
+  parseMt940(content) {
+    // Join continuation lines onto the field they belong to
+    const fields = [];
+    content.split(/\r?\n/).forEach(row => {
+      const match = row.match(/^:(\d{2}[A-Z]?):(.*)$/);
+      if (match) {
+        fields.push({ tag: match[1], value: match[2] });
+      } else if (fields.length > 0 && row.trim() && row.trim() !== '-}') {
+        fields[fields.length - 1].value += `\n${row}`;
+      }
+    });
+
+    const lines = [];
+    let skippedDebits = 0;
+    let accountNumber;
+    let current = null;
+
+    fields.forEach(({ tag, value }) => {
+      if (tag === '25') {
+        accountNumber = value.trim();
+      }
+
+      if (tag === '61') {
+        current = null;
+        const match = value.match(/^(\d{2})(\d{2})(\d{2})(\d{4})?(R?[CD])[A-Z]?(\d+,\d{0,2})[A-Z][A-Z0-9]{3}([^\n/]*)(?:\/\/([^\n]*))?/);
+        if (!match) return;
+
+        const [, yy, mm, dd, , mark, amountText, customerReference, bankReference] = match;
+        if (mark !== 'C' && mark !== 'RD') {
+          skippedDebits += 1;
+          return;
+        }
+
+        const reference = customerReference.trim() && customerReference.trim() !== 'NONREF'
+          ? customerReference.trim()
+          : (bankReference || '').trim();
+
+        current = {
+          lineNumber: lines.length + skippedDebits + 1,
+          valueDate: new Date(Date.UTC(2000 + Number(yy), Number(mm) - 1, Number(dd))),
+          amount: roundCurrency(parseFloat(amountText.replace(',', '.'))),
+          reference: reference || undefined,
+          description: value.split('\n').slice(1).join(' ').trim() || undefined
+        };
+        lines.push(current);
+      }
+
+      if (tag === '86' && current) {
+        current.description = [current.description, value.replace(/\n/g, ' ').trim()].filter(Boolean).join(' ');
+        current = null;
+      }
+    });
+
+    if (lines.length === 0 && skippedDebits === 0) {
+      throw new ValidationError('No :61: statement lines found in the MT940 file', 'statement');
+    }
+
+    const dates = lines.map(line => line.valueDate.getTime());
+    return {
+      lines,
+      skippedDebits,
+      accountNumber,
+      periodStart: dates.length ? new Date(Math.min(...dates)) : undefined,
+      periodEnd: dates.length ? new Date(Math.max(...dates)) : undefined
+    };
+  }
+
+  /**
+   * Parse a statement file in either format
+   * @param {string} content - File content
+   * @param {string} format - 'csv' or 'mt940'
+   * @returns {Object} Parsed statement with its credit lines
+   */
+  parseStatement(content, format) {
+    const parsed = format === 'mt940' ? this.parseMt940(content) : this.parseCsv(content);
+
+    if (!parsed.periodStart && parsed.lines.length > 0) {
+      const dates = parsed.lines.map(line => line.valueDate.getTime());
+      parsed.periodStart = new Date(Math.min(...dates));
+      parsed.periodEnd = new Date(Math.max(...dates));
+    }
+    return parsed;
+  }
+
+  /**
+   * Match statement credits to payments. A line is matched when exactly one
+   * payment has its reference, the same amount and a payment date within the
+   * tolerance. Otherwise payments agreeing on reference or on amount and date
+   * are proposed, and a line with no candidates goes to suspense. A payment
+   * is matched to at most one line.
+   * @param {Array<Object>} lines - Statement credit lines (modified)
+   * @param {Array<Object>} payments - Payments waiting for verification
+   * @param {Object} [options] - Matching options
+   * @param {number} [options.dateToleranceDays] - Allowed days between payment date and value date
+   * @returns {Array<Object>} The lines with status, matchedPayment and proposals
+   */
+  matchLines(lines, payments, { dateToleranceDays = this.dateToleranceDays } = {}) {
+    const used = new Set();
+    const toleranceMs = dateToleranceDays * DAY_MS;
+
+    const compare = (line, payment) => {
+      const reference = normalizeReference(payment.referenceNumber);
+      const text = normalizeReference(`${line.reference || ''} ${line.description || ''}`);
+      const matchedOn = [];
+
+      if (reference && text.includes(reference)) matchedOn.push('reference');
+      if (Math.abs(payment.paymentAmount - line.amount) < 0.01) matchedOn.push('amount');
+      if (Math.abs(new Date(payment.paymentDate) - line.valueDate) <= toleranceMs) matchedOn.push('date');
+
+      return matchedOn;
+    };
+
+    // Lines with a reference go first so they claim their payments
+    const ordered = [...lines].sort((a, b) => Number(!a.reference) - Number(!b.reference));
+
+    ordered.forEach(line => {
+      const candidates = payments
+        .filter(payment => !used.has(String(payment._id)))
+        .map(payment => ({ payment, matchedOn: compare(line, payment) }))
+        .filter(({ matchedOn }) => matchedOn.includes('reference') ||
+          (matchedOn.includes('amount') && matchedOn.includes('date')))
+        .sort((a, b) => b.matchedOn.length - a.matchedOn.length);
+
+      const exact = candidates.filter(({ matchedOn }) => matchedOn.length === 3);
+
+      if (exact.length === 1) {
+        line.status = 'matched';
+        line.matchType = 'auto';
+        line.matchedPayment = exact[0].payment._id;
+        line.proposals = [];
+        used.add(String(exact[0].payment._id));
+      } else if (candidates.length > 0) {
+        line.status = 'proposed';
+        line.proposals = candidates.slice(0, MAX_PROPOSALS).map(({ payment, matchedOn }) => ({
+          payment: payment._id,
+          matchedOn
+        }));
+      } else {
+        line.status = 'unmatched';
+        line.proposals = [];
+      }
+    });
+
+    return lines;
+  }
+
+  /**
+   * Record the statement line on a payment and verify it
+   * @param {Object} statement - BankStatement document
+   * @param {Object} line - Matched statement line
+   * @param {string} staffId - Staff member reconciling
+   * @returns {Promise<Object>} Verification result from the allocation service
+   */
+  async verifyWithEvidence(statement, line, staffId) {
+    const evidence = {
+      statement: statement._id,
+      statementId: statement.statementId,
+      lineId: line._id,
+      valueDate: line.valueDate,
+      amount: line.amount,
+      reference: line.reference,
+      description: line.description,
+      matchType: line.matchType,
+      reconciledAt: new Date()
+    };
+
+    await Payment.updateOne({ _id: line.matchedPayment }, {
+      $set: { bankReconciliation: evidence },
+      $push: {
+        auditLog: {
+          action: 'reconciled',
+          performedBy: staffId,
+          timestamp: new Date(),
+          details: { statementId: statement.statementId, lineNumber: line.lineNumber, matchType: line.matchType }
+        }
+      }
+    });
+
+    return paymentAllocationService.verifyPayment(line.matchedPayment, staffId, {
+      notes: `Matched to bank statement ${statement.statementId}, line ${line.lineNumber}`
+    });
+  }
+
+  /**
+   * Import a statement file: parse its credits, match them to payments in
+   * the importer's scope and verify the matched payments
+   * @param {Object} file - Uploaded file (buffer, originalname)
+   * @param {Object} [options] - Import options
+   * @param {string} [options.format] - 'csv' or 'mt940', detected when omitted
+   * @param {number} [options.dateToleranceDays] - Allowed days between payment date and value date
+   * @param {Object} user - Importing staff member (req.user)
+   * @returns {Promise<Object>} BankStatement document
+   * @throws {ConflictError} When the file was imported before
+   */
+  async importStatement(file, options, user) {
+    if (!file || !file.buffer) {
+      throw new ValidationError('A statement file is required', 'statement');
+    }
+
+    const content = file.buffer.toString('utf8');
+    const fileHash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+
+    if (await BankStatement.exists({ fileHash })) {
+      throw new ConflictError('This statement file has already been imported', 'statement');
+    }
+
+    const format = options.format || this.detectFormat(content, file.originalname);
+    const dateToleranceDays = options.dateToleranceDays ?? this.dateToleranceDays;
+    const parsed = this.parseStatement(content, format);
+
+    const payments = await this.findCandidatePayments(parsed, dateToleranceDays, user);
+    this.matchLines(parsed.lines, payments, { dateToleranceDays });
+
+    const statement = new BankStatement({
+      fileName: file.originalname,
+      fileHash,
+      format,
+      accountNumber: parsed.accountNumber,
+      periodStart: parsed.periodStart,
+      periodEnd: parsed.periodEnd,
+      region: user.role === 'regional_manager' ? user.region : undefined,
+      dateToleranceDays,
+      lines: parsed.lines,
+      skippedDebits: parsed.skippedDebits,
+      importedBy: user.userId
+    });
+    statement.refreshTotals();
+    await statement.save();
+
+    for (const line of statement.lines.filter(item => item.status === 'matched')) {
+      try {
+        await this.verifyWithEvidence(statement, line, user.userId);
+      } catch (error) {
+        // Leave the line for a person rather than failing the whole import
+        logger.warn('Auto-matched payment could not be verified', {
+          statementId: statement.statementId,
+          lineNumber: line.lineNumber,
+          paymentId: line.matchedPayment,
+          error: error.message
+        });
+        await Payment.updateOne({ _id: line.matchedPayment }, { $unset: { bankReconciliation: '' } });
+        line.proposals = [{ payment: line.matchedPayment, matchedOn: ['reference', 'amount', 'date'] }];
+        line.status = 'proposed';
+        line.matchedPayment = undefined;
+        line.matchType = undefined;
+      }
+    }
+
+    statement.refreshTotals();
+    await statement.save();
+
+    logger.info('Bank statement imported', {
+      statementId: statement.statementId,
+      format,
+      importedBy: user.userId,
+      ...statement.totals
+    });
+
+    return statement;
+  }
+
+  /**
+   * Payments a statement could settle: open bank transfers and cash deposits
+   * in the importer's scope, dated around the statement period
+   * @param {Object} parsed - Parsed statement
+   * @param {number} dateToleranceDays - Allowed days between payment date and value date
+   * @param {Object} user - Importing staff member (req.user)
+   * @returns {Promise<Array<Object>>} Payments
+   */
+  async findCandidatePayments(parsed, dateToleranceDays, user) {
+    if (parsed.lines.length === 0) {
+      return [];
+    }
+
+    const loanIds = await paymentVerificationService.getScopedLoanIds(user);
+    // Reference matches may be further off in date, so search a wider window
+    const windowMs = Math.max(dateToleranceDays, 30) * DAY_MS;
+
+    return Payment.find({
+      status: 'pending_verification',
+      paymentMethod: { $in: RECONCILED_METHODS },
+      paymentDate: {
+        $gte: new Date(parsed.periodStart.getTime() - windowMs),
+        $lte: new Date(parsed.periodEnd.getTime() + windowMs)
+      },
+      ...(loanIds && { loanId: { $in: loanIds } })
+    })
+      .select('paymentId loanId paymentAmount paymentDate referenceNumber')
+      .lean();
+  }
+
+  /**
+   * Statements visible to a staff member: regional managers see their
+   * region's imports and their own
+   * @param {Object} user - Staff member (req.user)
+   * @returns {Object} Query filter
+   */
+  getScopeFilter(user) {
+    if (user.role === 'regional_manager') {
+      return { $or: [{ region: user.region }, { importedBy: user.userId }] };
+    }
+    return {};
+  }
+
+  /**
+   * List imported statements, newest first
+   * @param {Object} user - Staff member (req.user)
+   * @param {Object} [options] - Listing options
+   * @returns {Promise<Object>} Statements (without lines) and pagination
+   */
+  async listStatements(user, { status, page = 1, limit = 10 } = {}) {
+    const query = { ...this.getScopeFilter(user), ...(status && { status }) };
+
+    const [statements, total] = await Promise.all([
+      BankStatement.find(query)
+        .select('-lines')
+        .populate('importedBy', 'name email')
+        .sort({ importedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      BankStatement.countDocuments(query)
+    ]);
+
+    return { statements, pagination: { total, page, pages: Math.ceil(total / limit), limit } };
+  }
+
+  /**
+   * Get a statement with its lines and the payments they point to
+   * @param {string} statementId - BankStatement ObjectId or statementId
+   * @param {Object} user - Staff member (req.user)
+   * @returns {Promise<Object>} BankStatement document
+   * @throws {NotFoundError} When the statement does not exist or is out of scope
+   */
+  async getStatement(statementId, user) {
+    const statement = await BankStatement.findOne({
+      ...this.getScopeFilter(user),
+      ...(mongoose.Types.ObjectId.isValid(statementId) ? { _id: statementId } : { statementId })
+    })
+      .populate('lines.matchedPayment', 'paymentId loanId clientId paymentAmount paymentDate referenceNumber status')
+      .populate('lines.proposals.payment', 'paymentId loanId clientId paymentAmount paymentDate referenceNumber status');
+
+    if (!statement) {
+      throw new NotFoundError('Bank statement', statementId);
+    }
+    return statement;
+  }
+
+  /**
+   * Unmatched credits across statements (the suspense list), oldest first
+   * @param {Object} user - Staff member (req.user)
+   * @param {Object} [options] - Listing options
+   * @param {string} [options.status='unmatched'] - 'unmatched' or 'proposed'
+   * @returns {Promise<Array<Object>>} Lines with their statement
+   */
+  async getSuspense(user, { status = 'unmatched' } = {}) {
+    const statements = await BankStatement.find({
+      ...this.getScopeFilter(user),
+      'lines.status': status
+    })
+      .select('statementId fileName accountNumber lines')
+      .sort({ importedAt: 1 })
+      .lean();
+
+    return statements.flatMap(statement => statement.lines
+      .filter(line => line.status === status)
+      .map(({ proposals, ...line }) => ({
+        ...line,
+        ...(status === 'proposed' && { proposals }),
+        statement: { _id: statement._id, statementId: statement.statementId, fileName: statement.fileName, accountNumber: statement.accountNumber }
+      })));
+  }
+
+  /**
+   * Resolve a proposed or suspense line: match it to a payment, which is then
+   * verified with the line as evidence, or set it aside as not a client payment
+   * @param {string} statementId - BankStatement ObjectId or statementId
+   * @param {string} lineId - Statement line ID
+   * @param {Object} resolution - Resolution
+   * @param {string} [resolution.paymentId] - Payment to match
+   * @param {boolean} [resolution.ignore] - Set the line aside instead
+   * @param {string} [resolution.notes] - Notes, required when ignoring
+   * @param {Object} user - Resolving staff member (req.user)
+   * @returns {Promise<Object>} { statement, line, verification }
+   */
+  async resolveLine(statementId, lineId, { paymentId, ignore, notes }, user) {
+    const statement = await this.getStatement(statementId, user);
+    const line = statement.lines.id(lineId);
+
+    if (!line) {
+      throw new NotFoundError('Statement line', lineId);
+    }
+    if (!['proposed', 'unmatched'].includes(line.status)) {
+      throw new ConflictError(`Statement line is already ${line.status}`, 'status');
+    }
+
+    let verification = null;
+
+    if (ignore) {
+      if (!notes) {
+        throw new ValidationError('Notes are required to set a statement line aside', 'notes');
+      }
+      line.status = 'ignored';
+    } else {
+      const payment = await paymentVerificationService.findPayment(paymentId);
+      const loanIds = await paymentVerificationService.getScopedLoanIds(user);
+
+      if (loanIds && !loanIds.some(id => String(id) === String(payment.loanId))) {
+        throw new NotFoundError('Payment', paymentId);
+      }
+      if (payment.status !== 'pending_verification' && payment.status !== 'pending_approval') {
+        throw new ConflictError(`Payment is already ${payment.status.replace('_', ' ')}`, 'status');
+      }
+      if (Math.abs(payment.paymentAmount - line.amount) >= 0.01) {
+        throw new BusinessRuleError(
+          `Statement credit of ${line.amount} does not equal the payment amount of ${payment.paymentAmount}`,
+          'RECONCILIATION_AMOUNT_MISMATCH',
+          { lineAmount: line.amount, paymentAmount: payment.paymentAmount }
+        );
+      }
+
+      line.status = 'matched';
+      line.matchType = 'manual';
+      line.matchedPayment = payment._id;
+      line.proposals = [];
+      verification = await this.verifyWithEvidence(statement, line, user.userId);
+    }
+
+    line.resolvedBy = user.userId;
+    line.resolvedAt = new Date();
+    line.notes = notes;
+    statement.refreshTotals();
+    await statement.save();
+
+    logger.info('Statement line resolved', {
+      statementId: statement.statementId,
+      lineNumber: line.lineNumber,
+      status: line.status,
+      resolvedBy: user.userId
+    });
+
+    return { statement, line, verification };
+  }
+}
+
+module.exports = new ReconciliationService();
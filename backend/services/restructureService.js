@@ -0,0 +1,443 @@
+const scheduleService = require('./scheduleService');
+const {
+  generateSchedule,
+  getTermMonths,
+  termFitsFrequency,
+  roundCurrency,
+  addMonths
+} = require('../utils/interestCalculator');
+const {
+  AppError,
+  AuthorizationError,
+  BusinessRuleError,
+  ConflictError,
+  NotFoundError
+} = require('../utils/customErrors');
+const { logger } = require('../utils/logger');
+
+const RESTRUCTURABLE_STATUSES = ['Active', 'Defaulted'];
+
+/**
+ * Restructure Service
+ * Term extensions, payment holidays, rate changes and arrears capitalisation
+ * for loans in repayment. Requests are approved by the regional manager before
+ * the schedule is revised.
+ */
+class RestructureService {
+  /**
+   * Calculate the revised schedule for a set of restructure changes.
+   * Installments that fell due by the effective date are closed at what was
+   * paid on them and their unpaid amounts become arrears. Arrears are either
+   * added to the principal or carried into the first new installment. Interest
+   * for a payment holiday is added to the principal.
+   * @param {Object} schedule - Current RepaymentSchedule document
+   * @param {Object} changes - Requested changes
+   * @param {number} [changes.termExtensionMonths=0] - Months added to the remaining term, in whole repayment periods
+   * @param {number} [changes.paymentHolidayMonths=0] - Months before the first new installment falls due
+   * @param {number} [changes.newInterestRate] - New annual rate, defaults to the current rate
+   * @param {boolean} [changes.capitaliseArrears=false] - Add arrears to the principal
+   * @param {Date} [effectiveDate=new Date()] - Date the new terms start from
+   * @returns {Object} Revised installments, new terms and a before/after summary
+   */
+  calculateRestructure(schedule, changes, effectiveDate = new Date()) {
+    const {
+      termExtensionMonths = 0,
+      paymentHolidayMonths = 0,
+      newInterestRate,
+      capitaliseArrears = false
+    } = changes;
+
+    const installments = [...schedule.installments].sort((a, b) => a.installmentNumber - b.installmentNumber);
+
+    const arrears = { interest: 0, fees: 0, penalties: 0 };
+    let outstandingPrincipal = 0;
+    let remainingInstallments = 0;
+    const keptRows = [];
+
+    installments.forEach((installment) => {
+      const row = installment.toObject ? installment.toObject() : { ...installment };
+      delete row._id;
+
+      outstandingPrincipal += installment.principalDue - installment.principalPaid;
+
+      if (installment.dueDate <= effectiveDate) {
+        arrears.interest += installment.interestDue - installment.interestPaid;
+        arrears.fees += installment.feeDue - installment.feePaid;
+        arrears.penalties += (installment.penaltyDue || 0) - (installment.penaltyPaid || 0);
+      } else {
+        remainingInstallments++;
+      }
+
+      // Past installments stay on the schedule closed at what was paid;
+      // future installments are only kept when something was paid ahead
+      if (installment.dueDate <= effectiveDate || installment.amountPaid > 0) {
+        keptRows.push({
+          ...row,
+          principalDue: installment.principalPaid,
+          interestDue: installment.interestPaid,
+          feeDue: installment.feePaid,
+          penaltyDue: installment.penaltyPaid || 0,
+          totalDue: roundCurrency(installment.principalPaid + installment.interestPaid + installment.feePaid),
+          closingBalance: undefined,
+          status: 'paid',
+          paidAt: installment.paidAt || effectiveDate
+        });
+      }
+    });
+
+    outstandingPrincipal = roundCurrency(outstandingPrincipal);
+    Object.keys(arrears).forEach((key) => {
+      arrears[key] = roundCurrency(Math.max(0, arrears[key]));
+    });
+    const totalArrears = roundCurrency(arrears.interest + arrears.fees + arrears.penalties);
+
+    const annualRate = newInterestRate ?? schedule.annualRate;
+    const remainingMonths = remainingInstallments > 0
+      ? getTermMonths(remainingInstallments, schedule.repaymentFrequency)
+      : 0;
+    const termMonths = remainingMonths + termExtensionMonths;
+
+    if (!termFitsFrequency(termExtensionMonths, schedule.repaymentFrequency)) {
+      throw new BusinessRuleError(
+        `${schedule.repaymentFrequency} repayments can only be extended by whole repayment periods`,
+        'TERM_DOES_NOT_FIT_FREQUENCY',
+        { termExtensionMonths, repaymentFrequency: schedule.repaymentFrequency }
+      );
+    }
+
+    if (termMonths <= 0) {
+      throw new BusinessRuleError(
+        'No installments remain after the effective date; extend the term to restructure',
+        'TERM_EXTENSION_REQUIRED',
+        { remainingInstallments }
+      );
+    }
+
+    let principal = outstandingPrincipal;
+    if (capitaliseArrears) {
+      principal = roundCurrency(principal + totalArrears);
+    }
+
+    // Interest for the holiday accrues and is added to the principal
+    const holidayInterest = paymentHolidayMonths > 0
+      ? roundCurrency(principal * (annualRate / 100 / 12) * paymentHolidayMonths)
+      : 0;
+    principal = roundCurrency(principal + holidayInterest);
+
+    const startDate = addMonths(effectiveDate, paymentHolidayMonths);
+    const rows = generateSchedule({
+      principal,
+      annualRate,
+      termMonths,
+      method: schedule.interestMethod,
+      frequency: schedule.repaymentFrequency,
+      startDate
+    });
+
+    const feePerInstallment = installments.length > 0 ? installments[installments.length - 1].feeDue : 0;
+    let openingBalance = principal;
+
+    const newRows = rows.map((row, index) => {
+      const installment = {
+        installmentNumber: keptRows.length + index + 1,
+        dueDate: row.dueDate,
+        principalDue: row.principal,
+        interestDue: row.interest,
+        feeDue: feePerInstallment,
+        penaltyDue: 0,
+        openingBalance,
+        closingBalance: row.balance,
+        status: 'pending'
+      };
+
+      // Arrears that are not capitalised fall due with the first new installment
+      if (index === 0 && !capitaliseArrears) {
+        installment.interestDue = roundCurrency(installment.interestDue + arrears.interest);
+        installment.feeDue = roundCurrency(installment.feeDue + arrears.fees);
+        installment.penaltyDue = arrears.penalties;
+      }
+
+      installment.totalDue = roundCurrency(installment.principalDue + installment.interestDue + installment.feeDue);
+      openingBalance = row.balance;
+      return installment;
+    });
+
+    const nextOpen = installments.find(installment => installment.dueDate > effectiveDate && installment.amountPaid < installment.totalDue);
+    const lastRow = rows[rows.length - 1];
+
+    return {
+      installments: [...keptRows, ...newRows],
+      terms: {
+        principal,
+        annualRate,
+        termMonths,
+        interestMethod: schedule.interestMethod,
+        startDate
+      },
+      summary: {
+        effectiveDate,
+        arrears: { ...arrears, total: totalArrears },
+        capitalisedArrears: capitaliseArrears ? totalArrears : 0,
+        holidayInterest,
+        previous: {
+          outstandingPrincipal,
+          annualRate: schedule.annualRate,
+          remainingInstallments,
+          installmentAmount: nextOpen ? nextOpen.totalDue : 0,
+          nextDueDate: nextOpen ? nextOpen.dueDate : null,
+          maturityDate: installments.length > 0 ? installments[installments.length - 1].dueDate : null
+        },
+        new: {
+          principal,
+          annualRate,
+          remainingInstallments: rows.length,
+          installmentAmount: roundCurrency(rows[0].payment + feePerInstallment),
+          firstDueDate: rows[0].dueDate,
+          maturityDate: lastRow.dueDate
+        }
+      }
+    };
+  }
+
+  /**
+   * Find a restructure request on a loan
+   * @param {Object} loan - Loan document
+   * @param {string} requestId - Restructure request ID
+   * @returns {Object} Restructure request subdocument
+   * @throws {NotFoundError} When the request does not exist
+   */
+  getRequest(loan, requestId) {
+    const request = loan.restructureRequests.id(requestId);
+    if (!request) {
+      throw new NotFoundError('Restructure request', requestId);
+    }
+    return request;
+  }
+
+  /**
+   * Create a restructure request with a preview of the new terms. The loan is
+   * not saved by this method.
+   * @param {Object} loan - Loan document
+   * @param {Object} data - Request data
+   * @param {string} data.reason - Why the loan is restructured
+   * @param {Object} data.changes - Requested changes
+   * @param {Date} [data.effectiveDate] - Date the new terms start from
+   * @param {Object} user - Requesting staff member (req.user)
+   * @returns {Promise<Object>} Created restructure request
+   */
+  async requestRestructure(loan, data, user) {
+    if (!RESTRUCTURABLE_STATUSES.includes(loan.loanStatus)) {
+      throw new BusinessRuleError('Only loans in repayment can be restructured', 'LOAN_NOT_RESTRUCTURABLE', {
+        loanStatus: loan.loanStatus
+      });
+    }
+
+    if (loan.restructureRequests.some(request => request.status === 'Pending')) {
+      throw new ConflictError('Loan already has a pending restructure request', 'restructureRequests');
+    }
+
+    const { changes = {} } = data;
+    const hasChange = changes.termExtensionMonths > 0 ||
+      changes.paymentHolidayMonths > 0 ||
+      changes.newInterestRate != null ||
+      changes.capitaliseArrears === true;
+
+    if (!hasChange) {
+      throw new AppError('At least one restructure change is required', 400, 'NO_RESTRUCTURE_CHANGES');
+    }
+
+    const schedule = await scheduleService.getCurrentSchedule(loan._id);
+    if (!schedule) {
+      throw new AppError('Loan has no repayment schedule', 404, 'SCHEDULE_NOT_FOUND');
+    }
+
+    const effectiveDate = data.effectiveDate ? new Date(data.effectiveDate) : new Date();
+    const { summary } = this.calculateRestructure(schedule, changes, effectiveDate);
+
+    loan.restructureRequests.push({
+      reason: data.reason,
+      changes,
+      effectiveDate,
+      preview: summary,
+      requestedBy: user.userId,
+      previousScheduleVersion: schedule.version,
+      regionalAdminApproval: { status: 'Pending' }
+    });
+
+    const request = loan.restructureRequests[loan.restructureRequests.length - 1];
+
+    loan.addAuditEntry('restructure_requested', user.userId, {
+      new: { requestId: request._id, changes, effectiveDate }
+    }, data.reason);
+
+    logger.info('Loan restructure requested', {
+      loanId: loan._id,
+      requestId: request._id,
+      requestedBy: user.userId
+    });
+
+    return request;
+  }
+
+  /**
+   * Check that a staff member may decide on a loan's restructure request:
+   * the loan's regional manager, a regional manager of its region, or a
+   * super admin, and never the staff member who requested it
+   * @param {Object} loan - Loan document
+   * @param {Object} request - Restructure request
+   * @param {Object} user - Deciding staff member (req.user)
+   * @throws {AuthorizationError} When the user may not decide
+   */
+  assertCanDecide(loan, request, user) {
+    if (request.requestedBy?.toString() === user.userId) {
+      throw new AuthorizationError('Restructure requests must be approved by someone other than the requester');
+    }
+
+    const isAssignedManager = loan.assignedRegionalManager?.toString() === user.userId;
+    const isRegionManager = user.role === 'regional_manager' &&
+      user.region && loan.region?.toString() === user.region.toString();
+
+    if (!isAssignedManager && !isRegionManager && user.role !== 'super_admin') {
+      throw new AuthorizationError('Only the regional manager can decide on restructure requests', 'regional_manager', user.role);
+    }
+  }
+
+  /**
+   * Approve or reject a restructure request. Approval recalculates the new
+   * terms, revises the schedule and records every changed term in the audit
+   * trail. The loan is not saved by this method.
+   * @param {Object} loan - Loan document
+   * @param {string} requestId - Restructure request ID
+   * @param {Object} decision - Decision
+   * @param {string} decision.status - 'Approved' or 'Rejected'
+   * @param {string} [decision.comments] - Regional manager comments
+   * @param {Object} user - Deciding staff member (req.user)
+   * @returns {Promise<Object>} The request and, when approved, the new schedule
+   */
+  async decideRestructure(loan, requestId, { status, comments }, user) {
+    const request = this.getRequest(loan, requestId);
+
+    if (request.status !== 'Pending') {
+      throw new ConflictError(`Restructure request is already ${request.status.toLowerCase()}`, 'status');
+    }
+
+    this.assertCanDecide(loan, request, user);
+
+    request.regionalAdminApproval = {
+      approvedBy: user.userId,
+      approvalDate: new Date(),
+      status,
+      comments
+    };
+    request.status = status;
+
+    if (status === 'Rejected') {
+      loan.addAuditEntry('rejected', user.userId, {
+        previous: { restructureStatus: 'Pending' },
+        new: { restructureStatus: 'Rejected', requestId: request._id }
+      }, comments);
+
+      return { request, schedule: null };
+    }
+
+    const schedule = await this.applyRestructure(loan, request, user);
+    return { request, schedule };
+  }
+
+  /**
+   * Revise the schedule and loan terms for an approved request
+   * @param {Object} loan - Loan document
+   * @param {Object} request - Approved restructure request
+   * @param {Object} user - Approving staff member (req.user)
+   * @returns {Promise<Object>} New schedule document
+   */
+  async applyRestructure(loan, request, user) {
+    const current = await scheduleService.getCurrentSchedule(loan._id);
+    if (!current) {
+      throw new AppError('Loan has no repayment schedule', 404, 'SCHEDULE_NOT_FOUND');
+    }
+
+    // Terms are recalculated as of approval so payments made since the
+    // request are taken into account
+    const now = new Date();
+    const effectiveDate = request.effectiveDate && request.effectiveDate > now ? request.effectiveDate : now;
+    const { installments, terms, summary } = this.calculateRestructure(current, request.changes, effectiveDate);
+
+    const schedule = await scheduleService.reviseSchedule(current, installments, {
+      reason: `Restructure: ${request.reason}`,
+      performedBy: user.userId,
+      terms
+    });
+
+    const previous = {
+      interestRate: loan.interestRate,
+      loanTerm: loan.loanTerm,
+      monthlyInstallment: loan.monthlyInstallment,
+      outstandingPrincipal: summary.previous.outstandingPrincipal,
+      maturityDate: summary.previous.maturityDate,
+      scheduleVersion: current.version
+    };
+
+    const remainingPayable = installments.reduce((sum, installment) => {
+      return sum + (installment.principalDue - (installment.principalPaid || 0)) +
+        (installment.interestDue - (installment.interestPaid || 0));
+    }, 0);
+
+    loan.interestRate = terms.annualRate;
+    loan.loanTerm = getTermMonths(installments.length, schedule.repaymentFrequency);
+    loan.restructuredTerms = {
+      principal: terms.principal,
+      interestRate: terms.annualRate,
+      termMonths: terms.termMonths,
+      installmentAmount: summary.new.installmentAmount,
+      totalPayableAmount: roundCurrency((loan.calculatedFields.totalPaid || 0) + remainingPayable),
+      effectiveDate,
+      scheduleVersion: schedule.version,
+      restructureCount: (loan.restructuredTerms?.restructureCount || 0) + 1
+    };
+    loan.calculatedFields.daysOverdue = 0;
+    loan.calculatedFields.nextPaymentDate = summary.new.firstDueDate;
+    if (loan.monthlyInstallmentDueDate) {
+      loan.monthlyInstallmentDueDate = summary.new.firstDueDate.getDate();
+    }
+
+    if (loan.loanStatus === 'Defaulted') {
+      loan.addAuditEntry('status_changed', user.userId, {
+        previous: { loanStatus: loan.loanStatus },
+        new: { loanStatus: 'Active' }
+      }, 'Loan restructured');
+      loan.loanStatus = 'Active';
+    }
+
+    // One audit entry per changed term
+    const auditChanges = [
+      ['Interest rate changed', { interestRate: previous.interestRate }, { interestRate: terms.annualRate }, request.changes.newInterestRate != null],
+      ['Term extended', { loanTerm: previous.loanTerm, maturityDate: previous.maturityDate }, { loanTerm: loan.loanTerm, maturityDate: summary.new.maturityDate }, request.changes.termExtensionMonths > 0],
+      ['Payment holiday granted', { nextPaymentDate: summary.previous.nextDueDate }, { nextPaymentDate: summary.new.firstDueDate, months: request.changes.paymentHolidayMonths, holidayInterest: summary.holidayInterest }, request.changes.paymentHolidayMonths > 0],
+      ['Arrears capitalised', { outstandingPrincipal: previous.outstandingPrincipal, arrears: summary.arrears.total }, { principal: terms.principal, capitalisedArrears: summary.capitalisedArrears }, request.changes.capitaliseArrears],
+      ['Schedule revised', { scheduleVersion: previous.scheduleVersion, monthlyInstallment: previous.monthlyInstallment }, { scheduleVersion: schedule.version, monthlyInstallment: summary.new.installmentAmount }, true]
+    ];
+
+    auditChanges
+      .filter(([, , , applies]) => applies)
+      .forEach(([comment, before, after]) => {
+        loan.addAuditEntry('restructured', user.userId, { previous: before, new: after }, comment);
+      });
+
+    request.preview = summary;
+    request.newScheduleVersion = schedule.version;
+    request.appliedAt = new Date();
+
+    logger.info('Loan restructured', {
+      loanId: loan._id,
+      requestId: request._id,
+      previousScheduleVersion: current.version,
+      scheduleVersion: schedule.version,
+      approvedBy: user.userId
+    });
+
+    return schedule;
+  }
+}
+
+module.exports = new RestructureService();
@@ -0,0 +1,312 @@
+const RepaymentSchedule = require('../models/RepaymentSchedule');
+const {
+  FREQUENCY_PERIODS,
+  generateSchedule,
+  resolveFrequency,
+  roundCurrency
+} = require('../utils/interestCalculator');
+const { AppError } = require('../utils/customErrors');
+const { logger } = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Repayment Schedule Service
+ * Creates and maintains the persisted installment schedule of a loan
+ */
+class ScheduleService {
+  /**
+   * Build installment rows for a loan from its current terms
+   * @param {Object} loan - Loan document
+   * @param {Object} options - Build options
+   * @param {Date} options.startDate - Date the first period starts from
+   * @param {number} [options.feePerInstallment=0] - Fee added to every installment
+   * @returns {Array<Object>} Installment rows
+   */
+  buildInstallments(loan, { startDate, feePerInstallment = 0 }) {
+    const rows = generateSchedule({
+      principal: loan.loanAmount,
+      annualRate: loan.interestRate,
+      termMonths: loan.loanTerm,
+      method: loan.interestMethod,
+      frequency: loan.repaymentFrequency,
+      startDate
+    });
+
+    let openingBalance = roundCurrency(loan.loanAmount);
+
+    return rows.map((row) => {
+      const installment = {
+        installmentNumber: row.installmentNumber,
+        dueDate: row.dueDate,
+        principalDue: row.principal,
+        interestDue: row.interest,
+        feeDue: roundCurrency(feePerInstallment),
+        totalDue: roundCurrency(row.payment + feePerInstallment),
+        openingBalance,
+        closingBalance: row.balance,
+        status: 'pending'
+      };
+
+      openingBalance = row.balance;
+      return installment;
+    });
+  }
+
+  /**
+   * Create the schedule for a loan. An existing current schedule is kept as
+   * history and the new schedule gets the next version number.
+   * @param {Object} loan - Loan document (not saved by this method)
+   * @param {Object} [options] - Creation options
+   * @param {Date} [options.startDate=new Date()] - Date the first period starts from
+   * @param {string} [options.performedBy] - Staff ID creating the schedule
+   * @param {number} [options.feePerInstallment=0] - Fee added to every installment
+   * @param {string} [options.reason] - Reason for (re)generating the schedule
+   * @returns {Promise<Object>} Created schedule document
+   */
+  async createScheduleForLoan(loan, options = {}) {
+    const {
+      startDate = new Date(),
+      performedBy,
+      feePerInstallment = 0,
+      reason = 'Loan activated'
+    } = options;
+
+    if (!loan.loanAmount || !loan.loanTerm) {
+      throw new AppError('Loan amount and term are required to build a schedule', 400, 'INVALID_LOAN_TERMS');
+    }
+
+    const installments = this.buildInstallments(loan, { startDate, feePerInstallment });
+
+    const previous = await RepaymentSchedule.findCurrent(loan._id);
+    if (previous) {
+      previous.isCurrent = false;
+      previous.supersededAt = new Date();
+      await previous.save();
+    }
+
+    const schedule = await RepaymentSchedule.create({
+      loanId: loan._id,
+      version: previous ? previous.version + 1 : 1,
+      isCurrent: true,
+      principal: loan.loanAmount,
+      annualRate: loan.interestRate,
+      termMonths: loan.loanTerm,
+      interestMethod: loan.interestMethod,
+      repaymentFrequency: resolveFrequency(loan.repaymentFrequency),
+      startDate,
+      installments,
+      totals: this.calculateTotals(installments),
+      generatedBy: performedBy,
+      reason
+    });
+
+    // Keep the loan's denormalised payment fields in line with the schedule
+    this.syncLoanDueFields(loan, schedule);
+
+    if (performedBy && typeof loan.addAuditEntry === 'function') {
+      loan.addAuditEntry('calculation_updated', performedBy, {
+        previous: previous ? { scheduleVersion: previous.version } : undefined,
+        new: { scheduleVersion: schedule.version, installments: installments.length }
+      }, reason);
+    }
+
+    logger.info('Repayment schedule created', {
+      loanId: loan._id,
+      scheduleId: schedule._id,
+      version: schedule.version,
+      installments: installments.length
+    });
+
+    return schedule;
+  }
+
+  /**
+   * Replace the current schedule of a loan with revised installments. The
+   * current schedule is kept as history, including what was paid against it.
+   * @param {Object} current - Current schedule document
+   * @param {Array<Object>} installments - Revised installment rows
+   * @param {Object} options - Revision options
+   * @param {string} options.reason - Reason for the revision
+   * @param {string} [options.performedBy] - Staff ID revising the schedule
+   * @param {Object} [options.terms] - Terms that changed (principal, annualRate, termMonths, interestMethod, repaymentFrequency, startDate)
+   * @returns {Promise<Object>} New schedule document
+   */
+  async reviseSchedule(current, installments, { reason, performedBy, terms = {} }) {
+    current.isCurrent = false;
+    current.supersededAt = new Date();
+    await current.save();
+
+    const schedule = await RepaymentSchedule.create({
+      loanId: current.loanId,
+      version: current.version + 1,
+      isCurrent: true,
+      principal: terms.principal ?? current.principal,
+      annualRate: terms.annualRate ?? current.annualRate,
+      termMonths: terms.termMonths ?? current.termMonths,
+      interestMethod: terms.interestMethod ?? current.interestMethod,
+      repaymentFrequency: terms.repaymentFrequency ?? current.repaymentFrequency,
+      startDate: terms.startDate ?? current.startDate,
+      installments,
+      totals: this.calculateTotals(installments),
+      generatedBy: performedBy,
+      reason
+    });
+
+    logger.info('Repayment schedule revised', {
+      loanId: current.loanId,
+      scheduleId: schedule._id,
+      previousVersion: current.version,
+      version: schedule.version,
+      reason
+    });
+
+    return schedule;
+  }
+
+  /**
+   * Undo a revision whose follow-up failed: the revised schedule is
+   * superseded and the schedule it replaced becomes current again
+   * @param {Object} previous - Schedule the revision replaced
+   * @param {Object} revised - Schedule created by the revision
+   * @param {string} reason - Why the revision was undone
+   * @returns {Promise<Object>} The restored schedule
+   */
+  async restoreSchedule(previous, revised, reason) {
+    revised.isCurrent = false;
+    revised.supersededAt = new Date();
+    await revised.save();
+
+    previous.isCurrent = true;
+    previous.supersededAt = undefined;
+    await previous.save();
+
+    logger.warn('Repayment schedule revision undone', {
+      loanId: previous.loanId,
+      restoredVersion: previous.version,
+      revisedVersion: revised.version,
+      reason
+    });
+
+    return previous;
+  }
+
+  /**
+   * Set the loan's next payment date and days overdue from its schedule. The
+   * day-of-month due date is only kept for frequencies counted in months.
+   * @param {Object} loan - Loan document (not saved by this method)
+   * @param {Object} schedule - Schedule document with refreshed statuses
+   * @param {Date} [asOf=new Date()] - Date days overdue are counted to
+   * @returns {Object} The loan
+   */
+  syncLoanDueFields(loan, schedule, asOf = new Date()) {
+    const openInstallments = schedule.getOpenInstallments();
+    const nextDue = openInstallments.find(installment => installment.dueDate >= asOf) || null;
+    const oldestOverdue = openInstallments.find(installment => installment.dueDate < asOf);
+
+    loan.calculatedFields.nextPaymentDate = nextDue ? nextDue.dueDate : null;
+    loan.calculatedFields.daysOverdue = oldestOverdue
+      ? Math.floor((asOf - oldestOverdue.dueDate) / DAY_MS)
+      : 0;
+
+    const firstInstallment = schedule.installments[0];
+    if (firstInstallment) {
+      loan.monthlyInstallmentDueDate = FREQUENCY_PERIODS[resolveFrequency(schedule.repaymentFrequency)].months
+        ? firstInstallment.dueDate.getDate()
+        : undefined;
+    }
+
+    return loan;
+  }
+
+  /**
+   * Sum the amounts due across installments
+   * @param {Array<Object>} installments - Installment rows
+   * @returns {Object} Totals for principal, interest, fees, penalties and payable
+   */
+  calculateTotals(installments) {
+    const totals = installments.reduce((sum, installment) => ({
+      principal: sum.principal + (installment.principalDue || 0),
+      interest: sum.interest + (installment.interestDue || 0),
+      fees: sum.fees + (installment.feeDue || 0),
+      penalties: sum.penalties + (installment.penaltyDue || 0),
+      payable: sum.payable + (installment.totalDue || 0)
+    }), { principal: 0, interest: 0, fees: 0, penalties: 0, payable: 0 });
+
+    return {
+      principal: roundCurrency(totals.principal),
+      interest: roundCurrency(totals.interest),
+      fees: roundCurrency(totals.fees),
+      penalties: roundCurrency(totals.penalties),
+      payable: roundCurrency(totals.payable)
+    };
+  }
+
+  /**
+   * Get the current schedule of a loan with installment statuses refreshed
+   * @param {string} loanId - Loan ObjectId
+   * @param {Date} [asOf=new Date()] - Date used to flag overdue installments
+   * @returns {Promise<Object|null>} Schedule document or null
+   */
+  async getCurrentSchedule(loanId, asOf = new Date()) {
+    const schedule = await RepaymentSchedule.findCurrent(loanId);
+    if (!schedule) return null;
+
+    schedule.refreshStatuses(asOf);
+    if (schedule.isModified()) {
+      await schedule.save();
+    }
+
+    return schedule;
+  }
+
+  /**
+   * Format a schedule for API responses
+   * @param {Object} schedule - Schedule document
+   * @returns {Object} Schedule summary and rows
+   */
+  formatSchedule(schedule) {
+    const installments = schedule.installments.map(installment => ({
+      installmentNumber: installment.installmentNumber,
+      dueDate: installment.dueDate,
+      principal: installment.principalDue,
+      interest: installment.interestDue,
+      fee: installment.feeDue,
+      penalty: installment.penaltyDue,
+      totalDue: installment.totalDue,
+      amountPaid: installment.amountPaid,
+      outstanding: roundCurrency(Math.max(0, installment.outstanding)),
+      balance: installment.closingBalance,
+      status: installment.status,
+      paidAt: installment.paidAt
+    }));
+
+    const statusCounts = installments.reduce((counts, installment) => {
+      counts[installment.status] = (counts[installment.status] || 0) + 1;
+      return counts;
+    }, {});
+
+    const nextDue = schedule.getNextDueInstallment();
+
+    return {
+      scheduleId: schedule._id,
+      version: schedule.version,
+      interestMethod: schedule.interestMethod,
+      repaymentFrequency: resolveFrequency(schedule.repaymentFrequency),
+      startDate: schedule.startDate,
+      generatedAt: schedule.generatedAt,
+      totals: schedule.totals,
+      totalPaid: roundCurrency(schedule.totalPaid),
+      outstanding: roundCurrency(schedule.totalOutstanding),
+      nextDue: nextDue ? {
+        installmentNumber: nextDue.installmentNumber,
+        dueDate: nextDue.dueDate,
+        amount: roundCurrency(nextDue.outstanding)
+      } : null,
+      statusCounts,
+      installments
+    };
+  }
+}
+
+module.exports = new ScheduleService();
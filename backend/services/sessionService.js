@@ -0,0 +1,462 @@
+/**
+ * @fileoverview Session Service - Refresh token sessions with rotation and reuse detection
+ * @module services/sessionService
+ */
+
+const RefreshSession = require('../models/RefreshSession');
+const { AuthenticationError, NotFoundError } = require('../utils/customErrors');
+const { logger } = require('../utils/logger');
+
+// How long request authentication reuses a session check. A session revoked
+// through another server instance stays usable for at most this long.
+const ACTIVE_CHECK_TTL_MS = 30 * 1000;
+const MAX_ACTIVE_CHECKS = 10000;
+
+/**
+ * Mongo session store (default). Rotation is a conditional update, so two
+ * requests racing with the same refresh token cannot both succeed.
+ */
+class MongoSessionStore {
+  constructor() {
+    this.name = 'mongo';
+  }
+
+  async create(session) {
+    const created = await RefreshSession.create(session);
+    return created.toObject();
+  }
+
+  async find(sessionId) {
+    return RefreshSession.findOne({ sessionId }).lean();
+  }
+
+  async rotate(sessionId, expectedTokenId, changes) {
+    return RefreshSession.findOneAndUpdate(
+      { sessionId, status: 'active', currentTokenId: expectedTokenId },
+      { $set: changes, $inc: { rotationCount: 1 } },
+      { new: true }
+    ).lean();
+  }
+
+  async revoke(sessionId, reason) {
+    const result = await RefreshSession.updateOne(
+      { sessionId, status: 'active' },
+      { $set: { status: 'revoked', revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  async revokeUser(userId, reason) {
+    const result = await RefreshSession.updateMany(
+      { userId: userId.toString(), status: 'active' },
+      { $set: { status: 'revoked', revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount;
+  }
+
+  async listByUser(userId) {
+    return RefreshSession.find({
+      userId: userId.toString(),
+      status: 'active',
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 }).lean();
+  }
+
+  async cleanup() {
+    const result = await RefreshSession.deleteMany({ expiresAt: { $lte: new Date() } });
+    return result.deletedCount;
+  }
+
+  async stats() {
+    const [activeTokens, inactiveTokens] = await Promise.all([
+      RefreshSession.countDocuments({ status: 'active', expiresAt: { $gt: new Date() } }),
+      RefreshSession.countDocuments({ status: 'revoked' })
+    ]);
+    return { totalTokens: activeTokens + inactiveTokens, activeTokens, inactiveTokens };
+  }
+}
+
+/**
+ * Redis session store backed by cacheService. Sessions expire through Redis
+ * TTLs; each user has an index key listing their session ids.
+ */
+class CacheSessionStore {
+  constructor(cache) {
+    this.name = 'redis';
+    this.cache = cache;
+  }
+
+  sessionKey(sessionId) {
+    return `session:${sessionId}`;
+  }
+
+  userKey(userId) {
+    return `session:user:${userId}`;
+  }
+
+  ttlFor(session) {
+    return Math.max(1, Math.ceil((new Date(session.expiresAt) - Date.now()) / 1000));
+  }
+
+  async save(session) {
+    await this.cache.set(this.sessionKey(session.sessionId), session, this.ttlFor(session));
+    return session;
+  }
+
+  async create(session) {
+    const now = new Date();
+    const stored = {
+      rotationCount: 0,
+      status: 'active',
+      lastUsedAt: now,
+      createdAt: now,
+      ...session
+    };
+    await this.save(stored);
+
+    const sessionIds = (await this.cache.get(this.userKey(stored.userId))) || [];
+    sessionIds.push(stored.sessionId);
+    await this.cache.set(this.userKey(stored.userId), sessionIds, this.ttlFor(stored));
+
+    return stored;
+  }
+
+  async find(sessionId) {
+    return this.cache.get(this.sessionKey(sessionId));
+  }
+
+  async rotate(sessionId, expectedTokenId, changes) {
+    const session = await this.find(sessionId);
+    if (!session || session.status !== 'active' || session.currentTokenId !== expectedTokenId) {
+      return null;
+    }
+
+    return this.save({
+      ...session,
+      ...changes,
+      rotationCount: (session.rotationCount || 0) + 1
+    });
+  }
+
+  async revoke(sessionId, reason) {
+    const session = await this.find(sessionId);
+    if (!session || session.status !== 'active') {
+      return false;
+    }
+
+    // Revoked sessions are kept until expiry so reused tokens are still recognised
+    await this.save({ ...session, status: 'revoked', revokedAt: new Date(), revokedReason: reason });
+    return true;
+  }
+
+  async revokeUser(userId, reason) {
+    const sessionIds = (await this.cache.get(this.userKey(userId.toString()))) || [];
+    let revokedCount = 0;
+
+    for (const sessionId of sessionIds) {
+      if (await this.revoke(sessionId, reason)) {
+        revokedCount++;
+      }
+    }
+
+    return revokedCount;
+  }
+
+  async listByUser(userId) {
+    const key = this.userKey(userId.toString());
+    const sessionIds = (await this.cache.get(key)) || [];
+    const sessions = (await Promise.all(sessionIds.map((id) => this.find(id)))).filter(Boolean);
+
+    // Drop ids of expired sessions from the index
+    if (sessions.length !== sessionIds.length && sessions.length > 0) {
+      const latestExpiry = sessions.reduce((latest, session) => {
+        return new Date(session.expiresAt) > new Date(latest.expiresAt) ? session : latest;
+      });
+      await this.cache.set(key, sessions.map((s) => s.sessionId), this.ttlFor(latestExpiry));
+    }
+
+    return sessions
+      .filter((session) => session.status === 'active')
+      .sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt));
+  }
+
+  async cleanup() {
+    // Redis expires sessions by TTL
+    return 0;
+  }
+
+  async stats() {
+    return { store: this.name };
+  }
+}
+
+/**
+ * Session Service Class
+ * Tracks refresh token families per device. Set SESSION_STORE=redis to keep
+ * sessions in Redis; otherwise they are stored in MongoDB.
+ */
+class SessionService {
+  constructor() {
+    this.storeType = (process.env.SESSION_STORE || 'mongo').toLowerCase();
+    this.mongoStore = new MongoSessionStore();
+    this.cacheStore = null;
+    this.fallbackLogged = false;
+    // sessionId -> { active, userId, expiresAt } of recent checks
+    this.activeChecks = new Map();
+  }
+
+  /**
+   * Get the configured store. Falls back to MongoDB while Redis is not connected.
+   * @returns {Object} Session store
+   */
+  getStore() {
+    if (this.storeType !== 'redis') {
+      return this.mongoStore;
+    }
+
+    // Loaded on demand so the Mongo store works without the Redis client config
+    const cacheService = require('./cacheService');
+    if (cacheService.isConnected) {
+      this.cacheStore = this.cacheStore || new CacheSessionStore(cacheService);
+      return this.cacheStore;
+    }
+
+    if (!this.fallbackLogged) {
+      logger.warn('SESSION_STORE is redis but Redis is not connected, using MongoDB for sessions');
+      this.fallbackLogged = true;
+    }
+    return this.mongoStore;
+  }
+
+  /**
+   * Build the device details of a session from a request
+   * @param {Object} [req] - Express request object
+   * @returns {Object} Device details
+   */
+  getRequestContext(req) {
+    if (!req) {
+      return {};
+    }
+
+    return {
+      userAgent: req.get?.('User-Agent'),
+      ipAddress: req.ip,
+      deviceName: req.body?.deviceName || req.get?.('X-Device-Name')
+    };
+  }
+
+  /**
+   * Start a session for a newly issued refresh token
+   * @async
+   * @param {Object} params - Session details
+   * @param {string} params.sessionId - Session (token family) id
+   * @param {string} params.userId - User id
+   * @param {string} [params.userModel='Staff'] - 'Staff' or 'ClientUsers'
+   * @param {string} params.tokenId - Id (jti) of the issued refresh token
+   * @param {Date} params.expiresAt - Refresh token expiry
+   * @param {Object} [params.context={}] - Device details
+   * @returns {Promise<Object>} Created session
+   */
+  async createSession({ sessionId, userId, userModel = 'Staff', tokenId, expiresAt, context = {} }) {
+    return this.getStore().create({
+      sessionId,
+      userId: userId.toString(),
+      userModel,
+      currentTokenId: tokenId,
+      device: context,
+      expiresAt
+    });
+  }
+
+  /**
+   * Rotate a session to a new refresh token. Presenting any token but the
+   * latest one of the family is treated as theft and revokes the session.
+   * @async
+   * @param {string} sessionId - Session id from the refresh token
+   * @param {string} presentedTokenId - Id (jti) of the presented refresh token
+   * @param {Object} next - New token details
+   * @param {string} next.tokenId - Id (jti) of the new refresh token
+   * @param {Date} next.expiresAt - New refresh token expiry
+   * @param {Object} [next.context={}] - Device details
+   * @returns {Promise<Object>} Updated session
+   * @throws {AuthenticationError} When the session is unknown, revoked or the token was reused
+   */
+  async rotateSession(sessionId, presentedTokenId, { tokenId, expiresAt, context = {} }) {
+    const store = this.getStore();
+    const session = sessionId ? await store.find(sessionId) : null;
+
+    if (!session) {
+      throw new AuthenticationError('Refresh token not found or inactive');
+    }
+    if (session.status !== 'active') {
+      throw new AuthenticationError('Session has been revoked');
+    }
+
+    const changes = {
+      currentTokenId: tokenId,
+      expiresAt,
+      lastUsedAt: new Date(),
+      device: { ...session.device, ...(context.ipAddress && { ipAddress: context.ipAddress }) }
+    };
+    const rotated = session.currentTokenId === presentedTokenId
+      ? await store.rotate(sessionId, presentedTokenId, changes)
+      : null;
+
+    if (!rotated) {
+      await store.revoke(sessionId, 'token_reuse');
+      this.activeChecks.delete(sessionId);
+      logger.warn('Refresh token reuse detected, session revoked', {
+        sessionId,
+        userId: session.userId,
+        ipAddress: context.ipAddress
+      });
+      throw new AuthenticationError('Refresh token has already been used; session revoked');
+    }
+
+    return rotated;
+  }
+
+  /**
+   * Check that a session exists and is active
+   * @async
+   * @param {string} sessionId - Session id
+   * @returns {Promise<boolean>} True when active
+   */
+  async isSessionActive(sessionId) {
+    const session = sessionId ? await this.getStore().find(sessionId) : null;
+    return this.isActive(session);
+  }
+
+  /**
+   * Check the session of an access token. Results are reused for a short time
+   * so that every request does not hit the session store; revocations through
+   * this service take effect immediately.
+   * @async
+   * @param {string} sessionId - Session id (sid of the access token)
+   * @returns {Promise<boolean>} True when active
+   */
+  async isSessionActiveCached(sessionId) {
+    const cached = this.activeChecks.get(sessionId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.active;
+    }
+
+    const session = sessionId ? await this.getStore().find(sessionId) : null;
+    const active = this.isActive(session);
+
+    if (this.activeChecks.size >= MAX_ACTIVE_CHECKS) {
+      this.activeChecks.clear();
+    }
+    this.activeChecks.set(sessionId, {
+      active,
+      userId: session?.userId,
+      expiresAt: Date.now() + ACTIVE_CHECK_TTL_MS
+    });
+    return active;
+  }
+
+  /**
+   * Whether a stored session is active and not expired
+   * @param {Object|null} session - Stored session
+   * @returns {boolean} True when active
+   */
+  isActive(session) {
+    return !!session && session.status === 'active' && new Date(session.expiresAt) > new Date();
+  }
+
+  /**
+   * List the active sessions of a user
+   * @async
+   * @param {string} userId - User id
+   * @param {string} [currentSessionId] - Session of the caller, flagged as current
+   * @returns {Promise<Array>} Sessions, most recently used first
+   */
+  async listSessions(userId, currentSessionId = null) {
+    const sessions = await this.getStore().listByUser(userId);
+
+    return sessions.map((session) => ({
+      sessionId: session.sessionId,
+      device: session.device || {},
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session.sessionId === currentSessionId
+    }));
+  }
+
+  /**
+   * Revoke one session of a user
+   * @async
+   * @param {string} userId - Owner of the session
+   * @param {string} sessionId - Session id
+   * @param {string} [reason='user_revoked'] - Revocation reason
+   * @returns {Promise<boolean>} True when revoked
+   * @throws {NotFoundError} When the user has no such active session
+   */
+  async revokeSession(userId, sessionId, reason = 'user_revoked') {
+    const store = this.getStore();
+    const session = await store.find(sessionId);
+
+    if (!session || session.userId !== userId.toString() || session.status !== 'active') {
+      throw new NotFoundError('Session', sessionId);
+    }
+
+    const revoked = await store.revoke(sessionId, reason);
+    this.activeChecks.delete(sessionId);
+    return revoked;
+  }
+
+  /**
+   * Revoke a session without an ownership check (logout with a refresh token)
+   * @async
+   * @param {string} sessionId - Session id
+   * @param {string} [reason='logout'] - Revocation reason
+   * @returns {Promise<boolean>} True when revoked
+   */
+  async endSession(sessionId, reason = 'logout') {
+    if (!sessionId) {
+      return false;
+    }
+
+    const revoked = await this.getStore().revoke(sessionId, reason);
+    this.activeChecks.delete(sessionId);
+    return revoked;
+  }
+
+  /**
+   * Revoke all sessions of a user
+   * @async
+   * @param {string} userId - User id
+   * @param {string} [reason='logout_all'] - Revocation reason
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeUserSessions(userId, reason = 'logout_all') {
+    const revoked = await this.getStore().revokeUser(userId, reason);
+    for (const [sessionId, check] of this.activeChecks) {
+      if (check.userId === userId.toString()) {
+        this.activeChecks.delete(sessionId);
+      }
+    }
+    return revoked;
+  }
+
+  /**
+   * Remove expired sessions
+   * @async
+   * @returns {Promise<number>} Number of sessions removed
+   */
+  async cleanupExpired() {
+    return this.getStore().cleanup();
+  }
+
+  /**
+   * Get session statistics
+   * @async
+   * @returns {Promise<Object>} Statistics
+   */
+  async getStats() {
+    return this.getStore().stats();
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,407 @@
+const Loan = require('../models/Loan');
+const Client = require('../models/Client');
+const Payment = require('../models/Payment');
+const scheduleService = require('./scheduleService');
+const paymentAllocationService = require('./paymentAllocationService');
+const agreementService = require('./agreementService');
+const { roundCurrency } = require('../utils/interestCalculator');
+const { AppError, BusinessRuleError, ConflictError } = require('../utils/customErrors');
+const { logger } = require('../utils/logger');
+
+/**
+ * Settlement rule used when a loan's region has none configured. Matches the
+ * prepayment clause printed on loan agreements.
+ */
+const DEFAULT_SETTLEMENT_RULE = {
+  lockInMonths: 6,
+  prepaymentPenaltyRate: 2
+};
+
+// A settlement claim older than this is treated as abandoned
+const SETTLEMENT_LEASE_MS = 10 * 60 * 1000;
+
+/**
+ * Settlement Service
+ * Payoff quotes and early settlement of active loans
+ */
+class SettlementService {
+  /**
+   * Resolve the early settlement rule for a loan. A product rule of the loan's
+   * region wins over the region rule, which wins over the default rule.
+   * @param {Object} loan - Loan document
+   * @param {Object} [region] - Region document (uses loan.region when populated)
+   * @returns {Object} Rule with lockInMonths, prepaymentPenaltyRate and source
+   */
+  resolveSettlementRule(loan, region = loan.region) {
+    const regionRule = region?.configuration?.earlySettlement;
+    const productRule = regionRule?.productRules?.find(rule => rule.product === loan.product);
+
+    const pick = (field) => {
+      if (productRule && productRule[field] != null) return productRule[field];
+      if (regionRule && regionRule[field] != null) return regionRule[field];
+      return DEFAULT_SETTLEMENT_RULE[field];
+    };
+
+    return {
+      lockInMonths: pick('lockInMonths'),
+      prepaymentPenaltyRate: pick('prepaymentPenaltyRate'),
+      source: productRule ? 'product' : regionRule ? 'region' : 'default'
+    };
+  }
+
+  /**
+   * Count whole months between two dates
+   * @param {Date} from - Start date
+   * @param {Date} to - End date
+   * @returns {number} Whole months elapsed
+   */
+  monthsBetween(from, to) {
+    let months = (to.getFullYear() - from.getFullYear()) * 12 + (to.getMonth() - from.getMonth());
+    if (to.getDate() < from.getDate()) months--;
+    return Math.max(0, months);
+  }
+
+  /**
+   * Calculate what it takes to settle a schedule on a given date. Interest is
+   * charged for installments already due plus the elapsed part of the current
+   * period; interest and fees of later periods are not charged.
+   * @param {Object} schedule - Current RepaymentSchedule document
+   * @param {Object} rule - Early settlement rule
+   * @param {Date} [asOf=new Date()] - Settlement date
+   * @returns {Object} Payoff breakdown with per-installment settlement amounts
+   */
+  calculatePayoff(schedule, rule, asOf = new Date()) {
+    const installments = [...schedule.installments].sort((a, b) => a.installmentNumber - b.installmentNumber);
+
+    let outstandingPrincipal = 0;
+    let accruedInterest = 0;
+    let unpaidFees = 0;
+    let unpaidPenalties = 0;
+    let interestRebate = 0;
+    let waivedFees = 0;
+    let periodStart = schedule.startDate;
+
+    const lines = installments.map((installment) => {
+      const dueDate = installment.dueDate;
+      const principalOwed = roundCurrency(installment.principalDue - installment.principalPaid);
+      const scheduledInterest = roundCurrency(installment.interestDue - installment.interestPaid);
+      const scheduledFee = roundCurrency(installment.feeDue - installment.feePaid);
+
+      let interestOwed;
+      let feeOwed;
+
+      if (dueDate <= asOf) {
+        interestOwed = scheduledInterest;
+        feeOwed = scheduledFee;
+      } else {
+        const periodLength = dueDate - periodStart;
+        const elapsed = Math.max(0, asOf - periodStart);
+        const earned = periodLength > 0 ? installment.interestDue * Math.min(1, elapsed / periodLength) : 0;
+        interestOwed = roundCurrency(Math.max(0, earned - installment.interestPaid));
+        feeOwed = 0;
+      }
+
+      const penaltyOwed = roundCurrency((installment.penaltyDue || 0) - (installment.penaltyPaid || 0));
+
+      outstandingPrincipal += Math.max(0, principalOwed);
+      accruedInterest += Math.max(0, interestOwed);
+      unpaidFees += Math.max(0, feeOwed);
+      unpaidPenalties += Math.max(0, penaltyOwed);
+      interestRebate += Math.max(0, scheduledInterest - interestOwed);
+      waivedFees += Math.max(0, scheduledFee - feeOwed);
+
+      periodStart = dueDate;
+
+      return {
+        installmentNumber: installment.installmentNumber,
+        principal: Math.max(0, principalOwed),
+        interest: Math.max(0, interestOwed),
+        fee: Math.max(0, feeOwed)
+      };
+    });
+
+    const monthsElapsed = this.monthsBetween(schedule.startDate, asOf);
+    const withinLockIn = monthsElapsed < rule.lockInMonths;
+    const prepaymentPenalty = withinLockIn && outstandingPrincipal > 0
+      ? roundCurrency(outstandingPrincipal * rule.prepaymentPenaltyRate / 100)
+      : 0;
+
+    const breakdown = {
+      outstandingPrincipal: roundCurrency(outstandingPrincipal),
+      accruedInterest: roundCurrency(accruedInterest),
+      unpaidFees: roundCurrency(unpaidFees),
+      unpaidPenalties: roundCurrency(unpaidPenalties),
+      prepaymentPenalty,
+      interestRebate: roundCurrency(interestRebate),
+      waivedFees: roundCurrency(waivedFees)
+    };
+
+    breakdown.totalPayoff = roundCurrency(
+      breakdown.outstandingPrincipal +
+      breakdown.accruedInterest +
+      breakdown.unpaidFees +
+      breakdown.unpaidPenalties +
+      breakdown.prepaymentPenalty
+    );
+
+    return {
+      ...breakdown,
+      monthsElapsed,
+      withinLockIn,
+      lines
+    };
+  }
+
+  /**
+   * Build a payoff quote for a loan
+   * @param {Object} loan - Loan document with region populated
+   * @param {Date} [asOf=new Date()] - Quote date
+   * @returns {Promise<Object>} Payoff quote
+   */
+  async getPayoffQuote(loan, asOf = new Date()) {
+    if (loan.loanStatus !== 'Active') {
+      throw new BusinessRuleError('Payoff quotes are only available for active loans', 'LOAN_NOT_ACTIVE', {
+        loanStatus: loan.loanStatus
+      });
+    }
+
+    const schedule = await scheduleService.getCurrentSchedule(loan._id, asOf);
+    if (!schedule) {
+      throw new AppError('Loan has no repayment schedule', 404, 'SCHEDULE_NOT_FOUND');
+    }
+
+    const rule = this.resolveSettlementRule(loan);
+    const { lines, ...payoff } = this.calculatePayoff(schedule, rule, asOf);
+
+    const validUntil = new Date(asOf);
+    validUntil.setHours(23, 59, 59, 999);
+
+    return {
+      loanId: loan._id,
+      loanApplicationId: loan.loanApplicationId,
+      asOf,
+      validUntil,
+      scheduleVersion: schedule.version,
+      ...payoff,
+      rule
+    };
+  }
+
+  /**
+   * Claim an active loan for settlement so that concurrent settlements of
+   * the same loan cannot both revise its schedule
+   * @param {Object} loan - Loan document
+   * @returns {Promise<void>}
+   * @throws {ConflictError} When the loan is being settled or no longer active
+   */
+  async claimSettlement(loan) {
+    const now = new Date();
+    const result = await Loan.updateOne(
+      {
+        _id: loan._id,
+        loanStatus: 'Active',
+        settlementClaimedAt: { $not: { $gt: new Date(now.getTime() - SETTLEMENT_LEASE_MS) } }
+      },
+      { $set: { settlementClaimedAt: now } }
+    );
+
+    if (result.modifiedCount !== 1) {
+      throw new ConflictError('Loan is already being settled', 'loanStatus');
+    }
+  }
+
+  /**
+   * Settle an active loan in full. Records and verifies the final payment
+   * against a settlement version of the schedule, closes the loan and
+   * produces a settlement letter.
+   * @param {string} loanId - Loan ObjectId
+   * @param {Object} paymentData - Final payment details
+   * @param {number} paymentData.paymentAmount - Amount received
+   * @param {Date} [paymentData.paymentDate=new Date()] - Date the amount was received
+   * @param {string} paymentData.paymentMethod - Payment method
+   * @param {string} [paymentData.referenceNumber] - Payment reference
+   * @param {string} [paymentData.notes] - Notes
+   * @param {string} staffId - Staff ID settling the loan
+   * @returns {Promise<Object>} Closed loan, payment, quote and settlement letter
+   */
+  async settleLoan(loanId, paymentData, staffId) {
+    const loan = await Loan.findById(loanId).populate('region', 'name configuration.earlySettlement');
+    if (!loan) {
+      throw new AppError('Loan not found', 404, 'LOAN_NOT_FOUND');
+    }
+
+    const paymentDate = paymentData.paymentDate ? new Date(paymentData.paymentDate) : new Date();
+    const quote = await this.getPayoffQuote(loan, paymentDate);
+
+    if (paymentData.paymentAmount + 0.005 < quote.totalPayoff) {
+      throw new BusinessRuleError(
+        `Settlement amount is below the payoff amount of ${quote.totalPayoff}`,
+        'INSUFFICIENT_SETTLEMENT_AMOUNT',
+        { paymentAmount: paymentData.paymentAmount, totalPayoff: quote.totalPayoff }
+      );
+    }
+
+    await this.claimSettlement(loan);
+
+    // Replace the schedule with one that only asks for the payoff amounts, so
+    // the final payment clears every installment through normal allocation
+    const current = await scheduleService.getCurrentSchedule(loan._id, paymentDate);
+    const { lines } = this.calculatePayoff(current, quote.rule, paymentDate);
+    const linesByNumber = new Map(lines.map(line => [line.installmentNumber, line]));
+    let prepaymentPenalty = quote.prepaymentPenalty;
+
+    const installments = current.installments.map((installment) => {
+      const line = linesByNumber.get(installment.installmentNumber);
+      const row = installment.toObject();
+      delete row._id;
+
+      row.interestDue = roundCurrency(installment.interestPaid + line.interest);
+      row.feeDue = roundCurrency(installment.feePaid + line.fee);
+      row.totalDue = roundCurrency(row.principalDue + row.interestDue + row.feeDue);
+
+      if (prepaymentPenalty > 0 && row.totalDue + row.penaltyDue - row.amountPaid > 0.005) {
+        row.penaltyDue = roundCurrency(row.penaltyDue + prepaymentPenalty);
+        prepaymentPenalty = 0;
+      }
+
+      return row;
+    });
+
+    let revised = null;
+    let payment = null;
+    let verification;
+    try {
+      revised = await scheduleService.reviseSchedule(current, installments, {
+        reason: 'Early settlement',
+        performedBy: staffId
+      });
+
+      payment = await Payment.create({
+        loanId: loan._id,
+        clientId: loan.clientUserId,
+        paymentAmount: paymentData.paymentAmount,
+        paymentDate,
+        paymentMethod: paymentData.paymentMethod,
+        referenceNumber: paymentData.referenceNumber,
+        notes: paymentData.notes || 'Early settlement'
+      });
+
+      verification = await paymentAllocationService.verifyPayment(payment._id, staffId, {
+        notes: 'Early settlement payment'
+      });
+    } catch (error) {
+      await this.abandonSettlement(loan, { current, revised, payment, staffId, error });
+      throw error;
+    }
+
+    // verifyPayment saved its own copy of the loan, continue from that one
+    const settledLoan = verification.loan;
+    const previousStatus = settledLoan.loanStatus;
+
+    settledLoan.loanStatus = 'Completed';
+    settledLoan.loanClosure = {
+      closureDate: paymentDate,
+      closureReason: 'Early settlement',
+      finalAmount: paymentData.paymentAmount,
+      closureType: 'early_settlement',
+      closedBy: staffId,
+      settlementPayment: payment._id,
+      settlementBreakdown: {
+        outstandingPrincipal: quote.outstandingPrincipal,
+        accruedInterest: quote.accruedInterest,
+        unpaidFees: quote.unpaidFees,
+        unpaidPenalties: quote.unpaidPenalties,
+        prepaymentPenalty: quote.prepaymentPenalty,
+        interestRebate: quote.interestRebate,
+        waivedFees: quote.waivedFees,
+        totalPayoff: quote.totalPayoff,
+        excess: verification.allocation?.excess || 0
+      }
+    };
+    settledLoan.calculatedFields.daysOverdue = 0;
+    settledLoan.settlementClaimedAt = undefined;
+
+    settledLoan.addAuditEntry('status_changed', staffId, {
+      previous: { loanStatus: previousStatus },
+      new: { loanStatus: 'Completed' }
+    }, `Loan settled early for ${paymentData.paymentAmount}`);
+    settledLoan.advanceWorkflowStage('closed', staffId, 'Loan settled early');
+
+    await settledLoan.save();
+
+    let settlementLetter = null;
+    try {
+      const client = await Client.findById(settledLoan.clientUserId);
+      settlementLetter = await agreementService.generateSettlementLetter(settledLoan, client, {
+        quote,
+        payment: verification.payment
+      });
+
+      settledLoan.loanClosure.settlementLetterId = settlementLetter.letterId;
+      settledLoan.loanClosure.settlementLetterUrl = settlementLetter.letterUrl;
+      await settledLoan.save();
+    } catch (error) {
+      // The settlement stands; the letter can be produced again later
+      logger.error('Settlement letter generation failed', error, { loanId: settledLoan._id });
+    }
+
+    logger.info('Loan settled early', {
+      loanId: settledLoan._id,
+      paymentId: payment.paymentId,
+      totalPayoff: quote.totalPayoff,
+      paymentAmount: paymentData.paymentAmount,
+      settledBy: staffId
+    });
+
+    return {
+      loan: settledLoan,
+      payment: verification.payment,
+      quote,
+      settlementLetter
+    };
+  }
+
+  /**
+   * Put a loan back as it was after a settlement failed before its payment
+   * was verified: the previous schedule becomes current again, the settlement
+   * payment is rejected and the loan is released for another attempt. Once the
+   * payment is verified nothing is undone.
+   * @param {Object} loan - Loan document
+   * @param {Object} state - What the settlement had done
+   * @param {Object} state.current - Schedule before the settlement
+   * @param {Object} [state.revised] - Settlement schedule, when created
+   * @param {Object} [state.payment] - Settlement payment, when created
+   * @param {string} state.staffId - Staff ID settling the loan
+   * @param {Error} state.error - Failure that stopped the settlement
+   * @returns {Promise<void>}
+   */
+  async abandonSettlement(loan, { current, revised, payment, staffId, error }) {
+    try {
+      const stored = payment ? await Payment.findById(payment._id) : null;
+      if (stored?.status === 'verified') {
+        // The money is allocated to the settlement schedule; that stands
+        logger.error('Settlement payment verified but the loan was not closed', error, {
+          loanId: loan._id,
+          paymentId: stored.paymentId
+        });
+        return;
+      }
+
+      if (revised) {
+        await scheduleService.restoreSchedule(current, revised, 'Early settlement failed');
+      }
+      if (stored) {
+        await stored.reject(staffId, `Early settlement failed: ${error.message}`);
+      }
+      await Loan.updateOne({ _id: loan._id }, { $unset: { settlementClaimedAt: 1 } });
+    } catch (restoreError) {
+      // The claim stays until it expires so the loan is not settled again meanwhile
+      logger.error('Failed to undo an early settlement', restoreError, {
+        loanId: loan._id,
+        settlementError: error.message
+      });
+    }
+  }
+}
+
+module.exports = new SettlementService();
@@ -0,0 +1,486 @@
+/**
+ * @fileoverview Two-Factor Service - TOTP enrolment, login verification and recovery codes for staff
+ * @module services/twoFactorService
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Staff = require('../models/Staff');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const sessionService = require('./sessionService');
+const { generateSecret, verifyTotp, buildOtpAuthUri } = require('../utils/totp');
+const {
+  AuthenticationError,
+  BusinessRuleError,
+  ConflictError,
+  NotFoundError,
+  ValidationError
+} = require('../utils/customErrors');
+const { logger } = require('../utils/logger');
+
+const CHALLENGE_TYPE = 'two_factor_challenge';
+const CHALLENGE_AUDIENCE = 'paysync-2fa';
+
+const SECRET_FIELDS = [
+  '+security.twoFactorSecret',
+  '+security.twoFactorPendingSecret',
+  '+security.twoFactorLastStep',
+  '+security.twoFactorRecoveryCodes'
+].join(' ');
+
+/**
+ * Two-Factor Service Class
+ * Login becomes two steps for staff with 2FA: the password step returns a
+ * short-lived challenge token, which is exchanged for tokens with a TOTP or
+ * recovery code. Staff in roles that require 2FA but have not enrolled get an
+ * enrolment challenge instead.
+ */
+class TwoFactorService {
+  constructor() {
+    this.issuer = process.env.TWO_FACTOR_ISSUER || 'PaySync';
+    this.challengeExpiresIn = process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m';
+    this.recoveryCodeCount = 10;
+  }
+
+  /**
+   * Get the key used to encrypt TOTP secrets at rest
+   * @returns {Buffer} 256-bit key
+   */
+  getEncryptionKey() {
+    const source = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    return crypto.createHash('sha256').update(String(source)).digest();
+  }
+
+  /**
+   * Encrypt a TOTP secret
+   * @param {string} secret - Base32 secret
+   * @returns {string} iv:tag:ciphertext, base64 encoded
+   */
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join(':');
+  }
+
+  /**
+   * Decrypt a TOTP secret
+   * @param {string} payload - Value produced by encryptSecret
+   * @returns {string} Base32 secret
+   */
+  decryptSecret(payload) {
+    const [iv, tag, encrypted] = payload.split(':').map((part) => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Hash a recovery code for storage
+   * @param {string} code - Recovery code
+   * @returns {string} SHA-256 hex digest
+   */
+  hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Generate a new set of recovery codes
+   * @returns {{codes: string[], hashes: Array<{codeHash: string}>}} Plain codes and stored hashes
+   */
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: this.recoveryCodeCount }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return {
+      codes,
+      hashes: codes.map((code) => ({ codeHash: this.hashRecoveryCode(code) }))
+    };
+  }
+
+  // Policy
+
+  /**
+   * Get the roles that require 2FA
+   * @async
+   * @returns {Promise<string[]>} Role names
+   */
+  async getRequiredRoles() {
+    const policy = await SecurityPolicy.getPolicy();
+    return policy.twoFactorRequiredRoles;
+  }
+
+  /**
+   * Check whether a role requires 2FA
+   * @async
+   * @param {string} role - Staff role
+   * @returns {Promise<boolean>} True when required
+   */
+  async isRequiredForRole(role) {
+    const roles = await this.getRequiredRoles();
+    return roles.includes(role);
+  }
+
+  /**
+   * Set the roles that require 2FA
+   * @async
+   * @param {string[]} roles - Role names
+   * @param {string} updatedBy - Staff id of the admin
+   * @returns {Promise<Object>} Updated policy
+   * @throws {ValidationError} When a role is unknown
+   */
+  async updateRequiredRoles(roles, updatedBy) {
+    const unknown = roles.filter((role) => !SecurityPolicy.STAFF_ROLES.includes(role));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown roles: ${unknown.join(', ')}`, 'requiredRoles', unknown);
+    }
+
+    const policy = await SecurityPolicy.getPolicy();
+    policy.twoFactorRequiredRoles = [...new Set(roles)];
+    policy.updatedBy = updatedBy;
+    await policy.save();
+
+    logger.info('Two-factor policy updated', { requiredRoles: policy.twoFactorRequiredRoles, updatedBy });
+    return policy;
+  }
+
+  // Challenges
+
+  /**
+   * Decide whether a password login needs a second step
+   * @async
+   * @param {Object} user - Staff document
+   * @returns {Promise<string|null>} 'verify', 'enrol' or null when no second step is needed
+   */
+  async getLoginStep(user) {
+    if (user.security?.twoFactorEnabled) {
+      return 'verify';
+    }
+    return (await this.isRequiredForRole(user.role)) ? 'enrol' : null;
+  }
+
+  /**
+   * Create a short-lived challenge token for the second login step
+   * @param {Object} user - Staff document
+   * @param {string} purpose - 'verify' or 'enrol'
+   * @returns {string} Challenge token
+   */
+  createChallenge(user, purpose) {
+    return jwt.sign(
+      { userId: user._id, role: user.role, purpose, type: CHALLENGE_TYPE },
+      process.env.JWT_SECRET,
+      { expiresIn: this.challengeExpiresIn, issuer: 'paysync-backend', audience: CHALLENGE_AUDIENCE }
+    );
+  }
+
+  /**
+   * Verify a challenge token
+   * @param {string} token - Challenge token
+   * @param {string} purpose - Expected purpose
+   * @returns {Object} Decoded challenge
+   * @throws {AuthenticationError} When the token is invalid, expired or for another purpose
+   */
+  verifyChallenge(token, purpose) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+        issuer: 'paysync-backend',
+        audience: CHALLENGE_AUDIENCE
+      });
+      if (decoded.type !== CHALLENGE_TYPE || decoded.purpose !== purpose) {
+        throw new Error('Wrong challenge purpose');
+      }
+      return decoded;
+    } catch (error) {
+      throw new AuthenticationError('Invalid or expired two-factor challenge');
+    }
+  }
+
+  // Enrolment
+
+  /**
+   * Load a staff member with the 2FA secret fields
+   * @async
+   * @param {string} staffId - Staff id
+   * @returns {Promise<Object>} Staff document
+   * @throws {NotFoundError} When the staff member does not exist
+   */
+  async loadStaff(staffId) {
+    const staff = await Staff.findById(staffId).select(SECRET_FIELDS);
+    if (!staff) {
+      throw new NotFoundError('Staff', staffId);
+    }
+    return staff;
+  }
+
+  /**
+   * Start enrolment: generate a secret and the otpauth URI to show as a QR code.
+   * The secret is only activated by confirmEnrolment.
+   * @async
+   * @param {string} staffId - Staff id
+   * @returns {Promise<Object>} Secret, otpauth URI and issuer
+   * @throws {ConflictError} When 2FA is already enabled
+   */
+  async beginEnrolment(staffId) {
+    const staff = await this.loadStaff(staffId);
+    if (staff.security?.twoFactorEnabled) {
+      throw new ConflictError('Two-factor authentication is already enabled', 'security.twoFactorEnabled');
+    }
+
+    const secret = generateSecret();
+    staff.security.twoFactorPendingSecret = this.encryptSecret(secret);
+    await staff.save();
+
+    return {
+      secret,
+      otpauthUri: buildOtpAuthUri(secret, staff.email, this.issuer),
+      issuer: this.issuer,
+      accountName: staff.email
+    };
+  }
+
+  /**
+   * Confirm enrolment with a code from the authenticator app
+   * @async
+   * @param {string} staffId - Staff id
+   * @param {string} code - TOTP code
+   * @param {Object} [context={}] - ipAddress and userAgent for the audit trail
+   * @returns {Promise<{staff: Object, recoveryCodes: string[]}>} Staff and one-time recovery codes
+   * @throws {BusinessRuleError} When enrolment was not started
+   * @throws {AuthenticationError} When the code is invalid
+   */
+  async confirmEnrolment(staffId, code, context = {}) {
+    const staff = await this.loadStaff(staffId);
+    if (staff.security?.twoFactorEnabled) {
+      throw new ConflictError('Two-factor authentication is already enabled', 'security.twoFactorEnabled');
+    }
+    if (!staff.security?.twoFactorPendingSecret) {
+      throw new BusinessRuleError('Two-factor setup has not been started', 'TWO_FACTOR_SETUP_REQUIRED');
+    }
+
+    const secret = this.decryptSecret(staff.security.twoFactorPendingSecret);
+    const step = verifyTotp(secret, code);
+    if (step === null) {
+      throw new AuthenticationError('Invalid two-factor code');
+    }
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+    staff.security.twoFactorSecret = staff.security.twoFactorPendingSecret;
+    staff.security.twoFactorPendingSecret = undefined;
+    staff.security.twoFactorEnabled = true;
+    staff.security.twoFactorEnabledAt = new Date();
+    staff.security.twoFactorLastStep = step;
+    staff.security.twoFactorRecoveryCodes = hashes;
+    staff.addAuditEntry('two_factor_enabled', staff._id, {}, context.ipAddress, context.userAgent);
+    await staff.save();
+
+    logger.info('Two-factor authentication enabled', { staffId: staff._id.toString() });
+    return { staff, recoveryCodes: codes };
+  }
+
+  // Verification
+
+  /**
+   * Check a TOTP or recovery code against a loaded staff document. Used
+   * codes are recorded on the document; the caller saves it.
+   * @param {Object} staff - Staff document loaded with loadStaff
+   * @param {Object} credentials - code or recoveryCode
+   * @returns {string|null} 'totp' or 'recovery_code' when valid, otherwise null
+   */
+  checkCode(staff, { code, recoveryCode }) {
+    if (code) {
+      const step = verifyTotp(this.decryptSecret(staff.security.twoFactorSecret), code);
+      // A code is accepted once, even within its validity window
+      if (step === null || step <= (staff.security.twoFactorLastStep ?? -1)) {
+        return null;
+      }
+      staff.security.twoFactorLastStep = step;
+      return 'totp';
+    }
+
+    if (recoveryCode) {
+      const codeHash = this.hashRecoveryCode(recoveryCode);
+      const match = (staff.security.twoFactorRecoveryCodes || [])
+        .find((entry) => !entry.usedAt && entry.codeHash === codeHash);
+      if (!match) {
+        return null;
+      }
+      match.usedAt = new Date();
+      return 'recovery_code';
+    }
+
+    return null;
+  }
+
+  /**
+   * Verify the second step of a login. Failed codes count as failed logins
+   * and lock the account after five attempts.
+   * @async
+   * @param {string} staffId - Staff id from the challenge
+   * @param {Object} credentials - code or recoveryCode
+   * @param {Object} [context={}] - ipAddress and userAgent for the audit trail
+   * @returns {Promise<Object>} method used and recovery codes remaining
+   * @throws {AuthenticationError} When the account is locked or the code is invalid
+   */
+  async verifyLogin(staffId, credentials, context = {}) {
+    const staff = await this.loadStaff(staffId);
+
+    if (!staff.security?.twoFactorEnabled) {
+      throw new AuthenticationError('Two-factor authentication is not enabled for this account');
+    }
+    if (staff.lockUntil && staff.lockUntil > new Date()) {
+      throw new AuthenticationError('Account is temporarily locked. Try again later', staff.loginAttempts);
+    }
+
+    const method = this.checkCode(staff, credentials);
+    if (!method) {
+      staff.recordFailedLogin();
+      await staff.save();
+      logger.warn('Invalid two-factor code', { staffId: staff._id.toString(), attempts: staff.loginAttempts });
+      throw new AuthenticationError('Invalid two-factor code', staff.loginAttempts);
+    }
+
+    staff.loginAttempts = 0;
+    if (method === 'recovery_code') {
+      staff.addAuditEntry('two_factor_recovery_used', staff._id, {}, context.ipAddress, context.userAgent);
+    }
+    await staff.save();
+
+    return {
+      method,
+      recoveryCodesRemaining: this.countRemainingCodes(staff)
+    };
+  }
+
+  /**
+   * Verify a TOTP or recovery code of a signed-in staff member
+   * @async
+   * @param {Object} staff - Staff document loaded with loadStaff
+   * @param {Object} credentials - code or recoveryCode
+   * @throws {BusinessRuleError} When 2FA is not enabled
+   * @throws {AuthenticationError} When the code is invalid
+   */
+  async requireValidCode(staff, credentials) {
+    if (!staff.security?.twoFactorEnabled) {
+      throw new BusinessRuleError('Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED');
+    }
+    if (!this.checkCode(staff, credentials)) {
+      throw new AuthenticationError('Invalid two-factor code');
+    }
+  }
+
+  /**
+   * Count unused recovery codes
+   * @param {Object} staff - Staff document loaded with loadStaff
+   * @returns {number} Unused codes
+   */
+  countRemainingCodes(staff) {
+    return (staff.security.twoFactorRecoveryCodes || []).filter((entry) => !entry.usedAt).length;
+  }
+
+  // Management
+
+  /**
+   * Get the 2FA status of a staff member
+   * @async
+   * @param {string} staffId - Staff id
+   * @returns {Promise<Object>} Status
+   */
+  async getStatus(staffId) {
+    const staff = await this.loadStaff(staffId);
+
+    return {
+      enabled: !!staff.security?.twoFactorEnabled,
+      enabledAt: staff.security?.twoFactorEnabledAt || null,
+      required: await this.isRequiredForRole(staff.role),
+      setupPending: !staff.security?.twoFactorEnabled && !!staff.security?.twoFactorPendingSecret,
+      recoveryCodesRemaining: staff.security?.twoFactorEnabled ? this.countRemainingCodes(staff) : 0
+    };
+  }
+
+  /**
+   * Replace the recovery codes of a staff member
+   * @async
+   * @param {string} staffId - Staff id
+   * @param {Object} credentials - Current TOTP code
+   * @returns {Promise<string[]>} New recovery codes
+   */
+  async regenerateRecoveryCodes(staffId, credentials) {
+    const staff = await this.loadStaff(staffId);
+    await this.requireValidCode(staff, { code: credentials.code });
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+    staff.security.twoFactorRecoveryCodes = hashes;
+    staff.addAuditEntry('two_factor_recovery_regenerated', staff._id);
+    await staff.save();
+
+    return codes;
+  }
+
+  /**
+   * Turn off 2FA for a staff member. Not allowed when their role requires it.
+   * @async
+   * @param {string} staffId - Staff id
+   * @param {Object} credentials - Current TOTP or recovery code
+   * @returns {Promise<void>}
+   * @throws {BusinessRuleError} When the role requires 2FA
+   */
+  async disable(staffId, credentials) {
+    const staff = await this.loadStaff(staffId);
+
+    if (await this.isRequiredForRole(staff.role)) {
+      throw new BusinessRuleError(
+        `Two-factor authentication is required for the ${staff.role} role`,
+        'TWO_FACTOR_REQUIRED',
+        { role: staff.role }
+      );
+    }
+
+    await this.requireValidCode(staff, credentials);
+    this.clearTwoFactor(staff);
+    staff.addAuditEntry('two_factor_disabled', staff._id);
+    await staff.save();
+  }
+
+  /**
+   * Reset 2FA for a staff member who lost their device. All their sessions
+   * are revoked; they enrol again at their next login if their role requires it.
+   * @async
+   * @param {string} staffId - Staff id
+   * @param {string} performedBy - Staff id of the admin
+   * @returns {Promise<Object>} Staff document
+   */
+  async reset(staffId, performedBy) {
+    const staff = await this.loadStaff(staffId);
+
+    this.clearTwoFactor(staff);
+    staff.addAuditEntry('two_factor_reset', performedBy);
+    await staff.save();
+    await sessionService.revokeUserSessions(staff._id, 'two_factor_reset');
+
+    logger.warn('Two-factor authentication reset by admin', {
+      staffId: staff._id.toString(),
+      performedBy: performedBy?.toString()
+    });
+    return staff;
+  }
+
+  /**
+   * Remove all 2FA settings from a staff document (caller saves it)
+   * @param {Object} staff - Staff document loaded with loadStaff
+   */
+  clearTwoFactor(staff) {
+    staff.security.twoFactorEnabled = false;
+    staff.security.twoFactorEnabledAt = undefined;
+    staff.security.twoFactorSecret = undefined;
+    staff.security.twoFactorPendingSecret = undefined;
+    staff.security.twoFactorLastStep = undefined;
+    staff.security.twoFactorRecoveryCodes = [];
+  }
+}
+
+module.exports = new TwoFactorService();
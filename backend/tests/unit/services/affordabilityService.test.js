@@ -0,0 +1,97 @@
+/**
+ * Unit Tests for Affordability Service
+ * @fileoverview Tests for debt-to-income checks and affordable loan suggestions
+ */
+
+const affordabilityService = require('../../../services/affordabilityService');
+const Loan = require('../../../models/Loan');
+const { calculateInstallment } = require('../../../utils/interestCalculator');
+
+describe('Affordability Service', () => {
+  const region = {
+    configuration: {
+      maxLoanTerm: 60,
+      maxLoanAmount: 10000000,
+      affordability: {
+        maxDebtToIncome: 40,
+        productRules: [{ product: 'Business Loan', maxDebtToIncome: 50 }]
+      }
+    }
+  };
+
+  const client = {
+    _id: 'client123',
+    employmentDetails: { monthlyIncome: 100000 },
+    verificationStatus: { income: { monthlyIncomeVerified: 80000 } }
+  };
+
+  const mockExistingLoans = (loans) => {
+    jest.spyOn(Loan, 'find').mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue(loans)
+      })
+    });
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Test product rules win over the region rule
+   */
+  it('should resolve the product rule before the region and default rules', () => {
+    expect(affordabilityService.resolveAffordabilityRule('Business Loan', region)).toEqual({ maxDebtToIncome: 50, source: 'product' });
+    expect(affordabilityService.resolveAffordabilityRule('Personal Loan', region)).toEqual({ maxDebtToIncome: 40, source: 'region' });
+    expect(affordabilityService.resolveAffordabilityRule('Personal Loan', null)).toEqual({ maxDebtToIncome: 40, source: 'default' });
+  });
+
+  /**
+   * Test other loans count towards debt-to-income and a suggestion is returned
+   */
+  it('should count existing installments and suggest an affordable amount and term', async () => {
+    mockExistingLoans([{ _id: 'loan1', loanStatus: 'Active', monthlyInstallment: 20000 }]);
+
+    const result = await affordabilityService.assess({
+      client,
+      loanAmount: 200000,
+      loanTerm: 12,
+      interestRate: 12,
+      product: 'Personal Loan',
+      region
+    });
+
+    // Verified income 80,000 at 40% leaves 12,000 after the existing 20,000
+    expect(result.existingInstallments).toBe(20000);
+    expect(result.availableInstallment).toBe(12000);
+    expect(result.isAffordable).toBe(false);
+    expect(result.debtToIncome).toBeGreaterThan(40);
+
+    const { suggestion } = result;
+    expect(calculateInstallment(suggestion.maxAmount, 12, 12)).toBeLessThanOrEqual(12000);
+    expect(calculateInstallment(suggestion.maxAmount + 1000, 12, 12)).toBeGreaterThan(12000);
+    expect(suggestion.minTermForAmount).toBe(19);
+    expect(suggestion.minTermInstallment).toBeLessThanOrEqual(12000);
+    expect(suggestion.maxAmountAtMaxTerm).toBeGreaterThan(suggestion.maxAmount);
+  });
+
+  /**
+   * Test an affordable loan passes without a suggestion
+   */
+  it('should accept a loan within the limit', async () => {
+    mockExistingLoans([]);
+
+    const result = await affordabilityService.assess({
+      client,
+      loanAmount: 100000,
+      loanTerm: 12,
+      interestRate: 12,
+      product: 'Business Loan',
+      region
+    });
+
+    expect(result.isAffordable).toBe(true);
+    expect(result.maxDebtToIncome).toBe(50);
+    expect(result.suggestion).toBeNull();
+  });
+});
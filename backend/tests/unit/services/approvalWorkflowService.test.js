@@ -0,0 +1,127 @@
+/**
+ * Unit Tests for Approval Workflow Service
+ * @fileoverview Tests for tier resolution, approver limits and escalation
+ */
+
+const mongoose = require('mongoose');
+const approvalWorkflowService = require('../../../services/approvalWorkflowService');
+const Loan = require('../../../models/Loan');
+const Staff = require('../../../models/Staff');
+const notificationService = require('../../../services/notificationService');
+
+describe('Approval Workflow Service', () => {
+  const regionId = new mongoose.Types.ObjectId();
+  const region = {
+    _id: regionId,
+    configuration: {
+      approvalWorkflow: [
+        { stage: 'agent_review', requiredRole: 'agent', maxAmount: 0, timeoutDays: 2 },
+        { stage: 'regional_approval', requiredRole: 'regional_manager', maxAmount: 1000000, timeoutDays: 3 },
+        { stage: 'ceo_approval', requiredRole: 'ceo', timeoutDays: 5 }
+      ]
+    }
+  };
+
+  const agent = { _id: new mongoose.Types.ObjectId(), role: 'agent', region: regionId, rolePermissions: { maxLoanApprovalAmount: 0 } };
+  const manager = { _id: new mongoose.Types.ObjectId(), role: 'regional_manager', region: regionId, rolePermissions: { maxLoanApprovalAmount: 500000 } };
+
+  const buildLoan = (loanAmount) => new Loan({
+    loanAmount,
+    loanStatus: 'Pending',
+    region: regionId,
+    assignedAgent: agent._id,
+    workflowState: { currentStage: 'application_submitted', stageHistory: [{ stage: 'application_submitted' }] }
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Loan.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+    jest.spyOn(notificationService, 'notifyLoanDecision').mockResolvedValue(null);
+    jest.spyOn(Staff, 'findById').mockImplementation(async (id) => [agent, manager].find(staff => staff._id.equals(id)));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Test the final tier is the first whose limit covers the amount
+   */
+  it('should resolve the final tier from the region limits', async () => {
+    const small = await approvalWorkflowService.startApproval(buildLoan(400000), agent._id, region);
+    const large = await approvalWorkflowService.startApproval(buildLoan(2000000), agent._id, region);
+
+    expect(small.workflowState.approval.finalTier).toBe(1);
+    expect(large.workflowState.approval.finalTier).toBe(2);
+    expect(small.workflowState.currentStage).toBe('agent_review');
+    expect(small.workflowState.approval.tiers[2].maxAmount).toBeNull();
+  });
+
+  /**
+   * Test approvals move through the tiers and the approver limit is enforced
+   */
+  it('should advance tiers and enforce the approver limit', async () => {
+    const loan = await approvalWorkflowService.startApproval(buildLoan(800000), agent._id, region);
+
+    const agentResult = await approvalWorkflowService.decide(loan, agent._id, { decision: 'approve' });
+    expect(agentResult.nextStage).toBe('regional_approval');
+    expect(loan.loanStatus).toBe('Under Review');
+    expect(loan.agentReview.status).toBe('Approved');
+
+    // The regional tier is final for 800,000 but this manager may only approve 500,000
+    await expect(approvalWorkflowService.decide(loan, manager._id, { decision: 'approve' }))
+      .rejects.toMatchObject({ errorCode: expect.any(String), statusCode: 422 });
+
+    await expect(approvalWorkflowService.decide(loan, agent._id, { decision: 'approve' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+
+    const rejection = await approvalWorkflowService.decide(loan, manager._id, { decision: 'reject', comments: 'Income not verified' });
+    expect(rejection.nextStage).toBe('closed');
+    expect(loan.loanStatus).toBe('Rejected');
+    expect(loan.regionalAdminApproval.status).toBe('Rejected');
+  });
+
+  /**
+   * Test timed out tiers escalate to the next tier, which then has to approve
+   */
+  it('should escalate a timed out tier to the next tier', async () => {
+    const loan = await approvalWorkflowService.startApproval(buildLoan(400000), agent._id, region);
+    loan.workflowState.approval.currentTier = 1;
+    loan.workflowState.currentStage = 'regional_approval';
+
+    const result = await approvalWorkflowService.escalateLoan(loan, new Date());
+
+    expect(result.to).toBe('ceo_approval');
+    expect(loan.workflowState.approval.finalTier).toBe(2);
+    expect(loan.workflowState.currentStage).toBe('ceo_approval');
+
+    const last = await approvalWorkflowService.escalateLoan(loan, new Date());
+    expect(last.overdue).toBe(true);
+    expect(loan.workflowState.approval.overdue).toBe(true);
+  });
+  /**
+   * Test a loan escalated or decided elsewhere since it was loaded is skipped
+   */
+  it('should only escalate loans still waiting on the loaded tier', async () => {
+    const escalated = await approvalWorkflowService.startApproval(buildLoan(400000), agent._id, region);
+    const decided = await approvalWorkflowService.startApproval(buildLoan(400000), agent._id, region);
+    const filters = [];
+    Loan.prototype.save.mockImplementation(function () {
+      filters.push(this.$where);
+      return this === decided
+        ? Promise.reject(new mongoose.Error.DocumentNotFoundError({ _id: this._id }, 'Loan', 0, {}))
+        : Promise.resolve(this);
+    });
+    jest.spyOn(Loan, 'find').mockReturnValue({ cursor: () => [escalated, decided] });
+    const dueAt = escalated.workflowState.approval.dueAt;
+
+    const summary = await approvalWorkflowService.escalateOverdue({ asOf: new Date() });
+
+    expect(summary).toMatchObject({ loansScanned: 2, escalated: 1, skipped: 1, failed: 0 });
+    expect(filters[0]).toEqual({
+      'workflowState.approval.currentTier': 0,
+      'workflowState.approval.dueAt': dueAt
+    });
+    expect(escalated.workflowState.approval.currentTier).toBe(1);
+    expect(escalated.$where).toBeUndefined();
+  });
+});
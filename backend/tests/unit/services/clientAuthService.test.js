@@ -0,0 +1,81 @@
+/**
+ * Unit Tests for Client Authentication Service
+ * @fileoverview Tests for client sign-in lockout and password reset tokens
+ */
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+jest.mock('../../../utils/sendEmail', () => jest.fn().mockResolvedValue(true));
+jest.mock('../../../utils/jwtUtils', () => ({
+  ...jest.requireActual('../../../utils/jwtUtils'),
+  revokeAllUserTokens: jest.fn().mockResolvedValue(1)
+}));
+
+const clientAuthService = require('../../../services/clientAuthService');
+const ClientUsers = require('../../../models/clientUsers');
+const Client = require('../../../models/Client');
+const sendEmail = require('../../../utils/sendEmail');
+const { revokeAllUserTokens } = require('../../../utils/jwtUtils');
+
+describe('Client Authentication Service', () => {
+  // save is mocked, so the stored password is hashed up front
+  const buildUser = async () => new ClientUsers({
+    clientId: new mongoose.Types.ObjectId(),
+    username: 'kamala@example.com',
+    email: 'kamala@example.com',
+    password: await bcrypt.hash('secret123', 4),
+    status: 'Active'
+  });
+
+  beforeEach(() => {
+    jest.spyOn(ClientUsers.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  /**
+   * Test five wrong passwords lock the account, even against the right password
+   */
+  it('should lock the account after repeated failed sign-ins', async () => {
+    const user = await buildUser();
+    jest.spyOn(ClientUsers, 'findOne').mockReturnValue({ select: () => Promise.resolve(user) });
+
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      await expect(clientAuthService.login('Kamala@example.com', 'wrong-password'))
+        .rejects.toMatchObject({ statusCode: 401 });
+    }
+
+    expect(user.isLocked()).toBe(true);
+    await expect(clientAuthService.login('kamala@example.com', 'secret123'))
+      .rejects.toMatchObject({ statusCode: 423, errorCode: 'ACCOUNT_LOCKED' });
+  });
+
+  /**
+   * Test the emailed token sets a new password once and unlocks the account
+   */
+  it('should reset the password with the emailed token', async () => {
+    const user = await buildUser();
+    user.lockUntil = new Date(Date.now() + 60000);
+    jest.spyOn(Client, 'findById').mockReturnValue({ select: () => ({ lean: () => Promise.resolve({}) }) });
+
+    jest.spyOn(ClientUsers, 'findOne').mockResolvedValueOnce(user);
+    await clientAuthService.requestPasswordReset('kamala@example.com');
+
+    const token = sendEmail.mock.calls[0][2].match(/[A-Za-z0-9_-]{32}/)[0];
+    expect(user.resetToken).not.toBe(token);
+    expect(user.resetTokenExpiry.getTime()).toBeGreaterThan(Date.now());
+
+    ClientUsers.findOne.mockImplementationOnce((query) => Promise.resolve(
+      query.resetToken === user.resetToken ? user : null
+    ));
+    await clientAuthService.resetPassword(token, 'newSecret456');
+
+    expect(user.resetToken).toBeUndefined();
+    expect(user.isLocked()).toBe(false);
+    expect(revokeAllUserTokens).toHaveBeenCalledWith(user._id.toString(), 'password_change');
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Unit Tests for Client Verification Service
+ * @fileoverview Tests for the document checklist, per-document review and approval checks
+ */
+
+const mongoose = require('mongoose');
+const clientVerificationService = require('../../../services/clientVerificationService');
+const notificationService = require('../../../services/notificationService');
+const Client = require('../../../models/Client');
+const Region = require('../../../models/Region');
+
+describe('Client Verification Service', () => {
+  const staffId = new mongoose.Types.ObjectId().toString();
+
+  const buildClient = () => new Client({
+    registrationId: 'L00001',
+    personalInfo: { fullName: 'Kamala Silva', district: 'Colombo' },
+    region: new mongoose.Types.ObjectId()
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Client.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+    jest.spyOn(Region, 'findById').mockReturnValue({
+      select: () => ({ lean: () => Promise.resolve({ configuration: { requiredDocuments: ['NIC', 'Paysheet', 'Employment Letter'] } }) })
+    });
+    jest.spyOn(notificationService, 'notifyKycDecision').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Test the region's required documents drive completion and approval
+   */
+  it('should block approval until every required document is approved', async () => {
+    const client = buildClient();
+    const nic = await clientVerificationService.addDocument(client, { type: 'nicFront', url: 'uploads/nic.jpg' }, client._id, 'client');
+    const paysheet = await clientVerificationService.addDocument(client, { type: 'incomeProof', url: 'uploads/pay.pdf' }, client._id, 'client');
+
+    expect(nic.type).toBe('nic');
+    expect(paysheet.type).toBe('paysheet');
+    expect(client.verificationStatus.income.documents).toHaveLength(1);
+
+    await clientVerificationService.reviewDocument(client, nic._id, { status: 'approved' }, staffId);
+    const { checklist } = await clientVerificationService.reviewDocument(client, paysheet._id, { status: 'approved' }, staffId);
+
+    expect(checklist.completionPercentage).toBe(66);
+    expect(client.verificationStatus.documents.completionPercentage).toBe(66);
+    expect(client.verificationStatus.identity.verified).toBe(true);
+    await expect(clientVerificationService.assertReadyForApproval(client))
+      .rejects.toMatchObject({ details: { rule: 'REQUIRED_DOCUMENTS_INCOMPLETE', context: { missing: ['employment_letter'] } } });
+
+    const letter = await clientVerificationService.addDocument(client, { type: 'employmentLetter', url: 'uploads/letter.pdf' }, staffId);
+    await clientVerificationService.reviewDocument(client, letter._id, { status: 'approved' }, staffId);
+
+    const ready = await clientVerificationService.assertReadyForApproval(client);
+    expect(ready.completionPercentage).toBe(100);
+    expect(client.verificationStatus.documents.verified).toBe(true);
+  });
+
+  /**
+   * Test a rejection asks the client for a new copy which replaces the rejected one
+   */
+  it('should request a re-upload when a document is rejected', async () => {
+    const client = buildClient();
+    const notifyReupload = jest.spyOn(notificationService, 'notifyDocumentReupload').mockResolvedValue(null);
+    const nic = await clientVerificationService.addDocument(client, { type: 'NIC', url: 'uploads/nic.jpg' }, staffId);
+
+    await expect(clientVerificationService.reviewDocument(client, nic._id, { status: 'rejected' }, staffId))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    await clientVerificationService.reviewDocument(client, nic._id, { status: 'rejected', reason: 'Photo is blurred' }, staffId);
+
+    expect(nic.rejectionReason).toBe('Photo is blurred');
+    expect(nic.reuploadRequestedAt).toBeInstanceOf(Date);
+    expect(notifyReupload).toHaveBeenCalledWith(client._id, { label: 'NIC', reason: 'Photo is blurred' }, staffId);
+    expect(clientVerificationService.getKycStatus(client)).toBe('action_required');
+
+    await clientVerificationService.addDocument(client, { type: 'nicFront', url: 'uploads/nic-2.jpg' }, client._id, 'client');
+
+    expect(nic.supersededAt).toBeInstanceOf(Date);
+    expect(clientVerificationService.getCurrentDocuments(client, 'nic').map(document => document.url)).toEqual(['uploads/nic-2.jpg']);
+    expect(clientVerificationService.getKycStatus(client)).toBe('under_review');
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Unit Tests for Collection Sheet Service
+ * @fileoverview Tests for building agent routes, receipted collections and cash hand-over reconciliation
+ */
+
+const mongoose = require('mongoose');
+const CollectionSheet = require('../../../models/CollectionSheet');
+const Loan = require('../../../models/Loan');
+const Payment = require('../../../models/Payment');
+const RepaymentSchedule = require('../../../models/RepaymentSchedule');
+const paymentAllocationService = require('../../../services/paymentAllocationService');
+const collectionSheetService = require('../../../services/collectionSheetService');
+
+describe('Collection Sheet Service', () => {
+  const agentId = new mongoose.Types.ObjectId();
+  const agent = { userId: String(agentId), role: 'agent' };
+  const manager = { userId: String(new mongoose.Types.ObjectId()), role: 'regional_manager' };
+
+  const buildSheet = (overrides = {}) => {
+    const sheet = new CollectionSheet({
+      sheetId: 'CSH1760000000000ABCDE',
+      agent: agentId,
+      collectionDate: new Date('2026-10-19'),
+      lines: [{
+        loanId: new mongoose.Types.ObjectId(),
+        clientId: new mongoose.Types.ObjectId(),
+        installmentNumber: 4,
+        amountDue: 5000
+      }],
+      ...overrides
+    });
+    sheet.refreshTotals();
+    return sheet;
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Test the route lists each loan with installments due by the end of the day
+   */
+  it('should list the open installments due by the end of the collection day', async () => {
+    const day = collectionSheetService.toCollectionDay(new Date('2026-10-19T20:00:00Z'));
+    expect(day.toISOString()).toBe('2026-10-20T00:00:00.000Z');
+
+    const dueLoan = { _id: new mongoose.Types.ObjectId(), clientUserId: new mongoose.Types.ObjectId() };
+    const paidUpLoan = { _id: new mongoose.Types.ObjectId(), clientUserId: new mongoose.Types.ObjectId() };
+    const installment = (installmentNumber, dueDate, totalDue, amountPaid = 0) => ({
+      installmentNumber,
+      dueDate: new Date(dueDate),
+      totalDue,
+      amountPaid,
+      status: amountPaid >= totalDue ? 'paid' : 'pending'
+    });
+
+    jest.spyOn(Loan, 'find').mockReturnValue({
+      select: () => ({ lean: () => Promise.resolve([dueLoan, paidUpLoan]) })
+    });
+    jest.spyOn(RepaymentSchedule, 'find').mockResolvedValue([
+      new RepaymentSchedule({
+        loanId: dueLoan._id,
+        installments: [
+          installment(2, '2026-10-05T00:00:00Z', 5000, 5000),
+          installment(3, '2026-10-12T00:00:00Z', 5000, 1500),
+          // Due at 23:00 on the 20th in Sri Lanka time
+          installment(4, '2026-10-20T17:30:00Z', 5000),
+          installment(5, '2026-10-26T00:00:00Z', 5000)
+        ]
+      }),
+      new RepaymentSchedule({
+        loanId: paidUpLoan._id,
+        installments: [installment(6, '2026-10-30T00:00:00Z', 5000)]
+      })
+    ]);
+
+    const lines = await collectionSheetService.buildLines(agentId, day);
+
+    expect(lines).toEqual([{
+      loanId: dueLoan._id,
+      clientId: dueLoan.clientUserId,
+      installmentNumber: 3,
+      dueDate: new Date('2026-10-12T00:00:00Z'),
+      amountDue: 8500
+    }]);
+  });
+
+  /**
+   * Test a collection gets the next receipt number and a payment awaiting hand-over
+   */
+  it('should record a collection with a numbered receipt', async () => {
+    const sheet = buildSheet({ receiptSequence: 1 });
+    const line = sheet.lines[0];
+
+    jest.spyOn(CollectionSheet, 'findOne').mockResolvedValue(sheet);
+    jest.spyOn(CollectionSheet, 'findOneAndUpdate').mockResolvedValue({ receiptSequence: 2 });
+    jest.spyOn(CollectionSheet.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+    jest.spyOn(Loan, 'findById').mockReturnValue({
+      select: () => ({ lean: () => Promise.resolve({ calculatedFields: { remainingBalance: 40000 } }) })
+    });
+    jest.spyOn(Payment.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+
+    const { receipt, payment } = await collectionSheetService.recordCollection(
+      sheet.sheetId, String(line._id), { amount: 3000 }, agent
+    );
+
+    expect(receipt).toMatchObject({ receiptNumber: 'CSH1760000000000ABCDE-002', amount: 3000, installmentNumber: 4 });
+    expect(payment).toMatchObject({ status: 'processing', paymentMethod: 'cash_deposit', referenceNumber: receipt.receiptNumber });
+    expect(String(payment.fieldCollection.collectedBy)).toBe(agent.userId);
+    expect(sheet.lines[0]).toMatchObject({ collectedAmount: 3000, status: 'partial' });
+    expect(sheet.totals).toMatchObject({ collected: 3000, receipts: 1 });
+  });
+
+  /**
+   * Test a short hand-over is flagged while the receipted payments are still verified
+   */
+  it('should flag a shortage and verify the collected payments', async () => {
+    const sheet = buildSheet({ status: 'submitted', handover: { declaredAmount: 4500 } });
+    const line = sheet.lines[0];
+    const paymentId = new mongoose.Types.ObjectId();
+    sheet.collections.push({
+      receiptNumber: 'CSH1760000000000ABCDE-001',
+      lineId: line._id,
+      loanId: line.loanId,
+      clientId: line.clientId,
+      amount: 5000,
+      payment: paymentId
+    });
+
+    jest.spyOn(CollectionSheet, 'findOne').mockResolvedValue(sheet);
+    jest.spyOn(CollectionSheet.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+    jest.spyOn(Payment, 'find').mockResolvedValue([{ _id: paymentId, status: 'processing' }]);
+    const verifyPayment = jest.spyOn(paymentAllocationService, 'verifyPayment').mockResolvedValue({});
+
+    await expect(collectionSheetService.reconcileHandover(sheet.sheetId, {}, manager))
+      .rejects.toThrow('Notes are required when the hand-over is short');
+
+    const { verified } = await collectionSheetService.reconcileHandover(
+      sheet.sheetId, { notes: 'Agent to repay the difference' }, manager
+    );
+
+    expect(verifyPayment).toHaveBeenCalledWith(paymentId, manager.userId, expect.any(Object));
+    expect(verified).toEqual(['CSH1760000000000ABCDE-001']);
+    expect(sheet.status).toBe('reconciled');
+    expect(sheet.shortageFlagged).toBe(true);
+    expect(sheet.reconciliation).toMatchObject({ expectedAmount: 5000, receivedAmount: 4500, variance: -500, outcome: 'shortage' });
+  });
+
+  /**
+   * Test a collection that cannot be verified keeps the sheet submitted, and a retry
+   * verifies only the collections still outstanding
+   */
+  it('should keep the sheet submitted until every collection is verified', async () => {
+    const sheet = buildSheet({ status: 'submitted', handover: { declaredAmount: 5000 } });
+    const line = sheet.lines[0];
+    const paymentIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    paymentIds.forEach((paymentId, index) => sheet.collections.push({
+      receiptNumber: `CSH1760000000000ABCDE-00${index + 1}`,
+      lineId: line._id,
+      loanId: line.loanId,
+      clientId: line.clientId,
+      amount: 2500,
+      payment: paymentId
+    }));
+
+    jest.spyOn(CollectionSheet, 'findOne').mockResolvedValue(sheet);
+    const save = jest.spyOn(CollectionSheet.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+    const find = jest.spyOn(Payment, 'find')
+      .mockResolvedValue(paymentIds.map(_id => ({ _id, status: 'processing' })));
+    const verifyPayment = jest.spyOn(paymentAllocationService, 'verifyPayment')
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(new Error('Loan not found'));
+
+    const error = await collectionSheetService.reconcileHandover(sheet.sheetId, {}, manager).catch(e => e);
+
+    expect(error.details).toMatchObject({
+      rule: 'COLLECTIONS_NOT_VERIFIED',
+      context: {
+        verified: ['CSH1760000000000ABCDE-001'],
+        failed: [{ receiptNumber: 'CSH1760000000000ABCDE-002', error: 'Loan not found' }]
+      }
+    });
+    expect(sheet.status).toBe('submitted');
+    expect(save).not.toHaveBeenCalled();
+
+    find.mockResolvedValue([{ _id: paymentIds[0], status: 'verified' }, { _id: paymentIds[1], status: 'processing' }]);
+    verifyPayment.mockReset().mockResolvedValue({});
+
+    const { verified } = await collectionSheetService.reconcileHandover(sheet.sheetId, {}, manager);
+
+    expect(verifyPayment).toHaveBeenCalledTimes(1);
+    expect(verifyPayment).toHaveBeenCalledWith(paymentIds[1], manager.userId, expect.any(Object));
+    expect(verified).toEqual(['CSH1760000000000ABCDE-001', 'CSH1760000000000ABCDE-002']);
+    expect(sheet.status).toBe('reconciled');
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Unit Tests for Credit Scoring Service
+ * @fileoverview Tests for scorecard bands, weighting and risk levels
+ */
+
+const mongoose = require('mongoose');
+const creditScoringService = require('../../../services/creditScoringService');
+const Scorecard = require('../../../models/Scorecard');
+const Loan = require('../../../models/Loan');
+const RepaymentSchedule = require('../../../models/RepaymentSchedule');
+
+describe('Credit Scoring Service', () => {
+  const scorecard = {
+    ...Scorecard.DEFAULT_SCORECARD,
+    levelThresholds: { low: 30, medium: 55, high: 75 }
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Test a strong profile scores low risk
+   */
+  it('should score a salaried client with a clean history as low risk', () => {
+    const result = creditScoringService.score(scorecard, {
+      debtToIncome: 18,
+      employmentType: 'permanent',
+      employmentTenureMonths: 72,
+      loanCompletionRate: 100,
+      defaultedLoans: 0,
+      maxDaysOverdue: 0,
+      guarantorCoverage: 4
+    });
+
+    expect(result.score).toBe(4);
+    expect(result.riskLevel).toBe('low');
+    expect(result.scorecardVersion).toBe(1);
+    expect(result.factors.find(factor => factor.input === 'debtToIncome').band).toBe('Comfortable');
+  });
+
+  /**
+   * Test missing inputs use the factor's missing points and weak profiles score high
+   */
+  it('should penalise unaffordable loans and missing information', () => {
+    const result = creditScoringService.score(scorecard, {
+      debtToIncome: null,
+      employmentType: 'temporary',
+      employmentTenureMonths: 3,
+      loanCompletionRate: null,
+      defaultedLoans: 1,
+      maxDaysOverdue: 45,
+      guarantorCoverage: null
+    });
+
+    const income = result.factors.find(factor => factor.input === 'debtToIncome');
+    expect(income.band).toBe('Not available');
+    expect(income.points).toBe(90);
+    // 0.3*90 + 0.1*70 + 0.1*80 + 0.15*50 + 0.15*70 + 0.1*70 + 0.1*80
+    expect(result.score).toBe(75);
+    expect(result.riskLevel).toBe('high');
+    expect(creditScoringService.explain(income)).toBe('Debt-to-income: unknown (Not available) - 27 of 30% weight');
+  });
+
+  /**
+   * Test free text employment durations
+   */
+  it('should read employment tenure in months', () => {
+    expect(creditScoringService.parseTenureMonths('2 years')).toBe(24);
+    expect(creditScoringService.parseTenureMonths('1 year 6 months')).toBe(18);
+    expect(creditScoringService.parseTenureMonths('3.5')).toBe(42);
+    expect(creditScoringService.parseTenureMonths('')).toBeNull();
+  });
+
+  /**
+   * Test only the current schedule versions count towards the overdue history
+   */
+  it('should read overdue days from current schedules only', async () => {
+    const loanId = new mongoose.Types.ObjectId();
+    jest.spyOn(Loan, 'find').mockReturnValue({
+      select: () => ({ lean: () => Promise.resolve([{ _id: loanId, loanStatus: 'Active', calculatedFields: { daysOverdue: 0 } }]) })
+    });
+    const find = jest.spyOn(RepaymentSchedule, 'find').mockReturnValue({
+      select: () => ({
+        lean: () => Promise.resolve([{
+          installments: [{ dueDate: new Date('2026-09-01T00:00:00Z'), paidAt: new Date('2026-09-11T00:00:00Z'), status: 'paid' }]
+        }])
+      })
+    });
+
+    const inputs = await creditScoringService.gatherInputs({ _id: new mongoose.Types.ObjectId() }, null, new Date('2026-10-19T00:00:00Z'));
+
+    expect(find).toHaveBeenCalledWith({ loanId: { $in: [loanId] }, isCurrent: true });
+    expect(inputs.maxDaysOverdue).toBe(10);
+  });
+});
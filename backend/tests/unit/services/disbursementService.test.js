@@ -0,0 +1,210 @@
+/**
+ * Unit Tests for Disbursement Service
+ * @fileoverview Tests for tranche limits, deductions and maker-checker activation
+ */
+
+const mongoose = require('mongoose');
+const disbursementService = require('../../../services/disbursementService');
+const scheduleService = require('../../../services/scheduleService');
+const notificationService = require('../../../services/notificationService');
+const Disbursement = require('../../../models/Disbursement');
+const LoanProduct = require('../../../models/LoanProduct');
+const Loan = require('../../../models/Loan');
+
+describe('Disbursement Service', () => {
+  const regionId = new mongoose.Types.ObjectId().toString();
+  const maker = { userId: new mongoose.Types.ObjectId().toString(), role: 'regional_manager', region: regionId };
+  const checker = { userId: new mongoose.Types.ObjectId().toString(), role: 'moderate_admin' };
+
+  const buildLoan = () => new Loan({
+    clientUserId: new mongoose.Types.ObjectId(),
+    region: regionId,
+    loanProduct: new mongoose.Types.ObjectId(),
+    product: 'Business Loan',
+    loanAmount: 1000000,
+    loanTerm: 12,
+    interestRate: 12,
+    loanStatus: 'Approved',
+    downPayment: { amount: 20000 },
+    fees: [{ name: 'Processing fee', amount: 5000 }],
+    workflowState: { currentStage: 'agreement_signed', stageHistory: [{ stage: 'agreement_signed' }] }
+  });
+
+  let records;
+
+  beforeEach(() => {
+    records = [];
+    jest.spyOn(LoanProduct, 'findById').mockResolvedValue(new LoanProduct(LoanProduct.DEFAULT_PRODUCTS[1]));
+    jest.spyOn(Disbursement, 'findForLoan').mockImplementation(async () => records);
+    jest.spyOn(Disbursement, 'create').mockImplementation(async (doc) => {
+      const disbursement = new Disbursement(doc);
+      records.push(disbursement);
+      return disbursement;
+    });
+    // Reads return a copy, as from the database
+    jest.spyOn(Disbursement, 'findOne').mockImplementation(async ({ _id }) => {
+      const record = records.find(item => item._id.equals(_id));
+      return record && Disbursement.hydrate(record.toObject());
+    });
+    jest.spyOn(Disbursement, 'findOneAndUpdate').mockImplementation(async ({ _id, status }, { $set, $push }) => {
+      const record = records.find(item => item._id.equals(_id) && item.status === status);
+      if (!record) {
+        return null;
+      }
+      record.set($set);
+      record.auditLog.push($push.auditLog);
+      return record;
+    });
+    jest.spyOn(scheduleService, 'createScheduleForLoan').mockImplementation(async (loan, { startDate }) => ({
+      installments: [{ dueDate: startDate }]
+    }));
+    jest.spyOn(notificationService, 'notifySafely').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Test the first tranche withholds the down payment and fees
+   */
+  it('should deduct the down payment and fees from the first tranche only', async () => {
+    const loan = buildLoan();
+
+    const first = await disbursementService.requestDisbursement(loan, {
+      amount: 400000, method: 'bank_transfer', reference: 'TRF-1'
+    }, maker);
+
+    expect(first.trancheNumber).toBe(1);
+    expect(first.deductions.total).toBe(25000);
+    expect(first.netAmount).toBe(375000);
+    expect(loan.workflowState.currentStage).toBe('disbursement');
+
+    await expect(disbursementService.requestDisbursement(loan, {
+      amount: 100000, method: 'cash', reference: 'CSH-1'
+    }, maker)).rejects.toMatchObject({ errorCode: 'CONFLICT_ERROR' });
+
+    await disbursementService.decideDisbursement(loan, first._id.toString(), { status: 'Approved' }, checker);
+    const second = await disbursementService.requestDisbursement(loan, {
+      amount: 300000, method: 'cash', reference: 'CSH-1'
+    }, maker);
+
+    expect(second.deductions.total).toBe(0);
+    expect(second.netAmount).toBe(300000);
+    expect(loan.loanStatus).toBe('Approved');
+  });
+
+  /**
+   * Test the product's tranche limit
+   */
+  it('should require the last allowed tranche to cover the remaining amount', async () => {
+    const loan = buildLoan();
+    records.push(
+      new Disbursement({ loanId: loan._id, trancheNumber: 1, amount: 300000, netAmount: 275000, status: 'disbursed' }),
+      new Disbursement({ loanId: loan._id, trancheNumber: 2, amount: 300000, netAmount: 300000, status: 'disbursed' })
+    );
+
+    await expect(disbursementService.requestDisbursement(loan, {
+      amount: 200000, method: 'cash', reference: 'CSH-3'
+    }, maker)).rejects.toMatchObject({ details: { rule: 'FINAL_TRANCHE_INCOMPLETE' } });
+
+    await expect(disbursementService.requestDisbursement(loan, {
+      amount: 500000, method: 'cash', reference: 'CSH-3'
+    }, maker)).rejects.toMatchObject({ details: { rule: 'DISBURSEMENT_EXCEEDS_LOAN' } });
+
+    const last = await disbursementService.requestDisbursement(loan, { method: 'cash', reference: 'CSH-3' }, maker);
+    expect(last.amount).toBe(400000);
+  });
+
+  /**
+   * Test maker-checker and activation on full disbursement
+   */
+  it('should activate the loan from the date the full amount is confirmed', async () => {
+    const loan = buildLoan();
+    const disbursement = await disbursementService.requestDisbursement(loan, {
+      method: 'mobile_wallet', reference: 'WAL-1', recipient: { walletNumber: '0771234567' }
+    }, maker);
+
+    await expect(disbursementService.decideDisbursement(loan, disbursement._id.toString(), { status: 'Approved' }, maker))
+      .rejects.toMatchObject({ statusCode: 403 });
+
+    const { schedule } = await disbursementService.decideDisbursement(
+      loan, disbursement._id.toString(), { status: 'Approved' }, checker
+    );
+
+    expect(disbursement.status).toBe('disbursed');
+    expect(loan.loanStatus).toBe('Active');
+    expect(loan.disbursementDate).toEqual(disbursement.disbursedAt);
+    expect(loan.disbursement.netAmount).toBe(975000);
+    expect(loan.downPayment.status).toBe('Verified');
+    expect(scheduleService.createScheduleForLoan).toHaveBeenCalledWith(loan, expect.objectContaining({
+      startDate: disbursement.disbursedAt
+    }));
+    expect(schedule.installments).toHaveLength(1);
+  });
+
+  /**
+   * Test regional managers only act on tranches of their own region
+   */
+  it('should keep regional managers to their own region', async () => {
+    const loan = buildLoan();
+    const disbursement = await disbursementService.requestDisbursement(loan, {
+      amount: 400000, method: 'bank_transfer', reference: 'TRF-1'
+    }, maker);
+    const otherManager = {
+      userId: new mongoose.Types.ObjectId().toString(),
+      role: 'regional_manager',
+      region: new mongoose.Types.ObjectId().toString()
+    };
+
+    await expect(disbursementService.decideDisbursement(loan, disbursement._id.toString(), { status: 'Approved' }, otherManager))
+      .rejects.toMatchObject({ statusCode: 403, message: 'Loan is outside your region' });
+    expect(records[0].status).toBe('pending_approval');
+
+    const { disbursement: confirmed } = await disbursementService.decideDisbursement(
+      loan, disbursement._id.toString(), { status: 'Approved' }, checker
+    );
+    expect(confirmed.status).toBe('disbursed');
+  });
+
+  /**
+   * Test concurrent requests and decisions on the same tranche apply only once
+   */
+  it('should decide a pending tranche only once', async () => {
+    const loan = buildLoan();
+    const disbursement = await disbursementService.requestDisbursement(loan, {
+      amount: 400000, method: 'bank_transfer', reference: 'TRF-1'
+    }, maker);
+
+    Disbursement.create.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), {
+      code: 11000, keyPattern: { loanId: 1 }
+    }));
+    Disbursement.findForLoan.mockResolvedValueOnce([]);
+    await expect(disbursementService.requestDisbursement(loan, {
+      amount: 100000, method: 'cash', reference: 'CSH-1'
+    }, maker)).rejects.toMatchObject({ errorCode: 'CONFLICT_ERROR' });
+
+    const decisions = await Promise.allSettled([
+      disbursementService.decideDisbursement(loan, disbursement._id.toString(), { status: 'Approved' }, checker),
+      disbursementService.decideDisbursement(loan, disbursement._id.toString(), { status: 'Approved' }, checker)
+    ]);
+
+    expect(decisions.map(decision => decision.status)).toEqual(['fulfilled', 'rejected']);
+    expect(decisions[1].reason.message).toBe('Disbursement has already been decided');
+    expect(loan.disbursement.trancheCount).toBe(1);
+    expect(loan.disbursement.disbursedAmount).toBe(400000);
+  });
+
+  /**
+   * Test the pending tranche index does not clash with another index on loanId
+   */
+  it('should declare a unique index on the pending tranche of a loan', () => {
+    const loanIndexes = Disbursement.schema.indexes()
+      .filter(([fields]) => Object.keys(fields).join() === 'loanId');
+
+    expect(loanIndexes).toEqual([[
+      { loanId: 1 },
+      expect.objectContaining({ unique: true, partialFilterExpression: { status: 'pending_approval' } })
+    ]]);
+  });
+});
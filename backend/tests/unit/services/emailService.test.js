@@ -0,0 +1,95 @@
+/**
+ * Unit Tests for Email Service
+ * @fileoverview Tests for outbox delivery, retry backoff and failure handling
+ */
+
+const nodemailer = require('nodemailer');
+const emailService = require('../../../services/emailService');
+const EmailJob = require('../../../models/EmailJob');
+
+describe('Email Service', () => {
+  const originalTransporter = emailService.transporter;
+
+  const buildJob = (overrides = {}) => new EmailJob({
+    to: 'client@example.com',
+    subject: 'Payment Reminder - PaySync',
+    text: 'Your payment is due',
+    attempts: 1,
+    maxAttempts: 3,
+    lastAttemptAt: new Date(),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.spyOn(EmailJob, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    emailService.transporter = originalTransporter;
+    jest.restoreAllMocks();
+  });
+
+  describe('getRetryDelay', () => {
+    /**
+     * Test exponential backoff
+     */
+    it('should double the delay on every attempt', () => {
+      expect(emailService.getRetryDelay(1)).toBe(5000);
+      expect(emailService.getRetryDelay(2)).toBe(10000);
+      expect(emailService.getRetryDelay(3)).toBe(20000);
+    });
+  });
+
+  describe('sendEmailJob', () => {
+    /**
+     * Test delivery through an SMTP stub and the sent state
+     */
+    it('should send through the transporter and mark the job sent', async () => {
+      emailService.transporter = nodemailer.createTransport({ jsonTransport: true });
+      const job = buildJob();
+
+      const result = await emailService.sendEmailJob(job);
+      const message = JSON.parse(result.message);
+
+      expect(message.to[0].address).toBe('client@example.com');
+      expect(message.subject).toBe('Payment Reminder - PaySync');
+      expect(EmailJob.updateOne).toHaveBeenCalledWith(
+        { _id: job._id, lockedBy: emailService.workerId },
+        expect.objectContaining({
+          $set: expect.objectContaining({ status: 'sent', messageId: result.messageId })
+        })
+      );
+    });
+  });
+
+  describe('handleEmailError', () => {
+    /**
+     * Test retry scheduling
+     */
+    it('should schedule a retry with backoff while attempts remain', async () => {
+      const job = buildJob({ attempts: 2 });
+      const before = Date.now();
+
+      await emailService.handleEmailError(job, new Error('Connection refused'));
+
+      const update = EmailJob.updateOne.mock.calls[0][1];
+      expect(update.$set.status).toBe('retry');
+      expect(update.$set.lastError).toBe('Connection refused');
+      expect(update.$set.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + 10000);
+      expect(update.$push.attemptLog.attempt).toBe(2);
+    });
+
+    /**
+     * Test permanent failure after the last attempt
+     */
+    it('should fail permanently after the last attempt', async () => {
+      const job = buildJob({ attempts: 3 });
+
+      await emailService.handleEmailError(job, new Error('Mailbox unavailable'));
+
+      const update = EmailJob.updateOne.mock.calls[0][1];
+      expect(update.$set.status).toBe('permanently_failed');
+      expect(update.$set.nextAttemptAt).toBeUndefined();
+    });
+  });
+});
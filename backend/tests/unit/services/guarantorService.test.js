@@ -0,0 +1,112 @@
+/**
+ * Unit Tests for Guarantor Service
+ * @fileoverview Tests for guarantor reuse, exposure limits and consent
+ */
+
+const mongoose = require('mongoose');
+const guarantorService = require('../../../services/guarantorService');
+const notificationService = require('../../../services/notificationService');
+const Grantor = require('../../../models/Grantor');
+const Client = require('../../../models/Client');
+const Loan = require('../../../models/Loan');
+
+describe('Guarantor Service', () => {
+  const staffId = new mongoose.Types.ObjectId().toString();
+
+  const buildGrantor = (nic = '901234567V') => new Grantor({
+    personalInfo: { fullName: 'Nimal Perera', contactNumber: '0771234567' },
+    identityVerification: { idNumber: nic }
+  });
+
+  const mockGuaranteedLoans = (loans) => jest.spyOn(Loan, 'find').mockReturnValue({
+    select: () => ({ lean: () => Promise.resolve(loans) })
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Grantor.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Test applicant and exposure checks on an application
+   */
+  it('should reject guarantors who are the applicant or over their exposure limit', async () => {
+    const onFile = buildGrantor('901234567V');
+    jest.spyOn(Grantor, 'findOne').mockImplementation(async (query) => (
+      query['identityVerification.idNumber'] === '901234567V' ? onFile : null
+    ));
+    mockGuaranteedLoans([
+      { loanAmount: 3000000, loanStatus: 'Active', calculatedFields: { remainingBalance: 2500000 } },
+      { loanAmount: 2000000, loanStatus: 'Pending' }
+    ]);
+
+    const errors = await guarantorService.validateForLoan([
+      { info: { idNumber: '901234567v' }, field: 'guarantorInfo' },
+      { info: { idNumber: '851234567V' }, field: 'secondaryGuarantorInfo' }
+    ], {
+      client: { identityVerification: { idNumber: '851234567V' } },
+      loanAmount: 600000
+    });
+
+    expect(errors.map(error => error.code)).toEqual(['GUARANTOR_EXPOSURE_EXCEEDED', 'GUARANTOR_SAME_AS_CLIENT']);
+
+    const exposure = await guarantorService.getExposure(onFile);
+    expect(exposure.totalExposure).toBe(4500000);
+    expect(exposure.activeLoans).toBe(2);
+  });
+
+  /**
+   * Test OTP consent: a wrong code counts an attempt, the right code confirms
+   */
+  it('should confirm consent with the code sent to the guarantor', async () => {
+    const grantor = buildGrantor();
+    const loan = new Loan({ loanAmount: 250000, primaryGuarantor: grantor._id, clientUserId: new mongoose.Types.ObjectId() });
+    jest.spyOn(Grantor, 'findOne').mockReturnValue({ select: () => Promise.resolve(grantor) });
+    jest.spyOn(Client, 'findById').mockReturnValue({
+      select: () => ({ lean: () => Promise.resolve({ personalInfo: { fullName: 'Kamala Silva' } }) })
+    });
+    const sendDirect = jest.spyOn(notificationService, 'sendDirect').mockResolvedValue('sms');
+
+    const sent = await guarantorService.requestConsentOtp(grantor.grantorId, loan, staffId);
+    const { message } = sendDirect.mock.calls[0][0];
+    const code = message.match(/\b(\d{6})\b/)[1];
+
+    expect(sent.channel).toBe('sms');
+    expect(message).toContain('Kamala Silva');
+    expect(grantor.consents[0].otpHash).toMatch(/^[0-9a-f]{64}$/);
+
+    await expect(guarantorService.requestConsentOtp(grantor.grantorId, loan, staffId))
+      .rejects.toMatchObject({ details: { rule: 'OTP_RESEND_TOO_SOON' } });
+
+    const wrong = code === '000000' ? '111111' : '000000';
+    await expect(guarantorService.confirmConsent(grantor.grantorId, loan, { method: 'otp', otp: wrong }, staffId))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(grantor.consents[0].otpAttempts).toBe(1);
+
+    const consent = await guarantorService.confirmConsent(grantor.grantorId, loan, { method: 'otp', otp: code }, staffId);
+    expect(consent.status).toBe('confirmed');
+    expect(consent.role).toBe('primary');
+    expect(consent.otpHash).toBeUndefined();
+  });
+
+  /**
+   * Test final approval is blocked until every guarantor consented
+   */
+  it('should require consent from every guarantor of a loan', async () => {
+    const primary = buildGrantor('901234567V');
+    const secondary = buildGrantor('911234567V');
+    const loan = new Loan({ loanAmount: 250000, primaryGuarantor: primary._id, secondaryGuarantor: secondary._id });
+    primary.consents.push({ loanId: loan._id, role: 'primary', status: 'confirmed', method: 'signed_form' });
+    secondary.consents.push({ loanId: loan._id, role: 'secondary' });
+    jest.spyOn(Grantor, 'find').mockResolvedValue([primary, secondary]);
+
+    await expect(guarantorService.assertConsented(loan))
+      .rejects.toMatchObject({ details: { rule: 'GUARANTOR_CONSENT_PENDING', context: { grantorIds: [secondary.grantorId] } } });
+
+    secondary.consents[0].status = 'confirmed';
+    await expect(guarantorService.assertConsented(loan)).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Unit Tests for Loan Product Service
+ * @fileoverview Tests for product pricing, region overrides and application checks
+ */
+
+const mongoose = require('mongoose');
+const loanProductService = require('../../../services/loanProductService');
+const LoanProduct = require('../../../models/LoanProduct');
+
+describe('Loan Product Service', () => {
+  const regionId = new mongoose.Types.ObjectId();
+  const otherRegionId = new mongoose.Types.ObjectId();
+
+  const buildProduct = () => new LoanProduct({
+    ...LoanProduct.DEFAULT_PRODUCTS[0],
+    fees: [{ name: 'Processing fee', type: 'percentage', value: 1, maxAmount: 5000 }],
+    guarantors: { minCount: 0, requiredAboveAmount: 1000000 },
+    regionOverrides: [
+      { region: regionId, rateBands: [{ rate: 11 }], limits: { maxAmount: 2000000 } },
+      { region: otherRegionId, isAvailable: false }
+    ]
+  });
+
+  /**
+   * Test the default pricing matches the rates used before the catalogue
+   */
+  it('should quote the rate band for the amount less the income discount', () => {
+    const terms = loanProductService.resolveTerms(buildProduct());
+
+    expect(loanProductService.quoteRate(terms, { loanAmount: 5000000, monthlyIncome: 50000 })).toBe(12.5);
+    expect(loanProductService.quoteRate(terms, { loanAmount: 6000000, monthlyIncome: 50000 })).toBe(14);
+    expect(loanProductService.quoteRate(terms, { loanAmount: 6000000, monthlyIncome: 150000 })).toBe(13);
+  });
+
+  /**
+   * Test region overrides replace only the fields they set
+   */
+  it('should apply the region override on top of the product', () => {
+    const terms = loanProductService.resolveTerms(buildProduct(), regionId);
+
+    expect(terms.regionOverride).toBe(true);
+    expect(terms.limits).toEqual(expect.objectContaining({ minAmount: 1000, maxAmount: 2000000, maxTerm: 60 }));
+    expect(loanProductService.quoteRate(terms, { loanAmount: 6000000 })).toBe(11);
+    expect(loanProductService.calculateFees(terms, 1000000)).toEqual({
+      fees: [{ name: 'Processing fee', amount: 5000 }],
+      total: 5000
+    });
+
+    const withdrawn = loanProductService.resolveTerms(buildProduct(), otherRegionId);
+    expect(loanProductService.validateApplication(withdrawn, { loanAmount: 10000, loanTerm: 12 }))
+      .toEqual([expect.objectContaining({ code: 'PRODUCT_NOT_AVAILABLE' })]);
+  });
+
+  /**
+   * Test an application outside the product terms
+   */
+  it('should report amount, term, frequency and guarantor violations', () => {
+    const terms = loanProductService.resolveTerms(buildProduct(), regionId);
+
+    const errors = loanProductService.validateApplication(terms, {
+      loanAmount: 1500000,
+      loanTerm: 72,
+      repaymentFrequency: 'Quarterly',
+      guarantorCount: 0
+    });
+
+    expect(errors.map(error => error.code)).toEqual([
+      'PRODUCT_TERM_OUT_OF_RANGE',
+      'REPAYMENT_FREQUENCY_NOT_ALLOWED',
+      'GUARANTOR_REQUIRED'
+    ]);
+    expect(loanProductService.validateApplication(terms, {
+      loanAmount: 500000,
+      loanTerm: 24,
+      guarantorCount: 0
+    })).toEqual([]);
+  });
+
+  /**
+   * Test quarterly repayments need a whole number of quarters
+   */
+  it('should reject a term that does not fit the repayment frequency', () => {
+    const product = buildProduct();
+    product.repaymentFrequencies = ['Weekly', 'Quarterly'];
+    const terms = loanProductService.resolveTerms(product);
+
+    expect(loanProductService.getDefaultFrequency(terms)).toBe('Weekly');
+    expect(loanProductService.validateApplication(terms, {
+      loanAmount: 500000,
+      loanTerm: 10,
+      repaymentFrequency: 'Quarterly'
+    })).toEqual([expect.objectContaining({ code: 'TERM_DOES_NOT_FIT_FREQUENCY' })]);
+    expect(loanProductService.validateApplication(terms, {
+      loanAmount: 500000,
+      loanTerm: 10,
+      repaymentFrequency: 'Weekly'
+    })).toEqual([]);
+  });
+
+  /**
+   * Test annual and quarterly terms that would round the installment count
+   */
+  it('should reject 18-month annual and 4-month quarterly terms', () => {
+    const product = buildProduct();
+    product.repaymentFrequencies = ['Quarterly', 'Annually'];
+    const terms = loanProductService.resolveTerms(product);
+
+    expect(loanProductService.validateApplication(terms, {
+      loanAmount: 500000,
+      loanTerm: 18,
+      repaymentFrequency: 'Annually'
+    })).toEqual([expect.objectContaining({ code: 'TERM_DOES_NOT_FIT_FREQUENCY' })]);
+    expect(loanProductService.validateApplication(terms, {
+      loanAmount: 500000,
+      loanTerm: 4,
+      repaymentFrequency: 'Quarterly'
+    })).toEqual([expect.objectContaining({ code: 'TERM_DOES_NOT_FIT_FREQUENCY' })]);
+
+    // A product cannot offer a frequency that no allowed term fits
+    product.limits.minTerm = 13;
+    product.limits.maxTerm = 23;
+    expect(() => loanProductService.validateDefinition(product))
+      .toThrow('Annually repayments need a term in multiples of 12 months');
+  });
+});
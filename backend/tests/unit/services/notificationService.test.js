@@ -0,0 +1,120 @@
+/**
+ * Unit Tests for Notification Service
+ * @fileoverview Tests for channel selection, contact windows and delivery retries
+ */
+
+const mongoose = require('mongoose');
+const notificationService = require('../../../services/notificationService');
+const Notification = require('../../../models/Notification');
+const Client = require('../../../models/Client');
+const RepaymentSchedule = require('../../../models/RepaymentSchedule');
+
+describe('Notification Service', () => {
+  const client = {
+    _id: new mongoose.Types.ObjectId(),
+    personalInfo: { email: 'nimal@example.com', contactNumber: '0771234567' },
+    preferences: { emailNotifications: true, smsNotifications: false, preferredLanguage: 'sinhala', contactTimePreference: 'anytime' }
+  };
+  const sent = [];
+  const originalSenders = { ...notificationService.senders };
+
+  beforeEach(() => {
+    sent.length = 0;
+    notificationService.setSender('email', async (notification) => { sent.push(['email', notification.channels.email.emailAddress]); });
+    notificationService.setSender('sms', async () => { sent.push(['sms']); });
+    notificationService.setSender('push', null);
+
+    jest.spyOn(Client, 'findById').mockReturnValue({
+      select: () => ({ lean: async () => client })
+    });
+    jest.spyOn(Notification, 'create').mockImplementation(async (doc) => new Notification(doc));
+    jest.spyOn(Notification.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+  });
+
+  afterEach(() => {
+    Object.assign(notificationService.senders, originalSenders);
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Test channels follow the client's preferences and language
+   */
+  it('should deliver over the channels the client allows', async () => {
+    const notification = await notificationService.notify({
+      recipientType: 'client',
+      clientId: client._id,
+      type: 'loan_approved',
+      priority: 'high'
+    });
+
+    expect(sent).toEqual([['email', 'nimal@example.com']]);
+    expect(notification.channels.sms.enabled).toBe(false);
+    expect(notification.channels.email.sent).toBe(true);
+    expect(notification.isDelivered).toBe(true);
+    expect(notification.metadata.language).toBe('si');
+  });
+
+  /**
+   * Test non-urgent notifications wait for the contact window (Sri Lanka time)
+   */
+  it('should defer to the next contact window', () => {
+    // 22:00 in Colombo is 16:30 UTC
+    const lateEvening = new Date(Date.UTC(2025, 2, 10, 16, 30));
+
+    expect(notificationService.getNextContactTime('morning', lateEvening).toISOString())
+      .toBe('2025-03-11T02:30:00.000Z');
+    expect(notificationService.getNextContactTime('anytime', lateEvening)).toBeNull();
+    // 10:00 in Colombo is inside the morning window
+    expect(notificationService.getNextContactTime('morning', new Date(Date.UTC(2025, 2, 10, 4, 30)))).toBeNull();
+  });
+
+  /**
+   * Test failed channels are rescheduled until the attempts run out
+   */
+  it('should reschedule failed deliveries', async () => {
+    notificationService.setSender('email', async () => { throw new Error('SMTP down'); });
+
+    const notification = await notificationService.notify({
+      recipientType: 'client',
+      clientId: client._id,
+      type: 'payment_received'
+    });
+
+    expect(notification.isDelivered).toBe(false);
+    expect(notification.retryCount).toBe(1);
+    expect(notification.isScheduled).toBe(true);
+    expect(notification.failureReason).toContain('SMTP down');
+
+    await notificationService.deliver(notification);
+    await notificationService.deliver(notification);
+    expect(notification.retryCount).toBe(3);
+    expect(notification.isScheduled).toBe(false);
+  });
+  /**
+   * Test a reminder another instance already created counts as sent
+   */
+  it('should treat a duplicate reminder key as already sent', async () => {
+    const asOf = new Date(Date.UTC(2025, 2, 10));
+    const loan = { _id: new mongoose.Types.ObjectId(), clientUserId: client._id, loanApplicationId: 'LN-1', loanStatus: 'Active' };
+    jest.spyOn(RepaymentSchedule, 'find').mockReturnValue({
+      populate: async () => [{
+        loanId: loan,
+        version: 2,
+        repaymentFrequency: 'monthly',
+        installments: [{ installmentNumber: 3, dueDate: new Date(Date.UTC(2025, 2, 12)), status: 'pending', totalDue: 5000, amountPaid: 0 }]
+      }]
+    });
+    jest.spyOn(Notification, 'exists').mockResolvedValue(null);
+    Notification.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+    const result = await notificationService.sendPaymentReminders(asOf);
+
+    expect(result).toEqual({ schedulesScanned: 1, created: 0 });
+    expect(Notification.create.mock.calls[0][0].metadata.reminderKey).toBe(`${loan._id}:2:3`);
+    expect(sent).toEqual([]);
+    expect(Notification.schema.indexes()).toContainEqual([
+      { 'metadata.reminderKey': 1 },
+      expect.objectContaining({ unique: true, sparse: true })
+    ]);
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Unit Tests for Payment Allocation Service
+ * @fileoverview Tests for splitting payments across schedule installments
+ */
+
+const mongoose = require('mongoose');
+const paymentAllocationService = require('../../../services/paymentAllocationService');
+const scheduleService = require('../../../services/scheduleService');
+const notificationService = require('../../../services/notificationService');
+const paymentDocumentService = require('../../../services/paymentDocumentService');
+const RepaymentSchedule = require('../../../models/RepaymentSchedule');
+const Payment = require('../../../models/Payment');
+const Loan = require('../../../models/Loan');
+
+describe('Payment Allocation Service', () => {
+  const loan = {
+    _id: new mongoose.Types.ObjectId(),
+    loanAmount: 120000,
+    interestRate: 12,
+    loanTerm: 12,
+    interestMethod: 'declining_principal'
+  };
+
+  // Installment 1: principal 10000, interest 1200, fee 100 (total 11300)
+  const buildSchedule = () => new RepaymentSchedule({
+    loanId: loan._id,
+    principal: loan.loanAmount,
+    annualRate: loan.interestRate,
+    termMonths: loan.loanTerm,
+    interestMethod: loan.interestMethod,
+    startDate: new Date(2025, 0, 10),
+    installments: scheduleService.buildInstallments(loan, {
+      startDate: new Date(2025, 0, 10),
+      feePerInstallment: 100
+    })
+  });
+
+  describe('allocateToSchedule', () => {
+    /**
+     * Test partial payment follows the waterfall within the oldest installment
+     */
+    it('should pay fees, penalty and interest before principal on a partial payment', () => {
+      const schedule = buildSchedule();
+      schedule.installments[0].penaltyDue = 200;
+
+      const allocation = paymentAllocationService.allocateToSchedule(schedule, 2000);
+
+      expect(allocation.installments).toHaveLength(1);
+      expect(allocation).toMatchObject({
+        fees: 100,
+        penalty: 200,
+        interest: 1200,
+        principal: 500,
+        excess: 0
+      });
+      expect(schedule.installments[0].amountPaid).toBe(2000);
+      expect(schedule.installments[0].principalPaid).toBe(500);
+      expect(schedule.installments[0].status).not.toBe('paid');
+    });
+
+    /**
+     * Test overpayment rolls into the next installment
+     */
+    it('should settle the oldest installment and roll the rest forward', () => {
+      const schedule = buildSchedule();
+      const paidAt = new Date(2025, 1, 5);
+
+      const allocation = paymentAllocationService.allocateToSchedule(schedule, 12000, { paidAt });
+
+      expect(allocation.installments.map(line => line.installmentNumber)).toEqual([1, 2]);
+      expect(allocation.installments[0].total).toBe(11300);
+      expect(allocation.installments[1]).toMatchObject({ fees: 100, interest: 600, principal: 0 });
+      expect(schedule.installments[0].status).toBe('paid');
+      expect(schedule.installments[0].paidAt).toEqual(paidAt);
+      expect(schedule.installments[1].amountPaid).toBe(700);
+    });
+
+    /**
+     * Test amount beyond the whole schedule is reported as excess
+     */
+    it('should report the amount left after every installment is paid as excess', () => {
+      const schedule = buildSchedule();
+      const totalDue = schedule.installments.reduce((sum, installment) => sum + installment.totalDue, 0);
+
+      const allocation = paymentAllocationService.allocateToSchedule(schedule, totalDue + 250);
+
+      expect(allocation.principal).toBeCloseTo(120000, 2);
+      expect(allocation.excess).toBe(250);
+      expect(schedule.getOpenInstallments()).toHaveLength(0);
+    });
+
+    /**
+     * Test custom waterfall order
+     */
+    it('should apply a custom waterfall order', () => {
+      const schedule = buildSchedule();
+
+      const allocation = paymentAllocationService.allocateToSchedule(schedule, 1000, {
+        waterfall: ['principal', 'interest', 'fees', 'penalty']
+      });
+
+      expect(allocation).toMatchObject({ principal: 1000, interest: 0, fees: 0 });
+    });
+  });
+
+  describe('parseWaterfall', () => {
+    /**
+     * Test parsing and rejecting allocation orders
+     */
+    it('should accept complete orders and reject incomplete ones', () => {
+      expect(paymentAllocationService.parseWaterfall('Interest, principal, fees, penalty'))
+        .toEqual(['interest', 'principal', 'fees', 'penalty']);
+      expect(paymentAllocationService.parseWaterfall()).toEqual(['fees', 'penalty', 'interest', 'principal']);
+      expect(() => paymentAllocationService.parseWaterfall('interest,principal'))
+        .toThrow('Allocation order must list each of');
+    });
+  });
+
+  describe('verifyPayment', () => {
+    const buildPayment = () => new Payment({
+      loanId: loan._id,
+      clientId: new mongoose.Types.ObjectId(),
+      paymentAmount: 11300,
+      paymentDate: new Date(2025, 1, 5),
+      paymentMethod: 'bank_transfer'
+    });
+    const buildLoan = () => new Loan({
+      _id: loan._id,
+      loanAmount: loan.loanAmount,
+      interestRate: loan.interestRate,
+      loanTerm: loan.loanTerm,
+      totalPayableAmount: 135600
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    /**
+     * Test a schedule saved by another writer in the meantime is re-read and the
+     * payment is verified only once its allocation is saved
+     */
+    it('should retry the allocation on a schedule version conflict', async () => {
+      const payment = buildPayment();
+      const writes = [];
+      jest.spyOn(Payment, 'findById').mockResolvedValue(payment);
+      jest.spyOn(Loan, 'findById').mockResolvedValue(buildLoan());
+      const claim = jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(payment);
+      jest.spyOn(Payment, 'aggregate').mockResolvedValue([]);
+      jest.spyOn(Payment.prototype, 'save').mockImplementation(function () {
+        writes.push(`payment:${this.status}`);
+        return Promise.resolve(this);
+      });
+      jest.spyOn(Loan.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+      jest.spyOn(paymentDocumentService, 'issueReceiptForVerifiedPayment').mockResolvedValue(null);
+      jest.spyOn(notificationService, 'notifyPaymentVerified').mockResolvedValue(null);
+
+      const stale = buildSchedule();
+      const fresh = buildSchedule();
+      jest.spyOn(stale, 'save').mockImplementation(() => {
+        writes.push('schedule:stale');
+        return Promise.reject(new mongoose.Error.VersionError(stale, 0, ['installments']));
+      });
+      jest.spyOn(fresh, 'save').mockImplementation(() => {
+        writes.push('schedule:fresh');
+        return Promise.resolve(fresh);
+      });
+      const getCurrentSchedule = jest.spyOn(scheduleService, 'getCurrentSchedule')
+        .mockResolvedValueOnce(stale)
+        .mockResolvedValueOnce(fresh);
+
+      const result = await paymentAllocationService.verifyPayment(payment._id, new mongoose.Types.ObjectId());
+
+      expect(claim).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: payment._id, status: { $nin: ['verified', 'rejected'] } }),
+        { $set: { verificationClaimedAt: expect.any(Date) } },
+        { new: true }
+      );
+      expect(getCurrentSchedule).toHaveBeenCalledTimes(2);
+      expect(writes).toEqual(['schedule:stale', 'schedule:fresh', 'payment:verified']);
+      expect(result.schedule).toBe(fresh);
+      expect(fresh.installments[0].amountPaid).toBe(11300);
+      expect(payment.verificationClaimedAt).toBeUndefined();
+    });
+
+    /**
+     * Test a payment another verification has claimed is not allocated again
+     */
+    it('should not allocate a payment claimed by another verification', async () => {
+      const payment = buildPayment();
+      jest.spyOn(Payment, 'findById').mockResolvedValue(payment);
+      jest.spyOn(Loan, 'findById').mockResolvedValue(buildLoan());
+      jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(null);
+      const getCurrentSchedule = jest.spyOn(scheduleService, 'getCurrentSchedule');
+
+      await expect(paymentAllocationService.verifyPayment(payment._id, new mongoose.Types.ObjectId()))
+        .rejects.toMatchObject({ errorCode: 'CONFLICT_ERROR' });
+      expect(getCurrentSchedule).not.toHaveBeenCalled();
+    });
+  });
+});
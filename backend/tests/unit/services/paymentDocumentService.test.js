@@ -0,0 +1,136 @@
+/**
+ * Unit Tests for Payment Document Service
+ * @fileoverview Tests for numbered payment receipts and loan statements of account
+ */
+
+const mongoose = require('mongoose');
+const Counter = require('../../../models/Counter');
+const Payment = require('../../../models/Payment');
+const Client = require('../../../models/Client');
+const fileService = require('../../../services/fileService');
+const paymentDocumentService = require('../../../services/paymentDocumentService');
+
+describe('Payment Document Service', () => {
+  const buildPayment = (overrides = {}) => new Payment({
+    paymentId: 'PAY1760000000000ABCDE',
+    loanId: new mongoose.Types.ObjectId(),
+    clientId: new mongoose.Types.ObjectId(),
+    paymentAmount: 5000,
+    paymentDate: new Date('2026-10-19T04:00:00Z'),
+    paymentMethod: 'bank_transfer',
+    referenceNumber: 'TRX123456',
+    status: 'verified',
+    ...overrides
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Test a verified payment gets the next receipt number of the year, once
+   */
+  it('should number the receipt of a verified payment once', async () => {
+    const payment = buildPayment();
+    const next = jest.spyOn(Counter, 'next').mockResolvedValue(42);
+    const update = jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation((filter, { $set }) => Promise.resolve({
+      receipt: { receiptNumber: $set['receipt.receiptNumber'], issuedAt: $set['receipt.issuedAt'] }
+    }));
+
+    const receipt = await paymentDocumentService.issueReceipt(payment);
+    const year = new Date(Date.now() + 330 * 60 * 1000).getUTCFullYear();
+
+    expect(next).toHaveBeenCalledWith(`receipt-${year}`);
+    expect(update).toHaveBeenCalledWith(
+      { _id: payment._id, 'receipt.receiptNumber': { $exists: false } },
+      expect.any(Object),
+      { new: true }
+    );
+    expect(receipt.receiptNumber).toBe(`RCP-${year}-000042`);
+
+    await paymentDocumentService.issueReceipt(payment);
+    expect(next).toHaveBeenCalledTimes(1);
+
+    await expect(paymentDocumentService.issueReceipt(buildPayment({ status: 'pending_verification' })))
+      .rejects.toThrow('Receipts are issued for verified payments only');
+  });
+
+  /**
+   * Test the statement carries the balance forward and applies penalties and payments in the period
+   */
+  it('should build a statement with opening and closing balances', () => {
+    const loan = {
+      loanApplicationId: 'LN-2026-0001',
+      totalPayableAmount: 60000,
+      disbursementDate: new Date('2026-01-05T04:00:00Z'),
+      auditTrail: [
+        { action: 'penalty_applied', performedAt: new Date('2026-03-10T04:00:00Z'), newValues: { totalPenalty: 250 } },
+        { action: 'status_changed', performedAt: new Date('2026-03-11T04:00:00Z'), newValues: {} }
+      ]
+    };
+    const allocated = (principal, interest, penalty = 0) => ({
+      fees: 0, penalty, interest, principal, excess: 0, allocatedAt: new Date()
+    });
+    const payments = [
+      buildPayment({ paymentDate: new Date('2026-02-05T04:00:00Z'), paymentAmount: 5000, allocation: allocated(4000, 1000) }),
+      buildPayment({ paymentDate: new Date('2026-03-15T04:00:00Z'), paymentAmount: 5250, allocation: allocated(4100, 900, 250) }),
+      buildPayment({ paymentDate: new Date('2026-04-05T04:00:00Z'), paymentAmount: 5000, status: 'rejected' }),
+      buildPayment({ paymentDate: new Date('2026-07-05T04:00:00Z'), paymentAmount: 5000, allocation: allocated(4200, 800) })
+    ];
+
+    const statement = paymentDocumentService.buildStatement(
+      loan,
+      { from: new Date('2026-03-01T00:00:00Z'), to: new Date('2026-06-30T23:59:59Z') },
+      { schedule: { totals: { payable: 60000 } }, payments }
+    );
+
+    expect(statement.openingBalance).toBe(55000);
+    expect(statement.entries.map((entry) => [entry.type, entry.balance])).toEqual([
+      ['penalty', 55250],
+      ['payment', 50000]
+    ]);
+    expect(statement.closingBalance).toBe(50000);
+    expect(statement.totals).toMatchObject({ penalties: 250, paid: 5250, principal: 4100, interest: 900, penalty: 250 });
+  });
+
+  /**
+   * Test the receipt renders as a PDF document
+   */
+  it('should render a receipt PDF', async () => {
+    const payment = buildPayment({
+      receipt: { receiptNumber: 'RCP-2026-000042', issuedAt: new Date('2026-10-19T05:00:00Z') },
+      allocation: { fees: 0, penalty: 0, interest: 1000, principal: 4000, excess: 0, allocatedAt: new Date(), installments: [{ installmentNumber: 3, total: 5000 }] }
+    });
+
+    const buffer = await paymentDocumentService.renderReceipt(
+      payment,
+      { loanApplicationId: 'LN-2026-0001' },
+      { personalInfo: { fullName: 'Nimal Perera' } }
+    );
+
+    expect(Buffer.isBuffer(buffer)).toBe(true);
+    expect(buffer.subarray(0, 4).toString()).toBe('%PDF');
+  });
+  /**
+   * Test the archived receipt is filed as a receipt, not an agreement
+   */
+  it('should archive the receipt PDF under the receipt category', async () => {
+    const payment = buildPayment({
+      receipt: { receiptNumber: 'RCP-2026-000042', issuedAt: new Date('2026-10-19T05:00:00Z') }
+    });
+    jest.spyOn(Client, 'findById').mockReturnValue({
+      select: () => ({ lean: async () => ({ personalInfo: { fullName: 'Nimal Perera' } }) })
+    });
+    const upload = jest.spyOn(fileService, 'uploadFile').mockResolvedValue({ fileId: 'receipt-file', secureUrl: 'https://files.example/receipt.pdf' });
+    jest.spyOn(Payment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const receipt = await paymentDocumentService.issueReceiptForVerifiedPayment(payment, { loanApplicationId: 'LN-2026-0001' }, null);
+
+    expect(upload.mock.calls[0][1]).toMatchObject({
+      userId: 'system',
+      category: 'receipt',
+      tags: ['payment_receipt', 'RCP-2026-000042', 'LN-2026-0001']
+    });
+    expect(receipt.fileId).toBe('receipt-file');
+  });
+});
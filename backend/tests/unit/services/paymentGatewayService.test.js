@@ -0,0 +1,113 @@
+/**
+ * Unit Tests for Payment Gateway Service
+ * @fileoverview Tests for webhook signatures, payment recording and idempotent intake
+ */
+
+const mongoose = require('mongoose');
+const Payment = require('../../../models/Payment');
+const PaymentIntent = require('../../../models/PaymentIntent');
+const WebhookEvent = require('../../../models/WebhookEvent');
+const paymentAllocationService = require('../../../services/paymentAllocationService');
+const paymentGatewayService = require('../../../services/paymentGatewayService');
+const { getProvider } = require('../../../services/gateways');
+
+describe('Payment Gateway Service', () => {
+  const simulator = getProvider('simulator');
+
+  const buildIntent = () => new PaymentIntent({
+    intentId: 'PIN1700000000000ABCDE',
+    provider: 'simulator',
+    providerReference: 'SIM-0A1B2C',
+    loanId: new mongoose.Types.ObjectId(),
+    clientId: new mongoose.Types.ObjectId(),
+    installmentNumber: 3,
+    amount: 12500
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('webhook signatures', () => {
+    /**
+     * Test a signed webhook verifies, and a tampered or stale one does not
+     */
+    it('should only accept webhooks signed over the exact body', () => {
+      const { rawBody, headers } = simulator.buildWebhook(buildIntent(), 'succeeded');
+
+      expect(() => simulator.verifySignature(rawBody, headers)).not.toThrow();
+
+      const tampered = Buffer.from(rawBody.toString().replace('12500', '125000'));
+      expect(() => simulator.verifySignature(tampered, headers)).toThrow('Invalid webhook signature');
+
+      const later = new Date(Date.now() + 10 * 60 * 1000);
+      expect(() => simulator.verifySignature(rawBody, headers, later)).toThrow('Webhook signature has expired');
+      expect(() => simulator.verifySignature(rawBody, {})).toThrow('Missing webhook signature');
+    });
+  });
+
+  describe('handleWebhook', () => {
+    /**
+     * Test a successful payment is recorded against the intent and verified
+     */
+    it('should record and verify the payment of a succeeded intent', async () => {
+      const intent = buildIntent();
+      const { rawBody, headers } = simulator.buildWebhook(intent, 'succeeded');
+      const event = JSON.parse(rawBody.toString());
+
+      jest.spyOn(WebhookEvent, 'create').mockImplementation(data => Promise.resolve(new WebhookEvent(data)));
+      jest.spyOn(WebhookEvent.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+      jest.spyOn(PaymentIntent, 'findOne').mockResolvedValue(intent);
+      jest.spyOn(PaymentIntent, 'findById').mockResolvedValue(intent);
+      jest.spyOn(PaymentIntent, 'findOneAndUpdate').mockResolvedValue(intent);
+      jest.spyOn(Payment.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+      const verifyPayment = jest.spyOn(paymentAllocationService, 'verifyPayment')
+        .mockImplementation(paymentId => Promise.resolve({
+          payment: { _id: paymentId, paymentId: 'PAY1', paymentAmount: 12500 },
+          balances: { remainingBalance: 50000 }
+        }));
+
+      const result = await paymentGatewayService.handleWebhook('simulator', rawBody, headers);
+
+      const payment = Payment.prototype.save.mock.instances[0];
+      expect(payment).toMatchObject({
+        loanId: intent.loanId,
+        paymentAmount: 12500,
+        paymentMethod: 'online_payment',
+        installmentNumber: 3,
+        referenceNumber: event.data.transactionId,
+        status: 'pending_verification'
+      });
+      expect(payment.gateway).toMatchObject({ provider: 'simulator', intentId: intent.intentId, eventId: event.id });
+      expect(PaymentIntent.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: intent._id, payment: null },
+        { $set: expect.objectContaining({ status: 'succeeded', payment: payment._id }) },
+        { new: true }
+      );
+      expect(verifyPayment).toHaveBeenCalledWith(payment._id, null, expect.any(Object));
+      expect(result.duplicate).toBe(false);
+      expect(result.event).toMatchObject({ eventId: event.id, status: 'processed', payment: payment._id });
+    });
+
+    /**
+     * Test a redelivered event that was already processed changes nothing
+     */
+    it('should acknowledge a processed event again without recording another payment', async () => {
+      const { rawBody, headers } = simulator.buildWebhook(buildIntent(), 'succeeded');
+      const event = JSON.parse(rawBody.toString());
+      const processed = new WebhookEvent({ provider: 'simulator', eventId: event.id, status: 'processed' });
+
+      jest.spyOn(WebhookEvent, 'create').mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+      jest.spyOn(WebhookEvent, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(WebhookEvent, 'findOne').mockResolvedValue(processed);
+      const findIntent = jest.spyOn(PaymentIntent, 'findOne');
+      const verifyPayment = jest.spyOn(paymentAllocationService, 'verifyPayment');
+
+      const result = await paymentGatewayService.handleWebhook('simulator', rawBody, headers);
+
+      expect(result).toEqual({ duplicate: true, event: processed });
+      expect(findIntent).not.toHaveBeenCalled();
+      expect(verifyPayment).not.toHaveBeenCalled();
+    });
+  });
+});
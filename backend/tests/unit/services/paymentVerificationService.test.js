@@ -0,0 +1,104 @@
+/**
+ * Unit Tests for Payment Verification Service
+ * @fileoverview Tests for the maker-checker payment verification queue
+ */
+
+const mongoose = require('mongoose');
+const paymentVerificationService = require('../../../services/paymentVerificationService');
+const paymentAllocationService = require('../../../services/paymentAllocationService');
+const notificationService = require('../../../services/notificationService');
+const Payment = require('../../../models/Payment');
+const Loan = require('../../../models/Loan');
+const Region = require('../../../models/Region');
+
+describe('Payment Verification Service', () => {
+  const regionId = new mongoose.Types.ObjectId().toString();
+  const agent = { userId: new mongoose.Types.ObjectId().toString(), role: 'agent', region: regionId };
+  const manager = { userId: new mongoose.Types.ObjectId().toString(), role: 'regional_manager', region: regionId };
+  const loan = {
+    _id: new mongoose.Types.ObjectId(),
+    clientUserId: new mongoose.Types.ObjectId(),
+    region: regionId,
+    assignedAgent: agent.userId
+  };
+
+  const buildPayment = (paymentAmount) => new Payment({
+    loanId: loan._id,
+    clientId: loan.clientUserId,
+    paymentAmount,
+    paymentDate: new Date(),
+    paymentMethod: 'bank_transfer'
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Payment.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+    jest.spyOn(Loan, 'findById').mockResolvedValue(loan);
+    jest.spyOn(Region, 'findById').mockReturnValue({
+      select: () => ({ lean: () => Promise.resolve({ configuration: { paymentApprovalThreshold: 50000 } }) })
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Test payments above the threshold need a second, regional approver
+   */
+  it('should send large payments to the regional manager after the agent checks the proof', async () => {
+    const payment = buildPayment(75000);
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+    const verify = jest.spyOn(paymentAllocationService, 'verifyPayment')
+      .mockResolvedValue({ payment, balances: { remainingBalance: 45000 } });
+
+    const checked = await paymentVerificationService.reviewPayment(payment._id, { status: 'Approved', notes: 'Slip matches' }, agent);
+
+    expect(checked.stage).toBe('pending_approval');
+    expect(payment.status).toBe('pending_approval');
+    expect(payment.agentVerification.approvalThreshold).toBe(50000);
+    expect(verify).not.toHaveBeenCalled();
+
+    await expect(paymentVerificationService.reviewPayment(payment._id, { status: 'Approved' }, agent))
+      .rejects.toMatchObject({ statusCode: 403 });
+
+    const confirmed = await paymentVerificationService.reviewPayment(payment._id, { status: 'Approved' }, manager);
+
+    expect(confirmed.stage).toBe('verified');
+    expect(confirmed.balances.remainingBalance).toBe(45000);
+    expect(verify).toHaveBeenCalledWith(payment._id, manager.userId, { notes: '', waterfall: undefined });
+  });
+
+  /**
+   * Test rejections need a reason and tell the client
+   */
+  it('should reject a payment with a reason and notify the client', async () => {
+    const payment = buildPayment(12000);
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+    const notify = jest.spyOn(notificationService, 'notifyPaymentRejected').mockResolvedValue(null);
+
+    await expect(paymentVerificationService.reviewPayment(payment.paymentId, { status: 'Rejected' }, agent))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    const result = await paymentVerificationService.reviewPayment(
+      payment.paymentId,
+      { status: 'Rejected', reason: 'Reference not found on statement' },
+      agent
+    );
+
+    expect(result.stage).toBe('rejected');
+    expect(payment.rejectionReason).toBe('Reference not found on statement');
+    expect(notify).toHaveBeenCalledWith(payment, loan, 'Reference not found on statement', agent.userId);
+    await expect(paymentVerificationService.reviewPayment(payment.paymentId, { status: 'Approved' }, manager))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  /**
+   * Test staff are limited to the loans they work on
+   */
+  it('should scope loans to the agent, the region or every loan', () => {
+    expect(paymentVerificationService.getLoanScope(agent)).toEqual({ assignedAgent: agent.userId });
+    expect(paymentVerificationService.getLoanScope(manager)).toEqual({ region: regionId });
+    expect(paymentVerificationService.getLoanScope({ role: 'super_admin' })).toBeNull();
+    expect(paymentVerificationService.getLoanScope({ role: 'regional_manager' })).toEqual({ _id: { $in: [] } });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Unit Tests for Penalty Accrual Service
+ * @fileoverview Tests for late penalty rules and per-installment penalty calculation
+ */
+
+const Loan = require('../../../models/Loan');
+const penaltyAccrualService = require('../../../services/penaltyAccrualService');
+
+describe('Penalty Accrual Service', () => {
+  describe('resolvePenaltyRule', () => {
+    const region = {
+      configuration: {
+        latePenalty: {
+          ratePerMonth: 3,
+          gracePeriodDays: 5,
+          productRules: [{ product: 'Business Loan', ratePerMonth: 1.5 }]
+        }
+      }
+    };
+
+    /**
+     * Test rule precedence
+     */
+    it('should prefer product rules, then region rules, then the default', () => {
+      expect(penaltyAccrualService.resolvePenaltyRule({ product: 'Business Loan' }, region))
+        .toEqual({ ratePerMonth: 1.5, gracePeriodDays: 5, source: 'product' });
+      expect(penaltyAccrualService.resolvePenaltyRule({ product: 'Personal Loan' }, region))
+        .toEqual({ ratePerMonth: 3, gracePeriodDays: 5, source: 'region' });
+      expect(penaltyAccrualService.resolvePenaltyRule({ product: 'Personal Loan' }, null))
+        .toEqual({ ratePerMonth: 2, gracePeriodDays: 0, source: 'default' });
+    });
+  });
+
+  describe('calculateInstallmentPenalty', () => {
+    const rule = { ratePerMonth: 2, gracePeriodDays: 0 };
+    const buildInstallment = (overrides = {}) => ({
+      installmentNumber: 1,
+      dueDate: new Date(2025, 0, 10),
+      principalDue: 10000,
+      interestDue: 1200,
+      feeDue: 0,
+      principalPaid: 0,
+      interestPaid: 0,
+      feePaid: 0,
+      ...overrides
+    });
+
+    /**
+     * Test penalty on the unpaid amount for whole days overdue
+     */
+    it('should charge the monthly rate pro rata on the unpaid amount', () => {
+      const charge = penaltyAccrualService.calculateInstallmentPenalty(
+        buildInstallment({ interestPaid: 1200 }),
+        rule,
+        new Date(2025, 1, 9, 12)
+      );
+
+      expect(charge.daysOverdue).toBe(30);
+      expect(charge.overdueAmount).toBe(10000);
+      expect(charge.penalty).toBe(200); // 2% of 10000 for 30 days
+      expect(charge.accruedThrough).toEqual(new Date(2025, 1, 9));
+    });
+
+    /**
+     * Test days already charged are not charged again
+     */
+    it('should only charge days after the last accrual', () => {
+      const charge = penaltyAccrualService.calculateInstallmentPenalty(
+        buildInstallment({ principalPaid: 10000, interestPaid: 0, penaltyAccruedThrough: new Date(2025, 1, 9) }),
+        rule,
+        new Date(2025, 1, 24)
+      );
+
+      expect(charge.days).toBe(15);
+      expect(charge.penalty).toBe(12); // 2% of 1200 for 15 days
+    });
+
+    /**
+     * Test grace period
+     */
+    it('should not charge within the grace period', () => {
+      const charge = penaltyAccrualService.calculateInstallmentPenalty(
+        buildInstallment(),
+        { ratePerMonth: 2, gracePeriodDays: 7 },
+        new Date(2025, 0, 15)
+      );
+
+      expect(charge.daysOverdue).toBe(5);
+      expect(charge.penalty).toBe(0);
+    });
+  });
+
+  describe('runAccrual', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    /**
+     * Test loans another instance already claimed for the day are not charged again
+     */
+    it('should only accrue loans it claimed for the day', async () => {
+      const loans = [{ _id: 'loan-claimed' }, { _id: 'loan-taken' }];
+      jest.spyOn(Loan, 'find').mockReturnValue({
+        populate: () => ({
+          cursor: () => (async function* () { yield* loans; })()
+        })
+      });
+      const updateOne = jest.spyOn(Loan, 'updateOne').mockImplementation(({ _id }) => Promise.resolve({
+        modifiedCount: _id === 'loan-claimed' ? 1 : 0
+      }));
+      const accrueLoan = jest.spyOn(penaltyAccrualService, 'accrueLoan').mockResolvedValue({
+        overdueInstallments: 1,
+        totalPenalty: 100
+      });
+
+      const summary = await penaltyAccrualService.runAccrual({ asOf: new Date('2026-10-19T20:00:00Z') });
+
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: 'loan-claimed', penaltyAccrualDay: { $not: { $gte: new Date('2026-10-20T00:00:00Z') } } },
+        { $set: { penaltyAccrualDay: new Date('2026-10-20T00:00:00Z') } }
+      );
+      expect(accrueLoan).toHaveBeenCalledTimes(1);
+      expect(accrueLoan).toHaveBeenCalledWith(loans[0], expect.any(Object));
+      expect(summary).toMatchObject({ loansScanned: 2, loansPenalised: 1, skipped: 1, totalPenalty: 100 });
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Unit Tests for Reconciliation Service
+ * @fileoverview Tests for statement parsing and matching credits to payments
+ */
+
+const mongoose = require('mongoose');
+const reconciliationService = require('../../../services/reconciliationService');
+
+describe('Reconciliation Service', () => {
+  describe('parseStatement', () => {
+    /**
+     * Test CSV credits are read and debits skipped
+     */
+    it('should read the credit lines of a CSV statement', () => {
+      const csv = [
+        'Value Date,Description,Reference,Debit,Credit',
+        '14/03/2025,"Transfer from K. Silva, Kandy",TRX-1001,,"12,500.00"',
+        '15/03/2025,Bank charges,,250.00,',
+        '16/03/2025,Cash deposit,CD77,,8000'
+      ].join('\n');
+
+      const { lines, skippedDebits, periodStart } = reconciliationService.parseStatement(csv, 'csv');
+
+      expect(lines).toHaveLength(2);
+      expect(lines[0]).toMatchObject({ lineNumber: 2, amount: 12500, reference: 'TRX-1001', description: 'Transfer from K. Silva, Kandy' });
+      expect(lines[0].valueDate.toISOString()).toBe('2025-03-14T00:00:00.000Z');
+      expect(skippedDebits).toBe(1);
+      expect(periodStart.toISOString()).toBe('2025-03-14T00:00:00.000Z');
+    });
+
+    /**
+     * Test MT940 :61: credits pick up their reference and :86: details
+     */
+    it('should read the credit lines of an MT940 statement', () => {
+      const mt940 = [
+        ':20:STMT250314',
+        ':25:7010001234',
+        ':60F:C250313LKR100000,00',
+        ':61:2503140314C12500,00NTRFTRX-1001//BNK889',
+        ':86:K SILVA LOAN PAYMENT',
+        ':61:2503150315D250,00NCHGNONREF',
+        ':86:SERVICE CHARGE',
+        ':61:2503160316C8000,NTRFNONREF//CD77',
+        ':62F:C250316LKR120250,00'
+      ].join('\n');
+
+      const statement = reconciliationService.parseStatement(mt940, reconciliationService.detectFormat(mt940));
+
+      expect(statement.accountNumber).toBe('7010001234');
+      expect(statement.skippedDebits).toBe(1);
+      expect(statement.lines).toEqual([
+        expect.objectContaining({ amount: 12500, reference: 'TRX-1001', description: 'K SILVA LOAN PAYMENT' }),
+        expect.objectContaining({ amount: 8000, reference: 'CD77' })
+      ]);
+      expect(statement.periodEnd.toISOString()).toBe('2025-03-16T00:00:00.000Z');
+    });
+  });
+
+  describe('matchLines', () => {
+    const payment = (amount, reference, date) => ({
+      _id: new mongoose.Types.ObjectId(),
+      paymentAmount: amount,
+      referenceNumber: reference,
+      paymentDate: new Date(date)
+    });
+
+    /**
+     * Test exact matches are settled, ambiguous ones proposed and the rest left in suspense
+     */
+    it('should match, propose or suspend each credit', () => {
+      const byReference = payment(12500, 'trx 1001', '2025-03-13');
+      const sameAmountA = payment(8000, null, '2025-03-15');
+      const sameAmountB = payment(8000, null, '2025-03-17');
+      const lines = [
+        { valueDate: new Date('2025-03-14'), amount: 12500, reference: 'TRX-1001' },
+        { valueDate: new Date('2025-03-16'), amount: 8000, description: 'Cash deposit' },
+        { valueDate: new Date('2025-03-16'), amount: 999 }
+      ];
+
+      reconciliationService.matchLines(lines, [byReference, sameAmountA, sameAmountB], { dateToleranceDays: 3 });
+
+      expect(lines[0]).toMatchObject({ status: 'matched', matchType: 'auto', matchedPayment: byReference._id });
+      expect(lines[1].status).toBe('proposed');
+      expect(lines[1].proposals.map(proposal => proposal.payment)).toEqual([sameAmountA._id, sameAmountB._id]);
+      expect(lines[1].proposals[0].matchedOn).toEqual(['amount', 'date']);
+      expect(lines[2]).toMatchObject({ status: 'unmatched', proposals: [] });
+    });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Unit Tests for Restructure Service
+ * @fileoverview Tests for restructured schedule calculation
+ */
+
+const mongoose = require('mongoose');
+const restructureService = require('../../../services/restructureService');
+const scheduleService = require('../../../services/scheduleService');
+const RepaymentSchedule = require('../../../models/RepaymentSchedule');
+
+describe('Restructure Service', () => {
+  const loan = {
+    _id: new mongoose.Types.ObjectId(),
+    loanAmount: 120000,
+    interestRate: 12,
+    loanTerm: 12,
+    interestMethod: 'declining_principal'
+  };
+  const startDate = new Date(2025, 0, 10);
+
+  // Declining principal: 10000 principal per month, interest 1% of the opening balance
+  const buildSchedule = () => new RepaymentSchedule({
+    loanId: loan._id,
+    principal: loan.loanAmount,
+    annualRate: loan.interestRate,
+    termMonths: loan.loanTerm,
+    interestMethod: loan.interestMethod,
+    startDate,
+    installments: scheduleService.buildInstallments(loan, { startDate })
+  });
+
+  const payInstallment = (installment) => {
+    installment.principalPaid = installment.principalDue;
+    installment.interestPaid = installment.interestDue;
+    installment.amountPaid = installment.totalDue;
+  };
+
+  describe('calculateRestructure', () => {
+    /**
+     * Test term extension keeps paid installments and spreads the balance
+     */
+    it('should spread the outstanding principal over the extended term', () => {
+      const schedule = buildSchedule();
+      schedule.installments.slice(0, 6).forEach(payInstallment);
+
+      const effectiveDate = new Date(2025, 6, 15);
+      const result = restructureService.calculateRestructure(schedule, { termExtensionMonths: 6 }, effectiveDate);
+
+      expect(result.installments).toHaveLength(18);
+      expect(result.installments.slice(0, 6).every(installment => installment.status === 'paid')).toBe(true);
+      expect(result.terms.principal).toBe(60000);
+      expect(result.terms.termMonths).toBe(12);
+      expect(result.installments[6].installmentNumber).toBe(7);
+      expect(result.installments[6].principalDue).toBe(5000);
+      expect(result.summary.previous.remainingInstallments).toBe(6);
+      expect(result.summary.arrears.total).toBe(0);
+    });
+
+    /**
+     * Test arrears capitalisation and rate change
+     */
+    it('should add unpaid arrears to the principal when capitalised', () => {
+      const schedule = buildSchedule();
+      schedule.installments.slice(0, 5).forEach(payInstallment);
+      schedule.installments[5].penaltyDue = 100;
+
+      // Installment 6 (due Jul 10) is unpaid
+      const effectiveDate = new Date(2025, 6, 15);
+      const result = restructureService.calculateRestructure(
+        schedule,
+        { capitaliseArrears: true, newInterestRate: 6 },
+        effectiveDate
+      );
+
+      // 70000 principal still owed plus 700 interest and 100 penalty of installment 6
+      expect(result.summary.arrears).toEqual({ interest: 700, fees: 0, penalties: 100, total: 800 });
+      expect(result.summary.capitalisedArrears).toBe(800);
+      expect(result.terms.principal).toBe(70800);
+      expect(result.terms.annualRate).toBe(6);
+      expect(result.installments[5].totalDue).toBe(0);
+      expect(result.installments[6].penaltyDue).toBe(0);
+    });
+
+    /**
+     * Test payment holiday interest and first due date
+     */
+    it('should capitalise holiday interest and start repayments after the holiday', () => {
+      const schedule = buildSchedule();
+      schedule.installments.slice(0, 6).forEach(payInstallment);
+
+      const effectiveDate = new Date(2025, 6, 15);
+      const result = restructureService.calculateRestructure(schedule, { paymentHolidayMonths: 2 }, effectiveDate);
+
+      expect(result.summary.holidayInterest).toBe(1200); // 1% of 60000 for 2 months
+      expect(result.terms.principal).toBe(61200);
+      expect(result.summary.new.firstDueDate).toEqual(new Date(2025, 9, 15));
+    });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Unit Tests for Repayment Schedule Service
+ * @fileoverview Tests for installment building and installment status tracking
+ */
+
+const mongoose = require('mongoose');
+const scheduleService = require('../../../services/scheduleService');
+const RepaymentSchedule = require('../../../models/RepaymentSchedule');
+
+describe('Schedule Service', () => {
+  const loan = {
+    _id: new mongoose.Types.ObjectId(),
+    loanAmount: 120000,
+    interestRate: 12,
+    loanTerm: 12,
+    interestMethod: 'declining_principal'
+  };
+
+  describe('buildInstallments', () => {
+    /**
+     * Test installments include fees and close at zero
+     */
+    it('should build one installment per month including fees', () => {
+      const installments = scheduleService.buildInstallments(loan, {
+        startDate: new Date(2025, 0, 10),
+        feePerInstallment: 100
+      });
+
+      expect(installments).toHaveLength(12);
+      expect(installments[0]).toMatchObject({
+        installmentNumber: 1,
+        principalDue: 10000,
+        interestDue: 1200,
+        feeDue: 100,
+        totalDue: 11300,
+        openingBalance: 120000,
+        closingBalance: 110000,
+        status: 'pending'
+      });
+      expect(installments[11].closingBalance).toBe(0);
+    });
+  });
+
+  describe('refreshStatuses', () => {
+    /**
+     * Test paid, partially paid, overdue and pending statuses
+     */
+    it('should derive installment status from payments and due dates', () => {
+      const installments = scheduleService.buildInstallments(loan, {
+        startDate: new Date(2025, 0, 10)
+      });
+
+      const schedule = new RepaymentSchedule({
+        loanId: loan._id,
+        principal: loan.loanAmount,
+        annualRate: loan.interestRate,
+        termMonths: loan.loanTerm,
+        interestMethod: loan.interestMethod,
+        startDate: new Date(2025, 0, 10),
+        installments
+      });
+
+      schedule.installments[0].amountPaid = schedule.installments[0].totalDue;
+      schedule.installments[1].amountPaid = 500;
+      schedule.installments[2].amountPaid = 500;
+
+      schedule.refreshStatuses(new Date(2025, 2, 20));
+
+      expect(schedule.installments[0].status).toBe('paid');
+      expect(schedule.installments[1].status).toBe('overdue');
+      expect(schedule.installments[2].status).toBe('partially_paid');
+      expect(schedule.installments[3].status).toBe('pending');
+      expect(schedule.getNextDueInstallment().installmentNumber).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Unit Tests for Session Service
+ * @fileoverview Tests for refresh token rotation, reuse detection and session revocation
+ */
+
+const mongoose = require('mongoose');
+const sessionService = require('../../../services/sessionService');
+const { authenticate } = require('../../../middlewares/authMiddleware');
+const cacheService = require('../../../services/cacheService');
+const {
+  generateTokenPair,
+  refreshAccessToken,
+  revokeRefreshToken
+} = require('../../../utils/jwtUtils');
+
+// In-memory stand-in for Redis so the cache store runs without a server
+jest.mock('../../../services/cacheService', () => {
+  const entries = new Map();
+  const copy = (value) => JSON.parse(JSON.stringify(value));
+  return {
+    isConnected: true,
+    entries,
+    set: async (key, value) => { entries.set(key, copy(value)); return true; },
+    get: async (key) => (entries.has(key) ? copy(entries.get(key)) : null)
+  };
+});
+
+describe('Session Service', () => {
+  const user = {
+    _id: new mongoose.Types.ObjectId(),
+    email: 'agent@example.com',
+    role: 'agent'
+  };
+  const getUserById = async () => user;
+  const context = { userAgent: 'jest', ipAddress: '127.0.0.1' };
+
+  let originalStoreType;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-access-secret-that-is-long-enough-123';
+    process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-refresh-secret-that-is-long-enough-456';
+    originalStoreType = sessionService.storeType;
+    sessionService.storeType = 'redis';
+  });
+
+  afterAll(() => {
+    sessionService.storeType = originalStoreType;
+  });
+
+  beforeEach(() => {
+    cacheService.entries.clear();
+    sessionService.activeChecks.clear();
+  });
+
+  /**
+   * Test each refresh issues a new refresh token for the same session
+   */
+  it('should rotate the refresh token on refresh', async () => {
+    const tokens = await generateTokenPair(user, context);
+    const refreshed = await refreshAccessToken(tokens.refreshToken, getUserById, context);
+
+    expect(refreshed.refreshToken).not.toBe(tokens.refreshToken);
+    expect(refreshed.sessionId).toBe(tokens.sessionId);
+
+    const sessions = await sessionService.listSessions(user._id, tokens.sessionId);
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0].current).toBe(true);
+    expect(sessions[0].device.userAgent).toBe('jest');
+  });
+
+  /**
+   * Test reusing a rotated refresh token revokes the whole family
+   */
+  it('should revoke the session when a rotated token is reused', async () => {
+    const tokens = await generateTokenPair(user, context);
+    const refreshed = await refreshAccessToken(tokens.refreshToken, getUserById, context);
+
+    await expect(refreshAccessToken(tokens.refreshToken, getUserById, context))
+      .rejects.toThrow('already been used');
+    // The latest token of the family no longer works either
+    await expect(refreshAccessToken(refreshed.refreshToken, getUserById, context))
+      .rejects.toThrow('Refresh token not found or inactive');
+    expect(await sessionService.listSessions(user._id)).toHaveLength(0);
+  });
+
+  /**
+   * Test a user can only revoke their own sessions
+   */
+  it('should revoke individual sessions of the owner only', async () => {
+    const first = await generateTokenPair(user, context);
+    const second = await generateTokenPair(user, { deviceName: 'Tablet' });
+
+    await expect(sessionService.revokeSession(new mongoose.Types.ObjectId(), first.sessionId))
+      .rejects.toThrow('Session not found');
+
+    await sessionService.revokeSession(user._id, first.sessionId);
+    const sessions = await sessionService.listSessions(user._id);
+
+    expect(sessions.map((s) => s.sessionId)).toEqual([second.sessionId]);
+    expect(await revokeRefreshToken(second.refreshToken)).toBe(true);
+    expect(await sessionService.listSessions(user._id)).toHaveLength(0);
+  });
+
+  /**
+   * Test access tokens stop working once their session is revoked
+   */
+  it('should reject access tokens of a revoked session', async () => {
+    const run = async (token) => {
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+      await authenticate(req, res, next);
+      return { req, res, next };
+    };
+    const first = await generateTokenPair(user, context);
+    const second = await generateTokenPair(user, context);
+
+    const accepted = await run(first.accessToken);
+    expect(accepted.next).toHaveBeenCalled();
+    expect(accepted.req.user.sessionId).toBe(first.sessionId);
+
+    await sessionService.revokeSession(user._id, first.sessionId);
+    const revoked = await run(first.accessToken);
+    expect(revoked.next).not.toHaveBeenCalled();
+    expect(revoked.res.status).toHaveBeenCalledWith(401);
+    expect(revoked.res.json.mock.calls[0][0].error.code).toBe('SESSION_REVOKED');
+
+    expect((await run(second.accessToken)).next).toHaveBeenCalled();
+    await sessionService.revokeUserSessions(user._id);
+    expect((await run(second.accessToken)).next).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Unit Tests for Settlement Service
+ * @fileoverview Tests for payoff quote calculation and early settlement rules
+ */
+
+const mongoose = require('mongoose');
+const settlementService = require('../../../services/settlementService');
+const scheduleService = require('../../../services/scheduleService');
+const paymentAllocationService = require('../../../services/paymentAllocationService');
+const RepaymentSchedule = require('../../../models/RepaymentSchedule');
+const Loan = require('../../../models/Loan');
+const Payment = require('../../../models/Payment');
+
+describe('Settlement Service', () => {
+  const loan = {
+    _id: new mongoose.Types.ObjectId(),
+    loanAmount: 120000,
+    interestRate: 12,
+    loanTerm: 12,
+    interestMethod: 'declining_principal',
+    product: 'Personal Loan'
+  };
+  const startDate = new Date(2025, 0, 10);
+
+  // Declining principal: 10000 principal per month, interest 1% of the opening balance
+  const buildSchedule = () => new RepaymentSchedule({
+    loanId: loan._id,
+    principal: loan.loanAmount,
+    annualRate: loan.interestRate,
+    termMonths: loan.loanTerm,
+    interestMethod: loan.interestMethod,
+    startDate,
+    installments: scheduleService.buildInstallments(loan, { startDate })
+  });
+
+  const payInstallment = (installment) => {
+    installment.principalPaid = installment.principalDue;
+    installment.interestPaid = installment.interestDue;
+    installment.amountPaid = installment.totalDue;
+  };
+
+  describe('calculatePayoff', () => {
+    /**
+     * Test payoff after the lock-in period
+     */
+    it('should charge principal and interest earned so far without a penalty after the lock-in', () => {
+      const schedule = buildSchedule();
+      schedule.installments.slice(0, 6).forEach(payInstallment);
+
+      // Halfway through the 7th period (Jul 10 - Aug 10)
+      const asOf = new Date(2025, 6, 25, 12);
+      const payoff = settlementService.calculatePayoff(schedule, { lockInMonths: 6, prepaymentPenaltyRate: 2 }, asOf);
+
+      expect(payoff.outstandingPrincipal).toBe(60000);
+      expect(payoff.accruedInterest).toBeCloseTo(300, 0); // half of 600
+      expect(payoff.prepaymentPenalty).toBe(0);
+      expect(payoff.withinLockIn).toBe(false);
+      expect(payoff.interestRebate).toBeCloseTo(2100 - payoff.accruedInterest, 2); // 600+500+...+100 = 2100
+      expect(payoff.totalPayoff).toBeCloseTo(60000 + payoff.accruedInterest, 2);
+    });
+
+    /**
+     * Test prepayment penalty within the lock-in period and overdue amounts
+     */
+    it('should add overdue amounts and a prepayment penalty within the lock-in', () => {
+      const schedule = buildSchedule();
+      schedule.installments[0].penaltyDue = 50;
+
+      // Installment 1 overdue, 2 days into period 2
+      const asOf = new Date(2025, 1, 10);
+      const payoff = settlementService.calculatePayoff(schedule, { lockInMonths: 6, prepaymentPenaltyRate: 2 }, asOf);
+
+      expect(payoff.outstandingPrincipal).toBe(120000);
+      expect(payoff.accruedInterest).toBe(1200); // installment 1 fell due on Feb 10
+      expect(payoff.unpaidPenalties).toBe(50);
+      expect(payoff.withinLockIn).toBe(true);
+      expect(payoff.prepaymentPenalty).toBe(2400);
+      expect(payoff.totalPayoff).toBe(120000 + 1200 + 50 + 2400);
+    });
+  });
+
+  describe('resolveSettlementRule', () => {
+    /**
+     * Test rule precedence
+     */
+    it('should prefer product rules, then region rules, then the default', () => {
+      const region = {
+        configuration: {
+          earlySettlement: {
+            lockInMonths: 3,
+            prepaymentPenaltyRate: 1,
+            productRules: [{ product: 'Home Loan', prepaymentPenaltyRate: 4 }]
+          }
+        }
+      };
+
+      expect(settlementService.resolveSettlementRule({ product: 'Home Loan' }, region))
+        .toEqual({ lockInMonths: 3, prepaymentPenaltyRate: 4, source: 'product' });
+      expect(settlementService.resolveSettlementRule(loan, region))
+        .toEqual({ lockInMonths: 3, prepaymentPenaltyRate: 1, source: 'region' });
+      expect(settlementService.resolveSettlementRule(loan, null))
+        .toEqual({ lockInMonths: 6, prepaymentPenaltyRate: 2, source: 'default' });
+    });
+  });
+
+  describe('settleLoan', () => {
+    const paymentData = { paymentAmount: 200000, paymentDate: new Date(2025, 5, 1), paymentMethod: 'bank_transfer' };
+    const staffId = new mongoose.Types.ObjectId().toString();
+    let current;
+
+    beforeEach(() => {
+      current = buildSchedule();
+      jest.spyOn(Loan, 'findById').mockReturnValue({
+        populate: () => Promise.resolve({ ...loan, loanStatus: 'Active', clientUserId: new mongoose.Types.ObjectId() })
+      });
+      jest.spyOn(scheduleService, 'getCurrentSchedule').mockResolvedValue(current);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    /**
+     * Test a loan another settlement has claimed is left alone
+     */
+    it('should not settle a loan that is already being settled', async () => {
+      const claim = jest.spyOn(Loan, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+      const revise = jest.spyOn(scheduleService, 'reviseSchedule');
+
+      await expect(settlementService.settleLoan(loan._id, paymentData, staffId))
+        .rejects.toMatchObject({ errorCode: 'CONFLICT_ERROR' });
+      expect(claim).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: loan._id, loanStatus: 'Active' }),
+        { $set: { settlementClaimedAt: expect.any(Date) } }
+      );
+      expect(revise).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test a failed verification restores the schedule and releases the loan
+     */
+    it('should restore the previous schedule when the payment cannot be verified', async () => {
+      const updateLoan = jest.spyOn(Loan, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      const revised = buildSchedule();
+      jest.spyOn(scheduleService, 'reviseSchedule').mockResolvedValue(revised);
+      const restore = jest.spyOn(scheduleService, 'restoreSchedule').mockResolvedValue(current);
+      const payment = new Payment({ loanId: loan._id, clientId: new mongoose.Types.ObjectId(), paymentAmount: 200000, paymentMethod: 'bank_transfer' });
+      jest.spyOn(Payment, 'create').mockResolvedValue(payment);
+      jest.spyOn(Payment, 'findById').mockResolvedValue(payment);
+      const reject = jest.spyOn(payment, 'reject').mockResolvedValue(payment);
+      jest.spyOn(paymentAllocationService, 'verifyPayment').mockRejectedValue(new Error('Schedule write failed'));
+
+      await expect(settlementService.settleLoan(loan._id, paymentData, staffId))
+        .rejects.toThrow('Schedule write failed');
+
+      expect(restore).toHaveBeenCalledWith(current, revised, 'Early settlement failed');
+      expect(reject).toHaveBeenCalledWith(staffId, 'Early settlement failed: Schedule write failed');
+      expect(updateLoan).toHaveBeenLastCalledWith({ _id: loan._id }, { $unset: { settlementClaimedAt: 1 } });
+    });
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Unit Tests for Two-Factor Service
+ * @fileoverview Tests for code checks, replay protection and recovery codes
+ */
+
+const twoFactorService = require('../../../services/twoFactorService');
+const { authenticate } = require('../../../middlewares/authMiddleware');
+const { generateAccessToken } = require('../../../utils/jwtUtils');
+const { generateSecret, generateTotp } = require('../../../utils/totp');
+
+describe('Two-Factor Service', () => {
+  const secret = generateSecret();
+  let staff;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-access-secret-that-is-long-enough-123';
+  });
+
+  beforeEach(() => {
+    const { hashes } = twoFactorService.generateRecoveryCodes();
+    staff = {
+      _id: 'staff123',
+      role: 'regional_manager',
+      security: {
+        twoFactorEnabled: true,
+        twoFactorSecret: twoFactorService.encryptSecret(secret),
+        twoFactorRecoveryCodes: hashes
+      }
+    };
+  });
+
+  /**
+   * Test a TOTP code is accepted once
+   */
+  it('should reject a TOTP code that was already used', () => {
+    const code = generateTotp(secret);
+
+    expect(twoFactorService.checkCode(staff, { code })).toBe('totp');
+    expect(twoFactorService.checkCode(staff, { code })).toBeNull();
+    const wrongCode = String((Number(code) + 500000) % 1000000).padStart(6, '0');
+    expect(twoFactorService.checkCode(staff, { code: wrongCode })).toBeNull();
+  });
+
+  /**
+   * Test recovery codes are single use and ignore formatting
+   */
+  it('should accept each recovery code once', () => {
+    const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+    staff.security.twoFactorRecoveryCodes = hashes;
+
+    expect(codes).toHaveLength(10);
+    expect(twoFactorService.checkCode(staff, { recoveryCode: codes[0].toUpperCase() })).toBe('recovery_code');
+    expect(twoFactorService.checkCode(staff, { recoveryCode: codes[0] })).toBeNull();
+    expect(twoFactorService.countRemainingCodes(staff)).toBe(9);
+  });
+
+  /**
+   * Test challenge tokens are bound to their purpose
+   */
+  it('should only accept challenges for the expected purpose', () => {
+    const challenge = twoFactorService.createChallenge(staff, 'enrol');
+
+    expect(twoFactorService.verifyChallenge(challenge, 'enrol').userId).toBe('staff123');
+    expect(() => twoFactorService.verifyChallenge(challenge, 'verify')).toThrow('Invalid or expired two-factor challenge');
+  });
+
+  /**
+   * Test a challenge token cannot be used as an access token
+   */
+  it('should reject challenge tokens in authenticate', async () => {
+    const run = async (token) => {
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+      await authenticate(req, res, next);
+      return { req, res, next };
+    };
+
+    const admin = { _id: 'staff123', email: 'admin@paysync.lk', role: 'super_admin' };
+    const rejected = await run(twoFactorService.createChallenge(admin, 'verify'));
+    expect(rejected.next).not.toHaveBeenCalled();
+    expect(rejected.res.status).toHaveBeenCalledWith(401);
+
+    const accepted = await run(generateAccessToken(admin));
+    expect(accepted.next).toHaveBeenCalled();
+    expect(accepted.req.user.role).toBe('super_admin');
+  });
+});
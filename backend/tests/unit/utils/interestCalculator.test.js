@@ -0,0 +1,180 @@
+/**
+ * Unit Tests for Interest Calculator
+ * @fileoverview Tests for the shared interest calculation methods
+ */
+
+const {
+  INTEREST_METHODS,
+  calculateInstallment,
+  generateSchedule,
+  calculateLoanSummary,
+  getInstallmentCount,
+  termFitsFrequency
+} = require('../../../utils/interestCalculator');
+
+describe('Interest Calculator', () => {
+  describe('calculateInstallment', () => {
+    /**
+     * Test reducing balance (EMI) installment
+     */
+    it('should calculate reducing balance installment', () => {
+      const installment = calculateInstallment(100000, 12, 12, INTEREST_METHODS.REDUCING_BALANCE);
+
+      expect(installment).toBeCloseTo(8884.88, 2);
+    });
+
+    /**
+     * Test flat rate installment
+     */
+    it('should calculate flat rate installment', () => {
+      const installment = calculateInstallment(120000, 12, 12, INTEREST_METHODS.FLAT);
+
+      expect(installment).toBe(11200); // (120000 + 14400) / 12
+    });
+
+    /**
+     * Test declining principal first installment
+     */
+    it('should return the first installment for declining principal', () => {
+      const installment = calculateInstallment(120000, 12, 12, INTEREST_METHODS.DECLINING_PRINCIPAL);
+
+      expect(installment).toBe(11200); // 10000 principal + 1200 interest
+    });
+
+    /**
+     * Test fallback to default method
+     */
+    it('should fall back to reducing balance for unknown methods', () => {
+      expect(calculateInstallment(100000, 12, 12, 'unknown')).toBeCloseTo(8884.88, 2);
+    });
+
+    /**
+     * Test zero interest
+     */
+    it('should split principal evenly with zero interest', () => {
+      expect(calculateInstallment(120000, 0, 12)).toBe(10000);
+    });
+  });
+
+  describe('generateSchedule', () => {
+    /**
+     * Test schedule closes at zero for every method
+     */
+    it.each(Object.values(INTEREST_METHODS))('should close the balance at zero for %s', (method) => {
+      const schedule = generateSchedule({
+        principal: 100000,
+        annualRate: 15,
+        termMonths: 18,
+        method,
+        startDate: new Date(2025, 0, 31)
+      });
+
+      const totalPrincipal = schedule.reduce((sum, row) => sum + row.principal, 0);
+
+      expect(schedule).toHaveLength(18);
+      expect(schedule[schedule.length - 1].balance).toBe(0);
+      expect(totalPrincipal).toBeCloseTo(100000, 2);
+    });
+
+    /**
+     * Test due dates clamp to end of month
+     */
+    it('should clamp due dates to the end of shorter months', () => {
+      const schedule = generateSchedule({
+        principal: 10000,
+        annualRate: 12,
+        termMonths: 2,
+        startDate: new Date(2025, 0, 31)
+      });
+
+      expect(schedule[0].dueDate.getMonth()).toBe(1);
+      expect(schedule[0].dueDate.getDate()).toBe(28);
+      expect(schedule[1].dueDate.getDate()).toBe(31);
+    });
+
+    /**
+     * Test weekly and quarterly schedules
+     */
+    it('should space installments by the repayment frequency', () => {
+      const weekly = generateSchedule({
+        principal: 52000,
+        annualRate: 0,
+        termMonths: 12,
+        frequency: 'Weekly',
+        startDate: new Date(2025, 0, 1)
+      });
+      const quarterly = generateSchedule({
+        principal: 100000,
+        annualRate: 12,
+        termMonths: 12,
+        frequency: 'Quarterly',
+        startDate: new Date(2025, 0, 31)
+      });
+
+      expect(weekly).toHaveLength(52);
+      expect(weekly[0].payment).toBe(1000);
+      expect(weekly[1].dueDate).toEqual(new Date(2025, 0, 15));
+      expect(quarterly).toHaveLength(4);
+      expect(quarterly[0].interest).toBe(3000); // 12% / 4 on 100000
+      expect(quarterly[0].dueDate).toEqual(new Date(2025, 3, 30));
+      expect(quarterly[3].balance).toBe(0);
+    });
+
+    /**
+     * Test terms that are not a whole number of periods are recognised
+     */
+    it('should only fit terms of whole repayment periods', () => {
+      expect(termFitsFrequency(18, 'Annually')).toBe(false);
+      expect(termFitsFrequency(4, 'Quarterly')).toBe(false);
+      expect(termFitsFrequency(8, 'Semi-annually')).toBe(false);
+      expect(termFitsFrequency(24, 'Annually')).toBe(true);
+      expect(termFitsFrequency(18, 'Semi-annually')).toBe(true);
+      expect(termFitsFrequency(7, 'Monthly')).toBe(true);
+      expect(termFitsFrequency(5, 'Weekly')).toBe(true);
+    });
+  });
+
+  describe('calculateLoanSummary', () => {
+    /**
+     * Test totals for flat and declining principal methods
+     */
+    it('should calculate totals consistently with the schedule', () => {
+      const flat = calculateLoanSummary({
+        principal: 120000,
+        annualRate: 12,
+        termMonths: 12,
+        method: INTEREST_METHODS.FLAT
+      });
+      const declining = calculateLoanSummary({
+        principal: 120000,
+        annualRate: 12,
+        termMonths: 12,
+        method: INTEREST_METHODS.DECLINING_PRINCIPAL
+      });
+
+      expect(flat.totalInterest).toBe(14400);
+      expect(flat.totalPayable).toBe(134400);
+      expect(declining.totalInterest).toBe(7800); // 1% of 120000 + 110000 + ... + 10000
+      expect(declining.totalPayable).toBe(127800);
+    });
+
+    /**
+     * Test per-period installments for non-monthly frequencies
+     */
+    it('should report the installment per repayment period', () => {
+      const weekly = calculateLoanSummary({
+        principal: 120000,
+        annualRate: 12,
+        termMonths: 12,
+        method: INTEREST_METHODS.FLAT,
+        frequency: 'Bi-weekly'
+      });
+
+      expect(getInstallmentCount(18, 'Quarterly')).toBe(6);
+      expect(weekly.frequency).toBe('Bi-weekly');
+      expect(weekly.installmentCount).toBe(26);
+      expect(weekly.installmentAmount).toBe(5169.23); // 134400 / 26
+      expect(weekly.totalInterest).toBe(14400);
+    });
+  });
+});
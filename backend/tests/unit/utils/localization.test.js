@@ -0,0 +1,64 @@
+/**
+ * Unit Tests for Localization
+ * @fileoverview Tests for language resolution and catalogue lookups
+ */
+
+const {
+  resolveLanguage,
+  getClientLanguage,
+  translate,
+  getSection
+} = require('../../../utils/localization');
+const { splitScriptRuns } = require('../../../utils/pdfFonts');
+
+describe('Localization', () => {
+  describe('resolveLanguage', () => {
+    /**
+     * Test codes, client preferences and unknown values
+     */
+    it('should accept language codes and client preferences', () => {
+      expect(resolveLanguage('si')).toBe('si');
+      expect(resolveLanguage('tamil')).toBe('ta');
+      expect(resolveLanguage('French')).toBe('en');
+      expect(resolveLanguage()).toBe('en');
+      expect(getClientLanguage({ preferences: { preferredLanguage: 'sinhala' } })).toBe('si');
+      expect(getClientLanguage(null)).toBe('en');
+    });
+  });
+
+  describe('translate', () => {
+    /**
+     * Test interpolation and English fallback
+     */
+    it('should interpolate values and fall back to English', () => {
+      expect(translate('ta', 'agreement.loanDetails.loanTerm', { term: 12 })).toBe('கடன் காலம்: 12 மாதங்கள்');
+      // The company name is only kept in the English catalogue
+      expect(translate('si', 'agreement.company.name')).toBe('PaySync Microfinance Ltd.');
+      expect(translate('si', 'statuses.unknown', {}, 'unknown')).toBe('unknown');
+      expect(translate('si', 'agreement.terms.items')).toHaveLength(10);
+    });
+
+    /**
+     * Test sections fill missing keys from English
+     */
+    it('should fill missing section keys from English', () => {
+      const section = getSection('si', 'agreement.schedule.columns');
+
+      expect(section.number).toBe('#');
+      expect(section.principal).toBe('මූලික');
+    });
+  });
+
+  describe('splitScriptRuns', () => {
+    /**
+     * Test mixed script text is split for font switching
+     */
+    it('should split mixed text into script runs', () => {
+      expect(splitScriptRuns('ණය මුදල: LKR 50,000')).toEqual([
+        { script: 'sinhala', text: 'ණය මුදල' },
+        { script: 'latin', text: ': LKR 50,000' }
+      ]);
+      expect(splitScriptRuns('Loan Amount')).toEqual([{ script: 'latin', text: 'Loan Amount' }]);
+    });
+  });
+});
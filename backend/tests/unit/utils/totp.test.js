@@ -0,0 +1,54 @@
+/**
+ * Unit Tests for TOTP
+ * @fileoverview Tests for one-time password generation against the RFC 6238 vectors
+ */
+
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpAuthUri
+} = require('../../../utils/totp');
+
+describe('TOTP', () => {
+  // RFC 6238 SHA-1 test secret "12345678901234567890"
+  const secret = base32Encode(Buffer.from('12345678901234567890'));
+
+  /**
+   * Test codes match the RFC test vectors (last six digits)
+   */
+  it('should generate the RFC 6238 codes', () => {
+    expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(generateTotp(secret, 59 * 1000)).toBe('287082');
+    expect(generateTotp(secret, 1111111109 * 1000)).toBe('081804');
+    expect(generateTotp(secret, 2000000000 * 1000)).toBe('279037');
+  });
+
+  /**
+   * Test verification accepts one step of clock drift only
+   */
+  it('should verify codes within the drift window', () => {
+    const now = 1111111109 * 1000;
+    const code = generateTotp(secret, now);
+
+    expect(verifyTotp(secret, code, { timestamp: now })).toBe(Math.floor(1111111109 / 30));
+    expect(verifyTotp(secret, code, { timestamp: now + 30 * 1000 })).not.toBeNull();
+    expect(verifyTotp(secret, code, { timestamp: now + 90 * 1000 })).toBeNull();
+    expect(verifyTotp(secret, 'abcdef', { timestamp: now })).toBeNull();
+  });
+
+  /**
+   * Test secrets round trip and the otpauth URI format
+   */
+  it('should build secrets and otpauth URIs', () => {
+    const generated = generateSecret();
+
+    expect(generated).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Encode(base32Decode(generated))).toBe(generated);
+    expect(buildOtpAuthUri(secret, 'admin@paysync.lk')).toBe(
+      'otpauth://totp/PaySync%3Aadmin%40paysync.lk?secret=GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ&issuer=PaySync&algorithm=SHA1&digits=6&period=30'
+    );
+  });
+});
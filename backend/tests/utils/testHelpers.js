@@ -17,7 +17,11 @@ const Region = require('../../models/Region');
  * @returns {string} JWT token
  */
 const generateTestToken = (payload, secret = 'test-secret') => {
-  return jwt.sign(payload, secret, { expiresIn: '1h' });
+  return jwt.sign(payload, secret, {
+    expiresIn: '1h',
+    issuer: 'paysync-backend',
+    audience: 'paysync-client'
+  });
 };
 
 /**
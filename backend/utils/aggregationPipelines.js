@@ -474,7 +474,7 @@ const clientRiskPipeline = (filters = {}) => {
   }
 
   if (filters.riskLevel) {
-    matchStage['client.riskProfile.level'] = filters.riskLevel;
+    matchStage['client.riskProfile.riskLevel'] = filters.riskLevel;
   }
 
   if (Object.keys(matchStage).length > 0) {
@@ -486,7 +486,7 @@ const clientRiskPipeline = (filters = {}) => {
     $group: {
       _id: '$client._id',
       clientName: { $first: '$client.personalInfo.fullName' },
-      riskLevel: { $first: '$client.riskProfile.level' },
+      riskLevel: { $first: '$client.riskProfile.riskLevel' },
       riskScore: { $first: '$client.riskProfile.score' },
       totalLoans: { $sum: 1 },
       totalBorrowed: { $sum: '$loanAmount' },
@@ -0,0 +1,348 @@
+/**
+ * @fileoverview Interest Calculator - Shared loan interest and installment calculations
+ * @module utils/interestCalculator
+ *
+ * Every place that shows loan figures (Loan model, agreement PDFs, mobile API,
+ * business rule validators) must go through this module so that a loan has a
+ * single set of numbers everywhere.
+ */
+
+/**
+ * Supported interest calculation methods
+ * @readonly
+ * @enum {string}
+ */
+const INTEREST_METHODS = {
+  // Interest charged on the original principal for the whole term
+  FLAT: 'flat',
+  // Equal installments (EMI), interest charged on the outstanding balance
+  REDUCING_BALANCE: 'reducing_balance',
+  // Equal principal portions, interest charged on the outstanding balance
+  DECLINING_PRINCIPAL: 'declining_principal'
+};
+
+const DEFAULT_INTEREST_METHOD = INTEREST_METHODS.REDUCING_BALANCE;
+
+/**
+ * Length of each repayment period. Loan terms stay in months; the number of
+ * installments follows from the frequency.
+ * @readonly
+ */
+const FREQUENCY_PERIODS = {
+  'Weekly': { periodsPerYear: 52, days: 7 },
+  'Bi-weekly': { periodsPerYear: 26, days: 14 },
+  'Monthly': { periodsPerYear: 12, months: 1 },
+  'Quarterly': { periodsPerYear: 4, months: 3 },
+  'Semi-annually': { periodsPerYear: 2, months: 6 },
+  'Annually': { periodsPerYear: 1, months: 12 }
+};
+
+/**
+ * Supported repayment frequencies
+ * @readonly
+ * @type {Array<string>}
+ */
+const REPAYMENT_FREQUENCIES = Object.keys(FREQUENCY_PERIODS);
+
+const DEFAULT_REPAYMENT_FREQUENCY = 'Monthly';
+
+/**
+ * Round a monetary amount to 2 decimal places
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+const roundCurrency = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+/**
+ * Resolve an interest method, falling back to the default for unknown values
+ * @param {string} [method] - Requested interest method
+ * @returns {string} A valid interest method
+ */
+const resolveMethod = (method) => {
+  return Object.values(INTEREST_METHODS).includes(method) ? method : DEFAULT_INTEREST_METHOD;
+};
+
+/**
+ * Resolve a repayment frequency, falling back to monthly for unknown values
+ * @param {string} [frequency] - Requested repayment frequency
+ * @returns {string} A valid repayment frequency
+ */
+const resolveFrequency = (frequency) => {
+  return FREQUENCY_PERIODS[frequency] ? frequency : DEFAULT_REPAYMENT_FREQUENCY;
+};
+
+/**
+ * Number of installments of a loan term
+ * @param {number} termMonths - Loan term in months
+ * @param {string} [frequency='Monthly'] - Repayment frequency
+ * @returns {number} Installment count, at least one for a positive term
+ *
+ * @example
+ * getInstallmentCount(12, 'Weekly'); // 52
+ * getInstallmentCount(12, 'Quarterly'); // 4
+ */
+const getInstallmentCount = (termMonths, frequency = DEFAULT_REPAYMENT_FREQUENCY) => {
+  const term = parseInt(termMonths, 10);
+  if (!term || term <= 0) return 0;
+
+  const { periodsPerYear } = FREQUENCY_PERIODS[resolveFrequency(frequency)];
+  return Math.max(1, Math.round((term * periodsPerYear) / 12));
+};
+
+/**
+ * Loan term in months covered by a number of installments
+ * @param {number} installmentCount - Number of installments
+ * @param {string} [frequency='Monthly'] - Repayment frequency
+ * @returns {number} Term in whole months
+ */
+const getTermMonths = (installmentCount, frequency = DEFAULT_REPAYMENT_FREQUENCY) => {
+  const { periodsPerYear } = FREQUENCY_PERIODS[resolveFrequency(frequency)];
+  return Math.max(1, Math.round((installmentCount * 12) / periodsPerYear));
+};
+
+/**
+ * Whether a loan term is a whole number of repayment periods. Weekly and
+ * bi-weekly installments are spread over any term; quarterly and longer
+ * periods have to fit it exactly, or the installment count would be rounded.
+ * @param {number} termMonths - Loan term in months
+ * @param {string} [frequency='Monthly'] - Repayment frequency
+ * @returns {boolean} True when the term fits the frequency
+ *
+ * @example
+ * termFitsFrequency(18, 'Annually'); // false
+ * termFitsFrequency(18, 'Semi-annually'); // true
+ */
+const termFitsFrequency = (termMonths, frequency = DEFAULT_REPAYMENT_FREQUENCY) => {
+  const { months } = FREQUENCY_PERIODS[resolveFrequency(frequency)];
+  return !months || parseInt(termMonths, 10) % months === 0;
+};
+
+/**
+ * Add a number of months to a date, clamping to the last day of the target month
+ * @param {Date} date - Base date
+ * @param {number} months - Months to add
+ * @returns {Date} New date
+ */
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getDate();
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(day, lastDay));
+  return result;
+};
+
+/**
+ * Add a number of repayment periods to a date
+ * @param {Date} date - Base date
+ * @param {number} periods - Periods to add
+ * @param {string} [frequency='Monthly'] - Repayment frequency
+ * @returns {Date} New date
+ */
+const addPeriods = (date, periods, frequency = DEFAULT_REPAYMENT_FREQUENCY) => {
+  const period = FREQUENCY_PERIODS[resolveFrequency(frequency)];
+  if (period.months) {
+    return addMonths(date, periods * period.months);
+  }
+
+  const result = new Date(date);
+  result.setDate(result.getDate() + periods * period.days);
+  return result;
+};
+
+/**
+ * Calculate the regular installment amount for a loan
+ * @param {number} principal - Loan amount
+ * @param {number} annualRate - Annual interest rate (percentage)
+ * @param {number} termMonths - Loan term in months
+ * @param {string} [method='reducing_balance'] - Interest calculation method
+ * @param {string} [frequency='Monthly'] - Repayment frequency
+ * @returns {number} Installment amount per repayment period. For declining
+ * principal loans this is the first (largest) installment.
+ *
+ * @example
+ * calculateInstallment(100000, 12, 12); // 8884.88
+ * calculateInstallment(100000, 12, 12, 'flat'); // 9333.33
+ * calculateInstallment(100000, 12, 12, 'flat', 'Weekly'); // 2153.85
+ */
+const calculateInstallment = (
+  principal,
+  annualRate,
+  termMonths,
+  method = DEFAULT_INTEREST_METHOD,
+  frequency = DEFAULT_REPAYMENT_FREQUENCY
+) => {
+  const amount = Number(principal) || 0;
+  const rate = Number(annualRate) || 0;
+  const count = getInstallmentCount(termMonths, frequency);
+
+  if (!count) return 0;
+
+  const { periodsPerYear } = FREQUENCY_PERIODS[resolveFrequency(frequency)];
+  const periodRate = rate / 100 / periodsPerYear;
+
+  switch (resolveMethod(method)) {
+    case INTEREST_METHODS.FLAT:
+      return roundCurrency((amount + amount * (rate / 100) * (count / periodsPerYear)) / count);
+
+    case INTEREST_METHODS.DECLINING_PRINCIPAL:
+      return roundCurrency(amount / count + amount * periodRate);
+
+    case INTEREST_METHODS.REDUCING_BALANCE:
+    default: {
+      if (periodRate === 0) return roundCurrency(amount / count);
+
+      const factor = Math.pow(1 + periodRate, count);
+      return roundCurrency(amount * (periodRate * factor) / (factor - 1));
+    }
+  }
+};
+
+/**
+ * Generate the full repayment schedule for a loan
+ * @param {Object} params - Schedule parameters
+ * @param {number} params.principal - Loan amount
+ * @param {number} params.annualRate - Annual interest rate (percentage)
+ * @param {number} params.termMonths - Loan term in months
+ * @param {string} [params.method='reducing_balance'] - Interest calculation method
+ * @param {string} [params.frequency='Monthly'] - Repayment frequency
+ * @param {Date} [params.startDate=new Date()] - Date the first period starts from
+ * @returns {Array<Object>} Schedule rows with installmentNumber, dueDate,
+ * principal, interest, payment and balance. The last row absorbs rounding
+ * differences so the balance always closes at zero and flat interest adds up
+ * to its total.
+ */
+const generateSchedule = ({
+  principal,
+  annualRate,
+  termMonths,
+  method = DEFAULT_INTEREST_METHOD,
+  frequency = DEFAULT_REPAYMENT_FREQUENCY,
+  startDate = new Date()
+}) => {
+  const amount = Number(principal) || 0;
+  const rate = Number(annualRate) || 0;
+  const resolvedMethod = resolveMethod(method);
+  const resolvedFrequency = resolveFrequency(frequency);
+  const count = getInstallmentCount(termMonths, resolvedFrequency);
+
+  if (!count || amount <= 0) return [];
+
+  const { periodsPerYear } = FREQUENCY_PERIODS[resolvedFrequency];
+  const periodRate = rate / 100 / periodsPerYear;
+  const installment = calculateInstallment(amount, rate, termMonths, resolvedMethod, resolvedFrequency);
+  const totalFlatInterest = roundCurrency(amount * (rate / 100) * (count / periodsPerYear));
+  const flatInterest = roundCurrency(totalFlatInterest / count);
+  const equalPrincipal = roundCurrency(amount / count);
+
+  const schedule = [];
+  let balance = amount;
+
+  for (let i = 1; i <= count; i++) {
+    let interest;
+    let principalPortion;
+
+    switch (resolvedMethod) {
+      case INTEREST_METHODS.FLAT:
+        interest = i === count
+          ? roundCurrency(totalFlatInterest - flatInterest * (count - 1))
+          : flatInterest;
+        principalPortion = roundCurrency(installment - interest);
+        break;
+
+      case INTEREST_METHODS.DECLINING_PRINCIPAL:
+        interest = roundCurrency(balance * periodRate);
+        principalPortion = equalPrincipal;
+        break;
+
+      case INTEREST_METHODS.REDUCING_BALANCE:
+      default:
+        interest = roundCurrency(balance * periodRate);
+        principalPortion = roundCurrency(installment - interest);
+        break;
+    }
+
+    // Final installment clears whatever is left after rounding
+    if (i === count) {
+      principalPortion = roundCurrency(balance);
+    }
+
+    balance = roundCurrency(balance - principalPortion);
+
+    schedule.push({
+      installmentNumber: i,
+      dueDate: addPeriods(startDate, i, resolvedFrequency),
+      principal: principalPortion,
+      interest,
+      payment: roundCurrency(principalPortion + interest),
+      balance: Math.max(0, balance)
+    });
+  }
+
+  return schedule;
+};
+
+/**
+ * Calculate summary figures for a loan
+ * @param {Object} params - Loan parameters
+ * @param {number} params.principal - Loan amount
+ * @param {number} params.annualRate - Annual interest rate (percentage)
+ * @param {number} params.termMonths - Loan term in months
+ * @param {string} [params.method='reducing_balance'] - Interest calculation method
+ * @param {string} [params.frequency='Monthly'] - Repayment frequency
+ * @returns {Object} Summary with method, frequency, installmentCount,
+ * installmentAmount, totalInterest and totalPayable
+ *
+ * @example
+ * const summary = calculateLoanSummary({ principal: 100000, annualRate: 12, termMonths: 12 });
+ * // { method: 'reducing_balance', frequency: 'Monthly', installmentCount: 12,
+ * //   installmentAmount: 8884.88, totalInterest: 6618.55, totalPayable: 106618.55 }
+ */
+const calculateLoanSummary = ({
+  principal,
+  annualRate,
+  termMonths,
+  method = DEFAULT_INTEREST_METHOD,
+  frequency = DEFAULT_REPAYMENT_FREQUENCY
+}) => {
+  const resolvedMethod = resolveMethod(method);
+  const resolvedFrequency = resolveFrequency(frequency);
+  const schedule = generateSchedule({
+    principal,
+    annualRate,
+    termMonths,
+    method: resolvedMethod,
+    frequency: resolvedFrequency
+  });
+
+  const totalInterest = roundCurrency(schedule.reduce((sum, row) => sum + row.interest, 0));
+  const totalPayable = roundCurrency(schedule.reduce((sum, row) => sum + row.payment, 0));
+
+  return {
+    method: resolvedMethod,
+    frequency: resolvedFrequency,
+    installmentCount: schedule.length,
+    installmentAmount: calculateInstallment(principal, annualRate, termMonths, resolvedMethod, resolvedFrequency),
+    totalInterest,
+    totalPayable
+  };
+};
+
+module.exports = {
+  INTEREST_METHODS,
+  DEFAULT_INTEREST_METHOD,
+  FREQUENCY_PERIODS,
+  REPAYMENT_FREQUENCIES,
+  DEFAULT_REPAYMENT_FREQUENCY,
+  resolveFrequency,
+  getInstallmentCount,
+  getTermMonths,
+  termFitsFrequency,
+  calculateInstallment,
+  generateSchedule,
+  calculateLoanSummary,
+  roundCurrency,
+  addMonths,
+  addPeriods
+};
@@ -1,18 +1,23 @@
 // utils/jwtUtils.js
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { generateJWTPayload } = require('./permissions');
+const sessionService = require('../services/sessionService');
 
-// Token storage (in production, use Redis)
-const refreshTokenStore = new Map();
+const getRefreshSecret = () => process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
 
 /**
  * Generate access token
  * @param {Object} user - User object from database
+ * @param {string} [sessionId] - Refresh session the token belongs to
  * @returns {string} JWT access token
  */
-function generateAccessToken(user) {
+function generateAccessToken(user, sessionId = null) {
   const payload = generateJWTPayload(user);
+  if (sessionId) {
+    payload.sid = sessionId;
+  }
 
   return jwt.sign(payload, process.env.JWT_SECRET, {
     expiresIn: process.env.JWT_EXPIRES_IN || '35m',
@@ -22,47 +27,74 @@ function generateAccessToken(user) {
 }
 
 /**
- * Generate refresh token
+ * Sign a refresh token of a session
  * @param {Object} user - User object from database
- * @returns {string} JWT refresh token
+ * @param {string} sessionId - Session (token family) id
+ * @returns {Object} Token, its id (jti) and expiry
  */
-function generateRefreshToken(user) {
+function signRefreshToken(user, sessionId) {
+  const tokenId = crypto.randomUUID();
   const payload = {
     userId: user._id,
     email: user.email,
-    type: 'refresh'
+    type: 'refresh',
+    sid: sessionId
   };
 
-  const refreshToken = jwt.sign(payload, process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET, {
+  const token = jwt.sign(payload, getRefreshSecret(), {
     expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
     issuer: 'paysync-backend',
-    audience: 'paysync-client'
+    audience: 'paysync-client',
+    jwtid: tokenId
   });
 
-  // Store refresh token (in production, use Redis with TTL)
-  refreshTokenStore.set(refreshToken, {
-    userId: user._id.toString(),
-    createdAt: new Date(),
-    isActive: true
+  return {
+    token,
+    tokenId,
+    expiresAt: new Date(jwt.decode(token).exp * 1000)
+  };
+}
+
+/**
+ * Generate refresh token and start a session for it
+ * @async
+ * @param {Object} user - User object from database
+ * @param {Object} [context={}] - Device details from sessionService.getRequestContext
+ * @returns {Promise<Object>} Refresh token and session id
+ */
+async function generateRefreshToken(user, context = {}) {
+  const sessionId = crypto.randomUUID();
+  const { token, tokenId, expiresAt } = signRefreshToken(user, sessionId);
+
+  await sessionService.createSession({
+    sessionId,
+    userId: user._id,
+    userModel: user.constructor?.modelName === 'ClientUsers' ? 'ClientUsers' : 'Staff',
+    tokenId,
+    expiresAt,
+    context
   });
 
-  return refreshToken;
+  return { refreshToken: token, sessionId };
 }
 
 /**
  * Generate both access and refresh tokens
+ * @async
  * @param {Object} user - User object from database
- * @returns {Object} Object containing both tokens
+ * @param {Object} [context={}] - Device details from sessionService.getRequestContext
+ * @returns {Promise<Object>} Object containing both tokens
  */
-function generateTokenPair(user) {
-  const accessToken = generateAccessToken(user);
-  const refreshToken = generateRefreshToken(user);
+async function generateTokenPair(user, context = {}) {
+  const { refreshToken, sessionId } = await generateRefreshToken(user, context);
+  const accessToken = generateAccessToken(user, sessionId);
 
   return {
     accessToken,
     refreshToken,
     tokenType: 'Bearer',
-    expiresIn: process.env.JWT_EXPIRES_IN || '35m'
+    expiresIn: process.env.JWT_EXPIRES_IN || '35m',
+    sessionId
   };
 }
 
@@ -84,19 +116,19 @@ function verifyAccessToken(token) {
 
 /**
  * Verify and decode refresh token
+ * @async
  * @param {string} token - JWT refresh token
- * @returns {Object} Decoded token payload
+ * @returns {Promise<Object>} Decoded token payload
  */
-function verifyRefreshToken(token) {
+async function verifyRefreshToken(token) {
   try {
-    const decoded = jwt.verify(token, process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET, {
+    const decoded = jwt.verify(token, getRefreshSecret(), {
       issuer: 'paysync-backend',
       audience: 'paysync-client'
     });
 
-    // Check if refresh token is stored and active
-    const storedToken = refreshTokenStore.get(token);
-    if (!storedToken || !storedToken.isActive) {
+    // Check if the session of the token is still active
+    if (decoded.type !== 'refresh' || !(await sessionService.isSessionActive(decoded.sid))) {
       throw new Error('Refresh token not found or inactive');
     }
 
@@ -107,14 +139,17 @@ function verifyRefreshToken(token) {
 }
 
 /**
- * Refresh access token using refresh token
+ * Refresh access token using refresh token. The refresh token is rotated:
+ * the returned one replaces it and the old one must not be used again.
+ * @async
  * @param {string} refreshToken - JWT refresh token
  * @param {Function} getUserById - Function to get user by ID
- * @returns {Object} New token pair
+ * @param {Object} [context={}] - Device details from sessionService.getRequestContext
+ * @returns {Promise<Object>} New token pair
  */
-async function refreshAccessToken(refreshToken, getUserById) {
+async function refreshAccessToken(refreshToken, getUserById, context = {}) {
   try {
-    const decoded = verifyRefreshToken(refreshToken);
+    const decoded = await verifyRefreshToken(refreshToken);
 
     // Get fresh user data
     const user = await getUserById(decoded.userId);
@@ -122,14 +157,20 @@ async function refreshAccessToken(refreshToken, getUserById) {
       throw new Error('User not found');
     }
 
-    // Generate new access token with fresh user data
-    const newAccessToken = generateAccessToken(user);
+    // Rotate the refresh token; a reused token revokes the session
+    const next = signRefreshToken(user, decoded.sid);
+    await sessionService.rotateSession(decoded.sid, decoded.jti, {
+      tokenId: next.tokenId,
+      expiresAt: next.expiresAt,
+      context
+    });
 
     return {
-      accessToken: newAccessToken,
-      refreshToken: refreshToken, // Keep the same refresh token
+      accessToken: generateAccessToken(user, decoded.sid),
+      refreshToken: next.token,
       tokenType: 'Bearer',
-      expiresIn: process.env.JWT_EXPIRES_IN || '35m'
+      expiresIn: process.env.JWT_EXPIRES_IN || '35m',
+      sessionId: decoded.sid
     };
   } catch (error) {
     throw new Error(`Token refresh failed: ${error.message}`);
@@ -137,79 +178,51 @@ async function refreshAccessToken(refreshToken, getUserById) {
 }
 
 /**
- * Revoke refresh token
+ * Revoke refresh token (ends its session)
+ * @async
  * @param {string} refreshToken - JWT refresh token to revoke
- * @returns {boolean} Success status
+ * @returns {Promise<boolean>} Success status
  */
-function revokeRefreshToken(refreshToken) {
-  const storedToken = refreshTokenStore.get(refreshToken);
-  if (storedToken) {
-    storedToken.isActive = false;
-    return true;
+async function revokeRefreshToken(refreshToken) {
+  try {
+    const decoded = jwt.verify(refreshToken, getRefreshSecret(), {
+      issuer: 'paysync-backend',
+      audience: 'paysync-client',
+      ignoreExpiration: true
+    });
+    return await sessionService.endSession(decoded.sid, 'logout');
+  } catch (error) {
+    return false;
   }
-  return false;
 }
 
 /**
  * Revoke all refresh tokens for a user
+ * @async
  * @param {string} userId - User ID
- * @returns {number} Number of tokens revoked
+ * @param {string} [reason='logout_all'] - Revocation reason
+ * @returns {Promise<number>} Number of sessions revoked
  */
-function revokeAllUserTokens(userId) {
-  let revokedCount = 0;
-
-  for (const [token, data] of refreshTokenStore.entries()) {
-    if (data.userId === userId.toString() && data.isActive) {
-      data.isActive = false;
-      revokedCount++;
-    }
-  }
-
-  return revokedCount;
+async function revokeAllUserTokens(userId, reason = 'logout_all') {
+  return sessionService.revokeUserSessions(userId, reason);
 }
 
 /**
  * Clean up expired refresh tokens
- * @returns {number} Number of tokens cleaned up
+ * @async
+ * @returns {Promise<number>} Number of sessions cleaned up
  */
-function cleanupExpiredTokens() {
-  let cleanedCount = 0;
-  const now = new Date();
-  const refreshTokenTTL = 7 * 24 * 60 * 60 * 1000; // 7 days in milliseconds
-
-  for (const [token, data] of refreshTokenStore.entries()) {
-    const tokenAge = now - data.createdAt;
-    if (tokenAge > refreshTokenTTL) {
-      refreshTokenStore.delete(token);
-      cleanedCount++;
-    }
-  }
-
-  return cleanedCount;
+async function cleanupExpiredTokens() {
+  return sessionService.cleanupExpired();
 }
 
 /**
  * Get token statistics
- * @returns {Object} Token statistics
+ * @async
+ * @returns {Promise<Object>} Token statistics
  */
-function getTokenStats() {
-  const totalTokens = refreshTokenStore.size;
-  let activeTokens = 0;
-  let inactiveTokens = 0;
-
-  for (const data of refreshTokenStore.values()) {
-    if (data.isActive) {
-      activeTokens++;
-    } else {
-      inactiveTokens++;
-    }
-  }
-
-  return {
-    totalTokens,
-    activeTokens,
-    inactiveTokens
-  };
+async function getTokenStats() {
+  return sessionService.getStats();
 }
 
 /**
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Localization - Catalogue lookups for client-facing text
+ * @module utils/localization
+ *
+ * Email templates, notification texts and agreement sections are kept per
+ * language in locales/. Clients pick a language in
+ * preferences.preferredLanguage; anything missing from a catalogue falls back
+ * to English.
+ */
+
+const catalogues = {
+  en: require('../locales/en'),
+  si: require('../locales/si'),
+  ta: require('../locales/ta')
+};
+
+/**
+ * Supported language codes
+ * @readonly
+ * @enum {string}
+ */
+const LANGUAGES = {
+  ENGLISH: 'en',
+  SINHALA: 'si',
+  TAMIL: 'ta'
+};
+
+const DEFAULT_LANGUAGE = LANGUAGES.ENGLISH;
+
+// Client.preferences.preferredLanguage values
+const PREFERENCE_TO_LANGUAGE = {
+  english: LANGUAGES.ENGLISH,
+  sinhala: LANGUAGES.SINHALA,
+  tamil: LANGUAGES.TAMIL
+};
+
+/**
+ * Resolve a language code from a code or a client language preference
+ * @param {string} [language] - 'en' | 'si' | 'ta' or 'english' | 'sinhala' | 'tamil'
+ * @returns {string} Supported language code
+ */
+const resolveLanguage = (language) => {
+  if (!language) return DEFAULT_LANGUAGE;
+
+  const value = String(language).toLowerCase();
+  if (catalogues[value]) return value;
+
+  return PREFERENCE_TO_LANGUAGE[value] || DEFAULT_LANGUAGE;
+};
+
+/**
+ * Get the language a client prefers
+ * @param {Object} [client] - Client document
+ * @returns {string} Supported language code
+ */
+const getClientLanguage = (client) => resolveLanguage(client?.preferences?.preferredLanguage);
+
+/**
+ * Replace {{name}} placeholders with values
+ * @param {string} text - Text with placeholders
+ * @param {Object} [params={}] - Placeholder values
+ * @returns {string} Interpolated text
+ */
+const interpolate = (text, params = {}) => {
+  return text.replace(/{{(\w+)}}/g, (match, name) => {
+    return params[name] !== undefined && params[name] !== null ? String(params[name]) : match;
+  });
+};
+
+const lookup = (catalogue, key) => {
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalogue);
+};
+
+/**
+ * Translate a catalogue key. Strings are interpolated with params; other
+ * values (arrays, objects) are returned as they are.
+ * @param {string} language - Language code
+ * @param {string} key - Dot separated key, e.g. 'agreement.loanDetails.heading'
+ * @param {Object} [params={}] - Placeholder values
+ * @param {string} [fallback=key] - Returned when no catalogue has the key
+ * @returns {*} Translated value
+ */
+const translate = (language, key, params = {}, fallback = key) => {
+  let value = lookup(catalogues[resolveLanguage(language)], key);
+  if (value === undefined) {
+    value = lookup(catalogues[DEFAULT_LANGUAGE], key);
+  }
+  if (value === undefined) {
+    return fallback;
+  }
+
+  return typeof value === 'string' ? interpolate(value, params) : value;
+};
+
+/**
+ * Check whether the English catalogue has a key
+ * @param {string} key - Dot separated key
+ * @returns {boolean} True when the key exists
+ */
+const hasTranslation = (key) => lookup(catalogues[DEFAULT_LANGUAGE], key) !== undefined;
+
+/**
+ * Get a section of the catalogue with English values filled in for
+ * missing keys and every string interpolated
+ * @param {string} language - Language code
+ * @param {string} key - Dot separated key of an object section
+ * @param {Object} [params={}] - Placeholder values
+ * @returns {Object} Section strings
+ */
+const getSection = (language, key, params = {}) => {
+  const english = lookup(catalogues[DEFAULT_LANGUAGE], key) || {};
+  const localized = lookup(catalogues[resolveLanguage(language)], key) || {};
+
+  return Object.keys(english).reduce((section, name) => {
+    const value = localized[name] !== undefined ? localized[name] : english[name];
+    section[name] = typeof value === 'string' ? interpolate(value, params) : value;
+    return section;
+  }, {});
+};
+
+/**
+ * Create a translate function bound to one language
+ * @param {string} language - Language code
+ * @returns {Function} (key, params) => translated value
+ */
+const forLanguage = (language) => {
+  const resolved = resolveLanguage(language);
+  return (key, params) => translate(resolved, key, params);
+};
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  resolveLanguage,
+  getClientLanguage,
+  translate,
+  hasTranslation,
+  getSection,
+  forLanguage,
+  interpolate
+};
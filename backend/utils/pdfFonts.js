@@ -0,0 +1,131 @@
+/**
+ * @fileoverview PDF Fonts - Unicode font support for generated PDFs
+ * @module utils/pdfFonts
+ *
+ * The standard PDF fonts (Helvetica) only cover Latin text. Sinhala and Tamil
+ * text is written with embedded Noto Sans fonts; writeText splits mixed text
+ * into runs so names, numbers and amounts stay in Helvetica.
+ */
+
+const SCRIPT_FONTS = {
+  sinhala: {
+    regular: '@fontsource/noto-sans-sinhala/files/noto-sans-sinhala-sinhala-400-normal.woff',
+    bold: '@fontsource/noto-sans-sinhala/files/noto-sans-sinhala-sinhala-700-normal.woff'
+  },
+  tamil: {
+    regular: '@fontsource/noto-sans-tamil/files/noto-sans-tamil-tamil-400-normal.woff',
+    bold: '@fontsource/noto-sans-tamil/files/noto-sans-tamil-tamil-700-normal.woff'
+  }
+};
+
+const FONT_NAMES = {
+  latin: { regular: 'Helvetica', bold: 'Helvetica-Bold' },
+  sinhala: { regular: 'NotoSansSinhala', bold: 'NotoSansSinhala-Bold' },
+  tamil: { regular: 'NotoSansTamil', bold: 'NotoSansTamil-Bold' }
+};
+
+// Zero width joiners are part of Sinhala conjuncts and must stay in the run
+const SINHALA_PATTERN = /[\u0D80-\u0DFF\u200C\u200D]/;
+const TAMIL_PATTERN = /[\u0B80-\u0BFF]/;
+const NEUTRAL_PATTERN = /\s/;
+
+/**
+ * Register the Sinhala and Tamil fonts on a document
+ * @param {PDFDocument} doc - PDF document
+ * @returns {PDFDocument} The document
+ */
+const registerFonts = (doc) => {
+  Object.entries(SCRIPT_FONTS).forEach(([script, files]) => {
+    doc.registerFont(FONT_NAMES[script].regular, require.resolve(files.regular));
+    doc.registerFont(FONT_NAMES[script].bold, require.resolve(files.bold));
+  });
+  return doc;
+};
+
+/**
+ * Get the script of a character
+ * @param {string} char - Single character
+ * @returns {string|null} 'sinhala', 'tamil', 'latin', or null for whitespace
+ */
+const getScript = (char) => {
+  if (SINHALA_PATTERN.test(char)) return 'sinhala';
+  if (TAMIL_PATTERN.test(char)) return 'tamil';
+  if (NEUTRAL_PATTERN.test(char)) return null;
+  return 'latin';
+};
+
+/**
+ * Split text into runs of a single script. Whitespace joins the run it
+ * follows so words are not split.
+ * @param {string} text - Text to split
+ * @returns {Array<{script: string, text: string}>} Runs in order
+ */
+const splitScriptRuns = (text) => {
+  const runs = [];
+
+  for (const char of text) {
+    const script = getScript(char);
+    const current = runs[runs.length - 1];
+
+    if (current && (script === null || script === current.script)) {
+      current.text += char;
+    } else {
+      runs.push({ script: script || 'latin', text: char });
+    }
+  }
+
+  return runs.length > 0 ? runs : [{ script: 'latin', text: '' }];
+};
+
+/**
+ * Get the registered font name for a script
+ * @param {string} script - 'latin', 'sinhala' or 'tamil'
+ * @param {boolean} [bold=false] - Bold weight
+ * @returns {string} Font name
+ */
+const fontFor = (script, bold = false) => {
+  const names = FONT_NAMES[script] || FONT_NAMES.latin;
+  return bold ? names.bold : names.regular;
+};
+
+/**
+ * Write text in any supported script. Takes the same arguments as
+ * doc.text(text, [x, y], [options]) plus options.bold.
+ * @param {PDFDocument} doc - PDF document with registerFonts applied
+ * @param {string} text - Text to write
+ * @param {number|Object} [x] - X position, or options
+ * @param {number} [y] - Y position
+ * @param {Object} [options={}] - doc.text options and bold
+ * @returns {PDFDocument} The document, for chaining
+ */
+const writeText = (doc, text, x, y, options = {}) => {
+  if (typeof x === 'object' && x !== null) {
+    options = x;
+    x = undefined;
+    y = undefined;
+  }
+
+  const { bold = false, ...textOptions } = options;
+  const runs = splitScriptRuns(String(text ?? ''));
+
+  runs.forEach((run, index) => {
+    const isLast = index === runs.length - 1;
+    const runOptions = { ...textOptions, continued: isLast ? !!textOptions.continued : true };
+
+    doc.font(fontFor(run.script, bold));
+    if (index === 0 && x !== undefined) {
+      doc.text(run.text, x, y, runOptions);
+    } else {
+      doc.text(run.text, runOptions);
+    }
+  });
+
+  return doc;
+};
+
+module.exports = {
+  registerFonts,
+  splitScriptRuns,
+  fontFor,
+  writeText
+};
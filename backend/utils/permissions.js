@@ -12,6 +12,7 @@ const PERMISSIONS = {
   UPDATE_ALL_CLIENTS: 'update_all_clients',
   DELETE_CLIENT: 'delete_client',
   MANAGE_ASSIGNED_CLIENTS: 'manage_assigned_clients',
+  MANAGE_GUARANTORS: 'manage_guarantors',
 
   // Loan management permissions
   CREATE_LOAN: 'create_loan',
@@ -24,6 +25,11 @@ const PERMISSIONS = {
   APPROVE_LOANS: 'approve_loans',
   REJECT_LOANS: 'reject_loans',
   APPROVE_HIGH_VALUE_LOANS: 'approve_high_value_loans',
+  MANAGE_LOAN_PRODUCTS: 'manage_loan_products',
+  RECORD_DISBURSEMENTS: 'record_disbursements',
+  APPROVE_DISBURSEMENTS: 'approve_disbursements',
+  RECONCILE_PAYMENTS: 'reconcile_payments',
+  MANAGE_COLLECTIONS: 'manage_collections',
 
   // Agreement and document permissions
   GENERATE_AGREEMENTS: 'generate_agreements',
@@ -82,9 +88,11 @@ const agentPermissions = [
   PERMISSIONS.UPDATE_OWN_CLIENTS,
   PERMISSIONS.MANAGE_ASSIGNED_CLIENTS,
   PERMISSIONS.MANAGE_CLIENTS,
+  PERMISSIONS.MANAGE_GUARANTORS,
   PERMISSIONS.CREATE_LOAN,
   PERMISSIONS.VIEW_OWN_LOANS,
   PERMISSIONS.UPDATE_OWN_LOANS,
+  PERMISSIONS.MANAGE_COLLECTIONS,
   PERMISSIONS.GENERATE_AGREEMENTS,
   PERMISSIONS.VIEW_AGREEMENTS,
   PERMISSIONS.DOWNLOAD_AGREEMENTS,
@@ -122,6 +130,9 @@ const ROLE_PERMISSIONS = {
     PERMISSIONS.UPDATE_REGIONAL_LOANS,
     PERMISSIONS.APPROVE_LOANS,
     PERMISSIONS.REJECT_LOANS,
+    PERMISSIONS.RECORD_DISBURSEMENTS,
+    PERMISSIONS.APPROVE_DISBURSEMENTS,
+    PERMISSIONS.RECONCILE_PAYMENTS,
     PERMISSIONS.MANAGE_REGIONAL_AGENTS,
     PERMISSIONS.VIEW_REGIONAL_DATA,
     PERMISSIONS.VIEW_AGREEMENTS,
@@ -146,9 +157,15 @@ const ROLE_PERMISSIONS = {
     PERMISSIONS.MANAGE_REGIONS,
     PERMISSIONS.CUSTOMIZE_REGIONS,
     PERMISSIONS.ASSIGN_DISTRICTS_TO_REGIONS,
+    PERMISSIONS.MANAGE_LOAN_PRODUCTS,
+    PERMISSIONS.RECORD_DISBURSEMENTS,
+    PERMISSIONS.APPROVE_DISBURSEMENTS,
+    PERMISSIONS.RECONCILE_PAYMENTS,
+    PERMISSIONS.MANAGE_COLLECTIONS,
     PERMISSIONS.VIEW_ALL_LOANS,
     PERMISSIONS.VIEW_ALL_CLIENTS,
     PERMISSIONS.UPDATE_ALL_CLIENTS,
+    PERMISSIONS.MANAGE_GUARANTORS,
     PERMISSIONS.UPDATE_ALL_LOANS,
     PERMISSIONS.SYSTEM_SETTINGS,
     PERMISSIONS.VIEW_SYSTEM_ANALYTICS,
@@ -305,8 +322,8 @@ function canAccessRegion(user, targetRegion) {
 
 /**
  * Generate JWT payload with permissions
- * @param {Object} user - User object from database
- * @returns {Object} JWT payload
+ * @param {Object} user - Staff or ClientUsers document
+ * @returns {Object} JWT payload; client logins also carry their clientId
  */
 function generateJWTPayload(user) {
   const permissions = getPermissionsForRole(user.role);
@@ -316,6 +333,7 @@ function generateJWTPayload(user) {
     email: user.email,
     role: user.role,
     region: user.region,
+    ...(user.clientId && { clientId: user.clientId }),
     permissions: permissions,
     iat: Math.floor(Date.now() / 1000)
   };
@@ -0,0 +1,184 @@
+/**
+ * @fileoverview TOTP - Time-based one-time passwords (RFC 6238)
+ * @module utils/totp
+ *
+ * Compatible with Google Authenticator, Microsoft Authenticator and other
+ * authenticator apps: HMAC-SHA1, 6 digits, 30 second steps, base32 secrets.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Default TOTP settings
+ * @readonly
+ */
+const TOTP_DEFAULTS = {
+  digits: 6,
+  period: 30,
+  // Accept codes one step either side to allow for clock drift
+  window: 1
+};
+
+/**
+ * Encode bytes as base32 without padding
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string (case, spaces and padding are ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ * @throws {Error} When the string contains invalid characters
+ */
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32 secret
+ * @param {number} [bytes=20] - Secret length in bytes (160 bits recommended)
+ * @returns {string} Base32 secret
+ */
+const generateSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes));
+
+/**
+ * Get the time step for a moment
+ * @param {number} [timestamp=Date.now()] - Milliseconds since epoch
+ * @param {number} [period=30] - Step length in seconds
+ * @returns {number} Time step counter
+ */
+const getTimeStep = (timestamp = Date.now(), period = TOTP_DEFAULTS.period) => {
+  return Math.floor(timestamp / 1000 / period);
+};
+
+/**
+ * Generate the HOTP code for a counter (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Counter value
+ * @param {number} [digits=6] - Code length
+ * @returns {string} Zero padded code
+ */
+const generateHotp = (secret, counter, digits = TOTP_DEFAULTS.digits) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** digits);
+
+  return binary.toString().padStart(digits, '0');
+};
+
+/**
+ * Generate the current TOTP code
+ * @param {string} secret - Base32 secret
+ * @param {number} [timestamp=Date.now()] - Milliseconds since epoch
+ * @returns {string} Code
+ */
+const generateTotp = (secret, timestamp = Date.now()) => {
+  return generateHotp(secret, getTimeStep(timestamp));
+};
+
+/**
+ * Verify a TOTP code
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options={}] - Verification options
+ * @param {number} [options.timestamp=Date.now()] - Milliseconds since epoch
+ * @param {number} [options.window=1] - Steps accepted either side of now
+ * @returns {number|null} Matched time step, or null when the code is invalid
+ */
+const verifyTotp = (secret, code, { timestamp = Date.now(), window = TOTP_DEFAULTS.window } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DEFAULTS.digits) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(timestamp);
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateHotp(secret, step);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account label, usually the email
+ * @param {string} [issuer='PaySync'] - Issuer shown in the app
+ * @returns {string} otpauth URI
+ */
+const buildOtpAuthUri = (secret, accountName, issuer = 'PaySync') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DEFAULTS.digits),
+    period: String(TOTP_DEFAULTS.period)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  TOTP_DEFAULTS,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  buildOtpAuthUri
+};
@@ -8,6 +8,16 @@ const Client = require('../models/Client');
 const Staff = require('../models/Staff');
 const Loan = require('../models/Loan');
 const Region = require('../models/Region');
+const {
+  calculateInstallment,
+  DEFAULT_INTEREST_METHOD,
+  DEFAULT_REPAYMENT_FREQUENCY
+} = require('../utils/interestCalculator');
+const affordabilityService = require('../services/affordabilityService');
+const loanProductService = require('../services/loanProductService');
+const creditScoringService = require('../services/creditScoringService');
+const guarantorService = require('../services/guarantorService');
+const clientVerificationService = require('../services/clientVerificationService');
 
 /**
  * Validate loan application against business rules
@@ -17,8 +27,9 @@ const Region = require('../models/Region');
  * @param {string} loanData.clientUserId - Client ID applying for loan
  * @param {number} loanData.loanAmount - Requested loan amount
  * @param {number} loanData.loanTerm - Loan term in months
- * @param {number} loanData.interestRate - Annual interest rate
+ * @param {number} [loanData.interestRate] - Annual interest rate, quoted from the product when omitted
  * @param {string} loanData.purpose - Purpose of the loan
+ * @param {string} loanData.product - Name of the loan product
  * @param {Object} user - Current authenticated user
  * @param {string} user.userId - User ID
  * @param {string} user.role - User role (agent, regional_manager, etc.)
@@ -26,6 +37,10 @@ const Region = require('../models/Region');
  * @returns {Promise<Object>} Validation result object
  * @returns {boolean} returns.isValid - Whether validation passed
  * @returns {Array<Object>} returns.errors - Array of validation errors
+ * @returns {Object|null} returns.affordability - Debt-to-income assessment with a
+ *   suggested amount or term when the loan is not affordable
+ * @returns {Object|null} returns.pricing - Product terms, interest rate (quoted
+ *   from the product unless given), interest method and fees of the loan
  * 
  * @example
  * const loanData = {
@@ -49,6 +64,8 @@ const Region = require('../models/Region');
  */
 const validateLoanApplication = async (loanData, user) => {
   const errors = [];
+  let affordability = null;
+  let pricing = null;
 
   try {
     // 1. Validate client exists and is approved
@@ -93,27 +110,68 @@ const validateLoanApplication = async (loanData, user) => {
       }
     }
 
-    // 2. Validate loan amount against client's income (debt-to-income ratio)
-    if (client && client.employmentInfo?.monthlyIncome) {
-      const monthlyIncome = client.employmentInfo.monthlyIncome;
-      const monthlyPayment = calculateMonthlyPayment(
-        loanData.loanAmount,
-        loanData.interestRate,
-        loanData.loanTerm
-      );
+    // 2. Validate the application against the loan product in the client's region
+    let productTerms = null;
+    let clientRegion = null;
+    if (client) {
+      clientRegion = client.region ? await Region.findById(client.region) : null;
+      productTerms = await loanProductService.getApplicationTerms(loanData.product, client.region);
+      if (!productTerms) {
+        errors.push({
+          field: 'product',
+          message: `${loanData.product} is not an available loan product`,
+          code: 'PRODUCT_NOT_FOUND'
+        });
+      } else {
+        const guarantorCount = [loanData.guarantorInfo, loanData.secondaryGuarantorInfo].filter(Boolean).length;
+        const repaymentFrequency = loanData.repaymentFrequency || loanProductService.getDefaultFrequency(productTerms);
+        errors.push(...loanProductService.validateApplication(productTerms, {
+          loanAmount: loanData.loanAmount,
+          loanTerm: loanData.loanTerm,
+          interestRate: loanData.interestRate,
+          repaymentFrequency,
+          guarantorCount
+        }));
+
+        const interestRate = loanData.interestRate ?? loanProductService.quoteRate(productTerms, {
+          loanAmount: loanData.loanAmount,
+          monthlyIncome: affordabilityService.getMonthlyIncome(client)
+        }, clientRegion);
+        pricing = {
+          productTerms,
+          interestRate,
+          interestMethod: loanData.interestMethod || productTerms.interest.method,
+          repaymentFrequency,
+          ...loanProductService.calculateFees(productTerms, loanData.loanAmount)
+        };
+      }
+    }
 
-      const debtToIncomeRatio = (monthlyPayment / monthlyIncome) * 100;
+    // 3. Validate the installments, including the client's other loans, against income
+    if (client) {
+      affordability = await affordabilityService.assess({
+        client,
+        loanAmount: loanData.loanAmount,
+        loanTerm: loanData.loanTerm,
+        interestRate: pricing?.interestRate ?? loanData.interestRate ?? 12,
+        interestMethod: pricing?.interestMethod || loanData.interestMethod,
+        repaymentFrequency: pricing?.repaymentFrequency || loanData.repaymentFrequency,
+        product: loanData.product,
+        productTerms,
+        region: clientRegion
+      });
 
-      if (debtToIncomeRatio > 40) { // 40% DTI ratio limit
+      if (!affordability.isAffordable) {
         errors.push({
           field: 'loanAmount',
-          message: `Loan amount results in ${debtToIncomeRatio.toFixed(1)}% debt-to-income ratio. Maximum allowed is 40%`,
-          code: 'HIGH_DEBT_TO_INCOME_RATIO'
+          message: `Loan results in ${affordability.debtToIncome.toFixed(1)}% debt-to-income ratio. Maximum allowed is ${affordability.maxDebtToIncome}%`,
+          code: 'HIGH_DEBT_TO_INCOME_RATIO',
+          suggestion: affordability.suggestion
         });
       }
     }
 
-    // 3. Validate loan amount limits based on client profile
+    // 4. Validate loan amount limits based on client profile
     if (client) {
       const maxLoanAmount = calculateMaxLoanAmount(client);
       if (loanData.loanAmount > maxLoanAmount) {
@@ -125,33 +183,19 @@ const validateLoanApplication = async (loanData, user) => {
       }
     }
 
-    // 4. Validate guarantor information
-    if (loanData.guarantorInfo) {
-      // Check if guarantor is not the same as client
-      if (client && loanData.guarantorInfo.idNumber === client.personalInfo?.idNumber) {
-        errors.push({
-          field: 'guarantorInfo.idNumber',
-          message: 'Guarantor cannot be the same person as the loan applicant',
-          code: 'GUARANTOR_SAME_AS_CLIENT'
-        });
-      }
-
-      // Check if guarantor is already guaranteeing too many loans
-      const guarantorLoans = await Loan.find({
-        'guarantorInfo.idNumber': loanData.guarantorInfo.idNumber,
-        loanStatus: { $in: ['Approved', 'Active'] }
-      });
-
-      if (guarantorLoans.length >= 3) { // Maximum 3 loans per guarantor
-        errors.push({
-          field: 'guarantorInfo.idNumber',
-          message: 'Guarantor is already guaranteeing the maximum number of loans (3)',
-          code: 'GUARANTOR_LIMIT_EXCEEDED'
-        });
-      }
+    // 5. Validate guarantors: not the applicant, not named twice and within their exposure limits
+    const guarantors = [
+      { info: loanData.guarantorInfo, field: 'guarantorInfo' },
+      { info: loanData.secondaryGuarantorInfo, field: 'secondaryGuarantorInfo' }
+    ].filter(item => item.info);
+    if (guarantors.length > 0) {
+      errors.push(...await guarantorService.validateForLoan(guarantors, {
+        client,
+        loanAmount: loanData.loanAmount
+      }));
     }
 
-    // 5. Validate regional constraints
+    // 6. Validate regional constraints
     if (user.role === 'agent' || user.role === 'regional_manager') {
       if (client && user.region && client.personalInfo?.address?.district) {
         const userRegion = await Region.findById(user.region);
@@ -176,7 +220,9 @@ const validateLoanApplication = async (loanData, user) => {
 
   return {
     isValid: errors.length === 0,
-    errors
+    errors,
+    affordability,
+    pricing
   };
 };
 
@@ -348,14 +394,13 @@ const validateClientApproval = async (clientId, approver) => {
       }
     }
 
-    // 3. Check required documents
-    const requiredDocuments = ['idCard', 'employmentLetter'];
-    const missingDocuments = requiredDocuments.filter(doc => !client.documents?.[doc]);
+    // 3. Check the region's required documents are all approved
+    const { missing } = await clientVerificationService.refreshChecklist(client);
 
-    if (missingDocuments.length > 0) {
+    if (missing.length > 0) {
       errors.push({
         field: 'documents',
-        message: `Missing required documents: ${missingDocuments.join(', ')}`,
+        message: `Required documents not approved: ${missing.map(type => clientVerificationService.getLabel(type)).join(', ')}`,
         code: 'MISSING_DOCUMENTS'
       });
     }
@@ -386,7 +431,7 @@ const validateLoanStatusUpdate = async (loanId, newStatus, updater) => {
   const errors = [];
 
   try {
-    const loan = await Loan.findById(loanId).populate('clientUserId');
+    const loan = await Loan.findById(loanId);
 
     if (!loan) {
       errors.push({
@@ -397,17 +442,28 @@ const validateLoanStatusUpdate = async (loanId, newStatus, updater) => {
       return { isValid: false, errors };
     }
 
+    // Approval decisions go through the approval workflow, which enforces
+    // the tier chain, approver limits and pre-approval checks
+    if (newStatus === 'approved' || newStatus === 'rejected') {
+      errors.push({
+        field: 'status',
+        message: 'Loans are approved or rejected through the approval workflow',
+        code: 'APPROVAL_WORKFLOW_REQUIRED'
+      });
+      return { isValid: false, errors };
+    }
+
     // 1. Validate status transitions
     const validTransitions = {
-      'pending': ['approved', 'rejected'],
-      'approved': ['active', 'rejected'],
+      'pending': [],
+      'approved': ['active'],
       'active': ['completed', 'defaulted'],
       'completed': [], // Final state
       'defaulted': ['active'], // Can be reactivated
       'rejected': [] // Final state
     };
 
-    const allowedStatuses = validTransitions[loan.loanStatus] || [];
+    const allowedStatuses = validTransitions[loan.loanStatus?.toLowerCase()] || [];
     if (!allowedStatuses.includes(newStatus)) {
       errors.push({
         field: 'status',
@@ -416,46 +472,14 @@ const validateLoanStatusUpdate = async (loanId, newStatus, updater) => {
       });
     }
 
-    // 2. Validate user permissions for status changes
-    if (newStatus === 'approved' || newStatus === 'rejected') {
-      // Only regional managers and above can approve/reject loans
-      const authorizedRoles = ['regional_manager', 'moderate_admin', 'ceo', 'super_admin'];
-      if (!authorizedRoles.includes(updater.role)) {
-        errors.push({
-          field: 'status',
-          message: 'You are not authorized to approve or reject loans',
-          code: 'UNAUTHORIZED_STATUS_CHANGE'
-        });
-      }
-
-      // Regional managers can only approve loans in their region
-      if (updater.role === 'regional_manager') {
-        const updaterRegion = await Region.findById(updater.region);
-        if (updaterRegion && loan.clientUserId?.personalInfo?.address?.district) {
-          if (!updaterRegion.districts.includes(loan.clientUserId.personalInfo.address.district)) {
-            errors.push({
-              field: 'region',
-              message: 'You can only approve loans for clients in your assigned region',
-              code: 'LOAN_OUTSIDE_REGION'
-            });
-          }
-        }
-      }
-    }
-
-    // 3. Validate loan amount limits for approval
-    if (newStatus === 'approved') {
-      const HIGH_VALUE_THRESHOLD = 1000000; // 1M threshold for CEO approval
-
-      if (loan.loanAmount > HIGH_VALUE_THRESHOLD && updater.role !== 'ceo' && updater.role !== 'super_admin') {
-        errors.push({
-          field: 'loanAmount',
-          message: 'High-value loans require CEO approval',
-          code: 'CEO_APPROVAL_REQUIRED'
-        });
-      }
+    // Approved loans are activated by confirming their full disbursement
+    if (newStatus === 'active' && loan.loanStatus === 'Approved') {
+      errors.push({
+        field: 'status',
+        message: 'Approved loans become active once their full disbursement is confirmed',
+        code: 'DISBURSEMENT_REQUIRED'
+      });
     }
-
   } catch (error) {
     errors.push({
       field: 'general',
@@ -472,18 +496,22 @@ const validateLoanStatusUpdate = async (loanId, newStatus, updater) => {
 };
 
 /**
- * Helper function to calculate monthly payment
+ * Helper function to calculate the installment per repayment period
  * @param {number} principal - Loan amount
  * @param {number} annualRate - Annual interest rate (percentage)
  * @param {number} termMonths - Loan term in months
- * @returns {number} Monthly payment amount
+ * @param {string} [interestMethod='reducing_balance'] - Interest calculation method
+ * @param {string} [frequency='Monthly'] - Repayment frequency
+ * @returns {number} Installment amount
  */
-const calculateMonthlyPayment = (principal, annualRate, termMonths) => {
-  const monthlyRate = (annualRate / 100) / 12;
-  if (monthlyRate === 0) return principal / termMonths;
-
-  return principal * (monthlyRate * Math.pow(1 + monthlyRate, termMonths)) /
-    (Math.pow(1 + monthlyRate, termMonths) - 1);
+const calculateMonthlyPayment = (
+  principal,
+  annualRate,
+  termMonths,
+  interestMethod = DEFAULT_INTEREST_METHOD,
+  frequency = DEFAULT_REPAYMENT_FREQUENCY
+) => {
+  return calculateInstallment(principal, annualRate, termMonths, interestMethod, frequency);
 };
 
 /**
@@ -492,31 +520,32 @@ const calculateMonthlyPayment = (principal, annualRate, termMonths) => {
  * @returns {number} Maximum loan amount
  */
 const calculateMaxLoanAmount = (client) => {
-  if (!client.employmentInfo?.monthlyIncome) return 50000; // Default minimum
+  const monthlyIncome = affordabilityService.getMonthlyIncome(client);
+  if (!monthlyIncome) return 50000; // Default minimum
 
-  const monthlyIncome = client.employmentInfo.monthlyIncome;
   let multiplier = 10; // Base multiplier
 
   // Adjust based on employment type
-  switch (client.employmentInfo.employmentType) {
-    case 'employed':
+  switch (client.employmentDetails?.employmentType) {
+    case 'permanent':
       multiplier = 15;
       break;
+    case 'contract':
+      multiplier = 12;
+      break;
     case 'self_employed':
       multiplier = 10;
       break;
-    case 'unemployed':
-      multiplier = 0;
-      break;
-    case 'retired':
+    case 'temporary':
       multiplier = 5;
       break;
   }
 
-  // Adjust based on work experience
-  if (client.employmentInfo.workExperience > 5) {
+  // Adjust based on years in the current job
+  const tenureYears = (creditScoringService.parseTenureMonths(client.employmentDetails?.employmentDuration) || 0) / 12;
+  if (tenureYears > 5) {
     multiplier += 2;
-  } else if (client.employmentInfo.workExperience > 2) {
+  } else if (tenureYears > 2) {
     multiplier += 1;
   }
 
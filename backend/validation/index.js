@@ -29,11 +29,14 @@ module.exports = {
   authSchemas: schemas.authSchemas,
   loanSchemas: schemas.loanSchemas,
   clientSchemas: schemas.clientSchemas,
+  guarantorSchemas: schemas.guarantorSchemas,
   staffSchemas: schemas.staffSchemas,
   regionalAdminSchemas: schemas.regionalAdminSchemas,
   agentSchemas: schemas.agentSchemas,
   systemSchemas: schemas.systemSchemas,
   paymentSchemas: schemas.paymentSchemas,
+  reconciliationSchemas: schemas.reconciliationSchemas,
+  collectionSchemas: schemas.collectionSchemas,
   reportSchemas: schemas.reportSchemas,
 
   // Convenience exports for file validation
@@ -1,4 +1,5 @@
 const Joi = require("joi");
+const { INTEREST_METHODS, REPAYMENT_FREQUENCIES } = require("../utils/interestCalculator");
 
 // Custom validators
 const objectId = Joi.string()
@@ -47,6 +48,46 @@ const authSchemas = {
     }),
   },
 
+  verifyTwoFactor: {
+    body: Joi.object({
+      challengeToken: Joi.string().required(),
+      code: Joi.string().pattern(/^\d{6}$/),
+      recoveryCode: Joi.string().trim().max(20),
+    }).xor("code", "recoveryCode"),
+  },
+
+  setupTwoFactor: {
+    body: Joi.object({
+      challengeToken: Joi.string(),
+    }),
+  },
+
+  enableTwoFactor: {
+    body: Joi.object({
+      challengeToken: Joi.string(),
+      code: Joi.string().pattern(/^\d{6}$/).required(),
+    }),
+  },
+
+  twoFactorCode: {
+    body: Joi.object({
+      code: Joi.string().pattern(/^\d{6}$/).required(),
+    }),
+  },
+
+  disableTwoFactor: {
+    body: Joi.object({
+      code: Joi.string().pattern(/^\d{6}$/),
+      recoveryCode: Joi.string().trim().max(20),
+    }).xor("code", "recoveryCode"),
+  },
+
+  revokeSession: {
+    params: Joi.object({
+      sessionId: Joi.string().guid().required(),
+    }),
+  },
+
   changePassword: {
     body: Joi.object({
       currentPassword: Joi.string().required(),
@@ -73,22 +114,114 @@ const authSchemas = {
   },
 };
 
+// Loan product definition shared by the create and update schemas
+const productRateBands = Joi.array().items(
+  Joi.object({
+    maxAmount: Joi.number().positive().optional(),
+    rate: Joi.number().min(0).max(50).required(),
+  })
+);
+const productLimits = Joi.object({
+  minAmount: Joi.number().min(0).optional(),
+  maxAmount: Joi.number().positive().optional(),
+  minTerm: Joi.number().integer().min(1).max(360).optional(),
+  maxTerm: Joi.number().integer().min(1).max(360).optional(),
+});
+const productFees = Joi.array().items(
+  Joi.object({
+    name: Joi.string().min(2).max(100).required(),
+    type: Joi.string().valid("fixed", "percentage").default("fixed"),
+    value: Joi.number().min(0).required(),
+    minAmount: Joi.number().min(0).optional(),
+    maxAmount: Joi.number().min(0).optional(),
+  })
+);
+const loanProductBody = Joi.object({
+  code: Joi.string().alphanum().min(2).max(30).uppercase(),
+  name: Joi.string().min(2).max(100),
+  description: Joi.string().max(1000).optional(),
+  status: Joi.string().valid("active", "inactive").optional(),
+  interest: Joi.object({
+    method: Joi.string()
+      .valid(...Object.values(INTEREST_METHODS))
+      .optional(),
+    rateBands: productRateBands.min(1).required(),
+    incomeDiscounts: Joi.array()
+      .items(
+        Joi.object({
+          aboveMonthlyIncome: Joi.number().min(0).required(),
+          discount: Joi.number().min(0).max(50).required(),
+        })
+      )
+      .optional(),
+    minRate: Joi.number().min(0).max(50).optional(),
+    maxRate: Joi.number().min(0).max(50).optional(),
+  }),
+  limits: productLimits.optional(),
+  repaymentFrequencies: Joi.array()
+    .items(Joi.string().valid(...REPAYMENT_FREQUENCIES))
+    .min(1)
+    .optional(),
+  requiredDocuments: Joi.array().items(Joi.string().max(100)).optional(),
+  fees: productFees.optional(),
+  guarantors: Joi.object({
+    minCount: Joi.number().integer().min(0).max(2).optional(),
+    requiredAboveAmount: Joi.number().min(0).optional(),
+  }).optional(),
+  maxDebtToIncome: Joi.number().min(0).max(100).optional(),
+  disbursement: Joi.object({
+    maxTranches: Joi.number().integer().min(1).max(12).optional(),
+  }).optional(),
+  regionOverrides: Joi.array()
+    .items(
+      Joi.object({
+        region: objectId.required(),
+        isAvailable: Joi.boolean().default(true),
+        rateBands: productRateBands.optional(),
+        limits: productLimits.optional(),
+        fees: productFees.optional(),
+      })
+    )
+    .optional(),
+});
+
+// A guarantor named on a loan application: one already on file or new details
+const loanGuarantor = Joi.alternatives().try(
+  Joi.object({
+    grantorId: objectId.required(),
+    relationship: Joi.string().min(2).max(50).required(),
+  }),
+  Joi.object({
+    name: Joi.string().min(2).max(100).required(),
+    relationship: Joi.string().min(2).max(50).required(),
+    contactNumber: phone.required(),
+    email: email.optional(),
+    address: Joi.string().min(10).max(200).required(),
+    idNumber: Joi.string().min(5).max(20).required(),
+    employer: Joi.string().min(2).max(100).optional(),
+    monthlyIncome: Joi.number().min(0).optional(),
+  })
+);
+
 // Loan schemas
 const loanSchemas = {
   createLoan: {
     body: Joi.object({
       clientUserId: objectId.required(),
+      product: Joi.string().min(2).max(100).required(),
       loanAmount: Joi.number().positive().min(1000).max(10000000).required(),
       loanTerm: Joi.number().integer().min(1).max(360).required(),
-      interestRate: Joi.number().positive().min(0.01).max(50).required(),
+      // Quoted from the product when omitted
+      interestRate: Joi.number().positive().min(0.01).max(50).optional(),
+      interestMethod: Joi.string()
+        .valid(...Object.values(INTEREST_METHODS))
+        .optional(),
+      repaymentFrequency: Joi.string()
+        .valid(...REPAYMENT_FREQUENCIES)
+        .optional(),
       loanPurpose: Joi.string().min(10).max(500).required(),
-      guarantorInfo: Joi.object({
-        name: Joi.string().min(2).max(100).required(),
-        relationship: Joi.string().min(2).max(50).required(),
-        contactNumber: phone.required(),
-        address: Joi.string().min(10).max(200).required(),
-        idNumber: Joi.string().min(5).max(20).required(),
-      }).required(),
+      guarantorInfo: loanGuarantor.required(),
+      secondaryGuarantorInfo: loanGuarantor.optional(),
       collateral: Joi.object({
         type: Joi.string()
           .valid("property", "vehicle", "jewelry", "other")
@@ -99,6 +232,20 @@ const loanSchemas = {
     }),
   },
 
+  createLoanProduct: {
+    body: loanProductBody.fork(["code", "name", "interest"], (field) =>
+      field.required()
+    ),
+  },
+
+  updateLoanProduct: {
+    params: Joi.object({
+      code: Joi.string().alphanum().min(2).max(30).required(),
+    }),
+    // Code and name identify the product on existing loans and cannot change
+    body: loanProductBody.fork(["code", "name"], (field) => field.forbidden()),
+  },
+
   getLoanById: {
     params: Joi.object({
       id: Joi.alternatives()
@@ -193,7 +340,6 @@ const loanSchemas = {
         )
         .required(),
       reason: Joi.string().min(10).max(500).required(),
-      effectiveDate: Joi.date().iso().optional(),
     }),
   },
 
@@ -219,6 +365,201 @@ const loanSchemas = {
     }),
   },
 
+  verifyPayment: {
+    params: Joi.object({
+      loanId: Joi.alternatives()
+        .try(
+          objectId,
+          Joi.string().min(5).max(50) // Allow loan application ID
+        )
+        .required(),
+      paymentId: Joi.alternatives()
+        .try(objectId, Joi.string().min(5).max(50))
+        .required(),
+    }),
+    body: Joi.object({
+      notes: Joi.string().max(500).optional(),
+      allocationOrder: Joi.array()
+        .items(Joi.string().valid("fees", "penalty", "interest", "principal"))
+        .length(4)
+        .unique()
+        .optional(),
+    }),
+  },
+
+  getLoanSchedule: {
+    params: Joi.object({
+      loanId: Joi.alternatives()
+        .try(
+          objectId,
+          Joi.string().min(5).max(50) // Allow loan application ID
+        )
+        .required(),
+    }),
+  },
+
+  getLoanStatement: {
+    params: Joi.object({
+      loanId: Joi.alternatives()
+        .try(
+          objectId,
+          Joi.string().min(5).max(50) // Allow loan application ID
+        )
+        .required(),
+    }),
+    query: Joi.object({
+      from: Joi.date().iso().optional(),
+      to: Joi.date().iso().min(Joi.ref("from")).optional(),
+    }),
+  },
+
+  getPaymentReceipt: {
+    params: Joi.object({
+      loanId: Joi.alternatives()
+        .try(
+          objectId,
+          Joi.string().min(5).max(50) // Allow loan application ID
+        )
+        .required(),
+      paymentId: Joi.alternatives()
+        .try(objectId, Joi.string().min(5).max(50))
+        .required(),
+    }),
+  },
+
+  getPayoffQuote: {
+    params: Joi.object({
+      loanId: Joi.alternatives()
+        .try(
+          objectId,
+          Joi.string().min(5).max(50) // Allow loan application ID
+        )
+        .required(),
+    }),
+    query: Joi.object({
+      asOf: Joi.date().iso().optional(),
+    }),
+  },
+
+  settleLoan: {
+    params: Joi.object({
+      loanId: Joi.alternatives()
+        .try(
+          objectId,
+          Joi.string().min(5).max(50) // Allow loan application ID
+        )
+        .required(),
+    }),
+    body: Joi.object({
+      paymentAmount: Joi.number().positive().required(),
+      paymentDate: Joi.date().iso().max("now").optional(),
+      paymentMethod: Joi.string()
+        .valid("bank_transfer", "cash_deposit", "online_payment", "cheque", "mobile_payment")
+        .required(),
+      referenceNumber: Joi.string().min(3).max(50).optional(),
+      notes: Joi.string().max(500).optional(),
+    }),
+  },
+
+  requestRestructure: {
+    params: Joi.object({
+      loanId: Joi.alternatives()
+        .try(
+          objectId,
+          Joi.string().min(5).max(50) // Allow loan application ID
+        )
+        .required(),
+    }),
+    body: Joi.object({
+      reason: Joi.string().min(5).max(500).required(),
+      changes: Joi.object({
+        termExtensionMonths: Joi.number().integer().min(0).max(60).optional(),
+        paymentHolidayMonths: Joi.number().integer().min(0).max(12).optional(),
+        newInterestRate: Joi.number().min(0).max(50).optional(),
+        capitaliseArrears: Joi.boolean().optional(),
+      })
+        .min(1)
+        .required(),
+      effectiveDate: Joi.date().iso().optional(),
+    }),
+  },
+
+  decideRestructure: {
+    params: Joi.object({
+      loanId: Joi.alternatives()
+        .try(
+          objectId,
+          Joi.string().min(5).max(50) // Allow loan application ID
+        )
+        .required(),
+      requestId: objectId.required(),
+    }),
+    body: Joi.object({
+      status: Joi.string().valid("Approved", "Rejected").required(),
+      comments: Joi.string().max(500).when("status", {
+        is: "Rejected",
+        then: Joi.required(),
+        otherwise: Joi.optional(),
+      }),
+    }),
+  },
+
+  recordDisbursement: {
+    params: Joi.object({
+      loanId: Joi.alternatives()
+        .try(
+          objectId,
+          Joi.string().min(5).max(50) // Allow loan application ID
+        )
+        .required(),
+    }),
+    body: Joi.object({
+      amount: Joi.number().positive().optional(), // defaults to the undisbursed balance
+      method: Joi.string()
+        .valid("bank_transfer", "cash", "mobile_wallet")
+        .required(),
+      reference: Joi.string().min(3).max(100).required(),
+      recipient: Joi.object({
+        accountName: Joi.string().max(100).optional(),
+        bankName: Joi.string().max(100).optional(),
+        accountNumber: Joi.string().max(50).optional(),
+        walletNumber: Joi.string().max(20).optional(),
+      })
+        .when("method", {
+          is: "bank_transfer",
+          then: Joi.object({
+            bankName: Joi.required(),
+            accountNumber: Joi.required(),
+          }).required(),
+        })
+        .when("method", {
+          is: "mobile_wallet",
+          then: Joi.object({ walletNumber: Joi.required() }).required(),
+        }),
+      notes: Joi.string().max(500).optional(),
+    }),
+  },
+
+  decideDisbursement: {
+    params: Joi.object({
+      loanId: Joi.alternatives()
+        .try(
+          objectId,
+          Joi.string().min(5).max(50) // Allow loan application ID
+        )
+        .required(),
+      disbursementId: Joi.string().min(5).max(50).required(),
+    }),
+    body: Joi.object({
+      status: Joi.string().valid("Approved", "Rejected").required(),
+      comments: Joi.string().max(500).when("status", {
+        is: "Rejected",
+        then: Joi.required(),
+        otherwise: Joi.optional(),
+      }),
+    }),
+  },
+
   searchLoans: {
     query: Joi.object({
       ...paginationSchema,
@@ -262,6 +603,26 @@ const loanSchemas = {
     }),
   },
 
+  approvalDecision: {
+    params: Joi.object({
+      loanId: Joi.alternatives()
+        .try(
+          objectId,
+          Joi.string().min(5).max(50) // Allow loan application ID
+        )
+        .required(),
+    }),
+    body: Joi.object({
+      decision: Joi.string().valid("approve", "reject").required(),
+      comments: Joi.string().max(1000).when("decision", {
+        is: "reject",
+        then: Joi.required(),
+        otherwise: Joi.optional(),
+      }),
+      conditions: Joi.array().items(Joi.string().min(5).max(200)).optional(),
+    }),
+  },
+
   getRegionalManagerLoans: {
     params: Joi.object({
       regionalManagerId: objectId.required(),
@@ -503,6 +864,124 @@ const clientSchemas = {
       password: Joi.string().required(),
     }),
   },
+
+  riskAssessment: {
+    params: Joi.object({
+      id: objectId.required(),
+    }),
+    body: Joi.object({
+      loanId: Joi.alternatives()
+        .try(
+          objectId,
+          Joi.string().min(5).max(50) // Allow loan application ID
+        )
+        .optional(),
+    }),
+  },
+};
+
+// Guarantor schemas
+const guarantorId = Joi.string().min(5).max(50); // MongoDB ID or grantorId
+const guarantorBody = Joi.object({
+  personalInfo: Joi.object({
+    fullName: Joi.string().min(2).max(100),
+    contactNumber: phone,
+    email: email.optional(),
+    dateOfBirth: Joi.date().max("now").optional(),
+    address: Joi.string().min(10).max(200),
+  }),
+  identityVerification: Joi.object({
+    idType: Joi.string().valid("NIC", "passport").optional(),
+    idNumber: Joi.string().min(5).max(20),
+  }),
+  employmentDetails: Joi.object({
+    employer: Joi.string().min(2).max(100).optional(),
+    jobRole: Joi.string().min(2).max(100).optional(),
+    monthlyIncome: Joi.number().min(0).optional(),
+  }),
+});
+
+const guarantorSchemas = {
+  listGuarantors: {
+    query: Joi.object({
+      page: paginationSchema.page,
+      limit: paginationSchema.limit,
+      search: Joi.string().min(2).max(100).optional(),
+    }),
+  },
+
+  lookupByNic: {
+    query: Joi.object({
+      nic: Joi.string().min(5).max(20).required(),
+    }),
+  },
+
+  guarantorParams: {
+    params: Joi.object({
+      id: guarantorId.required(),
+    }),
+  },
+
+  createGuarantor: {
+    body: guarantorBody.fork(
+      [
+        "personalInfo",
+        "personalInfo.fullName",
+        "personalInfo.contactNumber",
+        "identityVerification",
+        "identityVerification.idNumber",
+      ],
+      (field) => field.required()
+    ),
+  },
+
+  updateGuarantor: {
+    body: guarantorBody.min(1),
+  },
+
+  addDocument: {
+    body: Joi.object({
+      category: Joi.string().valid("identity", "employment").required(),
+      type: Joi.string().min(2).max(50).required(),
+      url: Joi.string().uri().required(),
+    }),
+  },
+
+  updateVerification: {
+    body: Joi.object({
+      category: Joi.string().valid("identity", "employment").required(),
+      verified: Joi.boolean().required(),
+      reason: Joi.string().max(500).when("verified", {
+        is: false,
+        then: Joi.required(),
+        otherwise: Joi.optional(),
+      }),
+    }),
+  },
+
+  consentParams: {
+    params: Joi.object({
+      id: guarantorId.required(),
+      loanId: Joi.alternatives()
+        .try(
+          objectId,
+          Joi.string().min(5).max(50) // Allow loan application ID
+        )
+        .required(),
+    }),
+  },
+
+  confirmConsent: {
+    body: Joi.object({
+      method: Joi.string().valid("otp", "signed_form").required(),
+      otp: Joi.string()
+        .pattern(/^[0-9]{6}$/)
+        .when("method", { is: "otp", then: Joi.required(), otherwise: Joi.forbidden() }),
+      signedFormUrl: Joi.string()
+        .uri()
+        .when("method", { is: "signed_form", then: Joi.required(), otherwise: Joi.forbidden() }),
+    }),
+  },
 };
 
 // Staff schemas
@@ -739,6 +1218,44 @@ const systemSchemas = {
     }),
   },
 
+  scorecard: {
+    params: Joi.object({
+      version: Joi.number().integer().min(1).required(),
+    }),
+    body: Joi.object({
+      name: Joi.string().min(3).max(100).optional(),
+      notes: Joi.string().max(1000).optional(),
+      factors: Joi.array()
+        .items(
+          Joi.object({
+            input: Joi.string().required(),
+            label: Joi.string().max(100).optional(),
+            weight: Joi.number().min(0).max(100).required(),
+            missingPoints: Joi.number().min(0).max(100).optional(),
+            bands: Joi.array()
+              .items(
+                Joi.object({
+                  min: Joi.number().optional(),
+                  max: Joi.number().optional(),
+                  equals: Joi.string().optional(),
+                  points: Joi.number().min(0).max(100).required(),
+                  label: Joi.string().max(100).optional(),
+                })
+              )
+              .min(1)
+              .required(),
+          })
+        )
+        .min(1)
+        .optional(),
+      levelThresholds: Joi.object({
+        low: Joi.number().min(0).max(100).required(),
+        medium: Joi.number().min(0).max(100).required(),
+        high: Joi.number().min(0).max(100).required(),
+      }).optional(),
+    }),
+  },
+
   auditLog: {
     query: Joi.object({
       ...paginationSchema,
@@ -788,6 +1305,156 @@ const paymentSchemas = {
         .optional(),
     }),
   },
+
+  createIntent: {
+    body: Joi.object({
+      loanId: objectId.required(),
+      installmentNumber: Joi.number().integer().min(1).optional(),
+      amount: Joi.number().positive().precision(2).optional(),
+      provider: Joi.string().trim().lowercase().max(30).default("simulator"),
+      paymentMethod: Joi.string()
+        .valid("online_payment", "mobile_payment")
+        .default("online_payment"),
+    }),
+  },
+
+  intentParams: {
+    params: Joi.object({
+      intentId: Joi.string().pattern(/^PIN[0-9A-Z]+$/).required(),
+    }),
+  },
+
+  receiptParams: {
+    params: Joi.object({
+      paymentId: Joi.alternatives()
+        .try(objectId, Joi.string().pattern(/^PAY[0-9A-Z]+$/))
+        .required(),
+    }),
+  },
+
+  webhookParams: {
+    params: Joi.object({
+      provider: Joi.string().pattern(/^[a-z0-9_-]{2,30}$/).required(),
+    }),
+  },
+
+  completeSimulatorIntent: {
+    body: Joi.object({
+      outcome: Joi.string().valid("succeeded", "failed").default("succeeded"),
+      amount: Joi.number().positive().precision(2).optional(),
+      failureReason: Joi.string().trim().max(200).optional(),
+    }),
+  },
+};
+
+// Bank statement reconciliation schemas
+const statementId = Joi.alternatives().try(
+  objectId,
+  Joi.string().pattern(/^BST[0-9A-Z]+$/)
+);
+
+const reconciliationSchemas = {
+  importStatement: {
+    body: Joi.object({
+      format: Joi.string().valid("csv", "mt940").optional(),
+      dateToleranceDays: Joi.number().integer().min(0).max(30).optional(),
+    }),
+  },
+
+  listStatements: {
+    query: Joi.object({
+      page: paginationSchema.page,
+      limit: paginationSchema.limit,
+      status: Joi.string().valid("open", "reconciled").optional(),
+    }),
+  },
+
+  statementParams: {
+    params: Joi.object({
+      statementId: statementId.required(),
+    }),
+  },
+
+  getSuspense: {
+    query: Joi.object({
+      status: Joi.string().valid("unmatched", "proposed").default("unmatched"),
+    }),
+  },
+
+  resolveLine: {
+    params: Joi.object({
+      statementId: statementId.required(),
+      lineId: objectId.required(),
+    }),
+    body: Joi.object({
+      paymentId: Joi.alternatives()
+        .try(objectId, Joi.string().min(5).max(50))
+        .when("ignore", { is: true, then: Joi.forbidden(), otherwise: Joi.required() }),
+      ignore: Joi.boolean().default(false),
+      notes: Joi.string().trim().max(500).when("ignore", {
+        is: true,
+        then: Joi.required(),
+        otherwise: Joi.optional(),
+      }),
+    }),
+  },
+};
+
+// Field collection sheet schemas
+const sheetId = Joi.alternatives().try(
+  objectId,
+  Joi.string().pattern(/^CSH[0-9A-Z]+$/)
+);
+
+const collectionSchemas = {
+  generateSheet: {
+    body: Joi.object({
+      agentId: objectId.optional(),
+      date: Joi.date().iso().optional(),
+    }),
+  },
+
+  listSheets: {
+    query: Joi.object({
+      page: paginationSchema.page,
+      limit: paginationSchema.limit,
+      status: Joi.string().valid("open", "submitted", "reconciled").optional(),
+      date: Joi.date().iso().optional(),
+      agentId: objectId.optional(),
+      shortage: Joi.boolean().optional(),
+    }),
+  },
+
+  sheetParams: {
+    params: Joi.object({
+      sheetId: sheetId.required(),
+    }),
+  },
+
+  recordCollection: {
+    params: Joi.object({
+      sheetId: sheetId.required(),
+      lineId: objectId.required(),
+    }),
+    body: Joi.object({
+      amount: Joi.number().positive().precision(2).required(),
+      notes: Joi.string().trim().max(500).optional(),
+    }),
+  },
+
+  submitHandover: {
+    body: Joi.object({
+      declaredAmount: Joi.number().min(0).precision(2).required(),
+      notes: Joi.string().trim().max(500).optional(),
+    }),
+  },
+
+  reconcileHandover: {
+    body: Joi.object({
+      receivedAmount: Joi.number().min(0).precision(2).optional(),
+      notes: Joi.string().trim().max(500).optional(),
+    }),
+  },
 };
 
 // Report schemas
@@ -831,11 +1498,14 @@ module.exports = {
   authSchemas,
   loanSchemas,
   clientSchemas,
+  guarantorSchemas,
   staffSchemas,
   regionalAdminSchemas,
   agentSchemas,
   systemSchemas,
   paymentSchemas,
+  reconciliationSchemas,
+  collectionSchemas,
   reportSchemas,
   paginationSchema,
   objectId,